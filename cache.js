@@ -106,7 +106,8 @@ export const containerUrlCache = new LRUCache({
   updateAgeOnHas: true
 });
 
-// Guest-preview byte-cap cache — maps audio URL → { capBytes, totalSize }.
+// Guest-preview byte-cap cache — maps audio URL (plus `#t=<sec>` for tracks
+// with a preview start offset) → { offset, capBytes, totalSize, startSec }.
 // Computing a cap costs one small ranged head-fetch of the MP3 (routes/preview.js);
 // caching it makes repeat plays and every in-preview Range request a single
 // upstream round-trip. Entries are ~100 B. TTL matches containerUrlCache so a
@@ -118,6 +119,18 @@ export const previewCapCache = new LRUCache({
   updateAgeOnHas: true
 });
 
+// HLS segment-plan cache — maps audio URL → { plan } (routes/hls.js); plan is
+// null for a track that can't be packaged, so it isn't re-probed every play.
+// Building a plan costs the same ranged head-fetch as a preview cap; the
+// playlist and every segment request need it. A plan is ~60 B per segment
+// (≈40 segments for a 4-minute track at 6 s), so 2000 entries stay small.
+export const hlsPlanCache = new LRUCache({
+  max: 2000,
+  ttl: 30 * MINUTE_MS,
+  updateAgeOnGet: true,
+  updateAgeOnHas: true
+});
+
 // Track-record cache — maps "layout::recordId" → full FM record { recordId, modId, fieldData }.
 // Shared read-through cache used by trending, my-stats, and any other endpoint that
 // does fmGetRecordById on track records. Eliminates the N+1 pattern where the same
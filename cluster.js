@@ -18,8 +18,13 @@ if (cluster.isPrimary) {
     // stream-record LRU, and the concurrent-create dedup map in
     // lib/stream-events.js). With multiple workers, events for one play can
     // land on different workers and fragment records / reset totals. Make
-    // that state shared (Redis/FM-only) BEFORE scaling workers.
-    console.warn('[CLUSTER] ⚠️  MAX_WORKERS > 1: stream-event accumulators are per-process — play tracking will fragment across workers. See lib/stream-events.js.');
+    // that state shared (Redis/FM-only) BEFORE scaling workers — or turn on
+    // STREAM_JOURNAL_ENABLED, whose journal holds the listen state for every
+    // worker (lib/stream-journal.js): each event merges in one transaction
+    // and a UNIQUE index allows one open listen per session + track.
+    if (process.env.STREAM_JOURNAL_ENABLED !== 'true') {
+      console.warn('[CLUSTER] ⚠️  MAX_WORKERS > 1: stream-event accumulators are per-process — play tracking will fragment across workers. See lib/stream-events.js.');
+    }
   }
 
   // Fork workers with a staggered delay so they don't all hammer FileMaker
@@ -28,6 +33,20 @@ if (cluster.isPrimary) {
     setTimeout(() => cluster.fork({ WORKER_INDEX: String(i) }), i * 1500);
   }
 
+  // Worker-to-worker fan-out: a worker sends one of these here; pass it to
+  // every other worker.
+  //   mass:live-feed         "listening now" events for their SSE subscribers
+  //                          (lib/live-feed.js, LIVE_FEED_ENABLED)
+  //   mass:history-settings  a token's history was cleared / paused — drop
+  //                          its cached settings (lib/history-store.js)
+  const RELAYED = new Set(['mass:live-feed', 'mass:history-settings']);
+  cluster.on('message', (from, msg) => {
+    if (!RELAYED.has(msg?.type)) return;
+    for (const worker of Object.values(cluster.workers)) {
+      if (worker && worker.id !== from.id && worker.isConnected()) worker.send(msg, () => {});
+    }
+  });
+
   cluster.on('exit', (worker, code, signal) => {
     console.log(`[CLUSTER] Worker ${worker.process.pid} died (${signal || code}). Restarting...`);
     cluster.fork();
@@ -44,6 +44,13 @@ ALTER TABLE tracks ADD COLUMN IF NOT EXISTS visibility text;
 -- find. Default false; reconciled each sync run.
 ALTER TABLE tracks ADD COLUMN IF NOT EXISTS is_new_release boolean NOT NULL DEFAULT false;
 
+-- Loudness from the offline analyzer (AI_LoudnessLUFS / AI_PeakDBFS /
+-- AI_AlbumLoudnessLUFS, scripts/analyzer). NULL until a track is measured;
+-- the values also ride along in `raw`, which is what track payloads carry.
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS loudness_lufs real;
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS peak_dbfs real;
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS album_loudness_lufs real;
+
 -- One-card-per-album rails group on (album_title, album_artist) — INVARIANT #1.
 CREATE INDEX IF NOT EXISTS tracks_album_idx
   ON tracks (lower(album_title), lower(album_artist));
@@ -110,3 +117,78 @@ CREATE TABLE IF NOT EXISTS sync_state (
   rows_total     integer,
   updated_at     timestamptz NOT NULL DEFAULT now()
 );
+
+-- Stream-event journal (lib/stream-journal.js, STREAM_JOURNAL_ENABLED). NOT
+-- mirror data: the one table the app writes. Listens are coalesced here and
+-- flushed to FileMaker's Stream_Events layout in the background; a row is
+-- only pruned once FileMaker has its latest version. Same shape as the SQLite
+-- backend (lib/stream-journal-sqlite.js); times are epoch milliseconds.
+CREATE TABLE IF NOT EXISTS stream_listens (
+  listen_id        text PRIMARY KEY,            -- = Stream_Events PrimaryKey
+  session_id       text NOT NULL,
+  track_record_id  text NOT NULL,
+  fields           jsonb NOT NULL,              -- merged fieldData
+  fm_record_id     text,
+  create_started   boolean NOT NULL DEFAULT false,
+  closed           boolean NOT NULL DEFAULT false,
+  version          integer NOT NULL DEFAULT 1,
+  flushed_version  integer NOT NULL DEFAULT 0,
+  attempts         integer NOT NULL DEFAULT 0,
+  next_attempt_at  bigint  NOT NULL DEFAULT 0,
+  lease_until      bigint  NOT NULL DEFAULT 0,
+  last_error       text,
+  updated_at       bigint  NOT NULL
+);
+-- One open listen per session + track, so two workers can't both start it.
+-- Tables from before this index may hold duplicates: keep the newest open.
+UPDATE stream_listens SET closed = true
+  WHERE NOT closed AND EXISTS (
+    SELECT 1 FROM stream_listens newer
+     WHERE NOT newer.closed AND newer.session_id = stream_listens.session_id
+       AND newer.track_record_id = stream_listens.track_record_id
+       AND (newer.updated_at > stream_listens.updated_at
+            OR (newer.updated_at = stream_listens.updated_at AND newer.listen_id > stream_listens.listen_id)));
+DROP INDEX IF EXISTS stream_listens_open_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS stream_listens_open_key
+  ON stream_listens (session_id, track_record_id) WHERE NOT closed;
+CREATE INDEX IF NOT EXISTS stream_listens_dirty_idx
+  ON stream_listens (next_attempt_at) WHERE version > flushed_version;
+
+-- Weekly chart archive (lib/charts.js, CHARTS_ENABLED). Also app-written, not
+-- mirror data: one row per published ISO week, one per chart position. A
+-- week is replaced whole when it is re-snapshotted. Same shape as the SQLite
+-- backend (lib/chart-store-sqlite.js); generated_at is epoch milliseconds.
+CREATE TABLE IF NOT EXISTS chart_weeks (
+  week          text PRIMARY KEY,             -- ISO week, e.g. '2026-W42'
+  generated_at  bigint  NOT NULL,
+  listens       integer NOT NULL DEFAULT 0    -- qualifying plays counted
+);
+CREATE TABLE IF NOT EXISTS chart_entries (
+  chart_type   text    NOT NULL,              -- 'genre' | 'decade' | 'language'
+  chart_key    text    NOT NULL,              -- 'maskandi' | '1980s' | 'zu'
+  week         text    NOT NULL,
+  position     integer NOT NULL,
+  chart_label  text    NOT NULL,
+  record_id    text    NOT NULL,
+  entry        jsonb   NOT NULL,              -- plays, listeners, movement, peak…
+  PRIMARY KEY (chart_type, chart_key, week, position)
+);
+CREATE INDEX IF NOT EXISTS chart_entries_week_idx ON chart_entries (week);
+CREATE INDEX IF NOT EXISTS chart_entries_track_idx
+  ON chart_entries (chart_type, chart_key, record_id, week);
+
+-- Per-listener play counts (lib/play-counts.js, PLAY_COUNTS_ENABLED). App-
+-- written: one row per token and track, bumped when a listen starts, seeded
+-- once per token from its Stream_Events. Same shape as the SQLite backend
+-- (lib/play-count-store-sqlite.js); times are epoch milliseconds.
+CREATE TABLE IF NOT EXISTS listener_plays (
+  token            text    NOT NULL,          -- access token, upper-case
+  track_record_id  text    NOT NULL,
+  plays            integer NOT NULL DEFAULT 0,
+  last_played_at   bigint  NOT NULL,
+  PRIMARY KEY (token, track_record_id)
+);
+CREATE TABLE IF NOT EXISTS listener_play_seeds (
+  token      text   PRIMARY KEY,
+  seeded_at  bigint NOT NULL
+);
@@ -366,7 +366,10 @@ export async function fmCreateRecord(layout, fieldData) {
   return json?.response || null;
 }
 
-export async function fmUpdateRecord(layout, recordId, fieldData) {
+// `modId` (optional) makes the write conditional: FileMaker refuses it with
+// code 306 if the record changed since that modId was read. The thrown error
+// carries the FM code as `fmCode` so callers can reload and retry.
+export async function fmUpdateRecord(layout, recordId, fieldData, { modId } = {}) {
   if (!recordId) throw new Error('fmUpdateRecord requires recordId');
   const url = `${fmBase}/layouts/${encodeURIComponent(layout)}/records/${encodeURIComponent(recordId)}`;
   const res = await fmWithAuth((token) => fmSafeFetch(url, {
@@ -376,13 +379,15 @@ export async function fmUpdateRecord(layout, recordId, fieldData) {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${token}`
     },
-    body: JSON.stringify({ fieldData })
+    body: JSON.stringify(modId ? { fieldData, modId: String(modId) } : { fieldData })
   }));
   const json = await res.json().catch(() => ({}));
   if (!res.ok) {
     const msg = json?.messages?.[0]?.message || 'FM error';
     const code = json?.messages?.[0]?.code;
-    throw new Error(`FM update failed: ${msg} (${code ?? 'n/a'})`);
+    const err = new Error(`FM update failed: ${msg} (${code ?? 'n/a'})`);
+    err.fmCode = code === undefined ? undefined : String(code);
+    throw err;
   }
   return json?.response || null;
 }
@@ -30,6 +30,15 @@ function artistOf(f) {
 }
 
 export function dedupRecordsByAlbum(records = []) {
+  return groupRecordsByAlbum(records).map(g => g.record);
+}
+
+/**
+ * Same grouping, keeping every member: [{ record, records }] in first-seen
+ * order, where `record` is the representative row and `records` all of the
+ * album's rows in input order (listening history needs the members too).
+ */
+export function groupRecordsByAlbum(records = []) {
   // Pass 1: per album title, the distinct named (non-Various) album artists.
   const namedByTitle = new Map();
   for (const r of records) {
@@ -45,7 +54,7 @@ export function dedupRecordsByAlbum(records = []) {
   // Pass 2: group. The representative row prefers a named-artist row over a
   // Various one, so downstream display/grouping (frontend getAlbumArtist reads
   // the base field only) never sees the dirty artist value.
-  const groups = new Map(); // key → { record, clean }
+  const groups = new Map(); // key → { record, clean, records }
   const order  = [];
   for (const r of records) {
     const f       = r.fieldData || {};
@@ -69,12 +78,13 @@ export function dedupRecordsByAlbum(records = []) {
 
     const existing = groups.get(key);
     if (!existing) {
-      groups.set(key, { record: r, clean });
+      groups.set(key, { record: r, clean, records: [r] });
       order.push(key);
-    } else if (clean && !existing.clean) {
-      groups.set(key, { record: r, clean });
+    } else {
+      existing.records.push(r);
+      if (clean && !existing.clean) Object.assign(existing, { record: r, clean });
     }
   }
 
-  return order.map(key => groups.get(key).record);
+  return order.map(key => ({ record: groups.get(key).record, records: groups.get(key).records }));
 }
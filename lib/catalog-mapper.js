@@ -18,6 +18,7 @@ import {
   G100_FIELD_CANDIDATES,
   G100_VALUE_LC,
 } from './fm-fields.js';
+import { trackLoudness } from './track.js';
 
 // Mirror of helpers.js field orders (browser-only module, can't import here).
 const TITLE_FIELDS        = ['Track Name', 'Song Name', 'Track Title', 'Song Title', 'Title'];
@@ -72,6 +73,7 @@ export function mapRecordToRow(record) {
   if (!record || record.recordId == null) return null;
   const fields = record.fieldData || {};
   const seq = parseTrackSequence(fields);
+  const loudness = trackLoudness(fields);
 
   return {
     fm_record_id:   String(record.recordId),
@@ -91,6 +93,9 @@ export function mapRecordToRow(record) {
     is_g100:        flagMatches(fields, G100_FIELD_CANDIDATES, G100_VALUE_LC),
     is_single:      flagMatches(fields, SINGLE_FIELD_CANDIDATES, FLAG_YES_LC),
     is_global_fav:  flagMatches(fields, GLOBAL_FAV_FIELD_CANDIDATES, FLAG_YES_LC),
+    loudness_lufs:  loudness ? loudness.lufs : null,
+    peak_dbfs:      loudness ? loudness.peak : null,
+    album_loudness_lufs: loudness ? loudness.albumLufs : null,
     fm_mod_id:      toIntOrNull(record.modId),
     fm_modified_at: null, // TODO: set once a FM modification-timestamp field is confirmed
     raw:            fields,
@@ -102,7 +107,8 @@ export const TRACK_COLUMNS = [
   'fm_record_id', 'album_title', 'album_artist', 'track_artist', 'track_title',
   'genre', 'release_year', 'duration_secs', 'track_seq', 'catalogue_no',
   's3_audio_url', 's3_artwork_url', 'visibility', 'is_featured', 'is_g100',
-  'is_single', 'is_global_fav', 'fm_mod_id', 'fm_modified_at', 'raw', 'synced_at',
+  'is_single', 'is_global_fav', 'loudness_lufs', 'peak_dbfs', 'album_loudness_lufs',
+  'fm_mod_id', 'fm_modified_at', 'raw', 'synced_at',
 ];
 
 /**
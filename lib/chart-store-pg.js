@@ -0,0 +1,86 @@
+/**
+ * lib/chart-store-pg.js — Postgres backend for the weekly chart archive
+ * (lib/charts.js). Used whenever isPgEnabled(), so the archive survives
+ * Render's ephemeral disk and every instance serves the same history. Tables:
+ * chart_weeks, chart_entries in db/schema.sql (npm run db:migrate).
+ */
+
+import { getPool, query } from './pg.js';
+
+export async function createPgChartStore() {
+  // Fail at init (→ charts report unavailable) rather than on the first
+  // request if the migration hasn't been run.
+  await query('SELECT 1 FROM chart_entries LIMIT 1');
+
+  return {
+    kind: 'postgres',
+    async saveWeek(week, { generatedAt, listens, charts }) {
+      const client = await getPool().connect();
+      try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM chart_entries WHERE week = $1', [week]);
+        await client.query('DELETE FROM chart_weeks WHERE week = $1', [week]);
+        await client.query('INSERT INTO chart_weeks (week, generated_at, listens) VALUES ($1, $2, $3)', [week, generatedAt, listens]);
+        for (const c of charts) {
+          for (const e of c.entries) {
+            await client.query(
+              `INSERT INTO chart_entries (chart_type, chart_key, week, position, chart_label, record_id, entry)
+               VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+              [c.type, c.key, week, e.position, c.label, e.recordId, JSON.stringify(e)]
+            );
+          }
+        }
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async hasWeek(week) {
+      const r = await query('SELECT 1 FROM chart_weeks WHERE week = $1', [week]);
+      return r.rowCount > 0;
+    },
+    async weeks() {
+      const r = await query('SELECT week FROM chart_weeks ORDER BY week DESC');
+      return r.rows.map((x) => x.week);
+    },
+    async chartIndex(week) {
+      const r = await query(
+        `SELECT chart_type, chart_key, chart_label, count(*) AS entries,
+                max(CASE WHEN position = 1 THEN entry::text END) AS top
+           FROM chart_entries WHERE week = $1 GROUP BY chart_type, chart_key, chart_label`,
+        [week]
+      );
+      return r.rows.map((x) => ({
+        type: x.chart_type, key: x.chart_key, label: x.chart_label, entries: Number(x.entries), top: x.top ? JSON.parse(x.top) : null
+      }));
+    },
+    async chart(type, key, week) {
+      const r = await query(
+        `SELECT chart_label, entry FROM chart_entries
+          WHERE chart_type = $1 AND chart_key = $2 AND week = $3 ORDER BY position`,
+        [type, key, week]
+      );
+      return r.rows.length ? { label: r.rows[0].chart_label, entries: r.rows.map((x) => x.entry) } : null;
+    },
+    async chartWeeks(type, key) {
+      const r = await query(
+        'SELECT DISTINCT week FROM chart_entries WHERE chart_type = $1 AND chart_key = $2 ORDER BY week DESC',
+        [type, key]
+      );
+      return r.rows.map((x) => x.week);
+    },
+    async lastAppearances(type, key, beforeWeek) {
+      const r = await query(
+        `SELECT DISTINCT ON (record_id) record_id, week, entry FROM chart_entries
+          WHERE chart_type = $1 AND chart_key = $2 AND week < $3
+          ORDER BY record_id, week DESC`,
+        [type, key, beforeWeek]
+      );
+      return new Map(r.rows.map((x) => [x.record_id, { week: x.week, ...x.entry }]));
+    },
+    close() {}
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * lib/chart-store-sqlite.js — SQLite backend for the weekly chart archive
+ * (lib/charts.js), used when Postgres isn't configured; data/charts.db
+ * by default. Same tables as db/schema.sql (chart_weeks, chart_entries).
+ *
+ * WAL mode + busy_timeout so the cluster workers can read while worker 0
+ * publishes a week. better-sqlite3 is imported lazily, like the journal: the
+ * charts are flag-gated and a native-binary problem must only take them down.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS chart_weeks (
+  week          TEXT PRIMARY KEY,               -- ISO week, e.g. 2026-W42
+  generated_at  INTEGER NOT NULL,               -- epoch ms
+  listens       INTEGER NOT NULL DEFAULT 0      -- qualifying listens counted
+);
+CREATE TABLE IF NOT EXISTS chart_entries (
+  chart_type   TEXT NOT NULL,                   -- genre | decade | language
+  chart_key    TEXT NOT NULL,                   -- maskandi | 1980s | zu
+  week         TEXT NOT NULL,
+  position     INTEGER NOT NULL,
+  chart_label  TEXT NOT NULL,
+  record_id    TEXT NOT NULL,
+  entry        TEXT NOT NULL,                   -- the full entry (JSON)
+  PRIMARY KEY (chart_type, chart_key, week, position)
+);
+CREATE INDEX IF NOT EXISTS chart_entries_week_idx ON chart_entries (week);
+CREATE INDEX IF NOT EXISTS chart_entries_track_idx ON chart_entries (chart_type, chart_key, record_id, week);
+`;
+
+export async function createSqliteChartStore(dbPath) {
+  const { default: Database } = await import('better-sqlite3');
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const q = {
+    deleteWeek: db.prepare('DELETE FROM chart_weeks WHERE week = ?'),
+    deleteEntries: db.prepare('DELETE FROM chart_entries WHERE week = ?'),
+    insertWeek: db.prepare('INSERT INTO chart_weeks (week, generated_at, listens) VALUES (?, ?, ?)'),
+    insertEntry: db.prepare(`INSERT INTO chart_entries
+      (chart_type, chart_key, week, position, chart_label, record_id, entry) VALUES (?, ?, ?, ?, ?, ?, ?)`),
+    hasWeek: db.prepare('SELECT 1 FROM chart_weeks WHERE week = ?'),
+    weeks: db.prepare('SELECT week FROM chart_weeks ORDER BY week DESC'),
+    index: db.prepare(`SELECT chart_type, chart_key, chart_label, count(*) AS entries,
+        max(CASE WHEN position = 1 THEN entry END) AS top
+      FROM chart_entries WHERE week = ? GROUP BY chart_type, chart_key, chart_label`),
+    chart: db.prepare(`SELECT chart_label, entry FROM chart_entries
+      WHERE chart_type = ? AND chart_key = ? AND week = ? ORDER BY position`),
+    chartWeeks: db.prepare(`SELECT DISTINCT week FROM chart_entries
+      WHERE chart_type = ? AND chart_key = ? ORDER BY week DESC`),
+    before: db.prepare(`SELECT record_id, week, entry FROM chart_entries
+      WHERE chart_type = ? AND chart_key = ? AND week < ? ORDER BY week DESC`)
+  };
+
+  const saveWeek = db.transaction((week, generatedAt, listens, charts) => {
+    q.deleteEntries.run(week);
+    q.deleteWeek.run(week);
+    q.insertWeek.run(week, generatedAt, listens);
+    for (const c of charts) {
+      for (const e of c.entries) q.insertEntry.run(c.type, c.key, week, e.position, c.label, e.recordId, JSON.stringify(e));
+    }
+  });
+
+  return {
+    kind: 'sqlite',
+    async saveWeek(week, { generatedAt, listens, charts }) { saveWeek(week, generatedAt, listens, charts); },
+    async hasWeek(week) { return !!q.hasWeek.get(week); },
+    async weeks() { return q.weeks.all().map((r) => r.week); },
+    async chartIndex(week) {
+      return q.index.all(week).map((r) => ({
+        type: r.chart_type, key: r.chart_key, label: r.chart_label, entries: Number(r.entries), top: r.top ? JSON.parse(r.top) : null
+      }));
+    },
+    async chart(type, key, week) {
+      const rows = q.chart.all(type, key, week);
+      return rows.length ? { label: rows[0].chart_label, entries: rows.map((r) => JSON.parse(r.entry)) } : null;
+    },
+    async chartWeeks(type, key) { return q.chartWeeks.all(type, key).map((r) => r.week); },
+    async lastAppearances(type, key, beforeWeek) {
+      const out = new Map();
+      for (const r of q.before.all(type, key, beforeWeek)) {
+        if (!out.has(r.record_id)) out.set(r.record_id, { week: r.week, ...JSON.parse(r.entry) });
+      }
+      return out;
+    },
+    close() { db.close(); }
+  };
+}
@@ -0,0 +1,335 @@
+/**
+ * lib/charts.js — weekly genre / decade / language charts from Stream_Events,
+ * with a permanent archive and chart movement.
+ *
+ * /trending is one rolling, visual rail (one track per album). Charts are the
+ * editorial counterpart: once an ISO week (Monday 00:00 UTC → Monday) has
+ * closed, worker 0 snapshots it — every qualifying play that started in the
+ * week is counted per track and ranked inside each chart it belongs to:
+ *
+ *   genre/<slug>      Local Genre, slugged like /genre/:slug (e.g. maskandi)
+ *   decade/<1980s>    Year of Release (Original Release date / Year fallback)
+ *   language/<code>   Language Code (e.g. zu), labelled "Zulu"
+ *
+ * A play qualifies like a royalty play (lib/royalty-report.js): FULL mode, at
+ * least ROYALTY_QUALIFYING_SEC heard, not quarantined by abuse scoring. One
+ * listener counts at most CHARTS_LISTENER_CAP plays of a track a week, so a
+ * fan on repeat can't carry a chart alone. Ties go to more listeners, then
+ * more time heard. No per-album cap — a chart is a ranking, not a rail.
+ *
+ * Each entry carries its movement against the chart's archive: new, re-entry,
+ * up / down / same with lastPosition, weeksOnChart and peak. A published week
+ * is never rebuilt by the timer; POST /api/charts/snapshot re-runs one
+ * (backfill, or after an abuse review changed the plays).
+ *
+ * Backend: Postgres when isPgEnabled() (lib/chart-store-pg.js, tables in
+ * db/schema.sql), else SQLite (lib/chart-store-sqlite.js, data/charts.db).
+ * Degrade-gracefully: if the archive can't open, isChartsReady() stays false
+ * and the routes answer 503.
+ *
+ * Callers: server.js (initCharts, CHARTS_ENABLED), routes/charts.js.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fmFindAll } from '../fm-client.js';
+import { FM_LAYOUT, FM_STREAM_EVENTS_LAYOUT, firstNonEmpty, recordIsVisible } from './fm-fields.js';
+import { formatTimestampUTC, parsePositiveInt } from './format.js';
+import { ROYALTY_QUALIFYING_SEC, isQualifyingPlay, readStreamEvent } from './royalty-report.js';
+import { slugify } from './catalog-slugs.js';
+import { getTrackRecordCached } from './track-cache.js';
+import { isPgEnabled } from './pg.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('charts');
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Constants ────────────────────────────────────────────────────────────────
+export const CHART_TYPES = ['genre', 'decade', 'language'];
+export const CHARTS_DEPTH = parsePositiveInt(process.env.CHARTS_DEPTH, 50);
+export const CHARTS_LISTENER_CAP = parsePositiveInt(process.env.CHARTS_LISTENER_CAP, 3);
+export const CHARTS_PATH = process.env.CHARTS_PATH
+  || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'charts.db');
+const CHARTS_MAX_EVENTS = parsePositiveInt(process.env.CHARTS_MAX_EVENTS, 200000);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// A listen that started late on Sunday is still being written after midnight;
+// the snapshot waits this long past the week's end.
+const SETTLE_MS = 2 * 60 * 60 * 1000;
+const CHECK_MS = 60 * 60 * 1000;
+const TRACK_LOOKUP_CONCURRENCY = 8;
+const WEEK_RE = /^(\d{4})-W(\d{2})$/;
+
+let store = null;
+let timer = null;
+let snapshotting = null;
+let opening = null;
+
+// ── ISO weeks ────────────────────────────────────────────────────────────────
+
+/** ISO-8601 week of a UTC instant: '2026-W42'. */
+export function isoWeekKey(ms) {
+  const d = new Date(ms);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  // The week belongs to the year its Thursday falls in.
+  const thursday = day + (3 - ((d.getUTCDay() + 6) % 7)) * DAY_MS;
+  const year = new Date(thursday).getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / WEEK_MS) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/** '2026-W42' → { ok, key, startMs, endMs } (Monday 00:00 UTC, end exclusive). */
+export function parseChartWeek(value) {
+  const m = WEEK_RE.exec(String(value || '').trim().toUpperCase());
+  if (!m) return { ok: false, error: 'week must be YYYY-Www (ISO week, e.g. 2026-W42)' };
+  const year = Number(m[1]);
+  const jan4 = Date.UTC(year, 0, 4);
+  const startMs = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS + (Number(m[2]) - 1) * WEEK_MS;
+  // W00, or W53 in a 52-week year, lands in another year's numbering.
+  if (isoWeekKey(startMs) !== m[0]) return { ok: false, error: `${m[0]} is not a week of ${year}` };
+  return { ok: true, key: m[0], startMs, endMs: startMs + WEEK_MS };
+}
+
+export function shiftChartWeek(key, weeks) {
+  const w = parseChartWeek(key);
+  return w.ok ? isoWeekKey(w.startMs + weeks * WEEK_MS) : null;
+}
+
+/** The most recent week that has ended by `nowMs`. */
+export function latestClosedWeek(nowMs = Date.now()) {
+  return isoWeekKey(nowMs - WEEK_MS);
+}
+
+// ── Building ─────────────────────────────────────────────────────────────────
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+function languageLabel(code) {
+  if (code === 'zxx') return 'Instrumental';
+  try { return languageNames.of(code) || code; } catch { return code; }
+}
+
+/** The charts one catalogue record counts towards: [{ type, key, label }]. */
+export function chartKeysFor(fields = {}) {
+  const keys = [];
+  const genre = firstNonEmpty(fields, ['Local Genre', 'Song Files::Local Genre']);
+  if (genre) keys.push({ type: 'genre', key: slugify(genre), label: genre });
+  const yearMatch = String(firstNonEmpty(fields, ['Year of Release', 'Original Release date', 'Year']) || '').match(/\b(19|20)\d{2}\b/);
+  const year = yearMatch ? Number(yearMatch[0]) : 0;
+  if (year >= 1900 && year <= new Date().getUTCFullYear()) {
+    const decade = `${Math.floor(year / 10) * 10}s`;
+    keys.push({ type: 'decade', key: decade, label: decade });
+  }
+  const language = String(firstNonEmpty(fields, ['Language Code']) || '').toLowerCase();
+  if (/^[a-z]{2,3}$/.test(language)) keys.push({ type: 'language', key: language, label: languageLabel(language) });
+  return keys;
+}
+
+/**
+ * Pure. `events` are readStreamEvent() results; `tracks` maps trackRecordId →
+ * catalogue fieldData (visible tracks only — anything missing is left out).
+ * → { listens, charts: [{ type, key, label, entries: [{ position, recordId,
+ *     title, artist, album, plays, listeners }] }] } without movement.
+ */
+export function buildWeeklyCharts(events, tracks, { startMs, endMs, depth = CHARTS_DEPTH, listenerCap = CHARTS_LISTENER_CAP }) {
+  const byTrack = new Map();
+  let listens = 0;
+  for (const ev of events) {
+    if (!isQualifyingPlay(ev, ROYALTY_QUALIFYING_SEC)) continue;
+    if (!(ev.startMs >= startMs && ev.startMs < endMs) || !tracks.has(ev.trackRecordId)) continue;
+    let t = byTrack.get(ev.trackRecordId);
+    if (!t) { t = { recordId: ev.trackRecordId, plays: 0, seconds: 0, perListener: new Map() }; byTrack.set(ev.trackRecordId, t); }
+    const listener = ev.listener || `anon:${ev.trackRecordId}`;
+    const counted = t.perListener.get(listener) || 0;
+    t.seconds += ev.playedSec;
+    if (counted >= listenerCap) continue;
+    t.perListener.set(listener, counted + 1);
+    t.plays += 1;
+    listens += 1;
+  }
+
+  const charts = new Map();
+  for (const t of byTrack.values()) {
+    const fields = tracks.get(t.recordId);
+    for (const c of chartKeysFor(fields)) {
+      const id = `${c.type}/${c.key}`;
+      if (!charts.has(id)) charts.set(id, { ...c, rows: [] });
+      charts.get(id).rows.push(t);
+    }
+  }
+
+  const ranked = [...charts.values()].map(({ rows, ...c }) => ({
+    ...c,
+    entries: rows
+      .sort((a, b) => b.plays - a.plays || b.perListener.size - a.perListener.size
+        || b.seconds - a.seconds || a.recordId.localeCompare(b.recordId))
+      .slice(0, depth)
+      .map((t, i) => {
+        const f = tracks.get(t.recordId);
+        return {
+          position: i + 1,
+          recordId: t.recordId,
+          title: firstNonEmpty(f, ['Track Name', 'Song Name', 'Track Title']) || '',
+          artist: firstNonEmpty(f, ['Track Artist', 'Artist', 'Album Artist']) || '',
+          album: firstNonEmpty(f, ['Album Title', 'Album']) || '',
+          plays: t.plays,
+          listeners: t.perListener.size
+        };
+      })
+  }));
+  ranked.sort((a, b) => a.type.localeCompare(b.type) || a.key.localeCompare(b.key));
+  return { listens, charts: ranked };
+}
+
+/**
+ * Movement against the chart's archive. `previous` maps recordId → the
+ * track's latest earlier entry ({ week, position, weeksOnChart, peak });
+ * `prevWeek` is the week before this one. Returns new entry objects.
+ */
+export function applyMovement(entries, previous, prevWeek) {
+  return entries.map((e) => {
+    const before = previous.get(e.recordId);
+    if (!before) return { ...e, movement: 'new', lastPosition: null, change: null, weeksOnChart: 1, peak: e.position };
+    const weeksOnChart = (before.weeksOnChart || 1) + 1;
+    const peak = Math.min(e.position, before.peak || before.position);
+    if (before.week !== prevWeek) return { ...e, movement: 're-entry', lastPosition: null, change: null, weeksOnChart, peak };
+    const change = before.position - e.position;
+    const movement = change > 0 ? 'up' : change < 0 ? 'down' : 'same';
+    return { ...e, movement, lastPosition: before.position, change, weeksOnChart, peak };
+  });
+}
+
+async function loadTracks(recordIds) {
+  const tracks = new Map();
+  const ids = [...recordIds];
+  for (let i = 0; i < ids.length; i += TRACK_LOOKUP_CONCURRENCY) {
+    const batch = ids.slice(i, i + TRACK_LOOKUP_CONCURRENCY);
+    const records = await Promise.all(batch.map((id) => getTrackRecordCached(FM_LAYOUT, id).catch(() => null)));
+    records.forEach((rec, j) => {
+      if (rec?.fieldData && recordIsVisible(rec.fieldData)) tracks.set(batch[j], rec.fieldData);
+    });
+  }
+  return tracks;
+}
+
+/**
+ * Build one week from FileMaker and publish it, replacing any earlier
+ * snapshot of that week. Throws when the archive is closed, the week hasn't
+ * ended, or the read was capped — a partial week must never be published.
+ */
+export async function snapshotChartWeek(weekKey, { nowMs = Date.now() } = {}) {
+  if (!store) throw new Error('Charts archive unavailable');
+  const week = parseChartWeek(weekKey);
+  if (!week.ok) throw new Error(week.error);
+  if (week.endMs > nowMs) throw new Error(`${week.key} has not ended yet`);
+
+  const range = `${formatTimestampUTC(new Date(week.startMs))}...${formatTimestampUTC(new Date(week.endMs + DAY_MS))}`;
+  const found = await fmFindAll(
+    FM_STREAM_EVENTS_LAYOUT,
+    [{ TimestampUTC: range }, { LastEventUTC: range }],
+    { pageSize: 1000, maxRecords: CHARTS_MAX_EVENTS }
+  );
+  // FM 401 = no records match — a quiet week, not a failure.
+  if (!found.ok && String(found.code) !== '401') {
+    throw new Error(`Charts stream query failed: ${found.msg || 'FM error'}${found.code ? ` (FM ${found.code})` : ''}`);
+  }
+  if (found.truncated) throw new Error(`${week.key}: more than CHARTS_MAX_EVENTS (${CHARTS_MAX_EVENTS}) stream events — raise it`);
+
+  const events = (found.ok ? found.data : []).map((r) => readStreamEvent(r.fieldData)).filter(Boolean);
+  const tracks = await loadTracks(new Set(events.map((ev) => ev.trackRecordId)));
+  const built = buildWeeklyCharts(events, tracks, week);
+  const prevWeek = shiftChartWeek(week.key, -1);
+  const charts = [];
+  for (const c of built.charts) {
+    charts.push({ ...c, entries: applyMovement(c.entries, await store.lastAppearances(c.type, c.key, week.key), prevWeek) });
+  }
+  await store.saveWeek(week.key, { generatedAt: nowMs, listens: built.listens, charts });
+  log.info(`${week.key}: ${charts.length} chart(s) from ${built.listens} qualifying play(s)`);
+  return { week: week.key, listens: built.listens, charts: charts.length };
+}
+
+// ── Reading ──────────────────────────────────────────────────────────────────
+
+export function isChartsReady() {
+  return store !== null;
+}
+
+/** Published weeks, newest first. */
+export async function listChartWeeks() {
+  return store.weeks();
+}
+
+/** Every chart published for a week: [{ type, key, label, entries, top }]. */
+export async function listCharts(week) {
+  return store.chartIndex(week);
+}
+
+/** One chart for a week → { label, entries } or null. */
+export async function getChart(type, key, week) {
+  return store.chart(type, key, week);
+}
+
+/** Weeks a chart was published, newest first. */
+export async function getChartWeeks(type, key) {
+  return store.chartWeeks(type, key);
+}
+
+// ── Lifecycle ────────────────────────────────────────────────────────────────
+
+function tick() {
+  if (snapshotting) return snapshotting;
+  const nowMs = Date.now();
+  const week = latestClosedWeek(nowMs);
+  if (nowMs < parseChartWeek(week).endMs + SETTLE_MS) return null;
+  snapshotting = store.hasWeek(week)
+    .then((has) => (has ? null : snapshotChartWeek(week, { nowMs })))
+    .catch((err) => log.warn(`snapshot ${week} failed (retrying next hour):`, err?.message || err))
+    .finally(() => { snapshotting = null; });
+  return snapshotting;
+}
+
+async function openStore(opts) {
+  try {
+    if (opts.store) {
+      store = opts.store;
+    } else if (isPgEnabled()) {
+      const { createPgChartStore } = await import('./chart-store-pg.js');
+      store = await createPgChartStore();
+    } else {
+      const { createSqliteChartStore } = await import('./chart-store-sqlite.js');
+      store = await createSqliteChartStore(opts.path || CHARTS_PATH);
+    }
+    log.info(`chart archive open (${store.kind})`);
+  } catch (err) {
+    store = null;
+    log.warn('chart archive unavailable — /api/charts answers 503:', err?.message || err);
+  }
+}
+
+/**
+ * Open the archive. Never throws; concurrent calls share one open. The
+ * snapshotting worker (WORKER_INDEX 0) checks hourly for a closed week that
+ * isn't published yet. `opts.store` injects a backend (tests).
+ */
+export async function initCharts({ snapshot = (process.env.WORKER_INDEX || '0') === '0', ...opts } = {}) {
+  if (!store) {
+    opening ||= openStore(opts).finally(() => { opening = null; });
+    await opening;
+    if (!store) return false;
+  }
+  if (snapshot && !timer) {
+    timer = setInterval(tick, CHECK_MS);
+    timer.unref?.();
+  }
+  return true;
+}
+
+export async function stopCharts() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  // A snapshot in flight keeps the archive open — closing it underneath would
+  // fail the write; the next boot's timer retries the week.
+  if (snapshotting || !store) return;
+  const closing = store;
+  store = null;
+  await closing.close();
+}
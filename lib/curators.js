@@ -0,0 +1,355 @@
+/**
+ * lib/curators.js — public curator profiles and follows, backed by FileMaker.
+ *
+ * FM layout: API_Curator_Profiles (env: FM_CURATOR_PROFILES_LAYOUT)
+ * Fields: Profile_ID, User_Email, Handle, Display_Name, Bio, Created_At,
+ *         Updated_At
+ *   One record per user who opted in. The handle and display name are what
+ *   the public sees — the email never leaves the server (POPIA), so a display
+ *   name that looks like an email is refused.
+ *
+ * FM layout: API_Follows (env: FM_FOLLOWS_LAYOUT)
+ * Fields: Follow_ID, Follower_Email, Target_Type, Target_ID, Share_ID,
+ *         Created_At
+ *   One record per follow. Target_Type 'playlist' (Target_ID is the
+ *   Playlist_ID, Share_ID the link it was followed through) or 'curator'
+ *   (Target_ID is the Profile_ID).
+ *
+ * A playlist is on its owner's profile while its Listed_At is set
+ * (lib/playlist-store.js) — it has to be shared first. Following a playlist
+ * through its link lasts as long as that link does: regenerating the share
+ * link drops followers who only had the old one, unless the playlist is
+ * listed. Callers: routes/curators.js (while CURATOR_PROFILES_ENABLED=true).
+ */
+
+import 'dotenv/config';
+import { randomUUID } from 'node:crypto';
+import { fmFindRecords, fmCreateRecord, fmUpdateRecord, fmDeleteRecord } from '../fm-client.js';
+import { normalizeEmail } from './format.js';
+import { fmExactMatch } from './validators.js';
+import { loadListedPlaylists, loadPlaylistById } from './playlist-store.js';
+
+const FM_PROFILES_LAYOUT = process.env.FM_CURATOR_PROFILES_LAYOUT || 'API_Curator_Profiles';
+const FM_FOLLOWS_LAYOUT  = process.env.FM_FOLLOWS_LAYOUT || 'API_Follows';
+
+export const FOLLOW_TARGETS = ['playlist', 'curator'];
+// Per listener, playlists and curators together.
+export const FOLLOWS_MAX = 200;
+export const FEED_LIMIT = 50;
+const LOAD_CONCURRENCY = 5;
+
+// Handles that would read as the service itself, or collide with app paths.
+const RESERVED_HANDLES = new Set([
+  'admin', 'api', 'curators', 'following', 'help', 'mad', 'madmusic', 'mad-music',
+  'me', 'official', 'profile', 'settings', 'support'
+]);
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,28})[a-z0-9]$/;
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a profile from the client → { ok, profile: { handle, displayName,
+ * bio } } or { ok: false, error }. Handles are lower-cased, 3–30 of a–z, 0–9
+ * and inner dashes.
+ */
+export function normalizeCuratorProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: 'profile must be an object' };
+
+  const handle = typeof raw.handle === 'string' ? raw.handle.trim().toLowerCase().replace(/^@/, '') : '';
+  if (!HANDLE_PATTERN.test(handle) || handle.includes('--')) {
+    return { ok: false, error: 'handle must be 3–30 letters, numbers or dashes' };
+  }
+  if (RESERVED_HANDLES.has(handle)) return { ok: false, error: 'That handle is reserved' };
+
+  const displayName = typeof raw.displayName === 'string' ? raw.displayName.trim().replace(/\s+/g, ' ') : '';
+  if (!displayName) return { ok: false, error: 'Display name required' };
+  if (displayName.length > 50) return { ok: false, error: 'Display name too long (max 50 chars)' };
+  if (displayName.includes('<') || displayName.includes('>')) return { ok: false, error: 'HTML tags not allowed' };
+  // The point of a display name is that it isn't the email.
+  if (displayName.includes('@')) return { ok: false, error: 'Display name can’t contain @ — it’s shown publicly' };
+
+  const bio = typeof raw.bio === 'string' ? raw.bio.trim() : '';
+  if (bio.length > 280) return { ok: false, error: 'Bio too long (max 280 chars)' };
+  if (bio.includes('<') || bio.includes('>')) return { ok: false, error: 'HTML tags not allowed' };
+
+  return { ok: true, profile: { handle, displayName, bio } };
+}
+
+// ── Record serialisation ──────────────────────────────────────────────────────
+
+function fmRecordToProfile(record) {
+  const f = record.fieldData || {};
+  return {
+    id:          f['Profile_ID']   || '',
+    email:       normalizeEmail(f['User_Email']),
+    handle:      f['Handle']       || '',
+    displayName: f['Display_Name'] || '',
+    bio:         f['Bio']          || '',
+    createdAt:   f['Created_At']   || null,
+    updatedAt:   f['Updated_At']   || null,
+    _fmRecordId: record.recordId
+  };
+}
+
+function fmRecordToFollow(record) {
+  const f = record.fieldData || {};
+  return {
+    id:         f['Follow_ID']      || '',
+    email:      normalizeEmail(f['Follower_Email']),
+    targetType: f['Target_Type']    || '',
+    targetId:   f['Target_ID']      || '',
+    shareId:    f['Share_ID']       || null,
+    createdAt:  f['Created_At']     || null,
+    _fmRecordId: record.recordId
+  };
+}
+
+/** What the public sees of a profile — never the email. */
+export const publicProfile = (profile) => (profile ? {
+  handle: profile.handle,
+  displayName: profile.displayName,
+  bio: profile.bio,
+  createdAt: profile.createdAt
+} : null);
+
+/** A listed (or followed) playlist as it appears on a profile or in the feed. */
+export function playlistSummary(playlist) {
+  const tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
+  const artwork = playlist.artwork || tracks
+    .map((t) => t?.artworkUrl || t?.artwork || '')
+    .find((u) => /^https?:\/\//i.test(u)) || '';
+  return {
+    shareId:    playlist.shareId,
+    name:       playlist.name || '',
+    trackCount: tracks.length,
+    artwork,
+    updatedAt:  playlist.updatedAt || null
+  };
+}
+
+// FileMaker record IDs only grow, so the lower one was created first.
+const byRecordId = (a, b) => Number(a._fmRecordId) - Number(b._fmRecordId);
+
+async function findAll(layout, query, limit) {
+  const result = await fmFindRecords(layout, [query], { limit });
+  return result?.data || [];
+}
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+export async function loadCuratorProfileByEmail(email) {
+  const [record] = await findAll(FM_PROFILES_LAYOUT, { 'User_Email': fmExactMatch(normalizeEmail(email)) }, 1);
+  return record ? fmRecordToProfile(record) : null;
+}
+
+export async function loadCuratorProfileByHandle(handle) {
+  const normalised = String(handle || '').trim().toLowerCase().replace(/^@/, '');
+  if (!normalised) return null;
+  const [record] = await findAll(FM_PROFILES_LAYOUT, { 'Handle': fmExactMatch(normalised) }, 1);
+  return record ? fmRecordToProfile(record) : null;
+}
+
+export async function loadCuratorProfileById(profileId) {
+  const [record] = await findAll(FM_PROFILES_LAYOUT, { 'Profile_ID': fmExactMatch(profileId) }, 1);
+  return record ? fmRecordToProfile(record) : null;
+}
+
+/**
+ * Create or update the caller's profile ({ handle, displayName, bio } already
+ * validated). The route checks the handle is free first, but two listeners
+ * can claim one at the same moment, so a new handle is re-checked after the
+ * write: if anyone else has it too, this save backs off — a new profile is
+ * deleted, an edit put back. Both racers may back off; neither keeps a
+ * shared handle. → the saved profile, or null when the handle is taken.
+ */
+export async function saveCuratorProfile(email, fields, existing = null) {
+  const now = new Date().toISOString();
+  const data = { 'Handle': fields.handle, 'Display_Name': fields.displayName, 'Bio': fields.bio, 'Updated_At': now };
+  let saved;
+  if (existing) {
+    await fmUpdateRecord(FM_PROFILES_LAYOUT, existing._fmRecordId, data);
+    saved = { ...existing, ...fields, updatedAt: now };
+  } else {
+    const profile = { id: randomUUID(), email: normalizeEmail(email), ...fields, createdAt: now, updatedAt: now };
+    const created = await fmCreateRecord(FM_PROFILES_LAYOUT, {
+      ...data, 'Profile_ID': profile.id, 'User_Email': profile.email, 'Created_At': now
+    });
+    saved = { ...profile, _fmRecordId: created?.recordId };
+  }
+  if (existing?.handle === fields.handle) return saved;
+
+  const claims = (await findAll(FM_PROFILES_LAYOUT, { 'Handle': fmExactMatch(fields.handle) }, 10)).map(fmRecordToProfile);
+  if (claims.every((p) => p.id === saved.id)) return saved;
+
+  if (existing) {
+    await fmUpdateRecord(FM_PROFILES_LAYOUT, existing._fmRecordId, {
+      'Handle': existing.handle, 'Display_Name': existing.displayName, 'Bio': existing.bio,
+      'Updated_At': existing.updatedAt || ''
+    });
+  } else {
+    await fmDeleteRecord(FM_PROFILES_LAYOUT, saved._fmRecordId);
+  }
+  return null;
+}
+
+export async function deleteCuratorProfile(profile) {
+  await fmDeleteRecord(FM_PROFILES_LAYOUT, profile._fmRecordId);
+}
+
+// ── Follows ───────────────────────────────────────────────────────────────────
+
+/** Everything an email follows, oldest first. */
+export async function loadFollowsFor(email) {
+  const records = await findAll(FM_FOLLOWS_LAYOUT, { 'Follower_Email': fmExactMatch(normalizeEmail(email)) }, FOLLOWS_MAX);
+  return records.map(fmRecordToFollow)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/** The caller's follow of one target, or null. */
+export async function loadFollow(email, targetType, targetId) {
+  const [record] = await findAll(FM_FOLLOWS_LAYOUT, {
+    'Follower_Email': fmExactMatch(normalizeEmail(email)),
+    'Target_Type': fmExactMatch(targetType),
+    'Target_ID': fmExactMatch(targetId)
+  }, 1);
+  return record ? fmRecordToFollow(record) : null;
+}
+
+/** How many follow a target. FileMaker's found count — no records are read. */
+export async function countFollowers(targetType, targetId) {
+  const result = await fmFindRecords(FM_FOLLOWS_LAYOUT, [{
+    'Target_Type': fmExactMatch(targetType),
+    'Target_ID': fmExactMatch(targetId)
+  }], { limit: 1 });
+  return result?.ok ? Number(result.total) || 0 : 0;
+}
+
+/**
+ * Record a follow. The route checks there isn't one already, but a double tap
+ * can get two requests past that check, so the follow is re-read after the
+ * write: the first record stays and any later duplicate is deleted. → the
+ * follow that stands, with `created` false when it was an earlier one.
+ */
+export async function createFollow({ email, targetType, targetId, shareId = null }) {
+  const follow = {
+    id: randomUUID(), email: normalizeEmail(email), targetType, targetId,
+    shareId: shareId || null, createdAt: new Date().toISOString()
+  };
+  const created = await fmCreateRecord(FM_FOLLOWS_LAYOUT, {
+    'Follow_ID': follow.id, 'Follower_Email': follow.email, 'Target_Type': targetType,
+    'Target_ID': targetId, 'Share_ID': follow.shareId || '', 'Created_At': follow.createdAt
+  });
+  const mine = { ...follow, _fmRecordId: created?.recordId };
+
+  const [first] = (await findAll(FM_FOLLOWS_LAYOUT, {
+    'Follower_Email': fmExactMatch(follow.email),
+    'Target_Type': fmExactMatch(targetType),
+    'Target_ID': fmExactMatch(targetId)
+  }, 10)).map(fmRecordToFollow).sort(byRecordId);
+  if (!first || first.id === mine.id) return { ...mine, created: true };
+  await deleteFollow(mine);
+  return { ...first, created: false };
+}
+
+export async function deleteFollow(follow) {
+  await fmDeleteRecord(FM_FOLLOWS_LAYOUT, follow._fmRecordId);
+}
+
+/**
+ * Drop everyone's follows of a target (a deleted profile). Best effort —
+ * a follow left behind points at nothing and drops out of the feed anyway.
+ */
+export async function deleteFollowsOf(targetType, targetId) {
+  try {
+    const records = await findAll(FM_FOLLOWS_LAYOUT, {
+      'Target_Type': fmExactMatch(targetType),
+      'Target_ID': fmExactMatch(targetId)
+    }, 1000);
+    for (const record of records) await fmDeleteRecord(FM_FOLLOWS_LAYOUT, record.recordId);
+  } catch (err) {
+    console.warn('[MASS] Follow clean-up failed:', err?.message || err);
+  }
+}
+
+// ── Feed ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a followed playlist is still reachable by its follower: still
+ * shared, and through the same link — or listed on a profile, where anyone
+ * can find the current one.
+ */
+export const followStillReaches = (playlist, follow) =>
+  Boolean(playlist?.shareId) && (playlist.shareId === follow.shareId || Boolean(playlist.listedAt));
+
+/**
+ * Feed items from what was loaded → newest first, one per playlist, only
+ * those updated after the follow began (and after `since`, when given).
+ * Pure. `entries` are [{ follow, playlist, curator }].
+ */
+export function selectFeedItems(entries, { since = null, limit = FEED_LIMIT, email = '' } = {}) {
+  const sinceMs = since ? Date.parse(since) : Number.NaN;
+  const byPlaylist = new Map();
+  for (const { follow, playlist, curator } of entries) {
+    if (!playlist?.shareId || !playlist.updatedAt) continue;
+    if (email && normalizeEmail(playlist.userId) === normalizeEmail(email)) continue;
+    const updatedMs = Date.parse(playlist.updatedAt);
+    const fromMs = Math.max(Date.parse(follow.createdAt) || 0, Number.isNaN(sinceMs) ? 0 : sinceMs);
+    if (!(updatedMs > fromMs)) continue;
+    const seen = byPlaylist.get(playlist.id);
+    // A playlist followed directly and through its curator shows once, as followed.
+    if (seen && seen.via === 'playlist') continue;
+    byPlaylist.set(playlist.id, {
+      via: follow.targetType,
+      playlist: playlistSummary(playlist),
+      curator: curator ? { handle: curator.handle, displayName: curator.displayName } : null,
+      updatedAt: playlist.updatedAt
+    });
+  }
+  return [...byPlaylist.values()]
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+    .slice(0, limit);
+}
+
+async function inBatches(items, load) {
+  const out = [];
+  for (let i = 0; i < items.length; i += LOAD_CONCURRENCY) {
+    const batch = items.slice(i, i + LOAD_CONCURRENCY);
+    out.push(...await Promise.all(batch.map((item) => load(item).catch(() => null))));
+  }
+  return out;
+}
+
+/**
+ * "Playlists you follow were updated": followed playlists still reachable,
+ * plus the listed playlists of followed curators → feed items (see
+ * selectFeedItems). Playlists and profiles that are gone drop out.
+ */
+export async function buildFollowFeed(email, { since = null, limit = FEED_LIMIT } = {}) {
+  const follows = await loadFollowsFor(email);
+  const profiles = new Map();
+  const profileFor = async (emailOrNull, profileId = null) => {
+    const key = profileId ? `id:${profileId}` : `email:${emailOrNull}`;
+    if (!profiles.has(key)) {
+      profiles.set(key, profileId ? loadCuratorProfileById(profileId) : loadCuratorProfileByEmail(emailOrNull));
+    }
+    return profiles.get(key);
+  };
+
+  const loaded = await inBatches(follows, async (follow) => {
+    if (follow.targetType === 'playlist') {
+      const playlist = await loadPlaylistById(follow.targetId);
+      if (!followStillReaches(playlist, follow)) return [];
+      // Only a listed playlist is tied to its curator in public.
+      const curator = playlist.listedAt ? await profileFor(normalizeEmail(playlist.userId)) : null;
+      return [{ follow, playlist, curator }];
+    }
+    if (follow.targetType === 'curator') {
+      const curator = await profileFor(null, follow.targetId);
+      if (!curator) return [];
+      const playlists = await loadListedPlaylists(curator.email);
+      return playlists.map((playlist) => ({ follow, playlist, curator }));
+    }
+    return [];
+  });
+  return selectFeedItems(loaded.flatMap((entries) => entries || []), { since, limit, email });
+}
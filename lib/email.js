@@ -211,3 +211,102 @@ export function sendSubscriptionWelcomeEmail(customerEmail, tokenCode, planLabel
     throw err;
   });
 }
+
+// ── MAD Wrapped ──────────────────────────────────────────────────────────────
+// A listener's year/month in review (lib/wrapped.js) with a link to its share
+// page. Rejects when email isn't configured, like the claim code — both the
+// "email it to me" button and scripts/wrapped.mjs need to know it didn't go.
+
+export function sendWrappedEmail(customerEmail, summary, shareUrl) {
+  if (!emailTransporter) {
+    console.log('[MASS] Email transporter not configured — cannot send Wrapped email');
+    return Promise.reject(new Error('Email service not configured'));
+  }
+  if (!customerEmail || customerEmail === 'unknown') {
+    return Promise.reject(new Error('Recipient email required'));
+  }
+
+  const label = summary?.period?.label || '';
+  const t = summary?.totals || {};
+  const list = (rows, line) => (rows || []).map((r, i) =>
+    `<li style="margin-bottom:4px;">${i + 1}. ${line(r)}</li>`).join('');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 520px; margin: 0 auto; padding: 24px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 8px;">Your ${escapeHtml(label)} on MAD Music</h2>
+      <p style="color: #555; margin-bottom: 16px;">
+        <strong>${escapeHtml((t.minutes || 0).toLocaleString('en-US'))}</strong> minutes of music,
+        ${escapeHtml(String(t.tracks || 0))} different tracks from ${escapeHtml(String(t.artists || 0))} artists.
+      </p>
+      ${summary?.topArtists?.length ? `
+      <h3 style="color: #1a1a1a; margin: 16px 0 8px;">Top artists</h3>
+      <ol style="list-style: none; padding: 0; margin: 0; color: #333;">${list(summary.topArtists, (a) => escapeHtml(a.name))}</ol>` : ''}
+      ${summary?.topTracks?.length ? `
+      <h3 style="color: #1a1a1a; margin: 16px 0 8px;">Top tracks</h3>
+      <ol style="list-style: none; padding: 0; margin: 0; color: #333;">${list(summary.topTracks, (r) => `${escapeHtml(r.title)} <span style="color:#888;">— ${escapeHtml(r.artist)}</span>`)}</ol>` : ''}
+      ${summary?.oldestRecording ? `
+      <p style="color: #555; margin-top: 16px;">Oldest recording you played: <strong>${escapeHtml(summary.oldestRecording.title)}</strong>
+        (${escapeHtml(String(summary.oldestRecording.year))}) by ${escapeHtml(summary.oldestRecording.artist)}.</p>` : ''}
+      <div style="text-align: center; margin: 28px 0;">
+        <a href="${escapeHtml(shareUrl)}" style="background: #8b5cf6; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">See and share your ${escapeHtml(label)}</a>
+      </div>
+      <hr style="border: none; border-top: 1px solid #ddd; margin: 24px 0;" />
+      <p style="color: #999; font-size: 12px;">Listening you paused or cleared in MAD Music is not included.</p>
+    </div>
+  `;
+
+  return emailTransporter.sendMail({
+    from:    EMAIL_FROM,
+    to:      customerEmail,
+    subject: `Your ${label} on MAD Music`,
+    text:    `Your ${label} on MAD Music: ${t.minutes || 0} minutes of music. See and share it: ${shareUrl}`,
+    html
+  }).then(() => {
+    console.log(`[MASS] Wrapped email sent to ${customerEmail}`);
+  }).catch(err => {
+    console.error(`[MASS] Failed to send Wrapped email to ${customerEmail}:`, err?.message || err);
+    throw err;
+  });
+}
+
+// ── Collaborative playlist invite ─────────────────────────────────────────────
+// routes/playlist-collab.js. The invite is accepted inside the app (the
+// access token's email must match), so the link just opens it.
+
+export function sendPlaylistInviteEmail(customerEmail, { inviter, playlistName, role, appUrl }) {
+  if (!emailTransporter) {
+    console.log('[MASS] Email transporter not configured — cannot send playlist invite');
+    return Promise.reject(new Error('Email service not configured'));
+  }
+  if (!customerEmail) {
+    return Promise.reject(new Error('Recipient email required'));
+  }
+
+  const can = role === 'editor' ? 'add and remove tracks' : 'listen along';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 520px; margin: 0 auto; padding: 24px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 8px;">Build a playlist together on MAD Music</h2>
+      <p style="color: #555; margin-bottom: 16px;">
+        <strong>${escapeHtml(inviter)}</strong> invited you to <strong>${escapeHtml(playlistName)}</strong>
+        — as ${role === 'editor' ? 'an editor' : 'a viewer'}, you can ${escapeHtml(can)}.
+      </p>
+      <div style="text-align: center; margin: 28px 0;">
+        <a href="${escapeHtml(appUrl)}" style="background: #8b5cf6; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">Open MAD Music to accept</a>
+      </div>
+      <hr style="border: none; border-top: 1px solid #ddd; margin: 24px 0;" />
+      <p style="color: #999; font-size: 12px;">Sign in with an access token issued to ${escapeHtml(customerEmail)} — the invite is under Playlists. If you weren't expecting this, ignore it.</p>
+    </div>
+  `;
+
+  return emailTransporter.sendMail({
+    from:    EMAIL_FROM,
+    to:      customerEmail,
+    subject: `${inviter} invited you to "${playlistName}" on MAD Music`,
+    text:    `${inviter} invited you to the playlist "${playlistName}" on MAD Music, where you can ${can}. Open ${appUrl} and accept it under Playlists.`,
+    html
+  }).then(() => {
+    console.log(`[MASS] Playlist invite email sent to ${customerEmail}`);
+  }).catch(err => {
+    console.error(`[MASS] Failed to send playlist invite to ${customerEmail}:`, err?.message || err);
+    throw err;
+  });
+}
@@ -0,0 +1,362 @@
+/**
+ * lib/engagement.js — skip / completion analytics per track and album, built
+ * from Stream_Events, and the ranking signal they feed back.
+ *
+ * Every listen is one Stream_Events record (routes/access.js): PLAY opens it,
+ * SEEK / PROGRESS / PAUSE update it and END closes it, with TotalPlayedSec
+ * (seconds actually heard) and DurationSec on the record. Over a rolling
+ * window (ENGAGEMENT_WINDOW_DAYS) each track and album gets:
+ *
+ *   skipRate       share of listens stopped inside the first 30 s (tracks
+ *                  shorter than that can't be skipped and don't count)
+ *   avgCompletion  mean share of the track heard (TotalPlayedSec / DurationSec)
+ *   replayRate     share of listeners who came back on another day
+ *   score          one 0–1 blend of the three, pulled toward the catalogue
+ *                  average until a track has enough listens to speak for itself
+ *
+ * Guest previews (clipped at 30 s) and listens that may still be playing are
+ * left out. Albums group tracks by title + album artist, album-first like
+ * lib/album-dedup.js, with the catalogue number kept for lookups.
+ *
+ * One worker (WORKER_INDEX 0, or the batch script) rebuilds the snapshot every
+ * ENGAGEMENT_REFRESH_MS and writes data/engagement.json; the other workers
+ * pick the file up. Readers — routes/engagement.js (admin), /trending and the
+ * "Similar albums" scorer (lib/semantic-index.js) — only ever read the
+ * in-memory snapshot, never FileMaker.
+ *
+ * Callers: server.js (initEngagement, ENGAGEMENT_ENABLED), routes/engagement.js,
+ * routes/catalog/trending.js, routes/suggestions.js, scripts/engagement-report.mjs.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fmFindAll } from '../fm-client.js';
+import { FM_LAYOUT, FM_STREAM_EVENTS_LAYOUT, firstNonEmpty } from './fm-fields.js';
+import { formatTimestampUTC, normalizeSeconds, parsePositiveInt } from './format.js';
+import { parseEventTimestampUTC, readStreamEvent } from './royalty-report.js';
+import { getTrackRecordCached } from './track-cache.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('engagement');
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Constants ────────────────────────────────────────────────────────────────
+export const ENGAGEMENT_SKIP_SEC = 30;
+export const ENGAGEMENT_WINDOW_DAYS = parsePositiveInt(process.env.ENGAGEMENT_WINDOW_DAYS, 28);
+// Listens a track needs before its own rates outweigh the catalogue average.
+export const ENGAGEMENT_PRIOR_LISTENS = parsePositiveInt(process.env.ENGAGEMENT_PRIOR_LISTENS, 10);
+const ENGAGEMENT_REFRESH_MS = parsePositiveInt(process.env.ENGAGEMENT_REFRESH_MS, 6 * 60 * 60 * 1000);
+const ENGAGEMENT_MAX_EVENTS = parsePositiveInt(process.env.ENGAGEMENT_MAX_EVENTS, 200000);
+const ENGAGEMENT_FILE = process.env.ENGAGEMENT_FILE || path.join(__dirname, '..', 'data', 'engagement.json');
+// A listen whose last event is this recent may still be playing — it would
+// read as a skip.
+const SETTLE_MS = 15 * 60 * 1000;
+const CHECK_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRACK_LOOKUP_CONCURRENCY = 8;
+// Score blend: not skipping matters most, then how much was heard, then
+// coming back.
+const W_NO_SKIP = 0.5, W_COMPLETION = 0.35, W_REPLAY = 0.15;
+
+const norm = (s) => String(s ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// ── Album identity ───────────────────────────────────────────────────────────
+
+/**
+ * A catalogue record's album: { key, title, artist, catalogue }, or null when
+ * it names no album. Key = title|||album artist, album-first (lib/album-dedup.js).
+ */
+export function albumIdentity(fields = {}) {
+  const title = firstNonEmpty(fields, ['Album Title', 'Tape Files::Album Title', 'Tape Files::Album_Title']) || '';
+  if (!title) return null;
+  const artist = firstNonEmpty(fields, ['Tape Files::Album Artist', 'Album Artist', 'Track Artist']) || '';
+  const catalogue = firstNonEmpty(fields, ['Album Catalogue Number', 'Reference Catalogue Number', 'Tape Files::Reference Catalogue Number']) || '';
+  return { key: `${norm(title)}|||${norm(artist)}`, title, artist, catalogue };
+}
+
+// ── Aggregation (pure) ───────────────────────────────────────────────────────
+
+/** One Stream_Events record → readStreamEvent() plus duration and last-event time. */
+export function readEngagementListen(fields = {}) {
+  const ev = readStreamEvent(fields);
+  if (!ev) return null;
+  return {
+    ...ev,
+    durationSec: normalizeSeconds(fields.DurationSec),
+    lastMs: parseEventTimestampUTC(fields.LastEventUTC || fields.TimestampUTC) || ev.startMs
+  };
+}
+
+function newBucket(seed) {
+  return { ...seed, listens: 0, skipEligible: 0, skips: 0, completionSum: 0, completionN: 0, days: new Map() };
+}
+
+function addListen(b, ev) {
+  b.listens += 1;
+  if (!(ev.durationSec > 0 && ev.durationSec <= ENGAGEMENT_SKIP_SEC)) {
+    b.skipEligible += 1;
+    if (ev.playedSec < ENGAGEMENT_SKIP_SEC) b.skips += 1;
+  }
+  if (ev.durationSec > 0) {
+    b.completionSum += Math.min(1, ev.playedSec / ev.durationSec);
+    b.completionN += 1;
+  }
+  if (ev.listener) {
+    let days = b.days.get(ev.listener);
+    if (!days) { days = new Set(); b.days.set(ev.listener, days); }
+    days.add(Math.floor(ev.startMs / DAY_MS));
+  }
+}
+
+function rates(b) {
+  let returning = 0;
+  for (const days of b.days.values()) if (days.size > 1) returning += 1;
+  return {
+    skipRate: b.skipEligible ? b.skips / b.skipEligible : 0,
+    avgCompletion: b.completionN ? b.completionSum / b.completionN : 0,
+    replayRate: b.days.size ? returning / b.days.size : 0
+  };
+}
+
+const blend = (r) => W_NO_SKIP * (1 - r.skipRate) + W_COMPLETION * r.avgCompletion + W_REPLAY * r.replayRate;
+
+function finish(b, prior) {
+  const { days, skipEligible: _e, completionSum: _s, completionN: _n, ...rest } = b;
+  const r = rates(b);
+  const k = ENGAGEMENT_PRIOR_LISTENS;
+  return {
+    ...rest,
+    listeners: days.size,
+    skipRate: round3(r.skipRate),
+    avgCompletion: round3(r.avgCompletion),
+    replayRate: round3(r.replayRate),
+    score: round3((blend(r) * b.listens + prior * k) / (b.listens + k))
+  };
+}
+
+/**
+ * Fold listens (readEngagementListen() results) into per-track and per-album
+ * rows. Pure. A listen counts when it started at or after startMs and its last
+ * event is before endMs (so one still playing at endMs waits); PREVIEW
+ * listens and ones quarantined by abuse scoring never count. `albums` maps trackRecordId → albumIdentity().
+ * Rows are sorted by listens, most first.
+ */
+export function aggregateEngagement(listens, { startMs, endMs, albums = new Map() }) {
+  const all = newBucket({});
+  const byTrack = new Map();
+  const byAlbum = new Map();
+  for (const ev of listens) {
+    if (!ev || ev.mode === 'PREVIEW' || ev.quarantined || !(ev.startMs >= startMs && (ev.lastMs || ev.startMs) < endMs)) continue;
+    addListen(all, ev);
+    let t = byTrack.get(ev.trackRecordId);
+    if (!t) { t = newBucket({ recordId: ev.trackRecordId, title: ev.title, artist: ev.artist }); byTrack.set(ev.trackRecordId, t); }
+    addListen(t, ev);
+    const album = albums.get(ev.trackRecordId);
+    if (album) {
+      let a = byAlbum.get(album.key);
+      if (!a) { a = newBucket({ ...album, trackIds: new Set() }); byAlbum.set(album.key, a); }
+      a.trackIds.add(ev.trackRecordId);
+      addListen(a, ev);
+    }
+  }
+
+  const overall = rates(all);
+  const prior = blend(overall);
+  const byListens = (a, b) => b.listens - a.listens || b.score - a.score;
+  return {
+    totals: {
+      listens: all.listens,
+      tracks: byTrack.size,
+      albums: byAlbum.size,
+      skipRate: round3(overall.skipRate),
+      avgCompletion: round3(overall.avgCompletion),
+      replayRate: round3(overall.replayRate),
+      score: round3(prior)
+    },
+    tracks: [...byTrack.values()].map((b) => finish(b, prior)).sort(byListens),
+    albums: [...byAlbum.values()]
+      .map(({ trackIds, ...b }) => ({ ...finish(b, prior), tracks: trackIds.size }))
+      .sort(byListens)
+  };
+}
+
+/**
+ * Where a score sits against the catalogue average `prior` (the snapshot's
+ * totals.score, which every score is shrunk toward): 0 at the prior, 1 for a
+ * track everyone finishes, −1 for one everyone skips. Each side is scaled on
+ * its own, so a catalogue averaging 0.7 still spans the whole range.
+ */
+export function engagementLean(score, prior = engagementPrior()) {
+  if (!Number.isFinite(score)) return 0;
+  const span = score >= prior ? 1 - prior : prior;
+  return span > 0 ? (score - prior) / span : 0;
+}
+
+/**
+ * Ranking multiplier for a score: 1 at the catalogue average (or no data),
+ * up to 1 + weight for a track everyone finishes, down to 1 − weight for one
+ * everyone skips.
+ */
+export function engagementWeight(score, weight, prior = engagementPrior()) {
+  if (!Number.isFinite(score) || !(weight > 0)) return 1;
+  return 1 + weight * engagementLean(score, prior);
+}
+
+// ── Snapshot ─────────────────────────────────────────────────────────────────
+
+let snapshot = null;   // { builtAt, window, truncated, totals, tracks, albums }
+let byTrackId = new Map();
+let byAlbumKey = new Map();
+let byCatalogue = new Map();
+let fileMtimeMs = 0;
+let refreshing = null;
+let timer = null;
+
+function adopt(snap) {
+  snapshot = snap;
+  byTrackId = new Map(snap.tracks.map((t) => [t.recordId, t]));
+  byAlbumKey = new Map(snap.albums.map((a) => [a.key, a]));
+  byCatalogue = new Map();
+  for (const a of snap.albums) if (a.catalogue && !byCatalogue.has(norm(a.catalogue))) byCatalogue.set(norm(a.catalogue), a);
+}
+
+/** The current snapshot, or null before the first build. */
+export function getEngagementSnapshot() {
+  return snapshot;
+}
+
+/**
+ * The catalogue average the snapshot's scores were shrunk toward — what a
+ * track with no listens of its own would score. 0.5 before the first build.
+ */
+export function engagementPrior() {
+  const prior = snapshot?.totals?.score;
+  return Number.isFinite(prior) && prior > 0 && prior < 1 ? prior : 0.5;
+}
+
+/** A track's score, or null when it has no listens in the window. */
+export function trackEngagementScore(recordId) {
+  return byTrackId.get(String(recordId ?? ''))?.score ?? null;
+}
+
+/**
+ * An album's score by catalogue number, else title + album artist (the shape
+ * of a "Similar albums" card), or null.
+ */
+export function albumEngagementScore({ catalogue, album, artist } = {}) {
+  const row = (catalogue && byCatalogue.get(norm(catalogue))) || byAlbumKey.get(`${norm(album)}|||${norm(artist)}`);
+  return row?.score ?? null;
+}
+
+async function loadAlbums(trackIds) {
+  const albums = new Map();
+  const ids = [...trackIds];
+  for (let i = 0; i < ids.length; i += TRACK_LOOKUP_CONCURRENCY) {
+    const batch = ids.slice(i, i + TRACK_LOOKUP_CONCURRENCY);
+    const records = await Promise.all(batch.map((id) => getTrackRecordCached(FM_LAYOUT, id).catch(() => null)));
+    records.forEach((rec, j) => {
+      const album = rec?.fieldData ? albumIdentity(rec.fieldData) : null;
+      if (album) albums.set(batch[j], album);
+    });
+  }
+  return albums;
+}
+
+/**
+ * Build a snapshot from FileMaker: every Stream_Events record touched since
+ * the window opened, then the catalogue records of the tracks heard (cached,
+ * Postgres mirror when enabled) for album grouping. Does not adopt it.
+ */
+export async function buildEngagement({ nowMs = Date.now(), days = ENGAGEMENT_WINDOW_DAYS } = {}) {
+  const startMs = nowMs - days * DAY_MS;
+  const endMs = nowMs - SETTLE_MS;
+  const range = `${formatTimestampUTC(new Date(startMs))}...${formatTimestampUTC(new Date(nowMs))}`;
+  const found = await fmFindAll(
+    FM_STREAM_EVENTS_LAYOUT,
+    [{ LastEventUTC: range }, { TimestampUTC: range }],
+    { pageSize: 1000, maxRecords: ENGAGEMENT_MAX_EVENTS, sort: [{ fieldName: 'TimestampUTC', sortOrder: 'descend' }] }
+  );
+  // FM 401 = no records match — a quiet window, not a failure.
+  if (!found.ok && String(found.code) !== '401') {
+    throw new Error(`Engagement stream query failed: ${found.msg || 'FM error'}${found.code ? ` (FM ${found.code})` : ''}`);
+  }
+  // Newest first, so a capped read keeps the recent end of the window.
+  if (found.truncated) log.warn(`stream events capped at ENGAGEMENT_MAX_EVENTS (${ENGAGEMENT_MAX_EVENTS}) — window is partial`);
+
+  const listens = (found.ok ? found.data : []).map((r) => readEngagementListen(r.fieldData)).filter(Boolean);
+  const albums = await loadAlbums(new Set(listens.map((ev) => ev.trackRecordId)));
+  return {
+    builtAt: new Date(nowMs).toISOString(),
+    window: { from: new Date(startMs).toISOString(), to: new Date(endMs).toISOString(), days },
+    truncated: !!found.truncated,
+    ...aggregateEngagement(listens, { startMs, endMs, albums })
+  };
+}
+
+async function writeSnapshot(snap) {
+  const tmp = `${ENGAGEMENT_FILE}.tmp.${process.pid}`;
+  await fsp.mkdir(path.dirname(ENGAGEMENT_FILE), { recursive: true });
+  await fsp.writeFile(tmp, JSON.stringify(snap), 'utf8');
+  await fsp.rename(tmp, ENGAGEMENT_FILE);
+  fileMtimeMs = (await fsp.stat(ENGAGEMENT_FILE)).mtimeMs;
+}
+
+async function readSnapshot() {
+  try {
+    const stat = await fsp.stat(ENGAGEMENT_FILE);
+    if (stat.mtimeMs === fileMtimeMs) return false;
+    const snap = JSON.parse(await fsp.readFile(ENGAGEMENT_FILE, 'utf8'));
+    if (!snap || !Array.isArray(snap.tracks) || !Array.isArray(snap.albums)) return false;
+    fileMtimeMs = stat.mtimeMs;
+    adopt(snap);
+    return true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn(`engagement.json read failed: ${err.message}`);
+    return false;
+  }
+}
+
+/** Rebuild now, adopt and persist. Concurrent calls share one build. */
+export function refreshEngagement(opts) {
+  if (refreshing) return refreshing;
+  refreshing = (async () => {
+    const started = Date.now();
+    const snap = await buildEngagement(opts);
+    adopt(snap);
+    await writeSnapshot(snap).catch((err) => log.warn(`engagement.json write failed: ${err.message}`));
+    log.info(`rebuilt: ${snap.totals.listens} listens, ${snap.tracks.length} tracks, ${snap.albums.length} albums (${Date.now() - started}ms)`);
+    return snap;
+  })().finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+const isStale = () => !snapshot || Date.now() - Date.parse(snapshot.builtAt) >= ENGAGEMENT_REFRESH_MS;
+
+/**
+ * Load the saved snapshot and keep it current: the building worker rebuilds
+ * when it goes stale, the others re-read the file when it changes. Never
+ * throws; safe to call once at boot.
+ */
+export async function initEngagement({ build = (process.env.WORKER_INDEX || '0') === '0' } = {}) {
+  await readSnapshot();
+  const tick = () => {
+    if (build && isStale()) {
+      refreshEngagement().catch((err) => log.warn('rebuild failed (keeping current):', err?.message || err));
+    } else if (!build) {
+      readSnapshot();
+    }
+  };
+  if (!timer) {
+    timer = setInterval(tick, CHECK_MS);
+    timer.unref?.();
+  }
+  tick();
+  return snapshot;
+}
+
+export function stopEngagement() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
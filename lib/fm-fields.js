@@ -32,6 +32,20 @@ export const ARTWORK_FIELD_CANDIDATES = [
   'Artwork_S3_URL', 'Tape Files::Artwork_S3_URL', 'Artwork::Picture', 'Artwork Picture',
   'Picture', 'CoverArtURL', 'AlbumCover', 'Cover Art', 'CoverArt'
 ];
+// Guest-preview start offset in seconds (routes/preview.js). An editorial
+// Preview_Start_Sec always wins over the analyzer's energy-peak estimate.
+export const PREVIEW_START_FIELD_CANDIDATES = ['Preview_Start_Sec', 'Tape Files::Preview_Start_Sec', 'AI_PreviewStartSec'];
+// Loudness measured offline by scripts/analyzer (EBU R128). Players normalise
+// with these; the album value only exists once the whole album is measured.
+export const LOUDNESS_FIELD_CANDIDATES       = ['AI_LoudnessLUFS'];
+export const PEAK_FIELD_CANDIDATES           = ['AI_PeakDBFS'];
+export const ALBUM_LOUDNESS_FIELD_CANDIDATES = ['AI_AlbumLoudnessLUFS'];
+// Who a recording's royalties are reported to (lib/royalty-report.js). Not on
+// every layout revision yet — tracks without one land under "Unassigned".
+export const RIGHTS_HOLDER_FIELD_CANDIDATES = [
+  'Rights_Holder', 'Tape Files::Rights_Holder', 'Label', 'Tape Files::Label', 'Record Label', 'Tape Files::Record Label'
+];
+export const ISRC_FIELD_CANDIDATES = ['ISRC', 'Tape Files::ISRC'];
 export const CATALOGUE_FIELD_CANDIDATES = [
   'Album Catalogue Number', 'Reference Catalogue Number', 'Tape Files::Reference Catalogue Number'
 ];
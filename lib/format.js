@@ -109,6 +109,17 @@ export function formatTimestampUTC(dateInput = new Date()) {
   return `${month}/${day}/${year} ${hours}:${minutes}:${seconds}`;
 }
 
+// FM Timestamp fields expect MM/DD/YYYY HH:MM:SS (server-local); Text fields
+// accept ISO strings. The stores write this and normalise on read, so both
+// field types work. '' for a missing or unparseable date.
+export function toFMTimestamp(isoString) {
+  if (!isoString) return '';
+  const d = new Date(isoString);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()} ` +
+         `${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
+}
+
 export function parseFileMakerTimestamp(value) {
   if (value instanceof Date) {
     const ts = value.getTime();
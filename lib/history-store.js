@@ -0,0 +1,176 @@
+/**
+ * lib/history-store.js — Per-listener privacy settings for listening history,
+ * backed by FileMaker (API_History layout). One record per access token.
+ *
+ * FM layout: API_History (env: FM_HISTORY_LAYOUT)
+ * Fields: History_ID, Token_Number, Settings_JSON, Updated_At
+ *
+ * Stream_Events records are the royalty log — "clear history" can't delete
+ * them, and "pause history" can't stop them being written. Instead the
+ * settings say which listens the history views must hide:
+ *
+ *   clearedAt    every listen that started before this instant
+ *   pauses       closed pause windows [{ from, to }] (newest last, capped)
+ *   pausedSince  an open pause window, while history is paused
+ *
+ * /api/history (routes/history.js) and /api/my-stats read them through
+ * isHiddenFromHistory().
+ *
+ * Each worker caches settings. A clear / pause drops the token's entry in the
+ * worker that wrote it and, through the primary (cluster.js), in every other
+ * worker — otherwise they would keep recording listens into history and play
+ * counts until their copy expired. The short TTL covers a lost message and
+ * separate instances.
+ */
+
+import 'dotenv/config';
+import cluster from 'node:cluster';
+import { randomUUID } from 'node:crypto';
+import { LRUCache } from 'lru-cache';
+import { fmFindRecords, fmCreateRecord, fmUpdateRecord } from '../fm-client.js';
+import { toFMTimestamp } from './format.js';
+import { createKeyLock } from './key-lock.js';
+import { fmExactMatch } from './validators.js';
+
+const FM_HISTORY_LAYOUT = process.env.FM_HISTORY_LAYOUT || 'API_History';
+
+// Bounds the JSON blob. Past this the oldest windows fall off (and their
+// listens reappear) — "clear history" is the tool for hiding the distant past.
+const MAX_PAUSE_WINDOWS = 50;
+
+export const DEFAULT_HISTORY_SETTINGS = Object.freeze({ clearedAt: null, paused: false, pausedSince: null, pauses: [] });
+
+// Every history read needs the settings; they only change on an explicit
+// clear / pause, which write through this cache and tell the other workers.
+const settingsCache = new LRUCache({ max: 5000, ttl: 30 * 1000 });
+
+// IPC message type — cluster.js relays messages of this type between workers.
+export const HISTORY_SETTINGS_IPC_TYPE = 'mass:history-settings';
+
+let channel = null;              // the IPC link to the primary (process, in a cluster worker)
+
+// ── Pure helpers ──────────────────────────────────────────────────────────────
+
+function isoOrNull(value) {
+  const ms = Date.parse(value || '');
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/** Coerce stored JSON into a well-formed settings object. */
+export function normalizeHistorySettings(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const pausedSince = isoOrNull(s.pausedSince);
+  return {
+    clearedAt: isoOrNull(s.clearedAt),
+    paused: !!s.paused && !!pausedSince,
+    pausedSince: s.paused ? pausedSince : null,
+    pauses: (Array.isArray(s.pauses) ? s.pauses : [])
+      .map((w) => ({ from: isoOrNull(w?.from), to: isoOrNull(w?.to) }))
+      .filter((w) => w.from && w.to && w.from <= w.to)
+      .slice(-MAX_PAUSE_WINDOWS)
+  };
+}
+
+/** Settings after "clear history" at `nowIso`. Pure. */
+export function clearHistorySettings(settings, nowIso = new Date().toISOString()) {
+  const s = normalizeHistorySettings(settings);
+  // Closed windows are all before the new cut-off — nothing left for them to hide.
+  return { ...s, clearedAt: nowIso, pauses: [] };
+}
+
+/** Settings after pausing / resuming history at `nowIso`. Pure. */
+export function setHistoryPaused(settings, paused, nowIso = new Date().toISOString()) {
+  const s = normalizeHistorySettings(settings);
+  if (paused) return s.paused ? s : { ...s, paused: true, pausedSince: nowIso };
+  if (!s.paused) return s;
+  const pauses = [...s.pauses, { from: s.pausedSince, to: nowIso }].slice(-MAX_PAUSE_WINDOWS);
+  return { ...s, paused: false, pausedSince: null, pauses };
+}
+
+/** Whether a listen that started at `startMs` is hidden from history. Pure. */
+export function isHiddenFromHistory(settings, startMs) {
+  if (!settings || !Number.isFinite(startMs) || startMs <= 0) return false;
+  if (settings.clearedAt && startMs < Date.parse(settings.clearedAt)) return true;
+  if (settings.paused && startMs >= Date.parse(settings.pausedSince)) return true;
+  return settings.pauses.some((w) => startMs >= Date.parse(w.from) && startMs < Date.parse(w.to));
+}
+
+// ── Internal helpers ──────────────────────────────────────────────────────────
+
+function parseSettingsJson(value) {
+  if (!value) return { ...DEFAULT_HISTORY_SETTINGS };
+  try {
+    return normalizeHistorySettings(JSON.parse(value));
+  } catch {
+    return { ...DEFAULT_HISTORY_SETTINGS };
+  }
+}
+
+async function findHistoryRecord(token) {
+  const result = await fmFindRecords(
+    FM_HISTORY_LAYOUT,
+    [{ 'Token_Number': fmExactMatch(token) }],
+    { limit: 1 }
+  );
+  if (!result?.data?.length) return null;
+  const record = result.data[0];
+  return { fmRecordId: record.recordId, settings: parseSettingsJson(record.fieldData?.['Settings_JSON']) };
+}
+
+async function writeHistoryRecord(token, existing, settings) {
+  const fields = {
+    'Settings_JSON': JSON.stringify(settings),
+    'Updated_At': toFMTimestamp(new Date().toISOString())
+  };
+  if (existing) {
+    await fmUpdateRecord(FM_HISTORY_LAYOUT, existing.fmRecordId, fields);
+  } else {
+    await fmCreateRecord(FM_HISTORY_LAYOUT, { 'History_ID': randomUUID(), 'Token_Number': token, ...fields });
+  }
+}
+
+// ── Per-token write mutex ─────────────────────────────────────────────────────
+// The promise-chain mutex from lib/key-lock.js: a double-tapped "pause" must
+// not create two records.
+
+const withTokenLock = createKeyLock(); // by token
+
+// ── Exported API ──────────────────────────────────────────────────────────────
+
+/**
+ * Drop cached settings when another worker changes them. Idempotent.
+ * `opts.channel` injects the IPC link (tests); by default it is `process` in
+ * a cluster worker, none else.
+ */
+export function initHistorySettingsSync(opts = {}) {
+  if (channel) return;
+  channel = opts.channel || (cluster.isWorker ? process : null);
+  channel?.on('message', (msg) => {
+    if (msg?.type === HISTORY_SETTINGS_IPC_TYPE && msg.token) settingsCache.delete(msg.token);
+  });
+}
+
+/** A token's history settings (defaults when it has none). Read-only — no lock. */
+export async function loadHistorySettings(token) {
+  const cached = settingsCache.get(token);
+  if (cached) return cached;
+  const record = await findHistoryRecord(token);
+  const settings = record?.settings || { ...DEFAULT_HISTORY_SETTINGS };
+  settingsCache.set(token, settings);
+  return settings;
+}
+
+/**
+ * Atomically read-modify-write a token's settings. mutatorFn receives the
+ * current settings and returns the new ones. Resolves to the result.
+ */
+export function updateHistorySettings(token, mutatorFn) {
+  return withTokenLock(token, async () => {
+    const record = await findHistoryRecord(token);
+    const next = normalizeHistorySettings(await mutatorFn(record?.settings || { ...DEFAULT_HISTORY_SETTINGS }));
+    await writeHistoryRecord(token, record, next);
+    settingsCache.set(token, next);
+    channel?.send?.({ type: HISTORY_SETTINGS_IPC_TYPE, token }, () => {});
+    return next;
+  });
+}
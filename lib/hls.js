@@ -0,0 +1,113 @@
+/**
+ * lib/hls.js — HLS packaging of plain MP3 files ("packed audio", RFC 8216 §3.4).
+ * Dependencies: lib/mp3-preview.js
+ *
+ * No transcoding and no pre-cut files: a track's playlist is derived from its
+ * parsed head (byte rate, or the Xing TOC for VBR), and each segment is a byte
+ * span of the original MP3 snapped to frame boundaries at serve time. Segment
+ * N ends exactly where segment N+1 starts because both snap the SAME estimated
+ * boundary with the same rule (first chained frame header at/after it), so the
+ * segments concatenate back into the original stream.
+ *
+ * Packed-audio segments must open with an ID3 PRIV timestamp frame carrying
+ * the segment's start as a 90 kHz MPEG-2 PTS, so players can line segments up
+ * after a dropped connection — that is the whole point of the exercise.
+ */
+
+import { estimateByteOffset, findFrameBoundary } from './mp3-preview.js';
+
+export const HLS_SEGMENT_SECONDS = Math.max(2, Math.min(30,
+  Number.parseInt(process.env.HLS_SEGMENT_SECONDS, 10) || 6));
+
+// Bytes read past a segment's estimated end so the closing frame boundary can
+// be confirmed (findFrameBoundary needs the NEXT header in the buffer too).
+export const SEGMENT_TAIL_PROBE_BYTES = 8192;
+
+const PTS_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+/**
+ * Segment plan for a parsed MP3 head (computePreviewCap() result) and the file
+ * size. Returns null when the file can't be packaged (parser fell back to a
+ * guessed byte rate, or the size is unknown — both mean we can't place
+ * segment boundaries honestly). Otherwise
+ * { durationSec, totalSize, targetDuration, segments: [{ index, startSec, durationSec, from, to }] }
+ * where [from, to) is each segment's ESTIMATED byte span.
+ */
+export function planSegments(parsed, totalSize, segmentSeconds = HLS_SEGMENT_SECONDS) {
+  if (!parsed?.resolved || parsed.method === 'fallback' || !totalSize) return null;
+  const durationSec = parsed.durationSec || (totalSize - parsed.audioStart) / parsed.byteRate;
+  if (!(durationSec > 0)) return null;
+
+  const count = Math.max(1, Math.ceil(durationSec / segmentSeconds - 1e-6));
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const startSec = i * segmentSeconds;
+    const endSec = Math.min(durationSec, startSec + segmentSeconds);
+    segments.push({
+      index: i,
+      startSec,
+      durationSec: endSec - startSec,
+      from: Math.min(estimateByteOffset(parsed, startSec), totalSize),
+      to: i === count - 1 ? totalSize : Math.min(estimateByteOffset(parsed, endSec), totalSize)
+    });
+  }
+  return { durationSec, totalSize, targetDuration: Math.ceil(segmentSeconds), segments };
+}
+
+/**
+ * Render a VOD media playlist. `segmentUrl(index)` returns each segment's
+ * (already signed) URL.
+ */
+export function renderPlaylist(plan, segmentUrl) {
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${plan.targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  for (const seg of plan.segments) {
+    lines.push(`#EXTINF:${seg.durationSec.toFixed(3)},`, segmentUrl(seg.index));
+  }
+  lines.push('#EXT-X-ENDLIST', '');
+  return lines.join('\n');
+}
+
+function syncsafe(n) {
+  return Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+}
+
+/**
+ * ID3v2.4 tag holding the packed-audio PRIV timestamp for a segment starting
+ * at `startSec`.
+ */
+export function id3TimestampTag(startSec) {
+  // 33-bit PTS in an 8-byte big-endian field.
+  const pts = BigInt(Math.round(startSec * 90000)) & 0x1ffffffffn;
+  const ptsBuf = Buffer.alloc(8);
+  ptsBuf.writeBigUInt64BE(pts);
+  const payload = Buffer.concat([Buffer.from(`${PTS_OWNER}\0`, 'latin1'), ptsBuf]);
+  const frame = Buffer.concat([Buffer.from('PRIV', 'latin1'), syncsafe(payload.length), Buffer.from([0, 0]), payload]);
+  return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 0x04, 0x00, 0x00]), syncsafe(frame.length), frame]);
+}
+
+/**
+ * Cut a segment out of `buf`, which holds the source bytes from `seg.from`
+ * onwards (through the tail probe for all but the last segment). Both ends
+ * snap to the first frame boundary at/after their estimate; the first segment
+ * starts at the first audio frame as-is. If a boundary can't be confirmed the
+ * estimate is used unchanged — decoders resync on the next header.
+ */
+export function sliceSegment(buf, seg, isLast) {
+  let start = 0;
+  if (seg.index > 0) {
+    const at = findFrameBoundary(buf);
+    if (at >= 0) start = at;
+  }
+  let end = buf.length;
+  if (!isLast) {
+    const at = findFrameBoundary(buf, seg.to - seg.from);
+    end = at >= 0 ? at : Math.min(buf.length, seg.to - seg.from);
+  }
+  return Buffer.concat([id3TimestampTag(seg.startSec), buf.subarray(start, Math.max(start, end))]);
+}
@@ -38,6 +38,47 @@ export function sendWithETag(res, data) {
   return res.json(data);
 }
 
+/**
+ * Resolve a Range request header against a body of `size` bytes.
+ * Returns:
+ *   null                    — no usable Range: serve the whole body (200). A
+ *                             syntactically invalid header is IGNORED, not
+ *                             rejected (RFC 9110 §14.2).
+ *   { unsatisfiable: true } — every range starts at/after `size` (416).
+ *   { start, end }          — inclusive byte span to send (206).
+ * Handles open-ended (`bytes=N-`), suffix (`bytes=-N`) and multi-range
+ * requests. Multiple ranges are coalesced into the single span covering all
+ * satisfiable parts — we never emit multipart/byteranges, and media elements
+ * only ever ask for one range anyway.
+ */
+export function parseByteRange(header, size) {
+  if (typeof header !== 'string') return null;
+  const m = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!m) return null;
+  let start = Infinity;
+  let end = -1;
+  for (const part of m[1].split(',')) {
+    const r = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(part);
+    if (!r || (r[1] === '' && r[2] === '')) return null;
+    let s, e;
+    if (r[1] === '') {
+      // Suffix range: the LAST n bytes.
+      const n = Number.parseInt(r[2], 10);
+      if (n === 0 || size <= 0) continue;
+      s = Math.max(0, size - n);
+      e = size - 1;
+    } else {
+      s = Number.parseInt(r[1], 10);
+      if (r[2] !== '' && Number.parseInt(r[2], 10) < s) return null;
+      if (s >= size) continue;
+      e = r[2] === '' ? size - 1 : Math.min(Number.parseInt(r[2], 10), size - 1);
+    }
+    start = Math.min(start, s);
+    end = Math.max(end, e);
+  }
+  return end >= 0 ? { start, end } : { unsatisfiable: true };
+}
+
 export function getClientIP(req) {
   // Prefer Express's req.ip: once `trust proxy` is configured as a hop count it
   // resolves the correct client IP from the right position in X-Forwarded-For
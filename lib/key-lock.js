@@ -0,0 +1,29 @@
+/**
+ * lib/key-lock.js — per-key promise-chain mutex for the stores that keep one
+ * FileMaker record per listener (library, queue, resume points) or per
+ * playlist, and rewrite it with a non-atomic load → mutate → save.
+ *
+ * The server process is single-threaded per worker, so chaining every write
+ * for a key behind the last one removes intra-worker races. Cross-worker
+ * races need FileMaker's help — lib/playlist-store.js adds a modId check.
+ */
+
+/**
+ * A lock of the caller's own: withLock(key, fn) runs fn once every earlier
+ * call for that key has settled, and resolves or rejects as fn does. fn gets
+ * `waited` — true when it queued behind another call, so what the caller
+ * read before locking may be stale. A failed call does not fail the ones
+ * queued behind it; the last one out clears the key.
+ */
+export function createKeyLock() {
+  const locks = new Map(); // key → tail of that key's chain
+  return function withLock(key, fn) {
+    const prior   = locks.get(key);
+    const current = (prior ?? Promise.resolve()).then(() => fn(Boolean(prior)));
+    const tail = current.catch(() => {}).finally(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    locks.set(key, tail);
+    return current;
+  };
+}
@@ -9,20 +9,12 @@
 import 'dotenv/config';
 import { randomUUID } from 'node:crypto';
 import { fmFindRecords, fmCreateRecord, fmUpdateRecord } from '../fm-client.js';
+import { toFMTimestamp } from './format.js';
+import { createKeyLock } from './key-lock.js';
 import { fmExactMatch } from './validators.js';
 
 const FM_LIBRARY_LAYOUT = process.env.FM_LIBRARY_LAYOUT || 'API_Library';
 
-// ── Timestamp helper ──────────────────────────────────────────────────────────
-
-function toFMTimestamp(isoString) {
-  if (!isoString) return '';
-  const d = new Date(isoString);
-  if (Number.isNaN(d.getTime())) return '';
-  return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()} ` +
-         `${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
-}
-
 // ── Internal helpers ──────────────────────────────────────────────────────────
 
 function parseJsonField(value, fallback) {
@@ -57,22 +49,14 @@ async function findLibraryRecord(email) {
 // two concurrent requests for the same user (e.g. two open tabs) can both read
 // the same stale snapshot and the second writer silently overwrites the first.
 //
-// We serialise all writes for a given email using a simple promise-chain mutex.
+// We serialise all writes for a given email using a promise-chain mutex
+// (lib/key-lock.js).
 // Because the server process is single-threaded (per worker), this is sufficient
 // to eliminate intra-worker races. Cross-worker races (in cluster mode) remain
 // possible but are low probability and would require FM-level transactions to
 // solve — tracked separately.
 
-const _userLocks = new Map(); // email → Promise
-
-function withUserLock(email, fn) {
-  const prior   = _userLocks.get(email) ?? Promise.resolve();
-  const current = prior.then(fn).finally(() => {
-    if (_userLocks.get(email) === current) _userLocks.delete(email);
-  });
-  _userLocks.set(email, current);
-  return current;
-}
+const withUserLock = createKeyLock(); // by email
 
 // ── Exported API ──────────────────────────────────────────────────────────────
 
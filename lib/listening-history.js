@@ -0,0 +1,170 @@
+/**
+ * lib/listening-history.js — a listener's recently played tracks and albums,
+ * read back from Stream_Events for /api/history (routes/history.js).
+ *
+ * Each Stream_Events record is one listen (PLAY … END) tagged with the
+ * listener's Token_Number, so the history is already there: /my-stats
+ * aggregates the same find into a top ten but never returned the list.
+ * Here the listens are walked newest first and folded per track — one entry
+ * per track with its play count, when it was last heard and where that last
+ * listen stopped — and, for the album view, per album (lib/album-dedup.js
+ * rules, so one album is one card).
+ *
+ * Listens hidden by the listener's privacy settings (clear / pause, see
+ * lib/history-store.js) never make it into an entry.
+ */
+
+import { LRUCache } from 'lru-cache';
+import { fmFindRecords } from '../fm-client.js';
+import { FM_LAYOUT, FM_STREAM_EVENTS_LAYOUT, recordIsVisible } from './fm-fields.js';
+import { normalizeRecordId, normalizeSeconds, parsePositiveInt } from './format.js';
+import { fmExactMatch } from './validators.js';
+import { STREAM_TIME_FIELD, STREAM_TIME_FIELD_LEGACY } from './stream-events.js';
+import { parseEventTimestampUTC } from './royalty-report.js';
+import { getTrackRecordCached } from './track-cache.js';
+import { applyArtworkThumbs, hasValidAudio } from './track.js';
+import { groupRecordsByAlbum } from './album-dedup.js';
+import { isHiddenFromHistory } from './history-store.js';
+
+// Same window as /my-stats: the most recent listens, newest first.
+export const HISTORY_FETCH_LIMIT = parsePositiveInt(process.env.HISTORY_FETCH_LIMIT, 2000);
+export const HISTORY_MAX_PAGE    = 50;
+export const HISTORY_KINDS       = new Set(['tracks', 'albums']);
+// The last stretch counts as finished and a few seconds in isn't worth
+// resuming — the same thresholds the resume points use (lib/resume-store.js).
+const RESUME_TAIL_SEC = 30;
+const RESUME_MIN_SEC  = 15;
+// Album pages resolve track records newest first, a chunk at a time, until the
+// page is full; a listener with hundreds of one-off tracks stops here.
+const ALBUM_SCAN_TRACKS = 200;
+const ALBUM_SCAN_CHUNK  = 25;
+
+// Folded entries per token. Short: a listen that just ended should show up
+// on the next visit to the home page. Settings changes drop the entry.
+const entriesCache = new LRUCache({ max: 2000, ttl: parsePositiveInt(process.env.HISTORY_CACHE_TTL_MS, 60 * 1000) });
+
+/** The token's most recent Stream_Events fieldData, newest first. */
+export async function fetchHistoryEvents(token) {
+  const result = await fmFindRecords(
+    FM_STREAM_EVENTS_LAYOUT,
+    [{ Token_Number: fmExactMatch(token) }],
+    { limit: HISTORY_FETCH_LIMIT, offset: 1, sort: [{ fieldName: 'TimestampUTC', sortOrder: 'descend' }] }
+  );
+  if (!result.ok) {
+    if (String(result.code) === '401') return [];   // no listens yet
+    throw new Error(`History stream query failed: ${result.msg || 'FM error'}`);
+  }
+  return (result.data || []).map((r) => r.fieldData || {});
+}
+
+/**
+ * Fold listens into one entry per track, most recently heard first. Pure.
+ * Entry: { trackId, lastPlayedAt, plays, positionSec, durationSec, finished }
+ * — positionSec is where the latest listen stopped (0 when it finished or
+ * barely started).
+ */
+export function buildTrackHistory(events, settings) {
+  const byTrack = new Map();
+  for (const f of events) {
+    const trackId = normalizeRecordId(f.TrackRecordID || f['Track Record ID'] || '');
+    if (!trackId) continue;
+    const lastMs  = parseEventTimestampUTC(f.LastEventUTC || f.TimestampUTC);
+    const startMs = parseEventTimestampUTC(f.PlayStartUTC) || lastMs;
+    if (!lastMs || isHiddenFromHistory(settings, startMs)) continue;
+
+    const entry = byTrack.get(trackId);
+    if (entry && entry.lastMs >= lastMs) { entry.plays += 1; continue; }
+
+    const durationSec = normalizeSeconds(f.DurationSec);
+    const position = normalizeSeconds(f[STREAM_TIME_FIELD] ?? f[STREAM_TIME_FIELD_LEGACY] ?? 0);
+    const finished = String(f.EventType || '').toUpperCase() === 'END'
+      || (durationSec > 0 && position >= durationSec - RESUME_TAIL_SEC);
+    byTrack.set(trackId, {
+      trackId,
+      lastMs,
+      plays: (entry?.plays || 0) + 1,
+      positionSec: finished || position < RESUME_MIN_SEC ? 0 : position,
+      durationSec,
+      finished
+    });
+  }
+  return [...byTrack.values()]
+    .sort((a, b) => b.lastMs - a.lastMs)
+    .map(({ lastMs, ...rest }) => ({ ...rest, lastPlayedAt: new Date(lastMs).toISOString() }));
+}
+
+async function loadEntries(token, settings) {
+  const cached = entriesCache.get(token);
+  if (cached) return cached;
+  const entries = buildTrackHistory(await fetchHistoryEvents(token), settings);
+  entriesCache.set(token, entries);
+  return entries;
+}
+
+/** Drop a token's folded history (after a clear / pause). */
+export function forgetListeningHistory(token) {
+  entriesCache.delete(token);
+}
+
+// Catalogue records for entries, in order; gone, hidden and unplayable
+// tracks drop out (a history card must play).
+async function resolveEntries(entries) {
+  const records = await Promise.all(
+    entries.map((e) => getTrackRecordCached(FM_LAYOUT, e.trackId).catch(() => null))
+  );
+  const out = [];
+  entries.forEach((entry, i) => {
+    const fields = records[i]?.fieldData;
+    if (!fields || !recordIsVisible(fields) || !hasValidAudio(fields)) return;
+    out.push({ recordId: String(records[i].recordId || entry.trackId), fieldData: fields, entry });
+  });
+  return out;
+}
+
+function trackItem({ recordId, fieldData, entry }) {
+  const { trackId: _trackId, ...history } = entry;
+  return { recordId, fields: applyArtworkThumbs({ ...fieldData }, 300), history };
+}
+
+function albumItem(group) {
+  // Members arrive newest first: the first is the track to jump back in at.
+  // `fields` are the album's (its clean representative), `track` that track.
+  const [latest] = group.records;
+  return {
+    recordId: latest.recordId,
+    fields: applyArtworkThumbs({ ...group.record.fieldData }, 300),
+    track: { recordId: latest.recordId, fields: applyArtworkThumbs({ ...latest.fieldData }, 300) },
+    history: {
+      lastPlayedAt: latest.entry.lastPlayedAt,
+      plays: group.records.reduce((n, r) => n + r.entry.plays, 0),
+      tracks: group.records.length,
+      lastTrackId: latest.recordId,
+      positionSec: latest.entry.positionSec
+    }
+  };
+}
+
+/**
+ * One page of a token's history.
+ *   kind 'tracks' → { items, total, hasMore }
+ *   kind 'albums' → { items, hasMore }   (album count isn't known up front)
+ * Items are rail-shaped: { recordId, fields, history } (albums add `track`).
+ */
+export async function loadListeningHistory(token, settings, { kind = 'tracks', limit = 20, offset = 0 } = {}) {
+  const entries = await loadEntries(token, settings);
+
+  if (kind === 'tracks') {
+    const page = await resolveEntries(entries.slice(offset, offset + limit));
+    return { items: page.map(trackItem), total: entries.length, hasMore: offset + limit < entries.length };
+  }
+
+  const scan = entries.slice(0, ALBUM_SCAN_TRACKS);
+  const resolved = [];
+  let groups = [];
+  for (let i = 0; i < scan.length; i += ALBUM_SCAN_CHUNK) {
+    resolved.push(...await resolveEntries(scan.slice(i, i + ALBUM_SCAN_CHUNK)));
+    groups = groupRecordsByAlbum(resolved);
+    if (groups.length > offset + limit) break;
+  }
+  return { items: groups.slice(offset, offset + limit).map(albumItem), hasMore: groups.length > offset + limit };
+}
@@ -0,0 +1,228 @@
+/**
+ * lib/live-feed.js — "listening now": a live view of stream events, fanned out
+ * to Server-Sent Events subscribers (routes/live.js).
+ *
+ * /trending is a 24-hour SWR snapshot over a week of Stream_Events; nothing
+ * showed what the catalogue is doing right now. The stream-events handler in
+ * routes/access.js calls publishStreamEvent() for every accepted event, before
+ * any FileMaker write, and this module keeps:
+ *
+ *   - the set of listens in progress (PLAY / PROGRESS / SEEK keep a listen
+ *     live; PAUSE / STOPPED / END / ERROR, or ACTIVE_TTL_MS of silence, end it)
+ *   - admin subscribers, who get every event as it happens (editorial watching
+ *     a taster video land)
+ *   - public subscribers, who get an anonymised ticker — "N people listening",
+ *     per-track counts — at most once per TICKER_INTERVAL_MS and only when it
+ *     changed, so event timing can't be read off it either
+ *
+ * Cluster fan-out: an event reaches one worker, but subscribers are spread
+ * over all of them. A worker delivers locally and sends the event to the
+ * primary over IPC; cluster.js relays it to every OTHER worker, which delivers
+ * it as if it had arrived there. Every worker therefore holds the same state.
+ *
+ * Off (LIVE_FEED_ENABLED unset) initLiveFeed() is never called and
+ * publishStreamEvent() returns at once.
+ */
+
+import cluster from 'node:cluster';
+import { createHash } from 'node:crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('live-feed');
+const envInt = (name, fallback) => Number.parseInt(process.env[name] || '', 10) || fallback;
+
+// IPC message type — cluster.js relays messages of this type between workers.
+export const LIVE_FEED_IPC_TYPE = 'mass:live-feed';
+
+// Clients send PROGRESS every 30 s while playing; three missed beats and the
+// listen is treated as over (tab closed without END).
+const ACTIVE_TTL_MS       = envInt('LIVE_FEED_ACTIVE_TTL_MS', 90 * 1000);
+const TICKER_INTERVAL_MS  = envInt('LIVE_FEED_TICKER_MS', 5 * 1000);
+const TICKER_TOP_TRACKS   = 5;
+const HEARTBEAT_MS        = 25 * 1000;   // under common proxy idle timeouts
+const MAX_PUBLIC_CLIENTS  = envInt('LIVE_FEED_MAX_CLIENTS', 500);
+const MAX_ADMIN_CLIENTS   = 10;
+const MAX_ACTIVE_LISTENS  = 10000;       // runaway cap — oldest drop first
+
+const LIVE_EVENTS = new Set(['PLAY', 'PROGRESS', 'SEEK']);
+
+let enabled = false;
+let channel = null;              // the IPC link to the primary (process, in a cluster worker)
+let sweepTimer = null;
+let tickerTimer = null;
+let lastTickerJson = '';
+const active = new Map();        // listen key → { trackRecordId, title, artist, public, seenAt }
+const clients = { public: new Set(), admin: new Set() };
+
+export function isLiveFeedEnabled() {
+  return enabled;
+}
+
+/**
+ * Start the feed in this process: listen for events relayed from other
+ * workers and expire silent listens. Idempotent. `opts.channel` injects the
+ * IPC link (tests); by default it is `process` in a cluster worker, none else.
+ */
+export function initLiveFeed(opts = {}) {
+  if (enabled) return;
+  enabled = true;
+  channel = opts.channel || (cluster.isWorker ? process : null);
+  channel?.on('message', (msg) => {
+    if (msg?.type === LIVE_FEED_IPC_TYPE && msg.event) deliver(msg.event);
+  });
+  sweepTimer = setInterval(sweep, Math.min(ACTIVE_TTL_MS, 15 * 1000));
+  sweepTimer.unref?.();
+}
+
+// Session ids are bearer-ish (the mass_session cookie); the admin stream gets
+// a short one-way tag instead — enough to tell listeners apart, nothing more.
+function sessionTag(sessionId) {
+  return createHash('sha256').update(String(sessionId || '')).digest('hex').slice(0, 10);
+}
+
+/**
+ * Publish one stream event. Never throws — the feed must never affect the
+ * request that reported it.
+ * @param {object} ev { eventType, sessionId, trackRecordId, trackName,
+ *   trackArtist, playbackMode, positionSec, durationSec, subscriber, visible }
+ */
+export function publishStreamEvent(ev) {
+  if (!enabled) return;
+  try {
+    const event = {
+      type: String(ev.eventType || ''),
+      listener: sessionTag(ev.sessionId),
+      trackRecordId: String(ev.trackRecordId || ''),
+      title: String(ev.trackName || '').slice(0, 200),
+      artist: String(ev.trackArtist || '').slice(0, 200),
+      mode: ev.playbackMode === 'PREVIEW' ? 'PREVIEW' : 'FULL',
+      positionSec: Number(ev.positionSec) || 0,
+      durationSec: Number(ev.durationSec) || 0,
+      subscriber: !!ev.subscriber,
+      // Hidden catalogue (and tracks whose record didn't resolve in time)
+      // never reaches the public ticker.
+      public: ev.visible !== false && !!ev.trackName,
+      at: Date.now()
+    };
+    deliver(event);
+    if (channel?.send) {
+      channel.send({ type: LIVE_FEED_IPC_TYPE, event }, (err) => {
+        if (err) log.debug('relay to primary failed:', err.message);
+      });
+    }
+  } catch (err) {
+    log.warn('publish failed:', err?.message || err);
+  }
+}
+
+function deliver(event) {
+  const key = `${event.listener}::${event.trackRecordId}`;
+  if (LIVE_EVENTS.has(event.type)) {
+    active.delete(key);            // re-insert → Map order stays oldest-first
+    active.set(key, { trackRecordId: event.trackRecordId, title: event.title, artist: event.artist, public: event.public, seenAt: event.at });
+    if (active.size > MAX_ACTIVE_LISTENS) active.delete(active.keys().next().value);
+  } else {
+    active.delete(key);
+  }
+  for (const res of clients.admin) send(res, 'listen', event);
+  scheduleTicker();
+}
+
+function sweep() {
+  const cutoff = Date.now() - ACTIVE_TTL_MS;
+  let dropped = false;
+  for (const [key, l] of active) {
+    if (l.seenAt >= cutoff) break;  // oldest-first: the rest are fresher
+    active.delete(key);
+    dropped = true;
+  }
+  if (dropped) scheduleTicker();
+}
+
+/** The anonymised ticker: total listening now plus the busiest tracks. */
+export function listeningNow() {
+  const cutoff = Date.now() - ACTIVE_TTL_MS;
+  const byTrack = new Map();
+  let listening = 0;
+  for (const l of active.values()) {
+    if (l.seenAt < cutoff) continue;
+    listening += 1;
+    if (!l.public) continue;
+    const t = byTrack.get(l.trackRecordId) || { trackRecordId: l.trackRecordId, title: l.title, artist: l.artist, listeners: 0 };
+    t.listeners += 1;
+    byTrack.set(l.trackRecordId, t);
+  }
+  const tracks = [...byTrack.values()]
+    .sort((a, b) => b.listeners - a.listeners || a.trackRecordId.localeCompare(b.trackRecordId))
+    .slice(0, TICKER_TOP_TRACKS);
+  return { listening, tracks };
+}
+
+function scheduleTicker() {
+  if (tickerTimer || !clients.public.size) return;
+  tickerTimer = setTimeout(() => {
+    tickerTimer = null;
+    const snapshot = listeningNow();
+    const json = JSON.stringify(snapshot);
+    if (json === lastTickerJson) return;
+    lastTickerJson = json;
+    for (const res of clients.public) send(res, 'listening', snapshot);
+  }, TICKER_INTERVAL_MS);
+  tickerTimer.unref?.();
+}
+
+// ── Subscribers ──────────────────────────────────────────────────────────────
+
+function send(res, event, data) {
+  try {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch { /* the close handler removes it */ }
+}
+
+/**
+ * Turn `res` into an SSE stream for `kind` ('public' | 'admin'). Returns false
+ * (and sends nothing) when that kind is at its connection cap.
+ */
+export function subscribe(kind, req, res) {
+  const set = clients[kind];
+  if (set.size >= (kind === 'admin' ? MAX_ADMIN_CLIENTS : MAX_PUBLIC_CLIENTS)) return false;
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',   // no-transform also keeps compression() out
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+  res.write('retry: 10000\n\n');
+  set.add(res);
+  const snapshot = listeningNow();
+  if (kind === 'public') {
+    send(res, 'listening', snapshot);
+    lastTickerJson = '';           // the next tick must reach this client even if it matches the last broadcast
+  }
+  else send(res, 'hello', snapshot);
+
+  const heartbeat = setInterval(() => { try { res.write(': ping\n\n'); } catch { /* closed */ } }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    set.delete(res);
+  });
+  return true;
+}
+
+/** End every open stream — shutdown would otherwise wait its drain timeout on them. */
+export function closeLiveFeed() {
+  for (const set of Object.values(clients)) {
+    for (const res of set) { try { res.end(); } catch { /* already gone */ } }
+    set.clear();
+  }
+  if (tickerTimer) { clearTimeout(tickerTimer); tickerTimer = null; }
+  if (sweepTimer) { clearInterval(sweepTimer); sweepTimer = null; }
+}
+
+/** Counts for /api/health/detailed. */
+export function liveFeedStatus() {
+  if (!enabled) return { enabled: false };
+  return { enabled: true, listening: listeningNow().listening, publicClients: clients.public.size, adminClients: clients.admin.size };
+}
@@ -73,8 +73,8 @@ const LANGUAGE_WORDS = {
 
 // BPM medians from the June index: p50 = 118, p25 = 103. Uptempo/relaxed cut
 // either side of the middle so both buckets stay well stocked.
-const BPM_UP = 116;
-const BPM_DOWN = 102;
+export const BPM_UP = 116;
+export const BPM_DOWN = 102;
 
 // Generic words that appear inside many artist names — never treat one of
 // these alone as an artist hit.
@@ -0,0 +1,75 @@
+/**
+ * lib/media-liveness.js — is the token behind a signed media URL still live?
+ * Dependencies: lib/media-sign.js, lib/auth.js, cache.js
+ *
+ * A signed /media or /api/hls-media URL proves the token was good when the
+ * URL was minted. Without this check a token disabled since — a lapsed
+ * subscriber, or a URL pasted somewhere public — kept playing full audio until
+ * the URL expired. The URL's sealed `tok` names the token; it is re-validated
+ * the way the /api auth middleware does it:
+ *
+ *   - a fresh tokenValidationCache entry (the auth middleware's) → live;
+ *   - otherwise FileMaker is asked, at most once a minute per token per
+ *     worker (an <audio> element sends many Range requests per track);
+ *   - a definitive denial (disabled / expired) is refused straight away;
+ *   - FileMaker unreachable → live only if the token was seen live within
+ *     the last 24 h, the same stale grace the auth middleware gives.
+ */
+
+import { LRUCache } from 'lru-cache';
+import { tokenValidationCache } from '../cache.js';
+import { validateAccessToken } from './auth.js';
+import { mediaSubject, openMediaToken } from './media-sign.js';
+
+const LIVE_RECHECK_MS = 60 * 1000;
+const DEAD_TTL_MS     = 10 * 60 * 1000;
+const STALE_GRACE_MS  = 24 * 60 * 60 * 1000;
+
+// code → { live, checkedAt, liveAt }
+const verdicts = new LRUCache({ max: 5000, ttl: STALE_GRACE_MS });
+const inFlight = new Map();
+
+async function askFileMaker(code, nowMs) {
+  const previous = verdicts.get(code);
+  const validation = await validateAccessToken(code);
+  if (validation.valid) {
+    verdicts.set(code, { live: true, checkedAt: nowMs, liveAt: nowMs });
+    return true;
+  }
+  if (validation.definitive === true) {
+    verdicts.set(code, { live: false, checkedAt: nowMs, liveAt: null }, { ttl: DEAD_TTL_MS });
+    return false;
+  }
+  // Seen live here, or by the auth middleware (its entry's end of freshness).
+  const liveAt = previous?.liveAt ?? tokenValidationCache.get(code)?.expiresAt ?? null;
+  const live = Boolean(liveAt && nowMs - liveAt < STALE_GRACE_MS);
+  if (live) console.warn(`[MASS] FM unreachable (${validation.reason}), media link for token ${code.slice(0, 8)}… kept playing on stale grace`);
+  verdicts.set(code, { live, checkedAt: nowMs, liveAt });
+  return live;
+}
+
+/**
+ * Check the token behind a verified signed URL. `query` is req.query, `sub`
+ * the subject verifyMedia() returned. → { ok: true } or
+ * { ok: false, reason: 'unsigned' | 'revoked' }.
+ */
+export async function checkMediaTokenLive(query, sub, nowMs = Date.now()) {
+  const code = openMediaToken(query?.tok).trim().toUpperCase();
+  // The sealed token must be the one the signature was bound to.
+  if (!code || !sub || mediaSubject(code) !== sub) return { ok: false, reason: 'unsigned' };
+
+  const cached = tokenValidationCache.get(code);
+  if (cached && nowMs < cached.expiresAt) return { ok: true };
+
+  const verdict = verdicts.get(code);
+  if (verdict && nowMs - verdict.checkedAt < (verdict.live ? LIVE_RECHECK_MS : DEAD_TTL_MS)) {
+    return verdict.live ? { ok: true } : { ok: false, reason: 'revoked' };
+  }
+
+  let pending = inFlight.get(code);
+  if (!pending) {
+    pending = askFileMaker(code, nowMs).finally(() => inFlight.delete(code));
+    inFlight.set(code, pending);
+  }
+  return (await pending) ? { ok: true } : { ok: false, reason: 'revoked' };
+}
@@ -0,0 +1,102 @@
+/**
+ * lib/media-sign.js — HMAC-signed, expiring media URLs.
+ * Dependencies: lib/crypto-utils.js
+ *
+ * Media elements (native HLS in Safari/iOS, <audio src>) can't send our
+ * X-Access-Token header, so a token-gated route mints URLs whose query string
+ * carries the proof instead: `exp` (unix seconds), `sub` (an opaque hash of the
+ * minting access token — the token itself never rides in a URL) and `sig`, an
+ * HMAC over the resource name + exp + sub. Verification is pure CPU: no
+ * FileMaker round-trip per segment.
+ *
+ * The signature alone can't tell that the token has since been disabled, so
+ * URLs also carry `tok` — the token code sealed with AES-GCM under a key
+ * derived from AUTH_SECRET (sealMediaToken) — and the serving routes ask
+ * lib/media-liveness.js whether that token is still live.
+ *
+ * Keyed by AUTH_SECRET. Unset → isMediaSigningConfigured() is false and
+ * callers must refuse to mint (fail closed), never sign with an empty key.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes } from 'node:crypto';
+import { timingSafeEqualStr } from './crypto-utils.js';
+
+function signingSecret() {
+  return (process.env.AUTH_SECRET || '').trim();
+}
+
+export function isMediaSigningConfigured() {
+  return signingSecret().length > 0;
+}
+
+// Opaque, stable subject for an access token code. Short on purpose — it only
+// has to bind a URL to one token, not identify it.
+export function mediaSubject(tokenCode) {
+  const code = String(tokenCode || '').trim().toUpperCase();
+  if (!code) return '';
+  return createHash('sha256').update(code).digest('base64url').slice(0, 16);
+}
+
+function sealingKey() {
+  return createHash('sha256').update(`media-token\n${signingSecret()}`).digest();
+}
+
+/** The token code, encrypted for a URL (`tok`); '' without a code or a key. */
+export function sealMediaToken(tokenCode) {
+  const code = String(tokenCode || '').trim().toUpperCase();
+  if (!code || !isMediaSigningConfigured()) return '';
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', sealingKey(), iv);
+  const sealed = Buffer.concat([cipher.update(code, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString('base64url');
+}
+
+/** The token code back out of a `tok`, or '' when it wasn't sealed by us. */
+export function openMediaToken(tok) {
+  if (typeof tok !== 'string' || !tok || !isMediaSigningConfigured()) return '';
+  try {
+    const raw = Buffer.from(tok, 'base64url');
+    if (raw.length <= 28) return '';
+    const decipher = createDecipheriv('aes-256-gcm', sealingKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+  } catch {
+    return ''; // tampered, truncated or sealed under another key
+  }
+}
+
+function computeSig(resource, exp, sub) {
+  return createHmac('sha256', signingSecret())
+    .update(`${resource}\n${exp}\n${sub}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign `resource` (a caller-chosen name, e.g. `hls:123:4`) for `ttlSec`
+ * seconds — or until an explicit `exp`, so URLs minted together (a playlist
+ * and its segments) share one expiry. Returns { exp, sub, sig } for the URL
+ * query string.
+ */
+export function signMedia(resource, { sub = '', ttlSec = 0, exp: fixedExp, nowMs = Date.now() }) {
+  if (!isMediaSigningConfigured()) throw new Error('Media signing not configured (AUTH_SECRET unset)');
+  const exp = fixedExp ?? Math.floor(nowMs / 1000) + Math.max(1, Math.floor(ttlSec));
+  return { exp, sub, sig: computeSig(resource, exp, sub) };
+}
+
+export function mediaQueryString({ exp, sub, sig, tok = '' }) {
+  return new URLSearchParams({ exp: String(exp), sub, sig, ...(tok ? { tok } : {}) }).toString();
+}
+
+/**
+ * Verify a signed request for `resource`. `query` is req.query. Returns
+ * { ok: true, exp, sub } or { ok: false, reason: 'unsigned' | 'expired' | 'bad_signature' }.
+ */
+export function verifyMedia(resource, query, nowMs = Date.now()) {
+  const exp = Number.parseInt(query?.exp, 10);
+  const sub = typeof query?.sub === 'string' ? query.sub : '';
+  const sig = typeof query?.sig === 'string' ? query.sig : '';
+  if (!isMediaSigningConfigured() || !Number.isFinite(exp) || !sig) return { ok: false, reason: 'unsigned' };
+  if (exp * 1000 <= nowMs) return { ok: false, reason: 'expired' };
+  if (!timingSafeEqualStr(sig, computeSig(resource, exp, sub))) return { ok: false, reason: 'bad_signature' };
+  return { ok: true, exp, sub };
+}
@@ -17,6 +17,14 @@
 // The parser is incremental: feed it the first chunk(s) of the file and it
 // either resolves a byte cap or asks for more bytes (large embedded ID3 art
 // can push the first audio frame hundreds of KB into the file).
+//
+// Offset previews ("skip the intro"): estimateByteOffset() maps a start
+// second to an approximate byte position — through the Xing seek TOC when
+// the file has one, the average byte rate otherwise — and findFrameBoundary()
+// snaps that estimate forward onto a real frame header in a small probe
+// fetched from there. A stream that begins on a frame boundary decodes
+// cleanly in every player; one that begins mid-frame can click or be
+// rejected outright by Safari.
 
 const FALLBACK_BYTE_RATE = 16000; // 128 kbps in bytes/sec — see note above
 
@@ -59,6 +67,7 @@ function parseFrameHeader(buf, offset) {
 
   const bitrateIdx    = (b3 >> 4) & 0x0f;
   const sampleRateIdx = (b3 >> 2) & 0x03;
+  const padding       = (b3 >> 1) & 0x01;
   if (bitrateIdx === 0 || bitrateIdx === 15 || sampleRateIdx === 3) return null;
 
   const mpeg1      = versionBits === 3;
@@ -66,8 +75,10 @@ function parseFrameHeader(buf, offset) {
   const sampleRate  = SAMPLE_RATES[versionBits][sampleRateIdx];
   const channelMode = (b4 >> 6) & 0x03; // 3 = mono
   const samplesPerFrame = mpeg1 ? 1152 : 576;
+  // Layer III frame length in bytes: samples/8 × bitrate / sampleRate + pad.
+  const frameLength = Math.floor(((samplesPerFrame / 8) * bitrateKbps * 1000) / sampleRate) + padding;
 
-  return { mpeg1, bitrateKbps, sampleRate, mono: channelMode === 3, samplesPerFrame };
+  return { mpeg1, versionBits, bitrateKbps, sampleRate, mono: channelMode === 3, samplesPerFrame, frameLength };
 }
 
 // Xing/Info tag sits after the side-info block of the first frame.
@@ -83,17 +94,21 @@ function parseXing(buf, frameStart, frame) {
   if (tag !== 'Xing' && tag !== 'Info') return null;
   const flags = buf.readUInt32BE(off + 4);
   let p = off + 8;
-  let frames = null, bytes = null;
+  let frames = null, bytes = null, toc = null;
   if (flags & 0x01) { frames = buf.readUInt32BE(p); p += 4; }
   if (flags & 0x02) { bytes = buf.readUInt32BE(p); p += 4; }
+  // 100-entry seek table: toc[i] × bytes / 256 is where i% of the duration
+  // starts. Optional — without it, offsets fall back to the average rate.
+  if ((flags & 0x04) && p + 100 <= buf.length) toc = Array.from(buf.subarray(p, p + 100));
   if (!frames || !bytes) return null;
-  return { frames, bytes };
+  return { frames, bytes, toc };
 }
 
 /**
  * Try to compute the byte cap for `seconds` of audio from the file prefix in
  * `buf`. Returns either:
- *   { resolved: true, capBytes, byteRate, audioStart, method }
+ *   { resolved: true, capBytes, byteRate, audioStart, method,
+ *     durationSec?, streamBytes?, toc? }  — the last three only for Xing files
  *   { resolved: false, needBytes }  — feed more data (needBytes = total prefix
  *                                     length wanted) and call again.
  * A resolved cap is always a hard upper bound ≥ audioStart, so headers and
@@ -138,7 +153,10 @@ export function computePreviewCap(buf, seconds) {
         capBytes: frameStart + Math.ceil(byteRate * seconds),
         byteRate,
         audioStart: frameStart,
-        method: 'xing'
+        method: 'xing',
+        durationSec: duration,
+        streamBytes: xing.bytes,
+        toc: xing.toc
       };
     }
   }
@@ -153,4 +171,42 @@ export function computePreviewCap(buf, seconds) {
   };
 }
 
+/**
+ * Estimate the absolute byte offset at which `startSec` of audio begins, from
+ * a resolved computePreviewCap() result. Xing files with a seek TOC are
+ * interpolated through it (accurate for VBR); everything else uses the
+ * average byte rate. The estimate lands mid-frame — snap it with
+ * findFrameBoundary() before serving from it.
+ */
+export function estimateByteOffset(cap, startSec) {
+  const sec = Math.max(0, Number(startSec) || 0);
+  if (!cap?.resolved || sec === 0) return cap?.audioStart || 0;
+  if (cap.toc && cap.durationSec > 0 && cap.streamBytes > 0) {
+    const pct = Math.min(99.999, (sec / cap.durationSec) * 100);
+    const i = Math.floor(pct);
+    const a = cap.toc[i];
+    const b = i < 99 ? cap.toc[i + 1] : 256;
+    const frac = a + (b - a) * (pct - i);
+    return cap.audioStart + Math.round((frac / 256) * cap.streamBytes);
+  }
+  return cap.audioStart + Math.round(cap.byteRate * sec);
+}
+
+/**
+ * Index of the first real frame header at or after `from` in `buf`, or -1.
+ * "Real" means its computed length lands exactly on ANOTHER header of the
+ * same version and sample rate — a lone 0xFFEx pattern inside audio data is
+ * common, two correctly chained ones are not. A header whose successor falls
+ * past the end of `buf` can't be confirmed and is skipped.
+ */
+export function findFrameBoundary(buf, from = 0) {
+  for (let i = Math.max(0, from); i < buf.length - 4; i++) {
+    const frame = parseFrameHeader(buf, i);
+    if (!frame || frame.frameLength < 4) continue;
+    const next = parseFrameHeader(buf, i + frame.frameLength);
+    if (next && next.versionBits === frame.versionBits && next.sampleRate === frame.sampleRate) return i;
+  }
+  return -1;
+}
+
 export const _internal = { id3v2Size, parseFrameHeader, parseXing, FALLBACK_BYTE_RATE, MAX_PARSE_BYTES };
@@ -62,6 +62,47 @@ const ratio = (a, b) => {
   return m === 0 ? 1 : 1 - levenshtein(a, b) / m;
 };
 
+// Best similarity of one token to a whole string OR (for words ≥3) any of its
+// tokens. This is what lets "dimphiwe" reach the "Simphiwe" word inside
+// "Simphiwe Dana" — the catalogue stores the full name, not the first name alone.
+function bestMatch(tok, str, strTokens) {
+  let best = ratio(tok, str);
+  if (tok.length >= 3) {
+    for (const st of strTokens) {
+      if (st.length < 3) continue;
+      const r = ratio(tok, st);
+      if (r > best) best = r;
+    }
+  }
+  return best;
+}
+
+// Two-way coverage: how much of A the B explains, and how much of B the A
+// explains. Averaging both is what keeps a single shared common word
+// ("Oliver", "Soul", "Black") from making an unrelated name a top hit — a real
+// correction has to cover most of BOTH sides, not just one word.
+function coverageScore(a, aTokens, b, bTokens) {
+  if (!aTokens.length || !bTokens.length) return ratio(a, b);
+  let aSum = 0;
+  for (const t of aTokens) aSum += bestMatch(t, b, bTokens);
+  let bSum = 0;
+  for (const t of bTokens) bSum += bestMatch(t, a, aTokens);
+  const score = (aSum / aTokens.length + bSum / bTokens.length) / 2;
+  const whole = ratio(a, b); // safety net for odd tokenisation/spacing
+  return whole > score ? whole : score;
+}
+
+/**
+ * Similarity in [0,1] of two free-text names, scored the way suggestNames()
+ * ranks its candidates. Needs no index — playlist import (lib/playlist-matcher.js)
+ * uses it to rank catalogue search hits against the rows of an uploaded file.
+ */
+export function nameSimilarity(a, b) {
+  const na = norm(a);
+  const nb = norm(b);
+  return coverageScore(na, na.split(' ').filter(Boolean), nb, nb.split(' ').filter(Boolean));
+}
+
 export function initNameIndex() {
   try {
     if (!fs.existsSync(INDEX_PATH)) {
@@ -124,40 +165,12 @@ export function suggestNames(query, { limit = 4, minScore = 0.66 } = {}) {
     if (s) for (const idx of s) counts.set(idx, (counts.get(idx) || 0) + 1);
   }
 
-  // Best similarity of one token to a whole string OR (for words ≥3) any of its
-  // tokens. This is what lets "dimphiwe" reach the "Simphiwe" word inside
-  // "Simphiwe Dana" — the catalogue stores the full name, not the first name alone.
-  const bestMatch = (tok, str, strTokens) => {
-    let best = ratio(tok, str);
-    if (tok.length >= 3) {
-      for (const st of strTokens) {
-        if (st.length < 3) continue;
-        const r = ratio(tok, st);
-        if (r > best) best = r;
-      }
-    }
-    return best;
-  };
-
   const scored = [];
   for (const [idx, shared] of counts) {
     if (shared < 2) continue;
     const e = entries[idx];
     if (e.normName === nq) continue; // exact — search already handles it
-    const cTokens = e.normName.split(' ').filter(Boolean);
-    // Two-way coverage: how much of the QUERY the name explains, and how much of
-    // the NAME the query explains. Averaging both is what keeps a single shared
-    // common word ("Oliver", "Soul", "Black") from making an unrelated name a top
-    // hit — a real correction has to cover most of BOTH sides, not just one word.
-    let qSum = 0;
-    for (const qt of qTokens) qSum += bestMatch(qt, e.normName, cTokens);
-    const queryCov = qSum / qTokens.length;
-    let cSum = 0;
-    for (const ct of cTokens) cSum += bestMatch(ct, nq, qTokens);
-    const candCov = cSum / cTokens.length;
-    let score = (queryCov + candCov) / 2;
-    const whole = ratio(nq, e.normName); // safety net for odd tokenisation/spacing
-    if (whole > score) score = whole;
+    const score = coverageScore(nq, qTokens, e.normName, e.normName.split(' ').filter(Boolean));
     if (score >= minScore) scored.push({ name: e.name, normName: e.normName, kind: e.kind, score, n: e.n });
   }
 
@@ -0,0 +1,134 @@
+/**
+ * lib/offline-licence.js — Time-limited, token-bound licences for offline
+ * downloads in the mobile app (routes/offline.js).
+ * Dependencies: lib/media-sign.js
+ *
+ * A licence lets one device (deviceId) keep one collection (a track, album or
+ * playlist) playable offline until `exp`. It is an HMAC over the device, the
+ * collection and its exact track list, bound to the minting access token the
+ * same way signed media URLs are (`sub` = mediaSubject of the token code) — so
+ * it can't be moved to another device, widened to other tracks, or presented
+ * with a different token. Stateless: nothing is stored server-side.
+ *
+ * Expiry is the earlier of OFFLINE_LICENCE_TTL_DAYS from now and the token's
+ * own expiry. Clients revalidate while online; a renewed subscription (same
+ * token code, later expiry — renewSubscriptionToken) earns a fresh window, a
+ * disabled one (grace period — disableSubscriptionToken) is capped at the
+ * grace end, and a dead token is refused by the auth middleware outright
+ * (a `definitive` 403), at which point the client wipes its cache.
+ *
+ * The downloaded audio is encrypted on the device with a per-token, per-device
+ * content key derived here, which only reaches the client alongside a
+ * licence. The client keeps that key (IndexedDB) to play offline, so licence
+ * expiry is enforced by the client refusing to play — it keeps casual copying
+ * out, not a determined listener with devtools.
+ */
+
+import { createHash, createHmac } from 'node:crypto';
+import { isMediaSigningConfigured, signMedia, verifyMedia } from './media-sign.js';
+import { validators } from './validators.js';
+
+export const OFFLINE_LICENCE_TTL_DAYS = Math.max(1, Number.parseInt(process.env.OFFLINE_LICENCE_TTL_DAYS, 10) || 7);
+export const OFFLINE_MAX_TRACKS = Math.max(1, Number.parseInt(process.env.OFFLINE_MAX_TRACKS, 10) || 200);
+
+export const LICENCE_KINDS = new Set(['track', 'album', 'playlist']);
+
+const MAX_COLLECTION_ID = 200;
+
+// Track lists are hashed into the signed resource so the licence itself can
+// carry them without a length limit on the HMAC input.
+function resourceFor({ deviceId, kind, collectionId, tracks }) {
+  const digest = createHash('sha256').update(tracks.join(',')).digest('base64url');
+  return `offline:${deviceId}:${kind}:${collectionId}:${digest}`;
+}
+
+/**
+ * Validate a client-supplied track list: recordIds only, deduplicated, capped.
+ * Returns { ok: true, tracks } or { ok: false, error }.
+ */
+export function normalizeTrackIds(input) {
+  if (!Array.isArray(input) || input.length === 0) return { ok: false, error: 'recordIds must be a non-empty array' };
+  const tracks = [];
+  for (const raw of input) {
+    const check = validators.recordId(raw ?? '');
+    if (!check.valid) return { ok: false, error: 'Every track needs a valid recordId' };
+    if (!tracks.includes(check.value)) tracks.push(check.value);
+  }
+  if (tracks.length > OFFLINE_MAX_TRACKS) {
+    return { ok: false, error: `Too many tracks for one download (max ${OFFLINE_MAX_TRACKS})` };
+  }
+  return { ok: true, tracks };
+}
+
+export function isValidCollectionId(id) {
+  return typeof id === 'string' && id.trim().length > 0 && id.length <= MAX_COLLECTION_ID;
+}
+
+/**
+ * Licence expiry (unix seconds): the earlier of the TTL and the token's expiry.
+ * Null when the token has already expired. A token without an expiry (admin
+ * keys) gets the plain TTL.
+ */
+export function licenceExpiry(tokenExpiration, nowMs = Date.now()) {
+  let exp = Math.floor(nowMs / 1000) + OFFLINE_LICENCE_TTL_DAYS * 24 * 60 * 60;
+  const tokenMs = tokenExpiration ? Date.parse(tokenExpiration) : Number.NaN;
+  if (Number.isFinite(tokenMs)) exp = Math.min(exp, Math.floor(tokenMs / 1000));
+  return exp * 1000 > nowMs ? exp : null;
+}
+
+/**
+ * Issue a licence. `tracks` must already be normalised. Returns null when the
+ * token is expired; throws when AUTH_SECRET is unset (callers fail closed).
+ */
+export function issueLicence({ sub, deviceId, kind, collectionId, tracks, tokenExpiration, nowMs = Date.now() }) {
+  const exp = licenceExpiry(tokenExpiration, nowMs);
+  if (!exp) return null;
+  const { sig } = signMedia(resourceFor({ deviceId, kind, collectionId, tracks }), { sub, exp });
+  return {
+    id: `${kind}:${collectionId}`,
+    kind,
+    collectionId,
+    deviceId,
+    tracks,
+    exp,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    sig
+  };
+}
+
+/**
+ * Verify a licence a client presents with the token `sub` it was minted for.
+ * Returns { ok: true } or { ok: false, reason: 'malformed' | 'unsigned' |
+ * 'expired' | 'bad_signature' }.
+ */
+export function verifyLicence(licence, sub, nowMs = Date.now()) {
+  const l = licence && typeof licence === 'object' ? licence : {};
+  if (!LICENCE_KINDS.has(l.kind) || !isValidCollectionId(l.collectionId) || typeof l.deviceId !== 'string') {
+    return { ok: false, reason: 'malformed' };
+  }
+  const tracks = normalizeTrackIds(l.tracks);
+  if (!tracks.ok) return { ok: false, reason: 'malformed' };
+  const check = verifyMedia(
+    resourceFor({ deviceId: l.deviceId, kind: l.kind, collectionId: l.collectionId, tracks: tracks.tracks }),
+    { exp: l.exp, sub, sig: l.sig },
+    nowMs
+  );
+  return check.ok ? { ok: true } : { ok: false, reason: check.reason };
+}
+
+/**
+ * The AES-GCM key (32 bytes, base64url) a device encrypts its downloads with.
+ * Derived, never stored: same token + device → same key, so a renewal keeps
+ * the cache readable while a new token (re-subscribe) starts a fresh one.
+ */
+export function contentKey(sub, deviceId) {
+  if (!isMediaSigningConfigured()) throw new Error('Offline licences not configured (AUTH_SECRET unset)');
+  return createHmac('sha256', (process.env.AUTH_SECRET || '').trim())
+    .update(`offline-key\n${sub}\n${deviceId}`)
+    .digest('base64url');
+}
+
+// Trial keys are the acquisition funnel, not a subscription — streaming only.
+export function canDownloadOffline(accessToken) {
+  return !!accessToken?.code && accessToken.type !== 'trial';
+}
@@ -0,0 +1,73 @@
+/**
+ * lib/play-count-store-pg.js — Postgres backend for the per-listener play
+ * count index (lib/play-counts.js). Used whenever isPgEnabled(), so counts
+ * survive Render's ephemeral disk and every instance shares them. Tables:
+ * listener_plays, listener_play_seeds in db/schema.sql (npm run db:migrate).
+ */
+
+import { getPool, query } from './pg.js';
+
+export async function createPgPlayCountStore() {
+  // Fail at init (→ play counts report unavailable) rather than on the first
+  // request if the migration hasn't been run.
+  await query('SELECT 1 FROM listener_plays LIMIT 1');
+
+  return {
+    kind: 'postgres',
+    async isSeeded(token) {
+      const r = await query('SELECT 1 FROM listener_play_seeds WHERE token = $1', [token]);
+      return r.rowCount > 0;
+    },
+    async seed(token, entries, nowMs = Date.now()) {
+      const client = await getPool().connect();
+      try {
+        await client.query('BEGIN');
+        // Seeding merges: a listen counted live may not have reached FileMaker yet.
+        if (entries.length) {
+          await client.query(
+            `INSERT INTO listener_plays (token, track_record_id, plays, last_played_at)
+             SELECT $1, t.id, t.plays, t.last FROM unnest($2::text[], $3::int[], $4::bigint[]) AS t(id, plays, last)
+             ON CONFLICT (token, track_record_id) DO UPDATE SET
+               plays = GREATEST(listener_plays.plays, excluded.plays),
+               last_played_at = GREATEST(listener_plays.last_played_at, excluded.last_played_at)`,
+            [token, entries.map((e) => e.trackId), entries.map((e) => e.plays), entries.map((e) => e.lastPlayedMs)]
+          );
+        }
+        await client.query(
+          `INSERT INTO listener_play_seeds (token, seeded_at) VALUES ($1, $2)
+           ON CONFLICT (token) DO UPDATE SET seeded_at = excluded.seeded_at`,
+          [token, nowMs]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async increment(token, trackId, atMs) {
+      await query(
+        `INSERT INTO listener_plays (token, track_record_id, plays, last_played_at) VALUES ($1, $2, 1, $3)
+         ON CONFLICT (token, track_record_id) DO UPDATE SET
+           plays = listener_plays.plays + 1,
+           last_played_at = GREATEST(listener_plays.last_played_at, excluded.last_played_at)`,
+        [token, trackId, atMs]
+      );
+    },
+    async lookup(token, trackIds) {
+      if (!trackIds.length) return [];
+      const r = await query(
+        `SELECT track_record_id, plays, last_played_at FROM listener_plays
+          WHERE token = $1 AND track_record_id = ANY($2::text[])`,
+        [token, trackIds]
+      );
+      return r.rows.map((x) => ({ trackId: x.track_record_id, plays: Number(x.plays), lastPlayedMs: Number(x.last_played_at) }));
+    },
+    async forget(token) {
+      await query('DELETE FROM listener_plays WHERE token = $1', [token]);
+      await query('DELETE FROM listener_play_seeds WHERE token = $1', [token]);
+    },
+    close() {}
+  };
+}
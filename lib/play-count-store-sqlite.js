@@ -0,0 +1,74 @@
+/**
+ * lib/play-count-store-sqlite.js — SQLite backend for the per-listener play
+ * count index (lib/play-counts.js), used when Postgres isn't configured;
+ * data/play-counts.db by default. Same tables as db/schema.sql
+ * (listener_plays, listener_play_seeds).
+ *
+ * WAL mode + busy_timeout so every cluster worker can count and read at once.
+ * better-sqlite3 is imported lazily, like the journal and the charts.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS listener_plays (
+  token            TEXT NOT NULL,               -- access token, upper-case
+  track_record_id  TEXT NOT NULL,
+  plays            INTEGER NOT NULL DEFAULT 0,
+  last_played_at   INTEGER NOT NULL,            -- epoch ms
+  PRIMARY KEY (token, track_record_id)
+);
+CREATE TABLE IF NOT EXISTS listener_play_seeds (
+  token      TEXT PRIMARY KEY,
+  seeded_at  INTEGER NOT NULL                   -- epoch ms
+);
+`;
+
+export async function createSqlitePlayCountStore(dbPath) {
+  const { default: Database } = await import('better-sqlite3');
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const q = {
+    isSeeded: db.prepare('SELECT 1 FROM listener_play_seeds WHERE token = ?'),
+    markSeeded: db.prepare(`INSERT INTO listener_play_seeds (token, seeded_at) VALUES (?, ?)
+      ON CONFLICT (token) DO UPDATE SET seeded_at = excluded.seeded_at`),
+    // Seeding merges: a listen counted live may not have reached FileMaker yet.
+    merge: db.prepare(`INSERT INTO listener_plays (token, track_record_id, plays, last_played_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (token, track_record_id) DO UPDATE SET
+        plays = max(plays, excluded.plays), last_played_at = max(last_played_at, excluded.last_played_at)`),
+    increment: db.prepare(`INSERT INTO listener_plays (token, track_record_id, plays, last_played_at) VALUES (?, ?, 1, ?)
+      ON CONFLICT (token, track_record_id) DO UPDATE SET
+        plays = plays + 1, last_played_at = max(last_played_at, excluded.last_played_at)`),
+    forgetPlays: db.prepare('DELETE FROM listener_plays WHERE token = ?'),
+    forgetSeed: db.prepare('DELETE FROM listener_play_seeds WHERE token = ?')
+  };
+
+  const seed = db.transaction((token, entries, nowMs) => {
+    for (const e of entries) q.merge.run(token, e.trackId, e.plays, e.lastPlayedMs);
+    q.markSeeded.run(token, nowMs);
+  });
+  const forget = db.transaction((token) => {
+    q.forgetPlays.run(token);
+    q.forgetSeed.run(token);
+  });
+
+  return {
+    kind: 'sqlite',
+    async isSeeded(token) { return !!q.isSeeded.get(token); },
+    async seed(token, entries, nowMs = Date.now()) { seed(token, entries, nowMs); },
+    async increment(token, trackId, atMs) { q.increment.run(token, trackId, atMs); },
+    async lookup(token, trackIds) {
+      if (!trackIds.length) return [];
+      const rows = db.prepare(`SELECT track_record_id, plays, last_played_at FROM listener_plays
+        WHERE token = ? AND track_record_id IN (${trackIds.map(() => '?').join(',')})`).all(token, ...trackIds);
+      return rows.map((r) => ({ trackId: r.track_record_id, plays: r.plays, lastPlayedMs: r.last_played_at }));
+    },
+    async forget(token) { forget(token); },
+    close() { db.close(); }
+  };
+}
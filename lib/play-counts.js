@@ -0,0 +1,164 @@
+/**
+ * lib/play-counts.js — per-listener play counts: how many times this token has
+ * played a track and when it last did, for the "Played 3×" badge on track
+ * cards and the "unheard gems" shuffle.
+ *
+ * Catalogue responses are shared, publicly cached rails (Cache-Control:
+ * public, max-age) — they can't carry anything per-user. The counts are a
+ * separate, token-keyed index the page asks for in one batch
+ * (POST /api/play-counts, routes/play-counts.js) once the cards are on screen.
+ *
+ * The index is maintained incrementally: routes/access.js calls recordPlay()
+ * when /api/stream-events opens a new listen (the same moment a Stream_Events
+ * record is created), so a card lookup never touches FileMaker. A token's
+ * listens from before the index existed are folded in once, lazily, on its
+ * first lookup — the same Stream_Events read and fold as /api/history
+ * (lib/listening-history.js), merged so a listen counted live is not counted
+ * twice.
+ *
+ * History privacy applies while HISTORY_ENABLED: a paused token's listens
+ * aren't counted, and "clear history" drops the token's counts
+ * (forgetPlayCounts) so the next lookup re-seeds from what is still visible.
+ *
+ * Backend: Postgres when isPgEnabled() (lib/play-count-store-pg.js, tables in
+ * db/schema.sql), else SQLite (lib/play-count-store-sqlite.js,
+ * data/play-counts.db). Degrade-gracefully: if the index can't open,
+ * isPlayCountsReady() stays false, plays go uncounted and the route answers 503.
+ *
+ * Callers: server.js (initPlayCounts, PLAY_COUNTS_ENABLED), routes/access.js
+ * (recordPlay), routes/play-counts.js, routes/history.js (forgetPlayCounts).
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeRecordId } from './format.js';
+import { buildTrackHistory, fetchHistoryEvents } from './listening-history.js';
+import { isHiddenFromHistory, loadHistorySettings } from './history-store.js';
+import { isPgEnabled } from './pg.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('play-counts');
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+export const PLAY_COUNTS_PATH = process.env.PLAY_COUNTS_PATH
+  || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'play-counts.db');
+// One lookup covers a screenful of cards (rails, search page, album tracks).
+export const PLAY_COUNTS_MAX_LOOKUP = 200;
+
+let store = null;
+let opening = null;
+const seeding = new Map();   // token → in-flight seed
+
+const historyPrivacyOn = () => process.env.HISTORY_ENABLED === 'true';
+
+// ── Counting ─────────────────────────────────────────────────────────────────
+
+/**
+ * Count one listen. Fire-and-forget from the stream-events handler: never
+ * throws and never holds up the response. A token that isn't seeded yet
+ * still counts — the seed merges rather than overwrites.
+ */
+export async function recordPlay(tokenCode, trackRecordId, atMs = Date.now()) {
+  // Same key as /api/history: the authenticated token, upper-cased.
+  const token = String(tokenCode || '').trim().toUpperCase();
+  const trackId = normalizeRecordId(trackRecordId);
+  if (!store || !token || !trackId) return false;
+  try {
+    if (historyPrivacyOn() && isHiddenFromHistory(await loadHistorySettings(token), atMs)) return false;
+    await store.increment(token, trackId, atMs);
+    return true;
+  } catch (err) {
+    log.warn(`count play failed for ${trackId}:`, err?.message || err);
+    return false;
+  }
+}
+
+async function seedToken(token) {
+  if (await store.isSeeded(token)) return;
+  const settings = historyPrivacyOn() ? await loadHistorySettings(token) : null;
+  const entries = buildTrackHistory(await fetchHistoryEvents(token), settings)
+    .map((e) => ({ trackId: e.trackId, plays: e.plays, lastPlayedMs: Date.parse(e.lastPlayedAt) }));
+  await store.seed(token, entries);
+  log.debug(`seeded ${entries.length} track(s) for a listener`);
+}
+
+function ensureSeeded(token) {
+  let pending = seeding.get(token);
+  if (!pending) {
+    pending = seedToken(token).finally(() => seeding.delete(token));
+    seeding.set(token, pending);
+  }
+  return pending;
+}
+
+// ── Reading ──────────────────────────────────────────────────────────────────
+
+export function isPlayCountsReady() {
+  return store !== null;
+}
+
+/**
+ * Counts for a batch of track record ids → { [id]: { plays, lastPlayedAt } }.
+ * Tracks the token never played are left out. Seeds the token on first use
+ * (throws if that FileMaker read fails — the caller answers 500 and the next
+ * lookup retries).
+ */
+export async function lookupPlayCounts(token, recordIds) {
+  const ids = [...new Set(recordIds.map(normalizeRecordId).filter(Boolean))];
+  if (!ids.length) return {};
+  await ensureSeeded(token);
+  const counts = {};
+  for (const row of await store.lookup(token, ids)) {
+    counts[row.trackId] = { plays: row.plays, lastPlayedAt: new Date(row.lastPlayedMs).toISOString() };
+  }
+  return counts;
+}
+
+/** Drop a token's counts and seed marker (after "clear history"). */
+export async function forgetPlayCounts(token) {
+  if (!store || !token) return;
+  await store.forget(token);
+}
+
+// ── Lifecycle ────────────────────────────────────────────────────────────────
+
+async function openStore(opts) {
+  try {
+    if (opts.store) {
+      store = opts.store;
+    } else if (isPgEnabled()) {
+      const { createPgPlayCountStore } = await import('./play-count-store-pg.js');
+      store = await createPgPlayCountStore();
+    } else {
+      const { createSqlitePlayCountStore } = await import('./play-count-store-sqlite.js');
+      store = await createSqlitePlayCountStore(opts.path || PLAY_COUNTS_PATH);
+    }
+    log.info(`play count index open (${store.kind})`);
+  } catch (err) {
+    store = null;
+    log.warn('play count index unavailable — /api/play-counts answers 503:', err?.message || err);
+  }
+}
+
+/**
+ * Open the index. Never throws; concurrent calls share one open. Every
+ * worker opens it — plays are counted wherever the stream event lands.
+ * `opts.store` injects a backend (tests).
+ */
+export async function initPlayCounts(opts = {}) {
+  if (!store) {
+    opening ||= openStore(opts).finally(() => { opening = null; });
+    await opening;
+  }
+  return store !== null;
+}
+
+export async function stopPlayCounts() {
+  if (!store) return;
+  const closing = store;
+  store = null;
+  seeding.clear();
+  await closing.close();
+}
@@ -0,0 +1,208 @@
+/**
+ * lib/playlist-collab.js — collaborative playlists: invited editors / viewers
+ * and an append-only change log, backed by FileMaker.
+ *
+ * FM layout: API_Playlist_Members (env: FM_PLAYLIST_MEMBERS_LAYOUT)
+ * Fields: Member_ID, Playlist_ID, Email, Role, Status, Invited_By,
+ *         Invited_At, Accepted_At
+ *   One record per invited email. Status 'invited' until the invitee accepts
+ *   in the app (their access token's email must match), then 'active'.
+ *
+ * FM layout: API_Playlist_Changes (env: FM_PLAYLIST_CHANGES_LAYOUT)
+ * Fields: Change_ID, Playlist_ID, Actor_Email, Action, Entries_JSON,
+ *         Undoes_ID, Created_At
+ *   One record per edit, never updated: 'add' / 'remove' carry the track
+ *   entries (with their position), 'undo' names the change it reverted.
+ *   Whether a change has been undone is read back from the log itself.
+ *
+ * The playlist itself stays in API_Playlists (lib/playlist-store.js); the
+ * owner is still its User_Email. Roles are resolved by playlistRoleFor()
+ * (lib/playlist.js). Callers: routes/playlist-collab.js, routes/playlists.js
+ * (while PLAYLIST_COLLAB_ENABLED=true).
+ */
+
+import 'dotenv/config';
+import { randomUUID } from 'node:crypto';
+import { fmFindRecords, fmCreateRecord, fmUpdateRecord, fmDeleteRecord } from '../fm-client.js';
+import { normalizeEmail } from './format.js';
+import { fmExactMatch } from './validators.js';
+import { loadPlaylistById } from './playlist-store.js';
+import { playlistRoleFor } from './playlist.js';
+
+const FM_MEMBERS_LAYOUT = process.env.FM_PLAYLIST_MEMBERS_LAYOUT || 'API_Playlist_Members';
+const FM_CHANGES_LAYOUT = process.env.FM_PLAYLIST_CHANGES_LAYOUT || 'API_Playlist_Changes';
+
+// A family or a DJ crew, not a mailing list.
+export const PLAYLIST_MAX_MEMBERS = 25;
+// How far back the change log (and undo) reaches.
+export const PLAYLIST_CHANGES_LIMIT = 200;
+
+// ── Record serialisation ──────────────────────────────────────────────────────
+
+function fmRecordToMember(record) {
+  const f = record.fieldData || {};
+  return {
+    id:         f['Member_ID']   || '',
+    playlistId: f['Playlist_ID'] || '',
+    email:      normalizeEmail(f['Email']),
+    role:       f['Role']        || 'viewer',
+    status:     f['Status']      || 'invited',
+    invitedBy:  f['Invited_By']  || '',
+    invitedAt:  f['Invited_At']  || null,
+    acceptedAt: f['Accepted_At'] || null,
+    _fmRecordId: record.recordId
+  };
+}
+
+function fmRecordToChange(record) {
+  const f = record.fieldData || {};
+  let entries;
+  try { entries = JSON.parse(f['Entries_JSON'] || '[]'); } catch { entries = []; }
+  return {
+    id:         f['Change_ID']   || '',
+    playlistId: f['Playlist_ID'] || '',
+    actor:      f['Actor_Email'] || '',
+    action:     f['Action']      || '',
+    entries:    Array.isArray(entries) ? entries : [],
+    undoes:     f['Undoes_ID']   || null,
+    createdAt:  f['Created_At']  || null
+  };
+}
+
+async function findAll(layout, query, limit) {
+  const result = await fmFindRecords(layout, [query], { limit });
+  return result?.data || [];
+}
+
+// ── Members ───────────────────────────────────────────────────────────────────
+
+/** Everyone invited to a playlist (any status). */
+export async function loadPlaylistMembers(playlistId) {
+  const records = await findAll(FM_MEMBERS_LAYOUT, { 'Playlist_ID': fmExactMatch(playlistId) }, 100);
+  return records.map(fmRecordToMember);
+}
+
+/** One member record by its Member_ID, or null. */
+export async function loadPlaylistMember(memberId) {
+  const [record] = await findAll(FM_MEMBERS_LAYOUT, { 'Member_ID': fmExactMatch(memberId) }, 1);
+  return record ? fmRecordToMember(record) : null;
+}
+
+/** An email's memberships with the given status ('invited' | 'active'). */
+export async function loadMembershipsFor(email, status) {
+  const records = await findAll(FM_MEMBERS_LAYOUT, {
+    'Email': fmExactMatch(normalizeEmail(email)),
+    'Status': fmExactMatch(status)
+  }, 500);
+  return records.map(fmRecordToMember);
+}
+
+export async function createPlaylistMember({ playlistId, email, role, invitedBy }) {
+  const member = {
+    id: randomUUID(), playlistId, email: normalizeEmail(email), role, status: 'invited',
+    invitedBy: normalizeEmail(invitedBy), invitedAt: new Date().toISOString(), acceptedAt: null
+  };
+  await fmCreateRecord(FM_MEMBERS_LAYOUT, {
+    'Member_ID': member.id, 'Playlist_ID': playlistId, 'Email': member.email, 'Role': role,
+    'Status': member.status, 'Invited_By': member.invitedBy, 'Invited_At': member.invitedAt
+  });
+  return member;
+}
+
+/** Update a member's role and/or status ({ role?, status?, acceptedAt? }). */
+export async function updatePlaylistMember(member, changes) {
+  const fields = {};
+  if (changes.role       !== undefined) fields['Role']        = changes.role;
+  if (changes.status     !== undefined) fields['Status']      = changes.status;
+  if (changes.acceptedAt !== undefined) fields['Accepted_At'] = changes.acceptedAt || '';
+  await fmUpdateRecord(FM_MEMBERS_LAYOUT, member._fmRecordId, fields);
+  return { ...member, ...changes };
+}
+
+export async function deletePlaylistMember(member) {
+  await fmDeleteRecord(FM_MEMBERS_LAYOUT, member._fmRecordId);
+}
+
+/**
+ * The playlist and the caller's role on it → { playlist, role, members } or
+ * null when it doesn't exist or the caller has no part in it.
+ */
+export async function resolvePlaylistAccess(playlistId, email) {
+  const playlist = await loadPlaylistById(playlistId);
+  if (!playlist) return null;
+  const members = await loadPlaylistMembers(playlist.id);
+  const role = playlistRoleFor(playlist, email, members);
+  return role ? { playlist, role, members } : null;
+}
+
+// ── Change log ────────────────────────────────────────────────────────────────
+
+// What a log entry keeps of a track: enough to show it and to put it back.
+const logEntry = (entry, position) => ({ ...entry, position });
+
+/**
+ * Append one change. Never throws — the edit it describes is already
+ * written, so a log failure is logged and the change just can't be undone.
+ * `entries` are [{ entry, position }].
+ */
+export async function recordPlaylistChange(playlistId, actor, action, entries, undoes = null) {
+  const change = {
+    id: randomUUID(), playlistId, actor: normalizeEmail(actor), action,
+    entries: entries.map(({ entry, position }) => logEntry(entry, position)),
+    undoes, createdAt: new Date().toISOString()
+  };
+  try {
+    await fmCreateRecord(FM_CHANGES_LAYOUT, {
+      'Change_ID': change.id, 'Playlist_ID': playlistId, 'Actor_Email': change.actor,
+      'Action': action, 'Entries_JSON': JSON.stringify(change.entries),
+      'Undoes_ID': undoes || '', 'Created_At': change.createdAt
+    });
+    return change;
+  } catch (err) {
+    console.warn('[MASS] Playlist change log write failed:', err?.message || err);
+    return null;
+  }
+}
+
+/** The most recent changes, newest first, each with `undoneBy` resolved. */
+export async function loadPlaylistChanges(playlistId) {
+  const result = await fmFindRecords(
+    FM_CHANGES_LAYOUT,
+    [{ 'Playlist_ID': fmExactMatch(playlistId) }],
+    { limit: PLAYLIST_CHANGES_LIMIT, sort: [{ fieldName: 'Created_At', sortOrder: 'descend' }] }
+  );
+  const changes = (result?.data || []).map(fmRecordToChange)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const undoneBy = new Map(changes.filter((c) => c.action === 'undo' && c.undoes).map((c) => [c.undoes, c.id]));
+  return changes.map((c) => ({ ...c, undoneBy: undoneBy.get(c.id) || null }));
+}
+
+const sameEntry = (a, b) => (a?.id && b?.id ? a.id === b.id : a?.addedAt === b?.addedAt);
+
+/**
+ * Revert one 'add' or 'remove' on a track list. Pure.
+ *   add    → the added entries still in the list come out
+ *   remove → the removed entries not back already go in at their old positions
+ * Returns { tracks, entries: [{ entry, position }] } — entries empty when
+ * there is nothing left to revert.
+ */
+export function applyUndo(tracks, change) {
+  const list = Array.isArray(tracks) ? [...tracks] : [];
+  const entries = [];
+  if (change.action === 'add') {
+    for (const logged of change.entries) {
+      const index = list.findIndex((t) => sameEntry(t, logged));
+      if (index === -1) continue;
+      const [entry] = list.splice(index, 1);
+      entries.push({ entry, position: index });
+    }
+  } else if (change.action === 'remove') {
+    const missing = change.entries.filter((logged) => !list.some((t) => sameEntry(t, logged)));
+    for (const { position, ...entry } of [...missing].sort((a, b) => a.position - b.position)) {
+      const index = Math.min(Number.isInteger(position) && position >= 0 ? position : list.length, list.length);
+      list.splice(index, 0, entry);
+      entries.push({ entry, position: index });
+    }
+  }
+  return { tracks: list, entries };
+}
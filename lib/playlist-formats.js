@@ -0,0 +1,402 @@
+/**
+ * lib/playlist-formats.js — playlist files in the formats other players and
+ * services read and write: M3U8, XSPF, JSPF and CSV, plus plain-text
+ * "Artist - Title" lists on the way in. Pure (no I/O).
+ *
+ * A row is { title, artist, album, isrc, durationSec, recordId }. Catalogue
+ * audio sits behind signed, short-lived URLs, so an exported file carries no
+ * playable location — each track's location/identifier is `mad:track:<recordId>`
+ * instead. Other apps match on the metadata; our own import reads the
+ * identifier back and gets the exact track (lib/playlist-matcher.js).
+ */
+
+export const PLAYLIST_FILE_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8',     extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  jspf: { contentType: 'application/json; charset=utf-8',     extension: 'jspf' },
+  csv:  { contentType: 'text/csv; charset=utf-8',             extension: 'csv' }
+};
+export const PLAYLIST_IMPORT_FORMATS = ['m3u8', 'xspf', 'jspf', 'csv', 'text'];
+
+// Rows past this are left out of an import and counted as `truncated`.
+export const PLAYLIST_FILE_MAX_ROWS = 200;
+const TEXT_MAX = 200; // per title / artist / album
+
+const TRACK_URI_RE = /^mad:track:(\d{1,20})$/;
+export const trackUri = (recordId) => `mad:track:${recordId}`;
+
+// ── Row helpers ──────────────────────────────────────────────────────────────
+
+function recordIdFrom(value) {
+  const s = String(value ?? '').trim();
+  return TRACK_URI_RE.exec(s)?.[1] || (/^\d{1,20}$/.test(s) ? s : '');
+}
+
+const cleanText = (value) => String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, TEXT_MAX);
+
+function toRow({ title, artist, album, isrc, durationSec, recordId } = {}) {
+  const secs = Number(durationSec);
+  return {
+    title:       cleanText(title),
+    artist:      cleanText(artist),
+    album:       cleanText(album),
+    isrc:        cleanText(isrc).slice(0, 20),
+    durationSec: Number.isFinite(secs) && secs > 0 ? Math.round(secs) : null,
+    recordId:    recordIdFrom(recordId)
+  };
+}
+
+// A row is worth matching if it names something we can look up.
+const usableRow = (row) => Boolean(row.title || row.isrc || row.recordId);
+
+// "Artist - Title" (hyphen, en or em dash). No separator → the whole thing is the title.
+export function splitArtistTitle(text) {
+  const value = cleanText(text);
+  const m = /^(.+?)\s+[-–—]\s+(.+)$/.exec(value);
+  return m ? { artist: m[1].trim(), title: m[2].trim() } : { artist: '', title: value };
+}
+
+// "3:05", "1:02:03" or plain seconds → seconds.
+function clockToSeconds(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  if (/^\d+(:\d{1,2}){1,2}$/.test(s)) return s.split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+  const n = Number(s);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+const escapeXml = (value) => String(value ?? '')
+  .replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;').replaceAll("'", '&apos;');
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+const extinfLabel = (row) => (row.artist ? `${row.artist} - ${row.title}` : row.title);
+
+function toM3u8(title, rows) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${cleanText(title)}`];
+  for (const row of rows) {
+    lines.push(`#EXTINF:${row.durationSec ?? -1},${extinfLabel(row)}`);
+    if (row.album) lines.push(`#EXTALB:${row.album}`);
+    if (row.isrc)  lines.push(`#EXTISRC:${row.isrc}`);
+    if (row.recordId) lines.push(trackUri(row.recordId));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toXspf(title, rows) {
+  const tracks = rows.map((row) => {
+    const parts = [];
+    if (row.recordId) parts.push(`<location>${trackUri(row.recordId)}</location>`);
+    if (row.isrc)     parts.push(`<identifier>urn:isrc:${escapeXml(row.isrc)}</identifier>`);
+    parts.push(`<title>${escapeXml(row.title)}</title>`);
+    if (row.artist)   parts.push(`<creator>${escapeXml(row.artist)}</creator>`);
+    if (row.album)    parts.push(`<album>${escapeXml(row.album)}</album>`);
+    if (row.durationSec) parts.push(`<duration>${row.durationSec * 1000}</duration>`);
+    return `    <track>\n      ${parts.join('\n      ')}\n    </track>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+    `  <title>${escapeXml(title)}</title>\n` +
+    `  <trackList>\n${tracks.join('\n')}${tracks.length ? '\n' : ''}  </trackList>\n` +
+    '</playlist>\n';
+}
+
+function toJspf(title, rows) {
+  const track = rows.map((row) => {
+    const entry = { title: row.title };
+    if (row.artist) entry.creator = row.artist;
+    if (row.album)  entry.album = row.album;
+    if (row.durationSec) entry.duration = row.durationSec * 1000;
+    if (row.recordId) entry.location = [trackUri(row.recordId)];
+    if (row.isrc)   entry.identifier = [`urn:isrc:${row.isrc}`];
+    return entry;
+  });
+  return JSON.stringify({ playlist: { title, track } }, null, 2) + '\n';
+}
+
+function toCsv(rows) {
+  const lines = [['Title', 'Artist', 'Album', 'ISRC', 'Duration (s)', 'Record ID'].join(',')];
+  for (const row of rows) {
+    lines.push([row.title, row.artist, row.album, row.isrc, row.durationSec ?? '', row.recordId]
+      .map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a playlist as a file. `format` is a PLAYLIST_FILE_FORMATS key; the
+ * caller checks it. Returns { body, contentType, extension }.
+ */
+export function serializePlaylist(format, { title = '', rows = [] } = {}) {
+  const clean = rows.map(toRow);
+  const body = format === 'm3u8' ? toM3u8(title, clean)
+    : format === 'xspf' ? toXspf(title, clean)
+      : format === 'jspf' ? toJspf(title, clean)
+        : toCsv(clean);
+  return { body, ...PLAYLIST_FILE_FORMATS[format] };
+}
+
+// ── Import ───────────────────────────────────────────────────────────────────
+
+function parseM3u(content) {
+  const rows = [];
+  let title = '';
+  let pending = {};
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const tag = /^#([A-Z0-9-]+):(.*)$/i.exec(line);
+    if (tag) {
+      const [, name, value] = tag;
+      const key = name.toUpperCase();
+      if (key === 'PLAYLIST') title = cleanText(value);
+      else if (key === 'EXTINF') {
+        // #EXTINF:<secs>[ key="value"…],<Artist - Title>. An entry with no
+        // location line ends at the next one.
+        if (pending.title) rows.push(toRow(pending));
+        const comma = value.indexOf(',');
+        const secs = Number.parseFloat(comma >= 0 ? value.slice(0, comma) : value);
+        pending = {
+          ...splitArtistTitle(comma >= 0 ? value.slice(comma + 1) : ''),
+          durationSec: secs > 0 ? secs : null
+        };
+      } else if (key === 'EXTALB') pending.album = value;
+      else if (key === 'EXTART') pending.artist = value;
+      else if (key === 'EXTISRC') pending.isrc = value;
+      continue;
+    }
+    if (line.startsWith('#')) continue;
+    // A location line closes the entry. With no #EXTINF, fall back to the file
+    // name ("Artist - Title.mp3").
+    const id = TRACK_URI_RE.exec(line)?.[1];
+    if (!id && !pending.title) {
+      let name = line.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+      try { name = decodeURIComponent(name); } catch (_e) { /* keep it as written */ }
+      Object.assign(pending, splitArtistTitle(name.replaceAll('_', ' ')));
+    }
+    rows.push(toRow({ ...pending, recordId: id }));
+    pending = {};
+  }
+  if (pending.title) rows.push(toRow(pending));
+  return { title, rows };
+}
+
+// A numeric character reference; past U+10FFFF fromCodePoint throws, so an
+// out-of-range one from an uploaded file reads as U+FFFD instead.
+const codePoint = (n) => (n <= 0x10FFFF ? String.fromCodePoint(n) : '\uFFFD');
+
+function decodeXml(value) {
+  return String(value ?? '')
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => codePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => codePoint(Number(dec)))
+    .replaceAll('&lt;', '<').replaceAll('&gt;', '>').replaceAll('&quot;', '"')
+    .replaceAll('&apos;', "'").replaceAll('&amp;', '&')
+    .trim();
+}
+
+// `<tag …>text</tag>` elements in order, as { attrs, text } (text raw). One
+// forward pass with indexOf, and a missing close tag ends it — lazy regexes
+// re-scanned the rest of the file for every unclosed opening, which made a
+// file of bare `<track>`s quadratic. Stops after `limit` elements.
+function xmlElements(xml, tag, limit = Infinity) {
+  const lower = xml.toLowerCase();
+  const open = `<${tag}`;
+  const close = `</${tag}>`;
+  const found = [];
+  let from = 0;
+  while (found.length < limit) {
+    const start = lower.indexOf(open, from);
+    if (start === -1) break;
+    const gt = lower.indexOf('>', start + open.length);
+    if (gt === -1) break;
+    const next = lower[start + open.length];
+    // <trackList>, <titles>…: another tag that starts the same. <title/> has no text.
+    if ((next !== '>' && !/\s/.test(next)) || lower[gt - 1] === '/') { from = gt + 1; continue; }
+    const end = lower.indexOf(close, gt + 1);
+    if (end === -1) break;
+    found.push({ attrs: xml.slice(start + open.length, gt), text: xml.slice(gt + 1, end) });
+    from = end + close.length;
+  }
+  return found;
+}
+
+const xmlTags = (xml, tag, limit) => xmlElements(xml, tag, limit).map((el) => decodeXml(el.text));
+
+// ISRC from an identifier ("urn:isrc:…", "isrc:…") or a meta/extension value.
+const isrcFromIdentifier = (value) => /^(?:urn:)?isrc:(.+)$/i.exec(String(value ?? '').trim())?.[1] || '';
+
+// <track> elements read from one file. Well past PLAYLIST_FILE_MAX_ROWS, so
+// `truncated` stays a true count for any real playlist, but bounded.
+const XSPF_MAX_TRACKS = PLAYLIST_FILE_MAX_ROWS * 10;
+
+// XSPF is small and regular — a tag scan covers it without an XML parser.
+function parseXspf(content) {
+  const header = content.split(/<trackList/i)[0];
+  const rows = [];
+  for (const { text: body } of xmlElements(content, 'track', XSPF_MAX_TRACKS)) {
+    const first = (tag) => xmlTags(body, tag, 1)[0] || '';
+    const uris = [...xmlTags(body, 'location'), ...xmlTags(body, 'identifier')];
+    const metaIsrc = xmlElements(body, 'meta').find((el) => /^\s+rel="[^"]*isrc[^"]*"\s*$/i.test(el.attrs));
+    const ms = Number(first('duration'));
+    rows.push(toRow({
+      title:       first('title'),
+      artist:      first('creator'),
+      album:       first('album'),
+      isrc:        uris.map(isrcFromIdentifier).find(Boolean) || (metaIsrc ? decodeXml(metaIsrc.text) : undefined),
+      durationSec: ms > 0 ? ms / 1000 : null,
+      recordId:    uris.find((u) => TRACK_URI_RE.test(u))
+    }));
+  }
+  return { title: xmlTags(header, 'title', 1)[0] || '', rows };
+}
+
+function parseJspf(content) {
+  let doc;
+  try { doc = JSON.parse(content); } catch (_e) { return null; }
+  const playlist = doc?.playlist;
+  if (!playlist || typeof playlist !== 'object') return null;
+  const list = (value) => (Array.isArray(value) ? value : value == null ? [] : [value]).map(String);
+  const rows = (Array.isArray(playlist.track) ? playlist.track : []).map((t) => {
+    const uris = [...list(t?.location), ...list(t?.identifier)];
+    const ms = Number(t?.duration);
+    return toRow({
+      title:       t?.title,
+      artist:      t?.creator,
+      album:       t?.album,
+      isrc:        uris.map(isrcFromIdentifier).find(Boolean),
+      durationSec: ms > 0 ? ms / 1000 : null,
+      recordId:    uris.find((u) => TRACK_URI_RE.test(u))
+    });
+  });
+  return { title: cleanText(playlist.title), rows };
+}
+
+// RFC 4180 — quoted cells may hold the delimiter, quotes ("") and newlines.
+function parseCsvRecords(content, delimiter) {
+  const records = [];
+  let cell = '';
+  let record = [];
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') { cell += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { record.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell || record.length) { record.push(cell); records.push(record); }
+  return records.filter((r) => r.some((c) => c.trim()));
+}
+
+// Header spellings from our own export and the usual exporters
+// ("Track Name", "Artist Name(s)", "Duration (ms)", …), compared squashed.
+const CSV_COLUMNS = {
+  title:    ['title', 'trackname', 'tracktitle', 'track', 'songname', 'song', 'name'],
+  artist:   ['artist', 'artists', 'artistname', 'artistnames', 'trackartist', 'creator'],
+  album:    ['album', 'albumname', 'albumtitle', 'release'],
+  isrc:     ['isrc'],
+  duration: ['durations', 'duration', 'durationms', 'durationseconds', 'length', 'time'],
+  recordId: ['recordid']
+};
+const squash = (header) => String(header ?? '').toLowerCase().replace(/[^a-z]/g, '');
+
+function csvDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Column index per field, or null when the first line isn't a header we know.
+function csvColumnMap(headerCells) {
+  const squashed = headerCells.map(squash);
+  const map = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const idx = names.map((n) => squashed.indexOf(n)).find((i) => i >= 0);
+    if (idx !== undefined) map[field] = idx;
+  }
+  if (map.title === undefined) return null;
+  map.durationInMs = map.duration !== undefined && /ms$|millis/.test(squashed[map.duration]);
+  return map;
+}
+
+function parseCsv(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const [header, ...records] = parseCsvRecords(content, csvDelimiter(firstLine));
+  const map = csvColumnMap(header || []);
+  if (!map) return null;
+  const at = (record, field) => (map[field] === undefined ? '' : record[map[field]] ?? '');
+  const rows = records.map((record) => {
+    const duration = clockToSeconds(at(record, 'duration'));
+    return toRow({
+      title:       at(record, 'title'),
+      artist:      at(record, 'artist'),
+      album:       at(record, 'album'),
+      isrc:        at(record, 'isrc'),
+      durationSec: duration && map.durationInMs ? duration / 1000 : duration,
+      recordId:    at(record, 'recordId')
+    });
+  });
+  return { title: '', rows };
+}
+
+// One track per line: "Artist - Title", optionally numbered ("1. …", "2) …").
+function parseText(content) {
+  const rows = content.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => toRow(splitArtistTitle(line.replace(/^\d{1,4}[.)]\s+/, ''))));
+  return { title: '', rows };
+}
+
+/** Best guess at a file's format from its content. */
+export function detectPlaylistFormat(content) {
+  const head = String(content ?? '').replace(/^\uFEFF/, '').trimStart();
+  if (/^#EXTM3U/i.test(head) || /^#EXTINF:/im.test(head)) return 'm3u8';
+  if (head.startsWith('<')) return 'xspf';
+  if (head.startsWith('{')) return 'jspf';
+  const firstLine = head.split(/\r?\n/, 1)[0];
+  if (csvColumnMap(parseCsvRecords(firstLine, csvDelimiter(firstLine))[0] || [])) return 'csv';
+  return 'text';
+}
+
+const PARSERS = { m3u8: parseM3u, xspf: parseXspf, jspf: parseJspf, csv: parseCsv, text: parseText };
+
+/**
+ * Parse an uploaded playlist file. `format` may be omitted (detected), and
+ * "m3u" is read as "m3u8". Returns { ok: true, format, title, rows, truncated }
+ * with at most PLAYLIST_FILE_MAX_ROWS usable rows, or { ok: false, error }.
+ */
+export function parsePlaylistFile(content, format = null) {
+  const text = String(content ?? '').replace(/^\uFEFF/, '');
+  const requested = format === 'm3u' ? 'm3u8' : format;
+  if (requested && !PLAYLIST_IMPORT_FORMATS.includes(requested)) {
+    return { ok: false, error: `Unknown format (use ${PLAYLIST_IMPORT_FORMATS.join(', ')})` };
+  }
+  const resolved = requested || detectPlaylistFormat(text);
+  const parsed = PARSERS[resolved](text);
+  if (!parsed) return { ok: false, error: `Could not read this file as ${resolved.toUpperCase()}` };
+  const rows = parsed.rows.filter(usableRow);
+  if (!rows.length) return { ok: false, error: 'No tracks found in the file' };
+  return {
+    ok:        true,
+    format:    resolved,
+    title:     parsed.title,
+    rows:      rows.slice(0, PLAYLIST_FILE_MAX_ROWS),
+    truncated: Math.max(0, rows.length - PLAYLIST_FILE_MAX_ROWS)
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * lib/playlist-matcher.js — the catalogue side of playlist files
+ * (lib/playlist-formats.js): rows for an export, and matching an uploaded
+ * file's rows to catalogue tracks for the import review.
+ *
+ * Each row is tried, in order:
+ *   1. its `mad:track:<id>` identifier (a file we exported) — exact;
+ *   2. its ISRC, on ISRC_FIELD_CANDIDATES — exact, several pressings of one
+ *      recording are ranked by name;
+ *   3. a title + artist search (the same "contains" finds as /search), then
+ *      with the artist corrected by lib/name-index.js, then title alone —
+ *      the hits ranked by nameSimilarity() on title, artist, album and length.
+ * and comes back 'matched' (one clear winner), 'ambiguous' (up to
+ * MATCH_CANDIDATES close calls for the listener to pick from) or 'missing'.
+ * Only playable, visible tracks are offered. Reads go to Postgres when it
+ * serves catalogue metadata, else FileMaker — the same switch as search.
+ */
+
+import { fmFindRecords } from '../fm-client.js';
+import {
+  FM_LAYOUT, ISRC_FIELD_CANDIDATES, AUDIO_FIELD_CANDIDATES, ARTWORK_FIELD_CANDIDATES,
+  firstNonEmptyFast, recordIsVisible
+} from './fm-fields.js';
+import { mapRecordToRow } from './catalog-mapper.js';
+import { hasValidAudio } from './track.js';
+import { getTrackRecordCached } from './track-cache.js';
+import { usePostgresMetadata } from './metadata-source.js';
+import { pgFind } from './catalog-store-pg.js';
+import { nameSimilarity, suggestNames } from './name-index.js';
+import { normalizeIsrc } from './royalty-report.js';
+import { fmExactMatch } from './validators.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('playlist-matcher');
+
+const MATCH_CONCURRENCY = 4;
+const SEARCH_LIMIT = 20;
+export const MATCH_CANDIDATES = 3;
+// A "matched" row needs this score and this lead over the runner-up; below
+// AMBIGUOUS_MIN nothing is offered.
+const MATCH_MIN = 0.9;
+const MATCH_LEAD = 0.05;
+const AMBIGUOUS_MIN = 0.6;
+
+// ── Catalogue reads ──────────────────────────────────────────────────────────
+
+// Records for an OR of find requests. [] when nothing matched, null when
+// FileMaker doesn't know one of the fields (102).
+async function findCatalogue(queries) {
+  if (usePostgresMetadata()) return (await pgFind(queries, { limit: SEARCH_LIMIT })).data;
+  const result = await fmFindRecords(FM_LAYOUT, queries, { limit: SEARCH_LIMIT });
+  if (result.ok) return result.data;
+  if (String(result.code) === '401') return [];
+  if (String(result.code) === '102') return null;
+  throw new Error(`Catalogue find failed: ${result.msg}`);
+}
+
+const playable = (record) => {
+  const fields = record?.fieldData || {};
+  return hasValidAudio(fields) && recordIsVisible(fields);
+};
+
+/** One catalogue record → the row a playlist file carries for it. */
+export function describeCatalogueRecord(record) {
+  const row = mapRecordToRow(record);
+  return {
+    recordId:    row.fm_record_id,
+    title:       row.track_title || '',
+    artist:      row.track_artist || row.album_artist || '',
+    album:       row.album_title || '',
+    isrc:        normalizeIsrc(firstNonEmptyFast(record.fieldData || {}, ISRC_FIELD_CANDIDATES)),
+    durationSec: row.duration_secs
+  };
+}
+
+/** The payload POST /:playlistId/tracks/bulk takes for this record. */
+export function trackPayloadFromRecord(record) {
+  const fields = record.fieldData || {};
+  const row = mapRecordToRow(record);
+  const audioField = AUDIO_FIELD_CANDIDATES.find((f) => fields[f]) || '';
+  const artworkField = ARTWORK_FIELD_CANDIDATES.find((f) => fields[f]) || '';
+  return {
+    recordId:    row.fm_record_id,
+    name:        row.track_title || '',
+    albumTitle:  row.album_title || '',
+    albumArtist: row.album_artist || '',
+    trackArtist: row.track_artist || '',
+    catalogue:   row.catalogue_no || '',
+    mp3:         audioField ? String(fields[audioField]) : '',
+    artwork:     artworkField ? String(fields[artworkField]) : '',
+    audioField,
+    artworkField,
+    seq:         row.track_seq
+  };
+}
+
+/**
+ * Rows for exporting a playlist's entries: catalogue metadata (ISRC, length)
+ * where the track is still found, else what the entry itself recorded.
+ */
+export async function playlistExportRows(tracks = []) {
+  const rows = [];
+  for (let i = 0; i < tracks.length; i += MATCH_CONCURRENCY) {
+    const batch = tracks.slice(i, i + MATCH_CONCURRENCY);
+    rows.push(...await Promise.all(batch.map(async (entry) => {
+      const recordId = entry.trackRecordId || entry.recordId || '';
+      let record = null;
+      try {
+        record = recordId ? await getTrackRecordCached(FM_LAYOUT, recordId) : null;
+      } catch (err) {
+        log.warn(`export lookup failed for ${recordId}: ${err.message}`);
+      }
+      if (record) return describeCatalogueRecord(record);
+      return {
+        recordId,
+        title:       entry.name || '',
+        artist:      entry.trackArtist || entry.albumArtist || '',
+        album:       entry.albumTitle || '',
+        isrc:        '',
+        durationSec: null
+      };
+    })));
+  }
+  return rows;
+}
+
+// ── Scoring ──────────────────────────────────────────────────────────────────
+
+// Lower-cased, accents and bracketed extras ("(Remastered 2011)", "[Live]")
+// and "feat. …" dropped, punctuation to spaces — what two spellings of one
+// track still have in common.
+function cleanName(value) {
+  return String(value ?? '')
+    .normalize('NFKD').replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(/\s(?:feat|ft|featuring)\.?\s.*$/, ' ')
+    .replaceAll('&', ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// "A, B & C" / "A feat. B" → each credited artist.
+const artistParts = (value) => String(value ?? '')
+  .split(/\s*(?:,|;|&|\band\b|\bx\b|\bfeat\.?|\bft\.?|\bfeaturing)\s*/i)
+  .map(cleanName).filter(Boolean);
+
+function bestArtistSimilarity(wanted, candidate) {
+  const wantedParts = [cleanName(wanted), ...artistParts(wanted)];
+  const candidateParts = [candidate.artist, candidate.track?.albumArtist].flatMap((a) => [cleanName(a), ...artistParts(a)]).filter(Boolean);
+  let best = 0;
+  for (const w of wantedParts) {
+    for (const c of candidateParts) best = Math.max(best, nameSimilarity(w, c));
+  }
+  return best;
+}
+
+/** Score in [0,1] for how well a catalogue candidate fits an uploaded row. */
+export function scoreCandidate(row, candidate) {
+  const parts = [[0.6, nameSimilarity(cleanName(row.title), cleanName(candidate.title))]];
+  if (row.artist) parts.push([0.3, bestArtistSimilarity(row.artist, candidate)]);
+  if (row.album)  parts.push([0.1, nameSimilarity(cleanName(row.album), cleanName(candidate.album))]);
+  let score = parts.reduce((sum, [w, s]) => sum + w * s, 0) / parts.reduce((sum, [w]) => sum + w, 0);
+  if (row.durationSec && candidate.durationSec) {
+    const off = Math.abs(row.durationSec - candidate.durationSec);
+    if (off <= 3) score = Math.min(1, score + 0.03);
+    else if (off > 15) score *= 0.85;
+  }
+  return Number(score.toFixed(3));
+}
+
+const toCandidate = (record) => ({ ...describeCatalogueRecord(record), track: trackPayloadFromRecord(record) });
+
+function rankCandidates(row, records) {
+  const seen = new Set();
+  const ranked = [];
+  for (const record of records) {
+    if (!playable(record) || seen.has(String(record.recordId))) continue;
+    seen.add(String(record.recordId));
+    const candidate = toCandidate(record);
+    ranked.push({ ...candidate, score: scoreCandidate(row, candidate) });
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+// ── Lookups ──────────────────────────────────────────────────────────────────
+
+async function findByIsrc(isrc) {
+  for (const field of ISRC_FIELD_CANDIDATES) {
+    const records = await findCatalogue([{ [field]: fmExactMatch(isrc) }]);
+    if (records?.length) return records;
+  }
+  return [];
+}
+
+// "contains" every word (as /search builds it), at most `max` of the longest.
+function containsWords(value, max) {
+  const words = String(value ?? '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u).filter((w) => w.length >= 2)
+    .sort((a, b) => b.length - a.length).slice(0, max);
+  return words.map((w) => `*${w}*`).join(' ');
+}
+
+const titleQueries = (title, artist) => {
+  const t = containsWords(cleanName(title) || title, 4);
+  if (!t) return [];
+  if (!artist) return [{ 'Track Name': t }];
+  const a = containsWords(artist, 3);
+  return a ? [{ 'Track Name': t, 'Album Artist': a }, { 'Track Name': t, 'Track Artist': a }] : [{ 'Track Name': t }];
+};
+
+async function findByName(row) {
+  if (!row.title) return [];
+  const found = await findCatalogue(titleQueries(row.title, row.artist));
+  if (found?.length || !row.artist) return found || [];
+  // Misspelt artist ("Ladysmith Black Mambaza") — the name index's correction.
+  const corrected = suggestNames(row.artist, { limit: 1 }).find((s) => s.kind === 'artist');
+  if (corrected) {
+    const retry = await findCatalogue(titleQueries(row.title, corrected.name));
+    if (retry?.length) return retry;
+  }
+  // Artist credited differently here — rank title hits by artist similarity.
+  return (await findCatalogue(titleQueries(row.title, ''))) || [];
+}
+
+function classify(row, ranked, via) {
+  const [best, second] = ranked;
+  if (best && best.score >= MATCH_MIN && (!second || best.score - second.score >= MATCH_LEAD)) {
+    return { status: 'matched', via, match: best, candidates: [] };
+  }
+  const close = ranked.filter((c) => c.score >= AMBIGUOUS_MIN).slice(0, MATCH_CANDIDATES);
+  if (close.length) return { status: 'ambiguous', via, match: null, candidates: close };
+  return { status: 'missing', via: null, match: null, candidates: [] };
+}
+
+async function matchRow(row) {
+  if (row.recordId) {
+    const record = await getTrackRecordCached(FM_LAYOUT, row.recordId).catch(() => null);
+    if (record && playable(record)) {
+      return { status: 'matched', via: 'id', match: { ...toCandidate(record), score: 1 }, candidates: [] };
+    }
+  }
+  const isrc = normalizeIsrc(row.isrc);
+  if (isrc) {
+    const ranked = rankCandidates(row, await findByIsrc(isrc));
+    // Any track with the ISRC is the recording asked for — name only picks the pressing.
+    if (ranked.length) return { status: 'matched', via: 'isrc', match: { ...ranked[0], score: 1 }, candidates: [] };
+  }
+  return classify(row, rankCandidates(row, await findByName(row)), 'name');
+}
+
+/**
+ * Match parsed rows to catalogue tracks. Resolves to one result per row, in
+ * order: { row, input, status, via, match, candidates } — `match` and each
+ * candidate carry `track`, the payload for POST /:playlistId/tracks/bulk.
+ * A row whose lookup fails is reported as 'missing' with `error`.
+ */
+export async function matchPlaylistRows(rows = []) {
+  const results = [];
+  for (let i = 0; i < rows.length; i += MATCH_CONCURRENCY) {
+    const batch = rows.slice(i, i + MATCH_CONCURRENCY);
+    results.push(...await Promise.all(batch.map(async (input, j) => {
+      try {
+        return { row: i + j, input, ...await matchRow(input) };
+      } catch (err) {
+        log.warn(`row ${i + j} lookup failed: ${err.message}`);
+        return { row: i + j, input, status: 'missing', via: null, match: null, candidates: [], error: 'Lookup failed' };
+      }
+    })));
+  }
+  return results;
+}
+
+/** Counts per status, for the top of the review. */
+export function summarizeMatches(results) {
+  const summary = { total: results.length, matched: 0, ambiguous: 0, missing: 0 };
+  for (const r of results) summary[r.status] += 1;
+  return summary;
+}
@@ -3,28 +3,31 @@
  * Each playlist is a separate FM record. Tracks are stored as a JSON blob in Songs_JSON.
  *
  * FM layout: API_Playlists (env: FM_PLAYLISTS_LAYOUT)
- * Fields: Playlist_ID, User_Email, Name, Artwork, Songs_JSON,
- *         Share_ID, Shared_At, Created_At, Updated_At
+ * Fields: Playlist_ID, User_Email, Name, Artwork, Songs_JSON, Sections_JSON,
+ *         Rules_JSON, Refreshed_At, Share_ID, Shared_At, Listed_At,
+ *         Created_At, Updated_At
+ *
+ * `version` is the record's FM modId — it moves on every write, so clients
+ * send it back with position-based edits (move, add section) and a stale one
+ * gets a 409. Sections_JSON is only written once a playlist has sections.
+ * Rules_JSON is empty except on smart playlists (lib/smart-playlist.js),
+ * whose Songs_JSON is re-materialised from the rules; Refreshed_At is when.
+ * Listed_At is set while a shared playlist is listed on its owner's public
+ * curator profile (lib/curators.js).
  */
 
 import 'dotenv/config';
-import { fmFindRecords, fmCreateRecord, fmUpdateRecord, fmDeleteRecord } from '../fm-client.js';
-import { normalizeShareId } from './format.js';
+import { fmFindRecords, fmFindAll, fmCreateRecord, fmUpdateRecord, fmDeleteRecord } from '../fm-client.js';
+import { normalizeShareId, toFMTimestamp } from './format.js';
+import { createKeyLock } from './key-lock.js';
+import { distinctAddedAts } from './playlist.js';
 import { fmExactMatch } from './validators.js';
 
 const FM_PLAYLISTS_LAYOUT = process.env.FM_PLAYLISTS_LAYOUT || 'API_Playlists';
 
-// ── Timestamp helpers ─────────────────────────────────────────────────────────
-// FM Timestamp fields expect MM/DD/YYYY HH:MM:SS; Text fields accept ISO strings.
-// We write FM-format and normalise on read so both field types work.
-
-function toFMTimestamp(isoString) {
-  if (!isoString) return '';
-  const d = new Date(isoString);
-  if (Number.isNaN(d.getTime())) return '';
-  return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()} ` +
-         `${d.getHours()}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
-}
+// ── Timestamp helper ──────────────────────────────────────────────────────────
+// Written with toFMTimestamp (lib/format.js); read back from either an FM
+// Timestamp or an ISO string in a Text field.
 
 function fromFMTimestamp(value) {
   if (!value) return null;
@@ -42,8 +45,12 @@ function playlistToFMFields(playlist) {
   if (playlist.name      !== undefined) fields['Name']        = playlist.name;
   if (playlist.artwork   !== undefined) fields['Artwork']     = playlist.artwork || '';
   if (playlist.tracks    !== undefined) fields['Songs_JSON']  = JSON.stringify(playlist.tracks ?? []);
+  if (playlist.sections  !== undefined) fields['Sections_JSON'] = JSON.stringify(playlist.sections ?? []);
+  if (playlist.rules     !== undefined) fields['Rules_JSON']  = playlist.rules ? JSON.stringify(playlist.rules) : '';
+  if (playlist.refreshedAt !== undefined) fields['Refreshed_At'] = toFMTimestamp(playlist.refreshedAt);
   if (playlist.shareId   !== undefined) fields['Share_ID']    = normalizeShareId(playlist.shareId) || '';
   if (playlist.sharedAt  !== undefined) fields['Shared_At']   = toFMTimestamp(playlist.sharedAt);
+  if (playlist.listedAt  !== undefined) fields['Listed_At']   = toFMTimestamp(playlist.listedAt);
   if (playlist.createdAt !== undefined) fields['Created_At']  = toFMTimestamp(playlist.createdAt);
   if (playlist.updatedAt !== undefined) fields['Updated_At']  = toFMTimestamp(playlist.updatedAt);
   return fields;
@@ -53,18 +60,28 @@ function playlistToFMFields(playlist) {
 function fmRecordToPlaylist(record) {
   const f = record.fieldData || {};
   let tracks;
-  try { tracks = JSON.parse(f['Songs_JSON'] || '[]'); } catch { tracks = []; }
+  let sections;
+  let rules;
+  try { tracks = distinctAddedAts(JSON.parse(f['Songs_JSON'] || '[]')); } catch { tracks = []; }
+  try { sections = JSON.parse(f['Sections_JSON'] || '[]'); } catch { sections = []; }
+  try { rules = f['Rules_JSON'] ? JSON.parse(f['Rules_JSON']) : null; } catch { rules = null; }
   return {
     id:        f['Playlist_ID']  || '',
     userId:    f['User_Email']   || '',
     name:      f['Name']         || '',
     artwork:   f['Artwork']      || '',
     tracks,
+    sections:  Array.isArray(sections) ? sections : [],
+    rules:     rules && typeof rules === 'object' ? rules : null,
+    refreshedAt: fromFMTimestamp(f['Refreshed_At']),
     shareId:   normalizeShareId(f['Share_ID']) || null,
     sharedAt:  fromFMTimestamp(f['Shared_At']),
+    listedAt:  fromFMTimestamp(f['Listed_At']),
     createdAt: fromFMTimestamp(f['Created_At']),
     updatedAt: fromFMTimestamp(f['Updated_At']),
-    _fmRecordId: record.recordId  // internal — needed for update/delete
+    version:   Number(record.modId) || 0,
+    _fmRecordId: record.recordId,  // internal — needed for update/delete
+    _fmModId:    record.modId      // internal — conditional writes (mutatePlaylist)
   };
 }
 
@@ -107,6 +124,28 @@ export async function loadPlaylistByShareId(shareId) {
   return fmRecordToPlaylist(result.data[0]);
 }
 
+/** A user's playlists listed on their curator profile, most recently updated first. */
+export async function loadListedPlaylists(email) {
+  const result = await fmFindRecords(
+    FM_PLAYLISTS_LAYOUT,
+    [{ 'User_Email': fmExactMatch(email), 'Listed_At': '*' }],
+    { limit: 200, sort: [{ fieldName: 'Updated_At', sortOrder: 'descend' }] }
+  );
+  if (!result?.data?.length) return [];
+  return result.data.map(fmRecordToPlaylist).filter((p) => p.shareId)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/** Every smart playlist (non-empty Rules_JSON), for the scheduled refresh. */
+export async function loadSmartPlaylists() {
+  const result = await fmFindAll(FM_PLAYLISTS_LAYOUT, [{ 'Rules_JSON': '*' }], { pageSize: 500 });
+  if (!result.ok) {
+    if (String(result.code) === '401') return [];
+    throw new Error(`Smart playlist query failed: ${result.msg || 'FM error'}`);
+  }
+  return result.data.map(fmRecordToPlaylist);
+}
+
 /** Check whether a Share_ID is already taken. */
 export async function isShareIdTaken(shareId) {
   const normalised = normalizeShareId(shareId);
@@ -137,6 +176,50 @@ export async function updatePlaylist(fmRecordId, changes) {
   await fmUpdateRecord(FM_PLAYLISTS_LAYOUT, fmRecordId, fields);
 }
 
+// ── Conflict-safe track edits ─────────────────────────────────────────────────
+// Songs_JSON is one blob, so two people adding to the same playlist at once
+// (collaborators, or one listener on two devices) would each write back their
+// own copy and one add would vanish. Edits go through mutatePlaylist instead:
+// a per-playlist promise-chain lock (lib/key-lock.js) serialises them within
+// this process, and the write is conditional on the modId the playlist was
+// read with, so an edit from another worker makes FileMaker refuse it (306) —
+// the playlist is re-read and the edit re-applied.
+
+const MUTATE_ATTEMPTS = 4;
+const withPlaylistLock = createKeyLock(); // by playlist id
+
+const isModIdConflict = (err) => err?.fmCode === '306';
+
+/**
+ * Apply an edit to a playlist's tracks without losing a concurrent one.
+ * mutatorFn(playlist) changes the playlist it is given (possibly a fresh copy
+ * on a retry) and returns the fields to write ({ tracks, updatedAt, … }), or
+ * a falsy value for "nothing to write". Resolves to the playlist as written,
+ * or null if it was deleted meanwhile. `playlist` is the caller's copy, used
+ * as-is when no other edit got there first.
+ */
+export function mutatePlaylist(playlist, mutatorFn) {
+  return withPlaylistLock(playlist.id, async (waited) => {
+    let current = waited ? await loadPlaylistById(playlist.id) : playlist;
+    for (let attempt = 1; current; attempt += 1) {
+      const changes = await mutatorFn(current);
+      if (!changes) return current;
+      try {
+        const written = await fmUpdateRecord(
+          FM_PLAYLISTS_LAYOUT, current._fmRecordId, playlistToFMFields(changes),
+          current._fmModId ? { modId: current._fmModId } : undefined
+        );
+        return Object.assign(current, changes,
+          written?.modId ? { _fmModId: written.modId, version: Number(written.modId) || 0 } : {});
+      } catch (err) {
+        if (!isModIdConflict(err) || attempt >= MUTATE_ATTEMPTS) throw err;
+        current = await loadPlaylistById(playlist.id);
+      }
+    }
+    return null;
+  });
+}
+
 /** Delete a playlist record from FM. */
 export async function deletePlaylist(fmRecordId) {
   if (!fmRecordId) throw new Error('deletePlaylist requires fmRecordId');
@@ -18,6 +18,21 @@ export const playlistOwnerMatches = (ownerId, userEmail) => {
   return String(ownerId).trim().toLowerCase() === String(userEmail).trim().toLowerCase();
 };
 
+// Collaborative playlists (lib/playlist-collab.js): besides the owner, a
+// playlist can have invited editors (change the tracks) and viewers (read
+// only). Only the owner shares, publishes, deletes or manages collaborators.
+export const PLAYLIST_ROLES = ['editor', 'viewer'];
+
+/** 'owner' | 'editor' | 'viewer' | null for `userEmail` on a playlist. Pure. */
+export const playlistRoleFor = (playlist, userEmail, members = []) => {
+  if (!playlist || !userEmail) return null;
+  if (playlistOwnerMatches(playlist.userId, userEmail)) return 'owner';
+  const member = members.find((m) => m.status === 'active' && playlistOwnerMatches(m.email, userEmail));
+  return member && PLAYLIST_ROLES.includes(member.role) ? member.role : null;
+};
+
+export const canEditPlaylistTracks = (role) => role === 'owner' || role === 'editor';
+
 // ── Share sanitisation ───────────────────────────────────────────────────────
 
 export const cloneTrackForShare = (track) => {
@@ -171,8 +186,8 @@ export function summarizeTrackPayload(payload = {}) {
   };
 }
 
-export function buildTrackEntry(payload, addedAt) {
-  return {
+export function buildTrackEntry(payload, addedAt, addedBy = null) {
+  const entry = {
     id:            randomUUID(),
     trackRecordId: payload.recordId  || null,
     name:          payload.name,
@@ -188,6 +203,36 @@ export function buildTrackEntry(payload, addedAt) {
     artworkField:  payload.artworkField,
     addedAt
   };
+  // "Added by" on collaborative playlists — not sent on public shares.
+  if (addedBy) entry.addedBy = addedBy;
+  return entry;
+}
+
+/**
+ * Tracks with every addedAt distinct — it is the key moves and removes name
+ * entries by. Imports before 2026-10-19 stamped a whole batch with one
+ * instant; each repeat after the first moves on by whole milliseconds to the
+ * next free one. Deterministic, so every read of the same Songs_JSON gives
+ * the same keys, and the next write keeps them. Pure.
+ */
+export function distinctAddedAts(tracks) {
+  if (!Array.isArray(tracks)) return tracks;
+  const seen = new Set(tracks.map((entry) => entry?.addedAt).filter(Boolean));
+  if (seen.size === tracks.filter((entry) => entry?.addedAt).length) return tracks;
+  const taken = new Set();
+  return tracks.map((entry) => {
+    const addedAt = entry?.addedAt;
+    if (!addedAt || !taken.has(addedAt)) {
+      if (addedAt) taken.add(addedAt);
+      return entry;
+    }
+    let ms = Date.parse(addedAt);
+    if (!Number.isFinite(ms)) return entry;
+    let next;
+    do { next = new Date(++ms).toISOString(); } while (taken.has(next) || seen.has(next));
+    taken.add(next);
+    return { ...entry, addedAt: next };
+  });
 }
 
 export function buildPlaylistDuplicateIndex(playlist) {
@@ -205,3 +250,107 @@ export function resolveDuplicate(map, payload) {
   if (!key) return { key: '', entry: null };
   return { key, entry: map.get(key) || null };
 }
+
+/** Entries that repeat an earlier one (same duplicate key), in playlist order. */
+export function findDuplicateEntries(playlist) {
+  const index = buildPlaylistDuplicateIndex(playlist);
+  const tracks = Array.isArray(playlist?.tracks) ? playlist.tracks : [];
+  return tracks.filter((entry) => {
+    const key = trackDuplicateKeyFromEntry(entry);
+    return key && index.get(key) !== entry;
+  });
+}
+
+// ── Order and sections ───────────────────────────────────────────────────────
+// Sections are named dividers kept beside the tracks (Sections_JSON), each at
+// a `position` = how many tracks come before it; dividers sharing a position
+// keep their array order. Reordering works on the one combined sequence, so a
+// track and a divider move the same way. Items are keyed by the track entry's
+// addedAt (as in DELETE /tracks/:addedAt; distinct per playlist, see
+// distinctAddedAts) or the section's id.
+
+export const PLAYLIST_MAX_SECTIONS = 50;
+
+export function buildSectionEntry(title) {
+  return { id: randomUUID(), title, position: 0 };
+}
+
+const clampPosition = (position, max) =>
+  (Number.isInteger(position) ? Math.min(Math.max(position, 0), max) : max);
+
+/** Tracks and sections as one ordered list of { entry } / { section }. Pure. */
+export function playlistSequence(tracks = [], sections = []) {
+  const dividers = (sections || [])
+    .map((section, i) => ({ section, at: clampPosition(section.position, tracks.length), i }))
+    .sort((a, b) => a.at - b.at || a.i - b.i);
+  const sequence = [];
+  let next = 0;
+  tracks.forEach((entry, i) => {
+    while (next < dividers.length && dividers[next].at <= i) sequence.push({ section: dividers[next++].section });
+    sequence.push({ entry });
+  });
+  while (next < dividers.length) sequence.push({ section: dividers[next++].section });
+  return sequence;
+}
+
+/** Back from a sequence to { tracks, sections } with positions recomputed. Pure. */
+export function splitSequence(sequence) {
+  const tracks = [];
+  const sections = [];
+  for (const item of sequence) {
+    if (item.section) sections.push({ ...item.section, position: tracks.length });
+    else tracks.push(item.entry);
+  }
+  return { tracks, sections };
+}
+
+export const sequenceKey = (item) => (item.section ? item.section.id : item.entry?.addedAt || '');
+
+/**
+ * Move the items named by `keys` (in their current relative order) to just
+ * before `beforeKey`, or to the end when it is null. Returns
+ * { tracks, sections } — or null when a key is unknown or the target is one
+ * of the items being moved. Pure.
+ */
+export function moveSequenceItems(tracks, sections, keys, beforeKey) {
+  const sequence = playlistSequence(tracks, sections);
+  const wanted = new Set(keys);
+  if (wanted.has(beforeKey)) return null;
+  const moving = sequence.filter((item) => wanted.has(sequenceKey(item)));
+  if (moving.length !== wanted.size) return null;
+  const rest = sequence.filter((item) => !wanted.has(sequenceKey(item)));
+  const at = beforeKey == null ? rest.length : rest.findIndex((item) => sequenceKey(item) === beforeKey);
+  if (at === -1) return null;
+  rest.splice(at, 0, ...moving);
+  return splitSequence(rest);
+}
+
+/**
+ * Sections re-placed after the track list changed other than by a move
+ * (removes, undo): each divider stays in front of the track it was in front
+ * of, or of the next one that survived. Pure.
+ */
+export function reconcileSections(previousTracks, tracks, sections) {
+  const index = new Map(tracks.map((entry, i) => [entry?.addedAt, i]));
+  return (sections || []).map((section) => {
+    let position = tracks.length;
+    for (let k = clampPosition(section.position, previousTracks.length); k < previousTracks.length; k += 1) {
+      if (index.has(previousTracks[k]?.addedAt)) { position = index.get(previousTracks[k].addedAt); break; }
+    }
+    return { ...section, position };
+  });
+}
+
+/**
+ * The fields a track edit writes, after it changed `playlist.tracks` in
+ * place: tracks and updatedAt, plus the sections re-placed around them once
+ * the playlist has any (Sections_JSON is never written before that).
+ */
+export function trackEditFields(playlist, previousTracks) {
+  const fields = { tracks: playlist.tracks, updatedAt: playlist.updatedAt };
+  if (playlist.sections?.length) {
+    playlist.sections = reconcileSections(previousTracks, playlist.tracks, playlist.sections);
+    fields.sections = playlist.sections;
+  }
+  return fields;
+}
@@ -0,0 +1,162 @@
+/**
+ * lib/queue-store.js — Per-user play queue, backed by FileMaker (API_Queue layout).
+ * One record per user holding the queue, the current index and playback
+ * position, and which device is playing it — so a reload or a hop from laptop
+ * to phone picks up where the listener was.
+ *
+ * FM layout: API_Queue (env: FM_QUEUE_LAYOUT)
+ * Fields: Queue_ID, User_Email, Queue_JSON, Updated_At
+ *
+ * Ownership: the device that last replaced or claimed the queue owns it.
+ * Position updates from any other device are refused (the route answers 409),
+ * which is how a laptop learns the phone took over ("continue on this device").
+ */
+
+import 'dotenv/config';
+import { randomUUID } from 'node:crypto';
+import { fmFindRecords, fmCreateRecord, fmUpdateRecord } from '../fm-client.js';
+import { toFMTimestamp } from './format.js';
+import { createKeyLock } from './key-lock.js';
+import { fmExactMatch, validators } from './validators.js';
+
+const FM_QUEUE_LAYOUT = process.env.FM_QUEUE_LAYOUT || 'API_Queue';
+
+// Cap per-user queue size to bound the JSON blob (FM text fields are large but
+// every position update rewrites the whole record).
+export const QUEUE_MAX_ITEMS = Number.parseInt(process.env.QUEUE_MAX_ITEMS || '500', 10) || 500;
+
+const MAX_TEXT = 300;
+const REGEX_DEVICE_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+// ── Normalisation ─────────────────────────────────────────────────────────────
+
+function text(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT) : '';
+}
+
+function position(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 10) / 10 : 0;
+}
+
+export function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && REGEX_DEVICE_ID.test(deviceId);
+}
+
+/**
+ * Validate and trim a client-supplied queue. Items are display metadata plus
+ * the recordId — never a URL: every device re-resolves audio by recordId, so a
+ * synced queue can't carry (or leak) one listener's signed or session URLs.
+ * Returns { ok: true, queue } or { ok: false, error }.
+ */
+export function normalizeQueue(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  if (!Array.isArray(body.items)) return { ok: false, error: 'items must be an array' };
+  if (body.items.length > QUEUE_MAX_ITEMS) {
+    return { ok: false, error: `Queue is too long (max ${QUEUE_MAX_ITEMS} tracks)` };
+  }
+  const items = [];
+  for (const raw of body.items) {
+    const check = validators.recordId(raw?.recordId ?? '');
+    if (!check.valid) return { ok: false, error: 'Every queue item needs a valid recordId' };
+    const recordId = check.value;
+    items.push({
+      recordId,
+      title:   text(raw.title),
+      artist:  text(raw.artist),
+      album:   text(raw.album),
+      artwork: text(raw.artwork)
+    });
+  }
+  const idx = Number.parseInt(body.currentIndex, 10);
+  const currentIndex = items.length ? Math.min(items.length - 1, Math.max(0, Number.isFinite(idx) ? idx : 0)) : 0;
+  return {
+    ok: true,
+    queue: {
+      items,
+      currentIndex,
+      positionSec: position(body.positionSec),
+      context: { name: text(body.context?.name), kind: text(body.context?.kind).slice(0, 40) }
+    }
+  };
+}
+
+// ── Internal helpers ──────────────────────────────────────────────────────────
+
+function parseQueueJson(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && Array.isArray(parsed.items) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the FM record for a user's queue.
+ * Returns { fmRecordId, queue } (queue null when the blob is empty/corrupt)
+ * or null if no record exists yet.
+ */
+async function findQueueRecord(email) {
+  const result = await fmFindRecords(
+    FM_QUEUE_LAYOUT,
+    [{ 'User_Email': fmExactMatch(email) }],
+    { limit: 1 }
+  );
+  if (!result?.data?.length) return null;
+  const record = result.data[0];
+  return { fmRecordId: record.recordId, queue: parseQueueJson(record.fieldData?.['Queue_JSON']) };
+}
+
+async function writeQueueRecord(email, existing, queue) {
+  const fields = {
+    'Queue_JSON': JSON.stringify(queue),
+    'Updated_At': toFMTimestamp(queue.updatedAt)
+  };
+  if (existing) {
+    await fmUpdateRecord(FM_QUEUE_LAYOUT, existing.fmRecordId, fields);
+  } else {
+    await fmCreateRecord(FM_QUEUE_LAYOUT, { 'Queue_ID': randomUUID(), 'User_Email': email, ...fields });
+  }
+}
+
+// ── Per-user write mutex ──────────────────────────────────────────────────────
+// The promise-chain mutex from lib/key-lock.js: position updates from one
+// device and a claim from another must not interleave their read-modify-write.
+
+const withUserLock = createKeyLock(); // by email
+
+// ── Exported API ──────────────────────────────────────────────────────────────
+
+/**
+ * Load a user's queue, or null when they have none.
+ * Read-only — does not acquire the write lock.
+ */
+export async function loadUserQueue(email) {
+  const record = await findQueueRecord(email);
+  return record?.queue || null;
+}
+
+/**
+ * Atomically read-modify-write a user's queue under a per-user mutex.
+ * mutatorFn receives the current queue (or null) and returns
+ * { queue, ...extra }; `queue` is persisted (stamped with version/updatedAt)
+ * unless it is undefined, which means "no write". Resolves to the mutator's
+ * return value with the persisted queue.
+ */
+export function updateUserQueue(email, mutatorFn) {
+  return withUserLock(email, async () => {
+    const record = await findQueueRecord(email);
+    const current = record?.queue || null;
+    const result = await mutatorFn(current);
+    if (result?.queue === undefined) return { ...result, queue: current };
+    const queue = {
+      ...result.queue,
+      version: (current?.version || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    await writeQueueRecord(email, record, queue);
+    return { ...result, queue };
+  });
+}
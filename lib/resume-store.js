@@ -0,0 +1,154 @@
+/**
+ * lib/resume-store.js — Per-user resume points for long listens, backed by
+ * FileMaker (API_Resume layout). One record per user holding the last known
+ * position of their recent long tracks (concert recordings, DJ sets) and
+ * podcast episodes, so a 70-minute episode picks up at 34:12 instead of zero.
+ *
+ * FM layout: API_Resume (env: FM_RESUME_LAYOUT)
+ * Fields: Resume_ID, User_Email, Resume_JSON, Updated_At
+ *
+ * Why not the stream-event records: they already carry TimeStreamed per
+ * session and track, but podcast plays deliberately send no stream events
+ * (an episode's recordId could collide with a song's and corrupt trending —
+ * see the podcasts section in app.html), and reading positions back out of
+ * the royalty log would mean a sorted FM find over every listen per request.
+ *
+ * Only items at least RESUME_MIN_DURATION_SEC long are kept: a 3-minute song
+ * should just start again.
+ */
+
+import 'dotenv/config';
+import { randomUUID } from 'node:crypto';
+import { fmFindRecords, fmCreateRecord, fmUpdateRecord } from '../fm-client.js';
+import { toFMTimestamp } from './format.js';
+import { createKeyLock } from './key-lock.js';
+import { fmExactMatch, validators } from './validators.js';
+
+const FM_RESUME_LAYOUT = process.env.FM_RESUME_LAYOUT || 'API_Resume';
+
+export const RESUME_MIN_DURATION_SEC = Number.parseInt(process.env.RESUME_MIN_DURATION_SEC || '600', 10) || 600;
+// Most-recent-first; older points fall off the end.
+export const RESUME_MAX_ITEMS = Number.parseInt(process.env.RESUME_MAX_ITEMS || '100', 10) || 100;
+// Stopping in the last stretch (applause, outro music) counts as finished —
+// nobody wants to "resume" the final 20 seconds.
+export const RESUME_TAIL_SEC = 30;
+
+export const RESUME_KINDS = new Set(['track', 'episode']);
+
+const MAX_TEXT = 300;
+
+// ── Normalisation ─────────────────────────────────────────────────────────────
+
+function text(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT) : '';
+}
+
+function seconds(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 10) / 10 : 0;
+}
+
+/**
+ * Validate a client-reported position. Both kinds are FM recordIds (songs in
+ * the catalogue layout, episodes in API_Podcasts) — the kind keeps the two
+ * id spaces apart. Returns { ok: true, point } or { ok: false, error }.
+ */
+export function normalizeResumePoint(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  if (!RESUME_KINDS.has(body.kind)) return { ok: false, error: 'kind must be track or episode' };
+  const check = validators.recordId(body.id ?? '');
+  if (!check.valid) return { ok: false, error: 'Valid id required' };
+  const durationSec = seconds(body.durationSec);
+  if (durationSec < RESUME_MIN_DURATION_SEC) {
+    return { ok: false, error: `Only items of ${RESUME_MIN_DURATION_SEC} s or longer keep a resume point` };
+  }
+  const positionSec = Math.min(seconds(body.positionSec), durationSec);
+  const finished = body.finished === true || positionSec >= durationSec - RESUME_TAIL_SEC;
+  return {
+    ok: true,
+    point: {
+      kind: body.kind,
+      id: check.value,
+      positionSec: finished ? 0 : positionSec,
+      durationSec,
+      finished,
+      title: text(body.title),
+      artist: text(body.artist),
+      artwork: text(body.artwork)
+    }
+  };
+}
+
+/**
+ * Put `point` at the front of `items` (replacing any earlier entry for the
+ * same item) and trim to RESUME_MAX_ITEMS. Pure.
+ */
+export function applyResumePoint(items, point, nowIso = new Date().toISOString()) {
+  const rest = (Array.isArray(items) ? items : []).filter((p) => !(p.kind === point.kind && p.id === point.id));
+  return [{ ...point, updatedAt: nowIso }, ...rest].slice(0, RESUME_MAX_ITEMS);
+}
+
+// ── Internal helpers ──────────────────────────────────────────────────────────
+
+function parseResumeJson(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed?.items) ? parsed.items : [];
+  } catch {
+    return [];
+  }
+}
+
+async function findResumeRecord(email) {
+  const result = await fmFindRecords(
+    FM_RESUME_LAYOUT,
+    [{ 'User_Email': fmExactMatch(email) }],
+    { limit: 1 }
+  );
+  if (!result?.data?.length) return null;
+  const record = result.data[0];
+  return { fmRecordId: record.recordId, items: parseResumeJson(record.fieldData?.['Resume_JSON']) };
+}
+
+async function writeResumeRecord(email, existing, items) {
+  const fields = {
+    'Resume_JSON': JSON.stringify({ items }),
+    'Updated_At': toFMTimestamp(new Date().toISOString())
+  };
+  if (existing) {
+    await fmUpdateRecord(FM_RESUME_LAYOUT, existing.fmRecordId, fields);
+  } else {
+    await fmCreateRecord(FM_RESUME_LAYOUT, { 'Resume_ID': randomUUID(), 'User_Email': email, ...fields });
+  }
+}
+
+// ── Per-user write mutex ──────────────────────────────────────────────────────
+// The promise-chain mutex from lib/key-lock.js: a pause report and an END
+// report landing together must not drop one another's read-modify-write.
+
+const withUserLock = createKeyLock(); // by email
+
+// ── Exported API ──────────────────────────────────────────────────────────────
+
+/** A user's resume points, most recent first. Read-only — no lock. */
+export async function loadResumePoints(email) {
+  const record = await findResumeRecord(email);
+  return record?.items || [];
+}
+
+/**
+ * Atomically read-modify-write a user's resume points. mutatorFn receives the
+ * current list and returns the new one, or undefined for "no write".
+ * Resolves to the resulting list.
+ */
+export function updateResumePoints(email, mutatorFn) {
+  return withUserLock(email, async () => {
+    const record = await findResumeRecord(email);
+    const current = record?.items || [];
+    const next = await mutatorFn(current);
+    if (next === undefined) return current;
+    await writeResumeRecord(email, record, next);
+    return next;
+  });
+}
@@ -0,0 +1,344 @@
+/**
+ * lib/royalty-report.js — royalty statements built from Stream_Events.
+ *
+ * Every listen is one Stream_Events record (routes/access.js) carrying
+ * TrackISRC, PlaybackMode (FULL | PREVIEW) and TotalPlayedSec. A statement for
+ * a CLOSED date range counts the qualifying plays per ISRC — FULL playback of
+ * at least ROYALTY_QUALIFYING_SEC — and groups them by rights holder (read off
+ * the catalogue record, RIGHTS_HOLDER_FIELD_CANDIDATES). Guest previews never
+ * qualify; an event with no declared mode counts as FULL, the same reading the
+ * stream-events endpoint documents. Listens quarantined by abuse scoring
+ * (lib/stream-abuse.js) are left out and counted in totals.quarantined; an
+ * admin release on the record brings one back.
+ *
+ * Reproducible: a listen belongs to the day it STARTED (PlayStartUTC, else
+ * TimestampUTC), open periods are refused, rows are sorted, and the rendered
+ * files carry no wall-clock stamp — the same period renders byte-identically
+ * until someone edits the underlying events, and the checksum says whether
+ * they have.
+ *
+ * Callers: routes/royalty.js (admin endpoint), scripts/royalty-report.mjs
+ * (monthly job writing data/royalty/).
+ */
+
+import { createHash } from 'node:crypto';
+import { fmFindAll } from '../fm-client.js';
+import { getTrackRecordCached } from './track-cache.js';
+import {
+  FM_LAYOUT,
+  FM_STREAM_EVENTS_LAYOUT,
+  ISRC_FIELD_CANDIDATES,
+  RIGHTS_HOLDER_FIELD_CANDIDATES,
+  firstNonEmpty
+} from './fm-fields.js';
+import { isQuarantinedListen } from './stream-abuse.js';
+import { formatTimestampUTC, normalizeRecordId, normalizeSeconds, parseFileMakerTimestamp } from './format.js';
+
+// ── Constants ────────────────────────────────────────────────────────────────
+export const ROYALTY_QUALIFYING_SEC = Number.parseInt(process.env.ROYALTY_QUALIFYING_SEC || '30', 10) || 30;
+// A statement must never be silently short: above this the report fails
+// instead of paging on (raise it, or report a shorter range).
+export const ROYALTY_MAX_EVENTS = Number.parseInt(process.env.ROYALTY_MAX_EVENTS || '200000', 10) || 200000;
+export const ROYALTY_MAX_PERIOD_DAYS = 366;
+export const ROYALTY_FORMATS = new Set(['json', 'csv', 'dsr']);
+export const UNASSIGNED_RIGHTS_HOLDER = 'Unassigned';
+const SENDER = process.env.ROYALTY_SENDER_NAME || 'Music Africa Direct';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRACK_LOOKUP_CONCURRENCY = 8;
+
+// ── Period ───────────────────────────────────────────────────────────────────
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_RE = /^(\d{4})-(\d{2})$/;
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function dayStart(str) {
+  if (!DATE_RE.test(str)) return NaN;
+  const ms = Date.parse(`${str}T00:00:00Z`);
+  return Number.isFinite(ms) && isoDay(ms) === str ? ms : NaN;
+}
+
+/**
+ * Resolve `{ period: 'YYYY-MM' }` or `{ from, to }` (inclusive UTC days) to a
+ * closed range. Returns { ok: true, from, to, startMs, endMs } — endMs is
+ * exclusive — or { ok: false, error }.
+ */
+export function parseRoyaltyPeriod({ period, from, to } = {}, nowMs = Date.now()) {
+  let startMs;
+  let endMs;
+  if (period) {
+    const m = MONTH_RE.exec(String(period).trim());
+    const month = m ? Number(m[2]) : 0;
+    if (!m || month < 1 || month > 12) return { ok: false, error: 'period must be YYYY-MM' };
+    startMs = Date.UTC(Number(m[1]), month - 1, 1);
+    endMs = Date.UTC(Number(m[1]), month, 1);
+  } else {
+    startMs = dayStart(String(from || '').trim());
+    const last = dayStart(String(to || '').trim());
+    if (!Number.isFinite(startMs) || !Number.isFinite(last)) {
+      return { ok: false, error: 'Give period=YYYY-MM or from/to as YYYY-MM-DD' };
+    }
+    endMs = last + DAY_MS;
+  }
+  if (endMs <= startMs) return { ok: false, error: 'to must not be before from' };
+  if ((endMs - startMs) / DAY_MS > ROYALTY_MAX_PERIOD_DAYS) {
+    return { ok: false, error: `A statement covers at most ${ROYALTY_MAX_PERIOD_DAYS} days` };
+  }
+  // Today's listens are still arriving — a statement for it would change.
+  if (endMs > Date.UTC(...utcYmd(nowMs))) {
+    return { ok: false, error: 'Period is not closed yet — it must end before today (UTC)' };
+  }
+  return { ok: true, from: isoDay(startMs), to: isoDay(endMs - 1), startMs, endMs };
+}
+
+function utcYmd(ms) {
+  const d = new Date(ms);
+  return [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()];
+}
+
+// ── Event reading ────────────────────────────────────────────────────────────
+
+// Stream_Events timestamps are written as UTC "MM/DD/YYYY HH:MM:SS"
+// (formatTimestampUTC). Parse them as UTC — Date.parse would read them in the
+// server's zone and move late-night listens across a period boundary.
+const FM_TS_RE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+export function parseEventTimestampUTC(value) {
+  const str = String(value ?? '').trim();
+  const m = FM_TS_RE.exec(str);
+  if (!m) return parseFileMakerTimestamp(str);
+  return Date.UTC(Number(m[3]), Number(m[1]) - 1, Number(m[2]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+}
+
+export function normalizeIsrc(value) {
+  const isrc = String(value ?? '').toUpperCase().replace(/[\s-]/g, '');
+  return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc) ? isrc : '';
+}
+
+/**
+ * One Stream_Events record → { trackRecordId, isrc, startMs, playedSec, mode,
+ * listener, title, artist, quarantined }, or null when it names no track.
+ */
+export function readStreamEvent(fields = {}) {
+  const trackRecordId = normalizeRecordId(fields.TrackRecordID);
+  if (!trackRecordId) return null;
+  return {
+    trackRecordId,
+    isrc: normalizeIsrc(fields.TrackISRC),
+    startMs: parseEventTimestampUTC(fields.PlayStartUTC) || parseEventTimestampUTC(fields.TimestampUTC),
+    playedSec: normalizeSeconds(fields.TotalPlayedSec),
+    mode: String(fields.PlaybackMode || '').trim().toUpperCase() === 'PREVIEW' ? 'PREVIEW' : 'FULL',
+    listener: String(fields.Email || fields.Token_Number || fields.SessionID || '').trim().toLowerCase(),
+    title: String(fields['Track Name'] || '').trim(),
+    artist: String(fields['Track Artist'] || '').trim(),
+    quarantined: isQuarantinedListen(fields)
+  };
+}
+
+export function isQualifyingPlay(event, thresholdSec = ROYALTY_QUALIFYING_SEC) {
+  return !!event && !event.quarantined && event.mode === 'FULL' && event.playedSec >= thresholdSec;
+}
+
+// ── Aggregation ──────────────────────────────────────────────────────────────
+
+/**
+ * Pure aggregation. `events` are readStreamEvent() results; `tracks` maps
+ * trackRecordId → catalogue fieldData (for the rights holder, a missing ISRC,
+ * and the canonical title/artist). Events outside the range are ignored.
+ */
+export function aggregateRoyalties(events, { startMs, endMs, thresholdSec = ROYALTY_QUALIFYING_SEC, tracks = new Map() }) {
+  const totals = { events: 0, qualifyingPlays: 0, qualifyingSec: 0, previews: 0, belowThreshold: 0, withoutIsrc: 0, quarantined: 0 };
+  const rows = new Map(); // ISRC (or "record:<id>" when unknown) → row
+  for (const ev of events) {
+    if (!ev || !(ev.startMs >= startMs && ev.startMs < endMs)) continue;
+    totals.events += 1;
+    if (ev.quarantined) { totals.quarantined += 1; continue; }
+    if (ev.mode === 'PREVIEW') { totals.previews += 1; continue; }
+    if (!isQualifyingPlay(ev, thresholdSec)) { totals.belowThreshold += 1; continue; }
+    const track = tracks.get(ev.trackRecordId) || {};
+    const isrc = ev.isrc || normalizeIsrc(firstNonEmpty(track, ISRC_FIELD_CANDIDATES));
+    if (!isrc) totals.withoutIsrc += 1;
+    const key = isrc || `record:${ev.trackRecordId}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = { isrc, recordIds: new Set(), named: new Map(), plays: 0, seconds: 0, listeners: new Set() };
+      rows.set(key, row);
+    }
+    row.recordIds.add(ev.trackRecordId);
+    if (ev.title && !row.named.has(ev.trackRecordId)) row.named.set(ev.trackRecordId, ev);
+    row.plays += 1;
+    row.seconds += ev.playedSec;
+    if (ev.listener) row.listeners.add(ev.listener);
+    totals.qualifyingPlays += 1;
+    totals.qualifyingSec += ev.playedSec;
+  }
+
+  const out = [];
+  for (const row of rows.values()) {
+    const recordIds = [...row.recordIds].sort((a, b) => Number(a) - Number(b));
+    // Canonical metadata from the lowest record id that has a catalogue entry,
+    // so the choice never depends on the order FileMaker returned events in.
+    const fields = recordIds.map((id) => tracks.get(id)).find(Boolean) || {};
+    const fallback = row.named.get(recordIds.find((id) => row.named.has(id))) || {};
+    out.push({
+      isrc: row.isrc,
+      rightsHolder: firstNonEmpty(fields, RIGHTS_HOLDER_FIELD_CANDIDATES) || UNASSIGNED_RIGHTS_HOLDER,
+      title: firstNonEmpty(fields, ['Track Name', 'Tape Files::Track Name', 'Song Title']) || fallback.title || '',
+      artist: firstNonEmpty(fields, ['Track Artist', 'Album Artist', 'Tape Files::Album Artist']) || fallback.artist || '',
+      recordIds,
+      qualifyingPlays: row.plays,
+      qualifyingSec: Math.round(row.seconds),
+      listeners: row.listeners.size
+    });
+  }
+  out.sort((a, b) => a.rightsHolder.localeCompare(b.rightsHolder, 'en')
+    || (a.isrc || '~').localeCompare(b.isrc || '~', 'en')
+    || Number(a.recordIds[0]) - Number(b.recordIds[0]));
+
+  const holders = new Map();
+  for (const row of out) {
+    const h = holders.get(row.rightsHolder) || { rightsHolder: row.rightsHolder, recordings: 0, qualifyingPlays: 0, qualifyingSec: 0 };
+    h.recordings += 1;
+    h.qualifyingPlays += row.qualifyingPlays;
+    h.qualifyingSec += row.qualifyingSec;
+    holders.set(row.rightsHolder, h);
+  }
+  totals.qualifyingSec = Math.round(totals.qualifyingSec);
+  return { rows: out, rightsHolders: [...holders.values()], totals };
+}
+
+/** Narrow a report to one rights holder (case-insensitive), totals re-summed. */
+export function filterByRightsHolder(report, rightsHolder) {
+  const wanted = String(rightsHolder || '').trim().toLowerCase();
+  if (!wanted) return report;
+  const rows = report.rows.filter((r) => r.rightsHolder.toLowerCase() === wanted);
+  const rightsHolders = report.rightsHolders.filter((h) => h.rightsHolder.toLowerCase() === wanted);
+  const narrowed = {
+    ...report,
+    rightsHolder: rightsHolders[0]?.rightsHolder || String(rightsHolder).trim(),
+    rows,
+    rightsHolders,
+    totals: {
+      qualifyingPlays: rows.reduce((n, r) => n + r.qualifyingPlays, 0),
+      qualifyingSec: rows.reduce((n, r) => n + r.qualifyingSec, 0)
+    }
+  };
+  narrowed.checksum = reportChecksum(narrowed);
+  return narrowed;
+}
+
+/** SHA-256 of the statement rows — equal checksums mean an identical statement. */
+export function reportChecksum(report) {
+  const basis = JSON.stringify([report.period, report.thresholdSec, report.rows]);
+  return createHash('sha256').update(basis).digest('hex');
+}
+
+// ── FileMaker ────────────────────────────────────────────────────────────────
+
+async function loadTracks(recordIds) {
+  const tracks = new Map();
+  const ids = [...recordIds];
+  for (let i = 0; i < ids.length; i += TRACK_LOOKUP_CONCURRENCY) {
+    const batch = ids.slice(i, i + TRACK_LOOKUP_CONCURRENCY);
+    const records = await Promise.all(batch.map((id) => getTrackRecordCached(FM_LAYOUT, id).catch(() => null)));
+    records.forEach((rec, j) => { if (rec?.fieldData) tracks.set(batch[j], rec.fieldData); });
+  }
+  return tracks;
+}
+
+/**
+ * Build the statement for a parsed period (parseRoyaltyPeriod). Fetches every
+ * Stream_Events record touched in the range — a listen that starts at 23:59 on
+ * the last day keeps updating after midnight, so the find runs a day past the
+ * end and attribution by start time does the exact cut.
+ */
+export async function buildRoyaltyReport(period, { thresholdSec = ROYALTY_QUALIFYING_SEC } = {}) {
+  const range = `${formatTimestampUTC(new Date(period.startMs))}...${formatTimestampUTC(new Date(period.endMs + DAY_MS - 1000))}`;
+  const found = await fmFindAll(
+    FM_STREAM_EVENTS_LAYOUT,
+    [{ LastEventUTC: range }, { TimestampUTC: range }],
+    { pageSize: 1000, maxRecords: ROYALTY_MAX_EVENTS, sort: [{ fieldName: 'TimestampUTC', sortOrder: 'ascend' }] }
+  );
+  // FM 401 = no records match — an empty period, not a failure.
+  if (!found.ok && String(found.code) !== '401') {
+    throw new Error(`Stream events query failed: ${found.msg || 'FM error'}${found.code ? ` (FM ${found.code})` : ''}`);
+  }
+  if (found.truncated) {
+    throw new Error(`${found.total} stream events in range exceed ROYALTY_MAX_EVENTS (${ROYALTY_MAX_EVENTS}) — report a shorter range`);
+  }
+
+  const events = (found.ok ? found.data : []).map((r) => readStreamEvent(r.fieldData)).filter(Boolean);
+  const qualifyingIds = new Set(events
+    .filter((ev) => ev.startMs >= period.startMs && ev.startMs < period.endMs && isQualifyingPlay(ev, thresholdSec))
+    .map((ev) => ev.trackRecordId));
+  const tracks = await loadTracks(qualifyingIds);
+
+  const report = {
+    period: { from: period.from, to: period.to },
+    thresholdSec,
+    ...aggregateRoyalties(events, { startMs: period.startMs, endMs: period.endMs, thresholdSec, tracks })
+  };
+  report.checksum = reportChecksum(report);
+  return report;
+}
+
+// ── Rendering ────────────────────────────────────────────────────────────────
+
+/** `mad-royalties-2026-09-01_2026-09-30[-holder-slug].<ext>` */
+export function royaltyFileName(report, ext) {
+  const holder = report.rightsHolder
+    ? '-' + report.rightsHolder.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+    : '';
+  return `mad-royalties-${report.period.from}_${report.period.to}${holder}.${ext}`;
+}
+
+// Quote every cell; prefix formula-looking text so a spreadsheet opens it as
+// text rather than evaluating it (titles come from the catalogue, not from us).
+function csvCell(value) {
+  const s = String(value ?? '');
+  const safe = /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+export function renderRoyaltyCsv(report) {
+  const lines = [[
+    'period_start', 'period_end', 'rights_holder', 'isrc', 'track_record_ids', 'title', 'artist',
+    'qualifying_plays', 'qualifying_seconds', 'unique_listeners'
+  ].join(',')];
+  for (const r of report.rows) {
+    lines.push([
+      report.period.from, report.period.to, r.rightsHolder, r.isrc, r.recordIds.join(' '), r.title, r.artist,
+      r.qualifyingPlays, r.qualifyingSec, r.listeners
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// DDEX DSR-style flat file: tab-separated records, a HEAD, one SY (summary)
+// record per rights holder, an AS (usage) record per recording, and a FOOT
+// with the record count. Tabs and newlines inside values become spaces.
+function dsrLine(cells) {
+  return cells.map((c) => String(c ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t');
+}
+
+export function renderRoyaltyDsr(report) {
+  const messageId = `MAD-${report.period.from}-${report.period.to}${report.rightsHolder ? `-${report.rightsHolder}` : ''}`;
+  const lines = [
+    dsrLine(['#HEAD', 'MessageVersion', 'MessageId', 'SenderName', 'RecipientName', 'UsageStartDate', 'UsageEndDate', 'UseType', 'QualifyingPlaySec', 'Checksum']),
+    dsrLine(['HEAD', 'DSR-flat/1.0', messageId, SENDER, report.rightsHolder || '', report.period.from, report.period.to, 'OnDemandStream', report.thresholdSec, report.checksum]),
+    dsrLine(['#SY01', 'RightsHolder', 'NumberOfRecordings', 'NumberOfQualifyingPlays', 'TotalPlayedSec'])
+  ];
+  for (const h of report.rightsHolders) {
+    lines.push(dsrLine(['SY01', h.rightsHolder, h.recordings, h.qualifyingPlays, h.qualifyingSec]));
+  }
+  lines.push(dsrLine(['#AS01', 'RightsHolder', 'ISRC', 'Title', 'DisplayArtist', 'ProprietaryId', 'NumberOfQualifyingPlays', 'TotalPlayedSec', 'NumberOfListeners']));
+  for (const r of report.rows) {
+    lines.push(dsrLine(['AS01', r.rightsHolder, r.isrc, r.title, r.artist, r.recordIds.join(' '), r.qualifyingPlays, r.qualifyingSec, r.listeners]));
+  }
+  const records = lines.filter((l) => !l.startsWith('#')).length + 1;
+  lines.push(dsrLine(['FOOT', records, report.totals.qualifyingPlays]));
+  return lines.join('\n') + '\n';
+}
@@ -333,6 +333,14 @@ function musicalCompat(a, b) {
   return parts.reduce((s, [v, ww]) => s + v * ww, 0) / w;
 }
 
+// ── Engagement nudge ─────────────────────────────────────────────────────────
+// When the caller passes opts.engagement (card → lean in [-1, 1] or null, from
+// lib/engagement.js), albums listeners finish move up a little within the
+// semantic pool and albums they skip move down. Small next to the distances,
+// so it reorders near-ties rather than overriding similarity.
+// SUGGEST_ENGAGEMENT_WEIGHT=0 disables it.
+const ENGAGEMENT_WEIGHT = Math.max(0, Number(process.env.SUGGEST_ENGAGEMENT_WEIGHT ?? 0.05) || 0);
+
 // Fisher-Yates; returns a shuffled copy (does not mutate the input).
 function shuffled(arr) {
   const a = arr.slice();
@@ -347,7 +355,9 @@ function shuffled(arr) {
  * Top-N albums similar to a seed album, with a per-artist diversity cap.
  * @param {{cat?:string, title?:string, artist?:string}} seed
  * @param {number} n
- * @param {{maxPerArtist?:number}} [opts]
+ * @param {{maxPerArtist?:number, engagement?:Function}} [opts]
+ *   opts.engagement(album) → its lean in [-1, 1] (0 = the catalogue average,
+ *   see engagementLean() in lib/engagement.js), or null for no data.
  * @returns {{ ok:boolean, seed:?object, items:object[] }}
  */
 export function suggestAlbums(seed = {}, n = 10, opts = {}) {
@@ -399,6 +409,17 @@ export function suggestAlbums(seed = {}, n = 10, opts = {}) {
     candidates.sort((a, b) => a._blended - b._blended);
   }
 
+  // Engagement nudge on top of whichever order we have (see ENGAGEMENT_WEIGHT).
+  // Albums with no listens in the window lean 0 (or null) and stay put.
+  if (typeof opts.engagement === 'function' && ENGAGEMENT_WEIGHT > 0) {
+    for (const c of candidates) {
+      const lean = opts.engagement(c);
+      const base = c._blended ?? c.distance;
+      c._blended = Number.isFinite(lean) ? base - ENGAGEMENT_WEIGHT * lean : base;
+    }
+    candidates.sort((a, b) => a._blended - b._blended);
+  }
+
   // Split into those WITH a usable cover and those without. A rail full of
   // placeholders reads as broken, so covers come first (caps + distance order
   // within each group). With coversOnly the art-less filler is dropped entirely;
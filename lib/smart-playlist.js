@@ -0,0 +1,467 @@
+/**
+ * lib/smart-playlist.js — smart playlists: a playlist whose tracks are
+ * re-materialised from saved rules ("Zulu-language gospel from the 1970s,
+ * uptempo, not yet played by me") instead of being added by hand.
+ *
+ * Rules live on the playlist record (Rules_JSON, lib/playlist-store.js):
+ *
+ *   genres     Local Genre, exact (case-insensitive) — any of, at most 5
+ *   languages  Language Code (zu, xh, af, zxx = instrumental) — any of, at most 3
+ *   artists    Album Artist or Track Artist, exact — any of, at most 5
+ *   yearFrom / yearTo   release year range
+ *   tempo      'up' / 'down' (the BPM cut-offs Maddie uses), or bpmMin / bpmMax
+ *   energyMin / energyMax   AI energy, 0–100
+ *   unplayed   leave out what the owner's token has played (lib/play-counts.js)
+ *   sort       newest | oldest | title | artist | fastest | slowest | energy | shuffle
+ *   limit      1–SMART_MAX_LIMIT tracks
+ *   refresh    daily | weekly | open (every time the owner opens it)
+ *
+ * At least one of genres / languages / artists / years is required — tempo,
+ * energy and "unplayed" narrow a pool, they don't make one. Play counts are
+ * keyed on the access token, which only the owner's own request carries, so
+ * an "unplayed" playlist always refreshes on open.
+ *
+ * The candidate pool comes from Postgres (pgFind) when it serves catalogue
+ * metadata, else from the semantic index's metadata (getAllMeta) — the same
+ * genre / language / BPM / energy Maddie filters on; on Postgres the index
+ * still fills in BPM / energy a record lacks. With neither there is
+ * nothing to evaluate against and a refresh answers 503. Every pick
+ * must still be playable and visible in the catalogue; entries that survive a
+ * refresh keep their addedAt.
+ *
+ * Worker 0 checks hourly for daily / weekly playlists that are due
+ * (initSmartPlaylists); "open" ones refresh from POST /:id/refresh.
+ *
+ * Callers: server.js (SMART_PLAYLISTS_ENABLED), routes/smart-playlists.js.
+ */
+
+import { FM_LAYOUT, recordIsVisible } from './fm-fields.js';
+import { mapRecordToRow } from './catalog-mapper.js';
+import { hasValidAudio, normalizeTrackPayload } from './track.js';
+import { buildTrackEntry } from './playlist.js';
+import { getTrackRecordCached } from './track-cache.js';
+import { usePostgresMetadata } from './metadata-source.js';
+import { pgFind } from './catalog-store-pg.js';
+import { getAllMeta, semanticShelvesAvailable } from './semantic-shelves.js';
+import { BPM_UP, BPM_DOWN } from './maddie-lite.js';
+import { PLAY_COUNTS_MAX_LOOKUP, isPlayCountsReady, lookupPlayCounts } from './play-counts.js';
+import { trackPayloadFromRecord } from './playlist-matcher.js';
+import { loadSmartPlaylists, mutatePlaylist } from './playlist-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('smart-playlist');
+
+// ── Constants ────────────────────────────────────────────────────────────────
+export const SMART_SORTS = ['newest', 'oldest', 'title', 'artist', 'fastest', 'slowest', 'energy', 'shuffle'];
+export const SMART_REFRESH = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000, open: 0 };
+export const SMART_MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_GENRES = 5;
+const MAX_LANGUAGES = 3;
+const MAX_ARTISTS = 5;
+const MAX_NAME_LENGTH = 80;
+// Postgres pool per refresh; the rules re-filter it, so this only bounds work.
+const POOL_LIMIT = 2000;
+// An "open" playlist opened twice in a row is not rebuilt twice.
+const OPEN_MIN_INTERVAL_MS = 10 * 60 * 1000;
+const RESOLVE_CONCURRENCY = 8;
+const CHECK_MS = 60 * 60 * 1000;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const norm = (s) => String(s ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function stringList(value, max, label) {
+  if (value == null) return { ok: true, list: [] };
+  const raw = Array.isArray(value) ? value : [value];
+  const list = [...new Set(raw.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  if (list.length > max) return { ok: false, error: `At most ${max} ${label}` };
+  if (list.some((v) => v.length > MAX_NAME_LENGTH)) return { ok: false, error: `${label[0].toUpperCase()}${label.slice(1)} are at most ${MAX_NAME_LENGTH} characters` };
+  return { ok: true, list };
+}
+
+// An optional whole number in [min, max] → { ok, value } (value null when absent).
+function boundedInt(value, min, max, label) {
+  if (value == null || value === '') return { ok: true, value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return { ok: false, error: `${label} must be a whole number from ${min} to ${max}` };
+  return { ok: true, value: n };
+}
+
+/**
+ * Validate rules from a request → { ok: true, rules } (normalized, every key
+ * present) or { ok: false, error }.
+ */
+export function normalizeSmartRules(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, error: 'rules must be an object' };
+  const genres = stringList(raw.genres, MAX_GENRES, 'genres');
+  const languages = stringList(raw.languages, MAX_LANGUAGES, 'languages');
+  const artists = stringList(raw.artists, MAX_ARTISTS, 'artists');
+  const thisYear = new Date().getUTCFullYear();
+  const yearFrom = boundedInt(raw.yearFrom, 1900, thisYear, 'yearFrom');
+  const yearTo = boundedInt(raw.yearTo, 1900, thisYear, 'yearTo');
+  const bpmMin = boundedInt(raw.bpmMin, 40, 250, 'bpmMin');
+  const bpmMax = boundedInt(raw.bpmMax, 40, 250, 'bpmMax');
+  const energyMin = boundedInt(raw.energyMin, 0, 100, 'energyMin');
+  const energyMax = boundedInt(raw.energyMax, 0, 100, 'energyMax');
+  const limit = boundedInt(raw.limit, 1, SMART_MAX_LIMIT, 'limit');
+  const bad = [genres, languages, artists, yearFrom, yearTo, bpmMin, bpmMax, energyMin, energyMax, limit].find((r) => !r.ok);
+  if (bad) return bad;
+
+  const codes = languages.list.map((l) => l.toLowerCase());
+  if (codes.some((c) => !/^[a-z]{2,3}$/.test(c))) return { ok: false, error: 'languages are language codes, e.g. zu' };
+  if (yearFrom.value && yearTo.value && yearFrom.value > yearTo.value) return { ok: false, error: 'yearFrom is after yearTo' };
+  if (bpmMin.value && bpmMax.value && bpmMin.value > bpmMax.value) return { ok: false, error: 'bpmMin is above bpmMax' };
+  if (energyMin.value != null && energyMax.value != null && energyMin.value > energyMax.value) {
+    return { ok: false, error: 'energyMin is above energyMax' };
+  }
+  const tempo = raw.tempo == null || raw.tempo === '' ? null : String(raw.tempo);
+  if (tempo && tempo !== 'up' && tempo !== 'down') return { ok: false, error: "tempo must be 'up' or 'down'" };
+  if (tempo && (bpmMin.value || bpmMax.value)) return { ok: false, error: 'Use tempo or a BPM range, not both' };
+  const sort = raw.sort == null || raw.sort === '' ? 'shuffle' : String(raw.sort);
+  if (!SMART_SORTS.includes(sort)) return { ok: false, error: `sort must be one of ${SMART_SORTS.join(', ')}` };
+  const unplayed = raw.unplayed === true;
+  let refresh = raw.refresh == null || raw.refresh === '' ? 'daily' : String(raw.refresh);
+  if (!Object.hasOwn(SMART_REFRESH, refresh)) return { ok: false, error: `refresh must be one of ${Object.keys(SMART_REFRESH).join(', ')}` };
+  // Only the owner's request carries the token play counts are keyed on.
+  if (unplayed) refresh = 'open';
+
+  if (!genres.list.length && !codes.length && !artists.list.length && !yearFrom.value && !yearTo.value) {
+    return { ok: false, error: 'Pick at least one genre, language, artist or year' };
+  }
+  return {
+    ok: true,
+    rules: {
+      genres: genres.list,
+      languages: codes,
+      artists: artists.list,
+      yearFrom: yearFrom.value,
+      yearTo: yearTo.value,
+      tempo,
+      bpmMin: bpmMin.value,
+      bpmMax: bpmMax.value,
+      energyMin: energyMin.value,
+      energyMax: energyMax.value,
+      unplayed,
+      sort,
+      limit: limit.value ?? DEFAULT_LIMIT,
+      refresh
+    }
+  };
+}
+
+/** Whether a smart playlist's refresh is due (`open`: when opened, at most every 10 minutes). */
+export function isSmartRefreshDue(playlist, { opening = false, nowMs = Date.now() } = {}) {
+  if (!playlist?.rules) return false;
+  const last = Date.parse(playlist.refreshedAt || '') || 0;
+  const every = SMART_REFRESH[playlist.rules.refresh] ?? SMART_REFRESH.daily;
+  if (!every) return opening && nowMs - last >= OPEN_MIN_INTERVAL_MS;
+  return nowMs - last >= every;
+}
+
+// ── Candidates (pure) ────────────────────────────────────────────────────────
+
+const positiveOrNull = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const finiteOrNull = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const yearOf = (value) => {
+  const match = String(value ?? '').match(/\b(19|20)\d{2}\b/);
+  return match ? Number(match[0]) : null;
+};
+
+/** A catalogue record (FileMaker / Postgres) as a rule candidate. */
+export function candidateFromRecord(record) {
+  const fields = record.fieldData || {};
+  const row = mapRecordToRow(record);
+  return {
+    recordId: row.fm_record_id,
+    title:    row.track_title || '',
+    artist:   row.track_artist || '',
+    albumArtist: row.album_artist || '',
+    genres:   [row.genre].filter(Boolean),
+    language: String(fields['Language Code'] || '').trim().toLowerCase(),
+    year:     row.release_year,
+    bpm:      positiveOrNull(fields['AI_BPM'] ?? fields['AI BPM']),
+    energy:   finiteOrNull(fields['AI_Energy'] ?? fields['AI Energy']),
+    record
+  };
+}
+
+/** A semantic-index entry ({ recordId, m }) as a rule candidate. */
+export function candidateFromMeta({ recordId, m }) {
+  return {
+    recordId: String(recordId),
+    title:    m.track || '',
+    artist:   m.artist || '',
+    albumArtist: m.albumArtist || '',
+    genres:   [m.localGenre, m.genre].filter(Boolean),
+    language: String(m.language || '').trim().toLowerCase(),
+    year:     yearOf(m.year),
+    bpm:      positiveOrNull(m.bpm),
+    energy:   finiteOrNull(m.energy),
+    record:   null
+  };
+}
+
+// The index stores some languages by name ("Zulu") — match either form.
+function languageMatches(have, codes) {
+  if (!have) return false;
+  return codes.some((code) => have === code || have === (code === 'zxx' ? 'instrumental' : languageNames.of(code)?.toLowerCase()));
+}
+
+function bpmRange(rules) {
+  if (rules.tempo === 'up') return [BPM_UP, null];
+  if (rules.tempo === 'down') return [null, BPM_DOWN];
+  return [rules.bpmMin, rules.bpmMax];
+}
+
+/** Whether one candidate satisfies the rules (everything but "unplayed"). */
+export function matchesSmartRules(c, rules) {
+  if (rules.genres.length) {
+    const keys = new Set(rules.genres.map(norm));
+    if (!c.genres.some((g) => keys.has(norm(g)))) return false;
+  }
+  if (rules.languages.length && !languageMatches(c.language, rules.languages)) return false;
+  if (rules.artists.length) {
+    const keys = new Set(rules.artists.map(norm));
+    if (!keys.has(norm(c.artist)) && !keys.has(norm(c.albumArtist))) return false;
+  }
+  if (rules.yearFrom || rules.yearTo) {
+    if (!c.year) return false;
+    if (rules.yearFrom && c.year < rules.yearFrom) return false;
+    if (rules.yearTo && c.year > rules.yearTo) return false;
+  }
+  const [bpmMin, bpmMax] = bpmRange(rules);
+  if (bpmMin || bpmMax) {
+    if (!c.bpm) return false;
+    if (bpmMin && c.bpm < bpmMin) return false;
+    if (bpmMax && c.bpm > bpmMax) return false;
+  }
+  if (rules.energyMin != null || rules.energyMax != null) {
+    if (c.energy == null) return false;
+    if (rules.energyMin != null && c.energy < rules.energyMin) return false;
+    if (rules.energyMax != null && c.energy > rules.energyMax) return false;
+  }
+  return true;
+}
+
+const byText = (key) => (a, b) => a[key].localeCompare(b[key], 'en', { sensitivity: 'base' });
+// Missing values sort last whichever way the key runs.
+const byNumber = (key, dir) => (a, b) => (a[key] == null) - (b[key] == null) || dir * ((a[key] ?? 0) - (b[key] ?? 0));
+const SORTERS = {
+  newest:  byNumber('year', -1),
+  oldest:  byNumber('year', 1),
+  title:   byText('title'),
+  artist:  (a, b) => byText('artist')(a, b) || byText('title')(a, b),
+  fastest: byNumber('bpm', -1),
+  slowest: byNumber('bpm', 1),
+  energy:  byNumber('energy', -1)
+};
+
+// Deterministic per seed, so one refresh's order is stable while it resolves.
+const shuffleKey = (seed, recordId) => {
+  let h = (seed >>> 0) ^ 2166136261;
+  for (const ch of String(recordId)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+};
+
+/**
+ * Filter, de-duplicate (one copy of a title by an artist — compilations repeat
+ * hits) and order candidates per the rules. `played` is a Set of record ids
+ * to leave out. Returns every survivor in order; the caller stops at the
+ * limit once the picks are resolved.
+ */
+export function selectSmartCandidates(cands, rules, { played = new Set(), seed = Date.now() } = {}) {
+  const seen = new Set();
+  const out = [];
+  for (const c of cands) {
+    if (played.has(c.recordId) || !matchesSmartRules(c, rules)) continue;
+    const key = `${norm(c.title)}|${norm(c.artist || c.albumArtist)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(c);
+  }
+  if (rules.sort === 'shuffle') {
+    const keys = new Map(out.map((c) => [c.recordId, shuffleKey(seed, c.recordId)]));
+    return out.sort((a, b) => keys.get(a.recordId) - keys.get(b.recordId));
+  }
+  return out.sort(SORTERS[rules.sort] || SORTERS.newest);
+}
+
+// ── Pool ─────────────────────────────────────────────────────────────────────
+
+// One find request per genre × language × artist field, each ANDed with the
+// year range — the rules re-filter the result, so this only narrows the read.
+export function smartPoolQueries(rules) {
+  const year = rules.yearFrom || rules.yearTo
+    ? { 'Year of Release': `${rules.yearFrom || 1900}..${rules.yearTo || new Date().getUTCFullYear()}` }
+    : {};
+  let queries = [year];
+  const expand = (options) => {
+    if (!options.length) return;
+    queries = queries.flatMap((q) => options.map((o) => ({ ...q, ...o })));
+  };
+  expand(rules.genres.map((g) => ({ 'Local Genre': `==${g}` })));
+  expand(rules.languages.map((code) => ({ 'Language Code': `==${code}` })));
+  expand(rules.artists.flatMap((a) => [{ 'Album Artist': `==${a}` }, { 'Track Artist': `==${a}` }]));
+  return queries;
+}
+
+const semanticMeta = async () => (semanticShelvesAvailable() ? getAllMeta() : null);
+
+// → { source, cands } or null when neither Postgres nor the index is there.
+// Catalogue records without AI_BPM / AI_Energy take the index's figures when
+// a tempo or energy rule needs them.
+async function loadPool(rules) {
+  if (usePostgresMetadata()) {
+    const { data } = await pgFind(smartPoolQueries(rules), { limit: POOL_LIMIT });
+    const cands = data.map(candidateFromRecord);
+    const [bpmMin, bpmMax] = bpmRange(rules);
+    const needsMusic = bpmMin || bpmMax || rules.energyMin != null || rules.energyMax != null;
+    const gaps = needsMusic ? cands.filter((c) => c.bpm == null || c.energy == null) : [];
+    const all = gaps.length ? await semanticMeta() : null;
+    if (all) {
+      const byId = new Map(all.map((entry) => [String(entry.recordId), entry]));
+      for (const c of gaps) {
+        const entry = byId.get(c.recordId);
+        if (!entry) continue;
+        const meta = candidateFromMeta(entry);
+        c.bpm ??= meta.bpm;
+        c.energy ??= meta.energy;
+      }
+    }
+    return { source: 'postgres', cands };
+  }
+  const all = await semanticMeta();
+  if (!all) return null;
+  return { source: 'semantic', cands: all.map(candidateFromMeta) };
+}
+
+async function playedIds(token, cands) {
+  const ids = cands.map((c) => c.recordId);
+  const played = new Set();
+  for (let i = 0; i < ids.length; i += PLAY_COUNTS_MAX_LOOKUP) {
+    const counts = await lookupPlayCounts(token, ids.slice(i, i + PLAY_COUNTS_MAX_LOOKUP));
+    for (const id of Object.keys(counts)) played.add(id);
+  }
+  return played;
+}
+
+const playable = (record) => {
+  const fields = record?.fieldData || {};
+  return hasValidAudio(fields) && recordIsVisible(fields);
+};
+
+// Picks in order → bulk-add payloads for the first `limit` that still play.
+// Index entries are looked up; a record the pool already carries is used as-is.
+async function resolvePicks(picks, limit) {
+  const payloads = [];
+  for (let i = 0; i < picks.length && payloads.length < limit; i += RESOLVE_CONCURRENCY) {
+    const batch = picks.slice(i, i + RESOLVE_CONCURRENCY);
+    const records = await Promise.all(batch.map((c) => c.record
+      || getTrackRecordCached(FM_LAYOUT, c.recordId).catch((err) => {
+        log.warn(`lookup failed for ${c.recordId}: ${err.message}`);
+        return null;
+      })));
+    for (const record of records) {
+      if (payloads.length < limit && playable(record)) payloads.push(trackPayloadFromRecord(record));
+    }
+  }
+  return payloads;
+}
+
+// ── Materialising ────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild a smart playlist's tracks from its rules. `token` is the owner's
+ * access token — needed (and only used) for "unplayed". Resolves to
+ *   { ok: true, playlist, source, added, removed }
+ *   { ok: false, status, error }  (400 not smart, 409 no token for unplayed,
+ *                                  503 nothing to evaluate against)
+ */
+export async function refreshSmartPlaylist(playlist, { token = '', seed = Date.now() } = {}) {
+  const { rules } = playlist;
+  if (!rules) return { ok: false, status: 400, error: 'Not a smart playlist' };
+  if (rules.unplayed && !token) return { ok: false, status: 409, error: 'Open the playlist to refresh what you haven\'t played' };
+  if (rules.unplayed && !isPlayCountsReady()) return { ok: false, status: 503, error: 'Play history unavailable' };
+
+  const pool = await loadPool(rules);
+  if (!pool) return { ok: false, status: 503, error: 'Smart playlists are unavailable right now' };
+  const played = rules.unplayed ? await playedIds(token, pool.cands.filter((c) => matchesSmartRules(c, rules))) : undefined;
+  const picks = selectSmartCandidates(pool.cands, rules, { played, seed });
+  const payloads = await resolvePicks(picks, rules.limit);
+
+  let added = 0;
+  let removed = 0;
+  const written = await mutatePlaylist(playlist, (current) => {
+    // Rules changed or were dropped while we read the catalogue — leave it.
+    if (JSON.stringify(current.rules) !== JSON.stringify(rules)) return null;
+    added = 0; // a 306 retry runs this again on the re-read playlist
+    const kept = new Map((current.tracks || []).map((t) => [String(t.trackRecordId), t]));
+    const now = Date.now();
+    const tracks = payloads.map((payload, i) => {
+      const entry = buildTrackEntry(normalizeTrackPayload(payload), new Date(now + i).toISOString());
+      const previous = kept.get(String(payload.recordId));
+      if (previous) return { ...entry, id: previous.id, addedAt: previous.addedAt };
+      added += 1;
+      return entry;
+    });
+    const nextIds = new Set(payloads.map((p) => String(p.recordId)));
+    removed = (current.tracks || []).filter((t) => !nextIds.has(String(t.trackRecordId))).length;
+    const stamp = new Date(now).toISOString();
+    return { tracks, refreshedAt: stamp, updatedAt: stamp };
+  });
+  if (!written) return { ok: false, status: 404, error: 'Playlist not found' };
+  return { ok: true, playlist: written, source: pool.source, added, removed };
+}
+
+// ── Scheduled refresh ────────────────────────────────────────────────────────
+
+let timer = null;
+let sweeping = null;
+
+/** Refresh every daily / weekly smart playlist that is due. Never throws. */
+export function refreshDueSmartPlaylists({ nowMs = Date.now() } = {}) {
+  sweeping ||= (async () => {
+    let refreshed = 0;
+    try {
+      for (const playlist of await loadSmartPlaylists()) {
+        if (playlist.rules?.refresh === 'open' || !isSmartRefreshDue(playlist, { nowMs })) continue;
+        try {
+          const result = await refreshSmartPlaylist(playlist);
+          if (result.ok) refreshed += 1;
+          else log.warn(`refresh ${playlist.id} skipped: ${result.error}`);
+        } catch (err) {
+          log.warn(`refresh ${playlist.id} failed: ${err?.message || err}`);
+        }
+      }
+    } catch (err) {
+      log.warn('smart playlist sweep failed (retrying next hour):', err?.message || err);
+    }
+    return refreshed;
+  })().finally(() => { sweeping = null; });
+  return sweeping;
+}
+
+/** Start the hourly sweep on worker 0. */
+export function initSmartPlaylists({ schedule = (process.env.WORKER_INDEX || '0') === '0' } = {}) {
+  if (schedule && !timer) {
+    timer = setInterval(() => { refreshDueSmartPlaylists(); }, CHECK_MS);
+    timer.unref?.();
+  }
+}
+
+// A sweep in flight is left to finish or fail per playlist — each refresh is
+// one conditional write, and the next boot's sweep picks up what's still due.
+export async function stopSmartPlaylists() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
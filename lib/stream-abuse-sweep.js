@@ -0,0 +1,299 @@
+/**
+ * lib/stream-abuse-sweep.js — the whole-cluster half of abuse scoring
+ * (ABUSE_SCORING_ENABLED; the ingest half and the field semantics are in
+ * lib/stream-abuse.js).
+ *
+ * Every ABUSE_SWEEP_MS one worker (WORKER_INDEX 0) reads the Stream_Events
+ * records touched in the last ABUSE_SWEEP_HOURS and scores them together:
+ *   • session-rate / token-rate / ip-rate — more listens started inside any
+ *     rolling hour than the limits allow (the listens past the budget flag);
+ *   • over-wallclock — a listen credited more seconds than elapsed between its
+ *     PlayStartUTC and LastEventUTC;
+ *   • overlap — one session whose concurrent listens of different tracks add
+ *     up to more seconds than the span they cover (two full plays at once).
+ * New reasons are merged into AbuseFlags / AbuseScore on the record. Listens
+ * a reviewer has released or confirmed are never touched again.
+ *
+ * The review list (routes/abuse.js) and the release / confirm actions live
+ * here too, so every Stream_Events read and write for abuse is in one place.
+ *
+ * Callers: server.js (initStreamAbuseSweep), routes/abuse.js.
+ */
+
+import { fmFindAll, fmGetRecordById, fmUpdateRecord } from '../fm-client.js';
+import { FM_STREAM_EVENTS_LAYOUT } from './fm-fields.js';
+import { formatTimestampUTC, normalizeRecordId, normalizeSeconds, parsePositiveInt, toCleanString } from './format.js';
+import { parseEventTimestampUTC } from './royalty-report.js';
+import {
+  ABUSE_IP_PLAYS_PER_HOUR, ABUSE_LISTENER_PLAYS_PER_HOUR, ABUSE_REVIEW_STATES,
+  abuseFields, parseAbuseFlags
+} from './stream-abuse.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('abuse');
+
+// ── Constants ────────────────────────────────────────────────────────────────
+const ABUSE_SWEEP_MS = parsePositiveInt(process.env.ABUSE_SWEEP_MS, 60 * 60 * 1000);
+// Lookback per sweep. Longer than the interval so a listen still playing at
+// one sweep is seen finished by the next.
+const ABUSE_SWEEP_HOURS = parsePositiveInt(process.env.ABUSE_SWEEP_HOURS, 6);
+const ABUSE_SWEEP_MAX_EVENTS = parsePositiveInt(process.env.ABUSE_SWEEP_MAX_EVENTS, 100000);
+const ABUSE_REVIEW_MAX_EVENTS = 5000;
+// Seconds of slack before credited time counts as impossible: FileMaker
+// timestamps are whole seconds and a client may credit one PROGRESS interval
+// ahead of the event that reports it.
+const WALLCLOCK_SLACK_SEC = 60;
+// Listens shorter than this can't move trending or a statement — not worth
+// judging for impossible listening.
+const MIN_JUDGED_SEC = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_RANGE_DAYS = 92;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// ── Scoring (pure) ───────────────────────────────────────────────────────────
+
+/**
+ * One Stream_Events record ({ recordId, fieldData }) → the fields the sweep
+ * and the review list need, or null when it names no track or start time.
+ */
+export function readAbuseListen({ recordId, fieldData: f = {} } = {}) {
+  const trackRecordId = normalizeRecordId(f.TrackRecordID);
+  const startMs = parseEventTimestampUTC(f.PlayStartUTC) || parseEventTimestampUTC(f.TimestampUTC);
+  if (!trackRecordId || !startMs) return null;
+  const lastMs = parseEventTimestampUTC(f.LastEventUTC) || parseEventTimestampUTC(f.TimestampUTC) || startMs;
+  return {
+    recordId: String(recordId ?? ''),
+    trackRecordId,
+    startMs,
+    lastMs: Math.max(startMs, lastMs),
+    playedSec: normalizeSeconds(f.TotalPlayedSec),
+    mode: String(f.PlaybackMode || '').trim().toUpperCase() === 'PREVIEW' ? 'PREVIEW' : 'FULL',
+    session: toCleanString(f.SessionID),
+    ip: toCleanString(f.ClientIP),
+    token: toCleanString(f.Token_Number).toUpperCase(),
+    title: toCleanString(f['Track Name']),
+    artist: toCleanString(f['Track Artist']),
+    flags: parseAbuseFlags(f.AbuseFlags),
+    score: normalizeSeconds(f.AbuseScore),
+    review: toCleanString(f.AbuseReview).toLowerCase(),
+    reviewedAt: toCleanString(f.AbuseReviewedAt)
+  };
+}
+
+function groupBy(listens, key) {
+  const groups = new Map();
+  for (const l of listens) {
+    const k = l[key];
+    if (!k) continue;
+    let g = groups.get(k);
+    if (!g) { g = []; groups.set(k, g); }
+    g.push(l);
+  }
+  for (const g of groups.values()) g.sort((a, b) => a.startMs - b.startMs);
+  return groups.values();
+}
+
+/**
+ * Score readAbuseListen() results together. Returns Map recordId → reason
+ * codes found (only listens with at least one). Deterministic for a given set
+ * of listens.
+ */
+export function scoreListens(listens) {
+  const found = new Map();
+  const mark = (l, reason) => {
+    let s = found.get(l.recordId);
+    if (!s) { s = new Set(); found.set(l.recordId, s); }
+    s.add(reason);
+  };
+
+  // More heard than happened.
+  for (const l of listens) {
+    if (l.playedSec >= MIN_JUDGED_SEC && l.playedSec > (l.lastMs - l.startMs) / 1000 + WALLCLOCK_SLACK_SEC) {
+      mark(l, 'over-wallclock');
+    }
+  }
+
+  // Velocity: the listens past the budget inside any rolling hour.
+  const rate = (key, limit, reason) => {
+    for (const g of groupBy(listens, key)) {
+      for (let i = 0, j = 0; i < g.length; i++) {
+        while (g[i].startMs - g[j].startMs >= HOUR_MS) j++;
+        if (i - j + 1 > limit) mark(g[i], reason);
+      }
+    }
+  };
+  rate('session', ABUSE_LISTENER_PLAYS_PER_HOUR, 'session-rate');
+  rate('token', ABUSE_LISTENER_PLAYS_PER_HOUR, 'token-rate');
+  rate('ip', ABUSE_IP_PLAYS_PER_HOUR, 'ip-rate');
+
+  // Overlap: chain a session's listens whose [start, last] intervals overlap.
+  // A paused track resumed later stretches its interval over the next one,
+  // so overlapping intervals alone prove nothing — the chain is impossible
+  // only when its different tracks were credited more than the span it covers.
+  for (const g of groupBy(listens, 'session')) {
+    let chain = [];
+    let end = 0;
+    const judge = () => {
+      if (chain.length < 2 || new Set(chain.map((l) => l.trackRecordId)).size < 2) return;
+      const span = (end - chain[0].startMs) / 1000;
+      const played = chain.reduce((sum, l) => sum + l.playedSec, 0);
+      if (played > span + WALLCLOCK_SLACK_SEC) {
+        for (const l of chain) if (l.playedSec >= MIN_JUDGED_SEC) mark(l, 'overlap');
+      }
+    };
+    for (const l of g) {
+      if (chain.length && l.startMs >= end) { judge(); chain = []; }
+      if (!chain.length) end = l.lastMs;
+      chain.push(l);
+      end = Math.max(end, l.lastMs);
+    }
+    judge();
+  }
+
+  return new Map([...found].map(([id, s]) => [id, [...s].sort()]));
+}
+
+// ── Sweep ────────────────────────────────────────────────────────────────────
+
+async function findListens(queries, maxRecords, sortOrder = 'ascend') {
+  const found = await fmFindAll(FM_STREAM_EVENTS_LAYOUT, queries, {
+    pageSize: 1000, maxRecords, sort: [{ fieldName: 'LastEventUTC', sortOrder }]
+  });
+  // FM 401 = no records match — nothing to judge, not a failure.
+  if (!found.ok && String(found.code) !== '401') {
+    throw new Error(`Stream events query failed: ${found.msg || 'FM error'}${found.code ? ` (FM ${found.code})` : ''}`);
+  }
+  return { listens: (found.ok ? found.data : []).map(readAbuseListen).filter(Boolean), truncated: !!found.truncated };
+}
+
+/**
+ * Score the last `hours` of Stream_Events and write new reasons back. Returns
+ * { scanned, flagged, updated }. Writes one record at a time so a burst of
+ * flags never crowds listeners out of FileMaker's queue.
+ */
+export async function sweepStreamAbuse({ hours = ABUSE_SWEEP_HOURS, nowMs = Date.now() } = {}) {
+  const since = formatTimestampUTC(new Date(nowMs - hours * HOUR_MS));
+  const { listens, truncated } = await findListens([{ LastEventUTC: `>=${since}` }], ABUSE_SWEEP_MAX_EVENTS);
+  if (truncated) log.warn(`sweep read only the first ${ABUSE_SWEEP_MAX_EVENTS} stream events — raise ABUSE_SWEEP_MAX_EVENTS or sweep more often`);
+  const scores = scoreListens(listens);
+  let updated = 0;
+  for (const l of listens) {
+    const reasons = scores.get(l.recordId);
+    if (!reasons || ABUSE_REVIEW_STATES.has(l.review)) continue;
+    const merged = parseAbuseFlags([...l.flags, ...reasons].join(','));
+    if (merged.length === l.flags.length) continue;
+    try {
+      await fmUpdateRecord(FM_STREAM_EVENTS_LAYOUT, l.recordId, abuseFields(merged));
+      updated += 1;
+    } catch (err) {
+      log.warn(`could not flag stream event ${l.recordId}:`, err?.message || err);
+    }
+  }
+  const result = { scanned: listens.length, flagged: scores.size, updated };
+  if (updated) log.info(`sweep flagged ${updated} new listen(s) of ${listens.length} scanned`);
+  return result;
+}
+
+let timer = null;
+
+/**
+ * Start the periodic sweep on the sweeping worker. The first run waits one
+ * interval so boot never queues a large find behind the cache warm-up.
+ */
+export function initStreamAbuseSweep({ sweep = (process.env.WORKER_INDEX || '0') === '0' } = {}) {
+  if (!sweep || timer) return;
+  timer = setInterval(() => {
+    sweepStreamAbuse().catch((err) => log.warn('sweep failed:', err?.message || err));
+  }, ABUSE_SWEEP_MS);
+  timer.unref?.();
+}
+
+export function stopStreamAbuseSweep() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// ── Review ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC). Defaults to the last
+ * 7 days. Returns { ok, from, to, startMs, endMs } or { ok:false, error }.
+ */
+export function parseAbuseRange({ from, to } = {}, nowMs = Date.now()) {
+  const toDay = to ? String(to) : isoDay(nowMs);
+  const fromDay = from ? String(from) : isoDay(Date.parse(toDay) - 6 * DAY_MS);
+  for (const d of [fromDay, toDay]) {
+    if (!DATE_RE.test(d) || isoDay(Date.parse(d) || 0) !== d) return { ok: false, error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  const startMs = Date.parse(fromDay);
+  const endMs = Date.parse(toDay) + DAY_MS;
+  if (endMs <= startMs) return { ok: false, error: 'to must not be before from' };
+  if (endMs - startMs > MAX_RANGE_DAYS * DAY_MS) return { ok: false, error: `range is limited to ${MAX_RANGE_DAYS} days` };
+  return { ok: true, from: fromDay, to: toDay, startMs, endMs };
+}
+
+const statusOf = (l) => (ABUSE_REVIEW_STATES.has(l.review) ? l.review : 'pending');
+
+/**
+ * Flagged listens whose last event falls in the range. `status` is pending,
+ * released, confirmed or all. Returns { range, status, summary, listens } —
+ * the summary counts every flagged listen in the range by status, by reason
+ * and (quarantined ones) by track, the listens are the highest-scoring first.
+ */
+export async function loadAbuseReview(range, { status = 'pending', limit = 200 } = {}) {
+  const span = `${formatTimestampUTC(new Date(range.startMs))}...${formatTimestampUTC(new Date(range.endMs - 1000))}`;
+  const { listens, truncated } = await findListens([{ AbuseFlags: '*', LastEventUTC: span }], ABUSE_REVIEW_MAX_EVENTS, 'descend');
+
+  const summary = { listens: listens.length, truncated, pending: 0, released: 0, confirmed: 0, byReason: {}, tracks: [] };
+  const tracks = new Map();
+  for (const l of listens) {
+    summary[statusOf(l)] += 1;
+    for (const r of l.flags) summary.byReason[r] = (summary.byReason[r] || 0) + 1;
+    if (statusOf(l) === 'released') continue;
+    let t = tracks.get(l.trackRecordId);
+    if (!t) { t = { trackRecordId: l.trackRecordId, title: l.title, artist: l.artist, listens: 0, playedSec: 0 }; tracks.set(l.trackRecordId, t); }
+    t.listens += 1;
+    t.playedSec += l.playedSec;
+  }
+  summary.tracks = [...tracks.values()].sort((a, b) => b.playedSec - a.playedSec).slice(0, 20);
+
+  const rows = listens
+    .filter((l) => status === 'all' || statusOf(l) === status)
+    .sort((a, b) => b.score - a.score || b.lastMs - a.lastMs)
+    .slice(0, limit)
+    .map((l) => ({
+      recordId: l.recordId,
+      trackRecordId: l.trackRecordId,
+      title: l.title,
+      artist: l.artist,
+      startedAt: new Date(l.startMs).toISOString(),
+      lastEventAt: new Date(l.lastMs).toISOString(),
+      playedSec: l.playedSec,
+      mode: l.mode,
+      sessionId: l.session,
+      clientIP: l.ip,
+      token: l.token,
+      flags: l.flags,
+      score: l.score,
+      status: statusOf(l),
+      reviewedAt: l.reviewedAt || null
+    }));
+  return { range: { from: range.from, to: range.to }, status, summary, listens: rows };
+}
+
+/**
+ * Release (counts again) or confirm (stays out) one flagged listen. Returns
+ * { ok:true, status } or { ok:false, code, error } — 404 for no such record,
+ * 409 for a listen that was never flagged.
+ */
+export async function reviewAbuseListen(recordId, action) {
+  const rec = await fmGetRecordById(FM_STREAM_EVENTS_LAYOUT, recordId);
+  if (!rec?.fieldData) return { ok: false, code: 404, error: 'No such stream event' };
+  if (!parseAbuseFlags(rec.fieldData.AbuseFlags).length) return { ok: false, code: 409, error: 'Stream event is not flagged' };
+  const status = action === 'release' ? 'released' : 'confirmed';
+  await fmUpdateRecord(FM_STREAM_EVENTS_LAYOUT, recordId, { AbuseReview: status, AbuseReviewedAt: formatTimestampUTC() });
+  return { ok: true, status };
+}
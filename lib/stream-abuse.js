@@ -0,0 +1,135 @@
+/**
+ * lib/stream-abuse.js — abuse scoring for stream events (ABUSE_SCORING_ENABLED).
+ *
+ * /api/access/stream-events is public (it skips the token middleware), and
+ * /trending and the royalty statements count what it records — one script
+ * replaying PLAY / PROGRESS could otherwise push a track onto the home page or
+ * into a rights holder's statement. Nothing here ever refuses an event: a
+ * suspicious listen is recorded exactly as sent and QUARANTINED, so the
+ * evidence stays in Stream_Events and a reviewer can put it back.
+ *
+ * Two layers mark listens:
+ *  • At ingest (scoreStreamEvent, called from routes/access.js) — velocity per
+ *    session, client IP (Cloudflare-aware, resolveClientIp) and access token,
+ *    held in per-worker LRU windows. Each worker only sees its share of the
+ *    traffic, so these limits are per worker: immediate, cheap, deliberately
+ *    loose.
+ *  • The sweep (lib/stream-abuse-sweep.js, worker 0 every ABUSE_SWEEP_MS) —
+ *    the whole-cluster view over the Stream_Events records themselves: the
+ *    same velocity limits counted over every listen, plus impossible
+ *    listening (one session hearing two tracks at once, or more seconds
+ *    credited than elapsed between a listen's first and last event).
+ *
+ * Fields on the Stream_Events record (docs/FM-MAP.md):
+ *   AbuseFlags       comma-separated reason codes (ABUSE_REASONS); empty = clean
+ *   AbuseScore       0–100, the summed reason weights (review-list ordering)
+ *   AbuseReview      '' (pending) | 'released' (counts again) | 'confirmed'
+ *   AbuseReviewedAt  when an admin last reviewed it (routes/abuse.js)
+ *
+ * isQuarantinedListen() is the one rule /trending, lib/royalty-report.js and
+ * lib/engagement.js exclude on. Because the review lives on the record, a
+ * royalty statement's checksum changes exactly when a review changes it.
+ */
+
+import { LRUCache } from 'lru-cache';
+import { parsePositiveInt } from './format.js';
+
+// ── Constants ────────────────────────────────────────────────────────────────
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Events one session may send in a minute. A player sends PROGRESS every ~30 s
+// plus PLAY / PAUSE / SEEK around it; scrubbing can burst, hence the headroom.
+export const ABUSE_SESSION_EVENTS_PER_MIN = parsePositiveInt(process.env.ABUSE_SESSION_EVENTS_PER_MIN, 30);
+// Listens one listener (access token, or session in the sweep) may start in an
+// hour — one a minute, sustained, is already skipping faster than listening.
+export const ABUSE_LISTENER_PLAYS_PER_HOUR = parsePositiveInt(process.env.ABUSE_LISTENER_PLAYS_PER_HOUR, 60);
+// Listens one client IP may start in an hour. High on purpose: mobile carriers
+// put whole neighbourhoods behind one CGNAT address.
+export const ABUSE_IP_PLAYS_PER_HOUR = parsePositiveInt(process.env.ABUSE_IP_PLAYS_PER_HOUR, 300);
+
+// Reason code → weight. AbuseScore is the capped sum; any reason quarantines.
+export const ABUSE_REASONS = Object.freeze({
+  'session-rate': 40,     // one session sending or starting too much
+  'token-rate': 50,       // one access token starting too many listens
+  'ip-rate': 30,          // one client IP starting too many listens
+  'overlap': 60,          // one session hearing two tracks at the same time
+  'over-wallclock': 80    // more seconds credited than elapsed
+});
+
+export const ABUSE_REVIEW_STATES = new Set(['released', 'confirmed']);
+
+// ── Record fields ────────────────────────────────────────────────────────────
+
+/** AbuseFlags text → sorted, known reason codes. */
+export function parseAbuseFlags(value) {
+  const codes = String(value ?? '').split(',').map((s) => s.trim()).filter((s) => s in ABUSE_REASONS);
+  return [...new Set(codes)].sort();
+}
+
+export function abuseScore(reasons) {
+  return Math.min(100, reasons.reduce((sum, r) => sum + (ABUSE_REASONS[r] || 0), 0));
+}
+
+/** The Stream_Events fields that mark a listen with `reasons`. */
+export function abuseFields(reasons) {
+  const codes = parseAbuseFlags(reasons.join(','));
+  return { AbuseFlags: codes.join(','), AbuseScore: abuseScore(codes) };
+}
+
+/** Flagged and not released by a reviewer → left out of trending and royalties. */
+export function isQuarantinedListen(fields = {}) {
+  if (!parseAbuseFlags(fields.AbuseFlags).length) return false;
+  return String(fields.AbuseReview || '').trim().toLowerCase() !== 'released';
+}
+
+// ── Ingest scoring ───────────────────────────────────────────────────────────
+
+const sessionEvents = new LRUCache({ max: 50000, ttl: MINUTE_MS });
+const ipPlays       = new LRUCache({ max: 50000, ttl: HOUR_MS });
+const tokenPlays    = new LRUCache({ max: 50000, ttl: HOUR_MS });
+// Reasons already found for a listen (session::track), so every later write
+// of the same listen carries them — a write without AbuseFlags leaves the
+// field alone, but one with fewer reasons would narrow it.
+const listenFlags   = new LRUCache({ max: 50000, ttl: 6 * HOUR_MS });
+
+// Sliding window that keeps just enough timestamps to answer "more than
+// `limit` inside `windowMs`?" — memory per key is bounded by the limit.
+function overBudget(cache, key, nowMs, limit, windowMs) {
+  let times = cache.get(key);
+  if (!times) { times = []; cache.set(key, times); }
+  times.push(nowMs);
+  while (times.length && times[0] <= nowMs - windowMs) times.shift();
+  if (times.length > limit + 1) times.splice(0, times.length - (limit + 1));
+  return times.length > limit;
+}
+
+/**
+ * Score one incoming stream event. Returns the abuseFields() to write with it
+ * when its listen is flagged, else null. `ip` should come from
+ * resolveClientIp(), `token` is the access-token code when one was sent.
+ * @param {{ sessionId:string, trackRecordId:string, eventType:string, ip?:string,
+ *           token?:string, terminal?:boolean, nowMs?:number }} event
+ */
+export function scoreStreamEvent({ sessionId, trackRecordId, eventType, ip = '', token = '', terminal = false, nowMs = Date.now() }) {
+  const listenKey = `${sessionId}::${trackRecordId}`;
+  const reasons = new Set(listenFlags.get(listenKey) || []);
+  if (sessionId && overBudget(sessionEvents, sessionId, nowMs, ABUSE_SESSION_EVENTS_PER_MIN, MINUTE_MS)) reasons.add('session-rate');
+  if (eventType === 'PLAY') {
+    if (ip && overBudget(ipPlays, ip, nowMs, ABUSE_IP_PLAYS_PER_HOUR, HOUR_MS)) reasons.add('ip-rate');
+    if (token && overBudget(tokenPlays, token.toUpperCase(), nowMs, ABUSE_LISTENER_PLAYS_PER_HOUR, HOUR_MS)) reasons.add('token-rate');
+  }
+  // The listen is over; a replay of the same track starts clean.
+  if (terminal) listenFlags.delete(listenKey);
+  if (!reasons.size) return null;
+  if (!terminal) listenFlags.set(listenKey, [...reasons]);
+  return abuseFields([...reasons]);
+}
+
+/** Test helper: forget every window. */
+export function resetStreamAbuse() {
+  sessionEvents.clear();
+  ipPlays.clear();
+  tokenPlays.clear();
+  listenFlags.clear();
+}
@@ -0,0 +1,135 @@
+/**
+ * lib/stream-journal-pg.js — Postgres backend for the stream-event journal
+ * (lib/stream-journal.js). Used instead of SQLite whenever isPgEnabled(), so
+ * the journal survives Render's ephemeral disk and every worker / instance
+ * shares one. Table: stream_listens in db/schema.sql (npm run db:migrate).
+ *
+ * Each event merges in one transaction holding the open listen FOR UPDATE,
+ * and the UNIQUE partial index stream_listens_open_key turns a second process's
+ * insert of the same listen into a conflict; claims use FOR UPDATE SKIP
+ * LOCKED, so concurrent flushers (cluster workers, a second instance) take
+ * disjoint batches.
+ */
+
+import { getPool, query } from './pg.js';
+
+function toRow(r) {
+  if (!r) return null;
+  return {
+    ...r,
+    version: Number(r.version),
+    flushed_version: Number(r.flushed_version),
+    attempts: Number(r.attempts),
+    next_attempt_at: Number(r.next_attempt_at),
+    lease_until: Number(r.lease_until),
+    updated_at: Number(r.updated_at)
+  };
+}
+
+export async function createPgJournal() {
+  // Fail at init (→ the route writes to FileMaker directly) rather than on the
+  // first event if the migration hasn't been run.
+  await query('SELECT 1 FROM stream_listens LIMIT 1');
+
+  return {
+    kind: 'postgres',
+    async mergeListen(sessionId, trackRecordId, fn, { closed, now }) {
+      const client = await getPool().connect();
+      try {
+        await client.query('BEGIN');
+        let next = null;
+        // A second pass only when another process opened the listen between
+        // our read and our insert: its row is committed now, so merge into it.
+        for (let pass = 0; pass < 2; pass += 1) {
+          const open = await client.query(
+            `SELECT * FROM stream_listens
+              WHERE session_id = $1 AND track_record_id = $2 AND NOT closed
+              FOR UPDATE`,
+            [sessionId, trackRecordId]
+          );
+          next = fn(toRow(open.rows[0]));
+          if (!next) break;
+          if (!next.created) {
+            await client.query(
+              `UPDATE stream_listens SET fields = $2, closed = $3, version = version + 1, updated_at = $4
+                WHERE listen_id = $1`,
+              [next.listenId, JSON.stringify(next.fields), !!closed, now]
+            );
+            break;
+          }
+          const inserted = await client.query(
+            `INSERT INTO stream_listens (listen_id, session_id, track_record_id, fields, closed, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (session_id, track_record_id) WHERE NOT closed DO NOTHING`,
+            [next.listenId, sessionId, trackRecordId, JSON.stringify(next.fields), !!closed, now]
+          );
+          if (inserted.rowCount === 1) break;
+          if (pass === 1) throw new Error('open listen changed under the merge');
+        }
+        await client.query('COMMIT');
+        return next;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async claimDirty(limit, now, leaseMs) {
+      const r = await query(
+        `UPDATE stream_listens SET lease_until = $2
+          WHERE listen_id IN (
+            SELECT listen_id FROM stream_listens
+             WHERE version > flushed_version AND next_attempt_at <= $1 AND lease_until <= $1
+             ORDER BY updated_at LIMIT $3
+             FOR UPDATE SKIP LOCKED)
+          RETURNING *`,
+        [now, now + leaseMs, limit]
+      );
+      return r.rows.map(toRow).sort((a, b) => a.updated_at - b.updated_at);
+    },
+    async markCreateStarted(listenId) {
+      await query('UPDATE stream_listens SET create_started = true WHERE listen_id = $1', [listenId]);
+    },
+    async markFlushed(listenId, version, fmRecordId) {
+      await query(
+        `UPDATE stream_listens
+            SET flushed_version = greatest(flushed_version, $2), fm_record_id = $3,
+                attempts = 0, next_attempt_at = 0, lease_until = 0, last_error = NULL
+          WHERE listen_id = $1`,
+        [listenId, version, fmRecordId]
+      );
+    },
+    async markFailed(listenId, error, nextAttemptAt) {
+      await query(
+        `UPDATE stream_listens
+            SET attempts = attempts + 1, next_attempt_at = $2, lease_until = 0, last_error = $3
+          WHERE listen_id = $1`,
+        [listenId, nextAttemptAt, String(error).slice(0, 500)]
+      );
+    },
+    async release(listenId) {
+      await query('UPDATE stream_listens SET lease_until = 0 WHERE listen_id = $1', [listenId]);
+    },
+    async prune(closedBefore, idleBefore) {
+      const r = await query(
+        `DELETE FROM stream_listens
+          WHERE version <= flushed_version AND ((closed AND updated_at < $1) OR updated_at < $2)`,
+        [closedBefore, idleBefore]
+      );
+      return r.rowCount;
+    },
+    async stats() {
+      const r = await query(
+        `SELECT count(*)::int AS listens,
+                count(*) FILTER (WHERE version > flushed_version)::int AS pending,
+                count(*) FILTER (WHERE version > flushed_version AND attempts > 0)::int AS failing,
+                min(updated_at) FILTER (WHERE version > flushed_version) AS oldest_pending_at
+           FROM stream_listens`
+      );
+      const s = r.rows[0];
+      return { listens: s.listens, pending: s.pending, failing: s.failing, oldestPendingAt: s.oldest_pending_at == null ? null : Number(s.oldest_pending_at) };
+    },
+    async close() { /* the shared pool is closed by closePgPool() */ }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * lib/stream-journal-sqlite.js — SQLite backend for the stream-event journal
+ * (lib/stream-journal.js). One row per listen, holding the merged
+ * Stream_Events fieldData; data/stream-journal.db by default.
+ *
+ * WAL mode + busy_timeout so several cluster workers on one machine can share
+ * the file: each event is merged in one BEGIN IMMEDIATE transaction (read the
+ * open listen, write it back), a UNIQUE index keeps one open listen per
+ * session + track, and the flusher claims rows with a lease, so two processes
+ * never push the same listen at once.
+ *
+ * better-sqlite3 is imported lazily (same reasoning as lib/semantic-index.js):
+ * the journal is flag-gated, and a native-binary problem must only take the
+ * journal down — the stream-events route then writes to FileMaker directly.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS stream_listens (
+  listen_id        TEXT PRIMARY KEY,            -- = Stream_Events PrimaryKey
+  session_id       TEXT NOT NULL,
+  track_record_id  TEXT NOT NULL,
+  fields           TEXT NOT NULL,               -- merged fieldData (JSON)
+  fm_record_id     TEXT,                        -- set by the first successful flush
+  create_started   INTEGER NOT NULL DEFAULT 0,  -- a create was sent; on replay, look it up first
+  closed           INTEGER NOT NULL DEFAULT 0,  -- END/ERROR merged — nothing more joins this listen
+  version          INTEGER NOT NULL DEFAULT 1,  -- bumped per merged event
+  flushed_version  INTEGER NOT NULL DEFAULT 0,
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  INTEGER NOT NULL DEFAULT 0,
+  lease_until      INTEGER NOT NULL DEFAULT 0,
+  last_error       TEXT,
+  updated_at       INTEGER NOT NULL
+);
+-- Journals from before the open listen was unique may hold duplicates: keep
+-- the newest open, close the rest (their fields are flushed as they stand).
+UPDATE stream_listens SET closed = 1
+  WHERE closed = 0 AND EXISTS (
+    SELECT 1 FROM stream_listens newer
+     WHERE newer.closed = 0 AND newer.session_id = stream_listens.session_id
+       AND newer.track_record_id = stream_listens.track_record_id
+       AND (newer.updated_at > stream_listens.updated_at
+            OR (newer.updated_at = stream_listens.updated_at AND newer.listen_id > stream_listens.listen_id)));
+DROP INDEX IF EXISTS stream_listens_open_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS stream_listens_open_key
+  ON stream_listens (session_id, track_record_id) WHERE closed = 0;
+CREATE INDEX IF NOT EXISTS stream_listens_dirty_idx
+  ON stream_listens (next_attempt_at) WHERE version > flushed_version;
+`;
+
+function toRow(r) {
+  return r ? { ...r, fields: JSON.parse(r.fields), closed: !!r.closed, create_started: !!r.create_started } : null;
+}
+
+export async function createSqliteJournal(dbPath) {
+  const { default: Database } = await import('better-sqlite3');
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const q = {
+    findOpen: db.prepare(`SELECT * FROM stream_listens
+      WHERE session_id = ? AND track_record_id = ? AND closed = 0`),
+    insert: db.prepare(`INSERT INTO stream_listens
+      (listen_id, session_id, track_record_id, fields, closed, updated_at)
+      VALUES (@listen_id, @session_id, @track_record_id, @fields, @closed, @updated_at)`),
+    update: db.prepare(`UPDATE stream_listens
+      SET fields = @fields, closed = @closed, version = version + 1, updated_at = @updated_at
+      WHERE listen_id = @listen_id`),
+    dirty: db.prepare(`SELECT * FROM stream_listens
+      WHERE version > flushed_version AND next_attempt_at <= ? AND lease_until <= ?
+      ORDER BY updated_at LIMIT ?`),
+    lease: db.prepare('UPDATE stream_listens SET lease_until = ? WHERE listen_id = ? AND lease_until <= ?'),
+    createStarted: db.prepare('UPDATE stream_listens SET create_started = 1 WHERE listen_id = ?'),
+    flushed: db.prepare(`UPDATE stream_listens
+      SET flushed_version = max(flushed_version, @version), fm_record_id = @fm_record_id,
+          attempts = 0, next_attempt_at = 0, lease_until = 0, last_error = NULL
+      WHERE listen_id = @listen_id`),
+    failed: db.prepare(`UPDATE stream_listens
+      SET attempts = attempts + 1, next_attempt_at = @next_attempt_at, lease_until = 0, last_error = @error
+      WHERE listen_id = @listen_id`),
+    release: db.prepare('UPDATE stream_listens SET lease_until = 0 WHERE listen_id = ?'),
+    prune: db.prepare(`DELETE FROM stream_listens
+      WHERE version <= flushed_version AND ((closed = 1 AND updated_at < ?) OR updated_at < ?)`),
+    stats: db.prepare(`SELECT count(*) AS listens,
+        coalesce(sum(version > flushed_version), 0) AS pending,
+        coalesce(sum(version > flushed_version AND attempts > 0), 0) AS failing,
+        min(CASE WHEN version > flushed_version THEN updated_at END) AS oldest_pending_at
+      FROM stream_listens`)
+  };
+
+  // Read and write the listen under one write lock (BEGIN IMMEDIATE), so an
+  // event on another worker can't read the same state in between.
+  const merge = db.transaction((sessionId, trackRecordId, fn, closed, now) => {
+    const next = fn(toRow(q.findOpen.get(sessionId, trackRecordId)));
+    if (!next) return null;
+    const row = { listen_id: next.listenId, fields: JSON.stringify(next.fields), closed: closed ? 1 : 0, updated_at: now };
+    if (next.created) q.insert.run({ ...row, session_id: sessionId, track_record_id: trackRecordId });
+    else q.update.run(row);
+    return next;
+  });
+
+  // Claim under one write transaction so a second process can't lease the
+  // same rows between the read and the update.
+  const claim = db.transaction((limit, now, leaseMs) => {
+    const rows = q.dirty.all(now, now, limit);
+    return rows.filter((r) => q.lease.run(now + leaseMs, r.listen_id, now).changes === 1);
+  });
+
+  return {
+    kind: 'sqlite',
+    async mergeListen(sessionId, trackRecordId, fn, { closed, now }) {
+      return merge.immediate(sessionId, trackRecordId, fn, closed, now);
+    },
+    async claimDirty(limit, now, leaseMs) {
+      return claim(limit, now, leaseMs).map(toRow);
+    },
+    async markCreateStarted(listenId) {
+      q.createStarted.run(listenId);
+    },
+    async markFlushed(listenId, version, fmRecordId) {
+      q.flushed.run({ listen_id: listenId, version, fm_record_id: fmRecordId });
+    },
+    async markFailed(listenId, error, nextAttemptAt) {
+      q.failed.run({ listen_id: listenId, error: String(error).slice(0, 500), next_attempt_at: nextAttemptAt });
+    },
+    async release(listenId) {
+      q.release.run(listenId);
+    },
+    async prune(closedBefore, idleBefore) {
+      return q.prune.run(closedBefore, idleBefore).changes;
+    },
+    async stats() {
+      const s = q.stats.get();
+      return { listens: s.listens, pending: s.pending, failing: s.failing, oldestPendingAt: s.oldest_pending_at ?? null };
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * lib/stream-journal.js — durable local journal for stream events, flushed to
+ * FileMaker's Stream_Events layout in the background.
+ *
+ * Without it every PLAY / PROGRESS / PAUSE on /api/access/stream-events is an
+ * ensureStreamRecord + fmUpdateRecord pair through fm-client's shared request
+ * queue — the same 8 slots token validation and playback resolution wait on —
+ * so a burst of taster traffic from a YouTube video slows paying listeners.
+ *
+ * With STREAM_JOURNAL_ENABLED the route merges each event into ONE journal row
+ * per listen (session + track; END/ERROR close it) and answers at once. A
+ * worker pushes dirty rows to FileMaker every STREAM_JOURNAL_FLUSH_MS: a create
+ * for a new listen, then one update per flush however many events arrived in
+ * between. It backs off while FileMaker's queue is busy, retries failures with
+ * capped exponential backoff (rows are never dropped), and replays whatever is
+ * pending after a crash or deploy — the journal is on disk.
+ *
+ * Backend: Postgres when isPgEnabled() (lib/stream-journal-pg.js — survives
+ * Render's ephemeral disk), else SQLite (lib/stream-journal-sqlite.js,
+ * data/stream-journal.db). Either way the journal is the listen state, so
+ * the delta / total arithmetic in routes/access.js reads it instead of the
+ * per-process accumulator — one listen no longer fragments across workers.
+ *
+ * Degrade-gracefully: if the journal can't open, isStreamJournalReady() stays
+ * false and the route writes to FileMaker directly, exactly as before.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { randomUUID } from 'node:crypto';
+import { fmCreateRecord, fmFindRecords, fmQueueStats, fmUpdateRecord } from '../fm-client.js';
+import { FM_STREAM_EVENTS_LAYOUT } from './fm-fields.js';
+import { fmExactMatch } from './validators.js';
+import { isPgEnabled } from './pg.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('stream-journal');
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const envInt = (name, fallback) => Number.parseInt(process.env[name] || '', 10) || fallback;
+
+export const STREAM_JOURNAL_PATH = process.env.STREAM_JOURNAL_PATH
+  || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'stream-journal.db');
+const FLUSH_INTERVAL_MS = envInt('STREAM_JOURNAL_FLUSH_MS', 5000);
+const BATCH_SIZE        = envInt('STREAM_JOURNAL_BATCH', 50);
+// Leave FileMaker to listeners: stop a flush pass while more than this many
+// requests are already waiting for a slot, and pick up on the next tick.
+const YIELD_QUEUE_DEPTH = envInt('STREAM_JOURNAL_YIELD_DEPTH', 2);
+const LEASE_MS          = 60 * 1000;
+const RETRY_BASE_MS     = 5 * 1000;
+const RETRY_MAX_MS      = 30 * 60 * 1000;
+// Flushed rows are kept a while so late events still merge into their listen;
+// an open listen with no event for IDLE_MS is over (tab closed, no END).
+const CLOSED_RETAIN_MS  = 60 * 60 * 1000;
+const IDLE_MS           = 6 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS    = 10 * 60 * 1000;
+
+let backend = null;
+let timer = null;
+let flushing = null;
+let lastPruneAt = 0;
+const counters = { events: 0, created: 0, updated: 0, failures: 0, yields: 0, lastFlushAt: null, lastError: null };
+
+export function isStreamJournalReady() {
+  return backend !== null;
+}
+
+/**
+ * Open the journal. Never throws — on failure the journal stays off and the
+ * caller keeps writing to FileMaker directly. `opts.backend` injects one (tests).
+ */
+export async function initStreamJournal(opts = {}) {
+  if (backend) return true;
+  try {
+    if (opts.backend) {
+      backend = opts.backend;
+    } else if (isPgEnabled()) {
+      const { createPgJournal } = await import('./stream-journal-pg.js');
+      backend = await createPgJournal();
+    } else {
+      const { createSqliteJournal } = await import('./stream-journal-sqlite.js');
+      backend = await createSqliteJournal(opts.path || STREAM_JOURNAL_PATH);
+    }
+    const s = await backend.stats();
+    log.info(`journal open (${backend.kind}) — ${s.pending} listen(s) awaiting FileMaker`);
+    return true;
+  } catch (err) {
+    backend = null;
+    log.warn('journal unavailable — stream events go straight to FileMaker:', err?.message || err);
+    return false;
+  }
+}
+
+// ── Appending ────────────────────────────────────────────────────────────────
+
+// Events for one listen must merge one at a time: the merge reads the row's
+// accumulated totals and writes them back. Across processes the backend does
+// the read and the write in one transaction, and a UNIQUE index on the open
+// listen refuses a second one; this promise-chain mutex, keyed on session +
+// track, only keeps one worker's events from contending for that lock.
+const keyLocks = new Map();
+
+function withKeyLock(key, fn) {
+  const prev = keyLocks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  keyLocks.set(key, tail);
+  tail.then(() => { if (keyLocks.get(key) === tail) keyLocks.delete(key); });
+  return run;
+}
+
+/**
+ * Merge one event into its listen.
+ *   terminal      END / ERROR — closes the listen; with no open listen it is skipped
+ *   createFields  fieldData for a brand-new listen (PrimaryKey is assigned here)
+ *   apply(existing) → the fields this event writes, given the listen's current
+ *                     fields ({} for a new listen)
+ * Resolves { skipped: true } or { listenId, created, fields }.
+ */
+export function journalStreamEvent({ sessionId, trackRecordId, terminal, createFields, apply }) {
+  if (!backend) return Promise.reject(new Error('stream journal is not open'));
+  return withKeyLock(`${sessionId}::${trackRecordId}`, async () => {
+    // Called inside the backend's transaction with the listen's open row (or
+    // null), possibly twice if another process opened it first.
+    const merge = (open) => {
+      if (!open && terminal) return null;
+      if (open) return { listenId: open.listen_id, created: false, fields: { ...open.fields, ...apply({ ...open.fields }) } };
+      const listenId = randomUUID();
+      const fields = { ...createFields, PrimaryKey: listenId };
+      Object.assign(fields, apply({}));
+      return { listenId, created: true, fields };
+    };
+    const merged = await backend.mergeListen(sessionId, trackRecordId, merge, { closed: !!terminal, now: Date.now() });
+    if (!merged) return { skipped: true };
+    counters.events += 1;
+    return merged;
+  });
+}
+
+// ── Flushing ─────────────────────────────────────────────────────────────────
+
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.min(attempts, 16));
+}
+
+function fmBusy() {
+  return fmQueueStats().queueDepth > YIELD_QUEUE_DEPTH;
+}
+
+// A create that was sent but never acknowledged (crash, timeout) may have
+// landed — find it by PrimaryKey before creating a duplicate listen.
+async function findByPrimaryKey(listenId) {
+  const r = await fmFindRecords(FM_STREAM_EVENTS_LAYOUT, [{ PrimaryKey: fmExactMatch(listenId) }], { limit: 1, offset: 1 });
+  // 401 = no match: the create never landed. Any other failure means we
+  // can't tell — retry later rather than risk a duplicate.
+  if (!r.ok && String(r.code) !== '401') throw new Error(`PrimaryKey lookup failed: ${r.msg || 'FM error'}`);
+  return r.ok && r.data[0]?.recordId ? String(r.data[0].recordId) : null;
+}
+
+async function createRecord(row) {
+  await backend.markCreateStarted(row.listen_id);
+  const response = await fmCreateRecord(FM_STREAM_EVENTS_LAYOUT, row.fields);
+  if (!response?.recordId) throw new Error('Stream event create returned no recordId');
+  counters.created += 1;
+  return String(response.recordId);
+}
+
+async function pushRow(row) {
+  let recordId = row.fm_record_id;
+  if (!recordId && row.create_started) recordId = await findByPrimaryKey(row.listen_id);
+  if (!recordId) return createRecord(row);
+  try {
+    await fmUpdateRecord(FM_STREAM_EVENTS_LAYOUT, recordId, row.fields);
+    counters.updated += 1;
+    return recordId;
+  } catch (err) {
+    // 101 = record is missing (deleted in FileMaker) — the journal still has
+    // the whole listen, so write it again rather than retry forever.
+    if (/\(101\)/.test(err?.message || '')) return createRecord({ ...row, fm_record_id: null });
+    throw err;
+  }
+}
+
+async function flushPass() {
+  let flushed = 0;
+  while (backend) {
+    if (fmBusy()) { counters.yields += 1; break; }
+    const rows = await backend.claimDirty(BATCH_SIZE, Date.now(), LEASE_MS);
+    if (!rows.length) break;
+    for (let i = 0; i < rows.length; i += 1) {
+      const row = rows[i];
+      if (fmBusy()) {
+        counters.yields += 1;
+        await Promise.all(rows.slice(i).map((r) => backend.release(r.listen_id)));
+        return flushed;
+      }
+      try {
+        const recordId = await pushRow(row);
+        await backend.markFlushed(row.listen_id, row.version, recordId);
+        flushed += 1;
+      } catch (err) {
+        counters.failures += 1;
+        counters.lastError = err?.message || String(err);
+        await backend.markFailed(row.listen_id, counters.lastError, Date.now() + retryDelayMs(row.attempts));
+        if (row.attempts === 0 || row.attempts % 10 === 0) {
+          log.warn(`flush of listen ${row.listen_id} failed (attempt ${row.attempts + 1}) — will retry:`, counters.lastError);
+        }
+      }
+    }
+    if (rows.length < BATCH_SIZE) break;
+  }
+  return flushed;
+}
+
+/**
+ * One flush: push every dirty listen that is due (until FileMaker gets busy),
+ * then prune rows FileMaker already has. Concurrent calls share one pass.
+ * Resolves the number of listens written.
+ */
+export function flushStreamJournal() {
+  if (!backend) return Promise.resolve(0);
+  if (flushing) return flushing;
+  flushing = (async () => {
+    try {
+      const n = await flushPass();
+      counters.lastFlushAt = new Date().toISOString();
+      const now = Date.now();
+      if (backend && now - lastPruneAt >= PRUNE_EVERY_MS) {
+        lastPruneAt = now;
+        const pruned = await backend.prune(now - CLOSED_RETAIN_MS, now - IDLE_MS);
+        if (pruned) log.debug(`pruned ${pruned} flushed listen(s)`);
+      }
+      return n;
+    } catch (err) {
+      counters.lastError = err?.message || String(err);
+      log.warn('flush pass failed:', counters.lastError);
+      return 0;
+    } finally {
+      flushing = null;
+    }
+  })();
+  return flushing;
+}
+
+/** Start the background flusher (idempotent). Replays anything left pending. */
+export function startStreamJournalWorker() {
+  if (!backend || timer) return;
+  timer = setInterval(() => { flushStreamJournal(); }, FLUSH_INTERVAL_MS);
+  timer.unref?.();
+  flushStreamJournal();
+}
+
+/**
+ * Stop the worker, make one last bounded attempt to flush, close the journal.
+ * Whatever doesn't make it stays on disk and is replayed on the next boot.
+ */
+export async function stopStreamJournal({ drainMs = 5000 } = {}) {
+  if (timer) { clearInterval(timer); timer = null; }
+  if (!backend) return;
+  await Promise.race([flushStreamJournal(), new Promise((r) => setTimeout(r, drainMs).unref?.())]);
+  // A write still in flight keeps the journal open — closing it underneath
+  // would fail the row's bookkeeping; the process is exiting anyway.
+  if (flushing) { log.warn('shutdown: flush still running — pending listens replay on next boot'); return; }
+  const closing = backend;
+  backend = null;
+  await closing.close();
+}
+
+/** Snapshot for /api/health/detailed. */
+export async function streamJournalStatus() {
+  if (!backend) return { enabled: false };
+  try {
+    return { enabled: true, backend: backend.kind, ...(await backend.stats()), ...counters };
+  } catch (err) {
+    return { enabled: true, backend: backend.kind, error: err?.message || String(err), ...counters };
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * lib/taster-attribution.js — first-party, cookie-free attribution from a
+ * taster landing to a trial and a paid subscription.
+ *
+ * The browser keeps the landing it came in on ({ t, campaign, video }) in
+ * sessionStorage ('mad_taster') and sends it along when it starts a trial or
+ * a checkout; the checkout carries it through Paystack as metadata.taster, so
+ * the callback / webhook that turns a payment into a token knows where the
+ * payer came from. Telkom signups have no browser leg — they are attributed
+ * when the PartnerHUB notification echoes a campaign back (routes/telkom.js).
+ *
+ * One entry per listener, keyed by a hash of their email (Paystack, trials) or
+ * MSISDN (Telkom) — no addresses, numbers, tokens or IPs in the file. The
+ * first taster touch sticks: a trial from campaign A that pays after
+ * following a link from campaign B stays A's. Payments without any taster
+ * touch are not recorded here at all.
+ *
+ * Shape of data/taster-attribution.json:
+ * {
+ *   "3f2a…": {
+ *     "campaign": "yt-shorts", "t": "94600", "video": "short-94600",
+ *     "trialAt": "2026-09-02T08:00:00.000Z",
+ *     "paidAt": "2026-09-08T10:00:00.000Z", "channel": "paystack", "kind": "subscription",
+ *     "payments": [{ "at": "2026-09-08T10:00:00.000Z", "ref": "T123", "amount": 5900 }]
+ *   }
+ * }
+ * amount is in cents (Paystack subunits); Telkom payments carry 0.
+ *
+ * lib/taster-funnel.js reads it for the funnel report.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { acquireLock, releaseLock } from './file-lock.js';
+import { cleanTasterVia } from './taster-stats.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const MAX_PAYMENTS = 24;                         // two years of monthly renewals
+const KEEP_MS = 400 * 24 * 60 * 60 * 1000;       // drop listeners idle this long
+
+// Resolved per call so a test can point it at a temp file after import.
+const attributionPath = () => process.env.TASTER_ATTRIBUTION_FILE || path.join(DATA_DIR, 'taster-attribution.json');
+
+/** Stable, non-reversible-at-a-glance key for an email or MSISDN. */
+export function tasterSubjectKey({ email, msisdn } = {}) {
+  const id = email ? `email:${String(email).trim().toLowerCase()}` : msisdn ? `msisdn:${String(msisdn).replace(/\D/g, '')}` : '';
+  if (id === 'email:' || id === 'msisdn:' || !id) return null;
+  return createHash('sha256').update(id).digest('hex').slice(0, 32);
+}
+
+const lastActivity = (e) => Math.max(
+  Date.parse(e.trialAt || 0) || 0,
+  Date.parse(e.paidAt || 0) || 0,
+  ...(e.payments || []).map((p) => Date.parse(p.at) || 0)
+);
+
+// Read-modify-write under lib/file-lock.js, like lib/taster-stats.js. `fn`
+// mutates the map and returns the call's result. Never throws.
+async function mutate(fn) {
+  // Suite runs must not pollute the real file; tests opt in with a temp path.
+  if (process.env.NODE_ENV === 'test' && !process.env.TASTER_ATTRIBUTION_FILE) return false;
+  const file = attributionPath();
+  let lockPath;
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    lockPath = await acquireLock(file);
+    let data = {};
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); } catch { /* missing or corrupt → start fresh */ }
+    if (!data || typeof data !== 'object') data = {};
+    const result = fn(data);
+    if (result) {
+      const cutoff = Date.now() - KEEP_MS;
+      for (const [key, entry] of Object.entries(data)) if (lastActivity(entry) < cutoff) delete data[key];
+      const tmp = file + '.tmp';
+      await fs.writeFile(tmp, JSON.stringify(data), 'utf8');
+      await fs.rename(tmp, file);
+    }
+    return result;
+  } catch (err) {
+    console.warn('[taster] attribution write failed:', err?.message || err);
+    return false;
+  } finally {
+    if (lockPath) await releaseLock(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * A trial started from a taster landing. Returns true when recorded.
+ * @param {{ email:string, via:object, at?:Date }} opts
+ */
+export async function recordTasterTrial({ email, via, at = new Date() }) {
+  const key = tasterSubjectKey({ email });
+  const clean = cleanTasterVia(via);
+  if (!key || !clean) return false;
+  return mutate((data) => {
+    const entry = (data[key] ||= { ...clean });
+    if (entry.trialAt) return false;
+    entry.trialAt = at.toISOString();
+    return true;
+  });
+}
+
+/**
+ * A payment by someone who may have come in through a taster link: `via` from
+ * the checkout metadata, else whatever their trial recorded. The first one
+ * converts; later ones (renewals, repeat purchases) are kept for retention and
+ * revenue. Returns 'converted', 'repeat' or false (no taster touch, or a
+ * reference already seen — callback and webhook both report the same charge).
+ * @param {{ email?:string, msisdn?:string, via?:object, channel:string, kind?:string,
+ *           reference?:string, amount?:number, at?:Date }} opts
+ */
+export async function recordTasterPayment({ email, msisdn, via, channel, kind = 'once', reference, amount = 0, at = new Date() }) {
+  const key = tasterSubjectKey({ email, msisdn });
+  if (!key) return false;
+  const clean = cleanTasterVia(via);
+  return mutate((data) => {
+    let entry = data[key];
+    if (!entry) {
+      if (!clean) return false;
+      entry = data[key] = { ...clean };
+    }
+    const payments = (entry.payments ||= []);
+    const ref = reference ? String(reference) : '';
+    if (ref && payments.some((p) => p.ref === ref)) return false;
+    payments.push({ at: at.toISOString(), ref, amount: Math.max(0, Math.round(Number(amount) || 0)) });
+    if (payments.length > MAX_PAYMENTS) payments.splice(1, payments.length - MAX_PAYMENTS); // keep the first
+    if (entry.paidAt) return 'repeat';
+    Object.assign(entry, { paidAt: at.toISOString(), channel, kind });
+    return 'converted';
+  });
+}
+
+/** Read the whole map (for lib/taster-funnel.js). */
+export async function readTasterAttribution() {
+  try { return JSON.parse(await fs.readFile(attributionPath(), 'utf8')); } catch { return {}; }
+}
@@ -0,0 +1,127 @@
+/**
+ * lib/taster-funnel.js — the taster funnel report: land → play → trial →
+ * paid → retained at 30 days, per campaign, per track and per video.
+ *
+ * Joins the two first-party sources:
+ *   lib/taster-stats.js        daily land / play counts (aggregate, anonymous)
+ *   lib/taster-attribution.js  per-listener trial, first payment and later
+ *                              payments, keyed to the landing that started it
+ *
+ * A range is whole UTC days. Land and play count the days in range; trial and
+ * paid count listeners whose trial / first payment fell in range; revenue sums
+ * every payment dated in range by an attributed listener. "Retained" means the
+ * listener paid again at least 28 days after their first payment (a monthly
+ * renewal or a repeat purchase); it is measured only over conversions at least
+ * 30 days old ("matured"), so a recent cohort doesn't read as churn.
+ *
+ * Callers: routes/taster.js (GET /api/taster/funnel).
+ */
+
+import { readTasterStats } from './taster-stats.js';
+import { readTasterAttribution } from './taster-attribution.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+export const TASTER_RETAIN_AFTER_DAYS = 28;
+const MATURE_DAYS = 30;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC). Defaults to the last
+ * 30 days. Returns { ok, from, to, startMs, endMs } or { ok:false, error }.
+ */
+export function parseTasterFunnelRange({ from, to } = {}, nowMs = Date.now()) {
+  const toDay = to ? String(to) : isoDay(nowMs);
+  const fromDay = from ? String(from) : isoDay(Date.parse(toDay) - 29 * DAY_MS);
+  for (const d of [fromDay, toDay]) {
+    if (!DATE_RE.test(d) || isoDay(Date.parse(d) || 0) !== d) return { ok: false, error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  const startMs = Date.parse(fromDay);
+  const endMs = Date.parse(toDay) + DAY_MS;
+  if (endMs <= startMs) return { ok: false, error: 'to must not be before from' };
+  if (endMs - startMs > MAX_RANGE_DAYS * DAY_MS) return { ok: false, error: `range is limited to ${MAX_RANGE_DAYS} days` };
+  return { ok: true, from: fromDay, to: toDay, startMs, endMs };
+}
+
+const newRow = (key) => ({ key, land: 0, play: 0, trial: 0, paid: 0, matured: 0, retained: 0, revenueCents: 0 });
+
+const rate = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 1000 : null);
+
+function finish(row) {
+  const { revenueCents, ...rest } = row;
+  return {
+    ...rest,
+    revenue: Math.round(revenueCents) / 100,
+    playRate: rate(row.play, row.land),
+    trialRate: rate(row.trial, row.land),
+    paidRate: rate(row.paid, row.land),
+    retainedRate: rate(row.retained, row.matured)
+  };
+}
+
+/**
+ * Pure. `stats` is readTasterStats(), `attribution` readTasterAttribution(),
+ * `range` a parseTasterFunnelRange() result. Rows sort by paid, then land.
+ */
+export function buildTasterFunnel(stats, attribution, range, { nowMs = Date.now() } = {}) {
+  const totals = { ...newRow('all'), landMobile: 0 };
+  const groups = { campaigns: new Map(), tracks: new Map(), videos: new Map() };
+  const rowFor = (group, key) => {
+    if (!key) return null;
+    let row = groups[group].get(key);
+    if (!row) { row = newRow(key); groups[group].set(key, row); }
+    return row;
+  };
+  const add = (rows, field, n) => { for (const r of rows) if (r) r[field] += n; };
+
+  for (const [day, campaigns] of Object.entries(stats || {})) {
+    const ms = Date.parse(day);
+    if (!(ms >= range.startMs && ms < range.endMs) || !campaigns || typeof campaigns !== 'object') continue;
+    for (const [campaign, bucket] of Object.entries(campaigns)) {
+      const c = rowFor('campaigns', campaign);
+      add([totals, c], 'land', bucket.land || 0);
+      add([totals, c], 'play', bucket.play || 0);
+      totals.landMobile += bucket.landMobile || 0;
+      for (const group of ['tracks', 'videos']) {
+        for (const [key, n] of Object.entries(bucket[group] || {})) {
+          const row = rowFor(group, key);
+          row.land += n.land || 0;
+          row.play += n.play || 0;
+        }
+      }
+    }
+  }
+
+  const inRange = (iso) => { const ms = Date.parse(iso || ''); return ms >= range.startMs && ms < range.endMs; };
+  for (const entry of Object.values(attribution || {})) {
+    if (!entry || typeof entry !== 'object') continue;
+    const rows = [totals, rowFor('campaigns', entry.campaign), rowFor('tracks', entry.t), rowFor('videos', entry.video)];
+    if (inRange(entry.trialAt)) add(rows, 'trial', 1);
+    const payments = entry.payments || [];
+    add(rows, 'revenueCents', payments.filter((p) => inRange(p.at)).reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+    if (!inRange(entry.paidAt)) continue;
+    add(rows, 'paid', 1);
+    const paidMs = Date.parse(entry.paidAt);
+    if (nowMs - paidMs < MATURE_DAYS * DAY_MS) continue;
+    add(rows, 'matured', 1);
+    if (payments.some((p) => Date.parse(p.at) - paidMs >= TASTER_RETAIN_AFTER_DAYS * DAY_MS)) add(rows, 'retained', 1);
+  }
+
+  const sorted = (group) => [...groups[group].values()].map(finish).sort((a, b) => b.paid - a.paid || b.land - a.land || a.key.localeCompare(b.key));
+  const { key: _key, ...total } = finish(totals);
+  return {
+    range: { from: range.from, to: range.to },
+    totals: total,
+    campaigns: sorted('campaigns'),
+    tracks: sorted('tracks'),
+    videos: sorted('videos')
+  };
+}
+
+/** Read both sources and build the report for `range`. */
+export async function loadTasterFunnel(range, opts) {
+  const [stats, attribution] = await Promise.all([readTasterStats(), readTasterAttribution()]);
+  return buildTasterFunnel(stats, attribution, range, opts);
+}
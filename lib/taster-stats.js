@@ -5,18 +5,24 @@
  * Aggregates only — no visitor identifiers, no IPs, no cookies. The file holds
  * daily counts per campaign: how many landed, how many pressed play, how many
  * started a trial, plus per-track land/play tallies so we can see which songs
- * convert. Umami carries the same events client-side; this file is the
- * ad-blocker-proof backstop for the numbers that matter.
+ * convert and per-video land/play/trial tallies (utm_content on the links
+ * scripts/youtube/generate-videos.mjs writes, e.g. "short-94600"). Umami
+ * carries the same events client-side; this file is the ad-blocker-proof
+ * backstop for the numbers that matter.
  *
  * Shape of data/taster-stats.json:
  * {
  *   "2026-08-09": {
  *     "tasters": {
  *       "land": 12, "landMobile": 9, "play": 7, "trial": 1,
- *       "tracks": { "94600": { "land": 5, "play": 3 } }
+ *       "tracks": { "94600": { "land": 5, "play": 3 } },
+ *       "videos": { "short-94600": { "land": 4, "play": 3, "trial": 1 } }
  *     }
  *   }
  * }
+ *
+ * Trials and paid conversions per listener live in lib/taster-attribution.js;
+ * lib/taster-funnel.js joins the two.
  */
 
 import fs from 'node:fs/promises';
@@ -45,10 +51,24 @@ function cleanTrack(raw) {
   return /^\d{1,10}$/.test(t) ? t : null;
 }
 
+function cleanVideo(raw) {
+  const v = String(raw || '').toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 40);
+  return v || null;
+}
+
+/**
+ * Normalise a client-supplied taster attribution ({ t, campaign, video } from
+ * sessionStorage 'mad_taster') to the same keys the counters use, or null.
+ */
+export function cleanTasterVia(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  return { campaign: cleanCampaign(raw.campaign), t: cleanTrack(raw.t), video: cleanVideo(raw.video) };
+}
+
 /**
  * Count one funnel event. Never throws — a stats failure must never affect
  * the request that reported it.
- * @param {object} ev { kind: 'land'|'play'|'trial', campaign?, track?, mobile? }
+ * @param {object} ev { kind: 'land'|'play'|'trial', campaign?, track?, video?, mobile? }
  */
 export async function bumpTaster(ev) {
   if (process.env.NODE_ENV === 'test') return false; // suite runs must not pollute the aggregate
@@ -56,6 +76,7 @@ export async function bumpTaster(ev) {
   if (!KINDS.has(kind)) return false;
   const campaign = cleanCampaign(ev?.campaign);
   const track = cleanTrack(ev?.track);
+  const video = cleanVideo(ev?.video);
   const mobile = !!ev?.mobile;
 
   let lockPath;
@@ -76,6 +97,13 @@ export async function bumpTaster(ev) {
         tr[kind] = (tr[kind] || 0) + 1;
       }
     }
+    if (video) {
+      const videos = (bucket.videos ||= {});
+      if (videos[video] || Object.keys(videos).length < MAX_TRACKS_PER_DAY) {
+        const vd = (videos[video] ||= {});
+        vd[kind] = (vd[kind] || 0) + 1;
+      }
+    }
     const tmp = STATS_PATH + '.tmp';
     await fs.writeFile(tmp, JSON.stringify(data, null, 1), 'utf8');
     await fs.rename(tmp, STATS_PATH);
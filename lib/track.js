@@ -3,7 +3,13 @@
  * Dependencies: lib/fm-fields.js
  */
 
-import { AUDIO_FIELD_CANDIDATES } from './fm-fields.js';
+import {
+  AUDIO_FIELD_CANDIDATES,
+  LOUDNESS_FIELD_CANDIDATES,
+  PEAK_FIELD_CANDIDATES,
+  ALBUM_LOUDNESS_FIELD_CANDIDATES,
+  firstNonEmpty
+} from './fm-fields.js';
 
 // ── Internal regex ───────────────────────────────────────────────────────────
 const REGEX_HTTP_HTTPS               = /^https?:\/\//i;
@@ -122,6 +128,31 @@ export function hasValidArtwork(fields) {
   return !!resolveArtworkSrc(artworkS3URL);
 }
 
+// ── Loudness ────────────────────────────────────────────────────────────────
+
+// Plausible integrated-loudness range; anything outside is a bad measurement
+// (silence, a sentinel) and must not drive a player's gain.
+const LUFS_MIN = -70;
+const LUFS_MAX = 0;
+
+function lufsOrNull(value) {
+  const n = Number(value);
+  return value !== '' && Number.isFinite(n) && n > LUFS_MIN && n < LUFS_MAX ? n : null;
+}
+
+/**
+ * The analyzer's loudness values for a record, or null when the track hasn't
+ * been measured. { lufs, peak, albumLufs } — peak/albumLufs may be null.
+ */
+export function trackLoudness(fields) {
+  if (!fields || typeof fields !== 'object') return null;
+  const lufs = lufsOrNull(firstNonEmpty(fields, LOUDNESS_FIELD_CANDIDATES));
+  if (lufs === null) return null;
+  const peakRaw = firstNonEmpty(fields, PEAK_FIELD_CANDIDATES);
+  const peak = peakRaw !== '' && Number.isFinite(Number(peakRaw)) && Number(peakRaw) <= 6 ? Number(peakRaw) : null;
+  return { lufs, peak, albumLufs: lufsOrNull(firstNonEmpty(fields, ALBUM_LOUDNESS_FIELD_CANDIDATES)) };
+}
+
 // ── Track payload normalisation ─────────────────────────────────────────────
 
 function trimStr(value) {
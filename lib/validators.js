@@ -24,6 +24,16 @@ export const validators = {
     }
     return { valid: true, value: trimmed };
   },
+  playlistSectionTitle: (value) => {
+    if (typeof value !== 'string') return { valid: false, error: 'Must be string' };
+    const trimmed = value.trim();
+    if (trimmed.length < 1) return { valid: false, error: 'Section title required' };
+    if (trimmed.length > 60) return { valid: false, error: 'Too long (max 60 chars)' };
+    if (trimmed.includes('<') || trimmed.includes('>')) {
+      return { valid: false, error: 'HTML tags not allowed' };
+    }
+    return { valid: true, value: trimmed };
+  },
   recordId: (value) => {
     const str = String(value).trim();
     if (!/^\d+$/.test(str)) {
@@ -0,0 +1,336 @@
+/**
+ * lib/wrapped.js — "MAD Wrapped": a listener's year (or month) in review,
+ * built from their Stream_Events.
+ *
+ * /my-stats folds the same per-token listens into a top ten; this folds a whole
+ * period into a shareable summary — total minutes, top artists / albums /
+ * tracks, genres, decades and languages (joined through the semantic index's
+ * per-track metadata, lib/semantic-shelves.js getAllMeta()), listening by hour
+ * of day and the oldest recording played.
+ *
+ * A summary is saved in FileMaker (API_Wrapped, one record per token and
+ * period) under a random share id: /wrapped/<shareId> (routes/wrapped.js)
+ * renders it as a public page with OG tags — no token, email or listen times
+ * on it. A closed period is built once; the period in progress is rebuilt
+ * when the saved copy is older than WRAPPED_REFRESH_MS.
+ *
+ * Listens hidden by the listener's history settings (clear / pause,
+ * lib/history-store.js) stay out, so a paused stretch never shows up in a
+ * summary someone shares. Clearing or pausing deletes the token's saved
+ * summaries (forgetWrapped) — a closed period is never rebuilt, so its share
+ * page would otherwise keep showing what was just hidden.
+ *
+ * Callers: routes/wrapped.js (on demand), scripts/wrapped.mjs (annual /
+ * monthly batch + email).
+ *
+ * FM layout: API_Wrapped (env: FM_WRAPPED_LAYOUT)
+ * Fields: Wrapped_ID, Token_Number, Period, Summary_JSON, Created_At
+ */
+
+import { LRUCache } from 'lru-cache';
+import { fmFindAll, fmFindRecords, fmCreateRecord, fmUpdateRecord, fmDeleteRecord } from '../fm-client.js';
+import { FM_STREAM_EVENTS_LAYOUT } from './fm-fields.js';
+import { formatTimestampUTC, generateShareId, parsePositiveInt } from './format.js';
+import { fmExactMatch } from './validators.js';
+import { readStreamEvent } from './royalty-report.js';
+import { getAllMeta } from './semantic-shelves.js';
+import { isHiddenFromHistory, loadHistorySettings } from './history-store.js';
+
+const FM_WRAPPED_LAYOUT = process.env.FM_WRAPPED_LAYOUT || 'API_Wrapped';
+
+// A listen counts as a play at the royalty threshold — skips and accidental
+// taps add minutes but not plays.
+export const WRAPPED_PLAY_SEC = 30;
+export const WRAPPED_TOP_N = 5;
+// Listening-by-hour is in the listener's clock, not UTC.
+export const WRAPPED_TIME_ZONE = process.env.WRAPPED_TIME_ZONE || 'Africa/Johannesburg';
+// A year of heavy listening is a few thousand listens; past this the summary
+// is built from the most recent ones and says so.
+const WRAPPED_MAX_EVENTS = parsePositiveInt(process.env.WRAPPED_MAX_EVENTS, 20000);
+const WRAPPED_REFRESH_MS = parsePositiveInt(process.env.WRAPPED_REFRESH_MS, 6 * 60 * 60 * 1000);
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED === 'true';
+const WRAPPED_ENABLED = process.env.WRAPPED_ENABLED === 'true';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Share pages are public and get crawled. Short-lived: a summary deleted on
+// another worker (forgetWrapped) is served from here until it expires.
+export const WRAPPED_SHARE_CACHE_SEC = 5 * 60;
+const shareCache = new LRUCache({ max: 1000, ttl: WRAPPED_SHARE_CACHE_SEC * 1000 });
+const inFlight = new Map();   // token::period → Promise
+
+// ── Period ───────────────────────────────────────────────────────────────────
+
+/**
+ * `{ year, month? }` → { ok, key, label, startMs, endMs, partial } — endMs is
+ * exclusive, UTC. The period in progress is allowed (partial: true); one that
+ * hasn't started is not.
+ */
+export function parseWrappedPeriod({ year, month } = {}, nowMs = Date.now()) {
+  const y = Number.parseInt(String(year ?? ''), 10);
+  if (!/^\d{4}$/.test(String(year ?? '').trim()) || y < 2000) return { ok: false, error: 'year must be YYYY' };
+  let m = null;
+  if (month !== undefined && month !== null && String(month).trim() !== '') {
+    m = Number.parseInt(String(month), 10);
+    if (!(m >= 1 && m <= 12) || !/^\d{1,2}$/.test(String(month).trim())) return { ok: false, error: 'month must be 1-12' };
+  }
+  const startMs = m ? Date.UTC(y, m - 1, 1) : Date.UTC(y, 0, 1);
+  const endMs = m ? Date.UTC(y, m, 1) : Date.UTC(y + 1, 0, 1);
+  if (startMs > nowMs) return { ok: false, error: 'That period has not started yet' };
+  return {
+    ok: true,
+    key: m ? `${y}-${String(m).padStart(2, '0')}` : String(y),
+    label: m ? `${MONTHS[m - 1]} ${y}` : String(y),
+    startMs,
+    endMs,
+    partial: endMs > nowMs
+  };
+}
+
+// ── Aggregation (pure) ───────────────────────────────────────────────────────
+
+const hourFormatters = new Map();
+function localHour(ms, timeZone) {
+  let fmt = hourFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone });
+    hourFormatters.set(timeZone, fmt);
+  }
+  return Number.parseInt(fmt.format(new Date(ms)), 10) % 24;
+}
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+function languageLabel(code) {
+  const c = String(code || '').trim().toLowerCase();
+  if (!c) return '';
+  if (c === 'zxx') return 'Instrumental';
+  try { return languageNames.of(c) || c; } catch { return c; }
+}
+
+function decadeOf(year) {
+  const y = Number.parseInt(String(year || ''), 10);
+  if (!(y >= 1900 && y <= new Date().getUTCFullYear())) return null;
+  return { year: y, decade: `${Math.floor(y / 10) * 10}s` };
+}
+
+function tally(map, key, seed, playedSec, isPlay) {
+  if (!key) return;
+  let row = map.get(key);
+  if (!row) { row = { ...seed, plays: 0, minutes: 0 }; map.set(key, row); }
+  row.plays += isPlay ? 1 : 0;
+  row.minutes += playedSec / 60;
+}
+
+// Most played first, minutes breaking ties; minutes rounded for display.
+function top(map, n = WRAPPED_TOP_N) {
+  return [...map.values()]
+    .filter((r) => r.plays > 0)
+    .sort((a, b) => b.plays - a.plays || b.minutes - a.minutes)
+    .slice(0, n)
+    .map((r) => ({ ...r, minutes: Math.round(r.minutes) }));
+}
+
+// Genres / decades / languages read as shares of the listening time.
+function shares(map, totalMinutes, n = WRAPPED_TOP_N) {
+  if (!totalMinutes) return [];
+  return [...map.values()]
+    .sort((a, b) => b.minutes - a.minutes)
+    .slice(0, n)
+    .map((r) => ({ name: r.name, percent: Math.round((r.minutes / totalMinutes) * 100) }))
+    .filter((r) => r.percent > 0);
+}
+
+/**
+ * Fold one listener's Stream_Events (readStreamEvent() results) into a
+ * summary. Pure.
+ *   meta      Map recordId → semantic-index meta (may be empty — the index is
+ *             optional; genres, decades, languages and albums are then empty)
+ *   settings  history settings, or null
+ */
+export function buildWrapped(events, { period, meta = new Map(), settings = null, timeZone = WRAPPED_TIME_ZONE }) {
+  const byTrack = new Map();
+  const byArtist = new Map();
+  const byAlbum = new Map();
+  const byGenre = new Map();
+  const byDecade = new Map();
+  const byLanguage = new Map();
+  const hours = new Array(24).fill(0);
+  let seconds = 0;
+  let plays = 0;
+  let oldest = null;
+
+  for (const ev of events) {
+    if (!ev || !(ev.startMs >= period.startMs && ev.startMs < period.endMs)) continue;
+    if (ev.mode === 'PREVIEW' || isHiddenFromHistory(settings, ev.startMs)) continue;
+    const m = meta.get(ev.trackRecordId) || {};
+    const isPlay = ev.playedSec >= WRAPPED_PLAY_SEC;
+    seconds += ev.playedSec;
+    if (isPlay) plays += 1;
+    hours[localHour(ev.startMs, timeZone)] += ev.playedSec / 60;
+
+    const title = m.track || ev.title;
+    const artist = m.artist || ev.artist;
+    tally(byTrack, ev.trackRecordId, { recordId: ev.trackRecordId, title, artist }, ev.playedSec, isPlay);
+    tally(byArtist, artist.toLowerCase(), { name: artist }, ev.playedSec, isPlay);
+    const albumArtist = m.albumArtist || artist;
+    if (m.album) {
+      tally(byAlbum, `${albumArtist}|${m.album}`.toLowerCase(),
+        { title: m.album, artist: albumArtist, artworkUrl: /^https?:\/\//i.test(m.artworkUrl || '') ? m.artworkUrl : '' },
+        ev.playedSec, isPlay);
+    }
+    const genre = m.localGenre || m.genre;
+    tally(byGenre, String(genre || '').toLowerCase(), { name: genre }, ev.playedSec, isPlay);
+    const era = decadeOf(m.year);
+    if (era) {
+      tally(byDecade, era.decade, { name: era.decade }, ev.playedSec, isPlay);
+      if (isPlay && (!oldest || era.year < oldest.year)) {
+        oldest = { recordId: ev.trackRecordId, title, artist, year: era.year };
+      }
+    }
+    const language = languageLabel(m.language);
+    tally(byLanguage, language, { name: language }, ev.playedSec, isPlay);
+  }
+
+  const minutes = seconds / 60;
+  const byHour = hours.map((h) => Math.round(h));
+  const peak = byHour.reduce((best, v, h) => (v > byHour[best] ? h : best), 0);
+  return {
+    period: { key: period.key, label: period.label, partial: !!period.partial },
+    totals: {
+      minutes: Math.round(minutes),
+      plays,
+      tracks: [...byTrack.values()].filter((t) => t.plays > 0).length,
+      artists: [...byArtist.values()].filter((a) => a.plays > 0).length
+    },
+    topArtists: top(byArtist),
+    topAlbums: top(byAlbum),
+    topTracks: top(byTrack),
+    topGenres: shares(byGenre, minutes),
+    topDecades: shares(byDecade, minutes),
+    topLanguages: shares(byLanguage, minutes),
+    byHour,
+    peakHour: minutes ? peak : null,
+    oldestRecording: oldest
+  };
+}
+
+// ── FileMaker ────────────────────────────────────────────────────────────────
+
+let metaIndex = null;    // Map recordId → meta, built once from getAllMeta()
+async function loadMetaIndex() {
+  if (metaIndex) return metaIndex;
+  const all = await getAllMeta().catch(() => null);
+  if (!all) return new Map();  // index unavailable — retry next time
+  metaIndex = new Map(all.map(({ recordId, m }) => [recordId, m]));
+  return metaIndex;
+}
+
+/**
+ * Stream_Events for a period — every listener's, or one token's. The find
+ * runs a day past the end (a listen started at 23:59 keeps updating after
+ * midnight); attribution by start time does the exact cut.
+ */
+export async function fetchWrappedEvents(period, token = null) {
+  const range = `${formatTimestampUTC(new Date(period.startMs))}...${formatTimestampUTC(new Date(period.endMs + DAY_MS - 1000))}`;
+  const query = token ? { Token_Number: fmExactMatch(token), TimestampUTC: range } : { TimestampUTC: range };
+  const found = await fmFindAll(FM_STREAM_EVENTS_LAYOUT, [query], {
+    pageSize: 1000,
+    maxRecords: token ? WRAPPED_MAX_EVENTS : WRAPPED_MAX_EVENTS * 50,
+    sort: [{ fieldName: 'TimestampUTC', sortOrder: 'descend' }]
+  });
+  if (!found.ok) {
+    if (String(found.code) === '401') return { rows: [], truncated: false };   // nothing played
+    throw new Error(`Wrapped stream query failed: ${found.msg || 'FM error'}`);
+  }
+  return { rows: found.data.map((r) => r.fieldData || {}), truncated: !!found.truncated };
+}
+
+function parseSummary(value) {
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+async function findWrappedRecord(query) {
+  const result = await fmFindRecords(FM_WRAPPED_LAYOUT, [query], { limit: 1 });
+  const record = result?.data?.[0];
+  if (!record) return null;
+  const summary = parseSummary(record.fieldData?.Summary_JSON);
+  return summary ? { fmRecordId: record.recordId, shareId: record.fieldData.Wrapped_ID, summary } : null;
+}
+
+/** A saved summary by share id (public page), or null. */
+export async function loadWrappedByShareId(shareId) {
+  const id = String(shareId || '').trim();
+  if (!/^[a-f0-9]{32}$/i.test(id)) return null;
+  const cached = shareCache.get(id);
+  if (cached) return cached;
+  const record = await findWrappedRecord({ Wrapped_ID: fmExactMatch(id) });
+  if (record) shareCache.set(id, record.summary);
+  return record?.summary || null;
+}
+
+/**
+ * The token's summary for a parsed period: the saved one when it is still
+ * current, else rebuilt and saved. `opts.rows` passes Stream_Events already in
+ * hand (the batch script reads the whole period once).
+ * Resolves to { shareId, summary }.
+ */
+export function generateWrapped(token, period, opts = {}) {
+  // A double-tapped button must not build (and create) the summary twice.
+  const key = `${token}::${period.key}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+  const p = buildAndSave(token, period, opts).finally(() => inFlight.delete(key));
+  inFlight.set(key, p);
+  return p;
+}
+
+async function buildAndSave(token, period, { rows = null, truncated = false, nowMs = Date.now() }) {
+  const existing = await findWrappedRecord({ Token_Number: fmExactMatch(token), Period: fmExactMatch(period.key) });
+  const generatedMs = Date.parse(existing?.summary?.generatedAt || '');
+  const stale = existing?.summary?.period?.partial && !(nowMs - generatedMs < WRAPPED_REFRESH_MS);
+  if (existing && !stale) return { shareId: existing.shareId, summary: existing.summary };
+
+  if (!rows) ({ rows, truncated } = await fetchWrappedEvents(period, token));
+  const [meta, settings] = await Promise.all([
+    loadMetaIndex(),
+    HISTORY_ENABLED ? loadHistorySettings(token) : null
+  ]);
+  const events = rows.map(readStreamEvent).filter(Boolean);
+  const summary = {
+    ...buildWrapped(events, { period, meta, settings }),
+    truncated,
+    generatedAt: new Date(nowMs).toISOString()
+  };
+
+  const fields = { Summary_JSON: JSON.stringify(summary), Created_At: formatTimestampUTC(new Date(nowMs)) };
+  let shareId = existing?.shareId;
+  if (existing) {
+    await fmUpdateRecord(FM_WRAPPED_LAYOUT, existing.fmRecordId, fields);
+  } else {
+    shareId = generateShareId();
+    await fmCreateRecord(FM_WRAPPED_LAYOUT, { Wrapped_ID: shareId, Token_Number: token, Period: period.key, ...fields });
+  }
+  shareCache.set(shareId, summary);
+  return { shareId, summary };
+}
+
+/**
+ * Delete every saved summary of a token — history was cleared or paused.
+ * Their share links 404 from then on; asking again builds a fresh summary
+ * without the hidden listens. No-op while WRAPPED_ENABLED is off.
+ */
+export async function forgetWrapped(token) {
+  if (!WRAPPED_ENABLED || !token) return 0;
+  const found = await fmFindAll(FM_WRAPPED_LAYOUT, [{ Token_Number: fmExactMatch(token) }]);
+  const records = found?.ok ? found.data : [];
+  for (const record of records) {
+    await fmDeleteRecord(FM_WRAPPED_LAYOUT, record.recordId);
+    shareCache.delete(record.fieldData?.Wrapped_ID);
+  }
+  return records.length;
+}
+
+/** The token a raw Stream_Events row belongs to — splits a batch read per listener. */
+export function rowToken(fields) {
+  return String(fields?.Token_Number || '').trim().toUpperCase();
+}
@@ -155,6 +155,8 @@
           const isSubscription = selectedPlanType === 'subscription';
           const endpoint = isSubscription ? '/api/payments/subscribe' : '/api/payments/initialize';
           const payload  = isSubscription  ? { email } : { email, plan: selectedPlan };
+          // Funnel attribution rides through Paystack metadata to the payment.
+          try { const via = JSON.parse(sessionStorage.getItem('mad_taster') || 'null'); if (via) payload.via = via; } catch (_e) { /* no taster landing */ }
           const btnLabel = isSubscription  ? 'Subscribe' : 'Continue to Payment';
 
           try {
@@ -866,6 +868,8 @@
       // loadHighlights(); // Removed - Highlights section disabled
       console.log('[MADMusic] About to call loadNewReleases()');
       loadNewReleases();
+      loadJumpBackIn();
+      loadChartRail();
       loadGlobalFavorites();
       console.log('[MADMusic] About to call loadTrending()');
       loadTrending();
@@ -1080,6 +1084,189 @@
       });
     }
 
+    // ── Jump back in ──────────────────────────────────────────────────────────
+    // Recently played tracks from /api/history (routes/history.js), newest
+    // first. Only with window.__HISTORY and an access token; hidden when there
+    // is nothing to show — except while history is paused, so the listener can
+    // find the "Resume history" button again.
+    function formatClock(sec) {
+      const s = Math.max(0, Math.floor(Number(sec) || 0));
+      const h = Math.floor(s / 3600);
+      const m = Math.floor((s % 3600) / 60);
+      const ss = String(s % 60).padStart(2, '0');
+      return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+    }
+
+    function formatHistoryMeta(history) {
+      if (!history) return '';
+      if (history.positionSec > 0) return `Resume at ${formatClock(history.positionSec)}`;
+      return history.plays > 1 ? `Played ${history.plays} times` : 'Played recently';
+    }
+
+    function renderHistoryControls(settings) {
+      const pauseBtn = document.getElementById('jumpBackInPauseBtn');
+      const subtitle = document.getElementById('jumpBackInSubtitle');
+      const paused = !!settings?.paused;
+      if (pauseBtn) {
+        pauseBtn.textContent = paused ? 'Resume history' : 'Pause history';
+        pauseBtn.setAttribute('aria-pressed', paused ? 'true' : 'false');
+      }
+      if (subtitle) subtitle.textContent = paused ? 'History is paused — new listens aren’t shown' : 'Recently played';
+    }
+
+    async function loadJumpBackIn() {
+      const section   = document.getElementById('jumpBackInSection');
+      const container = document.getElementById('jumpBackInContainer');
+      if (!section || !container) return;
+      if (!window.__HISTORY || window.__GUEST || !currentAccessToken) { section.hidden = true; return; }
+      bindHistoryControls();
+
+      try {
+        const response = await apiFetch('/api/history?kind=tracks&limit=20');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data  = await response.json();
+        const items = Array.isArray(data?.items) ? data.items : [];
+        renderHistoryControls(data?.settings);
+
+        if (!items.length) {
+          container.innerHTML = data?.settings?.paused
+            ? '<div class="empty-state"><p>Nothing here while history is paused.</p></div>'
+            : '';
+          section.hidden = !data?.settings?.paused;
+          return;
+        }
+
+        container.innerHTML = items.map(item => {
+          const fields     = item.fields || {};
+          const artworkUrl = getArtworkUrl(fields);
+          const title      = getTitleField(fields);
+          const artist     = getArtistField(fields);
+          const album      = getAlbumField(fields);
+
+          storeItem(item.recordId, item);
+
+          return `
+            <div class="trending-card" data-record-id="${escapeHtml(item.recordId)}">
+              <div class="trending-artwork" style="cursor:pointer" onclick="playSong('${escapeHtml(item.recordId)}')">
+                ${artworkUrl
+                  ? `<img src="${escapeHtml(artworkUrl)}" alt="${escapeHtml(title)}" onerror="this.closest('.trending-card').style.display='none'" />`
+                  : ''
+                }
+                <div class="play-overlay"><div class="play-icon">▶</div></div>
+              </div>
+              <div class="trending-info">
+                <div class="trending-title">${escapeHtml(title)}</div>
+                <div class="trending-artist">${escapeHtml(artist)}</div>
+                <div class="trending-meta">${escapeHtml(formatHistoryMeta(item.history))}</div>
+              </div>
+              <button class="card-album-btn" title="View album" data-album-view data-album="${escapeHtml(album)}" data-artist="${escapeHtml(artist)}"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/></svg></button>
+            </div>
+          `;
+        }).join('');
+
+        setupAlbumViewDelegation(container);
+        section.hidden = false;
+        console.log(`[JumpBackIn] Rendered ${items.length} items`);
+      } catch (err) {
+        console.warn('[JumpBackIn] Failed to load:', err);
+        section.hidden = true;
+      }
+    }
+
+    // "▲ 3 · 4 wks" under each chart card; NEW / RE for first and returning weeks.
+    function formatChartMovement(entry) {
+      const weeks = entry.weeksOnChart > 1 ? ` · ${entry.weeksOnChart} wks` : '';
+      if (entry.movement === 'new') return 'New this week';
+      if (entry.movement === 're-entry') return `Re-entry${weeks}`;
+      if (entry.movement === 'up') return `<span class="chart-move-up">▲ ${entry.change}</span>${weeks}`;
+      if (entry.movement === 'down') return `<span class="chart-move-down">▼ ${-entry.change}</span>${weeks}`;
+      return `No change${weeks}`;
+    }
+
+    // Featured weekly chart (CHARTS_ENABLED) — public, so guests see it too.
+    async function loadChartRail() {
+      const section   = document.getElementById('chartRailSection');
+      const container = document.getElementById('chartRailContainer');
+      if (!section || !container) return;
+      if (!window.__CHARTS) { section.hidden = true; return; }
+
+      try {
+        const response = await apiFetch('/api/charts/featured');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const chart = (await response.json())?.chart;
+        const entries = Array.isArray(chart?.entries) ? chart.entries : [];
+        if (!entries.length) { section.hidden = true; return; }
+
+        document.getElementById('chartRailTitle').textContent = chart.title;
+        document.getElementById('chartRailSubtitle').textContent = `Most played, ${chart.week}`;
+        document.getElementById('chartRailLink').href = `${chart.url}/${chart.week}`;
+
+        container.innerHTML = entries.map(entry => {
+          const fields     = entry.fields || {};
+          const artworkUrl = getArtworkUrl(fields);
+          const title      = getTitleField(fields);
+          const artist     = getArtistField(fields);
+          const album      = getAlbumField(fields);
+
+          storeItem(entry.recordId, entry);
+
+          return `
+            <div class="trending-card" data-record-id="${escapeHtml(entry.recordId)}">
+              <div class="trending-rank">#${entry.position}</div>
+              <div class="trending-artwork" style="cursor:pointer" onclick="playSong('${escapeHtml(entry.recordId)}')">
+                ${artworkUrl
+                  ? `<img src="${escapeHtml(artworkUrl)}" alt="${escapeHtml(title)}" onerror="this.closest('.trending-card').style.display='none'" />`
+                  : ''
+                }
+                <div class="play-overlay"><div class="play-icon">▶</div></div>
+              </div>
+              <div class="trending-info">
+                <div class="trending-title">${escapeHtml(title)}</div>
+                <div class="trending-artist">${escapeHtml(artist)}</div>
+                <div class="trending-meta">${formatChartMovement(entry)}</div>
+              </div>
+              <button class="card-album-btn" title="View album" data-album-view data-album="${escapeHtml(album)}" data-artist="${escapeHtml(artist)}"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/></svg></button>
+            </div>
+          `;
+        }).join('');
+
+        setupAlbumViewDelegation(container);
+        section.hidden = false;
+        console.log(`[ChartRail] Rendered ${entries.length} entries (${chart.type}/${chart.key} ${chart.week})`);
+      } catch (err) {
+        console.warn('[ChartRail] Failed to load:', err);
+        section.hidden = true;
+      }
+    }
+
+    // Pause / clear — each reloads the rail from the server's answer.
+    async function updateHistory(method, url, body) {
+      try {
+        const response = await apiFetch(url, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      } catch (err) {
+        console.warn('[JumpBackIn] History update failed:', err);
+      }
+      loadJumpBackIn();
+    }
+
+    function bindHistoryControls() {
+      if (bindHistoryControls._bound) return;
+      bindHistoryControls._bound = true;
+      document.getElementById('jumpBackInPauseBtn')?.addEventListener('click', (e) => {
+        const paused = e.currentTarget.getAttribute('aria-pressed') === 'true';
+        updateHistory('PUT', '/api/history/settings', { paused: !paused });
+      });
+      document.getElementById('jumpBackInClearBtn')?.addEventListener('click', () => {
+        if (!confirm('Clear your listening history? Recently played and your stats start again from now.')) return;
+        updateHistory('DELETE', '/api/history');
+      });
+    }
+
   // ── Card quick-action buttons (+ Playlist / ♡ Save) ─────────────────────────
   // Builds the album + track objects needed by handleAddToPlaylist / library API
   function buildAlbumTrackFromItem(item) {
@@ -1194,6 +1381,7 @@
   window.loadHighlights = loadHighlights;
   window.loadTrending = loadTrending;
   window.loadNewReleases = loadNewReleases;
+  window.loadJumpBackIn = loadJumpBackIn;
   window.loadRandom = loadRandom;
   window.loadInitialContent = loadInitialContent;
   window.apiFetch = apiFetch;
@@ -1208,6 +1396,7 @@
     loadHighlights,
     loadTrending,
     loadNewReleases,
+    loadJumpBackIn,
     loadRandom,
     loadInitialContent
   };
@@ -0,0 +1,336 @@
+// public/js/gapless.js
+// Gapless / crossfade handoff between queue items — shared by the desktop
+// player (app.html _PLAYER + js/player.js) and the mobile app
+// (js/mobile/player.js). Classic script; exposes window.MADGapless.
+//
+// Why not just set src on 'ended': the next track only starts fetching once
+// the last one has finished, so every album transition is a resolve + connect
+// + buffer gap (plus the 400 ms shuffle debounce this replaces). Live albums
+// and segued records fall apart.
+//
+// How it works — a standby <audio> "bridges" the transition:
+//   1. ~PREFETCH_LEAD_SEC before the end, ask the owner for the next queue
+//      item (resolver → { key, url, startAt }) and preload it on the standby.
+//   2. A timer started near the end fires play() on the standby just as the
+//      primary runs out (or `crossfade` seconds early, ramping both volumes).
+//   3. The primary's own 'ended' runs the app's normal advance path, which
+//      reaches the playback chokepoint; it calls adopt(key) and, instead of a
+//      cold load, the primary picks up the standby's URL at the standby's
+//      position and a short equal-power fade hands the audio back.
+// The primary element is never replaced, so every existing listener on it
+// (stream events, the bar, the ringtone button) keeps working unchanged, and
+// the standby is invisible to all of them.
+//
+// Not Web Audio: a MediaElementSource on bucket/CDN audio served without CORS
+// headers outputs silence, and decoding whole tracks up front costs memory a
+// phone doesn't have. Element scheduling lands within a few ms of the join,
+// which is below the encoder padding MP3s carry anyway.
+//
+// Where element volume is read-only (iOS), crossfade degrades to a plain
+// gapless join — the preference is ignored rather than faked.
+(function () {
+  'use strict';
+
+  var PREF_KEY = 'mass_crossfade_sec';
+  var MAX_CROSSFADE_SEC = 12;
+  var PREFETCH_LEAD_SEC = 20;   // resolve + preload the next item this long before the end
+  var SCHEDULE_WINDOW_SEC = 1.5; // arm the start timer once this close to the join
+  var START_LEAD_MS = 40;        // play() → audible latency on the standby
+  var HANDBACK_FADE_MS = 150;    // standby → primary, both playing the same audio
+  var HANDBACK_TIMEOUT_MS = 8000;
+  var RAMP_STEP_MS = 30;
+
+  var primary = null;
+  var standby = null;
+  var resolveNext = null;
+  // idle → resolving → ready → playing → handback → idle. `next` is the
+  // prefetched item; `forSrc` the primary src it was prefetched for.
+  var phase = 'idle';
+  var next = null;
+  var forSrc = '';
+  var startTimer = null;
+  var orphanTimer = null;
+  var ramp = null;
+  var userVolume = 1;
+  var volumeWritable = null;
+
+  function canSetVolume() {
+    if (volumeWritable !== null) return volumeWritable;
+    try {
+      var probe = new Audio();
+      probe.volume = 0.5;
+      volumeWritable = Math.abs(probe.volume - 0.5) < 0.01;
+    } catch {
+      volumeWritable = false;
+    }
+    return volumeWritable;
+  }
+
+  function getCrossfade() {
+    var v = 0;
+    try { v = parseFloat(localStorage.getItem(PREF_KEY)); } catch { /* private mode */ }
+    if (!isFinite(v) || v <= 0) return 0;
+    return Math.min(MAX_CROSSFADE_SEC, v);
+  }
+
+  function setCrossfade(sec) {
+    var v = Math.max(0, Math.min(MAX_CROSSFADE_SEC, parseFloat(sec) || 0));
+    try { localStorage.setItem(PREF_KEY, String(v)); } catch { /* private mode */ }
+    return v;
+  }
+
+  // Crossfade actually applied to the current join: never more than a quarter
+  // of the outgoing track, and nothing where volume can't be driven.
+  function effectiveCrossfade() {
+    if (!canSetVolume()) return 0;
+    var fade = getCrossfade();
+    if (fade && isFinite(primary.duration)) fade = Math.min(fade, primary.duration / 4);
+    return fade;
+  }
+
+  function enabled() {
+    // Guest plays are 30 s preview clips; nothing to join.
+    return !!(primary && resolveNext && !window.__GUEST);
+  }
+
+  function stopRamp() {
+    if (ramp) { clearInterval(ramp); ramp = null; }
+  }
+
+  // Equal-power ramp: `out` fades to 0, `inc` rises to userVolume.
+  function runRamp(out, inc, ms, done) {
+    stopRamp();
+    var t0 = Date.now();
+    var step = function () {
+      var p = Math.min(1, (Date.now() - t0) / Math.max(1, ms));
+      if (out) out.volume = userVolume * Math.cos(p * Math.PI / 2);
+      if (inc) inc.volume = userVolume * Math.sin(p * Math.PI / 2);
+      if (p >= 1) {
+        stopRamp();
+        if (done) done();
+      }
+    };
+    step();
+    ramp = setInterval(step, RAMP_STEP_MS);
+  }
+
+  function releaseStandby() {
+    if (!standby) return;
+    standby.pause();
+    standby.removeAttribute('src');
+    standby.load();
+  }
+
+  // Drop any prefetch/bridge and put the primary back to normal. Safe from
+  // any phase.
+  function reset() {
+    if (startTimer) { clearTimeout(startTimer); startTimer = null; }
+    if (orphanTimer) { clearTimeout(orphanTimer); orphanTimer = null; }
+    stopRamp();
+    if (phase === 'playing' || phase === 'handback') {
+      if (canSetVolume()) primary.volume = userVolume;
+    }
+    releaseStandby();
+    phase = 'idle';
+    next = null;
+    forSrc = '';
+  }
+
+  function ensureStandby() {
+    if (standby) return standby;
+    standby = new Audio();
+    standby.preload = 'auto';
+    // A failed prefetch just means a normal (cold) advance.
+    standby.addEventListener('error', function () {
+      if (phase === 'ready' || phase === 'playing') reset();
+    });
+    return standby;
+  }
+
+  function prefetch() {
+    phase = 'resolving';
+    forSrc = primary.currentSrc || primary.src;
+    var pendingFor = forSrc;
+    Promise.resolve()
+      .then(function () { return resolveNext(); })
+      .then(function (item) {
+        if (phase !== 'resolving' || forSrc !== pendingFor) return;
+        if (!item || !item.url || !item.key) { phase = 'none'; return; }
+        next = { key: String(item.key), url: item.url, startAt: parseFloat(item.startAt) || 0 };
+        var el = ensureStandby();
+        el.volume = canSetVolume() ? 0 : 1;
+        el.src = item.url;
+        if (next.startAt > 0) {
+          var seekTo = next.startAt;
+          el.addEventListener('loadedmetadata', function onMeta() {
+            el.removeEventListener('loadedmetadata', onMeta);
+            try { el.currentTime = seekTo; } catch { /* play from 0 */ }
+          });
+        }
+        el.load();
+        phase = 'ready';
+      })
+      .catch(function (err) {
+        console.warn('[Gapless] next-item resolve failed:', err);
+        if (phase === 'resolving' && forSrc === pendingFor) phase = 'none';
+      });
+  }
+
+  function startNext() {
+    startTimer = null;
+    if (phase !== 'ready' || !primary || primary.paused) return;
+    userVolume = canSetVolume() ? primary.volume : 1;
+    var fade = effectiveCrossfade();
+    standby.volume = fade ? 0 : userVolume;
+    var p = standby.play();
+    if (p && p.catch) {
+      p.catch(function (err) {
+        // Autoplay policy or a load failure — fall back to the cold advance.
+        if (err && err.name !== 'AbortError') console.warn('[Gapless] standby play() failed:', err.name || err);
+        if (phase === 'playing') reset();
+      });
+    }
+    phase = 'playing';
+    if (fade) runRamp(primary, standby, fade * 1000);
+  }
+
+  function onTimeUpdate() {
+    if (!enabled() || primary.paused) return;
+    var duration = primary.duration;
+    if (!isFinite(duration) || duration <= 0) return;
+    var rate = primary.playbackRate || 1;
+    var remaining = (duration - primary.currentTime) / rate;
+
+    if (phase === 'idle' && remaining <= PREFETCH_LEAD_SEC) {
+      prefetch();
+      return;
+    }
+    if (phase === 'ready' && !startTimer) {
+      var fade = effectiveCrossfade();
+      if (remaining <= fade + SCHEDULE_WINDOW_SEC) {
+        startTimer = setTimeout(startNext, Math.max(0, (remaining - fade) * 1000 - START_LEAD_MS));
+      }
+    }
+  }
+
+  function onPrimaryPause() {
+    // Pausing at the natural end is part of 'ended' — the bridge carries on.
+    if (primary.ended) return;
+    if (phase === 'playing' || phase === 'handback') reset();
+    else if (startTimer) { clearTimeout(startTimer); startTimer = null; }
+  }
+
+  function onPrimarySeeking() {
+    if (phase === 'handback') return;
+    // A seek inside the crossfade window brings the outgoing track back.
+    if (phase === 'playing') { reset(); return; }
+    if (startTimer) { clearTimeout(startTimer); startTimer = null; }
+  }
+
+  function onPrimaryEnded() {
+    // The app is expected to advance and adopt(). If nothing does (queue
+    // stopped mid-fade), don't leave an invisible track playing.
+    if (phase !== 'playing') return;
+    orphanTimer = setTimeout(function () {
+      orphanTimer = null;
+      if (phase === 'playing') reset();
+    }, HANDBACK_TIMEOUT_MS);
+  }
+
+  function onPrimaryLoadStart() {
+    // Someone else changed the primary's src (a click, a manual skip):
+    // whatever we prefetched was for the old track.
+    if (phase === 'handback') return;
+    var src = primary.currentSrc || primary.src;
+    if (phase !== 'idle' && src !== forSrc) reset();
+  }
+
+  /**
+   * Bind the engine to the page's one playback element. Idempotent.
+   */
+  function attach(el) {
+    if (!el || primary === el) return;
+    primary = el;
+    el.addEventListener('timeupdate', onTimeUpdate);
+    el.addEventListener('pause', onPrimaryPause);
+    el.addEventListener('seeking', onPrimarySeeking);
+    el.addEventListener('loadstart', onPrimaryLoadStart);
+    el.addEventListener('ended', onPrimaryEnded);
+  }
+
+  /**
+   * The owner of the queue supplies the next item. `fn()` returns (or resolves
+   * to) { key, url, startAt? } or null for "nothing queued / don't prefetch".
+   * `key` is whatever the chokepoint later passes to adopt() — the recordId.
+   */
+  function setNextResolver(fn) {
+    resolveNext = typeof fn === 'function' ? fn : null;
+    if (!resolveNext) reset();
+  }
+
+  /**
+   * Called by the playback chokepoint before it loads a track. If the standby
+   * is already playing `key`, the primary takes it over in place (src set,
+   * seek + fade-in scheduled) and this returns true — the caller must NOT set
+   * src or arm its own start-position seek, but should still call play().
+   * Otherwise any prefetch is dropped and this returns false.
+   */
+  function adopt(key) {
+    if (!primary || phase !== 'playing' || !next || !key || next.key !== String(key)) {
+      if (phase !== 'idle') reset();
+      return false;
+    }
+    stopRamp();
+    if (orphanTimer) { clearTimeout(orphanTimer); orphanTimer = null; }
+    phase = 'handback';
+    var bridge = standby;
+    var handbackSrc = bridge.currentSrc || bridge.src;
+    var settled = false;
+    var timeout = null;
+
+    var finish = function () {
+      if (settled) return;
+      settled = true;
+      if (timeout) clearTimeout(timeout);
+      primary.removeEventListener('loadedmetadata', onMeta);
+      primary.removeEventListener('playing', onPlaying);
+      var done = function () {
+        releaseStandby();
+        if (canSetVolume()) primary.volume = userVolume;
+        phase = 'idle';
+        next = null;
+        forSrc = '';
+      };
+      if (canSetVolume() && !bridge.paused) runRamp(bridge, primary, HANDBACK_FADE_MS, done);
+      else done();
+    };
+    var onMeta = function () {
+      // Line up with the bridge; it kept playing while we loaded.
+      try { primary.currentTime = bridge.currentTime; } catch { /* best effort */ }
+    };
+    var onPlaying = function () { finish(); };
+
+    if (canSetVolume()) {
+      bridge.volume = userVolume;
+      primary.volume = 0;
+    }
+    primary.addEventListener('loadedmetadata', onMeta);
+    primary.addEventListener('playing', onPlaying);
+    // Never leave two elements playing if the handback stalls.
+    timeout = setTimeout(finish, HANDBACK_TIMEOUT_MS);
+    primary.src = handbackSrc;
+    forSrc = handbackSrc;
+    return true;
+  }
+
+  window.MADGapless = {
+    attach: attach,
+    setNextResolver: setNextResolver,
+    adopt: adopt,
+    reset: reset,
+    getCrossfade: getCrossfade,
+    setCrossfade: setCrossfade,
+    canCrossfade: canSetVolume,
+    MAX_CROSSFADE_SEC: MAX_CROSSFADE_SEC
+  };
+})();
@@ -223,6 +223,22 @@ function toMasterArtwork(url) {
   return url.replace('/artwork/resized/', '/artwork/').replace(/_\d+\.webp(\?.*)?$/i, '.jpg$1');
 }
 
+/**
+ * Rewrite a master artwork URL (…/artwork/NAME.jpg) to its pre-generated
+ * derivative (…/artwork/resized/NAME_<size>.webp, 300 or 800). Browser twin of
+ * thumbArtworkUrl in lib/track.js — keep the two in step. Returns the input
+ * unchanged when it isn't a master artwork URL or is already a derivative.
+ * @param {string} url
+ * @param {number} [size=300]
+ * @returns {string}
+ */
+function thumbArtworkUrl(url, size) {
+  if (typeof url !== 'string' || url.indexOf('/artwork/resized/') !== -1) return url;
+  if (!/\/artwork\/[^/]+\.(?:jpe?g|png)(?:\?|$)/i.test(url)) return url;
+  const s = size === 800 ? 800 : 300;
+  return url.replace('/artwork/', '/artwork/resized/').replace(/\.(?:jpe?g|png)(\?.*)?$/i, '_' + s + '.webp$1');
+}
+
 /**
  * Utility functions for helper operations
  */
@@ -351,6 +367,7 @@ window.MADHelpers.sortTracksBySeq = sortTracksBySeq;
 window.MADHelpers.formatDuration = formatDuration;
 window.MADHelpers.displayDuration = displayDuration;
 window.MADHelpers.toMasterArtwork = toMasterArtwork;
+window.MADHelpers.thumbArtworkUrl = thumbArtworkUrl;
 window.MADHelpers.cleanGenreLabel = cleanGenreLabel;
 window.MADHelpers.escapeHtml = escapeHtml;
 window.MADHelpers.formatRelativeTime = formatRelativeTime;
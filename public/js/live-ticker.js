@@ -0,0 +1,66 @@
+// public/js/live-ticker.js
+// "Listening now" ticker on the home page — desktop (app.html, Trending
+// header) and mobile (mobile.html, New Releases header). Classic script;
+// exposes window.MADLiveTicker. Server side: routes/live.js
+// (/api/live/listening), lib/live-feed.js.
+//
+// Anonymised counts only: "12 listening now · Song — Artist". The element
+// (#liveTicker) stays hidden while nobody is listening, while the flag is off,
+// and in browsers without EventSource. The stream is closed while the tab is
+// hidden so a background tab doesn't hold a server connection.
+(function () {
+  'use strict';
+
+  var source = null;
+  var el = null;
+
+  function enabled() {
+    return !!window.__LIVE_FEED && typeof window.EventSource === 'function';
+  }
+
+  /** Ticker text for one snapshot, or '' when there is nothing to show. */
+  function describe(snapshot) {
+    var n = snapshot && snapshot.listening;
+    if (!n) return '';
+    var text = n + (n === 1 ? ' person' : ' people') + ' listening now';
+    var top = snapshot.tracks && snapshot.tracks[0];
+    if (top && top.title) text += ' · ' + top.title + (top.artist ? ' — ' + top.artist : '');
+    return text;
+  }
+
+  function render(snapshot) {
+    if (!el) return;
+    var text = describe(snapshot);
+    el.textContent = text ? '● ' + text : '';
+    el.hidden = !text;
+  }
+
+  function open() {
+    if (source || !el) return;
+    source = new EventSource('/api/live/listening');
+    source.addEventListener('listening', function (e) {
+      try { render(JSON.parse(e.data)); } catch (_err) { /* malformed — keep the last one */ }
+    });
+    // EventSource reconnects by itself (the server asks for 10 s); a 404 or
+    // 503 closes it for good, which is fine — the ticker just stays hidden.
+  }
+
+  function close() {
+    if (source) { source.close(); source = null; }
+  }
+
+  function init() {
+    if (!enabled()) return;
+    el = document.getElementById('liveTicker');
+    if (!el) return;
+    document.addEventListener('visibilitychange', function () {
+      if (document.hidden) close(); else open();
+    });
+    if (!document.hidden) open();
+  }
+
+  window.MADLiveTicker = { describe: describe };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
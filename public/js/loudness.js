@@ -0,0 +1,199 @@
+// public/js/loudness.js
+// Loudness normalisation (ReplayGain-style) — shared by the desktop player
+// (app.html _PLAYER) and the mobile app (js/mobile/player.js). Classic script;
+// exposes window.MADLoudness. Ships dark behind window.__LOUDNESS.
+//
+// Vault transfers run from quiet 1950s shellac to loud 2000s masters, so a
+// shuffle jumps 10+ dB between tracks. The analyzer measures each track's
+// integrated loudness offline (AI_LoudnessLUFS, plus AI_PeakDBFS and the
+// album's AI_AlbumLoudnessLUFS — scripts/analyzer); here the playback element
+// is routed through a Web Audio gain node set to TARGET_LUFS − loudness.
+//   track mode: every track lands at the target (shuffle, radio)
+//   album mode: the album's loudness drives the gain, so a quiet interlude
+//               stays quiet relative to its album (falls back to track)
+// A boost never pushes the peak above −HEADROOM_DB, and unmeasured tracks
+// play at 0 dB. The gapless standby (js/gapless.js) carries a join at its
+// native level; the new gain settles in as the primary takes it back.
+//
+// Why the flag: a MediaElementSource outputs silence for media that isn't
+// CORS-readable, so the element is switched to crossOrigin="anonymous" and
+// every media origin must answer with CORS headers (see LOUDNESS_ENABLED in
+// server.js). Not on iOS: Safari suspends an AudioContext when the screen
+// locks, which would silence background playback — the same read-only-volume
+// probe gapless.js uses keeps it off there.
+(function () {
+  'use strict';
+
+  var PREF_KEY = 'mass_loudness_mode';
+  var MODES = ['off', 'track', 'album'];
+  var TARGET_LUFS = -16;
+  var HEADROOM_DB = 1;
+  var MAX_BOOST_DB = 12;
+  var MAX_CUT_DB = -20;
+  var GAIN_TIME_CONSTANT = 0.1; // s — settle over ~300 ms instead of a click
+  var LOOKUP_CACHE_MAX = 500;
+
+  var audio = null;
+  var ctx = null;
+  var gainNode = null;
+  var current = null;  // { recordId, loudness } for the loaded track
+  var lookups = new Map(); // recordId → loudness | null
+  var supportCache = null;
+
+  function supported() {
+    if (supportCache !== null) return supportCache;
+    var AC = window.AudioContext || window.webkitAudioContext;
+    var volumeWritable = false;
+    try {
+      var probe = new Audio();
+      probe.volume = 0.5;
+      volumeWritable = Math.abs(probe.volume - 0.5) < 0.01;
+    } catch { /* no Audio() — leave unsupported */ }
+    supportCache = !!(AC && volumeWritable);
+    return supportCache;
+  }
+
+  function available() {
+    return !!window.__LOUDNESS && supported();
+  }
+
+  function getMode() {
+    var m = null;
+    try { m = localStorage.getItem(PREF_KEY); } catch { /* private mode */ }
+    return MODES.indexOf(m) !== -1 ? m : 'track';
+  }
+
+  function setMode(mode) {
+    var m = MODES.indexOf(mode) !== -1 ? mode : 'track';
+    try { localStorage.setItem(PREF_KEY, m); } catch { /* private mode */ }
+    apply();
+    return m;
+  }
+
+  // { lufs, peak, albumLufs } from a record's FM fields (same bounds as
+  // trackLoudness in lib/track.js), or null when unmeasured.
+  function fromFields(fields) {
+    if (!fields) return null;
+    var num = function (v) {
+      var n = parseFloat(v);
+      return v !== '' && v != null && isFinite(n) ? n : null;
+    };
+    var lufs = num(fields['AI_LoudnessLUFS']);
+    if (lufs === null || lufs <= -70 || lufs >= 0) return null;
+    var album = num(fields['AI_AlbumLoudnessLUFS']);
+    return {
+      lufs: lufs,
+      peak: num(fields['AI_PeakDBFS']),
+      albumLufs: album !== null && album > -70 && album < 0 ? album : null
+    };
+  }
+
+  /**
+   * Gain in dB for a loudness record under `mode`. Pure — exported for tests.
+   */
+  function gainDb(loudness, mode) {
+    if (!loudness || mode === 'off') return 0;
+    var source = (mode === 'album' && loudness.albumLufs != null) ? loudness.albumLufs : loudness.lufs;
+    if (source == null || !isFinite(source)) return 0;
+    var gain = TARGET_LUFS - source;
+    if (loudness.peak != null && isFinite(loudness.peak)) {
+      gain = Math.min(gain, -HEADROOM_DB - loudness.peak);
+    }
+    return Math.max(MAX_CUT_DB, Math.min(MAX_BOOST_DB, gain));
+  }
+
+  // Build the element → gain → speakers graph. Once built it is permanent
+  // (createMediaElementSource can't be undone), so 'off' is just unity gain.
+  function ensureGraph() {
+    if (gainNode || !audio || !available()) return !!gainNode;
+    try {
+      var AC = window.AudioContext || window.webkitAudioContext;
+      ctx = new AC();
+      gainNode = ctx.createGain();
+      ctx.createMediaElementSource(audio).connect(gainNode);
+      gainNode.connect(ctx.destination);
+    } catch (err) {
+      console.warn('[Loudness] Web Audio graph failed — playing unnormalised:', err);
+      gainNode = null;
+    }
+    return !!gainNode;
+  }
+
+  function apply() {
+    if (!gainNode || !ctx) return;
+    var db = current ? gainDb(current.loudness, getMode()) : 0;
+    gainNode.gain.setTargetAtTime(Math.pow(10, db / 20), ctx.currentTime, GAIN_TIME_CONSTANT);
+  }
+
+  function remember(recordId, loudness) {
+    if (lookups.size >= LOOKUP_CACHE_MAX) lookups.delete(lookups.keys().next().value);
+    lookups.set(recordId, loudness);
+  }
+
+  // Loudness for a recordId the caller had no fields for: the desktop grid
+  // store first, then the container route (which reads the same record).
+  function lookup(recordId) {
+    if (lookups.has(recordId)) return Promise.resolve(lookups.get(recordId));
+    var store = window.itemsStore;
+    var item = store && typeof store.get === 'function' ? store.get(recordId) : null;
+    var known = item ? fromFields(item.fields) : null;
+    if (known || window.__GUEST) {
+      remember(recordId, known);
+      return Promise.resolve(known);
+    }
+    return fetch('/api/track/' + encodeURIComponent(recordId) + '/container')
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (j) {
+        var l = j && j.loudness && isFinite(j.loudness.lufs) ? j.loudness : null;
+        remember(recordId, l);
+        return l;
+      })
+      .catch(function () { return null; });
+  }
+
+  /**
+   * The player is loading a track. `info`: { recordId, fields?, loudness? } —
+   * whatever the call site has; missing values are looked up by recordId.
+   */
+  function setTrack(info) {
+    if (!available()) return;
+    var recordId = info && info.recordId ? String(info.recordId) : '';
+    var loudness = (info && info.loudness) || fromFields(info && info.fields);
+    current = { recordId: recordId, loudness: loudness };
+    if (loudness && recordId) remember(recordId, loudness);
+    apply();
+    if (loudness || !recordId) return;
+    lookup(recordId).then(function (l) {
+      if (!current || current.recordId !== recordId || !l) return;
+      current.loudness = l;
+      apply();
+    });
+  }
+
+  /**
+   * Bind to the page's one playback element. Must run before the first src is
+   * set: the element has to request media in CORS mode from the start.
+   */
+  function attach(el) {
+    if (!el || audio === el || !available()) return;
+    audio = el;
+    el.crossOrigin = 'anonymous';
+    // The AudioContext is created (and resumed) from 'play', which follows a
+    // user gesture — autoplay policy blocks it any earlier.
+    el.addEventListener('play', function () {
+      if (!ensureGraph()) return;
+      if (ctx.state === 'suspended') ctx.resume().catch(function () {});
+      apply();
+    });
+  }
+
+  window.MADLoudness = {
+    attach: attach,
+    setTrack: setTrack,
+    available: available,
+    getMode: getMode,
+    setMode: setMode,
+    fromFields: fromFields,
+    gainDb: gainDb
+  };
+})();
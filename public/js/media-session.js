@@ -0,0 +1,155 @@
+// public/js/media-session.js
+// Media Session publishing — shared by the desktop player (app.html _PLAYER +
+// js/player.js) and the mobile app (js/mobile/player.js). Classic script;
+// exposes window.MADMediaSession.
+//
+// The lock screen, the Android notification shade, Bluetooth headsets and
+// hardware media keys only know what navigator.mediaSession tells them. Until
+// this existed they showed nothing and ⏭/⏮ did nothing. The players call:
+//   attach(audioEl, { next, prev })  once — action handlers + position state
+//   setTrack({ title, artist, album, artUrl })  at their playback chokepoint
+// next/prev are the players' own skip paths (desktop bar skip, mobile
+// stepQueue), so a headset press behaves exactly like the on-screen button.
+//
+// Position state follows the element's events rather than timeupdate: the OS
+// extrapolates from position + playbackRate, so it only needs telling when
+// either jumps (seek, new track, rate change, play/pause).
+//
+// Guests: the preview stream keeps the full track's header, so the duration
+// we publish (and the seek range we accept) is capped at the 30 s preview —
+// same rule as the desktop bar's effDuration().
+(function () {
+  'use strict';
+
+  var GUEST_PREVIEW_SECS = 30;
+  var SEEK_STEP_SEC = 10;
+
+  var audio = null;
+  var handlers = {};
+
+  function supported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  }
+
+  function effDuration() {
+    var d = audio ? audio.duration : NaN;
+    if (!isFinite(d) || d <= 0) return 0;
+    return window.__GUEST ? Math.min(d, GUEST_PREVIEW_SECS) : d;
+  }
+
+  // 300 px + 800 px derivatives of the master artwork (scripts/artwork-resize),
+  // so the OS can pick a size; a non-bucket URL is published as-is.
+  function artworkList(url) {
+    if (!url || typeof url !== 'string' || url.indexOf('/img/placeholder') !== -1) return [];
+    var H = window.MADHelpers || {};
+    var master = H.toMasterArtwork ? H.toMasterArtwork(url) : url;
+    var small = H.thumbArtworkUrl ? H.thumbArtworkUrl(master, 300) : master;
+    if (small === master) return [{ src: url }];
+    return [
+      { src: small, sizes: '300x300', type: 'image/webp' },
+      { src: H.thumbArtworkUrl(master, 800), sizes: '800x800', type: 'image/webp' }
+    ];
+  }
+
+  /**
+   * Publish the now-playing track. Call at the point the player loads it.
+   * `meta`: { title, artist, album, artUrl } — all optional.
+   */
+  function setTrack(meta) {
+    if (!supported() || typeof window.MediaMetadata !== 'function') return;
+    var m = meta || {};
+    try {
+      navigator.mediaSession.metadata = new window.MediaMetadata({
+        title: m.title || 'Now Playing',
+        artist: m.artist || '',
+        album: m.album || '',
+        artwork: artworkList(m.artUrl)
+      });
+    } catch (err) {
+      console.warn('[MediaSession] metadata rejected:', err);
+    }
+  }
+
+  function updatePosition() {
+    if (!supported() || typeof navigator.mediaSession.setPositionState !== 'function') return;
+    var duration = effDuration();
+    try {
+      if (!duration) { navigator.mediaSession.setPositionState(); return; }
+      navigator.mediaSession.setPositionState({
+        duration: duration,
+        playbackRate: audio.playbackRate || 1,
+        position: Math.min(Math.max(0, audio.currentTime || 0), duration)
+      });
+    } catch { /* live/unknown duration — leave the OS to guess */ }
+  }
+
+  function seekTo(sec) {
+    var duration = effDuration();
+    if (!duration) return;
+    audio.currentTime = Math.min(Math.max(0, sec), Math.max(0, duration - 0.25));
+    updatePosition();
+  }
+
+  function setAction(action, fn) {
+    try {
+      navigator.mediaSession.setActionHandler(action, fn);
+    } catch { /* action not supported by this browser */ }
+  }
+
+  function hasSource() {
+    return !!(audio.src && audio.src !== window.location.href);
+  }
+
+  /**
+   * Bind to the page's one playback element and register the action
+   * handlers. `opts.next` / `opts.prev` step the player's queue. Idempotent
+   * per element; a later call just swaps the handlers.
+   */
+  function attach(el, opts) {
+    handlers = opts || {};
+    if (!supported() || !el || audio === el) return;
+    audio = el;
+
+    setAction('play', function () {
+      if (!hasSource()) return;
+      audio.play().catch(function (err) { console.warn('[MediaSession] play failed:', err && err.name); });
+    });
+    setAction('pause', function () { audio.pause(); });
+    setAction('stop', function () { audio.pause(); });
+    setAction('seekbackward', function (d) {
+      seekTo((audio.currentTime || 0) - ((d && d.seekOffset) || SEEK_STEP_SEC));
+    });
+    setAction('seekforward', function (d) {
+      seekTo((audio.currentTime || 0) + ((d && d.seekOffset) || SEEK_STEP_SEC));
+    });
+    setAction('seekto', function (d) {
+      if (!d || !isFinite(d.seekTime)) return;
+      if (d.fastSeek && typeof audio.fastSeek === 'function' && !window.__GUEST) {
+        audio.fastSeek(d.seekTime);
+        return;
+      }
+      seekTo(d.seekTime);
+    });
+    setAction('previoustrack', function () { if (handlers.prev) handlers.prev(); });
+    setAction('nexttrack', function () { if (handlers.next) handlers.next(); });
+
+    el.addEventListener('play', function () {
+      navigator.mediaSession.playbackState = 'playing';
+      updatePosition();
+    });
+    el.addEventListener('pause', function () {
+      navigator.mediaSession.playbackState = 'paused';
+      updatePosition();
+    });
+    el.addEventListener('emptied', function () { navigator.mediaSession.playbackState = 'none'; });
+    ['loadedmetadata', 'durationchange', 'seeked', 'ratechange'].forEach(function (ev) {
+      el.addEventListener(ev, updatePosition);
+    });
+  }
+
+  window.MADMediaSession = {
+    attach: attach,
+    setTrack: setTrack,
+    artworkList: artworkList
+  };
+})();
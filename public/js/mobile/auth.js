@@ -192,11 +192,15 @@ export async function buyAccess() {
 
       showToast('Redirecting to payment...', 'success');
 
+      // Funnel attribution rides through Paystack metadata to the payment.
+      let via = null;
+      try { via = JSON.parse(sessionStorage.getItem('mad_taster') || 'null'); } catch (_e) { /* no taster landing */ }
+
       try {
         const response = await fetch('/api/payments/initialize', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email: email.trim(), plan: '7-day', source: 'mobile' })
+          body: JSON.stringify({ email: email.trim(), plan: '7-day', source: 'mobile', ...(via ? { via } : {}) })
         });
 
         const data = await response.json();
@@ -6,6 +6,7 @@ import { switchTab } from './nav.js';
 import { search } from './search.js';
 import { closeModal, playTrack, renderPlayerQueue } from './player.js';
 import { pushOverlay } from './router.js';
+import { appendOfflineButton } from './offline.js';
 
 // ── Shared album tile (the New Releases / G100 look) ─────────────────────────
 // One square-cover tile: first tap reveals the title/artist overlay, second tap
@@ -148,6 +149,13 @@ export function showAlbumTracksModal(album) {
         });
       });
 
+      appendOfflineButton(elements.bottomSheet, {
+        kind: 'album',
+        id: `${album.title}|||${album.artist}`.toLowerCase(),
+        title: album.title,
+        recordIds: album.tracks.map(t => t.recordId).filter(Boolean)
+      });
+
       // Append suggestions rail asynchronously — doesn't block the modal opening.
       if (window.__SUGGESTIONS !== false) {
         appendMobileSuggestions(elements.bottomSheet, album);
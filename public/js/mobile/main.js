@@ -14,10 +14,13 @@ import { createPlaylist, loadPlaylists, showAddToPlaylistModal } from './playlis
 import { loadDiscover, refreshDiscover, renderDiscoverTracks } from './rails-discover.js';
 import { filterG100Albums, loadG100 } from './rails-g100.js';
 import { loadNewReleases } from './rails-newreleases.js';
+import { loadJumpBackIn } from './rails-history.js';
+import { loadChartRail } from './rails-charts.js';
 import { closeModal, playTrack, sendStreamEvent, stepQueue, updatePlayerModal, updateProgress } from './player.js';
 import { showAlbumTracksModal } from './cards.js';
 import { initRouter } from './router.js';
 import { initMaddie } from './maddie.js';
+import { initOffline } from './offline.js';
 
 // ===== Tab Navigation =====
     document.querySelectorAll('.tab-button').forEach(btn => {
@@ -84,6 +87,7 @@ import { initMaddie } from './maddie.js';
         if (window.__GUEST_PREVIEW === true) {
           enterGuestMode();
           loadNewReleases();
+          loadChartRail();
           loadPlaylists();
           handleShareDeepLink();
           return;
@@ -107,6 +111,8 @@ import { initMaddie } from './maddie.js';
       state.currentUser = { email: localStorage.getItem('mass_token_email') || '' };
       updateAuthUI();
       loadNewReleases();
+      loadJumpBackIn();
+      loadChartRail();
       loadPlaylists();
       handleShareDeepLink();
     }
@@ -120,15 +126,17 @@ import { initMaddie } from './maddie.js';
     async function handleShareDeepLink() {
       const st = window.__SHARE_TRACK;
       if (!st || !st.catalogue) return;
-      const campaign = ((new URLSearchParams(window.location.search)).get('utm_campaign') || 'share')
-        .replace(/[^a-z0-9_-]/gi, '').slice(0, 40) || 'share';
+      const qs = new URLSearchParams(window.location.search);
+      const campaign = (qs.get('utm_campaign') || 'share').replace(/[^a-z0-9_-]/gi, '').slice(0, 40) || 'share';
+      // utm_content names the video (scripts/youtube/generate-videos.mjs links).
+      const video = (qs.get('utm_content') || '').replace(/[^a-z0-9_-]/gi, '').slice(0, 40) || undefined;
       // Clean the URL FIRST so the modal's history entry isn't clobbered.
       window.history.replaceState({}, document.title, window.location.pathname);
 
       if (window.__GUEST && st.recordId) {
-        try { sessionStorage.setItem('mad_taster', JSON.stringify({ t: st.recordId, campaign })); } catch (e) {}
+        try { sessionStorage.setItem('mad_taster', JSON.stringify({ t: st.recordId, campaign, video })); } catch (e) {}
         try { window.umami && window.umami.track('taster-land', { t: st.recordId, campaign }); } catch (e) {}
-        showTasterHero(st, campaign);
+        showTasterHero(st, campaign, video);
       }
 
       try {
@@ -149,7 +157,7 @@ import { initMaddie } from './maddie.js';
 
     // Full-screen one-tap-play card for taster guests. Sits above the album
     // sheet (which loads behind it) and above the cookie banner.
-    function showTasterHero(st, campaign) {
+    function showTasterHero(st, campaign, video) {
       const esc = (s) => String(s || '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
       const wrap = document.createElement('div');
       wrap.id = 'tasterHero';
@@ -192,7 +200,7 @@ import { initMaddie } from './maddie.js';
         try {
           fetch('/api/taster/event', {
             method: 'POST', headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ kind: 'play', t: st.recordId, campaign, mobile: true }),
+            body: JSON.stringify({ kind: 'play', t: st.recordId, campaign, video, mobile: true }),
             keepalive: true
           }).catch(() => {});
         } catch (e) {}
@@ -394,6 +402,9 @@ import { initMaddie } from './maddie.js';
     // Maddie (shop assistant) — no-op unless window.__MADDIE
     initMaddie();
 
+    // Offline downloads — no-op unless window.__OFFLINE (and in the app)
+    initOffline();
+
     // Decade filtering functionality
     (function() {
       const discoverDecadeDropdown = document.getElementById('mobile-discover-decade');
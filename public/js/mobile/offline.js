@@ -0,0 +1,318 @@
+// Offline downloads for subscribers in the mobile app. Server side:
+// routes/offline.js (/api/offline); ships dark behind window.__OFFLINE.
+//
+// South African data is expensive, so a subscriber can download a track,
+// album or playlist once (on wifi) and play it with no data. Each download is
+// covered by a licence — token-bound, device-bound, time-limited — and the
+// audio is stored AES-GCM-encrypted in IndexedDB (which the Capacitor WebView
+// persists like any app data) under a content key the server only hands out
+// with a licence. playTrack asks offlineUrl() first; a track with a live
+// licence plays from a decrypted blob: URL, anything else streams as usual.
+//
+// Licences are revalidated whenever the app is online (boot + 'online'): a
+// renewed subscription extends them, an expired one is re-requested, and a
+// token the server refuses (disabled / expired / replaced) wipes the cache.
+// Offline, a licence past its expiry simply stops playing.
+
+import { showToast } from './util.js';
+import { isNativeApp } from './auth.js?v=3';
+
+const DB_NAME = 'mass-offline';
+const DB_VERSION = 1;
+const REVALIDATE_DELAY_MS = 4000; // after auth settles, like queue-sync's restore
+
+let dbPromise = null;
+let currentBlobUrl = null;
+let busy = false;
+
+/** Offline downloads can run here: flag on, a real subscriber, in the app. */
+export function offlineAvailable() {
+  if (!window.__OFFLINE || window.__GUEST || !isNativeApp()) return false;
+  if (!window.indexedDB || !window.crypto?.subtle || !window.MADQueueSync) return false;
+  try { return !!localStorage.getItem('mass_access_token'); } catch { return false; }
+}
+
+// Same per-install id the queue sync uses.
+const deviceId = () => window.MADQueueSync.deviceId();
+
+// ── IndexedDB ───────────────────────────────────────────────────────────────
+//   meta      'key' → the imported AES-GCM CryptoKey (non-extractable)
+//   licences  id → { id, title, licence }
+//   tracks    recordId → { recordId, iv, data, type, bytes }
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore('meta');
+      db.createObjectStore('licences', { keyPath: 'id' });
+      db.createObjectStore('tracks', { keyPath: 'recordId' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+// One request against one store, as a promise.
+async function idb(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const getAll = (store) => idb(store, 'readonly', (s) => s.getAll());
+
+// ── Keys + crypto ───────────────────────────────────────────────────────────
+
+function b64urlToBytes(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function storeKey(raw) {
+  const key = await crypto.subtle.importKey('raw', b64urlToBytes(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  await idb('meta', 'readwrite', (s) => s.put(key, 'key'));
+  return key;
+}
+
+const loadKey = () => idb('meta', 'readonly', (s) => s.get('key'));
+
+// ── Server calls ────────────────────────────────────────────────────────────
+
+function post(path, body) {
+  return fetch('/api/offline' + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deviceId: deviceId(), ...body })
+  });
+}
+
+// The token is gone for good (disabled, expired, or not a subscription):
+// nothing downloaded under it may play any more. The auth middleware sends the
+// same requiresAccessToken 403 when FileMaker is unreachable, so only a denial
+// it marks `definitive` counts — an outage must not empty the offline library.
+function isRevoked(status, body) {
+  if (status !== 403) return false;
+  return !!(body?.requiresSubscription || (body?.requiresAccessToken && body?.definitive === true));
+}
+
+async function requestLicence(kind, id, recordIds) {
+  const res = await post('/licence', { kind, id, recordIds });
+  const body = await res.json().catch(() => ({}));
+  return { status: res.status, body };
+}
+
+// ── Cache maintenance ───────────────────────────────────────────────────────
+
+/** Delete everything: licences, key and audio. */
+export async function wipeOffline() {
+  for (const store of ['licences', 'tracks', 'meta']) {
+    await idb(store, 'readwrite', (s) => s.clear());
+  }
+}
+
+// Drop audio no remaining licence covers.
+async function prune() {
+  const covered = new Set();
+  for (const rec of await getAll('licences')) rec.licence.tracks.forEach((id) => covered.add(id));
+  const keys = await idb('tracks', 'readonly', (s) => s.getAllKeys());
+  for (const recordId of keys) {
+    if (!covered.has(recordId)) await idb('tracks', 'readwrite', (s) => s.delete(recordId));
+  }
+}
+
+/** Remove one downloaded collection (and any audio only it covered). */
+export async function removeOffline(licenceId) {
+  await idb('licences', 'readwrite', (s) => s.delete(licenceId));
+  await prune();
+  updateSummary();
+}
+
+/**
+ * Re-sign the held licences against the token's current state. Runs while
+ * online; network errors leave everything as it was.
+ */
+export async function revalidateOffline() {
+  if (!offlineAvailable()) return;
+  const held = await getAll('licences');
+  if (!held.length) return;
+  let res;
+  let body;
+  try {
+    res = await post('/revalidate', { licences: held.map((r) => r.licence) });
+    body = await res.json().catch(() => ({}));
+  } catch {
+    return; // offline — licences run to their own expiry
+  }
+  if (isRevoked(res.status, body)) {
+    await wipeOffline();
+    showToast('Offline downloads removed — your subscription has ended', 'error');
+    updateSummary();
+    return;
+  }
+  if (!res.ok || !body.ok) return;
+  if (body.key) await storeKey(body.key);
+
+  const byId = new Map(held.map((r) => [r.id, r]));
+  for (const result of body.licences || []) {
+    const rec = byId.get(result.id);
+    if (!rec) continue;
+    if (result.ok) {
+      await idb('licences', 'readwrite', (s) => s.put({ ...rec, licence: result.licence }));
+    } else if (result.reason === 'expired') {
+      // Lapsed while offline; the audio is still here, so ask again.
+      const { licence } = rec;
+      const again = await requestLicence(licence.kind, licence.collectionId, licence.tracks).catch(() => null);
+      if (again?.body?.ok) await idb('licences', 'readwrite', (s) => s.put({ ...rec, licence: again.body.licence }));
+      else if (again && again.status !== 500) await idb('licences', 'readwrite', (s) => s.delete(rec.id));
+    } else {
+      await idb('licences', 'readwrite', (s) => s.delete(rec.id));
+    }
+  }
+  await prune();
+  updateSummary();
+}
+
+// ── Download ────────────────────────────────────────────────────────────────
+
+async function downloadTrack(recordId, key) {
+  const res = await fetch(`/api/offline/audio/${encodeURIComponent(recordId)}`);
+  if (!res.ok) throw new Error(`audio ${res.status}`);
+  const type = res.headers.get('Content-Type') || 'audio/mpeg';
+  const plain = await res.arrayBuffer();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+  await idb('tracks', 'readwrite', (s) => s.put({ recordId, iv, data, type, bytes: data.byteLength }));
+}
+
+/**
+ * Download a collection for offline play. `collection`: { kind: 'track' |
+ * 'album' | 'playlist', id, title, recordIds } — a playlist's track list is
+ * taken from the server's copy.
+ */
+export async function downloadForOffline(collection) {
+  if (!offlineAvailable()) return;
+  if (busy) { showToast('A download is already running', 'error'); return; }
+  busy = true;
+  try {
+    const { status, body } = await requestLicence(collection.kind, collection.id, collection.recordIds);
+    if (!body.ok) {
+      showToast(body.requiresSubscription ? 'Offline downloads are for subscribers' : (body.error || 'Download failed'), 'error');
+      if (isRevoked(status, body)) await wipeOffline();
+      return;
+    }
+    const key = await storeKey(body.key);
+    await idb('licences', 'readwrite', (s) => s.put({ id: body.licence.id, title: collection.title || '', licence: body.licence }));
+    // Persistent storage keeps the browser from evicting the cache under pressure.
+    navigator.storage?.persist?.().catch(() => {});
+
+    const have = new Set(await idb('tracks', 'readonly', (s) => s.getAllKeys()));
+    const todo = body.licence.tracks.filter((id) => !have.has(id));
+    showToast(todo.length ? `Downloading ${todo.length} track${todo.length === 1 ? '' : 's'}…` : 'Already downloaded');
+    let failed = 0;
+    // One at a time: a whole album in parallel would stall playback on a
+    // mobile connection and hold every file in memory at once.
+    for (const recordId of todo) {
+      try { await downloadTrack(recordId, key); } catch (err) {
+        failed += 1;
+        console.warn('[Offline] track download failed:', recordId, err);
+      }
+    }
+    if (todo.length) {
+      showToast(failed ? `Downloaded ${todo.length - failed} of ${todo.length} — try again on a better connection` : 'Available offline',
+        failed ? 'error' : 'success');
+    }
+  } catch (err) {
+    console.error('[Offline] download failed:', err);
+    showToast('Download failed', 'error');
+  } finally {
+    busy = false;
+    updateSummary();
+  }
+}
+
+// ── Playback ────────────────────────────────────────────────────────────────
+
+/**
+ * blob: URL for a downloaded track under a live licence, or null (stream it).
+ * The previous URL is revoked — only the playing track is held decrypted.
+ */
+export async function offlineUrl(recordId) {
+  if (!recordId || !offlineAvailable()) return null;
+  try {
+    const stored = await idb('tracks', 'readonly', (s) => s.get(String(recordId)));
+    if (!stored) return null;
+    const nowSec = Date.now() / 1000;
+    const licences = await getAll('licences');
+    if (!licences.some((r) => r.licence.exp > nowSec && r.licence.tracks.includes(stored.recordId))) return null;
+    const key = await loadKey();
+    if (!key) return null;
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: stored.iv }, key, stored.data);
+    if (currentBlobUrl) URL.revokeObjectURL(currentBlobUrl);
+    currentBlobUrl = URL.createObjectURL(new Blob([plain], { type: stored.type }));
+    return currentBlobUrl;
+  } catch (err) {
+    console.warn('[Offline] cached copy unreadable — streaming instead:', err);
+    return null;
+  }
+}
+
+// ── UI ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Append a "Download for offline" button to a bottom sheet, before its close
+ * button. `collection` as for downloadForOffline.
+ */
+export function appendOfflineButton(sheet, collection) {
+  if (!offlineAvailable() || !sheet) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn btn-secondary offline-download-btn';
+  btn.style.cssText = 'width:100%;margin-top:12px;';
+  btn.textContent = '⬇ Download for offline';
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    await downloadForOffline(collection);
+    btn.disabled = false;
+  });
+  const close = sheet.querySelector('.bs-close-btn') || sheet.querySelector('.btn-secondary:last-child');
+  if (close) sheet.insertBefore(btn, close);
+  else sheet.appendChild(btn);
+}
+
+async function updateSummary() {
+  const label = document.getElementById('offline-summary');
+  if (!label || !offlineAvailable()) return;
+  try {
+    const tracks = await getAll('tracks');
+    const mb = tracks.reduce((sum, t) => sum + (t.bytes || 0), 0) / (1024 * 1024);
+    label.textContent = tracks.length
+      ? `Offline: ${tracks.length} track${tracks.length === 1 ? '' : 's'} (${mb.toFixed(0)} MB)`
+      : 'Offline: nothing downloaded';
+  } catch { /* storage unavailable */ }
+}
+
+/** Boot: show the profile row, revalidate once online. */
+export function initOffline() {
+  if (!offlineAvailable()) return;
+  const row = document.getElementById('offline-row');
+  if (row) row.style.display = 'flex';
+  document.getElementById('offline-clear')?.addEventListener('click', async () => {
+    if (!confirm('Remove all offline downloads from this device?')) return;
+    await wipeOffline();
+    updateSummary();
+    showToast('Offline downloads removed');
+  });
+  updateSummary();
+  setTimeout(() => { if (navigator.onLine !== false) revalidateOffline(); }, REVALIDATE_DELAY_MS);
+  window.addEventListener('online', () => { revalidateOffline(); });
+}
@@ -3,6 +3,7 @@
 import { elements, state } from './state.js';
 import { formatTime, generateSessionId, showToast } from './util.js';
 import { escapeHtml, getAlbumField, getArtistField, getArtworkUrl, getAudioUrl, getTitleField, getYearField } from './fields.js';
+import { offlineUrl } from './offline.js';
 
 export function closeModal() {
       elements.modalOverlay.classList.remove('show');
@@ -14,33 +15,46 @@ export function closeModal() {
       }
     }
 
-export async function playTrack(track) {
-      state.currentTrack = track;
-      const fields = track.fields || {};
+// Signed HLS playlist URL for a track, or null → progressive playback. Only
+// when the feature is on and the <audio> element can play HLS itself (no
+// hls.js shim); any failure (404 for FM-only audio, 503 unconfigured) falls
+// back silently.
+async function resolveHlsUrl(recordId) {
+      if (!window.__HLS || !recordId) return null;
+      if (!elements.audio.canPlayType('application/vnd.apple.mpegurl')) return null;
+      try {
+        const response = await fetch(`/api/hls/${encodeURIComponent(recordId)}`);
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.ok && data.url ? data.url : null;
+      } catch {
+        return null;
+      }
+    }
 
-      // Get audio URL
-      let audioUrl = null;
+// Playable URL for a (non-guest) track, or null. Shared by playTrack and the
+// gapless prefetch so the standby element loads exactly what playback would.
+async function resolveAudioUrl(track) {
+      const fields = track.fields || {};
 
-      // Guest preview mode: EVERY playback becomes the server-clipped ~30 s
-      // preview stream, keyed by recordId. No recordId → no playback: a full
-      // stream must never reach a guest.
-      if (window.__GUEST) {
-        if (!track.recordId) {
-          showToast('Subscribe to play this track', 'error');
-          return;
-        }
-        audioUrl = `/api/preview/${encodeURIComponent(track.recordId)}`;
-      } else {
+      // HLS first where the browser plays it natively (iOS/Safari): a dropped
+      // connection re-fetches one segment instead of restarting the track.
+      let audioUrl = await resolveHlsUrl(track.recordId);
+      if (!audioUrl) {
         const mp3Field = getAudioUrl(fields);
         // "direct-playable": bucket S3 or the media CDN that fronts it
         const isS3 = (u) => /\.s3[.-]/.test(u || '') || !!(window.__MEDIA_CDN && (u || '').includes('//' + window.__MEDIA_CDN + '/'));
         const isFmUrl = (u) => /RCType=|\/Streaming_SSL\//i.test(u || '');
 
-        if (mp3Field && isS3(mp3Field) && !isFmUrl(mp3Field)) {
+        // Signed media: bucket audio only plays from a per-listener signed
+        // URL, so every play resolves by recordId (never the bare S3 URL).
+        const signedOnly = !!window.__SIGNED_MEDIA;
+
+        if (!signedOnly && mp3Field && isS3(mp3Field) && !isFmUrl(mp3Field)) {
           // S3 URLs are stable and the bucket is public — play DIRECT, no
           // proxy hop, no resolution round-trip. Nothing plays from FileMaker.
           audioUrl = mp3Field;
-        } else if (mp3Field && /^https?:/.test(mp3Field) && !isFmUrl(mp3Field)) {
+        } else if (!signedOnly && mp3Field && /^https?:/.test(mp3Field) && !isFmUrl(mp3Field)) {
           audioUrl = `/api/container?u=${encodeURIComponent(mp3Field)}`;
         } else {
           // Missing or session-scoped FM streaming URL → re-resolve by
@@ -49,35 +63,78 @@ export async function playTrack(track) {
             const response = await fetch(`/api/track/${track.recordId}/container`);
             const data = await response.json();
             if (data.url) {
-              audioUrl = isS3(data.url) ? data.url : `/api/container?u=${encodeURIComponent(data.url)}`;
+              audioUrl = (data.signed || isS3(data.url)) ? data.url : `/api/container?u=${encodeURIComponent(data.url)}`;
             }
           } catch (err) {
             console.error('Failed to get audio URL', err);
           }
         }
       }
-
-      if (!audioUrl) {
-        showToast('Audio not available', 'error');
-        return;
-      }
+      if (!audioUrl) return null;
 
       // Music never plays from the bucket host directly: CDN host when
       // configured (window.__MEDIA_CDN), else the path-style S3 origin whose
       // connection pool artwork can't saturate — same rules as desktop
       // playTrack ("songs hang", 2026-07-27).
-      audioUrl = audioUrl.replace(
+      return audioUrl.replace(
         /^https:\/\/mass-music-audio-files\.s3\.eu-north-1\.amazonaws\.com\//,
         window.__MEDIA_CDN
           ? 'https://' + window.__MEDIA_CDN + '/'
           : 'https://s3.eu-north-1.amazonaws.com/mass-music-audio-files/'
       );
+    }
+
+// opts.startAt: start position in seconds (a resumed queue, queue-sync below).
+export async function playTrack(track, opts = {}) {
+      state.currentTrack = track;
+
+      let audioUrl;
+
+      // Guest preview mode: EVERY playback becomes the server-clipped ~30 s
+      // preview stream, keyed by recordId. No recordId → no playback: a full
+      // stream must never reach a guest.
+      if (window.__GUEST) {
+        if (!track.recordId) {
+          showToast('Subscribe to play this track', 'error');
+          return;
+        }
+        audioUrl = `/api/preview/${encodeURIComponent(track.recordId)}`;
+      } else {
+        // A licensed download plays from the device — no data at all.
+        audioUrl = await offlineUrl(track.recordId) || await resolveAudioUrl(track);
+      }
+
+      if (!audioUrl) {
+        showToast('Audio not available', 'error');
+        return;
+      }
+
+      if (window.MADLoudness) window.MADLoudness.setTrack({ recordId: track.recordId || track.trackRecordId, fields: track.fields });
+      // Resume points (js/resume-points.js) — only long tracks take part.
+      if (window.MADResume) {
+        const item = queueItem(track);
+        window.MADResume.setItem(window.__GUEST ? null : { kind: 'track', id: item.recordId, title: item.title, artist: item.artist, artwork: item.artwork });
+      }
+
+      // Gapless: when the standby is already playing this track (prefetched
+      // from the queue), the element takes it over in place instead of a cold
+      // load. Otherwise load as usual.
+      if (!window.MADGapless || !window.MADGapless.adopt(track.recordId)) {
+        elements.audio.src = audioUrl;
+        if (opts.startAt > 0) {
+          const startAt = opts.startAt;
+          elements.audio.addEventListener('loadedmetadata', () => {
+            if (elements.audio.duration && startAt < elements.audio.duration - 2) elements.audio.currentTime = startAt;
+          }, { once: true });
+        }
+      }
+      syncQueue(track);
+      publishNowPlaying(track);
 
       // Play audio. play() rejects on a rapid src switch (AbortError — benign)
       // or a load failure; catch it so it isn't an unhandled rejection. Real
       // load failures still surface via the audio 'error' listener (toast +
       // stream ERROR event). The desktop player likewise catches play().
-      elements.audio.src = audioUrl;
       elements.audio.play().catch((err) => {
         if (err && err.name !== 'AbortError') console.warn('Audio play() failed:', err.name || err);
       });
@@ -260,3 +317,142 @@ export async function sendStreamEvent(eventType) {
   audio.addEventListener('pause', off);
   audio.addEventListener('error', off);
 })();
+
+// ── Gapless album playback (2026-10, js/gapless.js) ──
+// The standby element prefetches the queue's next track and starts it as the
+// current one runs out; playTrack adopts it on the normal 'ended' → stepQueue
+// path. Stored playlist tracks carry no FM fields, so they resolve by recordId
+// (as playPlaylistTrack does) — adoption matches on recordId either way.
+function prefetchNext() {
+  const ctx = state.playlistContext;
+  const next = ctx?.tracks?.[ctx.currentIndex + 1];
+  const recordId = next && (next.recordId || next.trackRecordId);
+  if (!recordId) return null;
+  const candidate = next.fields ? next : { recordId, fields: {} };
+  return resolveAudioUrl(candidate).then((url) => (url ? { key: recordId, url } : null));
+}
+
+(function wireGapless() {
+  const gapless = window.MADGapless;
+  if (!gapless || !elements?.audio) return;
+  gapless.attach(elements.audio);
+  gapless.setNextResolver(prefetchNext);
+
+  // Crossfade preference (player modal). Hidden where element volume is
+  // read-only (iOS) — there the join is always a straight gapless cut.
+  const select = document.getElementById('crossfade-select');
+  const row = document.getElementById('crossfade-row');
+  if (!select || !row) return;
+  if (!gapless.canCrossfade()) { row.style.display = 'none'; return; }
+  select.value = String(gapless.getCrossfade());
+  select.addEventListener('change', () => gapless.setCrossfade(select.value));
+})();
+
+// ── Volume levelling (js/loudness.js, window.__LOUDNESS) ──
+// playTrack hands each track's fields over; attach() must run before the
+// first src is set so the element requests media in CORS mode.
+(function wireLoudness() {
+  const loudness = window.MADLoudness;
+  if (!loudness || !elements?.audio || !loudness.available()) return;
+  loudness.attach(elements.audio);
+  const select = document.getElementById('loudness-select');
+  const row = document.getElementById('loudness-row');
+  if (!select || !row) return;
+  row.style.display = 'flex';
+  select.value = loudness.getMode();
+  select.addEventListener('change', () => loudness.setMode(select.value));
+})();
+
+// ── Lock screen / notification / headset controls (js/media-session.js) ──
+// Metadata is published from playTrack (every play passes through it);
+// ⏭/⏮ from the OS step the same queue as the modal's buttons.
+function publishNowPlaying(track) {
+  if (!window.MADMediaSession) return;
+  const item = queueItem(track);
+  window.MADMediaSession.setTrack({ title: item.title, artist: item.artist, album: item.album, artUrl: item.artwork });
+}
+
+(function wireResume() {
+  if (!window.MADResume || !elements?.audio) return;
+  window.MADResume.attach(elements.audio);
+})();
+
+(function wireMediaSession() {
+  if (!window.MADMediaSession || !elements?.audio) return;
+  window.MADMediaSession.attach(elements.audio, {
+    next: () => stepQueue(1),
+    prev: () => stepQueue(-1)
+  });
+})();
+
+// ── Cross-device queue (js/queue-sync.js, window.__QUEUE_SYNC) ──
+// Every play goes through playTrack, so the queue is synced here rather than
+// at each surface that sets state.playlistContext: a new tracks array is a new
+// queue (saved whole); the same array with a new index is progress.
+let syncedTracks = null;
+
+const queueRecordId = (t) => (t && (t.recordId || t.trackRecordId)) || '';
+
+function queueItem(t) {
+  const f = t.fields || {};
+  const artwork = t.fields ? getArtworkUrl(f) : (t.artwork || '');
+  return {
+    recordId: queueRecordId(t),
+    title: (t.fields && getTitleField(f)) || t.name || '',
+    artist: (t.fields && getArtistField(f)) || t.albumArtist || t.trackArtist || '',
+    album: (t.fields && getAlbumField(f)) || t.albumTitle || '',
+    artwork: artwork === '/img/placeholder.png' ? '' : artwork
+  };
+}
+
+function syncQueue(track) {
+  const sync = window.MADQueueSync;
+  if (!sync || window.__GUEST) return;
+  const ctx = state.playlistContext;
+  const inCtx = !!(ctx?.tracks?.length && queueRecordId(ctx.tracks[ctx.currentIndex]) === track.recordId);
+  const tracks = inCtx ? ctx.tracks : [track];
+  const index = inCtx ? ctx.currentIndex : 0;
+  if (tracks !== syncedTracks) {
+    syncedTracks = tracks;
+    sync.save(tracks.map(queueItem), index, { name: inCtx ? (ctx.name || '') : '', kind: inCtx ? 'queue' : 'track' });
+  } else {
+    sync.progress(index, 0);
+  }
+}
+
+// Rebuild a playable queue from the saved items — the same adapted shape
+// playPlaylistTrack uses: no audio URL, so playTrack resolves by recordId.
+function restoreQueue(queue) {
+  const tracks = queue.items.map((it) => ({
+    recordId: it.recordId,
+    fields: {
+      'Track Name': it.title || '',
+      'Album Title': it.album || '',
+      'Album Artist': it.artist || '',
+      'Artwork_S3_URL': it.artwork || ''
+    }
+  }));
+  const idx = Math.min(tracks.length - 1, Math.max(0, queue.currentIndex || 0));
+  state.playlistContext = { tracks, currentIndex: idx, name: queue.context?.name || 'Your queue', playFn: playTrack };
+  // Already on the server as-is: don't re-save it as a new queue.
+  syncedTracks = tracks;
+  playTrack(tracks[idx], { startAt: queue.positionSec || 0 });
+}
+
+(function wireQueueSync() {
+  const sync = window.MADQueueSync;
+  const audio = elements?.audio;
+  if (!sync || !audio) return;
+  const report = (force) => {
+    const ctx = state.playlistContext;
+    let index = -1;
+    if (syncedTracks && syncedTracks === ctx?.tracks) index = ctx.currentIndex;
+    else if (syncedTracks?.length === 1 && syncedTracks[0] === state.currentTrack) index = 0;
+    if (index < 0) return;
+    sync.progress(index, audio.currentTime || 0, force);
+  };
+  audio.addEventListener('timeupdate', () => { if (!audio.paused) report(false); });
+  audio.addEventListener('pause', () => { if (!audio.ended) report(true); });
+  window.addEventListener('pagehide', () => report(true));
+  sync.init({ onContinue: restoreQueue, isPlaying: () => !audio.paused });
+})();
@@ -7,6 +7,7 @@ import { switchTab } from './nav.js';
 import { closeModal, playTrack } from './player.js';
 import { pushOverlay } from './router.js';
 import { createAlbumTile } from './cards.js';
+import { appendOfflineButton } from './offline.js';
 
 export async function loadPlaylists() {
       try {
@@ -60,20 +61,58 @@ export function renderPlaylists() {
     }
 
 export function showPlaylistTracks(playlist) {
+      renderPlaylistSheet(playlist);
+      elements.modalOverlay.classList.add('show');
+      pushOverlay('playlist-tracks', playlist.id);
+    }
+
+// ── Arranging (window.__PLAYLIST_ARRANGE) ──
+// Each row gets a ☰ handle: press, drag over another row and let go to move
+// in front of (top half) or behind (bottom half) it. Sections show as
+// dividers that move the same way. Moves carry the playlist version; a stale
+// one comes back 409 with the current playlist, which the sheet re-renders.
+const canArrange = (playlist) => !!window.__PLAYLIST_ARRANGE && !!playlist.id;
+
+function sheetRows(playlist, arrange) {
+      const tracks = playlist.tracks || [];
+      const sections = arrange ? (playlist.sections || []).slice().sort((a, b) => a.position - b.position) : [];
+      const handle = arrange ? '<span class="pl-drag-handle" aria-label="Drag to reorder">☰</span>' : '';
+      const divider = (section) => `
+        <div class="pl-section-divider" data-arrange-key="${escapeHtml(section.id)}">
+          ${handle}<span class="pl-section-title">${escapeHtml(section.title)}</span>
+          <button type="button" class="pl-section-remove" aria-label="Remove section">×</button>
+        </div>`;
+      const row = (t, i) => `
+        <div class="pl-arrange-row" data-arrange-key="${escapeHtml(t.addedAt || '')}">
+          ${handle}
+          <button class="bottom-sheet-option" data-index="${i}" style="display:flex;align-items:center;gap:10px;text-align:left;">
+            <span style="flex:1;">${escapeHtml(t.name || 'Unknown')}<br><small style="color:var(--text-muted)">${escapeHtml(t.albumArtist || t.albumTitle || '')}</small></span>
+            <span>▶</span>
+          </button>
+        </div>`;
+      let next = 0;
+      const html = tracks.map((t, i) => {
+        let before = '';
+        while (next < sections.length && sections[next].position <= i) before += divider(sections[next++]);
+        return before + row(t, i);
+      });
+      while (next < sections.length) html.push(divider(sections[next++]));
+      return html.join('');
+    }
+
+function renderPlaylistSheet(playlist) {
       const tracks = playlist.tracks || [];
+      const arrange = canArrange(playlist);
       elements.bottomSheet.innerHTML = `
         <div class="bottom-sheet-header">${escapeHtml(playlist.name)}</div>
-        ${tracks.length === 0 ? '<p style="text-align:center;color:var(--text-muted);padding:16px;">No tracks yet</p>' :
-          tracks.map((t, i) => `
-            <button class="bottom-sheet-option" data-index="${i}" style="display:flex;align-items:center;gap:10px;text-align:left;">
-              <span style="flex:1;">${escapeHtml(t.name || 'Unknown')}<br><small style="color:var(--text-muted)">${escapeHtml(t.albumArtist || t.albumTitle || '')}</small></span>
-              <span>▶</span>
-            </button>
-          `).join('')}
+        ${arrange && tracks.length ? `
+          <div class="pl-arrange-bar">
+            <button type="button" data-arrange-action="section">+ Section</button>
+            <button type="button" data-arrange-action="dedupe">Remove duplicates</button>
+          </div>` : ''}
+        ${tracks.length === 0 ? '<p style="text-align:center;color:var(--text-muted);padding:16px;">No tracks yet</p>' : sheetRows(playlist, arrange)}
         <button class="btn btn-secondary" style="width:100%;margin-top:16px;" onclick="closeModal()">Close</button>
       `;
-      elements.modalOverlay.classList.add('show');
-      pushOverlay('playlist-tracks', playlist.id);
       elements.bottomSheet.querySelectorAll('[data-index]').forEach(btn => {
         btn.addEventListener('click', () => {
           const idx = parseInt(btn.dataset.index);
@@ -82,6 +121,92 @@ export function showPlaylistTracks(playlist) {
           closeModal();
         });
       });
+      if (arrange) wireArrange(playlist);
+      if (tracks.length) appendOfflineButton(elements.bottomSheet, { kind: 'playlist', id: playlist.id, title: playlist.name });
+    }
+
+// POST/PATCH/DELETE an arrange endpoint; re-renders the sheet with whatever
+// playlist comes back (also on a 409). Resolves to the response body or null.
+async function arrangeRequest(playlist, path, method, body, failure) {
+      try {
+        const response = await fetch(`/api/playlists/${encodeURIComponent(playlist.id)}${path}`, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (data.playlist) {
+          state.playlists = state.playlists.map(p => (p.id === data.playlist.id ? data.playlist : p));
+          renderPlaylistSheet(data.playlist);
+          renderPlaylists();
+        }
+        if (data.ok) return data;
+        showToast(response.status === 409 ? 'Playlist changed elsewhere — try that again' : (data.error || failure), 'error');
+      } catch (err) {
+        console.error('Arrange playlist error:', err);
+        showToast(failure, 'error');
+      }
+      return null;
+    }
+
+function wireArrange(playlist) {
+      const sheet = elements.bottomSheet;
+      let drag = null;
+      const clearMarks = () => sheet.querySelectorAll('.drop-before, .drop-after, .dragging')
+        .forEach(el => el.classList.remove('drop-before', 'drop-after', 'dragging'));
+
+      sheet.querySelectorAll('.pl-drag-handle').forEach(handle => {
+        handle.addEventListener('pointerdown', (e) => {
+          const row = handle.closest('[data-arrange-key]');
+          drag = { key: row.dataset.arrangeKey, target: null, after: false };
+          row.classList.add('dragging');
+          handle.setPointerCapture(e.pointerId);
+          e.preventDefault();
+        });
+        handle.addEventListener('pointermove', (e) => {
+          if (!drag) return;
+          const under = document.elementFromPoint(e.clientX, e.clientY);
+          const target = under && under.closest('[data-arrange-key]');
+          sheet.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+          if (!target || !sheet.contains(target) || target.dataset.arrangeKey === drag.key) { drag.target = null; return; }
+          const rect = target.getBoundingClientRect();
+          drag.target = target;
+          drag.after = e.clientY > rect.top + rect.height / 2;
+          target.classList.add(drag.after ? 'drop-after' : 'drop-before');
+        });
+        handle.addEventListener('pointerup', () => {
+          const done = drag;
+          drag = null;
+          clearMarks();
+          if (!done || !done.target) return;
+          let anchor = done.after ? done.target.nextElementSibling : done.target;
+          while (anchor && anchor.dataset.arrangeKey === done.key) anchor = anchor.nextElementSibling;
+          const before = anchor && anchor.dataset.arrangeKey ? anchor.dataset.arrangeKey : null;
+          arrangeRequest(playlist, '/move', 'POST', { items: [done.key], before, version: playlist.version }, 'Move failed');
+        });
+        handle.addEventListener('pointercancel', () => { drag = null; clearMarks(); });
+      });
+
+      sheet.querySelectorAll('.pl-section-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const sectionId = btn.closest('[data-arrange-key]').dataset.arrangeKey;
+          arrangeRequest(playlist, `/sections/${encodeURIComponent(sectionId)}`, 'DELETE', null, 'Remove failed');
+        });
+      });
+
+      sheet.querySelectorAll('[data-arrange-action]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          if (btn.dataset.arrangeAction === 'section') {
+            // Added at the end — drag it into place.
+            const title = prompt('Section title (e.g. "Warm-up")');
+            if (!title || !title.trim()) return;
+            arrangeRequest(playlist, '/sections', 'POST', { title: title.trim(), before: null, version: playlist.version }, 'Could not add section');
+            return;
+          }
+          const data = await arrangeRequest(playlist, '/tracks/dedupe', 'POST', null, 'Could not remove duplicates');
+          if (data) showToast(data.removedCount ? `Removed ${data.removedCount} duplicate${data.removedCount === 1 ? '' : 's'}` : 'No duplicates found');
+        });
+      });
     }
 
 export async function playPlaylistTrack(playlistTrack) {
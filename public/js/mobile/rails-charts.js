@@ -0,0 +1,56 @@
+// Home rail: the featured weekly chart (mobile) — "Top 20 Maskandi this week"
+// from /api/charts/featured (routes/charts.js). Public, so guests see it too;
+// only with window.__CHARTS, and hidden until a week has been published.
+// Play starts the chart as a queue from that position.
+
+import { state } from './state.js';
+import { getArtistField, getArtworkUrl, getTitleField } from './fields.js';
+import { renderAlbumTileGrid } from './cards.js';
+import { playTrack } from './player.js';
+
+// Chart entry → the album object createAlbumTile() expects, one track deep.
+function toTile(entry) {
+      const fields = entry.fields || {};
+      return {
+        title: getTitleField(fields) || entry.title || 'Unknown Track',
+        artist: getArtistField(fields) || entry.artist || '',
+        artwork: getArtworkUrl(fields),
+        tracks: [entry],
+        position: entry.position
+      };
+    }
+
+export async function loadChartRail() {
+      const section = document.getElementById('chart-rail');
+      const container = document.getElementById('chart-rail-content');
+      if (!section || !container) return;
+      if (!window.__CHARTS) { section.hidden = true; return; }
+
+      try {
+        const res = await fetch('/api/charts/featured');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const chart = (await res.json()).chart;
+        const entries = Array.isArray(chart?.entries) ? chart.entries : [];
+        if (!entries.length) { section.hidden = true; return; }
+
+        document.getElementById('chart-rail-title').textContent = chart.title;
+        document.getElementById('chart-rail-subtitle').textContent = `Most played, ${chart.week}`;
+        document.getElementById('chart-rail-link').href = `${chart.url}/${chart.week}`;
+
+        const playFrom = (tile) => {
+          const idx = Math.max(0, entries.findIndex(e => e.position === tile.position));
+          state.playlistContext = { tracks: entries, currentIndex: idx, name: chart.title, playFn: playTrack };
+          playTrack(entries[idx]);
+        };
+        container.innerHTML = '';
+        renderAlbumTileGrid(container, entries.map(toTile), (t) => ({
+          badge: `#${t.position}`,
+          onOpen: playFrom,
+          onPlay: playFrom
+        }));
+        section.hidden = false;
+      } catch (err) {
+        console.warn('[Chart rail] Failed to load', err);
+        section.hidden = true;
+      }
+    }
@@ -0,0 +1,96 @@
+// Home rail: Jump back in (mobile) — recently played albums from /api/history
+// (routes/history.js), newest first, with the pause / clear history controls.
+// Only with window.__HISTORY and an access token; the section stays hidden
+// when there is nothing to show, except while history is paused (so "Resume
+// history" can still be reached).
+
+import { showToast } from './util.js';
+import { getAlbumArtist, getAlbumField, getArtworkUrl, getTitleField } from './fields.js';
+import { renderAlbumTileGrid } from './cards.js';
+
+let controlsBound = false;
+
+function renderControls(settings) {
+      const pauseBtn = document.getElementById('jbi-pause-btn');
+      const subtitle = document.getElementById('jbi-subtitle');
+      const paused = !!settings?.paused;
+      if (pauseBtn) {
+        pauseBtn.textContent = paused ? 'Resume history' : 'Pause history';
+        pauseBtn.setAttribute('aria-pressed', paused ? 'true' : 'false');
+      }
+      if (subtitle) subtitle.textContent = paused ? 'History is paused' : 'Recently played';
+    }
+
+// History album item → the album object createAlbumTile() expects. Its one
+// track is the last one heard; playing it upgrades the queue to the full album.
+function toAlbum(item) {
+      const fields = item.fields || {};
+      return {
+        title: getAlbumField(fields) || getTitleField(fields) || 'Unknown Album',
+        artist: getAlbumArtist(fields),
+        artwork: getArtworkUrl(fields),
+        tracks: item.track ? [item.track] : [],
+        history: item.history || {}
+      };
+    }
+
+async function updateHistory(method, url, body) {
+      try {
+        const res = await fetch(url, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } catch (err) {
+        console.warn('[Jump back in] History update failed', err);
+        showToast('Could not update your history', 'error');
+      }
+      loadJumpBackIn();
+    }
+
+function bindControls() {
+      if (controlsBound) return;
+      controlsBound = true;
+      document.getElementById('jbi-pause-btn')?.addEventListener('click', (e) => {
+        const paused = e.currentTarget.getAttribute('aria-pressed') === 'true';
+        updateHistory('PUT', '/api/history/settings', { paused: !paused });
+      });
+      document.getElementById('jbi-clear-btn')?.addEventListener('click', () => {
+        if (!confirm('Clear your listening history? Recently played and your stats start again from now.')) return;
+        updateHistory('DELETE', '/api/history');
+      });
+    }
+
+export async function loadJumpBackIn() {
+      const section = document.getElementById('jump-back-in');
+      const container = document.getElementById('jump-back-in-content');
+      if (!section || !container) return;
+      if (!window.__HISTORY || window.__GUEST || !localStorage.getItem('mass_access_token')) {
+        section.hidden = true;
+        return;
+      }
+      bindControls();
+
+      try {
+        const res = await fetch('/api/history?kind=albums&limit=12');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        const albums = (data.items || []).map(toAlbum).filter(a => a.tracks.length);
+        renderControls(data.settings);
+
+        container.innerHTML = '';
+        if (!albums.length) {
+          if (data.settings?.paused) {
+            container.innerHTML = '<div class="empty-state"><p>Nothing here while history is paused.</p></div>';
+          }
+          section.hidden = !data.settings?.paused;
+          return;
+        }
+        renderAlbumTileGrid(container, albums, (a) => ({ badge: a.history.positionSec > 0 ? 'RESUME' : '' }));
+        section.hidden = false;
+      } catch (err) {
+        console.warn('[Jump back in] Failed to load', err);
+        section.hidden = true;
+      }
+    }
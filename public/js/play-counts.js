@@ -0,0 +1,159 @@
+// public/js/play-counts.js
+// "Played 3×" on track cards — desktop (app.html). Classic script; exposes
+// window.MADPlayCounts. Server side: routes/play-counts.js (/api/play-counts),
+// lib/play-counts.js.
+//
+// The rails, search results and album views are shared, publicly cached
+// responses, so the cards carry no per-listener signal. This script watches
+// for cards with a data-record-id (.random-card, .trending-card,
+// .album-track-item), batches the ids it hasn't seen into one POST a moment
+// after they render, and adds a small badge with the play count (last played
+// in its tooltip). Played cards get data-heard, so the CSS can let the
+// unheard ones stand out. Off without window.__PLAY_COUNTS or a token.
+(function () {
+  'use strict';
+
+  var CARD_SELECTOR = '.random-card[data-record-id], .trending-card[data-record-id], .album-track-item[data-record-id]';
+  var BATCH_MAX = 200;           // the server's PLAY_COUNTS_MAX_LOOKUP
+  var DEBOUNCE_MS = 400;
+
+  var counts = new Map();        // recordId → { plays, lastPlayedAt } | null (never played)
+  var pending = new Set();       // ids waiting for the next lookup
+  var timer = null;
+  var observer = null;
+
+  function enabled() {
+    return !!window.__PLAY_COUNTS && !window.__GUEST && !!(localStorage.getItem('mass_access_token') || '').trim();
+  }
+
+  /** Badge text for a count, or '' for none. */
+  function label(count) {
+    return count && count.plays > 0 ? 'Played ' + count.plays + '×' : '';
+  }
+
+  /** Tooltip: "Last played 12 Oct 2026". */
+  function lastPlayedTitle(count) {
+    var d = count && new Date(count.lastPlayedAt);
+    if (!d || isNaN(d.getTime())) return '';
+    return 'Last played ' + d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+
+  function decorate(card) {
+    var id = card.getAttribute('data-record-id');
+    if (!id || !counts.has(id)) return;
+    var count = counts.get(id);
+    var badge = card.querySelector('.play-count-badge');
+    if (!label(count)) {
+      card.removeAttribute('data-heard');
+      if (badge) badge.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'play-count-badge';
+      var name = card.querySelector('.playlist-track-name');
+      var info = card.querySelector('.random-info, .trending-info');
+      if (name) name.insertAdjacentElement('afterend', badge);
+      else if (info) info.appendChild(badge);
+      else card.appendChild(badge);
+    }
+    // Only touch the DOM on a change — the observer would see every write.
+    if (badge.textContent !== label(count)) badge.textContent = label(count);
+    badge.title = lastPlayedTitle(count);
+    card.setAttribute('data-heard', '');
+  }
+
+  function decorateAll(root) {
+    var cards = (root || document).querySelectorAll(CARD_SELECTOR);
+    for (var i = 0; i < cards.length; i++) decorate(cards[i]);
+  }
+
+  function flush() {
+    timer = null;
+    var ids = Array.from(pending).slice(0, BATCH_MAX);
+    ids.forEach(function (id) { pending.delete(id); });
+    if (!ids.length) return;
+    fetch('/api/play-counts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recordIds: ids })
+    })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (j) {
+        if (!j || !j.counts) return;
+        ids.forEach(function (id) { counts.set(id, j.counts[id] || null); });
+        decorateAll();
+      })
+      .catch(function () { /* badges are decoration — a failed lookup just leaves cards plain */ })
+      .then(function () { if (pending.size && !timer) timer = setTimeout(flush, DEBOUNCE_MS); });
+  }
+
+  function scan() {
+    if (!enabled()) return;
+    var cards = document.querySelectorAll(CARD_SELECTOR);
+    for (var i = 0; i < cards.length; i++) {
+      var id = cards[i].getAttribute('data-record-id');
+      if (!id) continue;
+      if (counts.has(id)) decorate(cards[i]);
+      else pending.add(id);
+    }
+    if (pending.size && !timer) timer = setTimeout(flush, DEBOUNCE_MS);
+  }
+
+  /** Bump a track's badge locally when it starts playing (no refetch). */
+  function notePlay(recordId) {
+    var id = String(recordId || '');
+    if (!enabled() || !id || !counts.has(id)) return;
+    var count = counts.get(id) || { plays: 0 };
+    counts.set(id, { plays: count.plays + 1, lastPlayedAt: new Date().toISOString() });
+    decorateAll();
+  }
+
+  /** The ids of `recordIds` this listener has never played ("unheard gems"). */
+  function unheard(recordIds) {
+    if (!enabled()) return Promise.resolve(recordIds.slice());
+    var ids = recordIds.map(String).slice(0, BATCH_MAX);
+    return fetch('/api/play-counts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recordIds: ids })
+    })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (j) {
+        if (!j || !j.counts) return ids;
+        ids.forEach(function (id) { counts.set(id, j.counts[id] || null); });
+        return ids.filter(function (id) { return !j.counts[id]; });
+      })
+      .catch(function () { return ids; });
+  }
+
+  // The player rewrites text many times a second; only added elements can be
+  // new cards, and one scan per burst of renders is enough.
+  var scanQueued = false;
+  function onMutations(records) {
+    if (scanQueued) return;
+    for (var i = 0; i < records.length; i++) {
+      var added = records[i].addedNodes;
+      for (var j = 0; j < added.length; j++) {
+        if (added[j].nodeType === 1) {
+          scanQueued = true;
+          setTimeout(function () { scanQueued = false; scan(); }, 50);
+          return;
+        }
+      }
+    }
+  }
+
+  function init() {
+    if (!enabled() || observer) return;
+    observer = new MutationObserver(onMutations);
+    observer.observe(document.body, { childList: true, subtree: true });
+    scan();
+  }
+
+  // refresh(): start after sign-in (the observer isn't running for guests).
+  window.MADPlayCounts = { label: label, lastPlayedTitle: lastPlayedTitle, notePlay: notePlay, unheard: unheard, refresh: init };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
@@ -379,9 +379,11 @@
           // This fires in bubble phase, after app.min.js's own ended handler has
           // run its cleanup.  For shuffle, all we do is call playSong() for the
           // next track — which goes through _PLAYER just like any other play,
-          // so the player bar at the bottom stays fully in control.
+          // so the player bar at the bottom stays fully in control. No debounce:
+          // the gapless standby is already playing the next track (_prefetchNext);
+          // the 0 ms defer only lets the remaining 'ended' listeners finish first.
           if (isShuffleActive) {
-            setTimeout(_shuffleAdvance, 400);
+            setTimeout(_shuffleAdvance, 0);
           }
         }, { signal });
 
@@ -406,7 +408,11 @@
         // ── Delegate actual playback to _PLAYER (it owns <audio id="player">)
         // Pass recordId so _PLAYER can call massSetCurrentTrack, giving app.min.js's
         // stream-event listeners the correct trackRecordId before play fires.
-        window._PLAYER.playTrack(audioUrl, { title, artist, artUrl: artworkUrl, recordId: item.recordId, leadSilence: parseFloat(item.fields?.['AI_LeadSilence']) || 0 })
+        window._PLAYER.playTrack(audioUrl, {
+          title, artist, artUrl: artworkUrl, recordId: item.recordId,
+          leadSilence: parseFloat(item.fields?.['AI_LeadSilence']) || 0,
+          loudness: window.MADLoudness ? window.MADLoudness.fromFields(item.fields) : null
+        })
           .then(() => {
             if (signal.aborted) return;
             console.log(`[PlaySong] ✓ Now playing: ${title} by ${artist}`);
@@ -519,6 +525,7 @@
           return;
         }
         console.log('[Shuffle] Advancing to track', shuffleQueueIdx + 1, 'of', shuffleQueue.length);
+        _syncQueuePosition(0);
         if (isDescShuffle) _playDescriptor(shuffleQueue[shuffleQueueIdx]);
         else playSong(shuffleQueue[shuffleQueueIdx]);
       }
@@ -529,6 +536,7 @@
         if (!isShuffleActive) return;
         if (shuffleQueueIdx > 0) shuffleQueueIdx--;
         console.log('[Shuffle] Back to track', shuffleQueueIdx + 1, 'of', shuffleQueue.length);
+        _syncQueuePosition(0);
         if (isDescShuffle) _playDescriptor(shuffleQueue[shuffleQueueIdx]);
         else playSong(shuffleQueue[shuffleQueueIdx]);
       }
@@ -553,6 +561,7 @@
           shuffleQueue    = _randomise(list);
           shuffleQueueIdx = 0;
           console.log('[Shuffle] Continuing with a fresh set of', list.length);
+          _syncQueueSave();
           if (isDescShuffle) _playDescriptor(shuffleQueue[0]);
           else playSong(shuffleQueue[0]);
         } catch (e) {
@@ -579,6 +588,7 @@
         _updateShuffleBtn();
 
         console.log('[Shuffle] Starting with', shuffleQueue.length, 'tracks');
+        _syncQueueSave();
         playSong(shuffleQueue[0]);
       }
 
@@ -618,6 +628,7 @@
         _updateShuffleBtn();
 
         console.log('[Shuffle] Catalogue shuffle with', shuffleQueue.length, 'tracks');
+        _syncQueueSave();
         playSong(shuffleQueue[0]);
         return true;
       }
@@ -645,17 +656,18 @@
         _updateShuffleBtn();
 
         console.log('[Shuffle] Album shuffle with', shuffleQueue.length, 'tracks');
+        _syncQueueSave();
         _playDescriptor(shuffleQueue[0]);
         return true;
       }
 
-      async function _playDescriptor(d) {
-        if (!d) return;
-        // Shuffle owns the skip buttons while active; release any playlist-page
-        // queue so it can't hijack them after the shuffle stops.
-        window.MADQueue = null;
+      // Playable URL + lead silence (+ analyzer loudness when the container
+      // route supplied it) for a descriptor — shared by playback and the
+      // gapless prefetch, so both load the same thing.
+      async function _resolveDescriptor(d) {
         let url = d.url || '';
         let leadSilence = parseFloat(d.leadSilence) || 0;
+        let loudness = null;
         // Resolve a fresh streaming URL by recordId when we don't have one — the
         // stable key is recordId; any stored absolute FM URL may have expired.
         if (!url && d.recordId) {
@@ -664,15 +676,25 @@
             const j = await r.json();
             if (j && j.url) url = j.url;
             if (j && j.leadSilence) leadSilence = parseFloat(j.leadSilence) || leadSilence;
+            if (j && j.loudness) loudness = j.loudness;
           } catch (e) { console.warn('[Shuffle] URL resolve failed:', e); }
         }
         // Route non-S3/non-CDN HTTPS URLs through the proxy (adds auth headers).
         if (url && /^https?:\/\//i.test(url) && !/\.s3[.-]/.test(url) && !(window.__MEDIA_CDN && url.includes('//' + window.__MEDIA_CDN + '/')) && !url.includes('/api/container?')) {
           url = `/api/container?u=${encodeURIComponent(url)}`;
         }
+        return { url, leadSilence, loudness };
+      }
+
+      async function _playDescriptor(d, startAt) {
+        if (!d) return;
+        // Shuffle owns the skip buttons while active; release any playlist-page
+        // queue so it can't hijack them after the shuffle stops.
+        window.MADQueue = null;
+        const { url, leadSilence, loudness } = await _resolveDescriptor(d);
         if (!url) { console.warn('[Shuffle] No URL for track, skipping'); _shuffleAdvance(); return; }
 
-        window._PLAYER.playTrack(url, { title: d.title || 'Unknown Track', artist: d.artist || '', artUrl: d.artUrl || '', recordId: d.recordId || '', leadSilence });
+        window._PLAYER.playTrack(url, { title: d.title || 'Unknown Track', artist: d.artist || '', artUrl: d.artUrl || '', recordId: d.recordId || '', leadSilence, loudness, startAt: startAt || 0 });
         showRingtoneBtn(url, d.title || '', d.artist || '', d.artUrl || '');
 
         // Let the UI follow the music: ask the page to reveal the album now
@@ -693,11 +715,86 @@
         const player = document.getElementById('player');
         if (!player) return;
         player.addEventListener('ended', () => {
-          if (isShuffleActive && isDescShuffle) setTimeout(_shuffleAdvance, 400);
+          if (isShuffleActive && isDescShuffle) setTimeout(_shuffleAdvance, 0);
         });
         descEndedWired = true;
       }
 
+      // Gapless prefetch hook (js/gapless.js): the shuffle/radio queue's next
+      // entry, resolved exactly as _playDescriptor / playSong will play it.
+      // Null when nothing is queued — a refill isn't known until it happens.
+      function _prefetchNext() {
+        if (!isShuffleActive || !window._PLAYER || !window._PLAYER.prepareNext) return null;
+        const entry = shuffleQueue[shuffleQueueIdx + 1];
+        if (!entry) return null;
+        if (isDescShuffle) {
+          return _resolveDescriptor(entry).then(({ url, leadSilence }) =>
+            window._PLAYER.prepareNext(url, { recordId: entry.recordId || '', leadSilence }));
+        }
+        const item = itemsStore.get(entry);
+        if (!item) return null;
+        return window._PLAYER.prepareNext(getAudioUrl(item.fields, item.recordId), {
+          recordId: item.recordId,
+          leadSilence: parseFloat(item.fields?.['AI_LeadSilence']) || 0
+        });
+      }
+      if (window.MADGapless) window.MADGapless.setNextResolver(_prefetchNext);
+
+      // ── Cross-device queue (js/queue-sync.js, window.__QUEUE_SYNC) ──────────
+      // The shuffle/radio queue is the desktop's one real queue: it's saved to
+      // /api/queue when it starts, its position reported as it plays, and a
+      // saved queue (from a reload or another device) resumes through it.
+      function _queueSyncItem(entry) {
+        if (entry && typeof entry === 'object') {
+          return { recordId: entry.recordId || '', title: entry.title || '', artist: entry.artist || '', album: entry.albumTitle || '', artwork: entry.artUrl || '' };
+        }
+        const item = itemsStore.get(entry);
+        if (!item) return { recordId: '' };
+        return {
+          recordId: item.recordId,
+          title: getTitleField(item.fields) || '',
+          artist: getArtistField(item.fields) || '',
+          album: getAlbumField(item.fields) || '',
+          artwork: getArtworkUrl(item.fields) || ''
+        };
+      }
+
+      function _syncQueueSave() {
+        if (!window.MADQueueSync) return;
+        window.MADQueueSync.save(shuffleQueue.map(_queueSyncItem), shuffleQueueIdx, { kind: isDescShuffle ? 'album' : 'shuffle' });
+      }
+
+      function _syncQueuePosition(positionSec, force) {
+        if (window.MADQueueSync && isShuffleActive) window.MADQueueSync.progress(shuffleQueueIdx, positionSec, force);
+      }
+
+      // Play a saved queue in its saved order from its saved position. Runs
+      // as a descriptor queue: entries resolve by recordId at play time.
+      function restoreQueue(queue) {
+        const items = (queue && queue.items) || [];
+        if (!items.length) return;
+        shuffleQueue = items.map(it => ({
+          recordId: it.recordId, url: '', title: it.title, artist: it.artist, artUrl: it.artwork, albumTitle: it.album
+        }));
+        shuffleQueueIdx = Math.min(items.length - 1, Math.max(0, queue.currentIndex || 0));
+        isShuffleActive = true;
+        isDescShuffle   = true;
+        shuffleRefillFn = null;
+        _wireDescEnded();
+        _updateShuffleBtn();
+        console.log('[Shuffle] Resuming saved queue at track', shuffleQueueIdx + 1, 'of', shuffleQueue.length);
+        _playDescriptor(shuffleQueue[shuffleQueueIdx], queue.positionSec || 0);
+      }
+
+      (function wireQueueSync() {
+        const player = document.getElementById('player');
+        if (!window.MADQueueSync || !player) return;
+        player.addEventListener('timeupdate', () => { if (!player.paused) _syncQueuePosition(player.currentTime); });
+        player.addEventListener('pause', () => { if (!player.ended) _syncQueuePosition(player.currentTime, true); });
+        window.addEventListener('pagehide', () => _syncQueuePosition(player.currentTime, true));
+        window.MADQueueSync.init({ onContinue: restoreQueue, isPlaying: () => !player.paused });
+      })();
+
       function _updateShuffleBtn() {
         const btn = document.getElementById('genreShufflePlayBtn');
         if (btn) {
@@ -52,6 +52,7 @@
   function renderMyPlaylists(playlists) {
     myPlaylistsList.innerHTML = '';
     playlists.forEach(playlist => {
+      notePlaylist(playlist);
       const li = document.createElement('li');
       li.className = 'sidebar-playlist-item';
 
@@ -61,7 +62,8 @@
 
       const thumb = document.createElement('div');
       thumb.className = 'sidebar-playlist-thumb';
-      thumb.textContent = '🎵';
+      thumb.textContent = playlist.rules ? '⚡' : '🎵';
+      if (playlist.rules) thumb.title = 'Smart playlist';
 
       const name = document.createElement('span');
       name.className = 'sidebar-playlist-name';
@@ -143,6 +145,337 @@
     });
   }
 
+  // ---- Arranging (window.__PLAYLIST_ARRANGE) ----
+  // Drag a track or a section divider onto another to move it in front of
+  // (top half) or behind (bottom half) it; "+ Section" adds a divider above
+  // the selected track. Moves carry the playlist version, so a stale one
+  // comes back 409 with the current playlist and the view re-syncs to it.
+
+  const playlistsById = new Map(); // id → latest playlist from the API
+
+  function notePlaylist(playlist) {
+    if (playlist && playlist.id) playlistsById.set(playlist.id, playlist);
+  }
+
+  async function arrangeRequest(path, method, body) {
+    const res = await fetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    return { status: res.status, data };
+  }
+
+  // Called on every playlist page open; a read-only page passes no id and
+  // just clears what a previous page left behind.
+  function arrangeUserPlaylist(list, playlistId, applyOrder) {
+    const oldBar = document.getElementById('userPlaylistArrangeBar');
+    if (oldBar) oldBar.remove();
+    if (!list) return;
+    list.ondragstart = list.ondragover = list.ondrop = list.ondragend = list.onclick = null;
+    // A smart playlist's rules own its tracks — no hand arranging.
+    if (smartUserPlaylist(list, playlistId)) return;
+    if (!window.__PLAYLIST_ARRANGE || !playlistId || !playlistsById.has(playlistId)) return;
+    const base = `/api/playlists/${encodeURIComponent(playlistId)}`;
+    let playlist = playlistsById.get(playlistId);
+    let dragKey = null;
+
+    const bar = document.createElement('div');
+    bar.id = 'userPlaylistArrangeBar';
+    bar.className = 'playlist-arrange-bar';
+    bar.innerHTML = '<button type="button" data-arrange-action="section">+ Section</button>'
+      + '<button type="button" data-arrange-action="dedupe">Remove duplicates</button>';
+    list.parentNode.insertBefore(bar, list);
+
+    function renderDividers() {
+      list.querySelectorAll('.playlist-section-divider').forEach(el => el.remove());
+      const items = Array.from(list.querySelectorAll('.playlist-page-album-item'));
+      items.forEach(el => { el.draggable = true; el.dataset.arrangeKey = el.dataset.addedAt; });
+      const sections = (playlist.sections || []).slice().sort((a, b) => a.position - b.position);
+      sections.forEach(section => {
+        const divider = document.createElement('div');
+        divider.className = 'playlist-section-divider';
+        divider.draggable = true;
+        divider.dataset.arrangeKey = section.id;
+        const title = document.createElement('span');
+        title.className = 'playlist-section-title';
+        title.textContent = section.title;
+        const rename = document.createElement('button');
+        rename.type = 'button';
+        rename.dataset.arrangeAction = 'rename';
+        rename.title = 'Rename section';
+        rename.textContent = '✎';
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.arrangeAction = 'unsection';
+        remove.title = 'Remove section';
+        remove.textContent = '×';
+        divider.append(title, rename, remove);
+        list.insertBefore(divider, items[section.position] || null);
+      });
+    }
+
+    function sync(next) {
+      if (!next) return;
+      playlist = next;
+      notePlaylist(next);
+      applyOrder((next.tracks || []).map(t => t.addedAt));
+      renderDividers();
+    }
+
+    async function send(path, method, body, failure) {
+      try {
+        const { status, data } = await arrangeRequest(base + path, method, body);
+        if (data.ok) { sync(data.playlist); return data; }
+        if (status === 409 && data.playlist) {
+          sync(data.playlist);
+          showToast('Playlist changed elsewhere — try that again', 'warn');
+          return null;
+        }
+        showToast(data.error || failure, 'error');
+      } catch (err) {
+        console.error('[Sidebar] Arrange playlist error:', err);
+        showToast(failure, 'error');
+      }
+      return null;
+    }
+
+    const clearDropMarks = () => list.querySelectorAll('.drop-before, .drop-after, .dragging')
+      .forEach(el => el.classList.remove('drop-before', 'drop-after', 'dragging'));
+
+    list.ondragstart = (e) => {
+      const item = e.target.closest('[data-arrange-key]');
+      if (!item) return;
+      dragKey = item.dataset.arrangeKey;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', dragKey);
+    };
+    list.ondragover = (e) => {
+      const target = dragKey && e.target.closest('[data-arrange-key]');
+      if (!target || target.dataset.arrangeKey === dragKey) return;
+      e.preventDefault();
+      const rect = target.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      list.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+      target.classList.add(after ? 'drop-after' : 'drop-before');
+    };
+    list.ondrop = (e) => {
+      const target = dragKey && e.target.closest('[data-arrange-key]');
+      const key = dragKey;
+      dragKey = null;
+      if (!target || target.dataset.arrangeKey === key) { clearDropMarks(); return; }
+      e.preventDefault();
+      let anchor = target.classList.contains('drop-after') ? target.nextElementSibling : target;
+      while (anchor && anchor.dataset.arrangeKey === key) anchor = anchor.nextElementSibling;
+      clearDropMarks();
+      send('/move', 'POST', { items: [key], before: anchor ? anchor.dataset.arrangeKey : null, version: playlist.version }, 'Move failed');
+    };
+    list.ondragend = () => { dragKey = null; clearDropMarks(); };
+
+    list.onclick = (e) => {
+      const btn = e.target.closest('.playlist-section-divider [data-arrange-action]');
+      if (!btn) return;
+      e.stopPropagation();
+      const sectionId = btn.closest('.playlist-section-divider').dataset.arrangeKey;
+      const section = (playlist.sections || []).find(s => s.id === sectionId);
+      if (!section) return;
+      if (btn.dataset.arrangeAction === 'rename') {
+        const title = prompt('Section title', section.title);
+        if (title && title.trim() && title.trim() !== section.title) {
+          send(`/sections/${encodeURIComponent(sectionId)}`, 'PATCH', { title: title.trim() }, 'Rename failed');
+        }
+      } else {
+        send(`/sections/${encodeURIComponent(sectionId)}`, 'DELETE', null, 'Remove failed');
+      }
+    };
+
+    bar.onclick = async (e) => {
+      const btn = e.target.closest('[data-arrange-action]');
+      if (!btn) return;
+      if (btn.dataset.arrangeAction === 'section') {
+        const title = prompt('Section title (e.g. "Warm-up")');
+        if (!title || !title.trim()) return;
+        const selected = list.querySelector('.playlist-page-album-item.selected');
+        await send('/sections', 'POST', {
+          title: title.trim(),
+          before: selected ? selected.dataset.addedAt : null,
+          version: playlist.version
+        }, 'Could not add section');
+      } else if (btn.dataset.arrangeAction === 'dedupe') {
+        const data = await send('/tracks/dedupe', 'POST', null, 'Could not remove duplicates');
+        if (!data) return;
+        showToast(data.removedCount ? `Removed ${data.removedCount} duplicate${data.removedCount === 1 ? '' : 's'}` : 'No duplicates found');
+        if (data.removedCount) loadMyPlaylists();
+      }
+    };
+
+    sync(playlist);
+  }
+
+  // ---- Smart playlists (window.__SMART_PLAYLISTS) ----
+  // "New Smart Playlist" opens the rules form; a smart playlist's page gets a
+  // bar with when it last refilled, "Refresh now", "Edit rules" and "Keep as
+  // normal playlist", and asks the server to refill it on open when it's due.
+
+  const smartModal = document.getElementById('smartPlaylistModal');
+  const smartForm = document.getElementById('smartPlaylistForm');
+  let smartEditingId = null;
+
+  // Re-open the page with a refilled playlist (the sidebar state re-fetches).
+  function showSmartRefill(playlist) {
+    notePlaylist(playlist);
+    loadMyPlaylists();
+    if (window.MP && typeof window.MP.sync === 'function') window.MP.sync(playlist.id);
+  }
+
+  function smartRulesFromForm() {
+    const field = (name) => smartForm.elements[name];
+    const picked = (name) => Array.from(field(name).selectedOptions).map(o => o.value);
+    return {
+      genres: picked('genres'),
+      languages: picked('languages'),
+      yearFrom: field('yearFrom').value || null,
+      yearTo: field('yearTo').value || null,
+      tempo: field('tempo').value || null,
+      unplayed: field('unplayed').checked,
+      sort: field('sort').value,
+      limit: field('limit').value || null,
+      refresh: field('refresh').value
+    };
+  }
+
+  function fillSmartGenres() {
+    const select = smartForm.elements.genres;
+    if (select.options.length) return;
+    // The search bar's genre list is already loaded from /api/genres.
+    const source = document.getElementById('searchGenre');
+    Array.from(source ? source.options : []).forEach(o => {
+      if (o.value) select.appendChild(new Option(o.textContent, o.value));
+    });
+  }
+
+  function openSmartModal(playlist) {
+    if (!smartModal || !smartForm) return;
+    fillSmartGenres();
+    smartEditingId = playlist ? playlist.id : null;
+    const rules = playlist ? playlist.rules : {};
+    const f = smartForm.elements;
+    f.name.value = playlist ? playlist.name : '';
+    f.name.disabled = !!playlist;
+    ['genres', 'languages'].forEach(name => {
+      Array.from(f[name].options).forEach(o => { o.selected = (rules[name] || []).includes(o.value); });
+    });
+    f.yearFrom.value = rules.yearFrom || '';
+    f.yearTo.value = rules.yearTo || '';
+    f.tempo.value = rules.tempo || '';
+    f.unplayed.checked = !!rules.unplayed;
+    f.sort.value = rules.sort || 'shuffle';
+    f.limit.value = rules.limit || 50;
+    f.refresh.value = rules.refresh || 'daily';
+    document.getElementById('smartPlaylistModalTitle').textContent = playlist ? `Rules for "${playlist.name}"` : 'New Smart Playlist';
+    document.getElementById('smartPlaylistSave').textContent = playlist ? 'Save & refill' : 'Create';
+    document.getElementById('smartPlaylistError').hidden = true;
+    smartModal.hidden = false;
+  }
+
+  function closeSmartModal() {
+    if (smartModal) smartModal.hidden = true;
+    smartEditingId = null;
+  }
+
+  if (smartModal && smartForm) {
+    smartModal.addEventListener('click', (e) => { if (e.target === smartModal) closeSmartModal(); });
+    document.getElementById('smartPlaylistModalClose').addEventListener('click', closeSmartModal);
+    smartForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const errEl = document.getElementById('smartPlaylistError');
+      const editing = smartEditingId;
+      const rules = smartRulesFromForm();
+      const { data } = editing
+        ? await arrangeRequest(`/api/playlists/${encodeURIComponent(editing)}/rules`, 'PUT', { rules }).catch(() => ({ data: {} }))
+        : await arrangeRequest('/api/playlists/smart', 'POST', { name: smartForm.elements.name.value, rules }).catch(() => ({ data: {} }));
+      if (!data.ok) {
+        errEl.textContent = data.error || 'Could not save the playlist';
+        errEl.hidden = false;
+        return;
+      }
+      closeSmartModal();
+      if (data.refreshError) showToast(data.refreshError, 'warn');
+      else showToast(`${data.playlist.tracks.length} track${data.playlist.tracks.length === 1 ? '' : 's'} picked`);
+      if (editing) {
+        showSmartRefill(data.playlist);
+        return;
+      }
+      notePlaylist(data.playlist);
+      loadMyPlaylists();
+      if (window.MP) window.MP.load().then(() => window.MP.open(data.playlist.id));
+    });
+  }
+
+  const createSmartBtn = document.getElementById('createSmartPlaylistBtn');
+  if (createSmartBtn && window.__SMART_PLAYLISTS) {
+    createSmartBtn.hidden = false;
+    createSmartBtn.addEventListener('click', () => openSmartModal(null));
+  }
+
+  // Called from arrangeUserPlaylist; true when the page is a smart playlist
+  // (and now carries its bar).
+  function smartUserPlaylist(list, playlistId) {
+    const oldBar = document.getElementById('userPlaylistSmartBar');
+    if (oldBar) oldBar.remove();
+    const playlist = playlistId && playlistsById.get(playlistId);
+    if (!window.__SMART_PLAYLISTS || !playlist || !playlist.rules) return false;
+    const base = `/api/playlists/${encodeURIComponent(playlistId)}`;
+    // Hand removals would only be refused.
+    list.querySelectorAll('.playlist-page-remove-btn').forEach(btn => { btn.hidden = true; });
+
+    const bar = document.createElement('div');
+    bar.id = 'userPlaylistSmartBar';
+    bar.className = 'playlist-arrange-bar playlist-smart-bar';
+    const note = document.createElement('span');
+    note.className = 'playlist-smart-note';
+    note.textContent = playlist.refreshedAt
+      ? `⚡ Smart playlist · refilled ${new Date(playlist.refreshedAt).toLocaleString()}`
+      : '⚡ Smart playlist';
+    bar.appendChild(note);
+    bar.insertAdjacentHTML('beforeend', '<button type="button" data-smart-action="refresh">Refresh now</button>'
+      + '<button type="button" data-smart-action="edit">Edit rules</button>'
+      + '<button type="button" data-smart-action="freeze">Keep as normal playlist</button>');
+    list.parentNode.insertBefore(bar, list);
+
+    async function refresh(ifDue) {
+      try {
+        const { data } = await arrangeRequest(`${base}/refresh`, 'POST', { ifDue });
+        if (!data.ok) { if (!ifDue) showToast(data.error || 'Refresh failed', 'error'); return; }
+        if (data.refreshError && !ifDue) showToast(data.refreshError, 'warn');
+        if (data.refreshed) showSmartRefill(data.playlist);
+        else if (!ifDue && !data.refreshError) showToast('Already up to date');
+      } catch (err) {
+        console.error('[Sidebar] Smart playlist refresh error:', err);
+      }
+    }
+
+    bar.onclick = async (e) => {
+      const btn = e.target.closest('[data-smart-action]');
+      if (!btn) return;
+      const action = btn.dataset.smartAction;
+      if (action === 'refresh') refresh(false);
+      else if (action === 'edit') openSmartModal(playlist);
+      else if (action === 'freeze') {
+        if (!confirm(`Stop refilling "${playlist.name}"? Its current tracks stay.`)) return;
+        const { data } = await arrangeRequest(`${base}/rules`, 'DELETE').catch(() => ({ data: {} }));
+        if (!data.ok) { showToast(data.error || 'Could not change the playlist', 'error'); return; }
+        showToast('Now a normal playlist');
+        showSmartRefill(data.playlist);
+      }
+    };
+
+    refresh(true);
+    return true;
+  }
+
   // Wait for access token before loading playlists
   window.addEventListener('mass:access-ready', loadMyPlaylists);
   if (window.massAccessReady) loadMyPlaylists();
@@ -152,6 +485,8 @@
   window.MADPlaylists = {
     loadMyPlaylists,
     renderMyPlaylists,
+    notePlaylist,
+    arrangeUserPlaylist,
     showToast
   };
 
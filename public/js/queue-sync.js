@@ -0,0 +1,223 @@
+// public/js/queue-sync.js
+// Cross-device play queue client — shared by the desktop player (js/player.js)
+// and the mobile app (js/mobile/player.js). Classic script; exposes
+// window.MADQueueSync. Server side: routes/queue.js (/api/queue).
+//
+// The players tell us when a queue starts (save) and where playback is
+// (progress); we keep /api/queue in step — whole-queue saves are debounced,
+// position PATCHes throttled to one per PROGRESS_INTERVAL_MS. On load, a
+// listener with a saved queue gets a small banner: "Resume" when this device
+// was playing it, "Continue on this device" when another one was. Browsers
+// block autoplay without a gesture, so resuming is always a tap.
+//
+// Ownership is the server's: once another device claims the queue our
+// position updates get 409 and we go quiet until this device saves or claims
+// again — no tug-of-war over the position.
+(function () {
+  'use strict';
+
+  var DEVICE_KEY = 'mass_device_id';
+  var PROGRESS_INTERVAL_MS = 30 * 1000;
+  var SAVE_DEBOUNCE_MS = 1000;
+  var RESTORE_DELAY_MS = 2500;  // let auth settle before the first /api/queue call
+
+  var deviceId = null;
+  var pendingSave = null;
+  var saveTimer = null;
+  var lastProgressAt = 0;
+  var lastIndex = -1;
+  var lastPosition = 0;
+  var owner = false;     // this device owns the server-side queue
+
+  function enabled() {
+    if (!window.__QUEUE_SYNC || window.__GUEST) return false;
+    try { return !!localStorage.getItem('mass_access_token'); } catch { return false; }
+  }
+
+  function getDeviceId() {
+    if (deviceId) return deviceId;
+    try { deviceId = localStorage.getItem(DEVICE_KEY); } catch { /* private mode */ }
+    if (!deviceId || !/^[A-Za-z0-9_-]{8,64}$/.test(deviceId)) {
+      deviceId = (window.crypto && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : 'd' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+      try { localStorage.setItem(DEVICE_KEY, deviceId); } catch { /* private mode */ }
+    }
+    return deviceId;
+  }
+
+  // Human label for "Playing on …". Coarse on purpose — no fingerprinting.
+  function deviceName() {
+    var ua = navigator.userAgent || '';
+    var app = window.Capacitor ? ' app' : '';
+    if (/iPhone/.test(ua)) return 'iPhone' + app;
+    if (/iPad/.test(ua)) return 'iPad' + app;
+    if (/Android/.test(ua)) return 'Android' + app;
+    if (/Macintosh/.test(ua)) return 'Mac';
+    if (/Windows/.test(ua)) return 'Windows PC';
+    if (/Linux/.test(ua)) return 'Linux PC';
+    return 'another browser';
+  }
+
+  function send(method, path, body, keepalive) {
+    return fetch('/api/queue' + path, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(Object.assign({ deviceId: getDeviceId(), deviceName: deviceName() }, body)) : undefined,
+      keepalive: !!keepalive
+    });
+  }
+
+  function flushSave() {
+    saveTimer = null;
+    var body = pendingSave;
+    pendingSave = null;
+    if (!body || !enabled()) return;
+    send('POST', '', body)
+      .then(function (r) { owner = r.ok; })
+      .catch(function (err) { console.warn('[QueueSync] save failed:', err); });
+  }
+
+  /**
+   * A new queue started on this device. `items`: [{ recordId, title, artist,
+   * album, artwork }]; entries without a recordId can't be re-resolved
+   * elsewhere and are dropped (the index is remapped to match).
+   */
+  function save(items, currentIndex, context) {
+    if (!enabled() || !Array.isArray(items)) return;
+    var current = items[currentIndex];
+    var kept = items.filter(function (it) { return it && it.recordId; });
+    var idx = current ? kept.indexOf(current) : 0;
+    if (!kept.length) return;
+    hideBanner();
+    pendingSave = {
+      items: kept,
+      currentIndex: idx < 0 ? 0 : idx,
+      positionSec: 0,
+      context: context || {}
+    };
+    lastIndex = pendingSave.currentIndex;
+    lastPosition = 0;
+    lastProgressAt = Date.now();
+    owner = true;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Where playback is. Throttled unless the index moved or `force` is set
+   * (pause, page hide).
+   */
+  function progress(currentIndex, positionSec, force) {
+    if (!enabled() || !owner) return;
+    if (pendingSave) {
+      // Not on the server yet — fold it into the pending save.
+      pendingSave.currentIndex = currentIndex;
+      pendingSave.positionSec = positionSec || 0;
+      return;
+    }
+    var now = Date.now();
+    var moved = currentIndex !== lastIndex;
+    if (!force && !moved && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    if (!moved && Math.abs((positionSec || 0) - lastPosition) < 1) return;
+    lastProgressAt = now;
+    lastIndex = currentIndex;
+    lastPosition = positionSec || 0;
+    send('PATCH', '/position', { currentIndex: currentIndex, positionSec: positionSec || 0 }, !!force)
+      .then(function (r) {
+        if (r.status === 409 || r.status === 404) owner = false;
+      })
+      .catch(function () { /* next tick retries */ });
+  }
+
+  function claim() {
+    return send('POST', '/claim', {})
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (j) {
+        if (!j || !j.queue) return null;
+        owner = true;
+        lastIndex = j.queue.currentIndex;
+        lastPosition = j.queue.positionSec || 0;
+        lastProgressAt = Date.now();
+        return j.queue;
+      });
+  }
+
+  // ── Resume banner ───────────────────────────────────────────────────────
+  function hideBanner() {
+    var el = document.getElementById('queueResumeBanner');
+    if (el) el.remove();
+  }
+
+  function showBanner(queue, onContinue) {
+    hideBanner();
+    var item = queue.items[queue.currentIndex] || queue.items[0];
+    var elsewhere = queue.deviceId && queue.deviceId !== getDeviceId();
+    var el = document.createElement('div');
+    el.id = 'queueResumeBanner';
+    el.setAttribute('role', 'status');
+    el.style.cssText = 'position:fixed;left:50%;transform:translateX(-50%);bottom:96px;z-index:1900;'
+      + 'display:flex;align-items:center;gap:10px;max-width:calc(100vw - 24px);padding:10px 12px;'
+      + 'border-radius:12px;background:#16161d;color:#e8e8ee;border:1px solid rgba(255,255,255,0.14);'
+      + 'box-shadow:0 8px 28px rgba(0,0,0,0.45);font-size:13px;line-height:1.35;';
+    var label = document.createElement('span');
+    label.style.cssText = 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap;min-width:0;';
+    label.textContent = (elsewhere ? 'Playing on ' + (queue.deviceName || 'another device') + ': ' : 'Pick up where you left off: ')
+      + (item.title || 'your queue') + (item.artist ? ' — ' + item.artist : '');
+    var go = document.createElement('button');
+    go.type = 'button';
+    go.textContent = elsewhere ? 'Continue here' : 'Resume';
+    go.style.cssText = 'flex-shrink:0;padding:7px 12px;border:0;border-radius:8px;background:#7c4dff;color:#fff;font:inherit;font-weight:600;cursor:pointer;';
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    close.style.cssText = 'flex-shrink:0;padding:0 4px;border:0;background:transparent;color:inherit;font-size:18px;cursor:pointer;opacity:0.7;';
+    go.addEventListener('click', function () {
+      hideBanner();
+      // Play synchronously inside the tap (iOS drops the gesture across an
+      // await); the claim that moves ownership here runs alongside.
+      onContinue(queue);
+      claim().catch(function (err) { console.warn('[QueueSync] claim failed:', err); });
+    });
+    close.addEventListener('click', hideBanner);
+    el.appendChild(label);
+    el.appendChild(go);
+    el.appendChild(close);
+    document.body.appendChild(el);
+  }
+
+  /**
+   * Boot: after a short delay, fetch the saved queue and offer to resume it.
+   * `onContinue(queue)` starts playback of queue.items at queue.currentIndex
+   * from queue.positionSec; it runs synchronously inside the tap, so play()
+   * is allowed.
+   * `isPlaying()` suppresses the banner when something already started.
+   */
+  function init(opts) {
+    var onContinue = opts && opts.onContinue;
+    var isPlaying = (opts && opts.isPlaying) || function () { return false; };
+    if (typeof onContinue !== 'function') return;
+    setTimeout(function () {
+      if (!enabled() || isPlaying()) return;
+      fetch('/api/queue')
+        .then(function (r) { return r.ok ? r.json() : null; })
+        .then(function (j) {
+          var q = j && j.queue;
+          if (!q || !q.items || !q.items.length || isPlaying()) return;
+          owner = q.deviceId === getDeviceId();
+          showBanner(q, onContinue);
+        })
+        .catch(function () { /* no token yet / offline — nothing to offer */ });
+    }, RESTORE_DELAY_MS);
+  }
+
+  window.MADQueueSync = {
+    init: init,
+    save: save,
+    progress: progress,
+    claim: claim,
+    hideBanner: hideBanner,
+    deviceId: getDeviceId
+  };
+})();
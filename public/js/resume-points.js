@@ -0,0 +1,211 @@
+// public/js/resume-points.js
+// Resume points for long listens — shared by the desktop player (app.html
+// _PLAYER) and the mobile app (js/mobile/player.js). Classic script; exposes
+// window.MADResume. Server side: routes/resume.js (/api/resume).
+//
+// A 70-minute podcast episode or a concert recording used to restart at zero.
+// The players call:
+//   attach(audioEl)  once — position reporting + the resume offer
+//   setItem({ kind: 'track' | 'episode', id, title, artist, artwork })
+//                    at their playback chokepoint (null for anything else)
+// Only items at least MIN_DURATION_SEC long (the server's
+// RESUME_MIN_DURATION_SEC) take part. While one plays its position is saved
+// every SAVE_INTERVAL_MS and on pause / page hide; 'ended' marks it finished.
+// When a saved, unfinished item starts again from the top, a small banner
+// offers "Resume from 34:12" — a tap, never an automatic jump.
+(function () {
+  'use strict';
+
+  var MIN_DURATION_SEC = 600;
+  var MIN_POSITION_SEC = 30;     // less than this isn't worth offering
+  var TAIL_SEC = 30;             // same as the server's RESUME_TAIL_SEC
+  var SAVE_INTERVAL_MS = 30 * 1000;
+  var OFFER_HIDE_MS = 12 * 1000;
+
+  var audio = null;
+  var current = null;            // the item now loaded, or null
+  var ready = false;             // the element has current's metadata (not the last item's)
+  var points = null;             // Map "kind:id" → saved point, once loaded
+  var loading = null;
+  var lastSaveAt = 0;
+  var offered = false;
+  var offerTimer = null;
+
+  function enabled() {
+    if (!window.__RESUME_POINTS || window.__GUEST) return false;
+    try { return !!localStorage.getItem('mass_access_token'); } catch { return false; }
+  }
+
+  function keyOf(kind, id) { return kind + ':' + id; }
+
+  function fmt(sec) {
+    sec = Math.floor(sec);
+    var h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60), s = sec % 60;
+    var mm = h ? (m < 10 ? '0' : '') + m : String(m);
+    return (h ? h + ':' : '') + mm + ':' + (s < 10 ? '0' : '') + s;
+  }
+
+  /** Fetch the listener's saved points (once; later calls share it). */
+  function load() {
+    if (!enabled()) return Promise.resolve(null);
+    if (points) return Promise.resolve(points);
+    if (loading) return loading;
+    loading = fetch('/api/resume')
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (j) {
+        points = new Map();
+        ((j && j.items) || []).forEach(function (p) { points.set(keyOf(p.kind, p.id), p); });
+        return points;
+      })
+      .catch(function () { return null; })
+      .then(function (p) { loading = null; return p; });
+    return loading;
+  }
+
+  /** Saved point for an item, or null (list UIs: "23 min left", "Played"). */
+  function get(kind, id) {
+    return points ? points.get(keyOf(kind, String(id))) || null : null;
+  }
+
+  function longEnough() {
+    return !!(audio && isFinite(audio.duration) && audio.duration >= MIN_DURATION_SEC);
+  }
+
+  function save(finished, keepalive) {
+    if (!enabled() || !current || !ready || !longEnough()) return;
+    lastSaveAt = Date.now();
+    var body = {
+      kind: current.kind,
+      id: current.id,
+      positionSec: audio.currentTime || 0,
+      durationSec: audio.duration,
+      finished: !!finished,
+      title: current.title || '',
+      artist: current.artist || '',
+      artwork: current.artwork || ''
+    };
+    var done = finished || body.positionSec >= body.durationSec - TAIL_SEC;
+    if (points) {
+      points.set(keyOf(body.kind, body.id), Object.assign({}, body, {
+        positionSec: done ? 0 : body.positionSec, finished: done
+      }));
+    }
+    fetch('/api/resume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      keepalive: !!keepalive
+    }).catch(function () { /* next report retries */ });
+  }
+
+  // ── Resume offer ──────────────────────────────────────────────────────────
+  function hideOffer() {
+    if (offerTimer) { clearTimeout(offerTimer); offerTimer = null; }
+    var el = document.getElementById('resumePointBanner');
+    if (el) el.remove();
+  }
+
+  function showOffer(point) {
+    hideOffer();
+    var item = current;
+    var el = document.createElement('div');
+    el.id = 'resumePointBanner';
+    el.setAttribute('role', 'status');
+    el.style.cssText = 'position:fixed;left:50%;transform:translateX(-50%);bottom:96px;z-index:1900;'
+      + 'display:flex;align-items:center;gap:10px;max-width:calc(100vw - 24px);padding:10px 12px;'
+      + 'border-radius:12px;background:#16161d;color:#e8e8ee;border:1px solid rgba(255,255,255,0.14);'
+      + 'box-shadow:0 8px 28px rgba(0,0,0,0.45);font-size:13px;line-height:1.35;';
+    var label = document.createElement('span');
+    label.style.cssText = 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap;min-width:0;';
+    label.textContent = 'You stopped at ' + fmt(point.positionSec) + (item.title ? ' in ' + item.title : '');
+    var go = document.createElement('button');
+    go.type = 'button';
+    go.textContent = 'Resume from ' + fmt(point.positionSec);
+    go.style.cssText = 'flex-shrink:0;padding:7px 12px;border:0;border-radius:8px;background:#7c4dff;color:#fff;font:inherit;font-weight:600;cursor:pointer;';
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    close.style.cssText = 'flex-shrink:0;padding:0 4px;border:0;background:transparent;color:inherit;font-size:18px;cursor:pointer;opacity:0.7;';
+    go.addEventListener('click', function () {
+      hideOffer();
+      if (current !== item || !audio) return;
+      try { audio.currentTime = point.positionSec; } catch { /* not seekable yet */ }
+      if (audio.paused) audio.play().catch(function () {});
+    });
+    close.addEventListener('click', hideOffer);
+    el.appendChild(label);
+    el.appendChild(go);
+    el.appendChild(close);
+    document.body.appendChild(el);
+    offerTimer = setTimeout(hideOffer, OFFER_HIDE_MS);
+  }
+
+  // Offer once per play, when the element knows the duration and the saved
+  // point is worth jumping to — and playback isn't already there (a resumed
+  // queue starts at its own saved position).
+  function maybeOffer() {
+    ready = !!current;
+    if (offered || !current || !longEnough()) return;
+    var item = current;
+    load().then(function () {
+      if (offered || current !== item) return;
+      var point = get(item.kind, item.id);
+      if (!point || point.finished) return;
+      var pos = point.positionSec || 0;
+      if (pos < MIN_POSITION_SEC || pos >= audio.duration - TAIL_SEC) return;
+      if (Math.abs((audio.currentTime || 0) - pos) < 15) return;
+      offered = true;
+      showOffer(point);
+    });
+  }
+
+  /**
+   * The player is loading an item. `item`: { kind: 'track' | 'episode', id,
+   * title?, artist?, artwork? } or null for something without a resume
+   * identity (guest previews, descriptor URLs).
+   */
+  function setItem(item) {
+    // The outgoing item's last word — a queue may move on from its own
+    // 'ended' listener before ours has run.
+    if (current && audio && (audio.ended || !audio.paused)) save(audio.ended);
+    hideOffer();
+    offered = false;
+    ready = false;
+    lastSaveAt = Date.now();
+    current = (item && item.id && (item.kind === 'track' || item.kind === 'episode'))
+      ? { kind: item.kind, id: String(item.id), title: item.title, artist: item.artist, artwork: item.artwork }
+      : null;
+    if (current && enabled()) load();
+  }
+
+  /** Bind to the page's one playback element. Idempotent per element. */
+  function attach(el) {
+    if (!el || audio === el) return;
+    audio = el;
+    el.addEventListener('loadedmetadata', maybeOffer);
+    el.addEventListener('durationchange', maybeOffer);
+    el.addEventListener('timeupdate', function () {
+      if (Date.now() - lastSaveAt >= SAVE_INTERVAL_MS) save(false);
+    });
+    el.addEventListener('pause', function () {
+      if (!el.ended) save(false);
+    });
+    el.addEventListener('ended', function () {
+      save(true);
+      ready = false; // reported; setItem mustn't report it again
+      hideOffer();
+    });
+    window.addEventListener('pagehide', function () {
+      if (!el.paused) save(false, true);
+    });
+  }
+
+  window.MADResume = {
+    attach: attach,
+    setItem: setItem,
+    load: load,
+    get: get,
+    format: fmt
+  };
+})();
@@ -0,0 +1,111 @@
+// public/js/wrapped.js
+// "MAD Wrapped" buttons — desktop (app.html, Listening Stats modal) and
+// mobile (mobile.html, Profile tab). Classic script; exposes
+// window.MADWrapped. Server side: routes/wrapped.js (/api/wrapped),
+// lib/wrapped.js.
+//
+// Three buttons in [data-wrapped-panel]: last year's Wrapped, this month so
+// far, and "email it to me". A summary opens as its public share page
+// (/wrapped/<id>) in a new tab — the page is the thing people share. The
+// panel stays hidden while the flag is off and for guests (no token).
+(function () {
+  'use strict';
+
+  var MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+  function enabled() {
+    return !!window.__WRAPPED && !window.__GUEST && !!(localStorage.getItem('mass_access_token') || '').trim();
+  }
+
+  /** The periods the buttons offer, for `now`: last year and this month. */
+  function periods(now) {
+    var d = now || new Date();
+    var year = d.getFullYear();
+    return {
+      year: { year: year - 1, label: 'Your ' + (year - 1) + ' Wrapped' },
+      month: { year: year, month: d.getMonth() + 1, label: MONTHS[d.getMonth()] + ' so far' }
+    };
+  }
+
+  function query(p) {
+    return '?year=' + p.year + (p.month ? '&month=' + p.month : '');
+  }
+
+  function setStatus(panel, text) {
+    var el = panel.querySelector('.wrapped-status');
+    if (el) el.textContent = text || '';
+  }
+
+  function open(panel, p) {
+    // Open the tab inside the click so popup blockers allow it; point it at
+    // the share page once the summary is built (the first build takes a few
+    // seconds). The Android app's WebView has no tabs — navigate instead.
+    var win = window.open('', '_blank');
+    setStatus(panel, 'Building your summary…');
+    return fetch('/api/wrapped' + query(p))
+      .then(function (res) { return res.json(); })
+      .then(function (data) {
+        if (!data || !data.ok || !data.shareUrl) throw new Error((data && data.error) || 'failed');
+        setStatus(panel, '');
+        if (win) win.location.href = data.shareUrl;
+        else window.location.href = data.shareUrl;
+      })
+      .catch(function (err) {
+        if (win) win.close();
+        setStatus(panel, 'Could not build your summary' + (err && err.message && err.message !== 'failed' ? ' — ' + err.message : '') + '.');
+      });
+  }
+
+  function email(panel, p) {
+    setStatus(panel, 'Sending…');
+    return fetch('/api/wrapped/email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ year: p.year, month: p.month })
+    })
+      .then(function (res) { return res.json(); })
+      .then(function (data) {
+        if (data && data.ok) setStatus(panel, 'Sent — check your inbox.');
+        else setStatus(panel, (data && data.error) || 'Could not send the email.');
+      })
+      .catch(function () { setStatus(panel, 'Could not send the email.'); });
+  }
+
+  function render(panel) {
+    if (!enabled()) { panel.hidden = true; return; }
+    var p = periods();
+    panel.innerHTML = '';
+    var row = document.createElement('div');
+    row.className = 'wrapped-actions';
+    [
+      { text: p.year.label, cls: 'wrapped-btn wrapped-btn-primary', fn: function () { open(panel, p.year); } },
+      { text: p.month.label, cls: 'wrapped-btn', fn: function () { open(panel, p.month); } },
+      { text: 'Email it to me', cls: 'wrapped-btn', fn: function () { email(panel, p.year); } }
+    ].forEach(function (b) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = b.cls;
+      btn.textContent = b.text;
+      btn.addEventListener('click', b.fn);
+      row.appendChild(btn);
+    });
+    var status = document.createElement('p');
+    status.className = 'wrapped-status';
+    status.setAttribute('aria-live', 'polite');
+    panel.appendChild(row);
+    panel.appendChild(status);
+    panel.hidden = false;
+  }
+
+  function init() {
+    var panels = document.querySelectorAll('[data-wrapped-panel]');
+    for (var i = 0; i < panels.length; i++) render(panels[i]);
+  }
+
+  // refresh(): re-render after sign-in / sign-out.
+  window.MADWrapped = { periods: periods, refresh: init };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
@@ -0,0 +1,70 @@
+// routes/abuse.js — review list for quarantined stream events
+// (lib/stream-abuse.js, lib/stream-abuse-sweep.js).
+//
+//   GET  /api/abuse/review[?from=2026-10-01&to=2026-10-19][&status=pending|released|confirmed|all][&limit=200]
+//     Flagged listens whose last event falls in the range (default: the last
+//     7 days), highest score first, with a summary by status, reason and
+//     quarantined track. Pending and confirmed listens stay out of /trending
+//     and the royalty statements; released ones count again.
+//   POST /api/abuse/review/:recordId   { "action": "release" | "confirm" }
+//     Record a review on the Stream_Events record (AbuseReview /
+//     AbuseReviewedAt), so the statement that changes because of it can say why.
+//   POST /api/abuse/sweep               run the whole-cluster sweep now
+//
+// Admin-key only (X-Admin-Key, like /royalty/report) — it skips the token
+// middleware and requireAdminKey guards it instead. Mounted only while
+// ABUSE_SCORING_ENABLED=true (404-fenced in server.js otherwise).
+import { Router } from 'express';
+import { requireAdminKey } from './admin.js';
+import { loadAbuseReview, parseAbuseRange, reviewAbuseListen, sweepStreamAbuse } from '../lib/stream-abuse-sweep.js';
+import { parsePositiveInt } from '../lib/format.js';
+import { validators } from '../lib/validators.js';
+
+const router = Router();
+
+const STATUSES = new Set(['pending', 'released', 'confirmed', 'all']);
+const ACTIONS = new Set(['release', 'confirm']);
+
+router.get('/abuse/review', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const range = parseAbuseRange(req.query);
+  if (!range.ok) return res.status(400).json({ ok: false, error: range.error });
+  const status = String(req.query.status || 'pending');
+  if (!STATUSES.has(status)) return res.status(400).json({ ok: false, error: 'status must be pending, released, confirmed or all' });
+  const limit = Math.min(parsePositiveInt(req.query.limit, 200), 1000);
+  try {
+    res.json({ ok: true, ...(await loadAbuseReview(range, { status, limit })) });
+  } catch (err) {
+    console.error('[MASS] Abuse review list failed:', err);
+    res.status(500).json({ ok: false, error: 'Abuse review list failed' });
+  }
+});
+
+router.post('/abuse/review/:recordId', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const recordId = String(req.params.recordId || '');
+  if (!validators.recordId(recordId).valid) return res.status(400).json({ ok: false, error: 'Invalid recordId' });
+  const action = String(req.body?.action || '');
+  if (!ACTIONS.has(action)) return res.status(400).json({ ok: false, error: 'action must be release or confirm' });
+  try {
+    const result = await reviewAbuseListen(recordId, action);
+    if (!result.ok) return res.status(result.code).json({ ok: false, error: result.error });
+    console.log(`[MASS] Stream event ${recordId} ${result.status} by abuse review`);
+    res.json({ ok: true, recordId, status: result.status });
+  } catch (err) {
+    console.error('[MASS] Abuse review failed:', err);
+    res.status(500).json({ ok: false, error: 'Abuse review failed' });
+  }
+});
+
+router.post('/abuse/sweep', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    res.json({ ok: true, ...(await sweepStreamAbuse()) });
+  } catch (err) {
+    console.error('[MASS] Abuse sweep failed:', err);
+    res.status(500).json({ ok: false, error: 'Abuse sweep failed' });
+  }
+});
+
+export default router;
@@ -12,9 +12,14 @@ import {
   ensureStreamRecord, findStreamRecord,
   setCachedStreamRecordId, clearCachedStreamRecordId, getCachedStreamRecordId
 } from '../lib/stream-events.js';
+import { isStreamJournalReady, journalStreamEvent } from '../lib/stream-journal.js';
+import { recordPlay } from '../lib/play-counts.js';
+import { publishStreamEvent } from '../lib/live-feed.js';
+import { scoreStreamEvent } from '../lib/stream-abuse.js';
+import { resolveClientIp } from '../lib/cloudflare-ips.js';
 import { fmUpdateRecord, fmFindRecords } from '../fm-client.js';
 import { tokenValidationCache } from '../cache.js';
-import { FM_STREAM_EVENTS_LAYOUT, FM_LAYOUT, firstNonEmpty } from '../lib/fm-fields.js';
+import { FM_STREAM_EVENTS_LAYOUT, FM_LAYOUT, firstNonEmpty, recordIsVisible } from '../lib/fm-fields.js';
 import { getTrackRecordCached } from '../lib/track-cache.js';
 import { randomUUID, randomInt } from 'node:crypto';
 import { sendEmailClaimCode } from '../lib/email.js';
@@ -27,6 +32,12 @@ import { normalizeEmail } from '../lib/format.js';
 const MAX_DELTA_PER_EVENT_SEC = 300;
 // Small fraction of DurationSec we allow TotalPlayedSec to exceed (timing jitter).
 const TOTAL_PLAYED_OVERSHOOT_FACTOR = 1.05;
+// Abuse scoring (lib/stream-abuse.js): flag, never refuse. server.js owns the
+// flag; read here so the handler needs no extra wiring.
+const ABUSE_SCORING_ENABLED = process.env.ABUSE_SCORING_ENABLED === 'true';
+// Per-listener play counts (lib/play-counts.js): each new listen bumps the
+// token's count for the track. Same arrangement — server.js owns the flag.
+const PLAY_COUNTS_ENABLED = process.env.PLAY_COUNTS_ENABLED === 'true';
 
 // In-process accumulator for TotalPlayedSec.
 // The stream-record LRU returns existingFieldData:null on cache hits, so we
@@ -605,7 +616,10 @@ router.post('/stream-events', async (req, res) => {
     }
 
     const timestamp = formatTimestampUTC();
-    const clientIP = getClientIP(req);
+    // Behind Cloudflare req.ip is the edge, not the listener — with abuse
+    // scoring on, ClientIP is the verified CF-Connecting-IP so the per-IP
+    // checks (and anyone auditing them) see real addresses.
+    const clientIP = ABUSE_SCORING_ENABLED ? resolveClientIp(req) : getClientIP(req);
     const userAgentHeader = req.headers?.['user-agent'];
     const userAgent = Array.isArray(userAgentHeader) ? userAgentHeader[0] : userAgentHeader || '';
 
@@ -643,6 +657,7 @@ router.post('/stream-events', async (req, res) => {
     // unhandled rejection that would be logged at the process level.
     let trackArtist = '';
     let trackName   = '';
+    let trackVisible = true;
     try {
       const trackRecord = await Promise.race([
         getTrackRecordCached(FM_LAYOUT, normalizedTrackRecordId).catch(() => null),
@@ -651,6 +666,7 @@ router.post('/stream-events', async (req, res) => {
       const tf = trackRecord?.fieldData || {};
       trackArtist = firstNonEmpty(tf, ['Track Artist', 'Album Artist', 'Tape Files::Album Artist', 'Artist']) || '';
       trackName   = firstNonEmpty(tf, ['Track Name', 'Tape Files::Track Name', 'Song Title']) || '';
+      trackVisible = recordIsVisible(tf);
       if (!normalizedTrackISRC) {
         normalizedTrackISRC = firstNonEmpty(tf, ['ISRC', 'Tape Files::ISRC']) || '';
       }
@@ -699,6 +715,23 @@ router.post('/stream-events', async (req, res) => {
       'Track Name': trackName
     };
 
+    // A listen over a velocity limit is still recorded — marked, so /trending
+    // and the royalty statements leave it out until someone reviews it.
+    if (ABUSE_SCORING_ENABLED) {
+      const abuse = scoreStreamEvent({
+        sessionId,
+        trackRecordId: normalizedTrackRecordId,
+        eventType: normalizedType,
+        ip: clientIP,
+        token: tokenCode,
+        terminal: STREAM_TERMINAL_EVENTS.has(normalizedType)
+      });
+      if (abuse) {
+        Object.assign(baseFields, abuse);
+        Object.assign(createFields, abuse);
+      }
+    }
+
     if (STREAM_EVENT_DEBUG) {
       console.info('[MASS] stream event logging', {
         eventType: baseFields.EventType,
@@ -710,6 +743,42 @@ router.post('/stream-events', async (req, res) => {
       });
     }
 
+    // "Listening now" (LIVE_FEED_ENABLED, lib/live-feed.js) — before any
+    // FileMaker write, so the live view never waits on it. No-op when off.
+    publishStreamEvent({
+      eventType: normalizedType,
+      sessionId,
+      trackRecordId: normalizedTrackRecordId,
+      trackName,
+      trackArtist,
+      playbackMode,
+      positionSec: normalizedPosition,
+      durationSec: normalizedDuration,
+      subscriber: Boolean(tokenCode),
+      visible: trackVisible
+    });
+
+    // Journal mode (STREAM_JOURNAL_ENABLED, lib/stream-journal.js): merge the
+    // event into the listen's local journal row and answer now — the
+    // background worker writes Stream_Events, so listeners' token checks and
+    // playback never queue behind play tracking for FileMaker slots. The
+    // journal row IS the listen's accumulated state (no streamTotalMap).
+    if (isStreamJournalReady()) {
+      const journaled = await journalStreamEvent({
+        sessionId,
+        trackRecordId: normalizedTrackRecordId,
+        terminal: STREAM_TERMINAL_EVENTS.has(normalizedType),
+        createFields,
+        apply: (existingFields) => {
+          applyExistingFieldsToBase(baseFields, existingFields, normalizedType, timestamp, payloadDelta, normalizedDuration);
+          return baseFields;
+        }
+      });
+      if (journaled.skipped) return res.json({ ok: true, skipped: true });
+      if (PLAY_COUNTS_ENABLED && journaled.created && tokenCode) recordPlay(tokenCode, normalizedTrackRecordId);
+      return res.json({ ok: true, journaled: true, totalPlayedSec: journaled.fields.TotalPlayedSec });
+    }
+
     // Only force a new record on PLAY when there is no active session already cached.
     // If a cached record exists the user is resuming mid-listen (e.g. after a pause),
     // so we keep accumulating into the same record instead of spawning a duplicate.
@@ -726,6 +795,8 @@ router.post('/stream-events', async (req, res) => {
     const forceNewRecord = normalizedType === 'PLAY' && !hasCachedSession;
     const ensureResult = await ensureStreamRecord(sessionId, normalizedTrackRecordId, createFields, { forceNew: forceNewRecord });
     const existingFields = ensureResult.existingFieldData ? { ...ensureResult.existingFieldData } : {};
+    // One listen, one count — the record that was just created is the listen.
+    if (PLAY_COUNTS_ENABLED && ensureResult.created && tokenCode) recordPlay(tokenCode, normalizedTrackRecordId);
 
     // LRU cache hits return existingFieldData:null so we can't read the
     // accumulated state from FileMaker. Restore total AND the delta baselines
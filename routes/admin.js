@@ -23,6 +23,8 @@ import { listSwrCaches, getSwrCacheByName, flushAllSwrCaches } from '../lib/swr-
 import { SERVER_START_TIME } from '../lib/server-start-time.js';
 import { timingSafeEqualStr } from '../lib/crypto-utils.js';
 import { isPgEnabled, query as pgQuery } from '../lib/pg.js';
+import { streamJournalStatus } from '../lib/stream-journal.js';
+import { liveFeedStatus } from '../lib/live-feed.js';
 
 const router = Router();
 
@@ -221,6 +223,9 @@ router.get('/health/detailed', requireAdminKey, async (req, res) => {
     },
     caches,
     swrCaches,
+    // Pending / failing listens not yet in Stream_Events (STREAM_JOURNAL_ENABLED).
+    streamJournal: await streamJournalStatus(),
+    liveFeed: liveFeedStatus(),
   });
 });
 
@@ -24,6 +24,10 @@ import { getTrackRecordCached } from '../../lib/track-cache.js';
 import { createSwrCache } from '../../lib/swr-cache.js';
 import { createLogger } from '../../lib/logger.js';
 import { fmExactMatch } from '../../lib/validators.js';
+import { loadHistorySettings, isHiddenFromHistory } from '../../lib/history-store.js';
+import { parseEventTimestampUTC } from '../../lib/royalty-report.js';
+import { engagementWeight, trackEngagementScore } from '../../lib/engagement.js';
+import { isQuarantinedListen } from '../../lib/stream-abuse.js';
 import { LRUCache } from 'lru-cache';
 
 // In production, never leak internal/FM error detail to public catalogue callers.
@@ -53,6 +57,16 @@ const TRENDING_MAX_PER_ALBUM  = parsePositiveInt(process.env.TRENDING_MAX_PER_AL
 // user reopening their stats panel) to a single FM round-trip every 5 minutes.
 const MY_STATS_TTL_MS = parsePositiveInt(process.env.MY_STATS_CACHE_TTL_MS, 5 * 60 * 1000);
 const myStatsCache = new LRUCache({ max: 2000, ttl: MY_STATS_TTL_MS });
+// With listening history on, /my-stats honours its clear / pause settings
+// (lib/history-store.js) — the same listens /api/history hides stay out of the
+// top ten. The settings go into the cache key so a clear shows at once.
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED === 'true';
+// With engagement analytics on (lib/engagement.js), a track's listening time
+// is weighted by how well it holds listeners before ranking — up to ±25% by
+// default, so a track people skip can't ride a burst of taps to the top.
+// TRENDING_ENGAGEMENT_WEIGHT=0 ranks on raw listening time again.
+const ENGAGEMENT_ENABLED = process.env.ENGAGEMENT_ENABLED === 'true';
+const TRENDING_ENGAGEMENT_WEIGHT = Math.min(1, Math.max(0, Number(process.env.TRENDING_ENGAGEMENT_WEIGHT ?? 0.25) || 0));
 
 // ── Trending helpers ────────────────────────────────────────────────────────
 
@@ -69,6 +83,8 @@ function buildStatsByTrack(data) {
     const fields = entry?.fieldData || {};
     const trackRecordId = normalizeRecordId(fields.TrackRecordID || fields['Track Record ID'] || '');
     if (!trackRecordId) continue;
+    // Listens flagged by abuse scoring (lib/stream-abuse.js) never rank.
+    if (isQuarantinedListen(fields)) continue;
     const rawTotalSeconds = normalizeSeconds(
       fields.TotalPlayedSec ?? fields[STREAM_TIME_FIELD] ?? fields.DurationSec ?? fields.DeltaSec ?? 0
     );
@@ -172,6 +188,12 @@ async function collectTrendingStats({ limit, lookbackHours, fetchLimit }) {
   const statsByTrack = buildStatsByTrack(findResult.data);
   if (!statsByTrack.size) return [];
 
+  if (ENGAGEMENT_ENABLED) {
+    // Ranking only — totalSeconds never reaches the payload.
+    for (const stat of statsByTrack.values()) {
+      stat.totalSeconds *= engagementWeight(trackEngagementScore(stat.trackRecordId), TRENDING_ENGAGEMENT_WEIGHT);
+    }
+  }
   const sortedStats = Array.from(statsByTrack.values()).sort(compareTrendingStats);
 
   // Fetch a superset of candidates so that tracks failing visibility/audio/
@@ -362,7 +384,11 @@ router.get('/my-stats', async (req, res) => {
     const token = (req.accessToken?.code || '').toString().trim().toUpperCase();
     if (!token) return res.status(403).json({ ok: false, error: 'Authentication required' });
 
-    const cached = myStatsCache.get(token);
+    const historySettings = HISTORY_ENABLED ? await loadHistorySettings(token) : null;
+    const cacheKey = historySettings
+      ? `${token}|${historySettings.clearedAt}|${historySettings.pausedSince}|${historySettings.pauses.length}`
+      : token;
+    const cached = myStatsCache.get(cacheKey);
     if (cached) {
       res.setHeader('X-Cache-State', 'fresh');
       return res.json({ ok: true, tracks: cached });
@@ -383,6 +409,7 @@ router.get('/my-stats', async (req, res) => {
       const f       = entry.fieldData || {};
       const trackId = normalizeRecordId(f.TrackRecordID || f['Track Record ID'] || '');
       if (!trackId) continue;
+      if (historySettings && isHiddenFromHistory(historySettings, parseEventTimestampUTC(f.PlayStartUTC || f.TimestampUTC))) continue;
       const secs = normalizeSeconds(f.TotalPlayedSec ?? f.DeltaSec ?? 0);
       if (!byTrack.has(trackId)) {
         byTrack.set(trackId, { trackId, plays: 0, totalSeconds: 0 });
@@ -419,7 +446,7 @@ router.get('/my-stats', async (req, res) => {
     );
 
     const tracks = withDetails.filter(Boolean);
-    myStatsCache.set(token, tracks);
+    myStatsCache.set(cacheKey, tracks);
     return res.json({ ok: true, tracks });
   } catch (err) {
     return res.status(500).json({ ok: false, error: IS_PROD ? 'my-stats failed' : (err.message || 'my-stats failed') });
@@ -0,0 +1,325 @@
+// routes/charts.js — weekly genre / decade / language charts and their
+// archive (lib/charts.js).
+//
+//   GET  /api/charts[?week=2026-W42]          every chart published for a week
+//                                             (default: the latest) with its #1
+//   GET  /api/charts/featured                 the home-page rail: the top
+//                                             CHARTS_FEATURED_LIMIT of the
+//                                             CHARTS_FEATURED chart, latest week
+//   GET  /api/charts/:type/:key[?week=&limit=] one chart, entries with catalogue
+//                                             fields, movement and prev / next week
+//   GET  /api/charts/:type/:key/weeks          every week that chart was published
+//   POST /api/charts/snapshot { week }         (re)build a closed week — admin key
+//   GET  /charts, /charts/:type/:key[/:week]   public chart pages (no JS)
+//
+// Charts are aggregate public content (like /trending), so /api/charts skips
+// the token middleware while on; the snapshot route is requireAdminKey-guarded.
+// A track taken down since the week was published is left out of the
+// response; its position stays empty. Mounted only while CHARTS_ENABLED=true
+// (server.js 404-fences /api/charts and /charts otherwise).
+import { Router } from 'express';
+import { requireAdminKey } from './admin.js';
+import {
+  CHART_TYPES, getChart, getChartWeeks, isChartsReady, listChartWeeks, listCharts,
+  parseChartWeek, snapshotChartWeek
+} from '../lib/charts.js';
+import { FM_LAYOUT, recordIsVisible } from '../lib/fm-fields.js';
+import { applyArtworkThumbs, thumbArtworkUrl } from '../lib/track.js';
+import { getTrackRecordCached } from '../lib/track-cache.js';
+import { buildOgTags } from '../lib/share-meta.js';
+import { escapeHtml as esc, parsePositiveInt } from '../lib/format.js';
+import { resolveRequestOrigin } from '../lib/http.js';
+
+const router = Router();
+
+// "genre/maskandi" → the "Top 20 Maskandi this week" rail.
+const [FEATURED_TYPE, FEATURED_KEY] = (process.env.CHARTS_FEATURED || 'genre/maskandi').split('/');
+const FEATURED_LIMIT = parsePositiveInt(process.env.CHARTS_FEATURED_LIMIT, 20);
+const KEY_RE = /^[a-z0-9-]{1,80}$/;
+const TYPE_HEADINGS = { genre: 'Genres', decade: 'Decades', language: 'Languages' };
+
+const validChart = (type, key) => CHART_TYPES.includes(type) && KEY_RE.test(key);
+
+function chartTitle(type, label) {
+  return type === 'language' ? `${label}-language chart` : `${label} chart`;
+}
+
+function weekLabel(key) {
+  const w = parseChartWeek(key);
+  return w.ok
+    ? `Week of ${new Date(w.startMs).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })}`
+    : key;
+}
+
+function publicCache(res) {
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=3600');
+}
+
+function unavailable(res) {
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(503).json({ ok: false, error: 'Charts unavailable' });
+}
+
+// Catalogue fields for the rails; a track hidden (or gone) since is dropped.
+async function withFields(entries) {
+  const records = await Promise.all(entries.map((e) => getTrackRecordCached(FM_LAYOUT, e.recordId).catch(() => null)));
+  return entries
+    .map((e, i) => ({ e, fields: records[i]?.fieldData }))
+    .filter(({ fields }) => fields && recordIsVisible(fields))
+    .map(({ e, fields }) => ({ ...e, fields: applyArtworkThumbs({ ...fields }, 300) }));
+}
+
+// One chart with its neighbours in the archive → null when never published
+// (or not that week).
+async function loadChart(type, key, weekParam, limit) {
+  const weeks = await getChartWeeks(type, key);
+  const week = weekParam || weeks[0];
+  if (!week) return null;
+  const chart = await getChart(type, key, week);
+  if (!chart) return null;
+  const i = weeks.indexOf(week);
+  return {
+    type,
+    key,
+    label: chart.label,
+    title: chartTitle(type, chart.label),
+    week,
+    prevWeek: weeks[i + 1] || null,
+    nextWeek: i > 0 ? weeks[i - 1] : null,
+    entries: await withFields(chart.entries.slice(0, limit))
+  };
+}
+
+function parseWeekQuery(req, res) {
+  if (req.query.week === undefined) return { ok: true, key: null };
+  const week = parseChartWeek(req.query.week);
+  if (!week.ok) res.status(400).json({ ok: false, error: week.error });
+  return week;
+}
+
+router.get('/api/charts', async (req, res) => {
+  if (!isChartsReady()) return unavailable(res);
+  const parsed = parseWeekQuery(req, res);
+  if (!parsed.ok) return;
+  try {
+    const weeks = await listChartWeeks();
+    const week = parsed.key || weeks[0] || null;
+    const charts = week ? await listCharts(week) : [];
+    charts.sort((a, b) => CHART_TYPES.indexOf(a.type) - CHART_TYPES.indexOf(b.type) || a.label.localeCompare(b.label));
+    publicCache(res);
+    res.json({
+      ok: true,
+      week,
+      weeks,
+      charts: charts.map((c) => ({
+        type: c.type,
+        key: c.key,
+        label: c.label,
+        title: chartTitle(c.type, c.label),
+        entries: c.entries,
+        top: c.top ? { recordId: c.top.recordId, title: c.top.title, artist: c.top.artist } : null
+      }))
+    });
+  } catch (err) {
+    console.error('[MASS] Charts index failed:', err);
+    res.status(500).json({ ok: false, error: 'Charts failed' });
+  }
+});
+
+router.get('/api/charts/featured', async (_req, res) => {
+  if (!isChartsReady()) return unavailable(res);
+  try {
+    const chart = validChart(FEATURED_TYPE, FEATURED_KEY)
+      ? await loadChart(FEATURED_TYPE, FEATURED_KEY, null, FEATURED_LIMIT)
+      : null;
+    publicCache(res);
+    if (!chart) return res.json({ ok: true, chart: null });
+    res.json({ ok: true, chart: { ...chart, title: `Top ${FEATURED_LIMIT} ${chart.label} this week`, url: `/charts/${chart.type}/${chart.key}` } });
+  } catch (err) {
+    console.error('[MASS] Featured chart failed:', err);
+    res.status(500).json({ ok: false, error: 'Charts failed' });
+  }
+});
+
+router.post('/api/charts/snapshot', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isChartsReady()) return unavailable(res);
+  const week = parseChartWeek(req.body?.week);
+  if (!week.ok) return res.status(400).json({ ok: false, error: week.error });
+  if (week.endMs > Date.now()) return res.status(400).json({ ok: false, error: `${week.key} has not ended yet` });
+  try {
+    res.json({ ok: true, ...(await snapshotChartWeek(week.key)) });
+  } catch (err) {
+    console.error('[MASS] Chart snapshot failed:', err);
+    res.status(500).json({ ok: false, error: 'Chart snapshot failed' });
+  }
+});
+
+router.get('/api/charts/:type/:key', async (req, res) => {
+  if (!isChartsReady()) return unavailable(res);
+  const { type, key } = req.params;
+  if (!validChart(type, key)) return res.status(404).json({ ok: false, error: 'Unknown chart' });
+  const parsed = parseWeekQuery(req, res);
+  if (!parsed.ok) return;
+  const limit = Math.min(parsePositiveInt(req.query.limit, 50), 100);
+  try {
+    const chart = await loadChart(type, key, parsed.key, limit);
+    if (!chart) return res.status(404).json({ ok: false, error: 'No such chart that week' });
+    publicCache(res);
+    res.json({ ok: true, ...chart });
+  } catch (err) {
+    console.error('[MASS] Chart failed:', err);
+    res.status(500).json({ ok: false, error: 'Chart failed' });
+  }
+});
+
+router.get('/api/charts/:type/:key/weeks', async (req, res) => {
+  if (!isChartsReady()) return unavailable(res);
+  const { type, key } = req.params;
+  if (!validChart(type, key)) return res.status(404).json({ ok: false, error: 'Unknown chart' });
+  try {
+    publicCache(res);
+    res.json({ ok: true, type, key, weeks: await getChartWeeks(type, key) });
+  } catch (err) {
+    console.error('[MASS] Chart weeks failed:', err);
+    res.status(500).json({ ok: false, error: 'Chart weeks failed' });
+  }
+});
+
+// ── Public pages ─────────────────────────────────────────────────────────────
+
+function movementBadge(e) {
+  if (e.movement === 'new') return '<span class="mv new">NEW</span>';
+  if (e.movement === 're-entry') return '<span class="mv re">RE</span>';
+  if (e.movement === 'up') return `<span class="mv up" title="Up from ${e.lastPosition}">▲ ${e.change}</span>`;
+  if (e.movement === 'down') return `<span class="mv down" title="Down from ${e.lastPosition}">▼ ${-e.change}</span>`;
+  return '<span class="mv">—</span>';
+}
+
+function renderPage({ title, description, url, image, body }) {
+  const og = buildOgTags({ type: 'website', url, title, description, image });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${esc(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="description" content="${esc(description)}">
+  <link rel="canonical" href="${esc(url)}">
+  ${og}
+  <style>
+    :root{--bg:#0b0b10;--card:#16161f;--border:#26263a;--text:#e8e8ee;--muted:#8f8fa3;--accent:#8b5cf6;--accent2:#cbbcf7}
+    *{box-sizing:border-box}body{margin:0;background:var(--bg);color:var(--text);font-family:Barlow,Helvetica,Arial,sans-serif;line-height:1.5}
+    a{color:var(--accent2);text-decoration:none}a:hover{text-decoration:underline}
+    .wrap{max-width:760px;margin:0 auto;padding:0 20px 60px}
+    header.site{display:flex;align-items:center;justify-content:space-between;padding:16px 0;border-bottom:1px solid var(--border);margin-bottom:28px}
+    header.site img{height:34px}
+    .cta{background:linear-gradient(135deg,#8b5cf6,#6d28d9);color:#fff;padding:9px 18px;border-radius:10px;font-weight:600;white-space:nowrap}
+    h1{font-size:1.9rem;margin:0 0 6px}h2{font-size:1.2rem;margin:28px 0 12px}
+    .muted{color:var(--muted)}.crumbs{font-size:.85rem;color:var(--muted);margin-bottom:14px}
+    ol.chart{list-style:none;margin:0;padding:0}
+    ol.chart li{display:flex;align-items:center;gap:12px;padding:9px 10px;border-bottom:1px solid var(--border)}
+    ol.chart .n{width:28px;text-align:right;flex:none;font-weight:700}
+    ol.chart img{width:48px;height:48px;border-radius:6px;object-fit:cover;flex:none;background:#101018}
+    ol.chart .name{flex:1;min-width:0}ol.chart .stats{color:var(--muted);font-size:.8rem;text-align:right;flex:none}
+    .mv{display:inline-block;min-width:3.2em;font-size:.75rem;color:var(--muted)}.mv.up{color:#4ade80}.mv.down{color:#f87171}
+    .mv.new,.mv.re{color:var(--accent2);font-weight:700}
+    .pill{display:inline-block;background:var(--card);border:1px solid var(--border);border-radius:999px;padding:6px 14px;margin:0 8px 8px 0;font-size:.85rem}
+    nav.weeks{display:flex;justify-content:space-between;margin:18px 0}
+    footer{margin-top:44px;padding-top:18px;border-top:1px solid var(--border);font-size:.85rem;color:var(--muted)}
+  </style>
+</head>
+<body>
+<div class="wrap">
+  <header class="site">
+    <a href="/charts" aria-label="MAD charts"><img src="/img/Madmusiclogonew-dark.png" alt="MAD — Music Africa Direct"></a>
+    <a class="cta" href="/">▶ Open the player</a>
+  </header>
+  ${body}
+  <footer>Charts count full plays of at least 30 seconds, Monday to Sunday (UTC), at most three a week per listener and track. <a href="/charts">All charts</a> · <a href="/">Stream it free</a></footer>
+</div>
+</body>
+</html>`;
+}
+
+function sendPage(res, html) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  // Edge-cacheable: a published week only changes on a manual re-snapshot.
+  res.setHeader('Cache-Control', 'public, max-age=600, s-maxage=3600');
+  res.send(html);
+}
+
+router.get('/charts', async (req, res, next) => {
+  try {
+    if (!isChartsReady()) return next();
+    const origin = resolveRequestOrigin(req) || '';
+    const [week] = await listChartWeeks();
+    const charts = week ? await listCharts(week) : [];
+    const sections = CHART_TYPES.map((type) => {
+      const rows = charts.filter((c) => c.type === type).sort((a, b) => a.label.localeCompare(b.label));
+      if (!rows.length) return '';
+      return `<h2>${TYPE_HEADINGS[type]}</h2><div>${rows.map((c) =>
+        `<a class="pill" href="/charts/${esc(c.type)}/${esc(c.key)}">${esc(c.label)}${c.top ? ` <span class="muted">· #1 ${esc(c.top.title)}</span>` : ''}</a>`).join('')}</div>`;
+    }).join('');
+    sendPage(res, renderPage({
+      title: 'MAD Music charts — what South Africa is playing',
+      description: 'Weekly charts by genre, decade and language from plays on MAD Music, with a full archive.',
+      url: `${origin}/charts`,
+      body: `<h1>Charts</h1>
+  <p class="muted">${week ? esc(weekLabel(week)) : 'The first weekly charts are published once a full week has been played.'}</p>
+  ${sections}`
+    }));
+  } catch (err) {
+    console.error('[MASS] Charts page failed:', err?.message || err);
+    next(err);
+  }
+});
+
+async function chartPage(req, res, next) {
+  try {
+    const { type, key } = req.params;
+    if (!isChartsReady() || !validChart(type, key)) return next();
+    let week = null;
+    if (req.params.week) {
+      const parsed = parseChartWeek(req.params.week);
+      if (!parsed.ok) return next();
+      week = parsed.key;
+    }
+    const chart = await loadChart(type, key, week, 100);
+    if (!chart) return next();   // never published → the site's normal 404
+    const origin = resolveRequestOrigin(req) || '';
+    const path = `/charts/${chart.type}/${chart.key}`;
+    const top = chart.entries[0];
+    const rows = chart.entries.map((e) => {
+      const art = thumbArtworkUrl(e.fields['Artwork_S3_URL'] || e.fields['Tape Files::Artwork_S3_URL'], 300) || '/img/default-album.svg';
+      return `<li><span class="n">${e.position}</span>${movementBadge(e)}
+        <img loading="lazy" src="${esc(art)}" alt="" onerror="this.onerror=null;this.src='/img/default-album.svg'">
+        <span class="name"><a href="/?t=${encodeURIComponent(e.recordId)}"><strong>${esc(e.title)}</strong></a><br><span class="muted">${esc(e.artist)}</span></span>
+        <span class="stats">${e.weeksOnChart} wk${e.weeksOnChart === 1 ? '' : 's'} · peak ${e.peak}</span></li>`;
+    }).join('');
+    sendPage(res, renderPage({
+      title: `${chart.title} — ${weekLabel(chart.week)} | MAD Music`,
+      description: top
+        ? `${chart.title} on MAD Music, ${weekLabel(chart.week).toLowerCase()}: #1 is ${top.title} by ${top.artist}.`
+        : `${chart.title} on MAD Music, ${weekLabel(chart.week).toLowerCase()}.`,
+      url: `${origin}${path}/${chart.week}`,
+      image: top ? thumbArtworkUrl(top.fields['Artwork_S3_URL'] || top.fields['Tape Files::Artwork_S3_URL'], 800) : undefined,
+      body: `<div class="crumbs"><a href="/charts">Charts</a> · ${TYPE_HEADINGS[chart.type]}</div>
+  <h1>${esc(chart.title)}</h1>
+  <p class="muted">${esc(weekLabel(chart.week))}</p>
+  <nav class="weeks">
+    <span>${chart.prevWeek ? `<a href="${esc(path)}/${chart.prevWeek}">← ${esc(chart.prevWeek)}</a>` : ''}</span>
+    <span>${chart.nextWeek ? `<a href="${esc(path)}/${chart.nextWeek}">${esc(chart.nextWeek)} →</a>` : ''}</span>
+  </nav>
+  <ol class="chart">${rows}</ol>`
+    }));
+  } catch (err) {
+    console.error('[MASS] Chart page failed:', err?.message || err);
+    next(err);
+  }
+}
+
+router.get('/charts/:type/:key', chartPage);
+router.get('/charts/:type/:key/:week', chartPage);
+
+export default router;
@@ -0,0 +1,324 @@
+// Curator profiles and follows — /api (lib/curators.js).
+//
+//   GET    /api/profile                           the caller's profile (or null) + listed playlists
+//   PUT    /api/profile                           { handle, displayName, bio } — opt in / edit
+//   DELETE /api/profile                           opt out: profile, its follows and listings go
+//   PUT    /api/profile/playlists/:playlistId     { listed } — list a shared playlist on it
+//   GET    /api/curators/:handle                  public profile, follower count, listed playlists
+//   POST   /api/curators/:handle/follow           follow / unfollow a curator
+//   DELETE /api/curators/:handle/follow
+//   GET    /api/shared-playlists/:shareId/follow  { following, followers, curator }
+//   POST   /api/shared-playlists/:shareId/follow  follow / unfollow a shared playlist
+//   DELETE /api/shared-playlists/:shareId/follow
+//   GET    /api/following                         what the caller follows
+//   GET    /api/following/feed?since=             followed playlists updated since (newest first)
+//
+// Profiles are opt-in, and the public side only ever carries the handle,
+// display name and bio — never an email (POPIA). A playlist can be listed
+// once it has a share link. Every route is behind the token auth and needs
+// the token's email. Mounted only while CURATOR_PROFILES_ENABLED=true
+// (server.js 404-fences these paths otherwise) — it needs the
+// API_Curator_Profiles and API_Follows layouts and the Listed_At field on
+// API_Playlists.
+import { Router } from 'express';
+import { requireTokenEmail } from '../lib/auth.js';
+import { normalizeEmail, normalizeShareId } from '../lib/format.js';
+import { playlistOwnerMatches } from '../lib/playlist.js';
+import { loadListedPlaylists, loadPlaylistById, loadPlaylistByShareId, updatePlaylist } from '../lib/playlist-store.js';
+import {
+  FOLLOWS_MAX, FEED_LIMIT, buildFollowFeed, countFollowers, createFollow, deleteCuratorProfile,
+  deleteFollow, deleteFollowsOf, followStillReaches, loadCuratorProfileByEmail, loadCuratorProfileByHandle,
+  loadCuratorProfileById, loadFollow, loadFollowsFor, normalizeCuratorProfile, playlistSummary,
+  publicProfile, saveCuratorProfile
+} from '../lib/curators.js';
+
+const router = Router();
+
+// Follow state and feeds are per-listener — never cache on client or CDN.
+// Mounted at /api, so only this router's own paths.
+const OWN_PATHS = /^\/(profile|curators|following|shared-playlists\/[^/]+\/follow)(\/|$)/i;
+router.use((req, res, next) => {
+  if (OWN_PATHS.test(req.path)) res.setHeader('Cache-Control', 'no-store');
+  next();
+});
+
+const LOAD_CONCURRENCY = 5;
+
+// What a list of follows points at, in order; load(follow) → the target or
+// null, and follows whose target is gone drop out.
+async function loadFollowed(follows, load) {
+  const out = [];
+  for (let i = 0; i < follows.length; i += LOAD_CONCURRENCY) {
+    const batch = follows.slice(i, i + LOAD_CONCURRENCY);
+    const targets = await Promise.all(batch.map((f) => load(f).catch(() => null)));
+    targets.forEach((target, j) => { if (target) out.push({ follow: batch[j], target }); });
+  }
+  return out;
+}
+
+const isSelf = (profile, email) => profile.email === normalizeEmail(email);
+
+// The curator named by :handle, or a 404 sent here (→ null).
+async function requireCurator(req, res) {
+  const curator = await loadCuratorProfileByHandle(req.params.handle);
+  if (!curator) res.status(404).json({ ok: false, error: 'Curator not found' });
+  return curator;
+}
+
+// The shared playlist named by :shareId, or a 400 / 404 sent here (→ null).
+async function requireSharedPlaylist(req, res) {
+  const shareId = normalizeShareId(req.params.shareId);
+  if (!shareId) {
+    res.status(400).json({ ok: false, error: 'Share ID required' });
+    return null;
+  }
+  const playlist = await loadPlaylistByShareId(shareId);
+  if (!playlist) res.status(404).json({ ok: false, error: 'Playlist not found' });
+  return playlist;
+}
+
+// Follow a target unless already following; → { status, body }.
+async function follow(email, targetType, targetId, shareId = null) {
+  let created = false;
+  if (!await loadFollow(email, targetType, targetId)) {
+    const follows = await loadFollowsFor(email);
+    if (follows.length >= FOLLOWS_MAX) {
+      return { status: 409, body: { ok: false, error: `You can follow up to ${FOLLOWS_MAX} playlists and curators` } };
+    }
+    // A simultaneous tap may have got there first — createFollow keeps one.
+    ({ created } = await createFollow({ email, targetType, targetId, shareId }));
+  }
+  const followers = await countFollowers(targetType, targetId);
+  return { status: created ? 201 : 200, body: { ok: true, following: true, followers } };
+}
+
+async function unfollow(email, targetType, targetId) {
+  const existing = await loadFollow(email, targetType, targetId);
+  if (existing) await deleteFollow(existing);
+  return { ok: true, following: false, followers: await countFollowers(targetType, targetId) };
+}
+
+const listedSummaries = async (profile) => (await loadListedPlaylists(profile.email)).map(playlistSummary);
+
+// ── The caller's profile ──────────────────────────────────────────────────────
+
+router.get('/profile', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const profile = await loadCuratorProfileByEmail(user.email);
+    if (!profile) return res.json({ ok: true, profile: null });
+    const [followers, playlists] = await Promise.all([countFollowers('curator', profile.id), listedSummaries(profile)]);
+    res.json({ ok: true, profile: publicProfile(profile), followers, playlists });
+  } catch (err) {
+    console.error('[MASS] Load curator profile failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to load profile' });
+  }
+});
+
+router.put('/profile', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const validated = normalizeCuratorProfile(req.body);
+    if (!validated.ok) return res.status(400).json({ ok: false, error: validated.error });
+    const existing = await loadCuratorProfileByEmail(user.email);
+    const holder = await loadCuratorProfileByHandle(validated.profile.handle);
+    if (holder && holder.id !== existing?.id) return res.status(409).json({ ok: false, error: 'That handle is taken' });
+
+    const profile = await saveCuratorProfile(user.email, validated.profile, existing);
+    if (!profile) return res.status(409).json({ ok: false, error: 'That handle is taken' });
+    res.status(existing ? 200 : 201).json({ ok: true, profile: publicProfile(profile) });
+  } catch (err) {
+    console.error('[MASS] Save curator profile failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to save profile' });
+  }
+});
+
+router.delete('/profile', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const profile = await loadCuratorProfileByEmail(user.email);
+    if (!profile) return res.json({ ok: true });
+    // Unlist first, so nothing stays public if a later step fails.
+    for (const playlist of await loadListedPlaylists(profile.email)) {
+      await updatePlaylist(playlist._fmRecordId, { listedAt: null });
+    }
+    await deleteCuratorProfile(profile);
+    await deleteFollowsOf('curator', profile.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MASS] Delete curator profile failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to delete profile' });
+  }
+});
+
+router.put('/profile/playlists/:playlistId', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const listed = req.body?.listed;
+  if (typeof listed !== 'boolean') return res.status(400).json({ ok: false, error: 'listed must be true or false' });
+  try {
+    const playlist = await loadPlaylistById(req.params.playlistId, user.email);
+    if (!playlist) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    if (listed) {
+      if (!await loadCuratorProfileByEmail(user.email)) {
+        return res.status(409).json({ ok: false, error: 'Set up your curator profile first' });
+      }
+      if (!playlist.shareId) return res.status(409).json({ ok: false, error: 'Share the playlist first' });
+    }
+    // Listing isn't an edit — Updated_At (and so the followers' feed) stays put.
+    const listedAt = listed ? (playlist.listedAt || new Date().toISOString()) : null;
+    if (listedAt !== playlist.listedAt) await updatePlaylist(playlist._fmRecordId, { listedAt });
+    res.json({ ok: true, listed, playlistId: playlist.id, shareId: playlist.shareId });
+  } catch (err) {
+    console.error('[MASS] List playlist on profile failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to update listing' });
+  }
+});
+
+// ── Curators ──────────────────────────────────────────────────────────────────
+
+router.get('/curators/:handle', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const curator = await requireCurator(req, res);
+    if (!curator) return;
+    const [followers, following, playlists] = await Promise.all([
+      countFollowers('curator', curator.id),
+      loadFollow(user.email, 'curator', curator.id),
+      listedSummaries(curator)
+    ]);
+    res.json({
+      ok: true, curator: publicProfile(curator), followers, following: Boolean(following),
+      own: isSelf(curator, user.email), playlists
+    });
+  } catch (err) {
+    console.error('[MASS] Load curator failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to load curator' });
+  }
+});
+
+router.post('/curators/:handle/follow', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const curator = await requireCurator(req, res);
+    if (!curator) return;
+    if (isSelf(curator, user.email)) return res.status(400).json({ ok: false, error: 'You can’t follow yourself' });
+    const { status, body } = await follow(user.email, 'curator', curator.id);
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('[MASS] Follow curator failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to follow' });
+  }
+});
+
+router.delete('/curators/:handle/follow', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const curator = await requireCurator(req, res);
+    if (!curator) return;
+    res.json(await unfollow(user.email, 'curator', curator.id));
+  } catch (err) {
+    console.error('[MASS] Unfollow curator failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to unfollow' });
+  }
+});
+
+// ── Shared playlists ──────────────────────────────────────────────────────────
+
+router.get('/shared-playlists/:shareId/follow', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const playlist = await requireSharedPlaylist(req, res);
+    if (!playlist) return;
+    const [followers, following, curator] = await Promise.all([
+      countFollowers('playlist', playlist.id),
+      loadFollow(user.email, 'playlist', playlist.id),
+      // Only a listed playlist says whose it is.
+      playlist.listedAt ? loadCuratorProfileByEmail(playlist.userId) : null
+    ]);
+    res.json({
+      ok: true, followers, following: Boolean(following),
+      own: playlistOwnerMatches(playlist.userId, user.email),
+      curator: curator ? { handle: curator.handle, displayName: curator.displayName } : null
+    });
+  } catch (err) {
+    console.error('[MASS] Load playlist follow failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to load playlist' });
+  }
+});
+
+router.post('/shared-playlists/:shareId/follow', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const playlist = await requireSharedPlaylist(req, res);
+    if (!playlist) return;
+    if (playlistOwnerMatches(playlist.userId, user.email)) {
+      return res.status(400).json({ ok: false, error: 'That’s your own playlist' });
+    }
+    const { status, body } = await follow(user.email, 'playlist', playlist.id, playlist.shareId);
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('[MASS] Follow playlist failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to follow' });
+  }
+});
+
+router.delete('/shared-playlists/:shareId/follow', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const playlist = await requireSharedPlaylist(req, res);
+    if (!playlist) return;
+    res.json(await unfollow(user.email, 'playlist', playlist.id));
+  } catch (err) {
+    console.error('[MASS] Unfollow playlist failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to unfollow' });
+  }
+});
+
+// ── What the caller follows ───────────────────────────────────────────────────
+
+router.get('/following', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const follows = await loadFollowsFor(user.email);
+    const playlists = await loadFollowed(follows.filter((f) => f.targetType === 'playlist'), async (f) => {
+      const playlist = await loadPlaylistById(f.targetId);
+      return followStillReaches(playlist, f) ? playlist : null;
+    });
+    const curators = await loadFollowed(follows.filter((f) => f.targetType === 'curator'), (f) => loadCuratorProfileById(f.targetId));
+    res.json({
+      ok: true,
+      playlists: playlists.map(({ follow: f, target }) => ({ ...playlistSummary(target), followedAt: f.createdAt })),
+      curators: curators.map(({ follow: f, target }) => ({ ...publicProfile(target), followedAt: f.createdAt }))
+    });
+  } catch (err) {
+    console.error('[MASS] Load follows failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to load follows' });
+  }
+});
+
+router.get('/following/feed', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const since = typeof req.query.since === 'string' && req.query.since ? req.query.since : null;
+  if (since && Number.isNaN(Date.parse(since))) return res.status(400).json({ ok: false, error: 'since must be a date' });
+  try {
+    const items = await buildFollowFeed(user.email, { since, limit: FEED_LIMIT });
+    res.json({ ok: true, items });
+  } catch (err) {
+    console.error('[MASS] Load follow feed failed:', err);
+    res.status(500).json({ ok: false, error: 'Unable to load feed' });
+  }
+});
+
+export default router;
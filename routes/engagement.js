@@ -0,0 +1,95 @@
+// routes/engagement.js — skip / completion analytics for editors (lib/engagement.js).
+//
+//   GET  /api/engagement?level=tracks|albums[&sort=score|skipRate|completion|replay|listens]
+//                       [&order=asc|desc][&minListens=5][&limit=50]
+//   GET  /api/engagement?level=g100   every G100 pick with its album figures
+//                                     (null when nobody played it in the window)
+//   POST /api/engagement/refresh      rebuild the snapshot now
+//
+// Rows carry skipRate (stopped inside 30 s), avgCompletion, replayRate (came
+// back another day) and the blended score /trending and "Similar albums" rank
+// on. Read from the in-memory snapshot; 503 until the first build lands.
+//
+// Admin-key only (X-Admin-Key, like /royalty/report) — it skips the token
+// middleware and requireAdminKey guards it instead. Mounted only while
+// ENGAGEMENT_ENABLED=true (404-fenced in server.js otherwise).
+import { Router } from 'express';
+import { requireAdminKey } from './admin.js';
+import { featuredWarmers } from './catalog/featured.js';
+import { albumIdentity, getEngagementSnapshot, refreshEngagement } from '../lib/engagement.js';
+import { parsePositiveInt } from '../lib/format.js';
+
+const router = Router();
+
+const LEVELS = new Set(['tracks', 'albums', 'g100']);
+const SORTS = { score: 'score', skipRate: 'skipRate', completion: 'avgCompletion', replay: 'replayRate', listens: 'listens' };
+
+// G100 picks are one catalogue record per album; join on the same identity the
+// snapshot groups albums by.
+async function g100Rows(snapshot) {
+  const { value: picks } = await featuredWarmers.g100();
+  const byKey = new Map(snapshot.albums.map((a) => [a.key, a]));
+  const byCat = new Map(snapshot.albums.filter((a) => a.catalogue).map((a) => [a.catalogue.toLowerCase(), a]));
+  return (picks || []).map((pick) => {
+    const id = albumIdentity(pick.fields || {});
+    const row = id && ((id.catalogue && byCat.get(id.catalogue.toLowerCase())) || byKey.get(id.key));
+    return {
+      recordId: pick.recordId,
+      title: id?.title || '',
+      artist: id?.artist || '',
+      catalogue: id?.catalogue || '',
+      engagement: row
+        ? { listens: row.listens, listeners: row.listeners, skipRate: row.skipRate, avgCompletion: row.avgCompletion, replayRate: row.replayRate, score: row.score }
+        : null
+    };
+  });
+}
+
+router.get('/engagement', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const level = String(req.query.level || 'tracks');
+  if (!LEVELS.has(level)) return res.status(400).json({ ok: false, error: 'level must be tracks, albums or g100' });
+  const sortKey = String(req.query.sort || 'score');
+  const field = SORTS[sortKey];
+  if (!field) return res.status(400).json({ ok: false, error: `sort must be one of ${Object.keys(SORTS).join(', ')}` });
+  const order = String(req.query.order || (sortKey === 'skipRate' ? 'desc' : 'asc'));
+  if (order !== 'asc' && order !== 'desc') return res.status(400).json({ ok: false, error: 'order must be asc or desc' });
+  const minListens = parsePositiveInt(req.query.minListens, 5);
+  const limit = Math.min(parsePositiveInt(req.query.limit, 50), 1000);
+
+  const snapshot = getEngagementSnapshot();
+  if (!snapshot) return res.status(503).json({ ok: false, error: 'Engagement analytics are still building — try again shortly' });
+  const meta = { builtAt: snapshot.builtAt, window: snapshot.window, truncated: snapshot.truncated, totals: snapshot.totals };
+  const dir = order === 'asc' ? 1 : -1;
+
+  try {
+    if (level === 'g100') {
+      // Unplayed picks last, whatever the order — "nobody listened" is its own answer.
+      const rows = (await g100Rows(snapshot)).sort((a, b) => {
+        if (!a.engagement || !b.engagement) return (a.engagement ? 0 : 1) - (b.engagement ? 0 : 1);
+        return dir * (a.engagement[field] - b.engagement[field]);
+      });
+      return res.json({ ok: true, level, sort: sortKey, order, ...meta, items: rows.slice(0, limit), total: rows.length });
+    }
+    const rows = snapshot[level]
+      .filter((r) => r.listens >= minListens)
+      .sort((a, b) => dir * (a[field] - b[field]) || b.listens - a.listens);
+    res.json({ ok: true, level, sort: sortKey, order, minListens, ...meta, items: rows.slice(0, limit), total: rows.length });
+  } catch (err) {
+    console.error('[MASS] Engagement report failed:', err);
+    res.status(500).json({ ok: false, error: 'Engagement report failed' });
+  }
+});
+
+router.post('/engagement/refresh', requireAdminKey, async (_req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const snapshot = await refreshEngagement();
+    res.json({ ok: true, builtAt: snapshot.builtAt, totals: snapshot.totals, truncated: snapshot.truncated });
+  } catch (err) {
+    console.error('[MASS] Engagement rebuild failed:', err);
+    res.status(500).json({ ok: false, error: err?.message || 'Engagement rebuild failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+// Listening history — /api/history (lib/listening-history.js, lib/history-store.js).
+//
+//   GET    /api/history?kind=tracks|albums&limit=20&offset=0
+//                                 recently played, newest first, one entry per
+//                                 track (or album) with play count, last played
+//                                 and where the last listen stopped
+//   DELETE /api/history           "clear history" — hides every listen so far
+//   PUT    /api/history/settings  { paused: true|false } — "pause history"
+//
+// Keyed on the access token, like /api/my-stats: Stream_Events records carry
+// Token_Number, and that is what "recently played" reads. Clearing and pausing
+// only hide listens from these views — the records are the royalty log — and
+// delete the token's saved Wrapped summaries, which are rebuilt without them.
+//
+// Mounted only while HISTORY_ENABLED=true (404-fenced before the auth
+// middleware otherwise) — it needs the API_History layout in FileMaker.
+import { Router } from 'express';
+import {
+  HISTORY_KINDS,
+  HISTORY_MAX_PAGE,
+  forgetListeningHistory,
+  loadListeningHistory
+} from '../lib/listening-history.js';
+import {
+  clearHistorySettings,
+  loadHistorySettings,
+  setHistoryPaused,
+  updateHistorySettings
+} from '../lib/history-store.js';
+import { forgetPlayCounts } from '../lib/play-counts.js';
+import { forgetWrapped } from '../lib/wrapped.js';
+import { parsePositiveInt } from '../lib/format.js';
+
+const router = Router();
+
+// User-specific and constantly changing — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+// The AUTHENTICATED token from the /api/ middleware, never a caller-supplied
+// one (the /my-stats IDOR lesson). FM finds are case-insensitive; upper-case
+// keeps the caches and the settings record to one key per token.
+function requireToken(req, res) {
+  const token = (req.accessToken?.code || '').toString().trim().toUpperCase();
+  if (!token) res.status(403).json({ ok: false, error: 'Authentication required' });
+  return token;
+}
+
+const publicSettings = (s) => ({ paused: s.paused, pausedSince: s.pausedSince, clearedAt: s.clearedAt });
+
+router.get('/', async (req, res) => {
+  const token = requireToken(req, res);
+  if (!token) return;
+  const kind = String(req.query.kind || 'tracks');
+  if (!HISTORY_KINDS.has(kind)) return res.status(400).json({ ok: false, error: 'kind must be tracks or albums' });
+  const limit = Math.min(parsePositiveInt(req.query.limit, 20), HISTORY_MAX_PAGE);
+  const offset = Number.parseInt(req.query.offset, 10) > 0 ? Number.parseInt(req.query.offset, 10) : 0;
+  try {
+    const settings = await loadHistorySettings(token);
+    const page = await loadListeningHistory(token, settings, { kind, limit, offset });
+    res.json({ ok: true, kind, offset, limit, ...page, settings: publicSettings(settings) });
+  } catch (err) {
+    console.error('[MASS] Load listening history failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load listening history' });
+  }
+});
+
+router.delete('/', async (req, res) => {
+  const token = requireToken(req, res);
+  if (!token) return;
+  try {
+    const settings = await updateHistorySettings(token, (s) => clearHistorySettings(s));
+    forgetListeningHistory(token);
+    // The play-count badges re-seed from what is still visible (no-op while
+    // PLAY_COUNTS_ENABLED is off).
+    await forgetPlayCounts(token);
+    // Saved Wrapped summaries still show what was just hidden, on a public
+    // page (no-op while WRAPPED_ENABLED is off).
+    await forgetWrapped(token);
+    res.json({ ok: true, settings: publicSettings(settings) });
+  } catch (err) {
+    console.error('[MASS] Clear listening history failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to clear listening history' });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  const token = requireToken(req, res);
+  if (!token) return;
+  if (typeof req.body?.paused !== 'boolean') return res.status(400).json({ ok: false, error: 'paused must be true or false' });
+  try {
+    const settings = await updateHistorySettings(token, (s) => setHistoryPaused(s, req.body.paused));
+    forgetListeningHistory(token);
+    if (req.body.paused) await forgetWrapped(token);
+    res.json({ ok: true, settings: publicSettings(settings) });
+  } catch (err) {
+    console.error('[MASS] Update history settings failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to update history settings' });
+  }
+});
+
+export default router;
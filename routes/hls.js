@@ -0,0 +1,212 @@
+// HLS packaging of catalogue MP3s — adaptive, resumable playback for flaky
+// mobile connections.
+//
+// A dropped socket on a progressive MP3 restarts the track from scratch on
+// many mobile stacks; with HLS the player just re-requests the ~6 s segment it
+// lost. Segments are cut from the original S3 object at frame boundaries on
+// demand (lib/hls.js) — no transcode, no pre-cut files, no extra storage.
+//
+//   GET /api/hls/:recordId                      token-gated; mints a signed playlist URL
+//   GET /api/hls-media/:recordId/index.m3u8     signed; VOD playlist of signed segments
+//   GET /api/hls-media/:recordId/:n.mp3         signed; one packed-audio segment
+//
+// Native HLS players can't send X-Access-Token, so the token check happens
+// once, at mint time; the playlist and segments carry an HMAC signature bound
+// to the minting token and an expiry instead (lib/media-sign.js), plus the
+// sealed token, which must still be live (lib/media-liveness.js) — a disabled
+// token's playlist stops at the next segment. /hls-media/ is skip-listed in
+// the auth middleware for that reason.
+//
+// Mounted only while HLS_ENABLED=true (404-fenced before the auth middleware
+// otherwise, same pattern as podcasts/suggestions/preview). Only upstreams
+// that honour Range (S3 / the media CDN) are packaged; anything else gets a
+// 404 from the mint route and the client plays the progressive stream.
+import { Router } from 'express';
+import { validators } from '../lib/validators.js';
+import { FM_LAYOUT, FM_HOST } from '../lib/fm-fields.js';
+import { hlsPlanCache } from '../cache.js';
+import { HLS_SEGMENT_SECONDS, SEGMENT_TAIL_PROBE_BYTES, planSegments, renderPlaylist, sliceSegment } from '../lib/hls.js';
+import { isMediaSigningConfigured, mediaSubject, sealMediaToken, signMedia, verifyMedia, mediaQueryString } from '../lib/media-sign.js';
+import { checkMediaTokenLive } from '../lib/media-liveness.js';
+import { resolveTrackAudio, fetchAudioPrefix, readAudioHead } from './stream.js';
+
+const router = Router();
+
+// How long a minted playlist (and every segment in it) stays playable. Long
+// enough for a track plus a long pause; the client re-mints on expiry.
+const HLS_URL_TTL_SEC = Math.max(300, Number.parseInt(process.env.HLS_URL_TTL_SEC, 10) || 4 * 60 * 60);
+
+const REGEX_SEGMENT_FILE = /^(\d{1,5})\.mp3$/;
+
+// Segment plan for an audio URL, LRU-cached (null = can't be packaged).
+async function getPlan(url, requiresAuth, signal) {
+  const cached = hlsPlanCache.get(url);
+  if (cached) return cached.plan;
+  const { parsed, totalSize, ranged } = await readAudioHead(url, requiresAuth, signal, HLS_SEGMENT_SECONDS);
+  // Every segment is a ranged read. An upstream that ignores Range (FM
+  // containers) would stream the whole file through us per segment.
+  const plan = ranged ? planSegments(parsed, totalSize) : null;
+  hlsPlanCache.set(url, { plan });
+  return plan;
+}
+
+// recordId → { url, requiresAuth, plan } or null when there's nothing to package.
+// Layout is pinned to FM_LAYOUT, as in the preview route.
+async function resolvePlan(recordId, signal) {
+  const resolved = await resolveTrackAudio(recordId, FM_LAYOUT);
+  if (!resolved.ok) return null;
+  const requiresAuth = !!(FM_HOST && resolved.url.startsWith(FM_HOST));
+  const plan = await getPlan(resolved.url, requiresAuth, signal);
+  return plan ? { url: resolved.url, requiresAuth, plan } : null;
+}
+
+// Signature first (pure CPU), then the token behind it must still be live.
+async function verifySigned(resource, query) {
+  const check = verifyMedia(resource, query);
+  if (!check.ok) return check;
+  const live = await checkMediaTokenLive(query, check.sub);
+  return live.ok ? check : live;
+}
+
+function withAbort(req) {
+  const ctx = { clientAborted: false, controller: new AbortController() };
+  const onClose = () => { ctx.clientAborted = true; ctx.controller.abort(); };
+  req.once('close', onClose);
+  ctx.release = () => req.off('close', onClose);
+  return ctx;
+}
+
+router.get('/hls/:recordId', async (req, res) => {
+  const recordId = (req.params?.recordId || '').toString().trim();
+  if (!validators.recordId(recordId).valid) {
+    res.status(400).json({ ok: false, error: 'Invalid record ID' });
+    return;
+  }
+  // Fail closed: never hand out URLs signed with an empty key.
+  if (!isMediaSigningConfigured()) {
+    res.status(503).json({ ok: false, error: 'HLS not configured' });
+    return;
+  }
+  const sub = mediaSubject(req.accessToken?.code);
+  if (!sub) {
+    res.status(403).json({ ok: false, error: 'Access token required', requiresAccessToken: true });
+    return;
+  }
+
+  const ctx = withAbort(req);
+  try {
+    const target = await resolvePlan(recordId, ctx.controller.signal);
+    if (!target) {
+      res.status(404).json({ ok: false, error: 'HLS unavailable for this track' });
+      return;
+    }
+    const signed = signMedia(`hls:${recordId}:index`, { sub, ttlSec: HLS_URL_TTL_SEC });
+    signed.tok = sealMediaToken(req.accessToken.code);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json({
+      ok: true,
+      url: `/api/hls-media/${encodeURIComponent(recordId)}/index.m3u8?${mediaQueryString(signed)}`,
+      expiresAt: new Date(signed.exp * 1000).toISOString(),
+      durationSec: Math.round(target.plan.durationSec * 1000) / 1000
+    });
+  } catch (err) {
+    if (ctx.clientAborted) return;
+    console.error('[MASS] HLS mint failed:', err.message || err);
+    if (!res.headersSent) res.status(502).json({ ok: false, error: 'HLS unavailable' });
+  } finally {
+    ctx.release();
+  }
+});
+
+router.get('/hls-media/:recordId/index.m3u8', async (req, res) => {
+  const recordId = (req.params?.recordId || '').toString().trim();
+  if (!validators.recordId(recordId).valid) {
+    res.status(400).json({ ok: false, error: 'Invalid record ID' });
+    return;
+  }
+  const check = await verifySigned(`hls:${recordId}:index`, req.query);
+  if (!check.ok) {
+    res.status(403).json({ ok: false, error: 'Invalid or expired link', reason: check.reason });
+    return;
+  }
+
+  const ctx = withAbort(req);
+  try {
+    const target = await resolvePlan(recordId, ctx.controller.signal);
+    if (!target) {
+      res.status(404).json({ ok: false, error: 'Track not found' });
+      return;
+    }
+    // Segment URLs are relative to the playlist and share its expiry + subject.
+    const body = renderPlaylist(target.plan, (n) => {
+      const signed = signMedia(`hls:${recordId}:${n}`, { sub: check.sub, exp: check.exp });
+      return `${n}.mp3?${mediaQueryString({ ...signed, tok: req.query.tok })}`;
+    });
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(body);
+  } catch (err) {
+    if (ctx.clientAborted) return;
+    console.error('[MASS] HLS playlist failed:', err.message || err);
+    if (!res.headersSent) res.status(502).json({ ok: false, error: 'HLS unavailable' });
+  } finally {
+    ctx.release();
+  }
+});
+
+router.get('/hls-media/:recordId/:file', async (req, res) => {
+  const recordId = (req.params?.recordId || '').toString().trim();
+  const m = REGEX_SEGMENT_FILE.exec(req.params?.file || '');
+  if (!m || !validators.recordId(recordId).valid) {
+    res.status(404).json({ ok: false, error: 'Not found' });
+    return;
+  }
+  const n = Number.parseInt(m[1], 10);
+  const check = await verifySigned(`hls:${recordId}:${n}`, req.query);
+  if (!check.ok) {
+    res.status(403).json({ ok: false, error: 'Invalid or expired link', reason: check.reason });
+    return;
+  }
+
+  const ctx = withAbort(req);
+  try {
+    const target = await resolvePlan(recordId, ctx.controller.signal);
+    const seg = target?.plan.segments[n];
+    if (!seg) {
+      res.status(404).json({ ok: false, error: 'Segment not found' });
+      return;
+    }
+    const { plan } = target;
+    const isLast = n === plan.segments.length - 1;
+    // All but the last segment read a little past their end so the closing
+    // frame boundary can be confirmed.
+    const length = Math.min(plan.totalSize, seg.to + (isLast ? 0 : SEGMENT_TAIL_PROBE_BYTES)) - seg.from;
+    if (length <= 0) {
+      res.status(404).json({ ok: false, error: 'Segment not found' });
+      return;
+    }
+    const { buf, ranged } = await fetchAudioPrefix(target.url, target.requiresAuth, ctx.controller.signal, seg.from, length);
+    if (!ranged) {
+      // The plan was built against a ranged upstream; if that changed under us
+      // the bytes are from offset 0 and useless for this segment.
+      res.status(502).json({ ok: false, error: 'Segment source unavailable' });
+      return;
+    }
+    const body = sliceSegment(buf, seg, isLast);
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Content-Length', body.length);
+    // Private: the URL is bound to one listener's token.
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.end(body);
+  } catch (err) {
+    if (ctx.clientAborted) return;
+    console.error('[MASS] HLS segment failed:', err.message || err);
+    if (!res.headersSent) {
+      res.status(err.upstreamStatus === 404 ? 404 : 502).json({ ok: false, error: 'Segment unavailable' });
+    }
+  } finally {
+    ctx.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,81 @@
+// routes/live.js — "listening now" over Server-Sent Events (lib/live-feed.js).
+//
+//   GET /api/live/listening   public ticker: { listening, tracks[{ trackRecordId,
+//                             title, artist, listeners }] } — counts only, no
+//                             listener data. SSE when the client asks for
+//                             text/event-stream, else one JSON snapshot.
+//   GET /api/live/events      every stream event as it lands (admin: X-Admin-Key).
+//                             A browser with no key gets a small page that asks
+//                             for it once and reads the stream with the header
+//                             (the secret never goes in the URL, as /pg-mirror).
+//
+// Mounted only when LIVE_FEED_ENABLED (404-fenced before the auth middleware
+// otherwise). Both paths skip token auth: the ticker is public by design and
+// requireAdminKey guards the full stream.
+import { Router } from 'express';
+import { requireAdminKey } from './admin.js';
+import { listeningNow, subscribe } from '../lib/live-feed.js';
+
+const router = Router();
+
+const wantsStream = (req) => String(req.get('accept') || '').includes('text/event-stream');
+
+router.get('/listening', (req, res) => {
+  if (!wantsStream(req)) {
+    res.set('Cache-Control', 'no-store');
+    return res.json({ ok: true, ...listeningNow() });
+  }
+  if (!subscribe('public', req, res)) {
+    return res.status(503).json({ ok: false, error: 'Live feed is full — try again shortly' });
+  }
+});
+
+const LIVE_EVENTS_SHELL = `<!doctype html><meta charset=utf-8><meta name=viewport content="width=device-width,initial-scale=1">
+<title>Listening now</title><style>
+body{font:14px/1.5 system-ui,sans-serif;margin:0;background:#0f1115;color:#e6e8eb}
+header{padding:16px 20px;border-bottom:1px solid #222;display:flex;gap:12px;align-items:center}
+h1{font-size:16px;margin:0;font-weight:600}main{padding:20px;max-width:900px}
+input{font:inherit;padding:8px 10px;border:1px solid #333;border-radius:6px;background:#171a20;color:#e6e8eb}
+button{font:inherit;padding:8px 14px;border:0;border-radius:6px;background:#2d6cdf;color:#fff;cursor:pointer}
+table{border-collapse:collapse;width:100%}td,th{text-align:left;padding:5px 10px;border-bottom:1px solid #222}
+.muted{color:#9aa3ad}.err{color:#ff6b6b}.PLAY{color:#5fd38d}.END,.ERROR{color:#ff6b6b}.pv{color:#f0b429}
+</style>
+<header><h1>Listening now</h1><span id=n class=muted></span></header>
+<main id=app><form id=f><p>Enter admin key to view:</p><input id=k type=password autocomplete=current-password> <button>View</button></form></main>
+<script>
+const app=document.getElementById('app'),n=document.getElementById('n');
+const esc=s=>String(s==null?'':s).replace(/[&<>"]/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+function row(e){return '<tr><td class=muted>'+new Date(e.at).toLocaleTimeString()+'<td class='+esc(e.type)+'>'+esc(e.type)+'<td>'+esc(e.title||'#'+e.trackRecordId)+' <span class=muted>'+esc(e.artist)+'</span><td'+(e.mode==='PREVIEW'?' class=pv':'')+'>'+esc(e.mode)+'<td class=muted>'+(e.subscriber?'subscriber':'guest')+' '+esc(e.listener)+'</tr>'}
+async function watch(key){
+  app.innerHTML='<p class=muted>Connecting…</p>';
+  let r; try{ r=await fetch('/api/live/events',{headers:{'X-Admin-Key':key,Accept:'text/event-stream'}}); }catch(e){ app.innerHTML='<p class=err>Network error</p>'; return; }
+  if(r.status===401){ sessionStorage.removeItem('mk'); location.reload(); return; }
+  if(!r.ok){ app.innerHTML='<p class=err>'+r.status+'</p>'; return; }
+  app.innerHTML='<table><tbody id=rows></tbody></table>';
+  const rows=document.getElementById('rows'),reader=r.body.getReader(),dec=new TextDecoder();let buf='';
+  for(;;){ const {value,done}=await reader.read(); if(done) break; buf+=dec.decode(value,{stream:true});
+    let i; while((i=buf.indexOf('\\n\\n'))>=0){ const block=buf.slice(0,i); buf=buf.slice(i+2);
+      const ev=(block.match(/^event: (.*)$/m)||[])[1], data=(block.match(/^data: (.*)$/m)||[])[1]; if(!data) continue;
+      const d=JSON.parse(data);
+      if(ev==='hello') n.textContent=d.listening+' listening';
+      if(ev==='listen'){ rows.insertAdjacentHTML('afterbegin',row(d)); while(rows.children.length>300) rows.lastChild.remove(); } } }
+  app.insertAdjacentHTML('afterbegin','<p class=err>Disconnected — reload to reconnect.</p>');
+}
+document.getElementById('f').onsubmit=e=>{e.preventDefault();const k=document.getElementById('k').value.trim();if(k){sessionStorage.setItem('mk',k);watch(k);}};
+const saved=sessionStorage.getItem('mk'); if(saved) watch(saved);
+</script>`;
+
+router.get('/events', (req, res, next) => {
+  // Browser with no key → the prompt page (reveals nothing).
+  if (!req.headers['x-admin-key'] && !wantsStream(req) && req.accepts('html')) {
+    res.type('html');
+    return res.send(LIVE_EVENTS_SHELL);
+  }
+  return next();
+}, requireAdminKey, (req, res) => {
+  if (!subscribe('admin', req, res)) {
+    return res.status(503).json({ ok: false, error: 'Too many live-feed viewers' });
+  }
+});
+
+export default router;
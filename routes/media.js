@@ -0,0 +1,52 @@
+// Signed media edge — GET /media/<object key>?exp=&sub=&sig=
+//
+// Serves full-length bucket audio ONLY against a signature minted by the
+// token-gated /api/track/:recordId/container (routes/stream.js,
+// signedMediaUrl). The media CDN's /media/* behaviour fronts this handler
+// (query string forwarded to the origin); without a CDN the app serves it
+// directly. The HMAC is checked first; then the token the URL was minted for
+// must still be live (lib/media-liveness.js — cached, so not a FileMaker
+// round-trip per Range request, which matters because <audio> issues many of
+// them per track). A disabled token's URLs stop playing.
+//
+// Mounted only while MEDIA_SIGNING_ENABLED=true. Lives outside /api on
+// purpose: the path is what the CDN routes, and media elements can't send
+// X-Access-Token anyway — the signature IS the credential.
+import { Router } from 'express';
+import { verifyMedia } from '../lib/media-sign.js';
+import { checkMediaTokenLive } from '../lib/media-liveness.js';
+import { isAudioObjectKey, proxyUpstream } from './stream.js';
+
+const router = Router();
+
+// Where the bytes actually live. Path-style S3 by default — the audio
+// connection pool (2026-07-27 "songs hang" incident).
+const MEDIA_ORIGIN = (process.env.MEDIA_ORIGIN_URL || 'https://s3.eu-north-1.amazonaws.com/mass-music-audio-files')
+  .trim().replace(/\/+$/, '');
+
+router.get('/media/*key', async (req, res) => {
+  // Express hands the wildcard over as decoded path segments.
+  const segments = [].concat(req.params?.key || []);
+  const key = segments.join('/');
+  // Same key rules as minting: audio only, no traversal.
+  if (!isAudioObjectKey(key)) {
+    res.status(404).json({ ok: false, error: 'Not found' });
+    return;
+  }
+  const check = verifyMedia(`media:${key}`, req.query);
+  if (!check.ok) {
+    res.status(403).json({ ok: false, error: 'Invalid or expired link', reason: check.reason });
+    return;
+  }
+  const live = await checkMediaTokenLive(req.query, check.sub);
+  if (!live.ok) {
+    res.status(403).json({ ok: false, error: 'Invalid or expired link', reason: live.reason });
+    return;
+  }
+  // Private (bound to one listener) and never cached past the link's expiry.
+  const maxAge = Math.max(0, Math.min(3600, check.exp - Math.floor(Date.now() / 1000)));
+  const upstreamUrl = `${MEDIA_ORIGIN}/${segments.map(encodeURIComponent).join('/')}`;
+  await proxyUpstream(req, res, upstreamUrl, false, { cacheControl: `private, max-age=${maxAge}` });
+});
+
+export default router;
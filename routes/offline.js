@@ -0,0 +1,160 @@
+// Offline downloads for subscribers in the mobile app — /api/offline
+// (lib/offline-licence.js; client: public/js/mobile/offline.js).
+//
+//   POST /api/offline/licence       { deviceId, kind, id, recordIds? } → { licence, key }
+//   POST /api/offline/revalidate    { deviceId, licences: [...] }       → fresh expiries per licence
+//   GET  /api/offline/audio/:recordId                                   → the full track, for encryption on-device
+//
+// /api/download is one-off paid purchases of a DRM-free file; this is the
+// subscriber side: the app downloads once on wifi, stores the audio encrypted
+// (IndexedDB, AES-GCM), and plays it without data for as long as the licence
+// lives. Licences are stateless HMACs bound to the token and the device; the
+// client revalidates whenever it is online, so a renewal extends them and a
+// disabled/expired token (403 from the auth middleware) makes the app wipe
+// its cache.
+//
+// Mounted only while OFFLINE_DOWNLOADS_ENABLED=true (404-fenced before the
+// auth middleware otherwise). Needs AUTH_SECRET: licences and content keys
+// are keyed by it, and every route 503s without it.
+import { Router } from 'express';
+import { requireTokenEmail } from '../lib/auth.js';
+import { FM_LAYOUT, FM_HOST } from '../lib/fm-fields.js';
+import { isMediaSigningConfigured, mediaSubject } from '../lib/media-sign.js';
+import {
+  LICENCE_KINDS,
+  canDownloadOffline,
+  contentKey,
+  isValidCollectionId,
+  issueLicence,
+  normalizeTrackIds,
+  verifyLicence
+} from '../lib/offline-licence.js';
+import { loadPlaylistById } from '../lib/playlist-store.js';
+import { isValidDeviceId } from '../lib/queue-store.js';
+import { validators } from '../lib/validators.js';
+import { proxyUpstream, resolveTrackAudio } from './stream.js';
+
+const router = Router();
+
+// Licences and keys are per listener — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+// Fail closed (no signing key) and subscribers only. Returns the token's
+// media subject, or null once a response has been sent.
+function offlineSubject(req, res) {
+  if (!isMediaSigningConfigured()) {
+    res.status(503).json({ ok: false, error: 'Offline downloads not configured' });
+    return null;
+  }
+  if (!canDownloadOffline(req.accessToken)) {
+    res.status(403).json({ ok: false, error: 'Offline downloads are for subscribers', requiresSubscription: true });
+    return null;
+  }
+  return mediaSubject(req.accessToken.code);
+}
+
+// A playlist's track list comes from the stored playlist (owner only), so a
+// licence can't claim to be "my playlist" while listing something else.
+async function playlistTrackIds(req, res, playlistId) {
+  const user = requireTokenEmail(req, res);
+  if (!user) return null;
+  const playlist = await loadPlaylistById(playlistId, user.email);
+  if (!playlist) {
+    res.status(404).json({ ok: false, error: 'Playlist not found' });
+    return null;
+  }
+  return (playlist.tracks || []).map((t) => t.trackRecordId || t.recordId).filter(Boolean);
+}
+
+router.post('/licence', async (req, res) => {
+  const sub = offlineSubject(req, res);
+  if (!sub) return;
+  const { deviceId, kind } = req.body || {};
+  const collectionId = String(req.body?.id ?? '').trim();
+  if (!isValidDeviceId(deviceId)) return res.status(400).json({ ok: false, error: 'Valid deviceId required' });
+  if (!LICENCE_KINDS.has(kind)) return res.status(400).json({ ok: false, error: 'kind must be track, album or playlist' });
+  if (!isValidCollectionId(collectionId)) return res.status(400).json({ ok: false, error: 'Valid id required' });
+
+  try {
+    let recordIds = req.body.recordIds;
+    if (kind === 'track') recordIds = [collectionId];
+    if (kind === 'playlist') {
+      recordIds = await playlistTrackIds(req, res, collectionId);
+      if (!recordIds) return;
+    }
+    const tracks = normalizeTrackIds(recordIds);
+    if (!tracks.ok) return res.status(400).json({ ok: false, error: tracks.error });
+
+    const licence = issueLicence({
+      sub,
+      deviceId,
+      kind,
+      collectionId,
+      tracks: tracks.tracks,
+      tokenExpiration: req.accessToken.expirationDate
+    });
+    if (!licence) return res.status(403).json({ ok: false, error: 'Access token expired', requiresAccessToken: true });
+    res.json({ ok: true, licence, key: contentKey(sub, deviceId) });
+  } catch (err) {
+    console.error('[MASS] Offline licence failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to issue licence' });
+  }
+});
+
+// Re-sign every still-valid licence the device holds against the token's
+// current expiry. Per-licence failures are reported, not fatal: an expired
+// licence is re-requested via /licence (the audio stays on the device), a
+// forged or foreign one is dropped by the client.
+router.post('/revalidate', (req, res) => {
+  const sub = offlineSubject(req, res);
+  if (!sub) return;
+  const { deviceId, licences } = req.body || {};
+  if (!isValidDeviceId(deviceId)) return res.status(400).json({ ok: false, error: 'Valid deviceId required' });
+  if (!Array.isArray(licences) || licences.length > 500) {
+    return res.status(400).json({ ok: false, error: 'licences must be an array (max 500)' });
+  }
+
+  try {
+    const results = licences.map((l) => {
+      const id = typeof l?.id === 'string' ? l.id.slice(0, 260) : '';
+      if (l?.deviceId !== deviceId) return { id, ok: false, reason: 'wrong_device' };
+      const check = verifyLicence(l, sub);
+      if (!check.ok) return { id, ok: false, reason: check.reason };
+      const licence = issueLicence({
+        sub,
+        deviceId,
+        kind: l.kind,
+        collectionId: l.collectionId,
+        tracks: normalizeTrackIds(l.tracks).tracks,
+        tokenExpiration: req.accessToken.expirationDate
+      });
+      return licence ? { id, ok: true, licence } : { id, ok: false, reason: 'expired' };
+    });
+    res.json({ ok: true, licences: results, key: contentKey(sub, deviceId) });
+  } catch (err) {
+    console.error('[MASS] Offline revalidation failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to revalidate licences' });
+  }
+});
+
+// The audio bytes to encrypt. Same-origin on purpose: fetch() applies CORS
+// and the bucket sends none, and the token header proves the subscriber.
+// Layout pinned to FM_LAYOUT, as in the preview and HLS routes.
+router.get('/audio/:recordId', async (req, res) => {
+  if (!offlineSubject(req, res)) return;
+  const check = validators.recordId(req.params?.recordId ?? '');
+  if (!check.valid) return res.status(400).json({ ok: false, error: 'Invalid record ID' });
+
+  let resolved;
+  try {
+    resolved = await resolveTrackAudio(check.value, FM_LAYOUT);
+  } catch (err) {
+    console.error('[MASS] Offline audio resolve failed:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to resolve audio' });
+  }
+  if (!resolved.ok) return res.status(404).json({ ok: false, error: 'Audio not found' });
+  const requiresAuth = !!(FM_HOST && resolved.url.startsWith(FM_HOST));
+  await proxyUpstream(req, res, resolved.url, requiresAuth, { cacheControl: 'private, no-store' });
+});
+
+export default router;
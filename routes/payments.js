@@ -14,7 +14,8 @@ import {
 } from '../lib/token-store.js';
 import { pendingPaymentsCache, processedWebhookEventsCache } from '../cache.js';
 import { isStrictEmail } from '../lib/validators.js';
-import { bumpTaster } from '../lib/taster-stats.js';
+import { bumpTaster, cleanTasterVia } from '../lib/taster-stats.js';
+import { recordTasterPayment, recordTasterTrial } from '../lib/taster-attribution.js';
 import { SUBSCRIPTION_DAYS_MIN, SUBSCRIPTION_DAYS_MAX } from '../lib/constants.js';
 
 const router = Router();
@@ -22,6 +23,36 @@ const router = Router();
 const pendingPayments = pendingPaymentsCache;
 const processedWebhookEvents = processedWebhookEventsCache;
 
+// Taster funnel attribution (TASTER_FUNNEL_ENABLED, see server.js): checkouts
+// carry the taster landing in Paystack metadata and trials / payments are
+// recorded per listener in lib/taster-attribution.js.
+const TASTER_FUNNEL_ENABLED = process.env.TASTER_FUNNEL_ENABLED === 'true';
+
+/** The checkout's metadata.taster, from the client's `via`, or null. */
+function tasterMetadata(via) {
+  return TASTER_FUNNEL_ENABLED ? cleanTasterVia(via) : null;
+}
+
+/**
+ * A Paystack charge by someone who came in through a taster link (its
+ * metadata.taster, or their earlier trial) counts as a conversion the first
+ * time and as a renewal after that. Callback and webhook report the same
+ * charge; the reference dedupes them. Fire-and-forget; never blocks.
+ */
+function noteTasterPayment(charge, kind) {
+  if (!TASTER_FUNNEL_ENABLED || !charge) return;
+  const paidMs = Date.parse(charge.paid_at || '');
+  recordTasterPayment({
+    email: charge.customer?.email,
+    via: charge.metadata?.taster,
+    channel: 'paystack',
+    kind,
+    reference: charge.reference,
+    amount: charge.amount,
+    at: Number.isFinite(paidMs) ? new Date(paidMs) : new Date()
+  }).catch(() => {});
+}
+
 /**
  * Clamp a "days" value claimed by an external system (Paystack metadata,
  * Telkom callback, etc.) to a safe range. Anything outside the bounds is
@@ -62,7 +93,7 @@ router.get('/subscription-plan', (req, res) => {
 
 router.post('/initialize', async (req, res) => {
   try {
-    const { email, plan, source } = req.body;
+    const { email, plan, source, via } = req.body;
 
     if (!isStrictEmail(email)) {
       return res.status(400).json({ ok: false, error: 'Valid email is required' });
@@ -101,6 +132,8 @@ router.post('/initialize', async (req, res) => {
         source: source === 'mobile' ? 'mobile' : 'desktop'
       }
     };
+    const taster = tasterMetadata(via);
+    if (taster) paystackPayload.metadata.taster = taster;
     // Don't log the full payload — it contains the customer email (PII).
     console.log(`[MASS] Paystack initialize: plan=${plan} amount=${selectedPlan.amount} source=${source === 'mobile' ? 'mobile' : 'desktop'}`);
 
@@ -151,7 +184,8 @@ router.post('/trial', async (req, res) => {
     // campaign in the cookie-free stats. Fire-and-forget; never blocks.
     const via = req.body?.via;
     if (via && typeof via === 'object') {
-      bumpTaster({ kind: 'trial', campaign: via.campaign, track: via.t }).catch(() => {});
+      bumpTaster({ kind: 'trial', campaign: via.campaign, track: via.t, video: via.video }).catch(() => {});
+      if (TASTER_FUNNEL_ENABLED) recordTasterTrial({ email: normalisedEmail, via }).catch(() => {});
     }
 
     res.json({ ok: true, token: token.code });
@@ -165,7 +199,7 @@ router.post('/trial', async (req, res) => {
 // Initialises a Paystack subscription checkout (uses plan code, not amount).
 router.post('/subscribe', async (req, res) => {
   try {
-    const { email, source } = req.body;
+    const { email, source, via } = req.body;
 
     if (!isStrictEmail(email)) {
       return res.status(400).json({ ok: false, error: 'Valid email is required' });
@@ -195,6 +229,8 @@ router.post('/subscribe', async (req, res) => {
         source:       source === 'mobile' ? 'mobile' : 'desktop'
       }
     };
+    const taster = tasterMetadata(via);
+    if (taster) paystackPayload.metadata.taster = taster;
 
     // Don't log the full payload — it contains the customer email (PII).
     console.log(`[MASS] Subscription initialize: plan=${PAYSTACK_SUBSCRIPTION_PLAN.code} amount=${planAmount} source=${source === 'mobile' ? 'mobile' : 'desktop'}`);
@@ -296,6 +332,7 @@ router.get('/callback', async (req, res) => {
       tokenCode: token.code,
       timestamp: Date.now()
     });
+    noteTasterPayment(data.data, isSubscription ? 'subscription' : 'once');
 
     const successBase = mobileCallback ? '/mobile.html' : '/';
     res.redirect(`${successBase}?payment=success&token=${encodeURIComponent(token.code)}`);
@@ -433,6 +470,7 @@ router.post('/webhook', async (req, res) => {
           console.log(`[MASS] Webhook charge.success (new sub): token ${token.code} for sub ${subscriptionCode}`);
         }
       }
+      noteTasterPayment(paymentData, 'subscription');
       return ack();
     }
 
@@ -463,6 +501,7 @@ router.post('/webhook', async (req, res) => {
     }
 
     pendingPayments.set(reference, { tokenCode: token.code, timestamp: Date.now() });
+    noteTasterPayment(paymentData, 'once');
     console.log(`[MASS] Webhook: payment ${reference} → token ${token.code} (${days} days)`);
     return ack();
   } catch (err) {
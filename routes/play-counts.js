@@ -0,0 +1,39 @@
+// Per-listener play counts — /api/play-counts (lib/play-counts.js).
+//
+//   POST /api/play-counts { recordIds: [...] }
+//        → { ok, counts: { [recordId]: { plays, lastPlayedAt } } }
+//        how often this token has played each track, and when it last did;
+//        tracks it never played are left out
+//
+// The catalogue rails stay shared and publicly cached; the page batches the
+// record ids of the cards it is showing (up to PLAY_COUNTS_MAX_LOOKUP) into
+// one lookup here. Keyed on the authenticated access token, like
+// /api/history. Mounted only while PLAY_COUNTS_ENABLED=true (404-fenced
+// before the auth middleware otherwise).
+import { Router } from 'express';
+import { PLAY_COUNTS_MAX_LOOKUP, isPlayCountsReady, lookupPlayCounts } from '../lib/play-counts.js';
+
+const router = Router();
+
+// User-specific and constantly changing — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+router.post('/', async (req, res) => {
+  // The AUTHENTICATED token, never a caller-supplied one; upper-cased like
+  // routes/history.js so both key the same listener.
+  const token = (req.accessToken?.code || '').toString().trim().toUpperCase();
+  if (!token) return res.status(403).json({ ok: false, error: 'Authentication required' });
+  const ids = req.body?.recordIds;
+  if (!Array.isArray(ids) || ids.length > PLAY_COUNTS_MAX_LOOKUP) {
+    return res.status(400).json({ ok: false, error: `recordIds must be an array of at most ${PLAY_COUNTS_MAX_LOOKUP} ids` });
+  }
+  if (!isPlayCountsReady()) return res.status(503).json({ ok: false, error: 'Play counts unavailable' });
+  try {
+    res.json({ ok: true, counts: await lookupPlayCounts(token, ids.map((id) => String(id ?? ''))) });
+  } catch (err) {
+    console.error('[MASS] Play count lookup failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load play counts' });
+  }
+});
+
+export default router;
@@ -0,0 +1,303 @@
+// Collaborative playlists — /api/playlists (lib/playlist-collab.js).
+//
+//   GET    /api/playlists/collaborating              playlists I was invited to and joined, with my role
+//   GET    /api/playlists/invites                    invites waiting for me
+//   POST   /api/playlists/invites/:memberId/accept   join (the token's email must be the invited one)
+//   DELETE /api/playlists/invites/:memberId          decline
+//   GET    /api/playlists/:playlistId                one playlist I own or collaborate on
+//   GET    /api/playlists/:playlistId/collaborators  the owner and everyone invited
+//   POST   /api/playlists/:playlistId/collaborators  { email, role: editor|viewer } — owner; emails the invite
+//   PATCH  /api/playlists/:playlistId/collaborators/:memberId  { role } — owner
+//   DELETE /api/playlists/:playlistId/collaborators/:memberId  owner removes, or a member leaves
+//   GET    /api/playlists/:playlistId/changes        the change log, newest first
+//   POST   /api/playlists/:playlistId/changes/:changeId/undo   revert one add / remove — editors
+//
+// Editors change tracks through the usual routes/playlists.js endpoints
+// (add, bulk add, import, remove), which check the role and write the log
+// while the flag is on. Sharing, publishing, deleting and managing
+// collaborators stay with the owner. Mounted ahead of routes/playlists.js,
+// only while PLAYLIST_COLLAB_ENABLED=true (server.js 404-fences these paths
+// otherwise) — it needs the API_Playlist_Members and API_Playlist_Changes
+// layouts in FileMaker.
+import { Router } from 'express';
+import { requireTokenEmail } from '../lib/auth.js';
+import { normalizeEmail } from '../lib/format.js';
+import { isStrictEmail } from '../lib/validators.js';
+import { resolveRequestOrigin } from '../lib/http.js';
+import { sendPlaylistInviteEmail } from '../lib/email.js';
+import { PLAYLIST_ROLES, canEditPlaylistTracks, playlistOwnerMatches, trackEditFields } from '../lib/playlist.js';
+import { loadPlaylistById, mutatePlaylist } from '../lib/playlist-store.js';
+import {
+  PLAYLIST_MAX_MEMBERS, applyUndo, createPlaylistMember, deletePlaylistMember,
+  loadMembershipsFor, loadPlaylistChanges, loadPlaylistMember, recordPlaylistChange,
+  resolvePlaylistAccess, updatePlaylistMember
+} from '../lib/playlist-collab.js';
+
+const router = Router();
+const LOAD_CONCURRENCY = 5;
+
+// All playlist routes return user-specific data — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+const publicMember = ({ _fmRecordId, playlistId: _playlistId, ...member }) => member;
+
+// Playlists for a list of memberships, in order; deleted ones drop out.
+async function loadMemberPlaylists(memberships) {
+  const out = [];
+  for (let i = 0; i < memberships.length; i += LOAD_CONCURRENCY) {
+    const batch = memberships.slice(i, i + LOAD_CONCURRENCY);
+    const playlists = await Promise.all(batch.map((m) => loadPlaylistById(m.playlistId).catch(() => null)));
+    playlists.forEach((playlist, j) => { if (playlist) out.push({ member: batch[j], playlist }); });
+  }
+  return out;
+}
+
+// The caller's access to :playlistId, or a 404 (no part in it) sent here.
+async function requireAccess(req, res, email) {
+  const access = await resolvePlaylistAccess(req.params.playlistId, email);
+  if (!access) res.status(404).json({ ok: false, error: 'Playlist not found' });
+  return access;
+}
+
+// ── Invites (the invitee's side) ─────────────────────────────────────────────
+
+router.get('/collaborating', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const joined = await loadMemberPlaylists(await loadMembershipsFor(user.email, 'active'));
+    res.json({ ok: true, playlists: joined.map(({ member, playlist }) => ({ ...playlist, role: member.role })) });
+  } catch (err) {
+    console.error('[MASS] Load collaborative playlists failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load playlists' });
+  }
+});
+
+router.get('/invites', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const pending = await loadMemberPlaylists(await loadMembershipsFor(user.email, 'invited'));
+    res.json({
+      ok: true,
+      invites: pending.map(({ member, playlist }) => ({
+        id: member.id, role: member.role, invitedBy: member.invitedBy, invitedAt: member.invitedAt,
+        playlist: { id: playlist.id, name: playlist.name, artwork: playlist.artwork, trackCount: (playlist.tracks || []).length }
+      }))
+    });
+  } catch (err) {
+    console.error('[MASS] Load playlist invites failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load invites' });
+  }
+});
+
+// The invite for :memberId if it is addressed to the caller and still open.
+async function loadOwnInvite(req, res, email) {
+  const member = await loadPlaylistMember(req.params.memberId);
+  if (!member || member.status !== 'invited' || member.email !== normalizeEmail(email)) {
+    res.status(404).json({ ok: false, error: 'Invite not found' });
+    return null;
+  }
+  return member;
+}
+
+router.post('/invites/:memberId/accept', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const invite = await loadOwnInvite(req, res, user.email);
+    if (!invite) return;
+    const playlist = await loadPlaylistById(invite.playlistId);
+    if (!playlist) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    const member = await updatePlaylistMember(invite, { status: 'active', acceptedAt: new Date().toISOString() });
+    res.json({ ok: true, member: publicMember(member), playlist: { ...playlist, role: member.role } });
+  } catch (err) {
+    console.error('[MASS] Accept playlist invite failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to accept invite' });
+  }
+});
+
+router.delete('/invites/:memberId', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const invite = await loadOwnInvite(req, res, user.email);
+    if (!invite) return;
+    await deletePlaylistMember(invite);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MASS] Decline playlist invite failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to decline invite' });
+  }
+});
+
+// ── One playlist and its collaborators ────────────────────────────────────────
+
+router.get('/:playlistId', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    res.json({ ok: true, playlist: access.playlist, role: access.role });
+  } catch (err) {
+    console.error('[MASS] Load playlist failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load playlist' });
+  }
+});
+
+router.get('/:playlistId/collaborators', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    res.json({ ok: true, owner: access.playlist.userId, role: access.role, members: access.members.map(publicMember) });
+  } catch (err) {
+    console.error('[MASS] Load playlist collaborators failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load collaborators' });
+  }
+});
+
+const isOwner = (access) => access.role === 'owner';
+const validRole = (role) => PLAYLIST_ROLES.includes(role);
+
+router.post('/:playlistId/collaborators', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const email = normalizeEmail(req.body?.email);
+  const role  = req.body?.role === undefined ? 'editor' : req.body.role;
+  if (!isStrictEmail(email)) return res.status(400).json({ ok: false, error: 'Valid email required' });
+  if (!validRole(role)) return res.status(400).json({ ok: false, error: 'role must be editor or viewer' });
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    if (!isOwner(access)) return res.status(403).json({ ok: false, error: 'Only the owner can invite collaborators' });
+    if (playlistOwnerMatches(access.playlist.userId, email)) {
+      return res.status(400).json({ ok: false, error: 'You already own this playlist' });
+    }
+    if (access.members.some((m) => m.email === email)) {
+      return res.status(409).json({ ok: false, error: 'Already invited' });
+    }
+    if (access.members.length >= PLAYLIST_MAX_MEMBERS) {
+      return res.status(400).json({ ok: false, error: `A playlist can have at most ${PLAYLIST_MAX_MEMBERS} collaborators` });
+    }
+
+    const member = await createPlaylistMember({ playlistId: access.playlist.id, email, role, invitedBy: user.email });
+    // The invite stands even if the email can't go out — it is waiting in
+    // the invitee's app either way.
+    const emailed = await sendPlaylistInviteEmail(email, {
+      inviter: user.email,
+      playlistName: access.playlist.name || 'a playlist',
+      role,
+      appUrl: `${resolveRequestOrigin(req)}/app`
+    }).then(() => true, () => false);
+    res.status(201).json({ ok: true, member: publicMember(member), emailed });
+  } catch (err) {
+    console.error('[MASS] Invite playlist collaborator failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to invite collaborator' });
+  }
+});
+
+// :memberId on :playlistId, or a 404 sent here.
+function findMember(res, access, memberId) {
+  const member = access.members.find((m) => m.id === memberId);
+  if (!member) res.status(404).json({ ok: false, error: 'Collaborator not found' });
+  return member;
+}
+
+router.patch('/:playlistId/collaborators/:memberId', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  if (!validRole(req.body?.role)) return res.status(400).json({ ok: false, error: 'role must be editor or viewer' });
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    if (!isOwner(access)) return res.status(403).json({ ok: false, error: 'Only the owner can change roles' });
+    const member = findMember(res, access, req.params.memberId);
+    if (!member) return;
+    const updated = await updatePlaylistMember(member, { role: req.body.role });
+    res.json({ ok: true, member: publicMember(updated) });
+  } catch (err) {
+    console.error('[MASS] Update playlist collaborator failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to update collaborator' });
+  }
+});
+
+router.delete('/:playlistId/collaborators/:memberId', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    const member = findMember(res, access, req.params.memberId);
+    if (!member) return;
+    // The owner removes anyone; a collaborator can only leave.
+    if (!isOwner(access) && member.email !== normalizeEmail(user.email)) {
+      return res.status(403).json({ ok: false, error: 'Only the owner can remove collaborators' });
+    }
+    await deletePlaylistMember(member);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MASS] Remove playlist collaborator failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to remove collaborator' });
+  }
+});
+
+// ── Change log and undo ───────────────────────────────────────────────────────
+
+router.get('/:playlistId/changes', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    res.json({ ok: true, changes: await loadPlaylistChanges(access.playlist.id) });
+  } catch (err) {
+    console.error('[MASS] Load playlist changes failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load changes' });
+  }
+});
+
+router.post('/:playlistId/changes/:changeId/undo', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const access = await requireAccess(req, res, user.email);
+    if (!access) return;
+    if (!canEditPlaylistTracks(access.role)) {
+      return res.status(403).json({ ok: false, error: 'You can view this playlist but not change it' });
+    }
+    if (access.playlist.rules) {
+      return res.status(409).json({ ok: false, error: 'Smart playlists fill themselves from their rules — edit the rules instead' });
+    }
+    const change = (await loadPlaylistChanges(access.playlist.id)).find((c) => c.id === req.params.changeId);
+    if (!change) return res.status(404).json({ ok: false, error: 'Change not found' });
+    if (change.action !== 'add' && change.action !== 'remove') {
+      return res.status(400).json({ ok: false, error: 'Only adds and removes can be undone' });
+    }
+    if (change.undoneBy) return res.status(409).json({ ok: false, error: 'Already undone' });
+
+    // Against the latest tracks: whatever of the change is still there to revert.
+    let reverted = [];
+    const playlist = await mutatePlaylist(access.playlist, (current) => {
+      const undo = applyUndo(current.tracks, change);
+      reverted = undo.entries;
+      if (!reverted.length) return null;
+      const previousTracks = current.tracks;
+      current.tracks = undo.tracks;
+      current.updatedAt = new Date().toISOString();
+      return trackEditFields(current, previousTracks);
+    });
+    if (!playlist) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    if (!reverted.length) return res.status(409).json({ ok: false, error: 'Nothing left to undo' });
+
+    const undo = await recordPlaylistChange(playlist.id, user.email, 'undo', reverted, change.id);
+    res.json({ ok: true, playlist, change: undo, reverted: reverted.length });
+  } catch (err) {
+    console.error('[MASS] Undo playlist change failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to undo change' });
+  }
+});
+
+export default router;
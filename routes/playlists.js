@@ -6,20 +6,74 @@ import { timingSafeEqualStr } from '../lib/crypto-utils.js';
 import { normalizeShareId, generateShareId, escapeHtml } from '../lib/format.js';
 import { buildShareUrl } from '../lib/http.js';
 import {
-  playlistOwnerMatches, sanitizePlaylistForShare,
-  buildPlaylistDuplicateIndex, resolveDuplicate, summarizeTrackPayload, buildTrackEntry
+  playlistOwnerMatches, sanitizePlaylistForShare, canEditPlaylistTracks,
+  buildPlaylistDuplicateIndex, resolveDuplicate, summarizeTrackPayload, buildTrackEntry,
+  findDuplicateEntries, buildSectionEntry, moveSequenceItems, trackEditFields, PLAYLIST_MAX_SECTIONS
 } from '../lib/playlist.js';
 import { normalizeTrackPayload } from '../lib/track.js';
 import { AUDIO_FIELD_CANDIDATES, ARTWORK_FIELD_CANDIDATES, FM_LAYOUT } from '../lib/fm-fields.js';
 import { emailTransporter } from '../lib/email.js';
 import {
-  loadUserPlaylists, loadPlaylistById,
+  loadUserPlaylists, loadPlaylistById, mutatePlaylist,
   isShareIdTaken, createPlaylist, updatePlaylist, deletePlaylist
 } from '../lib/playlist-store.js';
+import { recordPlaylistChange, resolvePlaylistAccess } from '../lib/playlist-collab.js';
 import { fmGetRecordById, fmUpdateRecord } from '../fm-client.js';
+import { PLAYLIST_FILE_FORMATS, PLAYLIST_FILE_MAX_ROWS, serializePlaylist, parsePlaylistFile } from '../lib/playlist-formats.js';
+import { playlistExportRows, matchPlaylistRows, summarizeMatches } from '../lib/playlist-matcher.js';
+
+// Collaborative playlists (lib/playlist-collab.js, routes/playlist-collab.js):
+// editors may change the tracks here too, entries record who added them and
+// every add / remove goes into the change log. server.js owns the flag.
+const PLAYLIST_COLLAB_ENABLED = process.env.PLAYLIST_COLLAB_ENABLED === 'true';
 
 const router = Router();
 
+// Loads a playlist whose tracks the caller may change — their own, or one
+// they edit while collaboration is on. Answers 404 / 403 itself (→ null), and
+// 409 for a smart playlist (lib/smart-playlist.js): its rules own the tracks.
+async function loadEditablePlaylist(res, playlistId, email) {
+  const playlist = await loadTrackEditablePlaylist(res, playlistId, email);
+  if (playlist?.rules) {
+    res.status(409).json({ ok: false, error: 'Smart playlists fill themselves from their rules — edit the rules instead' });
+    return null;
+  }
+  return playlist;
+}
+
+async function loadTrackEditablePlaylist(res, playlistId, email) {
+  if (!PLAYLIST_COLLAB_ENABLED) {
+    const playlist = await loadPlaylistById(playlistId, email);
+    if (!playlist) res.status(404).json({ ok: false, error: 'Playlist not found' });
+    return playlist;
+  }
+  const access = await resolvePlaylistAccess(playlistId, email);
+  if (!access) {
+    res.status(404).json({ ok: false, error: 'Playlist not found' });
+    return null;
+  }
+  if (!canEditPlaylistTracks(access.role)) {
+    res.status(403).json({ ok: false, error: 'You can view this playlist but not change it' });
+    return null;
+  }
+  return access.playlist;
+}
+
+// A playlist the caller may read — their own, or (with collaboration on) one
+// they are a member of. Exports only read the list, so any collaborator may.
+async function loadReadablePlaylist(playlistId, email) {
+  if (!PLAYLIST_COLLAB_ENABLED) return loadPlaylistById(playlistId, email);
+  return (await resolvePlaylistAccess(playlistId, email))?.playlist || null;
+}
+
+// Log an add / remove for collaborators (no-op while collaboration is off).
+function logTrackChange(playlist, email, action, entries) {
+  if (!PLAYLIST_COLLAB_ENABLED || !entries.length) return null;
+  return recordPlaylistChange(playlist.id, email, action, entries);
+}
+
+const addedByFor = (email) => (PLAYLIST_COLLAB_ENABLED ? email : null);
+
 // All playlist routes return user-specific data — never cache on client or CDN.
 router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
 
@@ -111,28 +165,37 @@ router.post('/:playlistId/tracks', async (req, res) => {
       return;
     }
 
-    const playlist = await loadPlaylistById(playlistId, email);
+    const loaded = await loadEditablePlaylist(res, playlistId, email);
+    if (!loaded) return;
+
+    // Re-run on a fresh copy if someone else edited the playlist meanwhile.
+    let entry = null;
+    let duplicate = null;
+    const playlist = await mutatePlaylist(loaded, (current) => {
+      current.tracks = Array.isArray(current.tracks) ? current.tracks : [];
+      const duplicateIndex = buildPlaylistDuplicateIndex(current);
+      const { key: dupKey, entry: existing } = resolveDuplicate(duplicateIndex, trackPayload);
+      if (existing) {
+        console.log(`[MASS] Duplicate track: key=${dupKey}`);
+        duplicate = existing;
+        return null;
+      }
+      const addedAt = new Date().toISOString();
+      entry = buildTrackEntry(trackPayload, addedAt, addedByFor(email));
+      current.tracks.push(entry);
+      current.updatedAt = addedAt;
+      return { tracks: current.tracks, updatedAt: current.updatedAt };
+    });
     if (!playlist) {
       res.status(404).json({ ok: false, error: 'Playlist not found' });
       return;
     }
-
-    playlist.tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
-    const duplicateIndex = buildPlaylistDuplicateIndex(playlist);
-    const { key: dupKey, entry: duplicate } = resolveDuplicate(duplicateIndex, trackPayload);
     if (duplicate) {
-      console.log(`[MASS] Duplicate track: key=${dupKey}`);
       res.status(200).json({ ok: true, playlist, track: duplicate, duplicate: true });
       return;
     }
 
-    const addedAt = new Date().toISOString();
-    const entry   = buildTrackEntry(trackPayload, addedAt);
-    playlist.tracks.push(entry);
-    playlist.updatedAt = addedAt;
-
-    await updatePlaylist(playlist._fmRecordId, { tracks: playlist.tracks, updatedAt: playlist.updatedAt });
-
+    await logTrackChange(playlist, email, 'add', [{ entry, position: playlist.tracks.length - 1 }]);
     res.status(201).json({ ok: true, playlist, track: entry });
   } catch (err) {
     console.error('[MASS] Add track to playlist failed:', err);
@@ -142,7 +205,7 @@ router.post('/:playlistId/tracks', async (req, res) => {
 
 // Processes a list of normalized track payloads against a playlist, returning
 // categorised results. Mutates playlist.tracks and duplicateIndex in place.
-function processBulkTracks(normalizedTracks, playlist, duplicateIndex, timestampBase) {
+function processBulkTracks(normalizedTracks, playlist, duplicateIndex, timestampBase, addedBy = null) {
   const addedEntries = [];
   const duplicates   = [];
   const skipped      = [];
@@ -157,7 +220,7 @@ function processBulkTracks(normalizedTracks, playlist, duplicateIndex, timestamp
       continue;
     }
     const addedAt = new Date(timestampBase + addedEntries.length).toISOString();
-    const entry = buildTrackEntry(trackPayload, addedAt);
+    const entry = buildTrackEntry(trackPayload, addedAt, addedBy);
     playlist.tracks.push(entry);
     addedEntries.push(entry);
     if (key) duplicateIndex.set(key, entry);
@@ -188,23 +251,26 @@ router.post('/:playlistId/tracks/bulk', async (req, res) => {
       return;
     }
 
-    const playlist = await loadPlaylistById(playlistId, email);
+    const loaded = await loadEditablePlaylist(res, playlistId, email);
+    if (!loaded) return;
+
+    const normalizedTracks = rawTracks.map((track) => normalizeTrackPayload(track || {}));
+    let outcome = null;
+    const playlist = await mutatePlaylist(loaded, (current) => {
+      current.tracks = Array.isArray(current.tracks) ? current.tracks : [];
+      const duplicateIndex = buildPlaylistDuplicateIndex(current);
+      outcome = processBulkTracks(normalizedTracks, current, duplicateIndex, Date.now(), addedByFor(email));
+      if (!outcome.addedEntries.length) return null;
+      current.updatedAt = outcome.addedEntries.at(-1).addedAt;
+      return { tracks: current.tracks, updatedAt: current.updatedAt };
+    });
     if (!playlist) {
       res.status(404).json({ ok: false, error: 'Playlist not found' });
       return;
     }
-
-    playlist.tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
-    const normalizedTracks = rawTracks.map((track) => normalizeTrackPayload(track || {}));
-    const duplicateIndex   = buildPlaylistDuplicateIndex(playlist);
-    const { addedEntries, duplicates, skipped } = processBulkTracks(
-      normalizedTracks, playlist, duplicateIndex, Date.now()
-    );
-
-    if (addedEntries.length) {
-      playlist.updatedAt = addedEntries.at(-1).addedAt;
-      await updatePlaylist(playlist._fmRecordId, { tracks: playlist.tracks, updatedAt: playlist.updatedAt });
-    }
+    const { addedEntries, duplicates, skipped } = outcome;
+    const firstAdded = playlist.tracks.length - addedEntries.length;
+    await logTrackChange(playlist, email, 'add', addedEntries.map((entry, i) => ({ entry, position: firstAdded + i })));
 
     const status = addedEntries.length ? 201 : 200;
     res.status(status).json({
@@ -501,7 +567,7 @@ router.get('/:playlistId/export', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Playlist ID required' });
     }
 
-    const playlist = await loadPlaylistById(playlistId, user.email);
+    const playlist = await loadReadablePlaylist(playlistId, user.email);
     if (!playlist || !Array.isArray(playlist.tracks)) {
       return res.status(404).json({ ok: false, error: 'Playlist not found' });
     }
@@ -527,17 +593,19 @@ function decodeImportCode(importCode) {
   return decoded.split(',').filter(Boolean);
 }
 
-// Builds a track object from a FileMaker record and a pre-computed timestamp.
-function buildTrackObjectFromRecord(record, trackId, now) {
+// Builds a track object from a FileMaker record and its own addedAt — the key
+// moves and removes name it by, so no two in one import may share it.
+function buildTrackObjectFromRecord(record, trackId, addedAt) {
   const fields = record.fieldData || {};
   const trackObj = {
+    id:          randomUUID(),
     trackRecordId: trackId,
     name:        fields['Track Name']   || fields['Tape Files::Track Name'] || 'Unknown Track',
     albumTitle:  fields['Album']        || fields['Tape Files::Album']       || '',
     albumArtist: fields['Album Artist'] || fields['Artist'] || fields['Tape Files::Album Artist'] || '',
     trackArtist: fields['Track Artist'] || fields['Album Artist'] || '',
     catalogue:   fields['Catalogue #']  || fields['Catalogue'] || '',
-    addedAt: now
+    addedAt
   };
   const audioField   = AUDIO_FIELD_CANDIDATES.find(f => fields[f]);
   const artworkField = ARTWORK_FIELD_CANDIDATES.find(f => fields[f]);
@@ -606,9 +674,9 @@ router.post('/:playlistId/import', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Import code too long' });
     }
 
-    // Verify the target playlist exists and belongs to this user
-    const playlist = await loadPlaylistById(playlistId, email);
-    if (!playlist) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    // Verify the target playlist exists and the caller may change it
+    const playlist = await loadEditablePlaylist(res, playlistId, email);
+    if (!playlist) return;
 
     let importedTrackIds = [];
     try {
@@ -632,20 +700,29 @@ router.post('/:playlistId/import', async (req, res) => {
       });
     }
 
-    // Build track objects from the already-fetched records (no second FM round-trip)
-    const now        = new Date().toISOString();
+    // Build track objects from the already-fetched records (no second FM round-trip).
+    // One millisecond apart, like /tracks/bulk, so each has its own addedAt.
+    const timestampBase = Date.now();
+    const now        = new Date(timestampBase).toISOString();
     const newTracks  = [];
     for (const [trackId, record] of recordCache) {
-      newTracks.push(buildTrackObjectFromRecord(record, trackId, now));
+      const track = buildTrackObjectFromRecord(record, trackId, new Date(timestampBase + newTracks.length).toISOString());
+      if (addedByFor(email)) track.addedBy = email;
+      newTracks.push(track);
     }
 
     // Merge: append new tracks, skip duplicates by trackRecordId
-    const existingIds = new Set((playlist.tracks || []).map(t => t.trackRecordId).filter(Boolean));
-    const toAppend    = newTracks.filter(t => !existingIds.has(t.trackRecordId));
-    const merged      = [...(playlist.tracks || []), ...toAppend];
-
-    await updatePlaylist(playlist._fmRecordId, { tracks: merged, updatedAt: now });
-    const updated = await loadPlaylistById(playlistId, email);
+    let toAppend = [];
+    const updated = await mutatePlaylist(playlist, (current) => {
+      const existingIds = new Set((current.tracks || []).map(t => t.trackRecordId).filter(Boolean));
+      toAppend = newTracks.filter(t => !existingIds.has(t.trackRecordId));
+      current.tracks = [...(current.tracks || []), ...toAppend];
+      current.updatedAt = now;
+      return { tracks: current.tracks, updatedAt: now };
+    });
+    if (!updated) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    const firstAdded = updated.tracks.length - toAppend.length;
+    await logTrackChange(updated, email, 'add', toAppend.map((entry, i) => ({ entry, position: firstAdded + i })));
 
     res.json({
       ok:           true,
@@ -663,6 +740,90 @@ router.post('/:playlistId/import', async (req, res) => {
   }
 });
 
+// ── Playlist files: M3U8 / XSPF / JSPF / CSV ────────────────────────────────
+// Standard formats in both directions (lib/playlist-formats.js). An import is
+// matched against the catalogue (lib/playlist-matcher.js) and returned as a
+// review — nothing is written; the listener adds the rows they keep through
+// /tracks/bulk. server.js fences both routes behind PLAYLIST_FILES_ENABLED.
+
+const IMPORT_FILE_MAX_CHARS = 512 * 1024;
+
+// Characters file systems refuse become spaces; Content-Disposition encodes the rest.
+const fileNameFor = (name) => String(name || '').replace(/[\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim() || 'playlist';
+
+// ── GET /:playlistId/export/:format — download as a playlist file ────────────
+router.get('/:playlistId/export/:format', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  try {
+    const format = String(req.params.format || '').toLowerCase();
+    if (!Object.hasOwn(PLAYLIST_FILE_FORMATS, format)) {
+      return res.status(400).json({ ok: false, error: `Format must be one of ${Object.keys(PLAYLIST_FILE_FORMATS).join(', ')}` });
+    }
+    const playlist = await loadReadablePlaylist(req.params.playlistId, user.email);
+    if (!playlist || !Array.isArray(playlist.tracks)) {
+      return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    }
+
+    const rows = await playlistExportRows(playlist.tracks);
+    const file = serializePlaylist(format, { title: playlist.name, rows });
+    res.attachment(`${fileNameFor(playlist.name)}.${file.extension}`);
+    res.type(file.contentType).send(file.body);
+  } catch (err) {
+    console.error('[MASS] Export playlist file failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to export playlist', detail: err?.message });
+  }
+});
+
+// ── POST /:playlistId/import/match — match a playlist file for review ────────
+router.post('/:playlistId/import/match', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  try {
+    const { content, format } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ ok: false, error: 'Playlist file content required' });
+    }
+    if (content.length > IMPORT_FILE_MAX_CHARS) {
+      return res.status(400).json({ ok: false, error: 'Playlist file too large (max 512 KB)' });
+    }
+    if (format !== undefined && format !== null && typeof format !== 'string') {
+      return res.status(400).json({ ok: false, error: 'Format must be a string' });
+    }
+
+    const playlist = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+    if (!playlist) return;
+
+    const parsed = parsePlaylistFile(content, format ? format.trim().toLowerCase() : null);
+    if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+
+    console.log(`[MASS] Import match: ${parsed.rows.length} ${parsed.format} rows for playlist ${playlist.id}`);
+    const results = await matchPlaylistRows(parsed.rows);
+    // Flag matches the playlist already has, so the review can leave them unticked.
+    const duplicateIndex = buildPlaylistDuplicateIndex(playlist);
+    for (const result of results) {
+      if (result.match) {
+        result.match.duplicate = Boolean(resolveDuplicate(duplicateIndex, normalizeTrackPayload(result.match.track)).entry);
+      }
+    }
+
+    res.json({
+      ok:        true,
+      format:    parsed.format,
+      title:     parsed.title,
+      summary:   summarizeMatches(results),
+      rows:      results,
+      truncated: parsed.truncated,
+      maxRows:   PLAYLIST_FILE_MAX_ROWS
+    });
+  } catch (err) {
+    console.error('[MASS] Import match failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to read playlist file', detail: err?.message });
+  }
+});
+
 // ── DELETE /:playlistId/tracks/:addedAt — remove a track ─────────────────────
 router.delete('/:playlistId/tracks/:addedAt', async (req, res) => {
   const user = requireTokenEmail(req, res);
@@ -682,24 +843,31 @@ router.delete('/:playlistId/tracks/:addedAt', async (req, res) => {
       return;
     }
 
-    const playlist = await loadPlaylistById(playlistId, email);
+    const loaded = await loadEditablePlaylist(res, playlistId, email);
+    if (!loaded) return;
+
+    let deletedTrack = null;
+    let trackIndex   = -1;
+    const playlist = await mutatePlaylist(loaded, (current) => {
+      deletedTrack = null; // a retry re-reads — only this attempt's hit counts
+      current.tracks = Array.isArray(current.tracks) ? current.tracks : [];
+      trackIndex = current.tracks.findIndex((t) => t?.addedAt === addedAt);
+      if (trackIndex === -1) return null;
+      const previousTracks = [...current.tracks];
+      [deletedTrack] = current.tracks.splice(trackIndex, 1);
+      current.updatedAt = new Date().toISOString();
+      return trackEditFields(current, previousTracks);
+    });
     if (!playlist) {
       res.status(404).json({ ok: false, error: 'Playlist not found' });
       return;
     }
-
-    playlist.tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
-    const trackIndex = playlist.tracks.findIndex((t) => t?.addedAt === addedAt);
-    if (trackIndex === -1) {
+    if (!deletedTrack) {
       res.status(404).json({ ok: false, error: 'Track not found in playlist' });
       return;
     }
 
-    const [deletedTrack] = playlist.tracks.splice(trackIndex, 1);
-    playlist.updatedAt   = new Date().toISOString();
-
-    await updatePlaylist(playlist._fmRecordId, { tracks: playlist.tracks, updatedAt: playlist.updatedAt });
-
+    await logTrackChange(playlist, email, 'remove', [{ entry: deletedTrack, position: trackIndex }]);
     res.json({ ok: true, playlist, track: deletedTrack });
   } catch (err) {
     console.error('[MASS] Delete track from playlist failed:', err);
@@ -707,6 +875,275 @@ router.delete('/:playlistId/tracks/:addedAt', async (req, res) => {
   }
 });
 
+// ── Arranging: move, sections, bulk remove, duplicate clean-up ───────────────
+// Dark until PLAYLIST_ARRANGE_ENABLED=true (server.js fences these paths).
+// Moves and new sections are position-based, so they carry the `version` the
+// client last saw; if the playlist changed since, they answer 409 with the
+// current playlist instead of landing somewhere the user didn't drop them.
+
+const ARRANGE_MAX_ITEMS = 500;
+
+function requireVersion(req, res) {
+  const version = req.body?.version;
+  if (!Number.isInteger(version) || version < 0) {
+    res.status(400).json({ ok: false, error: 'Playlist version required' });
+    return null;
+  }
+  return version;
+}
+
+// A list of item keys (track addedAt / section id) from the body, or null
+// with a 400 sent.
+function readKeyList(res, value, label) {
+  const keys = Array.isArray(value) ? value : [];
+  if (!keys.length || keys.some((k) => typeof k !== 'string' || !k)) {
+    res.status(400).json({ ok: false, error: `${label} required` });
+    return null;
+  }
+  if (keys.length > ARRANGE_MAX_ITEMS) {
+    res.status(400).json({ ok: false, error: `Too many items (max ${ARRANGE_MAX_ITEMS} per request)` });
+    return null;
+  }
+  return [...new Set(keys)];
+}
+
+const readBeforeKey = (body) => (typeof body?.before === 'string' && body.before ? body.before : null);
+
+// ── POST /:playlistId/move — move tracks and/or sections ─────────────────────
+// { items: [addedAt | sectionId, …], before: addedAt | sectionId | null, version }
+router.post('/:playlistId/move', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  const items = readKeyList(res, req.body?.items, 'items');
+  if (!items) return;
+  const version = requireVersion(req, res);
+  if (version === null) return;
+  const before = readBeforeKey(req.body);
+
+  try {
+    const loaded = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+    if (!loaded) return;
+
+    let stale = false;
+    let invalid = false;
+    const playlist = await mutatePlaylist(loaded, (current) => {
+      if (current.version !== version) { stale = true; return null; }
+      const moved = moveSequenceItems(current.tracks || [], current.sections || [], items, before);
+      if (!moved) { invalid = true; return null; }
+      const hadSections = Boolean(current.sections?.length);
+      Object.assign(current, moved, { updatedAt: new Date().toISOString() });
+      return { tracks: current.tracks, updatedAt: current.updatedAt, ...(hadSections ? { sections: current.sections } : {}) };
+    });
+    if (!playlist) {
+      res.status(404).json({ ok: false, error: 'Playlist not found' });
+      return;
+    }
+    if (stale) {
+      res.status(409).json({ ok: false, error: 'Playlist changed — reload and try again', playlist });
+      return;
+    }
+    if (invalid) {
+      res.status(400).json({ ok: false, error: 'items and before must be tracks or sections of this playlist' });
+      return;
+    }
+
+    const wanted = new Set(items);
+    await logTrackChange(playlist, user.email, 'move', playlist.tracks
+      .map((entry, position) => ({ entry, position }))
+      .filter(({ entry }) => wanted.has(entry?.addedAt)));
+    res.json({ ok: true, playlist });
+  } catch (err) {
+    console.error('[MASS] Move playlist items failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to move tracks' });
+  }
+});
+
+// ── POST /:playlistId/sections — add a divider ───────────────────────────────
+// { title, before: addedAt | sectionId | null (= at the end), version }
+router.post('/:playlistId/sections', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  const titleValidation = validators.playlistSectionTitle(req.body?.title);
+  if (!titleValidation.valid) {
+    res.status(400).json({ ok: false, error: titleValidation.error });
+    return;
+  }
+  const version = requireVersion(req, res);
+  if (version === null) return;
+  const before = readBeforeKey(req.body);
+
+  try {
+    const loaded = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+    if (!loaded) return;
+
+    let outcome = null;
+    let section = null;
+    const playlist = await mutatePlaylist(loaded, (current) => {
+      const tracks   = current.tracks || [];
+      const sections = current.sections || [];
+      if (current.version !== version) { outcome = 'stale'; return null; }
+      if (sections.length >= PLAYLIST_MAX_SECTIONS) { outcome = 'full'; return null; }
+      section = { ...buildSectionEntry(titleValidation.value), position: tracks.length };
+      const placed = before === null
+        ? { tracks, sections: [...sections, section] }
+        : moveSequenceItems(tracks, [...sections, section], [section.id], before);
+      if (!placed) { outcome = 'invalid'; return null; }
+      Object.assign(current, placed, { updatedAt: new Date().toISOString() });
+      section = current.sections.find((s) => s.id === section.id);
+      return { tracks: current.tracks, sections: current.sections, updatedAt: current.updatedAt };
+    });
+    if (!playlist) {
+      res.status(404).json({ ok: false, error: 'Playlist not found' });
+      return;
+    }
+    if (outcome === 'stale') {
+      res.status(409).json({ ok: false, error: 'Playlist changed — reload and try again', playlist });
+      return;
+    }
+    if (outcome === 'full') {
+      res.status(400).json({ ok: false, error: `A playlist can have at most ${PLAYLIST_MAX_SECTIONS} sections` });
+      return;
+    }
+    if (outcome === 'invalid') {
+      res.status(400).json({ ok: false, error: 'before must be a track or section of this playlist' });
+      return;
+    }
+    res.status(201).json({ ok: true, playlist, section });
+  } catch (err) {
+    console.error('[MASS] Add playlist section failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to add section' });
+  }
+});
+
+// Rename (title) or drop (title === null) one section; the tracks stay put.
+async function editSection(req, res, title) {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const sectionId = req.params.sectionId;
+
+  const loaded = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+  if (!loaded) return;
+
+  let found = false;
+  const playlist = await mutatePlaylist(loaded, (current) => {
+    const sections = current.sections || [];
+    found = sections.some((s) => s.id === sectionId);
+    if (!found) return null;
+    current.sections = title === null
+      ? sections.filter((s) => s.id !== sectionId)
+      : sections.map((s) => (s.id === sectionId ? { ...s, title } : s));
+    current.updatedAt = new Date().toISOString();
+    return { sections: current.sections, updatedAt: current.updatedAt };
+  });
+  if (!playlist) {
+    res.status(404).json({ ok: false, error: 'Playlist not found' });
+    return;
+  }
+  if (!found) {
+    res.status(404).json({ ok: false, error: 'Section not found' });
+    return;
+  }
+  res.json({ ok: true, playlist });
+}
+
+// ── PATCH /:playlistId/sections/:sectionId — rename a divider ────────────────
+router.patch('/:playlistId/sections/:sectionId', async (req, res) => {
+  const titleValidation = validators.playlistSectionTitle(req.body?.title);
+  if (!titleValidation.valid) {
+    res.status(400).json({ ok: false, error: titleValidation.error });
+    return;
+  }
+  try {
+    await editSection(req, res, titleValidation.value);
+  } catch (err) {
+    console.error('[MASS] Rename playlist section failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to rename section' });
+  }
+});
+
+// ── DELETE /:playlistId/sections/:sectionId — remove a divider ───────────────
+router.delete('/:playlistId/sections/:sectionId', async (req, res) => {
+  try {
+    await editSection(req, res, null);
+  } catch (err) {
+    console.error('[MASS] Delete playlist section failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to delete section' });
+  }
+});
+
+// Remove the entries `pick(current)` chooses, logging them as one 'remove'
+// (so a collaborator can undo the lot). Resolves to { playlist, removed }.
+async function removeTrackEntries(loaded, email, pick) {
+  let removed = [];
+  const playlist = await mutatePlaylist(loaded, (current) => {
+    const previousTracks = Array.isArray(current.tracks) ? current.tracks : [];
+    const doomed = new Set(pick(current));
+    removed = previousTracks
+      .map((entry, position) => ({ entry, position }))
+      .filter(({ entry }) => doomed.has(entry));
+    if (!removed.length) return null;
+    current.tracks = previousTracks.filter((entry) => !doomed.has(entry));
+    current.updatedAt = new Date().toISOString();
+    return trackEditFields(current, previousTracks);
+  });
+  if (playlist) await logTrackChange(playlist, email, 'remove', removed);
+  return { playlist, removed };
+}
+
+// ── POST /:playlistId/tracks/remove — remove many tracks ─────────────────────
+// { addedAts: [addedAt, …] }
+router.post('/:playlistId/tracks/remove', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  const addedAts = readKeyList(res, req.body?.addedAts, 'addedAts');
+  if (!addedAts) return;
+
+  try {
+    const loaded = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+    if (!loaded) return;
+
+    const wanted = new Set(addedAts);
+    const { playlist, removed } = await removeTrackEntries(loaded, user.email,
+      (current) => (current.tracks || []).filter((entry) => wanted.has(entry?.addedAt)));
+    if (!playlist) {
+      res.status(404).json({ ok: false, error: 'Playlist not found' });
+      return;
+    }
+    if (!removed.length) {
+      res.status(404).json({ ok: false, error: 'Tracks not found in playlist' });
+      return;
+    }
+    res.json({ ok: true, playlist, removedCount: removed.length, removed: removed.map(({ entry }) => entry) });
+  } catch (err) {
+    console.error('[MASS] Bulk remove playlist tracks failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to remove tracks' });
+  }
+});
+
+// ── POST /:playlistId/tracks/dedupe — drop repeats, keeping the first ────────
+router.post('/:playlistId/tracks/dedupe', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+
+  try {
+    const loaded = await loadEditablePlaylist(res, req.params.playlistId, user.email);
+    if (!loaded) return;
+
+    const { playlist, removed } = await removeTrackEntries(loaded, user.email, findDuplicateEntries);
+    if (!playlist) {
+      res.status(404).json({ ok: false, error: 'Playlist not found' });
+      return;
+    }
+    res.json({ ok: true, playlist, removedCount: removed.length, removed: removed.map(({ entry }) => entry) });
+  } catch (err) {
+    console.error('[MASS] Remove duplicate playlist tracks failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to remove duplicates' });
+  }
+});
+
 // ── DELETE /:playlistId — delete a playlist ───────────────────────────────────
 router.delete('/:playlistId', async (req, res) => {
   const user = requireTokenEmail(req, res);
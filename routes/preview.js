@@ -2,10 +2,15 @@
 //
 // GET /api/preview/:recordId streams AT MOST ~GUEST_PREVIEW_SECONDS of the
 // track's MP3. The cap is enforced SERVER-SIDE in bytes (lib/mp3-preview.js):
-// a guest can never obtain more than the preview prefix from this endpoint,
+// a guest can never obtain more than the preview window from this endpoint,
 // regardless of what the client does. The client additionally stops playback
 // at exactly 30s for a clean UX.
 //
+// The window starts at byte 0 unless the track carries a preview offset
+// (Preview_Start_Sec, or the analyzer's AI_PreviewStartSec energy peak) — then
+// it starts on the first frame boundary at that second, so tracks with a long
+// intro preview the hook instead of tape hiss.
+//
 // Mounted only while GUEST_PREVIEW_ENABLED=true (404-fenced before the auth
 // middleware otherwise, same pattern as podcasts/suggestions). Track identity
 // is recordId; resolution reuses the exact cache/FM path of the token-gated
@@ -15,83 +20,78 @@ import { Router } from 'express';
 import { ensureToken } from '../fm-client.js';
 import { validators } from '../lib/validators.js';
 import { FM_LAYOUT, FM_HOST } from '../lib/fm-fields.js';
-import { computePreviewCap, _internal as mp3Internal } from '../lib/mp3-preview.js';
+import { estimateByteOffset, findFrameBoundary } from '../lib/mp3-preview.js';
 import { previewCapCache } from '../cache.js';
-import { resolveTrackAudio, fetchWithAuthRetry } from './stream.js';
+import { parseByteRange, generateETag } from '../lib/http.js';
+import { resolveTrackAudio, fetchWithAuthRetry, fetchAudioPrefix, readAudioHead } from './stream.js';
 
 const router = Router();
 
 export const PREVIEW_SECONDS = Math.max(5, Math.min(60,
   parseInt(process.env.GUEST_PREVIEW_SECONDS, 10) || 30));
 
-const HEAD_FETCH_BYTES = 65536;
-
-function contentRangeTotal(upstream) {
-  // "bytes 0-65535/4711234" → 4711234
-  const m = /\/(\d+)\s*$/.exec(upstream.headers.get('content-range') || '');
-  return m ? parseInt(m[1], 10) : null;
-}
-
-// Read at most `limit` bytes from a web stream, then cancel it. Prevents an
-// upstream that ignored our Range header (FM containers) from being buffered
-// whole into memory.
-async function readPrefix(body, limit) {
-  const reader = body.getReader();
-  const chunks = [];
-  let total = 0;
-  try {
-    while (total < limit) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
-      total += value.length;
-    }
-  } finally {
-    reader.cancel().catch(() => {});
-  }
-  return Buffer.concat(chunks, Math.min(total, limit));
+// Bytes fetched at an estimated start offset to find a frame boundary in. A
+// 320 kbps frame is ~1 KB, so this comfortably holds several chained frames.
+const SEEK_PROBE_BYTES = 8192;
+
+// Window of PREVIEW_SECONDS starting near `startSec`, snapped onto a real
+// frame header. Returns null when the offset can't be honoured safely (track
+// too short, upstream ignores Range, no confirmable frame in the probe) — the
+// caller then previews from the top, which is always valid.
+async function planOffsetWindow(url, requiresAuth, signal, parsed, totalSize, startSec) {
+  // Never start so late that the window would run off the end of the track.
+  const durationSec = parsed.durationSec
+    || (totalSize ? (totalSize - parsed.audioStart) / parsed.byteRate : 0);
+  const sec = durationSec ? Math.min(startSec, Math.max(0, Math.floor(durationSec - PREVIEW_SECONDS))) : startSec;
+  if (sec <= 0) return null;
+
+  const approx = estimateByteOffset(parsed, sec);
+  if (totalSize && approx >= totalSize) return null;
+  // An upstream that ignores Range would make us read the whole intro just to
+  // find one frame header — not worth it for a preview.
+  const { buf, ranged } = await fetchAudioPrefix(url, requiresAuth, signal, approx, SEEK_PROBE_BYTES);
+  if (!ranged) return null;
+  const idx = findFrameBoundary(buf);
+  if (idx < 0) return null;
+
+  const offset = approx + idx;
+  // VBR: the TOC says where the window's last second ends. CBR / no TOC: the
+  // average rate, same as the from-the-top cap.
+  const end = parsed.toc
+    ? estimateByteOffset(parsed, sec + PREVIEW_SECONDS)
+    : offset + Math.ceil(parsed.byteRate * PREVIEW_SECONDS);
+  const capBytes = totalSize ? Math.min(end, totalSize) : end;
+  if (capBytes <= offset) return null;
+  return { offset, capBytes, totalSize, startSec: sec };
 }
 
-// Compute (and LRU-cache) the preview byte cap + real file size for a track's
-// audio URL. One small ranged head-fetch per track, then cached — repeat plays
-// and every subsequent Range request skip straight to the stream.
-async function getPreviewCap(url, requiresAuth, signal) {
-  const cached = previewCapCache.get(url);
+// Compute (and LRU-cache) the preview window for a track's audio URL:
+// { offset, capBytes, totalSize, startSec } where [offset, capBytes) is the
+// absolute byte span served. One small ranged head-fetch per track (plus one
+// probe when it has a start offset), then cached — repeat plays and every
+// subsequent Range request skip straight to the stream.
+async function getPreviewCap(url, requiresAuth, signal, startSec = 0) {
+  const cacheKey = startSec > 0 ? `${url}#t=${startSec}` : url;
+  const cached = previewCapCache.get(cacheKey);
   if (cached) return cached;
 
-  let need = HEAD_FETCH_BYTES;
-  for (;;) {
-    const headers = new Headers();
-    if (requiresAuth) headers.set('Authorization', `Bearer ${await ensureToken()}`);
-    headers.set('Range', `bytes=0-${need - 1}`);
-    const upstream = await fetchWithAuthRetry(url, requiresAuth, headers, signal);
-    if (!upstream.ok && upstream.status !== 206) {
-      const err = new Error(`Upstream ${upstream.status}`);
-      err.upstreamStatus = upstream.status;
-      upstream.body?.cancel?.().catch?.(() => {});
-      throw err;
-    }
-    const totalSize = contentRangeTotal(upstream)
-      ?? (upstream.status === 200 ? parseInt(upstream.headers.get('content-length'), 10) || null : null);
-    const buf = upstream.body ? await readPrefix(upstream.body, need) : Buffer.alloc(0);
-
-    const parsed = computePreviewCap(buf, PREVIEW_SECONDS);
-    if (parsed.resolved) {
-      const capBytes = totalSize ? Math.min(parsed.capBytes, totalSize) : parsed.capBytes;
-      const result = { capBytes, totalSize };
-      previewCapCache.set(url, result);
-      return result;
-    }
-    // Parser wants more bytes (large embedded ID3 art). If the file itself is
-    // shorter than what we asked for, the whole file IS the preview.
-    if (buf.length < need || need >= mp3Internal.MAX_PARSE_BYTES) {
-      const capBytes = totalSize ?? buf.length;
-      const result = { capBytes, totalSize };
-      previewCapCache.set(url, result);
-      return result;
-    }
-    need = Math.min(parsed.needBytes, mp3Internal.MAX_PARSE_BYTES);
+  const { parsed, totalSize, headBytes } = await readAudioHead(url, requiresAuth, signal, PREVIEW_SECONDS);
+  let capBytes;
+  // No parse: the file ran out before the parser resolved, so the whole file
+  // IS the preview.
+  if (!parsed) capBytes = totalSize ?? headBytes;
+  else capBytes = totalSize ? Math.min(parsed.capBytes, totalSize) : parsed.capBytes;
+  let result = {
+    offset: 0,
+    capBytes,
+    totalSize,
+    startSec: 0
+  };
+  if (parsed && startSec > 0) {
+    result = await planOffsetWindow(url, requiresAuth, signal, parsed, totalSize, startSec) || result;
   }
+  previewCapCache.set(cacheKey, result);
+  return result;
 }
 
 // Pipe `body` to `res`, skipping `skip` bytes then sending at most `count`.
@@ -147,31 +147,61 @@ router.get('/preview/:recordId', async (req, res) => {
     }
 
     const requiresAuth = !!(FM_HOST && resolved.url.startsWith(FM_HOST));
-    const { capBytes, totalSize } = await getPreviewCap(resolved.url, requiresAuth, controller.signal);
-    // The preview's logical size: never more than the cap, never more than the file.
-    const previewSize = totalSize ? Math.min(capBytes, totalSize) : capBytes;
-
-    // Simple single-range support so <audio> elements (Safari in particular)
-    // can probe/seek WITHIN the preview window. Anything past the cap is 416 —
-    // to the client this file simply ends at the preview boundary.
-    let start = 0;
-    let end = previewSize - 1;
-    let isRange = false;
-    const rangeMatch = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
-    if (rangeMatch) {
-      isRange = true;
-      start = parseInt(rangeMatch[1], 10);
-      end = rangeMatch[2] ? Math.min(parseInt(rangeMatch[2], 10), previewSize - 1) : previewSize - 1;
-    }
-    if (start >= previewSize || start > end) {
+    // The start offset is the TRACK's (editorial field / analyzer), never the
+    // caller's: a client-chosen start would let a guest stitch the whole song
+    // together from consecutive 30 s windows.
+    const { offset, capBytes, startSec } = await getPreviewCap(resolved.url, requiresAuth, controller.signal, resolved.previewStartSec);
+    // The preview's logical size: the [offset, cap) window, which getPreviewCap
+    // has already clamped to the file. Byte 0 of the preview is `offset`.
+    const previewSize = capBytes - offset;
+
+    // Range support so <audio> elements can probe, scrub and resume WITHIN the
+    // preview window. Safari/iOS open with `bytes=0-1` then seek with
+    // open-ended and suffix ranges; Chrome resumes a partially cached clip
+    // with If-Range. Every range is resolved against the PREVIEW size, so
+    // to the client this file simply ends at the cap — nothing past it is
+    // ever addressable (416).
+    const etag = generateETag({ url: resolved.url, offset, previewSize, seconds: PREVIEW_SECONDS });
+    const ifRange = req.headers['if-range'];
+    // A stale If-Range validator means "your cached bytes are from a different
+    // clip" — send the whole preview again rather than splice mismatched bytes.
+    const range = (ifRange && ifRange !== etag) ? null : parseByteRange(req.headers.range, previewSize);
+
+    if (range?.unsatisfiable) {
       res.status(416).setHeader('Content-Range', `bytes */${previewSize}`);
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.end();
+      return;
+    }
+    const isRange = !!range;
+    const start = range ? range.start : 0;
+    const end = range ? range.end : previewSize - 1;
+
+    const setAudioHeaders = (contentType) => {
+      res.status(isRange ? 206 : 200);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Length', end - start + 1);
+      if (isRange) res.setHeader('Content-Range', `bytes ${start}-${end}/${previewSize}`);
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('ETag', etag);
+      // Same clip for every guest → shared-cacheable. Modest TTL: the cap logic
+      // may be tuned and FM container URLs rotate.
+      res.setHeader('Cache-Control', 'public, max-age=3600');
+      res.setHeader('X-Preview-Seconds', PREVIEW_SECONDS);
+      res.setHeader('X-Preview-Start', startSec);
+    };
+
+    // HEAD: the size is already known from the cap cache — don't open an
+    // upstream body just to throw it away.
+    if (req.method === 'HEAD') {
+      setAudioHeaders('audio/mpeg');
       res.end();
       return;
     }
 
     const headers = new Headers();
     if (requiresAuth) headers.set('Authorization', `Bearer ${await ensureToken()}`);
-    headers.set('Range', `bytes=${start}-${end}`);
+    headers.set('Range', `bytes=${offset + start}-${offset + end}`);
     const upstream = await fetchWithAuthRetry(resolved.url, requiresAuth, headers, controller.signal);
     if (!upstream.ok && upstream.status !== 206) {
       res.status(upstream.status === 404 ? 404 : 502).json({ ok: false, error: 'Preview source unavailable' });
@@ -179,16 +209,8 @@ router.get('/preview/:recordId', async (req, res) => {
       return;
     }
 
-    res.status(isRange ? 206 : 200);
     const upstreamType = upstream.headers.get('content-type') || '';
-    res.setHeader('Content-Type', upstreamType.startsWith('audio/') ? upstreamType : 'audio/mpeg');
-    res.setHeader('Content-Length', end - start + 1);
-    if (isRange) res.setHeader('Content-Range', `bytes ${start}-${end}/${previewSize}`);
-    res.setHeader('Accept-Ranges', 'bytes');
-    // Same clip for every guest → shared-cacheable. Modest TTL: the cap logic
-    // may be tuned and FM container URLs rotate.
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.setHeader('X-Preview-Seconds', PREVIEW_SECONDS);
+    setAudioHeaders(upstreamType.startsWith('audio/') ? upstreamType : 'audio/mpeg');
 
     if (!upstream.body) { res.end(); return; }
 
@@ -197,7 +219,7 @@ router.get('/preview/:recordId', async (req, res) => {
       await pipeSlice(upstream.body, res, 0, end - start + 1);
     } else {
       // Upstream ignored Range (FM container): skip/cap manually.
-      await pipeSlice(upstream.body, res, start, end - start + 1);
+      await pipeSlice(upstream.body, res, offset + start, end - start + 1);
     }
   } catch (err) {
     if (clientAborted) return;
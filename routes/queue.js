@@ -0,0 +1,138 @@
+// Cross-device play queue — /api/queue (lib/queue-store.js).
+//
+//   GET    /api/queue            the listener's queue (or null)
+//   POST   /api/queue            replace it; the sending device becomes the owner
+//   PATCH  /api/queue/position   owner-only progress: current index + position
+//   POST   /api/queue/claim      "continue on this device" — take ownership
+//   DELETE /api/queue            clear it
+//
+// Keyed on the access token's email, like the library. Every write carries the
+// client's deviceId (a random id each app install keeps in localStorage); a
+// position update from a device that no longer owns the queue gets 409 so that
+// device stops reporting (and can offer to take it back) instead of dragging
+// the other device's position around.
+//
+// Mounted only while QUEUE_SYNC_ENABLED=true (404-fenced before the auth
+// middleware otherwise) — it needs the API_Queue layout to exist in FileMaker.
+import { Router } from 'express';
+import { requireTokenEmail } from '../lib/auth.js';
+import { isValidDeviceId, loadUserQueue, normalizeQueue, updateUserQueue } from '../lib/queue-store.js';
+
+const router = Router();
+
+// User-specific and constantly changing — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+function deviceFrom(body, res) {
+  const deviceId = body?.deviceId;
+  if (!isValidDeviceId(deviceId)) {
+    res.status(400).json({ ok: false, error: 'Valid deviceId required' });
+    return null;
+  }
+  const deviceName = typeof body.deviceName === 'string' ? body.deviceName.trim().slice(0, 60) : '';
+  return { deviceId, deviceName };
+}
+
+// An empty queue reads as "no queue" — clients only have to handle one case.
+function view(queue) {
+  return queue && queue.items?.length ? queue : null;
+}
+
+router.get('/', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    res.json({ ok: true, queue: view(await loadUserQueue(user.email)) });
+  } catch (err) {
+    console.error('[MASS] Load queue failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load queue' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const device = deviceFrom(req.body, res);
+  if (!device) return;
+  const normalized = normalizeQueue(req.body);
+  if (!normalized.ok) return res.status(400).json({ ok: false, error: normalized.error });
+  try {
+    const { queue } = await updateUserQueue(user.email, () => ({
+      queue: { ...normalized.queue, ...device }
+    }));
+    res.json({ ok: true, queue: view(queue) });
+  } catch (err) {
+    console.error('[MASS] Save queue failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to save queue' });
+  }
+});
+
+router.patch('/position', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const device = deviceFrom(req.body, res);
+  if (!device) return;
+  try {
+    const result = await updateUserQueue(user.email, (current) => {
+      if (!view(current)) return { notFound: true };
+      if (current.deviceId !== device.deviceId) return { superseded: true };
+      const idx = Number.parseInt(req.body.currentIndex, 10);
+      const pos = Number(req.body.positionSec);
+      return {
+        queue: {
+          ...current,
+          currentIndex: Number.isFinite(idx) ? Math.min(current.items.length - 1, Math.max(0, idx)) : current.currentIndex,
+          positionSec: Number.isFinite(pos) && pos > 0 ? Math.round(pos * 10) / 10 : 0
+        }
+      };
+    });
+    if (result.notFound) return res.status(404).json({ ok: false, error: 'No queue' });
+    if (result.superseded) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Queue is playing on another device',
+        deviceName: result.queue.deviceName || ''
+      });
+    }
+    res.json({ ok: true, version: result.queue.version });
+  } catch (err) {
+    console.error('[MASS] Update queue position failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to update queue' });
+  }
+});
+
+router.post('/claim', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const device = deviceFrom(req.body, res);
+  if (!device) return;
+  try {
+    const result = await updateUserQueue(user.email, (current) => {
+      if (!view(current)) return { notFound: true };
+      return { queue: { ...current, ...device } };
+    });
+    if (result.notFound) return res.status(404).json({ ok: false, error: 'No queue' });
+    res.json({ ok: true, queue: result.queue });
+  } catch (err) {
+    console.error('[MASS] Claim queue failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to claim queue' });
+  }
+});
+
+router.delete('/', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    await updateUserQueue(user.email, (current) => (
+      view(current)
+        ? { queue: { items: [], currentIndex: 0, positionSec: 0, context: { name: '', kind: '' }, deviceId: '', deviceName: '' } }
+        : {}
+    ));
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MASS] Clear queue failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to clear queue' });
+  }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+// Resume points for long listens — /api/resume (lib/resume-store.js).
+//
+//   GET    /api/resume              the listener's recent long items, most recent first
+//   POST   /api/resume              report a position { kind, id, positionSec, durationSec, finished?, title?, … }
+//   DELETE /api/resume/:kind/:id    forget one item ("start from the beginning")
+//
+// Keyed on the access token's email, like the queue and the library. The
+// players report where a long track or podcast episode is (throttled, plus
+// pause / page hide) and mark it finished when it ends; on the next play of
+// the same item they offer "Resume from 34:12".
+//
+// Mounted only while RESUME_POINTS_ENABLED=true (404-fenced before the auth
+// middleware otherwise) — it needs the API_Resume layout to exist in FileMaker.
+import { Router } from 'express';
+import { requireTokenEmail } from '../lib/auth.js';
+import {
+  RESUME_KINDS,
+  applyResumePoint,
+  loadResumePoints,
+  normalizeResumePoint,
+  updateResumePoints
+} from '../lib/resume-store.js';
+import { validators } from '../lib/validators.js';
+
+const router = Router();
+
+// User-specific and constantly changing — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+router.get('/', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    res.json({ ok: true, items: await loadResumePoints(user.email) });
+  } catch (err) {
+    console.error('[MASS] Load resume points failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load resume points' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const normalized = normalizeResumePoint(req.body);
+  if (!normalized.ok) return res.status(400).json({ ok: false, error: normalized.error });
+  try {
+    await updateResumePoints(user.email, (items) => applyResumePoint(items, normalized.point));
+    res.json({ ok: true, point: normalized.point });
+  } catch (err) {
+    console.error('[MASS] Save resume point failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to save resume point' });
+  }
+});
+
+router.delete('/:kind/:id', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  const { kind } = req.params;
+  const check = validators.recordId(req.params.id ?? '');
+  if (!RESUME_KINDS.has(kind) || !check.valid) return res.status(400).json({ ok: false, error: 'Invalid item' });
+  try {
+    await updateResumePoints(user.email, (items) => {
+      const next = items.filter((p) => !(p.kind === kind && p.id === check.value));
+      return next.length === items.length ? undefined : next;
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MASS] Delete resume point failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to delete resume point' });
+  }
+});
+
+export default router;
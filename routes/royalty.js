@@ -0,0 +1,80 @@
+// routes/royalty.js — royalty statements for licensors (lib/royalty-report.js).
+//
+//   GET /api/royalty/report?period=2026-09[&format=json|csv|dsr][&rightsHolder=…][&qualifyingSec=30]
+//   GET /api/royalty/report?from=2026-09-01&to=2026-09-15 …
+//
+// Per-ISRC qualifying-play counts grouped by rights holder, for a CLOSED
+// range only (open periods are refused — a statement must not change after
+// it is sent). `csv` and `dsr` download as files; every response carries the
+// statement checksum in X-Report-Checksum so a re-run can be compared with
+// what went out.
+//
+// Admin-key only (X-Admin-Key, like /tokens/* and /taster/report) — it skips
+// the token middleware and requireAdminKey guards it instead.
+//
+// The monthly job is scripts/royalty-report.mjs; it writes the same files.
+import { Router } from 'express';
+import { LRUCache } from 'lru-cache';
+import { requireAdminKey } from './admin.js';
+import {
+  ROYALTY_FORMATS,
+  ROYALTY_QUALIFYING_SEC,
+  buildRoyaltyReport,
+  filterByRightsHolder,
+  parseRoyaltyPeriod,
+  renderRoyaltyCsv,
+  renderRoyaltyDsr,
+  royaltyFileName
+} from '../lib/royalty-report.js';
+
+const router = Router();
+
+// A closed period's statement only changes if someone edits old events, so a
+// short memo saves a second full Stream_Events scan when the CSV and the DSR
+// file are pulled one after the other.
+const reportMemo = new LRUCache({ max: 12, ttl: 10 * 60 * 1000 });
+
+router.get('/royalty/report', requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const period = parseRoyaltyPeriod(req.query);
+  if (!period.ok) return res.status(400).json({ ok: false, error: period.error });
+
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!ROYALTY_FORMATS.has(format)) return res.status(400).json({ ok: false, error: 'format must be json, csv or dsr' });
+
+  const thresholdSec = req.query.qualifyingSec === undefined
+    ? ROYALTY_QUALIFYING_SEC
+    : Number.parseInt(String(req.query.qualifyingSec), 10);
+  if (!Number.isInteger(thresholdSec) || thresholdSec < 1 || thresholdSec > 600) {
+    return res.status(400).json({ ok: false, error: 'qualifyingSec must be 1–600' });
+  }
+
+  try {
+    const key = `${period.from}|${period.to}|${thresholdSec}`;
+    let full = reportMemo.get(key);
+    if (!full) {
+      full = await buildRoyaltyReport(period, { thresholdSec });
+      reportMemo.set(key, full);
+      console.log(`[MASS] Royalty report ${period.from}..${period.to}: ${full.totals.qualifyingPlays} qualifying plays, ${full.rows.length} recordings`);
+    }
+    const report = filterByRightsHolder(full, req.query.rightsHolder);
+    res.setHeader('X-Report-Checksum', report.checksum);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${royaltyFileName(report, 'csv')}"`);
+      return res.send(renderRoyaltyCsv(report));
+    }
+    if (format === 'dsr') {
+      res.setHeader('Content-Type', 'text/tab-separated-values; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${royaltyFileName(report, 'dsr.tsv')}"`);
+      return res.send(renderRoyaltyDsr(report));
+    }
+    res.json({ ok: true, ...report });
+  } catch (err) {
+    console.error('[MASS] Royalty report failed:', err);
+    res.status(500).json({ ok: false, error: err?.message || 'Royalty report failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,140 @@
+// Smart playlists — /api/playlists (lib/smart-playlist.js).
+//
+//   POST   /api/playlists/smart                 { name, rules } — create and fill it
+//   PUT    /api/playlists/:playlistId/rules     { rules } — change the rules, refill
+//   DELETE /api/playlists/:playlistId/rules     keep the current tracks as a normal playlist
+//   POST   /api/playlists/:playlistId/refresh   { ifDue } — refill now; with ifDue only
+//                                               when its refresh is due (the page sends
+//                                               this on open)
+//
+// All owner-only. Refreshes answer { ok, playlist, refreshed, added, removed }.
+// The "unplayed" rule reads the caller's own play counts, keyed on the
+// authenticated access token like /api/play-counts. Manual track edits on a
+// smart playlist answer 409 in routes/playlists.js. Mounted ahead of
+// routes/playlists.js, only while SMART_PLAYLISTS_ENABLED=true (server.js
+// 404-fences these paths otherwise) — it needs the Rules_JSON and
+// Refreshed_At fields on API_Playlists.
+import { Router } from 'express';
+import { randomUUID } from 'node:crypto';
+import { requireTokenEmail } from '../lib/auth.js';
+import { validators } from '../lib/validators.js';
+import { playlistOwnerMatches } from '../lib/playlist.js';
+import { createPlaylist, loadPlaylistById, loadUserPlaylists, mutatePlaylist } from '../lib/playlist-store.js';
+import { isSmartRefreshDue, normalizeSmartRules, refreshSmartPlaylist } from '../lib/smart-playlist.js';
+
+const router = Router();
+
+// All playlist routes return user-specific data — never cache on client or CDN.
+router.use((_req, res, next) => { res.setHeader('Cache-Control', 'no-store'); next(); });
+
+// The AUTHENTICATED token, upper-cased like routes/play-counts.js.
+const requestToken = (req) => (req.accessToken?.code || '').toString().trim().toUpperCase();
+
+// The caller's own smart playlist, or a 404 / 409 sent here (→ null).
+async function loadOwnSmartPlaylist(res, playlistId, email) {
+  const playlist = await loadPlaylistById(playlistId, email);
+  if (!playlist) {
+    res.status(404).json({ ok: false, error: 'Playlist not found' });
+    return null;
+  }
+  if (!playlist.rules) {
+    res.status(409).json({ ok: false, error: 'Not a smart playlist' });
+    return null;
+  }
+  return playlist;
+}
+
+// Refill and answer; a playlist whose refill can't run right now is still
+// sent back (as it stands) with the reason.
+async function refreshAndRespond(req, res, playlist, status = 200) {
+  const result = await refreshSmartPlaylist(playlist, { token: requestToken(req) });
+  if (!result.ok) {
+    if (result.status === 404) return res.status(404).json({ ok: false, error: result.error });
+    return res.status(status).json({ ok: true, playlist, refreshed: false, refreshError: result.error });
+  }
+  res.status(status).json({ ok: true, playlist: result.playlist, refreshed: true, added: result.added, removed: result.removed });
+}
+
+router.post('/smart', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const nameValidation = validators.playlistName(req.body?.name || '');
+    if (!nameValidation.valid) return res.status(400).json({ ok: false, error: nameValidation.error });
+    const rules = normalizeSmartRules(req.body?.rules);
+    if (!rules.ok) return res.status(400).json({ ok: false, error: rules.error });
+
+    const name = nameValidation.value;
+    const existing = await loadUserPlaylists(user.email);
+    const collision = existing.find(
+      (p) => p && playlistOwnerMatches(p.userId, user.email) && typeof p.name === 'string' && p.name.toLowerCase() === name.toLowerCase()
+    );
+    if (collision) return res.status(409).json({ ok: false, error: 'You already have a playlist with that name', playlist: collision });
+
+    const now = new Date().toISOString();
+    const playlist = await createPlaylist({
+      id:        randomUUID(),
+      userId:    user.email,
+      name,
+      artwork:   '',
+      tracks:    [],
+      rules:     rules.rules,
+      createdAt: now,
+      updatedAt: now
+    });
+    await refreshAndRespond(req, res, playlist, 201);
+  } catch (err) {
+    console.error('[MASS] Create smart playlist failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to create playlist' });
+  }
+});
+
+router.put('/:playlistId/rules', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const rules = normalizeSmartRules(req.body?.rules);
+    if (!rules.ok) return res.status(400).json({ ok: false, error: rules.error });
+    const playlist = await loadOwnSmartPlaylist(res, req.params.playlistId, user.email);
+    if (!playlist) return;
+    const updated = await mutatePlaylist(playlist, () => ({ rules: rules.rules, updatedAt: new Date().toISOString() }));
+    if (!updated) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    await refreshAndRespond(req, res, updated);
+  } catch (err) {
+    console.error('[MASS] Update smart playlist rules failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to update rules' });
+  }
+});
+
+router.delete('/:playlistId/rules', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const playlist = await loadOwnSmartPlaylist(res, req.params.playlistId, user.email);
+    if (!playlist) return;
+    const updated = await mutatePlaylist(playlist, () => ({ rules: null, updatedAt: new Date().toISOString() }));
+    if (!updated) return res.status(404).json({ ok: false, error: 'Playlist not found' });
+    res.json({ ok: true, playlist: updated });
+  } catch (err) {
+    console.error('[MASS] Remove smart playlist rules failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to update rules' });
+  }
+});
+
+router.post('/:playlistId/refresh', async (req, res) => {
+  const user = requireTokenEmail(req, res);
+  if (!user) return;
+  try {
+    const playlist = await loadOwnSmartPlaylist(res, req.params.playlistId, user.email);
+    if (!playlist) return;
+    if (req.body?.ifDue === true && !isSmartRefreshDue(playlist, { opening: true })) {
+      return res.json({ ok: true, playlist, refreshed: false });
+    }
+    await refreshAndRespond(req, res, playlist);
+  } catch (err) {
+    console.error('[MASS] Refresh smart playlist failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to refresh playlist' });
+  }
+});
+
+export default router;
@@ -1,7 +1,11 @@
 import { Router } from 'express';
 import { fmGetRecordById, ensureToken, safeFetch, fmLogin } from '../fm-client.js';
 import { validators } from '../lib/validators.js';
-import { AUDIO_FIELD_CANDIDATES, FM_LAYOUT, FM_HOST } from '../lib/fm-fields.js';
+import { AUDIO_FIELD_CANDIDATES, PREVIEW_START_FIELD_CANDIDATES, FM_LAYOUT, FM_HOST } from '../lib/fm-fields.js';
+import { normalizeSeconds } from '../lib/format.js';
+import { trackLoudness } from '../lib/track.js';
+import { computePreviewCap, _internal as mp3Internal } from '../lib/mp3-preview.js';
+import { signMedia, mediaSubject, mediaQueryString, sealMediaToken } from '../lib/media-sign.js';
 import { containerUrlCache, trackRecordCache } from '../cache.js';
 import { hostnameResolvesPrivate, isSameOrigin } from '../lib/ssrf-guard.js';
 
@@ -27,6 +31,57 @@ function isRedirectableHost(hostname) {
   return REDIRECT_HOST_ALLOWLIST.has(String(hostname || '').toLowerCase());
 }
 
+// ── Signed media URLs ────────────────────────────────────────────────────────
+// Signed media (2026-10-19): ships dark. The bucket's full-length audio used to
+// be handed out as bare S3/CDN URLs (and /container 302'd to them), so a URL
+// copied from devtools played forever for anyone. With MEDIA_SIGNING_ENABLED
+// the token-gated /track/:recordId/container returns a short-lived HMAC-signed
+// /media/<key> URL bound to the listener's token instead (verified by
+// routes/media.js), and the public paths refuse to hand out bare audio. Artwork
+// is unaffected. Closing the hole completely also needs the bucket itself
+// locked to the CDN origin — that is bucket policy, not code.
+export const MEDIA_SIGNING_ENABLED = process.env.MEDIA_SIGNING_ENABLED === 'true';
+const MEDIA_URL_TTL_SEC = Math.max(60, Number.parseInt(process.env.MEDIA_URL_TTL_SEC, 10) || 2 * 60 * 60);
+const MEDIA_BUCKET = 'mass-music-audio-files';
+const REGEX_AUDIO_KEY = /\.(?:mp3|m4a|aac|wav|flac|ogg)$/i;
+
+// A decoded bucket key naming full-length audio, with no path traversal.
+export function isAudioObjectKey(key) {
+  return !!key && REGEX_AUDIO_KEY.test(key) && !key.split('/').includes('..');
+}
+
+// Object key (decoded) of a full-length audio file on one of our media hosts,
+// or null for anything else (artwork, FM containers, foreign hosts).
+export function mediaObjectKey(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return null; }
+  const host = parsed.hostname.toLowerCase();
+  if (!isRedirectableHost(host)) return null;
+  let path = parsed.pathname.replace(/^\/+/, '');
+  // Path-style origin carries the bucket as the first segment.
+  if (host.startsWith('s3.') && path.startsWith(`${MEDIA_BUCKET}/`)) path = path.slice(MEDIA_BUCKET.length + 1);
+  let key;
+  try { key = decodeURIComponent(path); } catch { return null; }
+  return isAudioObjectKey(key) ? key : null;
+}
+
+// Signed playback URL for a bucket audio URL, bound to the listener's token
+// (`sub` is its mediaSubject, `tok` the sealed code routes/media.js re-checks
+// the token with). Served by the media CDN when configured (its /media/*
+// behaviour fronts this app), else by this app directly. Null when `url` isn't
+// bucket audio. Throws when AUTH_SECRET is unset — callers must fail closed.
+export function signedMediaUrl(url, tokenCode) {
+  const key = mediaObjectKey(url);
+  if (!key) return null;
+  const signed = signMedia(`media:${key}`, { sub: mediaSubject(tokenCode), ttlSec: MEDIA_URL_TTL_SEC });
+  signed.tok = sealMediaToken(tokenCode);
+  const base = MEDIA_CDN_HOST ? `https://${MEDIA_CDN_HOST}/media/` : '/media/';
+  return {
+    url: `${base}${key.split('/').map(encodeURIComponent).join('/')}?${mediaQueryString(signed)}`,
+    expiresAt: new Date(signed.exp * 1000).toISOString()
+  };
+}
+
 async function resolveContainerUpstream(req) {
   const rid    = (req.query.rid   || '').toString().trim();
   const field  = (req.query.field || '').toString().trim();
@@ -67,6 +122,12 @@ async function resolveContainerUpstream(req) {
       // prefix/startsWith test: that leaks a live FileMaker session.
       const isFmUrl = isSameOrigin(direct, FM_HOST);
 
+      // This route is public: with signed media on it must neither redirect
+      // to nor proxy bucket audio — that's exactly the bare URL being retired.
+      if (MEDIA_SIGNING_ENABLED && !isFmUrl && mediaObjectKey(direct)) {
+        return { error: { status: 403, body: { error: 'signed_url_required', detail: 'Audio is served via signed URLs only' } } };
+      }
+
       // DNS-resolving SSRF guard. A hostname regex is not enough — several
       // public naming tricks and alternate literal forms resolve to internal
       // addresses without ever looking internal as a string. Skipped for FM
@@ -135,7 +196,7 @@ function isImmutableUpstream(upstreamUrl) {
 // Resolve a track's audio container URL (+ fresh artwork) by recordId.
 // Shared by the token-gated /track/:recordId/container route and the public
 // guest-preview route (routes/preview.js) so both hit the same LRU / FM path.
-// Returns { ok: true, url, field, artworkUrl, _cached? } or
+// Returns { ok: true, url, field, artworkUrl, previewStartSec, loudness, _cached? } or
 // { ok: false, reason: 'record_not_found' | 'no_container' }.
 // Layouts and fields a CLIENT may name. This resolver returns the raw value of
 // whatever field it is pointed at, so leaving either open makes it a general
@@ -165,7 +226,7 @@ export async function resolveTrackAudio(recordId, layout = FM_LAYOUT, { requeste
   const cacheKey = `${layout}::${recordId}`;
   const cached = containerUrlCache.get(cacheKey);
   if (cached) {
-    return { ok: true, url: cached.url, field: cached.field, artworkUrl: cached.artworkUrl || '', _cached: true };
+    return { ok: true, url: cached.url, field: cached.field, artworkUrl: cached.artworkUrl || '', previewStartSec: cached.previewStartSec || 0, loudness: cached.loudness || null, _cached: true };
   }
 
   // Read-through fallback (May-17): featured/trending/g100 pre-warm already
@@ -246,10 +307,22 @@ export async function resolveTrackAudio(recordId, layout = FM_LAYOUT, { requeste
     if (value) { artworkUrl = value; break; }
   }
 
+  // Where the guest preview should start ("skip the intro"). Read here so the
+  // preview route needs no second record lookup; 0 = from the top.
+  let previewStartSec = 0;
+  for (const candidate of PREVIEW_START_FIELD_CANDIDATES) {
+    const value = getFieldValue(candidate);
+    if (value) { previewStartSec = normalizeSeconds(value); break; }
+  }
+
+  // Analyzer loudness (null until measured) — lets a player that resolved a
+  // track by recordId alone still normalise it (public/js/loudness.js).
+  const loudness = trackLoudness(fieldData);
+
   // Cache the resolved URLs so repeat plays skip the FileMaker lookup
-  containerUrlCache.set(cacheKey, { url: containerUrl, field: chosenField || requestedField || '', artworkUrl });
+  containerUrlCache.set(cacheKey, { url: containerUrl, field: chosenField || requestedField || '', artworkUrl, previewStartSec, loudness });
 
-  return { ok: true, url: containerUrl, field: chosenField || requestedField || '', artworkUrl };
+  return { ok: true, url: containerUrl, field: chosenField || requestedField || '', artworkUrl, previewStartSec, loudness };
 }
 
 router.get('/track/:recordId/container', async (req, res) => {
@@ -287,10 +360,18 @@ router.get('/track/:recordId/container', async (req, res) => {
       return;
     }
 
-    const { url, field, artworkUrl, _cached } = resolved;
-    res.json(_cached
-      ? { ok: true, url, field, artworkUrl, _cached: true }
-      : { ok: true, url, field, artworkUrl });
+    const { field, artworkUrl, loudness, _cached } = resolved;
+    let { url } = resolved;
+    let signed = null;
+    if (MEDIA_SIGNING_ENABLED) {
+      signed = signedMediaUrl(url, req.accessToken?.code);
+      if (signed) url = signed.url;
+    }
+    const body = { ok: true, url, field, artworkUrl };
+    if (loudness) body.loudness = loudness;
+    if (signed) Object.assign(body, { signed: true, expiresAt: signed.expiresAt });
+    if (_cached) body._cached = true;
+    res.json(body);
   } catch (err) {
     console.error('[MASS] Container refresh failed:', err);
     res.status(500).json({ ok: false, error: 'Failed to refresh container' });
@@ -314,6 +395,78 @@ export async function fetchWithAuthRetry(upstreamUrl, requiresAuth, headers, sig
   return upstream;
 }
 
+// ── Ranged MP3 head reads ───────────────────────────────────────────────────
+// Shared by the guest preview (routes/preview.js) and HLS packaging
+// (routes/hls.js): both need the frame layout of a track without pulling the
+// whole file through us.
+
+const HEAD_FETCH_BYTES = 65536;
+
+function contentRangeTotal(upstream) {
+  // "bytes 0-65535/4711234" → 4711234
+  const m = /\/(\d+)\s*$/.exec(upstream.headers.get('content-range') || '');
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// Read at most `limit` bytes from a web stream, then cancel it. Prevents an
+// upstream that ignored our Range header (FM containers) from being buffered
+// whole into memory.
+async function readPrefix(body, limit) {
+  const reader = body.getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    while (total < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      total += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks, Math.min(total, limit));
+}
+
+// Fetch `length` bytes of `url` starting at byte `from`. Returns the bytes,
+// the real file size (when the upstream tells us) and whether the Range was
+// honoured — an upstream that ignores it sends the file from byte 0.
+export async function fetchAudioPrefix(url, requiresAuth, signal, from, length) {
+  const headers = new Headers();
+  if (requiresAuth) headers.set('Authorization', `Bearer ${await ensureToken()}`);
+  headers.set('Range', `bytes=${from}-${from + length - 1}`);
+  const upstream = await fetchWithAuthRetry(url, requiresAuth, headers, signal);
+  if (!upstream.ok && upstream.status !== 206) {
+    const err = new Error(`Upstream ${upstream.status}`);
+    err.upstreamStatus = upstream.status;
+    upstream.body?.cancel?.().catch?.(() => {});
+    throw err;
+  }
+  const totalSize = contentRangeTotal(upstream)
+    ?? (upstream.status === 200 ? parseInt(upstream.headers.get('content-length'), 10) || null : null);
+  const buf = upstream.body ? await readPrefix(upstream.body, length) : Buffer.alloc(0);
+  return { buf, totalSize, ranged: upstream.status === 206 };
+}
+
+// Parse the head of the file until the MP3 parser resolves, sizing the cap for
+// `seconds`. Returns { parsed, totalSize, ranged, headBytes } — parsed is null
+// when the file ran out (or the parse budget did) before a cap could be
+// computed; ranged says whether the upstream honours Range requests.
+export async function readAudioHead(url, requiresAuth, signal, seconds) {
+  let need = HEAD_FETCH_BYTES;
+  for (;;) {
+    const { buf, totalSize, ranged } = await fetchAudioPrefix(url, requiresAuth, signal, 0, need);
+    const parsed = computePreviewCap(buf, seconds);
+    if (parsed.resolved) return { parsed, totalSize, ranged };
+    // Parser wants more bytes (large embedded ID3 art). If the file itself is
+    // shorter than what we asked for, there is nothing more to read.
+    if (buf.length < need || need >= mp3Internal.MAX_PARSE_BYTES) {
+      return { parsed: null, totalSize, ranged, headBytes: buf.length };
+    }
+    need = Math.min(parsed.needBytes, mp3Internal.MAX_PARSE_BYTES);
+  }
+}
+
 function applyProxyResponseHeaders(res, upstream, upstreamUrl) {
   res.statusCode = upstream.status;
   for (const [lower, headerName] of MIRROR_HEADERS.entries()) {
@@ -362,7 +515,14 @@ router.get('/container', async (req, res) => {
     return;
   }
 
-  const { upstreamUrl, requiresAuth } = resolved;
+  await proxyUpstream(req, res, resolved.upstreamUrl, resolved.requiresAuth);
+});
+
+// Stream `upstreamUrl` to `res`, passing Range/conditional headers through and
+// mirroring the upstream's. Shared by /container and the signed media edge
+// (routes/media.js). `cacheControl`, when given, overrides the default
+// per-origin caching policy.
+export async function proxyUpstream(req, res, upstreamUrl, requiresAuth, { cacheControl = '' } = {}) {
   let clientAborted = false;
   const controller = new AbortController();
   const onClose = () => { clientAborted = true; controller.abort(); };
@@ -383,6 +543,7 @@ router.get('/container', async (req, res) => {
     }
 
     applyProxyResponseHeaders(res, upstream, upstreamUrl);
+    if (cacheControl) res.setHeader('Cache-Control', cacheControl);
     if (!upstream.body) { res.end(); return; }
 
     const { pipeline } = await import('node:stream/promises');
@@ -393,6 +554,6 @@ router.get('/container', async (req, res) => {
   } finally {
     req.off('close', onClose);
   }
-});
+}
 
 export default router;
@@ -13,6 +13,7 @@
 import { Router } from 'express';
 import { LRUCache } from 'lru-cache';
 import { suggestAlbums, semanticIndexStatus, initSemanticIndex } from '../lib/semantic-index.js';
+import { albumEngagementScore, engagementLean, engagementPrior } from '../lib/engagement.js';
 import { validateQueryString } from '../lib/validators.js';
 import { createLogger } from '../lib/logger.js';
 
@@ -30,6 +31,11 @@ const shuffleEnabled = () => String(process.env.SUGGEST_SHUFFLE ?? 'true').toLow
 // (a cached payload would freeze the "fresh each visit" set).
 const cache = new LRUCache({ max: 1000, ttl: 60 * 60 * 1000 });
 
+// Engagement analytics (ENGAGEMENT_ENABLED, lib/engagement.js) nudge albums
+// listeners finish up the rail. Read from the in-memory snapshot — still no
+// FileMaker on this path.
+const ENGAGEMENT_ENABLED = process.env.ENGAGEMENT_ENABLED === 'true';
+
 router.get('/suggestions', async (req, res) => {
   try {
     // Idempotent: opens the index on first call (or downloads it once via
@@ -74,7 +80,12 @@ router.get('/suggestions', async (req, res) => {
 
     // coversOnly: the public rail must never show a placeholder sleeve, so drop
     // cover-less albums rather than padding the page with them.
-    const result = suggestAlbums({ cat, title, artist }, limit, { shuffle, coversOnly: true });
+    const prior = ENGAGEMENT_ENABLED ? engagementPrior() : null;
+    const result = suggestAlbums({ cat, title, artist }, limit, {
+      shuffle,
+      coversOnly: true,
+      engagement: ENGAGEMENT_ENABLED ? (album) => engagementLean(albumEngagementScore(album), prior) : null
+    });
     const payload = {
       ok: true,
       seed: result.seed,
@@ -0,0 +1,90 @@
+// routes/taster.js — taster campaign funnel report (lib/taster-funnel.js).
+//
+//   GET /api/taster/funnel[?from=2026-09-01&to=2026-09-30]
+//     • With a valid X-Admin-Key header → JSON: totals plus per-campaign,
+//       per-track and per-video rows (land → play → trial → paid → retained,
+//       revenue in rand).
+//     • In a browser (no header) → a small HTML dashboard that prompts for the
+//       admin key once and fetches the JSON with the header (same pattern as
+//       /api/pg-mirror — the secret never goes in the URL).
+//
+// The raw counters stay at /api/taster/report (server.js). Mounted only while
+// TASTER_FUNNEL_ENABLED=true (404-fenced in server.js otherwise).
+import { Router } from 'express';
+import { requireAdminKey } from './admin.js';
+import { loadTasterFunnel, parseTasterFunnelRange } from '../lib/taster-funnel.js';
+
+const router = Router();
+
+const FUNNEL_SHELL = `<!doctype html><meta charset=utf-8><meta name=viewport content="width=device-width,initial-scale=1">
+<title>Taster funnel</title><style>
+body{font:14px/1.5 system-ui,sans-serif;margin:0;background:#0f1115;color:#e6e8eb}
+header{padding:16px 20px;border-bottom:1px solid #222;display:flex;gap:12px;align-items:center;flex-wrap:wrap}
+h1{font-size:16px;margin:0;font-weight:600}main{padding:20px;max-width:1100px}
+input{font:inherit;padding:8px 10px;border:1px solid #333;border-radius:6px;background:#171a20;color:#e6e8eb}
+button{font:inherit;padding:8px 14px;border:0;border-radius:6px;background:#2d6cdf;color:#fff;cursor:pointer}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(140px,1fr));gap:10px;margin:12px 0}
+.card{background:#171a20;border:1px solid #222;border-radius:8px;padding:12px}
+.card .n{font-size:22px;font-weight:700}.card .l{color:#9aa3ad;font-size:12px;text-transform:uppercase;letter-spacing:.04em}
+.muted{color:#9aa3ad}.err{color:#ff6b6b}table{border-collapse:collapse;width:100%;margin:6px 0}
+td,th{text-align:right;padding:6px 10px;border-bottom:1px solid #222}td:first-child,th:first-child{text-align:left}
+h2{font-size:13px;color:#9aa3ad;text-transform:uppercase;letter-spacing:.04em;margin:20px 0 4px}
+</style>
+<header><h1>Taster funnel</h1>
+<label class=muted>from <input id=from type=date></label><label class=muted>to <input id=to type=date></label>
+<button id=refresh>Refresh</button><span id=ts class=muted></span></header>
+<main id=app><form id=f><p>Enter admin key to view:</p><input id=k type=password autocomplete=current-password> <button>View</button></form></main>
+<script>
+const app=document.getElementById('app');
+const esc=s=>String(s==null?'':s).replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+const pct=r=>r==null?'—':(r*100).toFixed(1)+'%';
+const money=n=>'R'+Number(n||0).toLocaleString(undefined,{minimumFractionDigits:2,maximumFractionDigits:2});
+function card(n,l){return '<div class=card><div class=n>'+n+'</div><div class=l>'+l+'</div></div>'}
+function table(title,label,rows){
+  if(!rows.length) return '<h2>'+title+'</h2><p class=muted>Nothing in this range.</p>';
+  return '<h2>'+title+'</h2><table><tr><th>'+label+'<th>land<th>play<th>trial<th>paid<th>land→paid<th>retained 30d<th>revenue</tr>'+
+    rows.map(r=>'<tr><td>'+esc(r.key)+'<td>'+r.land+'<td>'+r.play+' <span class=muted>'+pct(r.playRate)+'</span><td>'+r.trial+' <span class=muted>'+pct(r.trialRate)+'</span><td>'+r.paid+'<td>'+pct(r.paidRate)+'<td>'+r.retained+'/'+r.matured+' <span class=muted>'+pct(r.retainedRate)+'</span><td>'+money(r.revenue)+'</tr>').join('')+'</table>';
+}
+async function load(key){
+  app.innerHTML='<p class=muted>Loading…</p>';
+  const q=new URLSearchParams();
+  const from=document.getElementById('from').value, to=document.getElementById('to').value;
+  if(from) q.set('from',from); if(to) q.set('to',to);
+  let r; try{ r=await fetch('/api/taster/funnel?'+q,{headers:{'X-Admin-Key':key}}); }catch(e){ app.innerHTML='<p class=err>Network error</p>'; return; }
+  if(r.status===401){ sessionStorage.removeItem('mk'); app.innerHTML='<p class=err>Wrong key.</p>'+formHtml(); wire(); return; }
+  const d=await r.json();
+  if(!d.ok){ app.innerHTML='<p class=err>'+esc(d.error||'Failed')+'</p>'; return; }
+  const t=d.totals;
+  document.getElementById('from').value=d.range.from; document.getElementById('to').value=d.range.to;
+  document.getElementById('ts').textContent=d.range.from+' → '+d.range.to;
+  app.innerHTML=
+    '<div class=grid>'+card(t.land,'landed ('+t.landMobile+' mobile)')+card(t.play+' · '+pct(t.playRate),'pressed play')+card(t.trial+' · '+pct(t.trialRate),'started trial')+
+      card(t.paid+' · '+pct(t.paidRate),'paid')+card(t.retained+'/'+t.matured+' · '+pct(t.retainedRate),'retained 30d')+card(money(t.revenue),'revenue')+'</div>'+
+    table('Campaigns','campaign',d.campaigns)+table('Videos','video',d.videos)+table('Tracks','track',d.tracks);
+}
+function formHtml(){return '<form id=f><p>Enter admin key to view:</p><input id=k type=password autocomplete=current-password> <button>View</button></form>'}
+function wire(){const f=document.getElementById('f'); if(f) f.onsubmit=e=>{e.preventDefault();const k=document.getElementById('k').value.trim();if(k){sessionStorage.setItem('mk',k);load(k);}};}
+document.getElementById('refresh').onclick=()=>{const k=sessionStorage.getItem('mk');if(k)load(k);};
+wire();
+const saved=sessionStorage.getItem('mk'); if(saved) load(saved);
+</script>`;
+
+router.get('/taster/funnel', (req, res, next) => {
+  const wantsJson = !!req.headers['x-admin-key'] || req.query.format === 'json' || !req.accepts('html');
+  // Browser with no key → serve the prompt shell (reveals nothing).
+  if (wantsJson) return next();
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('html').send(FUNNEL_SHELL);
+}, requireAdminKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const range = parseTasterFunnelRange(req.query);
+  if (!range.ok) return res.status(400).json({ ok: false, error: range.error });
+  try {
+    res.json({ ok: true, ...(await loadTasterFunnel(range)) });
+  } catch (err) {
+    console.error('[MASS] Taster funnel report failed:', err);
+    res.status(500).json({ ok: false, error: 'Taster funnel report failed' });
+  }
+});
+
+export default router;
@@ -13,6 +13,7 @@ import { Router } from 'express';
 import { fmFindRecords, fmCreateRecord, fmUpdateRecord } from '../fm-client.js';
 import { createAccessToken, findTelkomToken, disableSubscriptionToken } from '../lib/token-store.js';
 import { timingSafeEqualStr } from '../lib/crypto-utils.js';
+import { recordTasterPayment } from '../lib/taster-attribution.js';
 
 const router = Router();
 
@@ -21,6 +22,20 @@ const router = Router();
 // multi-year token. Tunable via env.
 const TELKOM_MAX_TOKEN_DAYS = Math.max(1, parseInt(process.env.TELKOM_MAX_TOKEN_DAYS, 10) || 366);
 
+// Taster funnel attribution (TASTER_FUNNEL_ENABLED, see server.js). A Telkom
+// signup never passes through our checkout, so the only taster touch we can
+// see is a `campaign` the PartnerHUB notification echoes back when the
+// subscribe link was built with one. Renewals of an attributed subscriber
+// count towards retention either way. Amounts are billed by Telkom, not us: 0.
+const TASTER_FUNNEL_ENABLED = process.env.TASTER_FUNNEL_ENABLED === 'true';
+
+function noteTasterTelkom(msisdn, reference, campaign) {
+  if (!TASTER_FUNNEL_ENABLED) return;
+  recordTasterPayment({
+    msisdn, via: campaign ? { campaign } : null, channel: 'telkom', kind: 'subscription', reference
+  }).catch(() => {});
+}
+
 /**
  * Verify that an incoming Telkom webhook is authentic.
  *
@@ -160,6 +175,8 @@ router.post('/subscription', async (req, res) => {
       const activationLink = `${baseUrl}/activate?token=${token.code}&msisdn=${msisdn}`;
 
       console.log(`[Telkom] Activated subscriber ${msisdn} — token ${token.code}, link: ${activationLink}`);
+      // NEW_SUBSCRIPTION and ACTIVATED both arrive for one signup — one reference.
+      noteTasterTelkom(msisdn, `telkom:${subscription_id}`, body.campaign);
 
       // Return activation link so Telkom can include it in their Welcome SMS
       return res.status(200).json({
@@ -255,6 +272,8 @@ router.post('/billing', async (req, res) => {
       console.log(`[Telkom] Created fresh token for ${msisdn} on renewal (no existing token found)`);
     }
 
+    noteTasterTelkom(msisdn, `telkom:${subscription_id}:${next_billing_at || new Date().toISOString().slice(0, 10)}`, null);
+
     return res.status(200).json({ ok: true, status: 'renewed' });
 
   } catch (err) {
@@ -0,0 +1,187 @@
+// routes/wrapped.js — "MAD Wrapped", a listener's year / month in review
+// (lib/wrapped.js).
+//
+//   GET  /api/wrapped?year=2026[&month=10]   build (or reuse) the signed-in
+//                                            token's summary → { summary, shareUrl }
+//   POST /api/wrapped/email { year, month? } email it to the token's address
+//   GET  /wrapped/:shareId                   public share page (OG tags, no JS)
+//
+// The /api routes sit behind the token middleware and use the AUTHENTICATED
+// token (req.accessToken), never one from the query — the /my-stats lesson.
+// The share page carries only the summary: no token, email or listen times.
+//
+// Mounted only while WRAPPED_ENABLED=true (server.js 404-fences /api/wrapped
+// and /wrapped/ otherwise) — it needs the API_Wrapped layout in FileMaker.
+// The annual / monthly batch is scripts/wrapped.mjs.
+import { Router } from 'express';
+import { LRUCache } from 'lru-cache';
+import { WRAPPED_SHARE_CACHE_SEC, generateWrapped, loadWrappedByShareId, parseWrappedPeriod } from '../lib/wrapped.js';
+import { buildOgTags } from '../lib/share-meta.js';
+import { sendWrappedEmail } from '../lib/email.js';
+import { escapeHtml as esc } from '../lib/format.js';
+import { resolveRequestOrigin } from '../lib/http.js';
+
+const router = Router();
+
+// One email per token and period an hour — the button is one tap from a mail
+// loop otherwise.
+const emailedRecently = new LRUCache({ max: 5000, ttl: 60 * 60 * 1000 });
+
+function requireToken(req, res) {
+  const token = (req.accessToken?.code || '').toString().trim().toUpperCase();
+  if (!token) res.status(403).json({ ok: false, error: 'Authentication required' });
+  return token;
+}
+
+const shareUrlFor = (req, shareId) => `${resolveRequestOrigin(req) || ''}/wrapped/${encodeURIComponent(shareId)}`;
+
+router.get('/api/wrapped', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const token = requireToken(req, res);
+  if (!token) return;
+  const period = parseWrappedPeriod(req.query);
+  if (!period.ok) return res.status(400).json({ ok: false, error: period.error });
+  try {
+    const { shareId, summary } = await generateWrapped(token, period);
+    res.json({ ok: true, shareId, shareUrl: shareUrlFor(req, shareId), summary });
+  } catch (err) {
+    console.error('[MASS] Wrapped build failed:', err);
+    res.status(500).json({ ok: false, error: 'Failed to build your summary' });
+  }
+});
+
+router.post('/api/wrapped/email', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const token = requireToken(req, res);
+  if (!token) return;
+  const period = parseWrappedPeriod(req.body || {});
+  if (!period.ok) return res.status(400).json({ ok: false, error: period.error });
+  const email = String(req.accessToken?.email || '').trim();
+  if (!email || email === 'unknown') {
+    return res.status(400).json({ ok: false, error: 'No email address on this access token' });
+  }
+  const key = `${token}::${period.key}`;
+  if (emailedRecently.has(key)) return res.status(429).json({ ok: false, error: 'Already sent — check your inbox' });
+  try {
+    const { shareId, summary } = await generateWrapped(token, period);
+    emailedRecently.set(key, true);
+    await sendWrappedEmail(email, summary, shareUrlFor(req, shareId));
+    res.json({ ok: true });
+  } catch (err) {
+    emailedRecently.delete(key);
+    console.error('[MASS] Wrapped email failed:', err?.message || err);
+    const status = /not configured/i.test(err?.message || '') ? 503 : 500;
+    res.status(status).json({ ok: false, error: 'Could not send the email' });
+  }
+});
+
+// ── Share page ───────────────────────────────────────────────────────────────
+
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+
+function rankList(title, rows, line) {
+  if (!rows?.length) return '';
+  return `<section><h2>${esc(title)}</h2><ol class="rank">${rows.map((r) => `<li>${line(r)}</li>`).join('')}</ol></section>`;
+}
+
+function shareList(title, rows) {
+  if (!rows?.length) return '';
+  return `<section><h2>${esc(title)}</h2>${rows.map((r) =>
+    `<div class="bar"><span class="name">${esc(r.name)}</span><span class="fill" style="width:${Math.max(2, Math.min(100, r.percent))}%"></span><span class="pct">${r.percent}%</span></div>`
+  ).join('')}</section>`;
+}
+
+function hourChart(byHour, peakHour) {
+  const max = Math.max(...byHour, 1);
+  const bars = byHour.map((v, h) =>
+    `<span class="h${h === peakHour ? ' peak' : ''}" style="height:${Math.round((v / max) * 100)}%" title="${hourLabel(h)}"></span>`).join('');
+  return `<section><h2>When you listened</h2><div class="hours">${bars}</div>
+    <p class="muted">Most of it around ${hourLabel(peakHour)}.</p></section>`;
+}
+
+export function renderWrappedPage(summary, { url, origin }) {
+  const t = summary.totals || {};
+  const label = summary.period?.label || '';
+  const headline = `${(t.minutes || 0).toLocaleString('en-US')} minutes of music`;
+  const topAlbum = summary.topAlbums?.[0];
+  const ogImage = topAlbum?.artworkUrl || `${origin}/img/og-share.png`;
+  const og = buildOgTags({
+    type: 'website',
+    url,
+    title: `My ${label} on MAD Music`,
+    description: `${headline}${summary.topArtists?.[0] ? ` — top artist ${summary.topArtists[0].name}` : ''}. African music, streamed.`,
+    image: ogImage
+  });
+  const oldest = summary.oldestRecording;
+  const body = t.plays
+    ? `
+    <p class="big">${esc(headline)}</p>
+    <p class="muted">${esc(String(t.tracks || 0))} tracks · ${esc(String(t.artists || 0))} artists${summary.period?.partial ? ' · so far' : ''}</p>
+    ${rankList('Top artists', summary.topArtists, (a) => esc(a.name))}
+    ${rankList('Top albums', summary.topAlbums, (a) => `${esc(a.title)} <span class="muted">— ${esc(a.artist)}</span>`)}
+    ${rankList('Top tracks', summary.topTracks, (r) => `${esc(r.title)} <span class="muted">— ${esc(r.artist)}</span>`)}
+    ${shareList('Genres', summary.topGenres)}
+    ${shareList('Decades', summary.topDecades)}
+    ${shareList('Languages', summary.topLanguages)}
+    ${summary.peakHour !== null && summary.peakHour !== undefined ? hourChart(summary.byHour || [], summary.peakHour) : ''}
+    ${oldest ? `<section><h2>Oldest recording you played</h2><p><strong>${esc(oldest.title)}</strong> — ${esc(oldest.artist)} (${esc(String(oldest.year))})</p></section>` : ''}`
+    : '<p class="big">Nothing played yet</p><p class="muted">Press play and check back.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${esc(`My ${label} on MAD Music`)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  ${og}
+  <style>
+    :root{--bg:#0b0b10;--card:#16161f;--border:#26263a;--text:#e8e8ee;--muted:#8f8fa3;--accent:#8b5cf6;--accent2:#cbbcf7}
+    *{box-sizing:border-box}body{margin:0;background:var(--bg);color:var(--text);font-family:Barlow,Helvetica,Arial,sans-serif;line-height:1.5}
+    a{color:var(--accent2);text-decoration:none}
+    .wrap{max-width:640px;margin:0 auto;padding:0 20px 60px}
+    header.site{display:flex;align-items:center;justify-content:space-between;padding:16px 0;border-bottom:1px solid var(--border);margin-bottom:28px}
+    header.site img{height:34px}
+    .cta{background:linear-gradient(135deg,#8b5cf6,#6d28d9);color:#fff;padding:9px 18px;border-radius:10px;font-weight:600;white-space:nowrap}
+    h1{font-size:1.9rem;margin:0 0 6px}h2{font-size:1.1rem;margin:28px 0 10px}
+    .big{font-size:2.2rem;font-weight:700;margin:8px 0 0;color:var(--accent2)}
+    .muted{color:var(--muted)}
+    ol.rank{margin:0;padding-left:1.4em}ol.rank li{padding:4px 0}
+    .bar{display:flex;align-items:center;gap:10px;margin:6px 0}.bar .name{width:9em;flex:none;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+    .bar .fill{height:10px;border-radius:5px;background:var(--accent)}.bar .pct{color:var(--muted);font-size:.85rem}
+    .hours{display:flex;align-items:flex-end;gap:3px;height:90px;background:var(--card);border:1px solid var(--border);border-radius:12px;padding:10px}
+    .hours span{flex:1;background:#3b3b55;border-radius:2px;min-height:2px}.hours span.peak{background:var(--accent)}
+    footer{margin-top:44px;padding-top:18px;border-top:1px solid var(--border);font-size:.85rem;color:var(--muted)}
+  </style>
+</head>
+<body>
+<div class="wrap">
+  <header class="site">
+    <a href="/" aria-label="MAD — Music Africa Direct"><img src="/img/Madmusiclogonew-dark.png" alt="MAD — Music Africa Direct"></a>
+    <a class="cta" href="/">▶ Listen on MAD</a>
+  </header>
+  <h1>My ${esc(label)} on MAD Music</h1>
+  ${body}
+  <footer>Music Africa Direct — a hundred years of South African music, digitised from the original masters. <a href="/">Stream it free</a></footer>
+</div>
+</body>
+</html>`;
+}
+
+router.get('/wrapped/:shareId', async (req, res, next) => {
+  try {
+    const summary = await loadWrappedByShareId(req.params.shareId);
+    if (!summary) return next();   // unknown id → the site's normal 404
+    const origin = resolveRequestOrigin(req) || '';
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    // Edge-cacheable, briefly: a summary for the month in progress is rebuilt,
+    // and clearing history deletes it — the page must go soon after.
+    res.setHeader('Cache-Control', `public, max-age=60, s-maxage=${WRAPPED_SHARE_CACHE_SEC}`);
+    res.send(renderWrappedPage(summary, { url: `${origin}/wrapped/${encodeURIComponent(req.params.shareId)}`, origin }));
+  } catch (err) {
+    console.error('[MASS] Wrapped share page failed:', err?.message || err);
+    next(err);
+  }
+});
+
+export default router;
@@ -18,7 +18,9 @@ Differences from the original local tool, so it can run unattended on Render:
   • Tracks that can't be analysed (missing/corrupt audio) get a sentinel written
     (AI_BPM = -1 + a note) so they're excluded from the find and never loop.
 
-Fields populated: AI_BPM, AI_Key, AI_Mood, AI_Energy, AI_QualityScore, AI_QualityNotes
+Fields populated: AI_BPM, AI_Key, AI_Mood, AI_Energy, AI_QualityScore, AI_QualityNotes,
+AI_PreviewStartSec, AI_LoudnessLUFS, AI_PeakDBFS — and, once every track on an
+album has a loudness value, AI_AlbumLoudnessLUFS on each of them (album pass).
 
 Usage:
   python mad_analyzer.py --limit 300            # process up to 300 unanalysed tracks
@@ -83,7 +85,15 @@ def load_config():
                 "energy": fields_file.get("energy", "AI_Energy"),
                 "quality_score": fields_file.get("quality_score", "AI_QualityScore"),
                 "quality_notes": fields_file.get("quality_notes", "AI_QualityNotes"),
+                "preview_start": fields_file.get("preview_start", "AI_PreviewStartSec"),
+                "loudness": fields_file.get("loudness", "AI_LoudnessLUFS"),
+                "peak": fields_file.get("peak", "AI_PeakDBFS"),
+                "album_loudness": fields_file.get("album_loudness", "AI_AlbumLoudnessLUFS"),
             },
+            # Album grouping for the album-loudness pass (same album-first key
+            # the catalogue groups on).
+            "album_field": env("FM_ALBUM_FIELD", fm_file.get("album_field"), default="Album Title"),
+            "album_artist_field": env("FM_ALBUM_ARTIST_FIELD", fm_file.get("album_artist_field"), default="Album Artist"),
         },
         "s3": {
             "bucket": env("S3_BUCKET", s3_file.get("bucket"), default="mass-music-audio-files"),
@@ -182,6 +192,20 @@ class FileMakerAPI:
         data = r.json()["response"]
         return data.get("data", [])
 
+    def find_album(self, album_field, album, artist_field, artist, limit=500):
+        """Every record on one album (exact match on title + album artist)."""
+        query = {album_field: fm_exact(album)}
+        if artist:
+            query[artist_field] = fm_exact(artist)
+        body = {"query": [query], "limit": int(limit)}
+        try:
+            r = self._request("POST", f"{self.base}/layouts/{self.layout}/_find", json=body)
+        except requests.HTTPError as e:
+            if e.response is not None and e.response.status_code in (404, 500):
+                return []
+            raise
+        return r.json()["response"].get("data", [])
+
     def update_record(self, record_id, fields):
         r = self._request(
             "PATCH",
@@ -191,6 +215,14 @@ class FileMakerAPI:
         return r.json()
 
 
+# FileMaker treats operator characters inside a find value as operators
+# (* @ # ! = < > ~ " …); escape them so an album title is matched literally.
+# Same rule as escapeFmValue in lib/validators.js.
+def fm_exact(value):
+    escaped = "".join("\\" + ch if ch in '\\@#*?!=<>~"' else ch for ch in str(value))
+    return "==" + escaped
+
+
 # ── S3 Download ──────────────────────────────────────────────────────────────
 class S3Downloader:
     def __init__(self, cfg):
@@ -244,16 +276,81 @@ def analyze_audio(audio_path):
         spectral_complexity = float(pool_get(features, "lowlevel.spectral_complexity.mean", 5))
         mood = _classify_mood(energy, danceability, spectral_complexity)
         quality_score, quality_notes = _assess_quality(features)
+        preview_start = _find_preview_start(es, audio_path)
+        loudness, peak = _measure_loudness(es, audio_path)
 
         return {
             "bpm": bpm, "key": key_str, "mood": mood, "energy": energy,
             "quality_score": quality_score, "quality_notes": quality_notes,
+            "preview_start": preview_start, "loudness": loudness, "peak": peak,
         }
     except Exception as e:
         log.warning(f"  Essentia error: {e}")
         return None
 
 
+PREVIEW_WINDOW_SEC = 30
+
+
+def _find_preview_start(es, audio_path, window=PREVIEW_WINDOW_SEC):
+    """Start second of the loudest `window`-second stretch — the guest preview
+    (routes/preview.js) starts there instead of at the intro. Per-second RMS
+    energy, best sliding-window sum. None when the track is too short to have a
+    choice (the preview then simply starts at 0)."""
+    try:
+        sr = 22050
+        audio = es.MonoLoader(filename=audio_path, sampleRate=sr)()
+        rms = es.RMS()
+        per_sec = [float(rms(audio[i:i + sr]) ** 2) for i in range(0, len(audio) - sr + 1, sr)]
+        if len(per_sec) <= window:
+            return None
+        cur = best = sum(per_sec[:window])
+        best_at = 0
+        for i in range(1, len(per_sec) - window + 1):
+            cur += per_sec[i + window - 1] - per_sec[i - 1]
+            if cur > best:
+                best, best_at = cur, i
+        return best_at
+    except Exception as e:
+        log.warning(f"  Preview start detection failed: {e}")
+        return None
+
+
+def _measure_loudness(es, audio_path):
+    """(integrated loudness in LUFS, sample peak in dBFS) — EBU R128 over the
+    whole track, which is what the players normalise against (ReplayGain 2.0
+    uses the same measure). The peak bounds how far a quiet transfer may be
+    boosted without clipping. (None, None) when it can't be measured."""
+    try:
+        # AudioLoader always yields stereo frames (mono is duplicated), which
+        # is the layout LoudnessEBUR128 expects.
+        audio, sr = es.AudioLoader(filename=audio_path)()[:2]
+        integrated = es.LoudnessEBUR128(sampleRate=sr)(audio)[2]
+        peak = float(abs(audio).max())
+        # A silent/gated-out track reports -inf or absurdly low values.
+        if not (-70.0 < float(integrated) < 0.0) or peak <= 0:
+            return None, None
+        import math
+        return round(float(integrated), 2), round(20 * math.log10(peak), 2)
+    except Exception as e:
+        log.warning(f"  Loudness measurement failed: {e}")
+        return None, None
+
+
+def album_loudness(values):
+    """Album loudness from its tracks' integrated loudness: the power mean
+    (mean of the linear energies), so a long loud track weighs as it sounds.
+    Duration weighting would be closer to a true album-wide R128 measurement,
+    but every track is weighted equally here — the analyzer never holds more
+    than one file at a time."""
+    import math
+    vals = [float(v) for v in values]
+    if not vals:
+        return None
+    energy = sum(10 ** (v / 10) for v in vals) / len(vals)
+    return round(10 * math.log10(energy), 2)
+
+
 def _classify_mood(energy, danceability, spectral_complexity):
     high_energy = energy > 60
     high_dance = danceability > 0.6
@@ -299,9 +396,57 @@ def build_fm_fields(analysis, cfg):
     if analysis["quality_score"] is not None:
         fm[fc["quality_score"]] = analysis["quality_score"]
         fm[fc["quality_notes"]] = analysis["quality_notes"]
+    if analysis.get("preview_start") is not None:
+        fm[fc["preview_start"]] = analysis["preview_start"]
+    if analysis.get("loudness") is not None:
+        fm[fc["loudness"]] = analysis["loudness"]
+        fm[fc["peak"]] = analysis["peak"]
     return fm
 
 
+def _number(value):
+    try:
+        n = float(value)
+    except (TypeError, ValueError):
+        return None
+    return n if n == n else None  # NaN guard
+
+
+def update_album_loudness(fm, cfg, albums, dry_run):
+    """Album pass: for each album touched this run, write the album loudness
+    to every track once ALL of them have been measured (a half-analysed album
+    would drift each night as its remaining tracks come in). Returns the number
+    of albums written."""
+    f = cfg["filemaker"]
+    fields = f["fields"]
+    written = 0
+    for album, artist in sorted(albums):
+        try:
+            records = fm.find_album(f["album_field"], album, f["album_artist_field"], artist)
+        except Exception as e:
+            log.warning(f"  Album lookup failed for {album!r}: {e}")
+            continue
+        # Failed analyses carry the sentinel and no loudness — they don't
+        # block the album, they just aren't part of it.
+        measured = [r for r in records if _number(r["fieldData"].get(fields["bpm"])) != FAIL_SENTINEL]
+        values = [_number(r["fieldData"].get(fields["loudness"])) for r in measured]
+        if not measured or any(v is None for v in values):
+            continue
+        value = album_loudness(values)
+        log.info(f"  Album {album!r}: {value} LUFS over {len(values)} tracks")
+        written += 1
+        if dry_run:
+            continue
+        for r in measured:
+            if _number(r["fieldData"].get(fields["album_loudness"])) == value:
+                continue
+            try:
+                fm.update_record(r["recordId"], {fields["album_loudness"]: value})
+            except Exception as e:
+                log.warning(f"  Album loudness write failed for {r['recordId']}: {e}")
+    return written
+
+
 # ── Main ────────────────────────────────────────────────────────────────────
 def main():
     ap = argparse.ArgumentParser(description="MAD Music Analyzer (Render-ready)")
@@ -327,6 +472,7 @@ def main():
     filename_field = cfg["filemaker"]["filename_field"]
 
     done = failed = 0
+    albums = set()  # (album, album artist) touched this run → album pass
     try:
         records = fm.find_unanalysed(bpm_field, args.limit)
         log.info(f"{len(records)} tracks need analysis (limit {args.limit}){' [DRY RUN]' if args.dry_run else ''}")
@@ -365,11 +511,18 @@ def main():
                     failed += 1
                     continue
 
-                log.info(f"  {name}: BPM {analysis['bpm']} | {analysis['key']} | {analysis['mood']} | E{analysis['energy']} | Q{analysis['quality_score']}")
+                log.info(f"  {name}: BPM {analysis['bpm']} | {analysis['key']} | {analysis['mood']} | E{analysis['energy']} | Q{analysis['quality_score']} | {analysis['loudness']} LUFS")
                 if not args.dry_run:
                     fm.update_record(rid, build_fm_fields(analysis, cfg))
                 done += 1
+                album = (rec["fieldData"].get(cfg["filemaker"]["album_field"]) or "").strip()
+                if album and analysis.get("loudness") is not None:
+                    albums.add((album, (rec["fieldData"].get(cfg["filemaker"]["album_artist_field"]) or "").strip()))
                 time.sleep(0.05)
+
+        if albums:
+            n = update_album_loudness(fm, cfg, albums, args.dry_run)
+            log.info(f"Album loudness: {n} of {len(albums)} touched albums complete")
     finally:
         fm.logout()
         log.info(f"Done — analysed {done}, failed/skipped {failed}")
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * scripts/engagement-report.mjs
+ * Skip / completion analytics from Stream_Events (lib/engagement.js).
+ *
+ *   node scripts/engagement-report.mjs                  last ENGAGEMENT_WINDOW_DAYS (28)
+ *   node scripts/engagement-report.mjs --days 7
+ *   node scripts/engagement-report.mjs --min-listens 20 --top 15
+ *
+ * Rebuilds data/engagement.json (the snapshot the server workers pick up) and
+ * prints the albums and tracks that hold listeners best and worst. Read-only
+ * against FileMaker.
+ *
+ * Against production, read the live snapshot with the admin key instead:
+ *   curl -H "X-Admin-Key: $ADMIN_SECRET" "https://musicafricadirect.com/api/engagement?level=g100"
+ */
+
+import 'dotenv/config';
+import { closeFmPool } from '../fm-client.js';
+import { ENGAGEMENT_WINDOW_DAYS, refreshEngagement } from '../lib/engagement.js';
+
+const args = process.argv.slice(2);
+const arg  = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+
+const pct = (v) => `${Math.round(v * 100)}%`.padStart(5);
+
+function printRows(label, rows) {
+  console.log(`\n${label}`);
+  console.log('title'.padEnd(40), 'listens'.padStart(8), 'skip'.padStart(5), 'compl'.padStart(5), 'replay'.padStart(6), 'score'.padStart(6));
+  for (const r of rows) {
+    console.log(
+      `${r.title} — ${r.artist}`.slice(0, 40).padEnd(40),
+      String(r.listens).padStart(8),
+      pct(r.skipRate),
+      pct(r.avgCompletion),
+      pct(r.replayRate).padStart(6),
+      r.score.toFixed(3).padStart(6)
+    );
+  }
+}
+
+async function main() {
+  const days = Number.parseInt(arg('--days') || '', 10) || ENGAGEMENT_WINDOW_DAYS;
+  const minListens = Number.parseInt(arg('--min-listens') || '', 10) || 5;
+  const top = Number.parseInt(arg('--top') || '', 10) || 10;
+
+  console.log(`Engagement over the last ${days} days (min ${minListens} listens)`);
+  const snap = await refreshEngagement({ days });
+  const t = snap.totals;
+  console.log(`${t.listens} listens · ${t.tracks} tracks · ${t.albums} albums · skip ${pct(t.skipRate).trim()} · completion ${pct(t.avgCompletion).trim()} · replay ${pct(t.replayRate).trim()}`);
+  if (snap.truncated) console.warn('WARNING: Stream_Events scan hit its cap — older listens in the window were left out');
+
+  for (const level of ['albums', 'tracks']) {
+    const rows = snap[level].filter((r) => r.listens >= minListens).sort((a, b) => b.score - a.score);
+    printRows(`Top ${level}`, rows.slice(0, top));
+    printRows(`Bottom ${level}`, rows.slice(-top).reverse());
+  }
+  console.log(`\nbuilt ${snap.builtAt}`);
+}
+
+main()
+  .catch(err => { console.error('\nFATAL:', err.message); process.exitCode = 1; })
+  .finally(async () => { await closeFmPool(); });
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * scripts/royalty-report.mjs
+ * Monthly royalty statements from Stream_Events (lib/royalty-report.js).
+ *
+ *   node scripts/royalty-report.mjs                     last full month
+ *   node scripts/royalty-report.mjs --period 2026-09
+ *   node scripts/royalty-report.mjs --from 2026-09-01 --to 2026-09-15
+ *   node scripts/royalty-report.mjs --period 2026-09 --qualifying-sec 60
+ *
+ * Writes data/royalty/<from>_<to>/: the full statement (CSV + DSR flat file +
+ * JSON) and one CSV/DSR pair per rights holder, ready to send. Read-only
+ * against FileMaker. Re-running a closed period reproduces the same files;
+ * the checksum in report.json changes only if the underlying events did.
+ *
+ * Against production, pull the same files with the admin key instead:
+ *   curl -H "X-Admin-Key: $ADMIN_SECRET" "https://musicafricadirect.com/api/royalty/report?period=2026-09&format=csv"
+ */
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { closeFmPool } from '../fm-client.js';
+import {
+  ROYALTY_QUALIFYING_SEC,
+  buildRoyaltyReport,
+  filterByRightsHolder,
+  parseRoyaltyPeriod,
+  renderRoyaltyCsv,
+  renderRoyaltyDsr,
+  royaltyFileName
+} from '../lib/royalty-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR  = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const args = process.argv.slice(2);
+const arg  = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+
+function lastMonth() {
+  const d = new Date();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 7);
+}
+
+async function main() {
+  const from = arg('--from');
+  const period = parseRoyaltyPeriod(from ? { from, to: arg('--to') } : { period: arg('--period') || lastMonth() });
+  if (!period.ok) throw new Error(period.error);
+  const thresholdSec = Number.parseInt(arg('--qualifying-sec') || '', 10) || ROYALTY_QUALIFYING_SEC;
+
+  console.log(`Royalty statement ${period.from} → ${period.to} (qualifying: FULL ≥ ${thresholdSec} s)`);
+  const report = await buildRoyaltyReport(period, { thresholdSec });
+
+  const outDir = path.join(DATA_DIR, 'royalty', `${period.from}_${period.to}`);
+  fs.mkdirSync(outDir, { recursive: true });
+  const write = (name, body) => fs.writeFileSync(path.join(outDir, name), body);
+
+  write('report.json', JSON.stringify(report, null, 1));
+  write(royaltyFileName(report, 'csv'), renderRoyaltyCsv(report));
+  write(royaltyFileName(report, 'dsr.tsv'), renderRoyaltyDsr(report));
+  for (const h of report.rightsHolders) {
+    const statement = filterByRightsHolder(report, h.rightsHolder);
+    write(royaltyFileName(statement, 'csv'), renderRoyaltyCsv(statement));
+    write(royaltyFileName(statement, 'dsr.tsv'), renderRoyaltyDsr(statement));
+  }
+
+  const t = report.totals;
+  console.log(`\nevents ${t.events} | qualifying ${t.qualifyingPlays} | previews ${t.previews} | under ${thresholdSec} s ${t.belowThreshold} | no ISRC ${t.withoutIsrc} | quarantined ${t.quarantined}`);
+  console.log('\nrights holder                       recordings    plays    hours');
+  for (const h of report.rightsHolders) {
+    console.log(
+      h.rightsHolder.slice(0, 34).padEnd(34),
+      String(h.recordings).padStart(12),
+      String(h.qualifyingPlays).padStart(8),
+      (h.qualifyingSec / 3600).toFixed(1).padStart(8)
+    );
+  }
+  console.log(`\nchecksum ${report.checksum}`);
+  console.log(`written: ${outDir}`);
+}
+
+main()
+  .catch(err => { console.error('\nFATAL:', err.message); process.exitCode = 1; })
+  .finally(async () => { await closeFmPool(); });
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * scripts/wrapped.mjs
+ * MAD Wrapped for every listener in a period (lib/wrapped.js).
+ *
+ *   node scripts/wrapped.mjs                        last year, build only
+ *   node scripts/wrapped.mjs --year 2026 --send     build + email everyone
+ *   node scripts/wrapped.mjs --year 2026 --month 10 --send
+ *   node scripts/wrapped.mjs --year 2026 --token ABC123 --send
+ *   node scripts/wrapped.mjs --year 2026 --min-plays 20
+ *
+ * Reads the period's Stream_Events once and splits them per token, so a
+ * thousand listeners is one paged find, not a thousand. Summaries are saved
+ * to API_Wrapped (re-running reuses closed periods). --send emails each
+ * listener the share link at the address on their latest listen; listeners
+ * under --min-plays (default 10) are skipped.
+ *
+ * Share links use APP_URL (default https://musicafricadirect.com).
+ */
+
+import 'dotenv/config';
+import { closeFmPool } from '../fm-client.js';
+import { fetchWrappedEvents, generateWrapped, parseWrappedPeriod, rowToken } from '../lib/wrapped.js';
+import { sendWrappedEmail } from '../lib/email.js';
+
+const args = process.argv.slice(2);
+const arg  = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+const BASE_URL = (process.env.APP_URL || 'https://musicafricadirect.com').replace(/\/+$/, '');
+
+async function main() {
+  const period = parseWrappedPeriod({ year: arg('--year') || new Date().getUTCFullYear() - 1, month: arg('--month') });
+  if (!period.ok) throw new Error(period.error);
+  const onlyToken = (arg('--token') || '').trim().toUpperCase();
+  const minPlays = Number.parseInt(arg('--min-plays') || '', 10) || 10;
+  const send = args.includes('--send');
+
+  console.log(`MAD Wrapped ${period.label}${period.partial ? ' (in progress)' : ''}${send ? ' — sending' : ''}`);
+  const { rows, truncated } = await fetchWrappedEvents(period, onlyToken || null);
+  if (truncated) console.warn('  ! Stream_Events read was capped (WRAPPED_MAX_EVENTS) — summaries cover the latest listens only');
+
+  // Rows arrive newest first: the first Email seen per token is the latest.
+  const byToken = new Map();
+  for (const fields of rows) {
+    const token = rowToken(fields);
+    if (!token) continue;
+    let entry = byToken.get(token);
+    if (!entry) { entry = { rows: [], email: '' }; byToken.set(token, entry); }
+    entry.rows.push(fields);
+    if (!entry.email && fields.Email && fields.Email !== 'unknown') entry.email = String(fields.Email).trim();
+  }
+
+  let built = 0, skipped = 0, sent = 0, failed = 0;
+  for (const [token, entry] of byToken) {
+    try {
+      const { shareId, summary } = await generateWrapped(token, period, { rows: entry.rows, truncated });
+      if (summary.totals.plays < minPlays) { skipped++; continue; }
+      built++;
+      if (!send) continue;
+      if (!entry.email) { console.log(`  - ${token}: no email on file`); continue; }
+      await sendWrappedEmail(entry.email, summary, `${BASE_URL}/wrapped/${shareId}`);
+      sent++;
+    } catch (err) {
+      failed++;
+      console.error(`  ! ${token}: ${err?.message || err}`);
+    }
+  }
+
+  console.log(`\nlisteners ${byToken.size} | built ${built} | under ${minPlays} plays ${skipped} | emailed ${sent} | failed ${failed}`);
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch(err => { console.error('\nFATAL:', err.message); process.exitCode = 1; })
+  .finally(async () => { await closeFmPool(); });
@@ -9,7 +9,9 @@
 //   short     — 1080×1920 vertical, 30 s (offset --short-offset, default 30 s
 //               in, so Shorts skip intros), same visual language + site CTA.
 // Every video gets a .txt sidecar: suggested YouTube title, description with
-// the track's share link (musicafricadirect.com/?t=<recordId>), and tags.
+// the track's share link (musicafricadirect.com/?t=<recordId>, tagged with
+// utm_campaign yt-arttrack / yt-shorts and utm_content <kind>-<recordId> so
+// the taster funnel report can tie each video to trials and revenue), and tags.
 //
 // Usage (from the project root, .env supplies FM_*):
 //   node --env-file=.env scripts/youtube/generate-videos.mjs \
@@ -130,7 +132,13 @@ function ffmpeg(argv) {
 }
 
 function sidecar(t, file, kind) {
-  const shareUrl = `${SITE}/?t=${t.recordId}`;
+  const shareUrl = `${SITE}/?${new URLSearchParams({
+    t: t.recordId,
+    utm_source: 'youtube',
+    utm_medium: 'video',
+    utm_campaign: kind === 'short' ? 'yt-shorts' : 'yt-arttrack',
+    utm_content: `${kind}-${t.recordId}`
+  })}`;
   const lines = [
     `SUGGESTED TITLE:`,
     `${t.artist} – ${t.title}${t.year ? ` (${t.year})` : ''}${kind === 'short' ? ' #Shorts' : ''}`,
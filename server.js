@@ -14,9 +14,14 @@ import { fileURLToPath } from 'node:url';
 import accessRouter from './routes/access.js';
 import paymentsRouter from './routes/payments.js';
 import playlistsRouter from './routes/playlists.js';
+import playlistCollabRouter from './routes/playlist-collab.js';
+import smartPlaylistsRouter from './routes/smart-playlists.js';
+import curatorsRouter from './routes/curators.js';
 import catalogRouter from './routes/catalog.js';
 import libraryRouter from './routes/library.js';
-import streamRouter from './routes/stream.js';
+import streamRouter, { MEDIA_SIGNING_ENABLED, mediaObjectKey } from './routes/stream.js';
+import mediaRouter from './routes/media.js';
+import { isMediaSigningConfigured } from './lib/media-sign.js';
 import adminRouter, { requireAdminKey } from './routes/admin.js';
 import editorialRouter from './routes/featured-editorial.js';
 import artistBioRouter from './routes/artist-bio.js';
@@ -26,8 +31,29 @@ import telkomRouter from './routes/telkom.js';
 import podcastsRouter from './routes/podcasts.js';
 import suggestionsRouter from './routes/suggestions.js';
 import previewRouter from './routes/preview.js';
+import hlsRouter from './routes/hls.js';
 import maddieRouter from './routes/maddie.js';
+import queueRouter from './routes/queue.js';
+import offlineRouter from './routes/offline.js';
+import resumeRouter from './routes/resume.js';
+import royaltyRouter from './routes/royalty.js';
+import engagementRouter from './routes/engagement.js';
+import tasterRouter from './routes/taster.js';
+import abuseRouter from './routes/abuse.js';
+import chartsRouter from './routes/charts.js';
+import liveRouter from './routes/live.js';
+import historyRouter from './routes/history.js';
+import { initHistorySettingsSync } from './lib/history-store.js';
+import playCountsRouter from './routes/play-counts.js';
+import wrappedRouter from './routes/wrapped.js';
 import { initSemanticIndex, semanticIndexStatus } from './lib/semantic-index.js';
+import { initStreamJournal, startStreamJournalWorker, stopStreamJournal } from './lib/stream-journal.js';
+import { initLiveFeed, closeLiveFeed } from './lib/live-feed.js';
+import { initEngagement, stopEngagement } from './lib/engagement.js';
+import { initStreamAbuseSweep, stopStreamAbuseSweep } from './lib/stream-abuse-sweep.js';
+import { initCharts, stopCharts } from './lib/charts.js';
+import { initSmartPlaylists, stopSmartPlaylists } from './lib/smart-playlist.js';
+import { initPlayCounts, stopPlayCounts } from './lib/play-counts.js';
 import { initNameIndex, nameIndexStatus } from './lib/name-index.js';
 
 import { validateAccessToken } from './lib/auth.js';
@@ -223,6 +249,131 @@ const SUGGESTIONS_ENABLED = process.env.SUGGESTIONS_ENABLED === 'true';
 // token gate. When off, everything behaves exactly as before (blocking gate,
 // preview path 404s BEFORE the auth middleware — podcasts/suggestions pattern).
 const GUEST_PREVIEW_ENABLED = process.env.GUEST_PREVIEW_ENABLED === 'true';
+// HLS playback (2026-10-19): ships dark. Subscribers on iOS/Safari get an
+// HLS playlist cut from the S3 MP3 at frame boundaries (routes/hls.js), so a
+// dropped mobile connection resumes at the lost segment instead of restarting
+// the track. Needs AUTH_SECRET (segment URLs are HMAC-signed); the mint route
+// 503s without it. 404-fenced before the auth middleware while off.
+const HLS_ENABLED = process.env.HLS_ENABLED === 'true';
+// Cross-device play queue (2026-10-19): ships dark. /api/queue stores the
+// listener's queue, index and position in FileMaker (routes/queue.js) so a
+// reload or a laptop→phone hop resumes where they were. Needs the API_Queue
+// layout (FM_QUEUE_LAYOUT); 404-fenced before the auth middleware while off.
+const QUEUE_SYNC_ENABLED = process.env.QUEUE_SYNC_ENABLED === 'true';
+// Loudness normalisation (2026-10-19): ships dark, client-only. Players route
+// the <audio> element through a Web Audio gain node set from the analyzer's
+// AI_LoudnessLUFS (public/js/loudness.js). That needs CORS-readable media —
+// the element switches to crossOrigin="anonymous", so the bucket's CORS rule
+// must allow GET from the app origins and the media CDN must forward Origin
+// (and CORS_ORIGIN list the app hosts for /media). Without that, audio would
+// fail to load — flip this only once those are in place.
+const LOUDNESS_ENABLED = process.env.LOUDNESS_ENABLED === 'true';
+// Offline downloads (2026-10-19): ships dark. Subscribers in the mobile app
+// download tracks/albums/playlists under a token-bound, time-limited licence
+// and keep them encrypted on the device (routes/offline.js). Needs
+// AUTH_SECRET (licences are HMAC-signed; the routes 503 without it).
+// 404-fenced before the auth middleware while off.
+const OFFLINE_DOWNLOADS_ENABLED = process.env.OFFLINE_DOWNLOADS_ENABLED === 'true';
+// Resume points (2026-10-19): ships dark. Players report the position of long
+// tracks and podcast episodes to /api/resume (routes/resume.js) and offer
+// "Resume from 34:12" on the next play. Needs the API_Resume layout
+// (FM_RESUME_LAYOUT); 404-fenced before the auth middleware while off.
+const RESUME_POINTS_ENABLED = process.env.RESUME_POINTS_ENABLED === 'true';
+// Stream-event journal (2026-10-19): ships dark. /api/access/stream-events
+// merges each event into a local journal (SQLite, or Postgres when
+// DATABASE_URL is set) and a background worker flushes listens to
+// Stream_Events in batches, yielding while FileMaker's queue is busy
+// (lib/stream-journal.js). Off → events write to FileMaker inline as before.
+const STREAM_JOURNAL_ENABLED = process.env.STREAM_JOURNAL_ENABLED === 'true';
+// "Listening now" (2026-10-19): ships dark. Stream events fan out over SSE —
+// /api/live/events (admin, every event) and /api/live/listening (public,
+// anonymised counts for the home-page ticker) — across cluster workers via
+// the primary (lib/live-feed.js, cluster.js). 404-fenced while off.
+const LIVE_FEED_ENABLED = process.env.LIVE_FEED_ENABLED === 'true';
+// Listening history (2026-10-19): ships dark. /api/history (routes/history.js)
+// returns the token's recently played tracks/albums from Stream_Events, with
+// clear / pause privacy controls kept in the API_History layout
+// (FM_HISTORY_LAYOUT); the home pages show a "Jump back in" rail.
+// 404-fenced before the auth middleware while off.
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED === 'true';
+// MAD Wrapped (2026-10-19): ships dark. A listener's year / month in review
+// from Stream_Events — /api/wrapped builds it on demand, /wrapped/:shareId is
+// the public share page, scripts/wrapped.mjs the annual batch + email
+// (routes/wrapped.js, lib/wrapped.js). Needs the API_Wrapped layout
+// (FM_WRAPPED_LAYOUT); 404-fenced before the auth middleware while off.
+const WRAPPED_ENABLED = process.env.WRAPPED_ENABLED === 'true';
+// Engagement analytics (2026-10-19): ships dark. Skip-within-30s rate,
+// completion and replay rate per track and album from Stream_Events
+// (lib/engagement.js), an admin report at /api/engagement and a ranking nudge
+// for /trending and "Similar albums". Snapshot rebuilt by worker 0 into
+// data/engagement.json; 404-fenced before the auth middleware while off.
+const ENGAGEMENT_ENABLED = process.env.ENGAGEMENT_ENABLED === 'true';
+// Taster funnel attribution (2026-10-19): ships dark. Carries the taster
+// landing (campaign / track / video) through trial creation and Paystack
+// metadata into lib/taster-attribution.js, and serves the land → play → trial
+// → paid → retained report at /api/taster/funnel (JSON + admin HTML view,
+// routes/taster.js). routes/payments.js and routes/telkom.js read the same
+// env var; 404-fenced before the auth middleware while off.
+const TASTER_FUNNEL_ENABLED = process.env.TASTER_FUNNEL_ENABLED === 'true';
+// Stream abuse scoring (2026-10-19): ships dark. Velocity checks per session /
+// Cloudflare-aware client IP / token at ingest, plus an hourly whole-cluster
+// sweep for impossible listening (lib/stream-abuse.js, stream-abuse-sweep.js).
+// Flagged listens are recorded but quarantined out of /trending and the
+// royalty statements until an admin releases them at /api/abuse/review
+// (routes/abuse.js). Needs the Abuse* fields on Stream_Events (docs/FM-MAP.md);
+// routes/access.js reads the same env var; 404-fenced while off.
+const ABUSE_SCORING_ENABLED = process.env.ABUSE_SCORING_ENABLED === 'true';
+// Weekly charts (2026-10-19): ships dark. Genre / decade / language charts
+// snapshotted from Stream_Events once each ISO week closes, with movement and
+// a permanent archive (lib/charts.js; Postgres when configured, else
+// data/charts.db). /api/charts + the public /charts pages (routes/charts.js)
+// and the home-page "Top 20 Maskandi this week" rail; 404-fenced while off.
+const CHARTS_ENABLED = process.env.CHARTS_ENABLED === 'true';
+// Per-listener play counts (2026-10-19): ships dark. A token → track play
+// count + last played index, bumped by /api/stream-events as each listen
+// starts and seeded once per token from its Stream_Events (lib/play-counts.js;
+// Postgres when configured, else data/play-counts.db). The app batches its
+// visible cards into POST /api/play-counts (routes/play-counts.js) so the
+// catalogue rails stay publicly cached. routes/access.js reads the same env
+// var; 404-fenced before the auth middleware while off.
+const PLAY_COUNTS_ENABLED = process.env.PLAY_COUNTS_ENABLED === 'true';
+// Collaborative playlists (2026-10-19): ships dark. Owners invite editors /
+// viewers by email (API_Playlist_Members); every add / remove is written to an
+// append-only log (API_Playlist_Changes) that editors can undo entry by entry,
+// and track writes are conditional on the FM modId so concurrent editors
+// don't overwrite each other (lib/playlist-collab.js, routes/playlist-collab.js).
+// routes/playlists.js reads the same env var; 404-fenced while off.
+const PLAYLIST_COLLAB_ENABLED = process.env.PLAYLIST_COLLAB_ENABLED === 'true';
+// Playlist arranging (2026-10-19): ships dark. Move tracks (one or many) and
+// named section dividers within a playlist, bulk remove and "remove
+// duplicates" (routes/playlists.js); position-based edits carry the playlist
+// version (its FM modId) and 409 when stale. Needs the Sections_JSON field on
+// API_Playlists. The desktop and mobile playlist views get drag-to-reorder;
+// 404-fenced while off.
+const PLAYLIST_ARRANGE_ENABLED = process.env.PLAYLIST_ARRANGE_ENABLED === 'true';
+// Playlist files (2026-10-19): ships dark. Export a playlist as M3U8 / XSPF /
+// JSPF / CSV, and match an uploaded file (or a plain "Artist - Title" list)
+// against the catalogue — record id, then ISRC, then fuzzy title / artist —
+// for a matched / ambiguous / missing review; kept rows go in through
+// /tracks/bulk (lib/playlist-formats.js, lib/playlist-matcher.js,
+// routes/playlists.js). 404-fenced while off.
+const PLAYLIST_FILES_ENABLED = process.env.PLAYLIST_FILES_ENABLED === 'true';
+// Smart playlists (2026-10-19): ships dark. A playlist can carry rules
+// (genres, languages, artists, years, tempo / BPM, energy, "not played by
+// me", sort, limit) and is re-filled from the catalogue — Postgres when it
+// serves metadata, else the semantic index — daily / weekly on worker 0, or
+// whenever the owner opens it (lib/smart-playlist.js,
+// routes/smart-playlists.js). Needs the Rules_JSON and Refreshed_At fields
+// on API_Playlists; 404-fenced while off.
+const SMART_PLAYLISTS_ENABLED = process.env.SMART_PLAYLISTS_ENABLED === 'true';
+// Curator profiles and follows (2026-10-19): ships dark. Listeners can opt in
+// to a public profile (handle, display name, bio — never their email, POPIA)
+// and list shared playlists on it; anyone signed in can follow a shared
+// playlist or a curator, see follower counts, and read a feed of followed
+// playlists that changed (lib/curators.js, routes/curators.js). Needs the
+// API_Curator_Profiles and API_Follows layouts and the Listed_At field on
+// API_Playlists; 404-fenced while off.
+const CURATOR_PROFILES_ENABLED = process.env.CURATOR_PROFILES_ENABLED === 'true';
 // Maddie — the record-shop assistant chat (prototype). Ships dark; needs
 // ANTHROPIC_API_KEY at runtime (the route degrades to a clear 503 without it).
 const MADDIE_ENABLED = process.env.MADDIE_ENABLED === 'true';
@@ -233,6 +384,12 @@ const MADDIE_ENABLED = process.env.MADDIE_ENABLED === 'true';
 // Unset = exact previous behavior; unsetting it again is the instant rollback.
 const MEDIA_CDN_HOST = (process.env.MEDIA_CDN_HOST || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
 const S3_MEDIA_HOST = 'mass-music-audio-files.s3.eu-north-1.amazonaws.com';
+// Signed media URLs (MEDIA_SIGNING_ENABLED, read in routes/stream.js): the
+// signatures are keyed by AUTH_SECRET. Without it every signed-playback
+// resolution fails closed — loud at boot rather than silent at play time.
+if (MEDIA_SIGNING_ENABLED && !isMediaSigningConfigured()) {
+  console.error('[MASS] SECURITY: MEDIA_SIGNING_ENABLED is on but AUTH_SECRET is unset — subscribers cannot resolve playable audio URLs.');
+}
 
 // ── Catalog metadata source (Postgres mirror migration) ───────────────────────
 // Catalog READS come from either FileMaker (default) or the Postgres mirror of
@@ -271,6 +428,127 @@ app.use((req, res, next) => {
   }
   next();
 });
+app.use((req, res, next) => {
+  if (HLS_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/hls')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (QUEUE_SYNC_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/queue')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (OFFLINE_DOWNLOADS_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/offline')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (RESUME_POINTS_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/resume')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (HISTORY_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/history')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (PLAY_COUNTS_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/play-counts')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (PLAYLIST_ARRANGE_ENABLED) return next();
+  if (/^\/api\/playlists\/[^/]+\/(move|sections)(\/|$)|^\/api\/playlists\/[^/]+\/tracks\/(remove|dedupe)\/?$/i.test(req.path)) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (PLAYLIST_FILES_ENABLED) return next();
+  if (/^\/api\/playlists\/[^/]+\/(export\/[^/]+|import\/match)\/?$/i.test(req.path)) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (SMART_PLAYLISTS_ENABLED) return next();
+  if (/^\/api\/playlists\/(smart|[^/]+\/(rules|refresh))\/?$/i.test(req.path)) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (CURATOR_PROFILES_ENABLED) return next();
+  if (/^\/api\/(profile|curators|following)(\/|$)|^\/api\/shared-playlists\/[^/]+\/follow\/?$/i.test(req.path)) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (PLAYLIST_COLLAB_ENABLED) return next();
+  if (/^\/api\/playlists\/(collaborating|invites)(\/|$)|^\/api\/playlists\/[^/]+\/(collaborators|changes)(\/|$)/i.test(req.path)) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (WRAPPED_ENABLED) return next();
+  const p = req.path.toLowerCase();
+  if (p.startsWith('/api/wrapped') || p.startsWith('/wrapped/')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (TASTER_FUNNEL_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/taster/funnel')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (ABUSE_SCORING_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/abuse/')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (CHARTS_ENABLED) return next();
+  const p = req.path.toLowerCase();
+  if (p.startsWith('/api/charts') || p === '/charts' || p.startsWith('/charts/')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (ENGAGEMENT_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/engagement')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  if (LIVE_FEED_ENABLED) return next();
+  if (req.path.toLowerCase().startsWith('/api/live/')) {
+    return res.status(404).send('Not found');
+  }
+  next();
+});
 
 // CORS configuration
 const corsOrigins = process.env.CORS_ORIGIN
@@ -527,6 +805,10 @@ app.use('/api/', async (req, res, next) => {
     // Guest previews are server-clipped ~30 s streams — public BY DESIGN, and
     // only while the feature is on (404'd before this middleware when off).
     ...(GUEST_PREVIEW_ENABLED ? ['/preview/'] : []),
+    // HLS playlists/segments are fetched by the native player, which can't
+    // send X-Access-Token; they carry an HMAC signature minted by the
+    // token-gated /api/hls/:recordId instead (which is NOT skipped).
+    ...(HLS_ENABLED ? ['/hls-media/'] : []),
     // Maddie, the record-shop assistant, is SUBSCRIBER-ONLY (2026-07-17):
     // every /api/maddie/* call must carry a valid access token — each LLM
     // message costs real money, so guests don't get her. (Path is 404'd
@@ -539,6 +821,24 @@ app.use('/api/', async (req, res, next) => {
     // (/pg-mirror, /tokens/*) because requireAdminKey guards it instead.
     '/taster/event',
     '/taster/report',
+    // Funnel report: the HTML shell is public (it reveals nothing), the JSON
+    // is admin-key guarded. Only skip-listed while on (404'd before this
+    // middleware when off).
+    ...(TASTER_FUNNEL_ENABLED ? ['/taster/funnel'] : []),
+    // Royalty statements — admin-key guarded (routes/royalty.js), same as above.
+    '/royalty/report',
+    // Engagement report — admin-key guarded (routes/engagement.js). Only
+    // skip-listed while on (404'd before this middleware when off).
+    ...(ENGAGEMENT_ENABLED ? ['/engagement'] : []),
+    // Abuse review — admin-key guarded (routes/abuse.js). Only skip-listed
+    // while on (404'd before this middleware when off).
+    ...(ABUSE_SCORING_ENABLED ? ['/abuse/'] : []),
+    // Charts are public aggregate content (like /trending); the snapshot
+    // route is admin-key guarded. Only skip-listed while on.
+    ...(CHARTS_ENABLED ? ['/charts'] : []),
+    // Live feed: the ticker is public counts; /live/events is admin-key
+    // guarded. Only skip-listed while on (404'd before this middleware when off).
+    ...(LIVE_FEED_ENABLED ? ['/live/'] : []),
     // NOTE: '/audio-lab/' is intentionally NOT skipped — every /api/audio-lab/*
     // endpoint (key validation + the Replicate proxy) requires a valid access
     // token so we never forward to a paid third-party API unauthenticated.
@@ -582,11 +882,15 @@ app.use('/api/', async (req, res, next) => {
     }
     // Definitive denial: drop any cached entry so it can't be reused.
     if (validation.definitive === true) tokenValidationCache.delete(cacheKey);
+    // `definitive` tells clients this is a real denial, not FileMaker being
+    // unreachable — only then may they drop what the token paid for (the
+    // mobile offline cache).
     return res.status(403).json({
       ok: false,
       error: 'Invalid or expired access token',
       reason: validation.reason,
-      requiresAccessToken: true
+      requiresAccessToken: true,
+      ...(validation.definitive === true ? { definitive: true } : {})
     });
   }
 
@@ -647,17 +951,56 @@ async function loadHtml(filename) {
   //   __ARTIST_BIO — artist view skips the /api/artist-bio round-trip when off.
   //   __GUEST_PREVIEW — visitors without a token get browse + 30 s previews + a
   //     dismissible subscribe popup instead of the blocking gate (auth.js/mobile main.js).
+  //   __HLS — mobile player asks /api/hls/:recordId for a signed playlist when
+  //     the browser plays HLS natively; falls back to the progressive stream.
   const flagScript = '<script>'
     + `window.__EDITORIAL_HERO=${EDITORIAL_HERO_ENABLED ? 'true' : 'false'};`
     + `window.__SUGGESTIONS=${SUGGESTIONS_ENABLED ? 'true' : 'false'};`
     + `window.__ARTIST_BIO=${ARTIST_BIO_ENABLED ? 'true' : 'false'};`
     + `window.__GUEST_PREVIEW=${GUEST_PREVIEW_ENABLED ? 'true' : 'false'};`
     + `window.__MADDIE=${MADDIE_ENABLED ? 'true' : 'false'};`
+    + `window.__HLS=${HLS_ENABLED ? 'true' : 'false'};`
+    //   __QUEUE_SYNC — players save the now-playing queue to /api/queue and
+    //     offer to resume it on load / take it over from another device.
+    + `window.__QUEUE_SYNC=${QUEUE_SYNC_ENABLED ? 'true' : 'false'};`
+    //   __LOUDNESS — players normalise track/album loudness with a gain node
+    //     (CORS-mode media; see LOUDNESS_ENABLED above).
+    + `window.__LOUDNESS=${LOUDNESS_ENABLED ? 'true' : 'false'};`
+    //   __OFFLINE — the mobile app offers "Download for offline" and plays
+    //     licensed downloads from its encrypted on-device cache.
+    + `window.__OFFLINE=${OFFLINE_DOWNLOADS_ENABLED ? 'true' : 'false'};`
+    //   __RESUME_POINTS — players save the position of long tracks/episodes
+    //     to /api/resume and offer to resume them.
+    + `window.__RESUME_POINTS=${RESUME_POINTS_ENABLED ? 'true' : 'false'};`
+    //   __LIVE_FEED — the home page shows the "listening now" ticker from
+    //     /api/live/listening.
+    + `window.__LIVE_FEED=${LIVE_FEED_ENABLED ? 'true' : 'false'};`
+    //   __HISTORY — the home page shows the "Jump back in" rail from
+    //     /api/history, with pause / clear history controls.
+    + `window.__HISTORY=${HISTORY_ENABLED ? 'true' : 'false'};`
+    //   __WRAPPED — the stats panels offer "Your 2026 Wrapped" (/api/wrapped)
+    //     with a share link and "email it to me".
+    + `window.__WRAPPED=${WRAPPED_ENABLED ? 'true' : 'false'};`
+    //   __PLAY_COUNTS — track cards show "Played 3×" from /api/play-counts.
+    + `window.__PLAY_COUNTS=${PLAY_COUNTS_ENABLED ? 'true' : 'false'};`
+    //   __PLAYLIST_ARRANGE — playlist views offer drag-to-reorder, section
+    //     dividers and "remove duplicates".
+    + `window.__PLAYLIST_ARRANGE=${PLAYLIST_ARRANGE_ENABLED ? 'true' : 'false'};`
+    //   __CHARTS — the home page shows the featured weekly chart rail from
+    //     /api/charts/featured, linking to the /charts pages.
+    + `window.__CHARTS=${CHARTS_ENABLED ? 'true' : 'false'};`
+    //   __SMART_PLAYLISTS — "New smart playlist" next to "New playlist", and
+    //     smart playlists refresh when opened.
+    + `window.__SMART_PLAYLISTS=${SMART_PLAYLISTS_ENABLED ? 'true' : 'false'};`
     //   __MEDIA_CDN — CloudFront host for bucket media (false = serve S3 direct).
     //   The client treats this host as direct-playable (no container proxy) and
     //   playTrack/artwork paths rewrite S3 URLs onto it. Set MEDIA_CDN_HOST on
     //   Render once the distribution is live; unset to roll back instantly.
     + `window.__MEDIA_CDN=${MEDIA_CDN_HOST ? `'${MEDIA_CDN_HOST}'` : 'false'};`
+    //   __SIGNED_MEDIA — bucket audio is only playable via a signed URL from
+    //   /api/track/:recordId/container; players resolve one per play instead
+    //   of using the catalogue's bare S3 URL.
+    + `window.__SIGNED_MEDIA=${MEDIA_SIGNING_ENABLED ? 'true' : 'false'};`
     + '</script>'
     // Umami visitor analytics (cookieless; deferred so it never blocks boot).
     + (UMAMI_ENABLED
@@ -732,6 +1075,8 @@ app.get('/sitemap.xml', async (_req, res) => {
     urlTag('https://musicafricadirect.com/', '1.0'),
     urlTag('https://musicafricadirect.com/mobile', '0.8'),
     urlTag('https://musicafricadirect.com/access', '0.5'),
+    // Chart pages link to every chart and its archive from /charts.
+    ...(CHARTS_ENABLED ? [urlTag('https://musicafricadirect.com/charts', '0.7')] : []),
   ];
   let urls = staticUrls;
   if (CATALOG_PAGES_ENABLED) {
@@ -791,7 +1136,16 @@ if (TELKOM_ENABLED) app.use('/api/telkom', telkomRouter); // ring-fenced: 404'd
 if (PODCASTS_ENABLED) app.use('/api', podcastsRouter);    // dark until PODCASTS_ENABLED=true
 if (SUGGESTIONS_ENABLED) app.use('/api', suggestionsRouter); // dark until SUGGESTIONS_ENABLED=true
 if (GUEST_PREVIEW_ENABLED) app.use('/api', previewRouter);   // dark until GUEST_PREVIEW_ENABLED=true
+if (HLS_ENABLED) app.use('/api', hlsRouter);                  // dark until HLS_ENABLED=true
 if (MADDIE_ENABLED) app.use('/api/maddie', maddieRouter);     // dark until MADDIE_ENABLED=true
+if (QUEUE_SYNC_ENABLED) app.use('/api/queue', queueRouter);   // dark until QUEUE_SYNC_ENABLED=true
+if (OFFLINE_DOWNLOADS_ENABLED) app.use('/api/offline', offlineRouter); // dark until OFFLINE_DOWNLOADS_ENABLED=true
+if (RESUME_POINTS_ENABLED) app.use('/api/resume', resumeRouter);  // dark until RESUME_POINTS_ENABLED=true
+if (LIVE_FEED_ENABLED) app.use('/api/live', liveRouter);      // dark until LIVE_FEED_ENABLED=true
+if (HISTORY_ENABLED) app.use('/api/history', historyRouter);  // dark until HISTORY_ENABLED=true
+if (PLAY_COUNTS_ENABLED) app.use('/api/play-counts', playCountsRouter); // dark until PLAY_COUNTS_ENABLED=true
+if (WRAPPED_ENABLED) app.use(wrappedRouter);                  // /api/wrapped + /wrapped/:shareId; dark until WRAPPED_ENABLED=true
+if (MEDIA_SIGNING_ENABLED) app.use(mediaRouter);              // signed /media/* edge; dark until MEDIA_SIGNING_ENABLED=true
 if (CATALOG_PAGES_ENABLED) {                                  // dark until CATALOG_PAGES_ENABLED=true
   // Public server-rendered catalogue pages (SEO tier 2): /browse, /artist/:slug,
   // /album/:slug, /genre/:slug. Marketing surfaces outside the app — previews only.
@@ -805,13 +1159,21 @@ if (CATALOG_PAGES_ENABLED) {                                  // dark until CATA
 }
 app.use('/api/download', downloadRouter);
 app.use('/api/ringtone', ringtoneRouter);
+if (PLAYLIST_COLLAB_ENABLED) app.use('/api/playlists', playlistCollabRouter); // dark until PLAYLIST_COLLAB_ENABLED=true
+if (SMART_PLAYLISTS_ENABLED) app.use('/api/playlists', smartPlaylistsRouter); // dark until SMART_PLAYLISTS_ENABLED=true
 app.use('/api/playlists', playlistsRouter);
 app.use('/api/library', libraryRouter);
 app.use('/api', catalogRouter);
 app.use('/api', streamRouter);
 app.use('/api', adminRouter);
+app.use('/api', royaltyRouter);
+if (ENGAGEMENT_ENABLED) app.use('/api', engagementRouter);   // dark until ENGAGEMENT_ENABLED=true
+if (TASTER_FUNNEL_ENABLED) app.use('/api', tasterRouter);    // dark until TASTER_FUNNEL_ENABLED=true
+if (ABUSE_SCORING_ENABLED) app.use('/api', abuseRouter);      // dark until ABUSE_SCORING_ENABLED=true
+if (CHARTS_ENABLED) app.use(chartsRouter);                    // /api/charts + /charts pages; dark until CHARTS_ENABLED=true
 app.use('/api', editorialRouter);
 app.use('/api', artistBioRouter);
+if (CURATOR_PROFILES_ENABLED) app.use('/api', curatorsRouter); // dark until CURATOR_PROFILES_ENABLED=true
 
 // Shared playlist routes (not under /api/playlists)
 app.get('/api/shared-playlists/:shareId', async (req, res) => {
@@ -927,7 +1289,7 @@ app.get('/', async (req, res) => {
   }
   // Cookie-free funnel: count desktop taster landings server-side (the mobile
   // redirect above is counted once, by the /mobile handler it lands on).
-  if (t) bumpTaster({ kind: 'land', campaign: req.query?.utm_campaign, track: t, mobile: false }).catch(() => {});
+  if (t) bumpTaster({ kind: 'land', campaign: req.query?.utm_campaign, track: t, video: req.query?.utm_content, mobile: false }).catch(() => {});
   if (await sendShareLanding(req, res, 'app.html')) return;
   sendHtml(res, 'app.html');
 });
@@ -941,7 +1303,7 @@ app.get('/library',  (_req, res) => sendHtml(res, 'app.html')); // library.html
 app.get('/home',     (_req, res) => res.redirect(301, '/'));
 app.get('/mobile',   async (req, res) => {
   const t = String(req.query?.t || '').trim();
-  if (t) bumpTaster({ kind: 'land', campaign: req.query?.utm_campaign, track: t, mobile: true }).catch(() => {});
+  if (t) bumpTaster({ kind: 'land', campaign: req.query?.utm_campaign, track: t, video: req.query?.utm_content, mobile: true }).catch(() => {});
   if (await sendShareLanding(req, res, 'mobile.html')) return;
   sendHtml(res, 'mobile.html');
 });
@@ -957,7 +1319,7 @@ app.get('/audio-lab',(_req, res) => sendHtml(res, 'audio-lab.html'));
 app.post('/api/taster/event', express.json({ limit: '2kb' }), async (req, res) => {
   const kind = String(req.body?.kind || '');
   if (kind !== 'play') return res.status(400).json({ ok: false, error: 'Unknown kind' });
-  await bumpTaster({ kind, campaign: req.body?.campaign, track: req.body?.t, mobile: !!req.body?.mobile });
+  await bumpTaster({ kind, campaign: req.body?.campaign, track: req.body?.t, video: req.body?.video, mobile: !!req.body?.mobile });
   res.json({ ok: true });
 });
 
@@ -1014,6 +1376,10 @@ app.get('/api/audio-proxy', async (req, res) => {
     // Block non-https schemes and private/internal IP ranges (SSRF prevention).
     // Resolves DNS so rebinding and alternate IP encodings can't bypass the check.
     if (target.protocol !== 'https:') return res.status(400).json({ error: 'Only https URLs allowed' });
+    // Public route: never a back door to bucket audio once it's signed-only.
+    if (MEDIA_SIGNING_ENABLED && mediaObjectKey(url)) {
+      return res.status(403).json({ error: 'signed_url_required' });
+    }
     if (await _hostnameResolvesPrivate(target.hostname)) {
       return res.status(400).json({ error: 'Private or internal addresses not allowed' });
     }
@@ -1161,6 +1527,22 @@ if (SUGGESTIONS_ENABLED) {
     .catch((err) => console.warn('[MASS] Semantic index init failed:', err?.message || err));
 }
 
+// Open the stream-event journal and replay whatever a previous process left
+// unflushed. Non-fatal: if it can't open, events go to FileMaker inline.
+if (STREAM_JOURNAL_ENABLED && await initStreamJournal()) startStreamJournalWorker();
+if (LIVE_FEED_ENABLED) initLiveFeed();
+if (HISTORY_ENABLED) initHistorySettingsSync();
+// Load the last engagement snapshot; worker 0 rebuilds it in the background.
+if (ENGAGEMENT_ENABLED) initEngagement();
+// Worker 0 sweeps recent Stream_Events for abuse the per-worker checks can't see.
+if (ABUSE_SCORING_ENABLED) initStreamAbuseSweep();
+// Worker 0 publishes each closed week's charts; every worker reads the archive.
+if (CHARTS_ENABLED) initCharts();
+// Worker 0 re-fills daily / weekly smart playlists as they fall due.
+if (SMART_PLAYLISTS_ENABLED) initSmartPlaylists();
+// Every worker counts the listens it receives into the shared index.
+if (PLAY_COUNTS_ENABLED) initPlayCounts();
+
 // Catalogue name index for search "Did you mean…" typo suggestions. Always on
 // (no flag): degrades gracefully to no-suggestions when the artifact is absent.
 initNameIndex();
@@ -1301,6 +1683,9 @@ async function shutdown(signal) {
   shuttingDown = true;
   console.log(`[MASS] ${signal} received, shutting down gracefully...`);
 
+  closeLiveFeed();                   // SSE streams never finish on their own
+  stopEngagement();
+  stopStreamAbuseSweep();
   if (server) {
     const drained = await new Promise((resolve) => {
       const timer = setTimeout(() => {
@@ -1313,6 +1698,10 @@ async function shutdown(signal) {
     console.log(drained ? '[MASS] HTTP server closed cleanly' : '[MASS] HTTP server closed with requests still in flight');
   }
 
+  await stopCharts();               // before the PG pool closes
+  await stopSmartPlaylists();
+  await stopPlayCounts();
+  await stopStreamJournal();         // last flush needs both pools still open
   await closeFmPool();
   await closePgPool();
   process.exit(0);
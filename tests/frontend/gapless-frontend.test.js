@@ -0,0 +1,48 @@
+// Static guards for gapless album playback (js/gapless.js). The standby
+// element only helps if every playback chokepoint adopts it before loading a
+// track, and if nothing re-introduces a debounce between queue items.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const appHtml = readFileSync(join(root, 'public', 'app.html'), 'utf8');
+const playerJs = readFileSync(join(root, 'public', 'js', 'player.js'), 'utf8');
+const gaplessJs = readFileSync(join(root, 'public', 'js', 'gapless.js'), 'utf8');
+const mobilePlayerJs = readFileSync(join(root, 'public', 'js', 'mobile', 'player.js'), 'utf8');
+
+describe('gapless playback', () => {
+  it('desktop startTrack adopts the standby before setting src', () => {
+    const start = appHtml.indexOf('function startTrack(url, meta)');
+    expect(start, 'startTrack exists').toBeGreaterThan(-1);
+    const body = appHtml.slice(start, appHtml.indexOf('function playQueue', start));
+    const adoptIdx = body.indexOf('MADGapless.adopt(_meta.recordId)');
+    expect(adoptIdx, 'startTrack must try MADGapless.adopt').toBeGreaterThan(-1);
+    expect(adoptIdx).toBeLessThan(body.indexOf('player.src = url'));
+    // The guest rewrite still runs first: a guest can never adopt a full stream.
+    expect(body.indexOf('window.__GUEST')).toBeLessThan(adoptIdx);
+  });
+
+  it('the engine never runs for guests', () => {
+    expect(gaplessJs).toMatch(/!window\.__GUEST/);
+    expect(appHtml).toMatch(/function prepareNext\(url, meta\) \{\s*if \(!url \|\| window\.__GUEST/);
+  });
+
+  it('shuffle advances without the old 400 ms debounce and registers a prefetch hook', () => {
+    expect(playerJs).not.toMatch(/setTimeout\(_shuffleAdvance, 400\)/);
+    expect(playerJs).toMatch(/MADGapless\.setNextResolver\(_prefetchNext\)/);
+  });
+
+  it('mobile playTrack adopts the standby and only sets src when it did not', () => {
+    expect(mobilePlayerJs).toMatch(/if \(!window\.MADGapless \|\| !window\.MADGapless\.adopt\(track\.recordId\)\) \{\s*elements\.audio\.src = audioUrl;/);
+    expect(mobilePlayerJs).toMatch(/gapless\.setNextResolver\(prefetchNext\)/);
+  });
+
+  it('gapless.js loads before the scripts that use it', () => {
+    expect(appHtml.indexOf('/js/gapless.js')).toBeLessThan(appHtml.indexOf('/js/player.js'));
+    const mobileHtml = readFileSync(join(root, 'public', 'mobile.html'), 'utf8');
+    expect(mobileHtml.indexOf('/js/gapless.js')).toBeLessThan(mobileHtml.indexOf('/js/mobile/main.js'));
+  });
+});
@@ -0,0 +1,59 @@
+// Guards the "Jump back in" rails (listening history, /api/history). Both home
+// pages carry the section hidden with its pause / clear controls; both loaders
+// stay off without window.__HISTORY or a token, and only the signed-in paths
+// call them — guests have no history to show.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobileHtml = read('mobile.html');
+const discoveryJs = read('js', 'discovery.js');
+const railJs = read('js', 'mobile', 'rails-history.js');
+const mobileMainJs = read('js', 'mobile', 'main.js');
+
+describe('desktop Jump back in', () => {
+  it('ships the section hidden, with its controls and container', () => {
+    expect(appHtml).toMatch(/<section class="section" id="jumpBackInSection" hidden>/);
+    for (const id of ['jumpBackInContainer', 'jumpBackInPauseBtn', 'jumpBackInClearBtn']) {
+      expect(appHtml).toContain(`id="${id}"`);
+    }
+  });
+
+  it('loads with the rest of the home page, gated on the flag and a token', () => {
+    const initial = discoveryJs.slice(discoveryJs.indexOf('function loadInitialContent'));
+    expect(initial).toMatch(/loadJumpBackIn\(\)/);
+    expect(discoveryJs).toMatch(/if \(!window\.__HISTORY \|\| window\.__GUEST \|\| !currentAccessToken\) \{ section\.hidden = true; return; \}/);
+    expect(discoveryJs).toContain("apiFetch('/api/history?kind=tracks&limit=20')");
+  });
+
+  it('pauses through the settings endpoint and confirms before clearing', () => {
+    expect(discoveryJs).toContain("updateHistory('PUT', '/api/history/settings', { paused: !paused })");
+    expect(discoveryJs).toMatch(/if \(!confirm\([^)]*\)\) return;\s*updateHistory\('DELETE', '\/api\/history'\)/);
+  });
+});
+
+describe('mobile Jump back in', () => {
+  it('ships the rail hidden above New Releases', () => {
+    const rail = mobileHtml.indexOf('<section id="jump-back-in" class="jbi-rail" hidden>');
+    expect(rail).toBeGreaterThan(mobileHtml.indexOf('id="newreleases-tab"'));
+    expect(rail).toBeLessThan(mobileHtml.indexOf('id="newreleases-content"'));
+    for (const id of ['jump-back-in-content', 'jbi-pause-btn', 'jbi-clear-btn']) expect(mobileHtml).toContain(`id="${id}"`);
+  });
+
+  it('reads albums, gated on the flag and a token', () => {
+    expect(railJs).toContain("fetch('/api/history?kind=albums&limit=12')");
+    expect(railJs).toMatch(/if \(!window\.__HISTORY \|\| window\.__GUEST \|\| !localStorage\.getItem\('mass_access_token'\)\)/);
+  });
+
+  it('is loaded on the signed-in path only', () => {
+    expect(mobileMainJs).toContain("import { loadJumpBackIn } from './rails-history.js';");
+    const guest = mobileMainJs.slice(mobileMainJs.indexOf('if (window.__GUEST_PREVIEW === true)'), mobileMainJs.indexOf('elements.newReleasesContent.innerHTML'));
+    expect(guest).not.toContain('loadJumpBackIn');
+    expect(mobileMainJs).toMatch(/loadNewReleases\(\);\s*loadJumpBackIn\(\);/);
+  });
+});
@@ -0,0 +1,88 @@
+// Guards the "listening now" ticker (js/live-ticker.js): it reads the public
+// counts stream only while the flag is on, renders nothing when nobody is
+// listening, closes the stream in a background tab, and both home pages carry
+// the element and the script.
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobileHtml = read('mobile.html');
+const tickerJs = read('js', 'live-ticker.js');
+
+let sources;
+let el;
+let docListeners;
+let sandbox;
+
+function load(flag) {
+  sources = [];
+  el = { hidden: true, textContent: '' };
+  docListeners = {};
+  class FakeEventSource {
+    constructor(url) { this.url = url; this.listeners = {}; this.closed = false; sources.push(this); }
+    addEventListener(type, fn) { this.listeners[type] = fn; }
+    emit(type, data) { this.listeners[type]({ data: JSON.stringify(data) }); }
+    close() { this.closed = true; }
+  }
+  sandbox = {
+    JSON,
+    EventSource: FakeEventSource,
+    __LIVE_FEED: flag,
+    document: {
+      readyState: 'complete',
+      hidden: false,
+      getElementById: (id) => (id === 'liveTicker' ? el : null),
+      addEventListener: (type, fn) => { docListeners[type] = fn; }
+    }
+  };
+  sandbox.window = sandbox;
+  vm.runInNewContext(tickerJs, sandbox);
+}
+
+describe('live ticker', () => {
+  beforeEach(() => load(true));
+
+  it('renders the listening count and the busiest track', () => {
+    expect(sources.map((s) => s.url)).toEqual(['/api/live/listening']);
+    sources[0].emit('listening', { listening: 3, tracks: [{ title: 'Pata Pata', artist: 'Miriam Makeba', listeners: 2 }] });
+    expect(el.hidden).toBe(false);
+    expect(el.textContent).toBe('● 3 people listening now · Pata Pata — Miriam Makeba');
+    sources[0].emit('listening', { listening: 1, tracks: [] });
+    expect(el.textContent).toBe('● 1 person listening now');
+  });
+
+  it('hides itself when nobody is listening', () => {
+    sources[0].emit('listening', { listening: 2, tracks: [] });
+    sources[0].emit('listening', { listening: 0, tracks: [] });
+    expect(el.hidden).toBe(true);
+  });
+
+  it('closes the stream in a background tab and reopens it on return', () => {
+    sandbox.document.hidden = true;
+    docListeners.visibilitychange();
+    expect(sources[0].closed).toBe(true);
+    sandbox.document.hidden = false;
+    docListeners.visibilitychange();
+    expect(sources).toHaveLength(2);
+  });
+
+  it('opens nothing while the flag is off', () => {
+    load(false);
+    expect(sources).toEqual([]);
+  });
+});
+
+describe('home page wiring', () => {
+  it('both pages carry the ticker element and load the module', () => {
+    for (const html of [appHtml, mobileHtml]) {
+      expect(html).toMatch(/<p id="liveTicker" class="live-ticker"[^>]*hidden><\/p>/);
+      expect(html).toContain('<script src="/js/live-ticker.js');
+    }
+  });
+});
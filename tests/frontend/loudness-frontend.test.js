@@ -0,0 +1,87 @@
+// Guards loudness normalisation (js/loudness.js). The gain maths must agree
+// with the server's reading of the analyzer fields (lib/track.js), and the
+// element must be switched to CORS mode before either player sets a src —
+// otherwise the Web Audio graph plays silence.
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+import { trackLoudness } from '../../lib/track.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobilePlayerJs = read('js', 'mobile', 'player.js');
+
+let L;
+let store;
+beforeAll(() => {
+  store = {};
+  const sandbox = {
+    console,
+    localStorage: { getItem: (k) => store[k] ?? null, setItem: (k, v) => { store[k] = v; } }
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(read('js', 'loudness.js'), sandbox);
+  L = sandbox.window.MADLoudness;
+});
+
+const plain = (o) => JSON.parse(JSON.stringify(o));
+
+describe('loudness normalisation', () => {
+  it('reads the analyzer fields the same way as the server', () => {
+    const cases = [
+      { 'AI_LoudnessLUFS': '-22.5', 'AI_PeakDBFS': '-6', 'AI_AlbumLoudnessLUFS': '-20' },
+      { 'AI_LoudnessLUFS': -9.1 },
+      { 'AI_LoudnessLUFS': '' },
+      { 'AI_LoudnessLUFS': '-80' },
+      {}
+    ];
+    for (const fields of cases) {
+      expect(plain(L.fromFields(fields))).toEqual(trackLoudness(fields));
+    }
+  });
+
+  it('levels to the target, cuts loud masters, never boosts past the peak headroom', () => {
+    expect(L.gainDb({ lufs: -9, peak: -0.1, albumLufs: null }, 'track')).toBe(-7);
+    expect(L.gainDb({ lufs: -22, peak: -10, albumLufs: null }, 'track')).toBe(6);
+    // Boost limited to −1 dBFS peak: 6 dB wanted, only 3 dB of room.
+    expect(L.gainDb({ lufs: -22, peak: -4, albumLufs: null }, 'track')).toBe(3);
+    expect(L.gainDb({ lufs: -60, peak: -40, albumLufs: null }, 'track')).toBe(12);
+  });
+
+  it('album mode follows the album value and falls back to the track', () => {
+    expect(L.gainDb({ lufs: -24, peak: -12, albumLufs: -18 }, 'album')).toBe(2);
+    expect(L.gainDb({ lufs: -24, peak: -12, albumLufs: null }, 'album')).toBe(8);
+    expect(L.gainDb({ lufs: -24, peak: -12, albumLufs: -18 }, 'off')).toBe(0);
+    expect(L.gainDb(null, 'track')).toBe(0);
+  });
+
+  it('stores the mode, defaulting to per-track', () => {
+    expect(L.getMode()).toBe('track');
+    expect(L.setMode('album')).toBe('album');
+    expect(store.mass_loudness_mode).toBe('album');
+    expect(L.setMode('loud')).toBe('track');
+  });
+
+  it('stays off without the flag (no Web Audio in this sandbox either)', () => {
+    expect(L.available()).toBe(false);
+    const el = {};
+    L.attach(el);
+    expect(el.crossOrigin).toBeUndefined();
+  });
+
+  it('attaches before the first src is set on both players', () => {
+    const wire = appHtml.indexOf('window.MADLoudness.attach(player)');
+    expect(wire).toBeGreaterThan(-1);
+    expect(appHtml.indexOf('function startTrack(url, meta)')).toBeLessThan(wire); // wired at DOMContentLoaded
+    const start = appHtml.slice(appHtml.indexOf('function startTrack(url, meta)'), appHtml.indexOf('function playQueue'));
+    expect(start.indexOf('MADLoudness.setTrack')).toBeLessThan(start.indexOf('player.src = url'));
+    const play = mobilePlayerJs.slice(mobilePlayerJs.indexOf('export async function playTrack'), mobilePlayerJs.indexOf('export function setArtwork'));
+    expect(play.indexOf('MADLoudness.setTrack')).toBeLessThan(play.indexOf('elements.audio.src = audioUrl'));
+    expect(mobilePlayerJs).toMatch(/loudness\.attach\(elements\.audio\)/);
+  });
+});
@@ -0,0 +1,74 @@
+// Guards the Media Session wiring (js/media-session.js). Lock-screen and
+// headset ⏭/⏮ must go through the same skip paths as the on-screen buttons,
+// and artwork must be offered as the pre-generated 300/800 derivatives.
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+import { thumbArtworkUrl } from '../../lib/track.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobileHtml = read('mobile.html');
+const mobilePlayerJs = read('js', 'mobile', 'player.js');
+
+const MASTER = 'https://mass-music-audio-files.s3.eu-north-1.amazonaws.com/artwork/GMVi4460.jpg';
+
+let win;
+beforeAll(() => {
+  // No navigator.mediaSession in the sandbox: attach/setTrack must no-op.
+  const sandbox = { localStorage: { getItem: () => null, setItem: () => {} }, console, navigator: {} };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(read('js', 'helpers.js'), sandbox);
+  vm.runInContext(read('js', 'media-session.js'), sandbox);
+  win = sandbox.window;
+});
+
+describe('media session', () => {
+  it('browser thumbArtworkUrl matches lib/track.js', () => {
+    for (const url of [MASTER, MASTER + '?v=2', MASTER.replace('.jpg', '.png'), 'https://fm.example.com/x?RCType=1', '']) {
+      expect(win.MADHelpers.thumbArtworkUrl(url, 300)).toBe(thumbArtworkUrl(url, 300));
+      expect(win.MADHelpers.thumbArtworkUrl(url, 800)).toBe(thumbArtworkUrl(url, 800));
+    }
+  });
+
+  it('offers 300 + 800 derivatives, from a master or an already-resized thumb', () => {
+    const fromMaster = win.MADMediaSession.artworkList(MASTER);
+    expect(fromMaster.map((a) => a.sizes)).toEqual(['300x300', '800x800']);
+    expect(fromMaster[1].src).toBe(thumbArtworkUrl(MASTER, 800));
+    const fromThumb = win.MADMediaSession.artworkList(thumbArtworkUrl(MASTER, 300));
+    expect(fromThumb).toEqual(fromMaster);
+    expect(win.MADMediaSession.artworkList('/api/container?u=x')).toEqual([{ src: '/api/container?u=x' }]);
+    expect(win.MADMediaSession.artworkList('/img/placeholder.png')).toEqual([]);
+  });
+
+  it('is a no-op where the browser has no mediaSession', () => {
+    expect(() => win.MADMediaSession.setTrack({ title: 'x' })).not.toThrow();
+    expect(() => win.MADMediaSession.attach({ addEventListener() { throw new Error('bound'); } }, {})).not.toThrow();
+  });
+
+  it('desktop routes OS next/prev through the bar skip logic', () => {
+    expect(appHtml).toMatch(/MADMediaSession\.attach\(player, \{ next: skipNextTrack, prev: skipPrevTrack \}\)/);
+    expect(appHtml).toMatch(/skipNext\.addEventListener\('click', skipNextTrack\)/);
+    const prev = appHtml.slice(appHtml.indexOf('function skipPrevTrack()'), appHtml.indexOf('function skipNextTrack()'));
+    expect(prev).toContain('MP.prev()');
+    expect(appHtml).toMatch(/applyMeta\(m\);\s*if \(window\.MADMediaSession\) window\.MADMediaSession\.setTrack\(m\);/);
+  });
+
+  it('mobile publishes from playTrack and steps the queue', () => {
+    const play = mobilePlayerJs.slice(mobilePlayerJs.indexOf('export async function playTrack'), mobilePlayerJs.indexOf('export function setArtwork'));
+    expect(play).toContain('publishNowPlaying(track)');
+    expect(mobilePlayerJs).toMatch(/next: \(\) => stepQueue\(1\),\s*prev: \(\) => stepQueue\(-1\)/);
+  });
+
+  it('loads after helpers.js on both pages', () => {
+    for (const html of [appHtml, mobileHtml]) {
+      expect(html.indexOf('/js/media-session.js')).toBeGreaterThan(html.indexOf('/js/helpers.js'));
+    }
+    expect(mobileHtml.indexOf('/js/media-session.js')).toBeLessThan(mobileHtml.indexOf('/js/mobile/main.js'));
+  });
+});
@@ -112,11 +112,16 @@ describe('mobile invariant: guest preview mode never leaks a full stream', () =>
     expect(body, 'playTrack exists in player.js').toBeTruthy();
     expect(body, 'guest branch missing').toMatch(/window\.__GUEST\b/);
     expect(body).toMatch(/\/api\/preview\//);
-    // The container resolution must sit in the NON-guest branch: the guest
-    // branch must return/assign before any /api/container use.
+    // The container resolution (resolveAudioUrl, shared with the gapless
+    // prefetch) must sit in the NON-guest branch: the guest branch must
+    // return/assign before any full-stream resolution.
+    const resolver = extractFn(playerJs, 'resolveAudioUrl');
+    expect(resolver, 'resolveAudioUrl exists in player.js').toBeTruthy();
+    expect(resolver).toMatch(/\/api\/container/);
     const guestIdx = body.indexOf('window.__GUEST');
-    const containerIdx = body.indexOf('/api/container');
-    expect(guestIdx, 'guest check must come before container resolution').toBeLessThan(containerIdx);
+    const resolveIdx = body.indexOf('resolveAudioUrl(');
+    expect(resolveIdx, 'playTrack resolves full streams via resolveAudioUrl').toBeGreaterThan(-1);
+    expect(guestIdx, 'guest check must come before container resolution').toBeLessThan(resolveIdx);
   });
 
   // The clipped preview keeps the FULL track's header, so audio.duration
@@ -0,0 +1,64 @@
+// Guards the mobile offline cache (js/mobile/offline.js). Audio must only
+// ever reach IndexedDB encrypted, a refused token must wipe the cache, and
+// playback must try the licensed download before spending data on a stream.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const offlineJs = read('js', 'mobile', 'offline.js');
+const playerJs = read('js', 'mobile', 'player.js');
+const mobileHtml = read('mobile.html');
+
+describe('offline downloads (mobile)', () => {
+  it('ships dark and only runs in the app for token holders', () => {
+    const gate = offlineJs.slice(offlineJs.indexOf('export function offlineAvailable'), offlineJs.indexOf('const deviceId'));
+    expect(gate).toContain('window.__OFFLINE');
+    expect(gate).toContain('window.__GUEST');
+    expect(gate).toContain('isNativeApp()');
+  });
+
+  it('encrypts audio before it is stored', () => {
+    const fn = offlineJs.slice(offlineJs.indexOf('async function downloadTrack'), offlineJs.indexOf('export async function downloadForOffline'));
+    expect(fn).toMatch(/crypto\.subtle\.encrypt\(\{ name: 'AES-GCM', iv \}/);
+    expect(fn).toMatch(/s\.put\(\{ recordId, iv, data,/);
+    expect(fn).not.toMatch(/s\.put\(\{[^}]*plain/);
+  });
+
+  it('keeps the content key non-extractable', () => {
+    expect(offlineJs).toMatch(/importKey\('raw', .*'AES-GCM', false,/);
+  });
+
+  it('wipes the cache when the server refuses the token', () => {
+    const fn = offlineJs.slice(offlineJs.indexOf('export async function revalidateOffline'), offlineJs.indexOf('// ── Download'));
+    expect(fn).toMatch(/if \(isRevoked\(res\.status, body\)\) \{\s*await wipeOffline\(\);/);
+  });
+
+  it('treats a 403 as revoked only when the server says the denial is definitive', () => {
+    const src = offlineJs.slice(offlineJs.indexOf('function isRevoked'), offlineJs.indexOf('async function requestLicence'));
+    const isRevoked = new Function(`${src}; return isRevoked;`)();
+    expect(isRevoked(403, { requiresAccessToken: true, definitive: true })).toBe(true);
+    expect(isRevoked(403, { requiresSubscription: true })).toBe(true);
+    // FileMaker unreachable and no cached validation: same body, not definitive.
+    expect(isRevoked(403, { requiresAccessToken: true })).toBe(false);
+    expect(isRevoked(500, { definitive: true })).toBe(false);
+  });
+
+  it('only plays a download covered by an unexpired licence', () => {
+    const fn = offlineJs.slice(offlineJs.indexOf('export async function offlineUrl'), offlineJs.indexOf('// ── UI'));
+    expect(fn).toMatch(/r\.licence\.exp > nowSec && r\.licence\.tracks\.includes/);
+    expect(fn).toContain('URL.revokeObjectURL(currentBlobUrl)');
+  });
+
+  it('playTrack tries the download before streaming', () => {
+    expect(playerJs).toMatch(/audioUrl = await offlineUrl\(track\.recordId\) \|\| await resolveAudioUrl\(track\);/);
+  });
+
+  it('has the profile row, hidden until the module shows it', () => {
+    expect(mobileHtml).toMatch(/id="offline-row" style="display:none;/);
+    expect(mobileHtml).toContain('id="offline-clear"');
+  });
+});
@@ -0,0 +1,48 @@
+// Guards the "Played 3×" card badges (js/play-counts.js, /api/play-counts).
+// The desktop page loads the script; it stays off without
+// window.__PLAY_COUNTS or a token, batches its lookups rather than asking per
+// card, and the player bumps the badge as a new track starts.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const playCountsJs = read('js', 'play-counts.js');
+
+describe('play count badges', () => {
+  it('loads the script on the desktop page', () => {
+    expect(appHtml).toMatch(/<script src="\/js\/play-counts\.js\?v=\d+"><\/script>/);
+  });
+
+  it('is gated on the flag, guests and a token', () => {
+    expect(playCountsJs).toContain("return !!window.__PLAY_COUNTS && !window.__GUEST && !!(localStorage.getItem('mass_access_token') || '').trim();");
+  });
+
+  it('looks counts up in one debounced batch', () => {
+    expect(playCountsJs.match(/fetch\('\/api\/play-counts'/g)).toHaveLength(2);   // the card batch + unheard()
+    expect(playCountsJs).toContain('setTimeout(flush, DEBOUNCE_MS)');
+  });
+
+  it('bumps the badge when the player starts a new track', () => {
+    const start = appHtml.indexOf('if (isNewTrack) {');
+    const notePlay = appHtml.indexOf('window.MADPlayCounts.notePlay(_meta.recordId)');
+    expect(start).toBeGreaterThan(-1);
+    expect(notePlay).toBeGreaterThan(start);
+    expect(notePlay).toBeLessThan(appHtml.indexOf('massSetCurrentTrack({', start));
+  });
+
+  it('labels heard tracks only', () => {
+    const sandbox = { window: {}, document: { readyState: 'loading', addEventListener() {} }, localStorage: { getItem: () => '' } };
+    vm.runInNewContext(playCountsJs, sandbox);
+    const { label, lastPlayedTitle } = sandbox.window.MADPlayCounts;
+    expect(label({ plays: 3, lastPlayedAt: '2026-10-12T08:00:00Z' })).toBe('Played 3×');
+    expect(label(null)).toBe('');
+    expect(lastPlayedTitle({ plays: 1, lastPlayedAt: '2026-10-12T08:00:00Z' })).toMatch(/^Last played .*2026/);
+    expect(lastPlayedTitle({ plays: 1, lastPlayedAt: 'nope' })).toBe('');
+  });
+});
@@ -0,0 +1,39 @@
+// Guards drag-to-reorder, section dividers and "remove duplicates" on the
+// desktop playlist page (js/playlists.js via showUserPlaylistPage) and the
+// mobile playlist sheet (js/mobile/playlists.js). Both stay off without
+// window.__PLAYLIST_ARRANGE and send the playlist version with every move.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const desktopJs = read('js', 'playlists.js');
+const mobileJs = read('js', 'mobile', 'playlists.js');
+
+describe('playlist arranging', () => {
+  it('is gated on the flag on both pages', () => {
+    expect(desktopJs).toContain('if (!window.__PLAYLIST_ARRANGE || !playlistId || !playlistsById.has(playlistId)) return;');
+    expect(mobileJs).toContain('const canArrange = (playlist) => !!window.__PLAYLIST_ARRANGE && !!playlist.id;');
+  });
+
+  it('hands the desktop page its new order and skips read-only pages', () => {
+    expect(appHtml).toContain("window.MADPlaylists.arrangeUserPlaylist(albumsList, readOnly ? '' : playlistId, function applyOrder(addedAts) {");
+    expect(appHtml).toMatch(/<script src="\/js\/playlists\.js\?v=3"><\/script>/);
+  });
+
+  it('sends the version with moves and new sections', () => {
+    for (const js of [desktopJs, mobileJs]) {
+      expect(js).toMatch(/'\/move', 'POST', \{ items: \[[a-z.]+\], before(: [^,]+)?, version: playlist\.version \}/);
+      expect(js).toMatch(/'\/sections', 'POST', \{[\s\S]*?version: playlist\.version/);
+      expect(js).toContain("'/tracks/dedupe', 'POST'");
+    }
+  });
+
+  it('keeps the mobile sheet from scrolling under a drag', () => {
+    expect(read('css', 'mobile.css')).toMatch(/\.pl-drag-handle \{[^}]*touch-action: none;/);
+  });
+});
@@ -0,0 +1,111 @@
+// Guards resume points (js/resume-points.js). Both players must hand the
+// module their item at the playback chokepoint, podcasts as 'episode' so an
+// episode and a song with the same record id never share a position, and a
+// report must never be filed under the item that replaced it.
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobileHtml = read('mobile.html');
+const mobilePlayerJs = read('js', 'mobile', 'player.js');
+
+function fakeAudio() {
+  const listeners = {};
+  return {
+    duration: NaN, currentTime: 0, paused: true, ended: false,
+    addEventListener(type, fn) { (listeners[type] ||= []).push(fn); },
+    fire(type) { (listeners[type] || []).forEach((fn) => fn()); }
+  };
+}
+
+let R;
+let posts;
+let audio;
+beforeEach(() => {
+  posts = [];
+  const sandbox = {
+    console, Map, JSON, Date, Math, Promise, isFinite, setTimeout, clearTimeout,
+    localStorage: { getItem: (k) => (k === 'mass_access_token' ? 'MASS-T' : null) },
+    document: { getElementById: () => null },
+    addEventListener() {},
+    fetch: async (url, opts) => {
+      if (opts && opts.method === 'POST') posts.push(JSON.parse(opts.body));
+      return { ok: true, json: async () => ({ ok: true, items: [] }) };
+    },
+    __RESUME_POINTS: true
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(read('js', 'resume-points.js'), sandbox);
+  R = sandbox.window.MADResume;
+  audio = fakeAudio();
+  R.attach(audio);
+});
+
+describe('resume points', () => {
+  it('formats positions the way the banner shows them', () => {
+    expect(R.format(2052)).toBe('34:12');
+    expect(R.format(3725)).toBe('1:02:05');
+  });
+
+  it('reports a long item on pause and marks it finished at the end', () => {
+    R.setItem({ kind: 'episode', id: '55', title: 'Vault Sessions 4' });
+    audio.duration = 4000;
+    audio.fire('loadedmetadata');
+    audio.currentTime = 1200;
+    audio.fire('pause');
+    audio.ended = true;
+    audio.fire('ended');
+    expect(posts.map((p) => [p.kind, p.id, p.positionSec, p.finished])).toEqual([
+      ['episode', '55', 1200, false],
+      ['episode', '55', 1200, true]
+    ]);
+  });
+
+  it('ignores short items', () => {
+    R.setItem({ kind: 'track', id: '7' });
+    audio.duration = 240;
+    audio.fire('loadedmetadata');
+    audio.currentTime = 100;
+    audio.fire('pause');
+    expect(posts).toEqual([]);
+  });
+
+  it('never files the outgoing position under the next item', () => {
+    R.setItem({ kind: 'track', id: '1' });
+    audio.duration = 3600;
+    audio.fire('loadedmetadata');
+    audio.currentTime = 900;
+    audio.paused = false;
+    R.setItem({ kind: 'track', id: '2' });
+    // The element's pause for the src swap lands after the switch.
+    audio.paused = true;
+    audio.fire('pause');
+    expect(posts.map((p) => p.id)).toEqual(['1']);
+  });
+});
+
+describe('player wiring', () => {
+  it('both pages load the module', () => {
+    expect(appHtml).toContain('<script src="/js/resume-points.js');
+    expect(mobileHtml).toContain('<script src="/js/resume-points.js');
+  });
+
+  it('desktop and mobile hand over the item and attach the element', () => {
+    expect(appHtml).toMatch(/MADResume\.setItem\(/);
+    expect(appHtml).toMatch(/MADResume\.attach\(player\)/);
+    expect(mobilePlayerJs).toMatch(/MADResume\.setItem\(/);
+    expect(mobilePlayerJs).toMatch(/MADResume\.attach\(elements\.audio\)/);
+  });
+
+  it('podcast episodes play under their own kind', () => {
+    expect(appHtml).toMatch(/resumeKind: 'episode'/);
+    expect(appHtml).toMatch(/kind: _meta\.resumeKind \|\| 'track'/);
+  });
+});
@@ -0,0 +1,47 @@
+// Guards the MAD Wrapped buttons (js/wrapped.js, /api/wrapped). Both pages
+// carry the panel hidden and load the shared script; it stays off without
+// window.__WRAPPED or a token, and opens the share page in a tab it opened
+// inside the click (popup blockers).
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import vm from 'node:vm';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (...p) => readFileSync(join(root, 'public', ...p), 'utf8');
+const appHtml = read('app.html');
+const mobileHtml = read('mobile.html');
+const wrappedJs = read('js', 'wrapped.js');
+
+describe('MAD Wrapped panel', () => {
+  it('ships hidden in the desktop stats modal and the mobile profile tab', () => {
+    const modal = appHtml.slice(appHtml.indexOf('id="modalStats"'), appHtml.indexOf('id="statsLoading"'));
+    expect(modal).toContain('<div id="wrappedPanel" class="wrapped-panel" data-wrapped-panel hidden></div>');
+    const profile = mobileHtml.slice(mobileHtml.indexOf('id="profile-tab"'), mobileHtml.indexOf('<nav class="bottom-tabs">'));
+    expect(profile).toContain('<div id="wrapped-panel" class="wrapped-panel" data-wrapped-panel hidden></div>');
+  });
+
+  it('loads the shared script on both pages', () => {
+    expect(appHtml).toMatch(/<script src="\/js\/wrapped\.js\?v=\d+"><\/script>/);
+    expect(mobileHtml).toMatch(/<script src="\/js\/wrapped\.js\?v=\d+"><\/script>/);
+  });
+
+  it('is gated on the flag, guests and a token', () => {
+    expect(wrappedJs).toContain("return !!window.__WRAPPED && !window.__GUEST && !!(localStorage.getItem('mass_access_token') || '').trim();");
+  });
+
+  it('opens the tab before the fetch', () => {
+    const open = wrappedJs.slice(wrappedJs.indexOf('function open('));
+    expect(open.indexOf("window.open('', '_blank')")).toBeLessThan(open.indexOf("fetch('/api/wrapped'"));
+  });
+
+  it('offers last year and the month in progress', () => {
+    const sandbox = { window: {}, document: { readyState: 'loading', addEventListener() {} }, localStorage: { getItem: () => '' } };
+    vm.runInNewContext(wrappedJs, sandbox);
+    const p = sandbox.window.MADWrapped.periods(new Date(2026, 9, 19));
+    expect(p.year).toEqual({ year: 2025, label: 'Your 2025 Wrapped' });
+    expect(p.month).toEqual({ year: 2026, month: 10, label: 'October so far' });
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// ABUSE_SCORING_ENABLED is unset → /api/abuse/* 404s BEFORE the auth
+// middleware (same fence pattern as history/wrapped), even with the admin key.
+let app;
+
+beforeAll(async () => {
+  delete process.env.ABUSE_SCORING_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Abuse review ringfence (flag off)', () => {
+  it('404s every route before auth', async () => {
+    for (const [method, path] of [['get', '/api/abuse/review'], ['post', '/api/abuse/review/12'], ['post', '/api/abuse/sweep']]) {
+      const res = await request(app)[method](path).set('X-Admin-Key', process.env.ADMIN_SECRET);
+      expect(res.status, `${method} ${path}`).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+});
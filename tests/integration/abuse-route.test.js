@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Stream abuse scoring (ABUSE_SCORING_ENABLED): a replaying session is still
+// recorded but marked at ingest, the sweep marks impossible listening across
+// the whole Stream_Events table, and the admin review list releases or
+// confirms. Stream_Events is an in-memory stand-in.
+const ADMIN = process.env.ADMIN_SECRET;
+const records = new Map();
+
+const utc = (ms) => {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+};
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+    fmFindAll: vi.fn(async (layout, queries) => {
+      if (layout !== 'Stream_Events') return { ok: true, data: [], total: 0 };
+      const flaggedOnly = queries.some((q) => q.AbuseFlags);
+      const data = [...records]
+        .filter(([, f]) => !flaggedOnly || f.AbuseFlags)
+        .map(([recordId, fieldData]) => ({ recordId, fieldData }));
+      return data.length ? { ok: true, data, total: data.length } : { ok: false, code: '401', data: [], total: 0 };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (
+      layout === 'Stream_Events' && records.has(recordId) ? { recordId, modId: '1', fieldData: records.get(recordId) } : null
+    )),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(records.size + 1);
+      records.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      records.set(recordId, { ...records.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+let app;
+
+beforeAll(async () => {
+  process.env.ABUSE_SCORING_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('stream events with abuse scoring', () => {
+  it('records a replaying session but quarantines its listen', async () => {
+    const agent = request.agent(app);
+    const send = (eventType, positionSec) => agent.post('/api/access/stream-events')
+      .set('CF-Connecting-IP', '9.9.9.9')
+      .send({ eventType, trackRecordId: '4242', durationSec: 200, positionSec, deltaSec: positionSec ? 5 : 0 });
+    expect((await send('PLAY', 0)).status).toBe(200);
+    for (let i = 1; i <= 31; i++) expect((await send('PROGRESS', i * 5)).status).toBe(200);
+
+    const [listen] = [...records.values()].filter((f) => f.TrackRecordID === '4242');
+    expect(listen).toMatchObject({ AbuseFlags: 'session-rate', AbuseScore: 40 });
+    // CF-Connecting-IP from a peer that isn't Cloudflare is not believed.
+    expect(listen.ClientIP).not.toBe('9.9.9.9');
+  });
+});
+
+describe('/api/abuse', () => {
+  it('sweeps two full plays at once into the review list', async () => {
+    const start = Date.now() - 10 * 60e3;
+    for (const [track, offset] of [['11', 0], ['12', 5e3]]) {
+      records.set(`overlap-${track}`, {
+        TrackRecordID: track, SessionID: 'two-at-once', 'Track Name': `Track ${track}`, PlaybackMode: 'FULL',
+        PlayStartUTC: utc(start + offset), LastEventUTC: utc(start + offset + 200e3), TotalPlayedSec: 200
+      });
+    }
+    const sweep = await request(app).post('/api/abuse/sweep').set('X-Admin-Key', ADMIN);
+    expect(sweep.status).toBe(200);
+    // The replayed listen from above is caught again: 155 s credited in a burst.
+    expect(sweep.body).toMatchObject({ ok: true, updated: 3 });
+
+    const res = await request(app).get('/api/abuse/review').set('X-Admin-Key', ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.summary).toMatchObject({ listens: 3, pending: 3, byReason: { overlap: 2, 'over-wallclock': 1, 'session-rate': 1 } });
+    expect(res.body.listens.map((l) => [l.flags, l.score, l.status])).toEqual([
+      [['over-wallclock', 'session-rate'], 100, 'pending'],
+      [['overlap'], 60, 'pending'],
+      [['overlap'], 60, 'pending']
+    ]);
+    expect(res.body.summary.tracks[0]).toMatchObject({ trackRecordId: '11', listens: 1, playedSec: 200 });
+  });
+
+  it('releases and confirms listens, and only flagged ones', async () => {
+    const review = (id, action) => request(app).post(`/api/abuse/review/${id}`).set('X-Admin-Key', ADMIN).send({ action });
+    expect((await review('overlap-11', 'release')).status).toBe(400);     // not an FM record id
+    const flaggedId = [...records].find(([, f]) => f.AbuseFlags?.includes('session-rate'))[0];
+    expect((await review(flaggedId, 'release')).body).toEqual({ ok: true, recordId: flaggedId, status: 'released' });
+    expect(records.get(flaggedId)).toMatchObject({ AbuseReview: 'released', AbuseReviewedAt: expect.any(String) });
+    expect((await review(flaggedId, 'shrug')).status).toBe(400);
+
+    records.set('99', { TrackRecordID: '11', SessionID: 'fine' });
+    expect((await review('99', 'confirm')).status).toBe(409);
+    expect((await review('98', 'confirm')).status).toBe(404);
+
+    const released = await request(app).get('/api/abuse/review?status=released').set('X-Admin-Key', ADMIN);
+    expect(released.body.listens.map((l) => l.recordId)).toEqual([flaggedId]);
+  });
+
+  it('needs the admin key', async () => {
+    expect((await request(app).get('/api/abuse/review')).status).toBe(401);
+    expect((await request(app).post('/api/abuse/sweep').set('X-Admin-Key', 'nope')).status).toBe(401);
+    expect((await request(app).get('/api/abuse/review?from=2026-02-30').set('X-Admin-Key', ADMIN)).status).toBe(400);
+  });
+});
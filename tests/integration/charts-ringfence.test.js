@@ -0,0 +1,30 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// CHARTS_ENABLED is unset → /api/charts and the /charts pages 404 BEFORE the
+// auth middleware (same fence pattern as wrapped/abuse), even with the admin key.
+let app;
+
+beforeAll(async () => {
+  delete process.env.CHARTS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Charts ringfence (flag off)', () => {
+  it('404s every route before auth', async () => {
+    for (const [method, path] of [
+      ['get', '/api/charts'], ['get', '/api/charts/featured'], ['get', '/api/charts/genre/maskandi'],
+      ['post', '/api/charts/snapshot'], ['get', '/charts'], ['get', '/charts/genre/maskandi/2026-W42']
+    ]) {
+      const res = await request(app)[method](path).set('X-Admin-Key', process.env.ADMIN_SECRET);
+      expect(res.status, `${method} ${path}`).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+
+  it('keeps the flag out of the page', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__CHARTS=false');
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+
+// Weekly charts (CHARTS_ENABLED): two closed weeks snapshotted through the
+// admin route into a temp SQLite archive, then read back with movement, the
+// featured rail and the public chart page. Stream_Events and the catalogue
+// are in-memory stand-ins.
+const ADMIN = process.env.ADMIN_SECRET;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mass-charts-'));
+let events = [];
+
+const catalogue = {
+  11: { 'Track Name': 'Emehlweni', 'Track Artist': 'Phuzekhemisi', 'Local Genre': 'Maskandi', 'Year of Release': '1992', 'Language Code': 'zu' },
+  12: { 'Track Name': 'Imvunulo', 'Track Artist': 'Phuzekhemisi', 'Local Genre': 'Maskandi', 'Year of Release': '1992', 'Language Code': 'zu' },
+  13: { 'Track Name': 'Ushaka', 'Track Artist': 'Mfaz’ Omnyama', 'Local Genre': 'Maskandi', 'Year of Release': '1995', 'Language Code': 'zu' },
+  21: { 'Track Name': 'Mannenberg', 'Track Artist': 'Abdullah Ibrahim', 'Local Genre': 'Cape Jazz', 'Year of Release': '1974', 'Language Code': 'zxx' }
+};
+
+const utc = (ms) => {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+};
+// Plays of [track, listener] pairs on the Tuesday of an ISO week (W40 = 28 Sep).
+const weekOf = (week, plays) => plays.map(([track, listener]) => ({
+  TrackRecordID: track, Email: listener, PlaybackMode: 'FULL', TotalPlayedSec: 180,
+  PlayStartUTC: utc(Date.UTC(2026, 8, 29) + (week - 40) * 7 * 86400e3)
+}));
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindAll: vi.fn(async (layout) => {
+      if (layout !== 'Stream_Events' || !events.length) return { ok: false, code: '401', data: [], total: 0 };
+      const data = events.map((fieldData, i) => ({ recordId: String(i + 1), fieldData }));
+      return { ok: true, data, total: data.length };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (
+      catalogue[recordId] ? { recordId, modId: '1', fieldData: catalogue[recordId] } : null
+    ))
+  };
+});
+
+let app;
+
+beforeAll(async () => {
+  process.env.CHARTS_ENABLED = 'true';
+  process.env.CHARTS_PATH = path.join(tmpDir, 'charts.db');
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { initCharts } = await import('../../lib/charts.js');
+  expect(await initCharts({ snapshot: false })).toBe(true);
+});
+
+afterAll(async () => {
+  const { stopCharts } = await import('../../lib/charts.js');
+  await stopCharts();
+  delete process.env.CHARTS_ENABLED;   // the sitemap ring-fence tests share this worker's env
+  delete process.env.CHARTS_PATH;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const snapshot = (week) => request(app).post('/api/charts/snapshot').set('X-Admin-Key', ADMIN).send({ week });
+
+describe('/api/charts', () => {
+  it('snapshots closed weeks from stream events', async () => {
+    events = weekOf(40, [['11', 'a'], ['11', 'b'], ['12', 'a'], ['21', 'a']]);
+    expect((await snapshot('2026-W40')).body).toEqual({ ok: true, week: '2026-W40', listens: 4, charts: 6 });
+    events = weekOf(41, [['12', 'a'], ['12', 'b'], ['12', 'c'], ['13', 'a'], ['13', 'b'], ['11', 'c']]);
+    expect((await snapshot('2026-W41')).body).toMatchObject({ ok: true, week: '2026-W41', listens: 6 });
+  });
+
+  it('serves a chart with movement and its place in the archive', async () => {
+    const res = await request(app).get('/api/charts/genre/maskandi');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toMatch(/^public/);
+    expect(res.body).toMatchObject({ type: 'genre', key: 'maskandi', label: 'Maskandi', week: '2026-W41', prevWeek: '2026-W40', nextWeek: null });
+    expect(res.body.entries.map((e) => [e.position, e.recordId, e.movement, e.lastPosition, e.weeksOnChart, e.peak])).toEqual([
+      [1, '12', 'up', 2, 2, 1],
+      [2, '13', 'new', null, 1, 2],
+      [3, '11', 'down', 1, 2, 1]
+    ]);
+    expect(res.body.entries[0].fields['Track Name']).toBe('Imvunulo');
+
+    const archived = await request(app).get('/api/charts/genre/maskandi?week=2026-w40');
+    expect(archived.body).toMatchObject({ week: '2026-W40', prevWeek: null, nextWeek: '2026-W41' });
+    expect((await request(app).get('/api/charts/genre/maskandi/weeks')).body.weeks).toEqual(['2026-W41', '2026-W40']);
+    // Cape Jazz only charted in W40.
+    expect((await request(app).get('/api/charts/genre/cape-jazz?week=2026-W41')).status).toBe(404);
+    expect((await request(app).get('/api/charts/language/zxx')).body).toMatchObject({ label: 'Instrumental', week: '2026-W40' });
+  });
+
+  it('lists the week’s charts and the featured rail', async () => {
+    const index = await request(app).get('/api/charts');
+    expect(index.body).toMatchObject({ ok: true, week: '2026-W41', weeks: ['2026-W41', '2026-W40'] });
+    expect(index.body.charts.map((c) => [c.type, c.key, c.entries, c.top?.recordId])).toEqual([
+      ['genre', 'maskandi', 3, '12'],
+      ['decade', '1990s', 3, '12'],
+      ['language', 'zu', 3, '12']
+    ]);
+
+    const featured = await request(app).get('/api/charts/featured');
+    expect(featured.body.chart).toMatchObject({ title: 'Top 20 Maskandi this week', url: '/charts/genre/maskandi', week: '2026-W41' });
+    expect(featured.body.chart.entries).toHaveLength(3);
+  });
+
+  it('renders the public chart pages', async () => {
+    const page = await request(app).get('/charts/genre/maskandi/2026-W40');
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toMatch(/text\/html/);
+    expect(page.text).toContain('<h1>Maskandi chart</h1>');
+    expect(page.text).toContain('Week of 28 September 2026');
+    expect(page.text).toContain('href="/charts/genre/maskandi/2026-W41"');
+    expect((await request(app).get('/charts')).text).toContain('href="/charts/decade/1990s"');
+    expect((await request(app).get('/charts/genre/kwaito')).status).toBe(404);
+  });
+
+  it('guards and validates the snapshot route', async () => {
+    expect((await request(app).post('/api/charts/snapshot').send({ week: '2026-W41' })).status).toBe(401);
+    expect((await snapshot('2026-W99')).status).toBe(400);
+    expect((await snapshot('2099-W01')).status).toBe(400);
+    expect((await request(app).get('/api/charts/genre/maskandi?week=last')).status).toBe(400);
+    expect((await request(app).get('/api/charts/mood/happy')).status).toBe(404);
+  });
+});
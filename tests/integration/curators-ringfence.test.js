@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// CURATOR_PROFILES_ENABLED is unset → profiles, follows and the feed 404
+// BEFORE the auth middleware; the shared playlist itself is untouched.
+let app;
+
+beforeAll(async () => {
+  delete process.env.CURATOR_PROFILES_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Curator profiles ringfence (flag off)', () => {
+  it.each([
+    ['get', '/api/profile'],
+    ['put', '/api/profile'],
+    ['put', '/api/profile/playlists/pl-1'],
+    ['get', '/api/curators/dj-tira'],
+    ['post', '/api/curators/dj-tira/follow'],
+    ['get', '/api/shared-playlists/abc123/follow'],
+    ['delete', '/api/shared-playlists/abc123/follow'],
+    ['get', '/api/following'],
+    ['get', '/api/following/feed']
+  ])('404s %s %s before auth', async (method, path) => {
+    const res = await request(app)[method](path);
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('leaves the shared playlist route behind auth as before', async () => {
+    const res = await request(app).get('/api/shared-playlists/abc123');
+    expect(res.status).toBe(403);
+  });
+});
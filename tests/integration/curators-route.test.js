@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Curator profiles and follows (CURATOR_PROFILES_ENABLED): opting in, listing
+// shared playlists, following curators and playlists, follower counts, the
+// updates feed, a regenerated link dropping its followers, and opting out.
+// No response may carry an email. FileMaker is in-memory; the token cache is
+// pre-seeded so auth never calls FM.
+const USERS = {
+  dj:    { token: 'MASS-CURATOR-DJ', email: 'tira@example.com' },
+  fan:   { token: 'MASS-CURATOR-FAN', email: 'fan@example.com' },
+  other: { token: 'MASS-CURATOR-OTHER', email: 'other@example.com' }
+};
+
+const tables = new Map(); // layout → Map(recordId → { fieldData, modId })
+let nextRecordId = 1;
+const table = (layout) => tables.get(layout) || tables.set(layout, new Map()).get(layout);
+const unescape = (value) => String(value).replace(/\\(.)/g, '$1');
+
+function fieldMatches(actual, wanted) {
+  const have = String(actual ?? '').toLowerCase();
+  if (wanted === '*') return have !== '';
+  if (wanted.startsWith('==')) return have === unescape(wanted.slice(2)).toLowerCase();
+  return have.includes(wanted.replace(/^\*|\*$/g, '').toLowerCase());
+}
+
+function find(layout, queries) {
+  const data = [...table(layout)]
+    .filter(([, row]) => queries.some((query) => Object.entries(query)
+      .every(([field, value]) => fieldMatches(row.fieldData[field], String(value)))))
+    .map(([recordId, row]) => ({ recordId, modId: String(row.modId), fieldData: { ...row.fieldData } }));
+  return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', total: 0, data: [] };
+}
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries, { limit } = {}) => {
+      const result = find(layout, queries);
+      return limit ? { ...result, data: result.data.slice(0, limit) } : result;
+    }),
+    fmFindAll: vi.fn(async (layout, queries) => ({ ...find(layout, queries), truncated: false })),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(nextRecordId++);
+      table(layout).set(recordId, { fieldData: { ...fieldData }, modId: 0 });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      const row = table(layout).get(recordId);
+      row.fieldData = { ...row.fieldData, ...fieldData };
+      row.modId += 1;
+      return { modId: String(row.modId) };
+    }),
+    fmDeleteRecord: vi.fn(async (layout, recordId) => { table(layout).delete(recordId); return {}; })
+  };
+});
+
+let app;
+const as = (who, method, path) => request(app)[method](`/api${path}`).set('X-Access-Token', USERS[who].token);
+const playlistRow = (playlistId) => [...table('API_Playlists').values()].find((row) => row.fieldData.Playlist_ID === playlistId);
+const noEmails = (res) => expect(res.text).not.toMatch(/@example\.com/);
+const TRACK = (name) => ({ track: { recordId: String(name.length), name, artist: 'DJ Tira' } });
+
+// Follows made "yesterday", so the edits below land after them.
+function backdateFollows() {
+  const yesterday = new Date(Date.now() - 86_400_000).toISOString();
+  for (const row of table('API_Follows').values()) row.fieldData.Created_At = yesterday;
+}
+
+async function sharedPlaylist(who, name) {
+  const playlist = (await as(who, 'post', '/playlists').send({ name })).body.playlist;
+  await as(who, 'post', `/playlists/${playlist.id}/tracks`).send(TRACK(`${name} opener`));
+  const share = await as(who, 'post', `/playlists/${playlist.id}/share`).send({});
+  return { id: playlist.id, shareId: share.body.shareId };
+}
+
+beforeAll(async () => {
+  process.env.CURATOR_PROFILES_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const { token, email } of Object.values(USERS)) {
+    tokenValidationCache.set(token, {
+      data: { code: token, type: 'subscription', expirationDate: null, email, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+afterAll(() => {
+  delete process.env.CURATOR_PROFILES_ENABLED;
+});
+
+describe('curator profiles and follows', () => {
+  let listed;
+  let linked;
+
+  it('opts in with a handle and display name that are not the email', async () => {
+    expect((await as('dj', 'get', '/profile')).body).toEqual({ ok: true, profile: null });
+    expect((await as('dj', 'put', '/profile').send({ handle: 'dj-tira', displayName: 'tira@example.com' })).status).toBe(400);
+
+    const res = await as('dj', 'put', '/profile').send({ handle: 'DJ-Tira', displayName: 'DJ Tira', bio: 'Gqom from Durban.' });
+    expect(res.status).toBe(201);
+    expect(res.body.profile).toMatchObject({ handle: 'dj-tira', displayName: 'DJ Tira', bio: 'Gqom from Durban.' });
+    noEmails(res);
+
+    const taken = await as('other', 'put', '/profile').send({ handle: 'dj-tira', displayName: 'Someone else' });
+    expect(taken).toMatchObject({ status: 409, body: { error: 'That handle is taken' } });
+    expect((await as('dj', 'put', '/profile').send({ handle: 'dj-tira', displayName: 'DJ Tira (official)' })).status).toBe(200);
+  });
+
+  it('lists only shared playlists, and only the owner can', async () => {
+    listed = await sharedPlaylist('dj', 'Gqom Fridays');
+    const draft = (await as('dj', 'post', '/playlists').send({ name: 'Draft' })).body.playlist;
+    expect((await as('dj', 'put', `/profile/playlists/${draft.id}`).send({ listed: true })).body.error).toBe('Share the playlist first');
+    expect((await as('fan', 'put', `/profile/playlists/${listed.id}`).send({ listed: true })).status).toBe(404);
+    expect((await as('fan', 'put', `/profile/playlists/${listed.id}`).send({ listed: 'yes' })).status).toBe(400);
+
+    const res = await as('dj', 'put', `/profile/playlists/${listed.id}`).send({ listed: true });
+    expect(res.body).toMatchObject({ ok: true, listed: true, shareId: listed.shareId });
+    expect(playlistRow(listed.id).fieldData.Listed_At).toBeTruthy();
+  });
+
+  it('shows the public profile with its playlists and no email', async () => {
+    const res = await as('fan', 'get', '/curators/dj-tira');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      ok: true, curator: { handle: 'dj-tira', displayName: 'DJ Tira (official)' }, followers: 0, following: false, own: false,
+      playlists: [{ shareId: listed.shareId, name: 'Gqom Fridays', trackCount: 1 }]
+    });
+    noEmails(res);
+    expect((await as('fan', 'get', '/curators/nobody')).status).toBe(404);
+  });
+
+  it('follows a curator and counts followers', async () => {
+    const res = await as('fan', 'post', '/curators/dj-tira/follow');
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ ok: true, following: true, followers: 1 });
+    expect((await as('fan', 'post', '/curators/@dj-tira/follow')).status).toBe(200); // already following
+    expect((await as('other', 'post', '/curators/dj-tira/follow')).body.followers).toBe(2);
+    expect((await as('dj', 'post', '/curators/dj-tira/follow')).status).toBe(400);
+    expect((await as('other', 'delete', '/curators/dj-tira/follow')).body).toEqual({ ok: true, following: false, followers: 1 });
+  });
+
+  it('keeps one follow when the same follow lands twice at once', async () => {
+    const taps = await Promise.all([1, 2, 3].map(() => as('other', 'post', '/curators/dj-tira/follow')));
+    expect(taps.map((r) => r.body.followers)).toEqual([2, 2, 2]);
+    expect(taps.filter((r) => r.status === 201)).toHaveLength(1);
+
+    // Both past the "already following?" check: the later record goes.
+    const { createFollow } = await import('../../lib/curators.js');
+    const fields = { email: USERS.other.email, targetType: 'curator', targetId: 'race-target' };
+    const [first, second] = [await createFollow(fields), await createFollow(fields)];
+    expect([first.created, second.created]).toEqual([true, false]);
+    expect(second.id).toBe(first.id);
+    expect(find('API_Follows', [{ Target_ID: '==race-target' }]).total).toBe(1);
+
+    expect((await as('other', 'delete', '/curators/dj-tira/follow')).body.followers).toBe(1);
+  });
+
+  it('gives a handle claimed twice at once to no more than one listener', async () => {
+    const claims = await Promise.all(['fan', 'other'].map((who) =>
+      as(who, 'put', '/profile').send({ handle: 'gqom-nights', displayName: who })));
+    expect(claims.filter((r) => r.status === 201).length).toBeLessThanOrEqual(1);
+    expect(find('API_Curator_Profiles', [{ Handle: '==gqom-nights' }]).total).toBeLessThanOrEqual(1);
+
+    // Both past the route's "is it free?" check: the second save backs off.
+    const { saveCuratorProfile } = await import('../../lib/curators.js');
+    const fields = { handle: 'gqom-mornings', displayName: 'Racer', bio: '' };
+    expect(await saveCuratorProfile(USERS.fan.email, fields)).toMatchObject({ handle: 'gqom-mornings' });
+    expect(await saveCuratorProfile(USERS.other.email, fields)).toBeNull();
+    expect(find('API_Curator_Profiles', [{ Handle: '==gqom-mornings' }]).total).toBe(1);
+
+    for (const who of ['fan', 'other']) await as(who, 'delete', '/profile');
+  });
+
+  it('follows a shared playlist through its link', async () => {
+    linked = await sharedPlaylist('dj', 'Warehouse tapes'); // shared, not listed
+    const before = await as('fan', 'get', `/shared-playlists/${linked.shareId}/follow`);
+    expect(before.body).toEqual({ ok: true, followers: 0, following: false, own: false, curator: null });
+
+    expect((await as('fan', 'post', `/shared-playlists/${linked.shareId}/follow`)).status).toBe(201);
+    expect((await as('dj', 'post', `/shared-playlists/${linked.shareId}/follow`)).status).toBe(400);
+    expect((await as('fan', 'post', '/shared-playlists/nope/follow')).status).toBe(404);
+
+    const listedState = await as('fan', 'get', `/shared-playlists/${listed.shareId}/follow`);
+    expect(listedState.body.curator).toEqual({ handle: 'dj-tira', displayName: 'DJ Tira (official)' });
+
+    const following = await as('fan', 'get', '/following');
+    expect(following.body.playlists.map((p) => p.name)).toEqual(['Warehouse tapes']);
+    expect(following.body.curators.map((c) => c.handle)).toEqual(['dj-tira']);
+    noEmails(following);
+  });
+
+  it('feeds followed playlists that changed after the follow', async () => {
+    backdateFollows();
+    // Followed yesterday, both playlists edited today.
+    const first = await as('fan', 'get', '/following/feed');
+    expect(first.body.items.map((i) => [i.playlist.name, i.via])).toEqual(expect.arrayContaining([
+      ['Gqom Fridays', 'curator'], ['Warehouse tapes', 'playlist']
+    ]));
+    noEmails(first);
+
+    const since = new Date(Date.now() + 1000).toISOString();
+    expect((await as('fan', 'get', `/following/feed?since=${encodeURIComponent(since)}`)).body.items).toEqual([]);
+    expect((await as('fan', 'get', '/following/feed?since=whenever')).status).toBe(400);
+  });
+
+  it('drops a playlist follow when the owner regenerates the link', async () => {
+    await as('dj', 'post', `/playlists/${linked.id}/share`).send({ regenerate: true });
+    const following = await as('fan', 'get', '/following');
+    expect(following.body.playlists).toEqual([]);
+    const feed = await as('fan', 'get', '/following/feed');
+    expect(feed.body.items.map((i) => i.playlist.name)).toEqual(['Gqom Fridays']);
+  });
+
+  it('opts out: the profile, its listings and its followers go', async () => {
+    const res = await as('dj', 'delete', '/profile');
+    expect(res.body).toEqual({ ok: true });
+    expect(playlistRow(listed.id).fieldData.Listed_At).toBe('');
+    expect((await as('fan', 'get', '/curators/dj-tira')).status).toBe(404);
+    expect((await as('fan', 'get', '/following')).body.curators).toEqual([]);
+    expect((await as('fan', 'get', '/following/feed')).body.items).toEqual([]);
+    expect((await as('dj', 'put', `/profile/playlists/${listed.id}`).send({ listed: true })).body.error).toBe('Set up your curator profile first');
+  });
+
+  it('needs a signed-in listener', async () => {
+    expect((await request(app).get('/api/following/feed')).status).toBe(403);
+  });
+});
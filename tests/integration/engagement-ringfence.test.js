@@ -0,0 +1,22 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// ENGAGEMENT_ENABLED is unset → /api/engagement 404s BEFORE the auth
+// middleware (same fence pattern as history/wrapped), even with the admin key.
+let app;
+
+beforeAll(async () => {
+  delete process.env.ENGAGEMENT_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Engagement analytics ringfence (flag off)', () => {
+  it('404s every route before auth', async () => {
+    for (const [method, path] of [['get', '/api/engagement?level=tracks'], ['post', '/api/engagement/refresh']]) {
+      const res = await request(app)[method](path).set('X-Admin-Key', process.env.ADMIN_SECRET);
+      expect(res.status, `${method} ${path}`).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Engagement analytics (/api/engagement, ENGAGEMENT_ENABLED): admin key only,
+// per-track and per-album skip / completion / replay rates from Stream_Events,
+// and the G100 picks joined to their album figures. Stream_Events, the
+// catalogue and the G100 list are in-memory stand-ins; the snapshot file goes
+// to a temp dir.
+const ADMIN = process.env.ADMIN_SECRET;
+const FILE = path.join(os.tmpdir(), `engagement-${process.pid}.json`);
+const DAY = 86400e3;
+
+const utc = (ms) => {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+};
+const listen = (trackId, email, daysAgo, playedSec, durationSec) => {
+  const at = utc(Date.now() - daysAgo * DAY);
+  return { TrackRecordID: trackId, Email: email, PlayStartUTC: at, TimestampUTC: at, LastEventUTC: at, TotalPlayedSec: playedSec, DurationSec: durationSec, EventType: 'END' };
+};
+
+// Track 11 (Side A) is heard through and replayed; track 12 (Side B) is skipped.
+const streamEvents = [
+  ...['a', 'b', 'c', 'd', 'e', 'f'].map((who) => listen('11', `${who}@x.com`, 3, 200, 200)),
+  listen('11', 'a@x.com', 2, 200, 200),
+  ...['a', 'b', 'c', 'd', 'e', 'f'].map((who) => listen('12', `${who}@x.com`, 3, 8, 180))
+];
+const catalogue = {
+  11: { 'Track Name': 'Mbube', 'Album Title': 'Side A', 'Album Artist': 'Solomon Linda', 'Reference Catalogue Number': 'CAT-A' },
+  12: { 'Track Name': 'Skip Me', 'Album Title': 'Side B', 'Album Artist': 'Someone', 'Reference Catalogue Number': 'CAT-B' }
+};
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindAll: vi.fn(async (layout) => {
+      if (layout !== 'Stream_Events') return { ok: true, data: [], total: 0 };
+      return { ok: true, total: streamEvents.length, data: streamEvents.map((fieldData, i) => ({ recordId: String(i + 1), fieldData })) };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (
+      catalogue[recordId] ? { recordId: String(recordId), modId: '1', fieldData: catalogue[recordId] } : null
+    ))
+  };
+});
+
+vi.mock('../../routes/catalog/featured.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    featuredWarmers: {
+      ...actual.featuredWarmers,
+      g100: vi.fn(async () => ({ value: [
+        { recordId: '900', fields: { 'Album Title': 'Side B', 'Album Artist': 'Someone', 'Reference Catalogue Number': 'CAT-B' } },
+        { recordId: '901', fields: { 'Album Title': 'Unheard', 'Album Artist': 'Nobody' } },
+        { recordId: '902', fields: { 'Album Title': 'Side A', 'Album Artist': 'Solomon Linda', 'Reference Catalogue Number': 'cat-a' } }
+      ] }))
+    }
+  };
+});
+
+let app;
+
+const admin = (method, url) => request(app)[method](url).set('X-Admin-Key', ADMIN);
+
+beforeAll(async () => {
+  process.env.ENGAGEMENT_ENABLED = 'true';
+  process.env.ENGAGEMENT_FILE = FILE;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+afterAll(async () => {
+  (await import('../../lib/engagement.js')).stopEngagement();
+  fs.rmSync(FILE, { force: true });
+});
+
+describe('/api/engagement', () => {
+  it('needs the admin key, not an access token', async () => {
+    expect((await request(app).get('/api/engagement')).status).toBe(401);
+    expect((await request(app).post('/api/engagement/refresh').set('X-Admin-Key', 'nope')).status).toBe(401);
+  });
+
+  it('rebuilds the snapshot on demand and saves it for the other workers', async () => {
+    const res = await admin('post', '/api/engagement/refresh');
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toMatchObject({ listens: 13, tracks: 2, albums: 2 });
+    expect(JSON.parse(fs.readFileSync(FILE, 'utf8')).tracks).toHaveLength(2);
+
+    // Ranking centres on the snapshot's catalogue average, not 0.5.
+    const { engagementPrior, engagementWeight } = await import('../../lib/engagement.js');
+    expect(engagementPrior()).toBe(res.body.totals.score);
+    expect(engagementWeight(engagementPrior(), 0.25)).toBe(1);
+  });
+
+  it('lists tracks, weakest first by default', async () => {
+    const res = await admin('get', '/api/engagement?level=tracks');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.items.map((t) => t.recordId)).toEqual(['12', '11']);
+    expect(res.body.items[0]).toMatchObject({ skipRate: 1, listens: 6 });
+    expect(res.body.items[1]).toMatchObject({ skipRate: 0, avgCompletion: 1, replayRate: 0.167 });
+  });
+
+  it('sorts albums and honours minListens', async () => {
+    const res = await admin('get', '/api/engagement?level=albums&sort=completion&order=desc&minListens=7');
+    expect(res.body.items).toEqual([expect.objectContaining({ title: 'Side A', catalogue: 'CAT-A', tracks: 1 })]);
+  });
+
+  it('joins the G100 picks to their album figures, unheard picks last', async () => {
+    const res = await admin('get', '/api/engagement?level=g100&order=desc');
+    expect(res.body.items.map((p) => p.recordId)).toEqual(['902', '900', '901']);
+    expect(res.body.items[1].engagement).toMatchObject({ listens: 6, skipRate: 1 });
+    expect(res.body.items[2].engagement).toBeNull();
+  });
+
+  it('rejects bad parameters', async () => {
+    expect((await admin('get', '/api/engagement?level=artists')).status).toBe(400);
+    expect((await admin('get', '/api/engagement?sort=plays')).status).toBe(400);
+    expect((await admin('get', '/api/engagement?order=up')).status).toBe(400);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// HISTORY_ENABLED is unset → /api/history 404s BEFORE the auth middleware
+// (same fence pattern as resume/queue), and the home-page rail stays off.
+let app;
+
+beforeAll(async () => {
+  delete process.env.HISTORY_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('listening history ringfence (flag off)', () => {
+  it('404s every route before auth', async () => {
+    for (const [method, path] of [['get', '/api/history'], ['delete', '/api/history'], ['put', '/api/history/settings']]) {
+      const res = await request(app)[method](path);
+      expect(res.status, `${method} ${path}`).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__HISTORY=false');
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Listening history (/api/history, HISTORY_ENABLED): recently played tracks
+// and albums read back from Stream_Events for the signed-in token, then the
+// clear / pause privacy controls. Stream_Events and API_History are in-memory
+// tables; the token cache is pre-seeded so auth never calls FM.
+const TOKEN = 'MASS-HISTORY-TEST';
+const OTHER = 'MASS-HISTORY-OTHER';
+
+const AUDIO = (id) => `https://mass-media.s3.amazonaws.com/audio/${id}.mp3`;
+const tracks = {
+  101: { 'Track Name': 'Weeping', 'Track Artist': 'Bright Blue', 'Album Title': 'Window On The World', 'Album Artist': 'Bright Blue', S3_URL: AUDIO(101) },
+  102: { 'Track Name': 'Sweet Mama', 'Track Artist': 'Bright Blue', 'Album Title': 'Window On The World', 'Album Artist': 'Bright Blue', S3_URL: AUDIO(102) },
+  201: { 'Track Name': 'Hometalk', 'Track Artist': 'Mango Groove', 'Album Title': 'Hometalk', 'Album Artist': 'Mango Groove', S3_URL: AUDIO(201) },
+  301: { 'Track Name': 'No audio', 'Track Artist': 'Nobody', 'Album Title': 'Nothing', 'Album Artist': 'Nobody' }
+};
+
+// UTC MM/DD/YYYY HH:MM:SS, minutes ago — the format routes/access.js writes.
+function utcAgo(minutes) {
+  const d = new Date(Date.now() - minutes * 60_000);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+}
+const listen = (token, trackId, minutesAgo, extra = {}) => ({
+  Token_Number: token, TrackRecordID: String(trackId), EventType: 'PROGRESS',
+  PlayStartUTC: utcAgo(minutesAgo + 3), TimestampUTC: utcAgo(minutesAgo), LastEventUTC: utcAgo(minutesAgo),
+  TimeStreamed: 0, DurationSec: 240, ...extra
+});
+
+const streamEvents = [
+  listen(TOKEN, 101, 10, { TimeStreamed: 95 }),
+  listen(TOKEN, 201, 60, { EventType: 'END', TimeStreamed: 240 }),
+  listen(TOKEN, 102, 90, { EventType: 'END', TimeStreamed: 240 }),
+  listen(TOKEN, 301, 100),
+  listen(TOKEN, 101, 2000, { EventType: 'END', TimeStreamed: 240 }),
+  listen(OTHER, 201, 5)
+];
+const historyRows = new Map(); // recordId → fieldData
+
+const unquote = (v) => String(v).replace(/^==/, '').replace(/\\(.)/g, '$1');
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      const token = unquote(queries[0].Token_Number);
+      if (layout === 'Stream_Events') {
+        const data = streamEvents.filter((f) => f.Token_Number === token).map((fieldData, i) => ({ recordId: String(i + 1), fieldData }));
+        return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', data: [] };
+      }
+      if (layout === 'API_History') {
+        const data = [...historyRows].filter(([, f]) => f.Token_Number === token).map(([recordId, fieldData]) => ({ recordId, fieldData }));
+        return { ok: true, total: data.length, data };
+      }
+      return { ok: true, total: 0, data: [] };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (
+      tracks[recordId] ? { recordId: String(recordId), modId: '1', fieldData: { ...tracks[recordId] } } : null
+    )),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(historyRows.size + 1);
+      historyRows.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      if (layout === 'API_History') historyRows.set(recordId, { ...historyRows.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+let app;
+
+const api = (method, path = '') => request(app)[method](`/api/history${path}`).set('X-Access-Token', TOKEN);
+
+beforeAll(async () => {
+  process.env.HISTORY_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const code of [TOKEN, OTHER]) {
+    tokenValidationCache.set(code, {
+      data: { code, type: 'subscription', expirationDate: null, email: `${code.toLowerCase()}@example.com`, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+describe('/api/history', () => {
+  it('lists recently played tracks, newest first, one entry per track, never cached', async () => {
+    const res = await api('get', '?kind=tracks');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    // 301 has no playable audio and drops out; 101's two listens fold into one.
+    expect(res.body.items.map((i) => [i.recordId, i.history.plays, i.history.positionSec])).toEqual([
+      ['101', 2, 95],
+      ['201', 1, 0],
+      ['102', 1, 0]
+    ]);
+    expect(res.body.items[0].fields['Track Name']).toBe('Weeping');
+    expect(res.body.settings).toEqual({ paused: false, pausedSince: null, clearedAt: null });
+  });
+
+  it('pages', async () => {
+    const { body } = await api('get', '?kind=tracks&limit=1&offset=1');
+    expect(body.items.map((i) => i.recordId)).toEqual(['201']);
+    expect(body).toMatchObject({ total: 4, hasMore: true, offset: 1, limit: 1 });
+  });
+
+  it('groups the same listens by album', async () => {
+    const { body } = await api('get', '?kind=albums');
+    expect(body.items.map((i) => [i.fields['Album Title'], i.history.tracks, i.history.plays, i.history.lastTrackId])).toEqual([
+      ['Window On The World', 2, 3, '101'],
+      ['Hometalk', 1, 1, '201']
+    ]);
+    expect(body.items[0].track).toMatchObject({ recordId: '101', fields: { 'Track Name': 'Weeping' } });
+  });
+
+  it('rejects an unknown kind and a non-boolean pause', async () => {
+    expect((await api('get', '?kind=artists')).status).toBe(400);
+    expect((await api('put', '/settings').send({ paused: 'yes' })).status).toBe(400);
+  });
+
+  it('needs an access token', async () => {
+    const res = await request(app).get('/api/history');
+    expect([401, 403]).toContain(res.status);
+  });
+
+  it('pauses and resumes history', async () => {
+    const paused = await api('put', '/settings').send({ paused: true });
+    expect(paused.status).toBe(200);
+    expect(paused.body.settings.paused).toBe(true);
+    // A listen that starts while paused stays out of history (its PlayStartUTC
+    // is after the pause — the fixture clock runs a few minutes ahead).
+    streamEvents.unshift(listen(TOKEN, 202, -5));
+    tracks[202] = { ...tracks[201], 'Track Name': 'Special Star', S3_URL: AUDIO(202) };
+    expect((await api('get', '?kind=tracks')).body.items.map((i) => i.recordId)).not.toContain('202');
+
+    const resumed = await api('put', '/settings').send({ paused: false });
+    expect(resumed.body.settings).toMatchObject({ paused: false, pausedSince: null });
+    const stored = JSON.parse([...historyRows.values()][0].Settings_JSON);
+    expect(stored.pauses).toHaveLength(1);
+    streamEvents.shift();
+  });
+
+  it('clears history without touching another listener', async () => {
+    const cleared = await api('delete');
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.settings.clearedAt).toBeTruthy();
+    expect((await api('get', '?kind=tracks')).body).toMatchObject({ items: [], total: 0, hasMore: false });
+
+    const other = await request(app).get('/api/history?kind=tracks').set('X-Access-Token', OTHER);
+    expect(other.body.items.map((i) => i.recordId)).toEqual(['201']);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// HLS_ENABLED is unset → every /api/hls* path must 404 BEFORE the auth
+// middleware, including the signed /api/hls-media/ paths that would otherwise
+// be skip-listed. Same fence pattern as preview/podcasts/suggestions.
+let app;
+
+beforeAll(async () => {
+  delete process.env.HLS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('HLS ringfence (flag off)', () => {
+  it('404s the mint and media paths before auth', async () => {
+    for (const path of ['/api/hls/12345', '/api/hls-media/12345/index.m3u8', '/api/hls-media/12345/0.mp3']) {
+      const res = await request(app).get(path);
+      expect(res.status).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__HLS=false');
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import http from 'node:http';
+
+// HLS packaging (HLS_ENABLED): token-gated mint → signed playlist → signed
+// frame-aligned segments. A local fixture server plays the S3 role (Range-
+// supporting MP3 origin); containerUrlCache and the token cache are pre-seeded
+// so FileMaker is never called (token validation is mocked for the link whose
+// token gets disabled).
+//
+// Fixture: CBR 128 kbps, a real header every 417-byte frame, 20 s long.
+const FRAME_LEN = 417;
+const FILE_SIZE = 16000 * 20;
+const TOKEN = 'MASS-HLS-TEST';
+const LAPSED = 'MASS-HLS-LAPSED';
+
+// FileMaker's verdict once a token's cached validation is gone.
+vi.mock('../../lib/auth.js', async (importActual) => ({
+  ...await importActual(),
+  validateAccessToken: vi.fn(async (code) => (String(code).toUpperCase() === LAPSED
+    ? { valid: false, definitive: true, reason: 'Token disabled' }
+    : { valid: true, type: 'subscription' }))
+}));
+
+let app;
+let fixtureServer;
+let mp3;
+
+function buildFramedMp3(size) {
+  const buf = Buffer.alloc(size);
+  for (let i = 0; i + 4 <= size; i += FRAME_LEN) {
+    buf[i] = 0xff; buf[i + 1] = 0xfb; buf[i + 2] = 0x90; buf[i + 3] = 0x00;
+  }
+  return buf;
+}
+
+function binary(req) {
+  return req.buffer(true).parse((res, cb) => {
+    const chunks = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () => cb(null, Buffer.concat(chunks)));
+  });
+}
+
+function stripId3(segment) {
+  const size = (segment[6] << 21) | (segment[7] << 14) | (segment[8] << 7) | segment[9];
+  return segment.subarray(10 + size);
+}
+
+async function mint(token = TOKEN) {
+  const res = await request(app).get('/api/hls/888001').set('X-Access-Token', token);
+  expect(res.status).toBe(200);
+  return res.body.url;
+}
+
+beforeAll(async () => {
+  mp3 = buildFramedMp3(FILE_SIZE);
+  fixtureServer = http.createServer((req, res) => {
+    const m = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (req.url.startsWith('/norange.mp3') || !m) {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': mp3.length });
+      res.end(mp3);
+      return;
+    }
+    const start = parseInt(m[1], 10);
+    const end = Math.min(m[2] ? parseInt(m[2], 10) : mp3.length - 1, mp3.length - 1);
+    res.writeHead(206, {
+      'Content-Type': 'audio/mpeg',
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${mp3.length}`
+    });
+    res.end(mp3.subarray(start, end + 1));
+  });
+  await new Promise((resolve) => fixtureServer.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${fixtureServer.address().port}`;
+
+  process.env.HLS_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+
+  const { containerUrlCache, tokenValidationCache } = await import('../../cache.js');
+  const { FM_LAYOUT } = await import('../../lib/fm-fields.js');
+  containerUrlCache.set(`${FM_LAYOUT}::888001`, { url: `${base}/track.mp3`, field: 'S3_URL', artworkUrl: '' });
+  containerUrlCache.set(`${FM_LAYOUT}::888002`, { url: `${base}/norange.mp3`, field: 'S3_URL', artworkUrl: '' });
+  for (const code of [TOKEN, LAPSED]) {
+    tokenValidationCache.set(code, {
+      data: { code, type: 'subscription', expirationDate: null, email: null, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+afterAll(async () => {
+  delete process.env.HLS_ENABLED;
+  await new Promise((resolve) => fixtureServer.close(resolve));
+});
+
+describe('HLS playback (HLS_ENABLED)', () => {
+  it('mints playlist URLs only for a valid access token', async () => {
+    const res = await request(app).get('/api/hls/888001');
+    expect(res.status).toBe(403);
+    expect(res.body.requiresAccessToken).toBe(true);
+  });
+
+  it('serves a signed VOD playlist of signed segments', async () => {
+    const url = await mint();
+    expect(url).toMatch(/^\/api\/hls-media\/888001\/index\.m3u8\?exp=\d+&sub=[\w-]+&sig=[\w-]+&tok=[\w-]+$/);
+    const res = await request(app).get(url);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/vnd.apple.mpegurl');
+    const lines = res.text.trim().split('\n');
+    expect(lines.filter((l) => l.startsWith('#EXTINF:'))).toHaveLength(4); // 6+6+6+2 s
+    expect(lines.filter((l) => /^\d+\.mp3\?exp=/.test(l))).toHaveLength(4);
+    expect(lines.at(-1)).toBe('#EXT-X-ENDLIST');
+  });
+
+  it('serves frame-aligned segments that rebuild the original stream', async () => {
+    const playlistUrl = await mint();
+    const playlist = (await request(app).get(playlistUrl)).text;
+    const base = playlistUrl.slice(0, playlistUrl.lastIndexOf('/') + 1);
+    const segUrls = playlist.split('\n').filter((l) => /^\d+\.mp3\?/.test(l));
+    const parts = [];
+    for (const seg of segUrls) {
+      const res = await binary(request(app).get(base + seg));
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('audio/mpeg');
+      expect(res.body.subarray(0, 3).toString('latin1')).toBe('ID3');
+      const audio = stripId3(res.body);
+      expect([audio[0], audio[1]]).toEqual([0xff, 0xfb]);
+      parts.push(audio);
+    }
+    expect(Buffer.concat(parts).equals(mp3)).toBe(true);
+  });
+
+  it('403s unsigned, tampered and cross-segment URLs', async () => {
+    const playlistUrl = await mint();
+    const playlist = (await request(app).get(playlistUrl)).text;
+    const seg0 = playlist.split('\n').find((l) => l.startsWith('0.mp3?'));
+    expect((await request(app).get('/api/hls-media/888001/0.mp3')).status).toBe(403);
+    expect((await request(app).get(`/api/hls-media/888001/${seg0.replace('0.mp3', '1.mp3')}`)).status).toBe(403);
+    expect((await request(app).get(`/api/hls-media/888003/${seg0}`)).status).toBe(403);
+    expect((await request(app).get(playlistUrl.replace('index.m3u8', 'other.m3u8'))).status).toBe(404);
+    expect((await request(app).get(`/api/hls-media/888001/${seg0.replace(/&tok=[\w-]+/, '')}`)).status).toBe(403);
+  });
+
+  it('stops a disabled token’s playlist at the next request', async () => {
+    const playlistUrl = await mint(LAPSED);
+    const playlist = (await request(app).get(playlistUrl)).text;
+    const seg0 = playlist.split('\n').find((l) => l.startsWith('0.mp3?'));
+    const { tokenValidationCache } = await import('../../cache.js');
+    tokenValidationCache.delete(LAPSED); // the cached validation runs out
+    const res = await request(app).get(`/api/hls-media/888001/${seg0}`);
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('revoked');
+    expect((await request(app).get(playlistUrl)).status).toBe(403);
+  });
+
+  it('404s the mint for an upstream that ignores Range, so the client falls back', async () => {
+    const res = await request(app).get('/api/hls/888002').set('X-Access-Token', TOKEN);
+    expect(res.status).toBe(404);
+    expect(res.body.ok).toBe(false);
+  });
+
+  it('stamps the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__HLS=true');
+  });
+});
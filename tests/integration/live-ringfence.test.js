@@ -0,0 +1,27 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// LIVE_FEED_ENABLED is unset → /api/live/* 404s BEFORE the auth middleware
+// (same fence pattern as resume/queue), and the home-page ticker stays off.
+let app;
+
+beforeAll(async () => {
+  delete process.env.LIVE_FEED_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('live feed ringfence (flag off)', () => {
+  it('404s the ticker and the admin stream before auth', async () => {
+    const ticker = await request(app).get('/api/live/listening');
+    expect(ticker.status).toBe(404);
+    expect(ticker.text).toBe('Not found');
+    const events = await request(app).get('/api/live/events').set('X-Admin-Key', 'test-admin-secret');
+    expect(events.status).toBe(404);
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__LIVE_FEED=false');
+  });
+});
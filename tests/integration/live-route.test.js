@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import http from 'node:http';
+
+// "Listening now" (/api/live/*, LIVE_FEED_ENABLED): a stream event posted to
+// /api/access/stream-events shows up at once on the admin SSE stream and in
+// the public ticker's counts. Track names come from the mocked track record.
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmGetRecordById: vi.fn(async (layout, recordId) => ({
+      recordId, fieldData: { 'Track Name': 'Pata Pata', 'Track Artist': 'Miriam Makeba' }
+    })),
+    fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+    fmCreateRecord: vi.fn(async () => ({ recordId: '1' })),
+    fmUpdateRecord: vi.fn(async () => ({}))
+  };
+});
+
+const SESSION_ID = '6f1c2a52-0d7e-4b8e-9a61-5d2f3c4b7e10';
+
+let app;
+let server;
+let feed;
+
+beforeAll(async () => {
+  process.env.LIVE_FEED_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  feed = await import('../../lib/live-feed.js');
+  feed.initLiveFeed();
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  feed.closeLiveFeed();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const streamEvent = (eventType) => request(app).post('/api/access/stream-events')
+  .set('X-Session-ID', SESSION_ID)
+  .send({ eventType, trackRecordId: '5150', durationSec: 180, playbackMode: 'PREVIEW' });
+
+// Open an SSE stream and collect its events until `until` says stop.
+function openStream(path, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, { headers }, (res) => {
+      const events = [];
+      let buf = '';
+      const stream = {
+        res,
+        events,
+        waitFor(name) {
+          return vi.waitFor(() => {
+            const hit = events.find((e) => e.event === name);
+            if (!hit) throw new Error(`no ${name} yet`);
+            return hit.data;
+          }, { timeout: 3000 });
+        },
+        close: () => req.destroy()
+      };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, i);
+          buf = buf.slice(i + 2);
+          const event = block.match(/^event: (.*)$/m)?.[1];
+          const data = block.match(/^data: (.*)$/m)?.[1];
+          if (event && data) events.push({ event, data: JSON.parse(data) });
+        }
+      });
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('live feed routes', () => {
+  it('streams a stream event to admins the moment it lands', async () => {
+    const stream = await openStream('/api/live/events', { 'X-Admin-Key': 'test-admin-secret', Accept: 'text/event-stream' });
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    await stream.waitFor('hello');
+
+    expect((await streamEvent('PLAY')).status).toBe(200);
+    const listen = await stream.waitFor('listen');
+    expect(listen).toMatchObject({ type: 'PLAY', trackRecordId: '5150', title: 'Pata Pata', artist: 'Miriam Makeba', mode: 'PREVIEW' });
+    expect(JSON.stringify(listen)).not.toContain(SESSION_ID);
+    stream.close();
+  });
+
+  it('serves the anonymised ticker as JSON or as a stream, without a token', async () => {
+    await streamEvent('PROGRESS');
+    const res = await request(app).get('/api/live/listening');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      ok: true,
+      listening: 1,
+      tracks: [{ trackRecordId: '5150', title: 'Pata Pata', artist: 'Miriam Makeba', listeners: 1 }]
+    });
+
+    const stream = await openStream('/api/live/listening', { Accept: 'text/event-stream' });
+    expect(await stream.waitFor('listening')).toMatchObject({ listening: 1 });
+    stream.close();
+  });
+
+  it('keeps the full stream behind the admin key', async () => {
+    const res = await request(app).get('/api/live/events').set('Accept', 'text/event-stream');
+    expect(res.status).toBe(401);
+    const page = await request(app).get('/api/live/events').set('Accept', 'text/html');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('Enter admin key');
+    expect(page.text).not.toContain('test-admin-secret');
+  });
+
+  it('stamps the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__LIVE_FEED=true');
+  });
+});
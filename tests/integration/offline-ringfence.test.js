@@ -0,0 +1,27 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// OFFLINE_DOWNLOADS_ENABLED is unset → /api/offline 404s BEFORE the auth
+// middleware (same fence pattern as queue/hls/preview), so a stale app build
+// probing it never trips the token wall.
+let app;
+
+beforeAll(async () => {
+  delete process.env.OFFLINE_DOWNLOADS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('offline downloads ringfence (flag off)', () => {
+  it('404s every /api/offline path before auth', async () => {
+    const res = await request(app).post('/api/offline/licence').send({});
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+    expect((await request(app).get('/api/offline/audio/1')).status).toBe(404);
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__OFFLINE=false');
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import http from 'node:http';
+
+// Offline downloads (/api/offline, OFFLINE_DOWNLOADS_ENABLED): licences are
+// issued to subscribers only, capped at the token's expiry, re-signed on
+// revalidation when the subscription renews, and the audio is served
+// same-origin for on-device encryption. A local fixture server plays the S3
+// role; FileMaker's API_Playlists layout is a one-row in-memory table and the
+// token cache is pre-seeded so auth never calls FM.
+const TOKEN = 'MASS-OFFLINE-TEST';
+const TRIAL = 'MASS-OFFLINE-TRIAL';
+const OTHER = 'MASS-OFFLINE-OTHER';
+const EMAIL = 'offline.listener@example.com';
+const PHONE = 'phone-device-0001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISABLED = 'MASS-OFFLINE-DISABLED';
+const UNREACHABLE = 'MASS-OFFLINE-FM-DOWN';
+
+// Tokens the cache doesn't know: one FileMaker disabled, one it couldn't be asked about.
+vi.mock('../../lib/auth.js', async (importActual) => ({
+  ...await importActual(),
+  validateAccessToken: vi.fn(async (code) => (String(code).toUpperCase() === DISABLED
+    ? { valid: false, definitive: true, reason: 'Token disabled' }
+    : { valid: false, reason: 'FileMaker unreachable' }))
+}));
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      if (layout !== 'API_Playlists') return { ok: true, total: 0, data: [] };
+      const id = String(queries[0]['Playlist_ID']).replace(/^==/, '').replace(/\\(.)/g, '$1');
+      if (id !== 'pl-1') return { ok: true, total: 0, data: [] };
+      return {
+        ok: true,
+        total: 1,
+        data: [{
+          recordId: '9',
+          fieldData: {
+            Playlist_ID: 'pl-1',
+            User_Email: EMAIL,
+            Name: 'Sunday',
+            Songs_JSON: JSON.stringify([{ trackRecordId: '777001', name: 'Pata Pata' }, { recordId: '777002', name: 'Mbube' }])
+          }
+        }]
+      };
+    })
+  };
+});
+
+let app;
+let fixtureServer;
+let tokenValidationCache;
+const audio = Buffer.from('ID3-fixture-audio-bytes');
+
+function seedToken(code, data) {
+  tokenValidationCache.set(code, {
+    data: { code, type: 'subscription', expirationDate: null, email: EMAIL, recordId: null, ...data },
+    expiresAt: Date.now() + 60_000
+  });
+}
+
+const api = (method, path, token = TOKEN) => request(app)[method](`/api/offline${path}`).set('X-Access-Token', token);
+
+beforeAll(async () => {
+  fixtureServer = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': audio.length });
+    res.end(audio);
+  });
+  await new Promise((resolve) => fixtureServer.listen(0, '127.0.0.1', resolve));
+
+  process.env.OFFLINE_DOWNLOADS_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  ({ tokenValidationCache } = await import('../../cache.js'));
+  const { containerUrlCache } = await import('../../cache.js');
+  const { FM_LAYOUT } = await import('../../lib/fm-fields.js');
+  containerUrlCache.set(`${FM_LAYOUT}::777001`, {
+    url: `http://127.0.0.1:${fixtureServer.address().port}/track.mp3`, field: 'S3_URL', artworkUrl: ''
+  });
+  seedToken(TOKEN, { expirationDate: new Date(Date.now() + 3 * DAY_MS).toISOString() });
+  seedToken(TRIAL, { type: 'trial' });
+  seedToken(OTHER, {});
+});
+
+afterAll(async () => {
+  delete process.env.OFFLINE_DOWNLOADS_ENABLED;
+  await new Promise((resolve) => fixtureServer.close(resolve));
+});
+
+describe('/api/offline', () => {
+  it('needs an access token, and a subscription rather than a trial', async () => {
+    const anon = await request(app).post('/api/offline/licence').send({ deviceId: PHONE, kind: 'track', id: '777001' });
+    expect(anon.status).toBe(403);
+    expect(anon.body.requiresAccessToken).toBe(true);
+    const trial = await api('post', '/licence', TRIAL).send({ deviceId: PHONE, kind: 'track', id: '777001' });
+    expect(trial.status).toBe(403);
+    expect(trial.body.requiresSubscription).toBe(true);
+  });
+
+  it('marks only a real denial definitive, so an FM outage never wipes downloads', async () => {
+    const disabled = await api('post', '/revalidate', DISABLED).send({ deviceId: PHONE, licences: [] });
+    expect(disabled.status).toBe(403);
+    expect(disabled.body).toMatchObject({ requiresAccessToken: true, definitive: true });
+    const down = await api('post', '/revalidate', UNREACHABLE).send({ deviceId: PHONE, licences: [] });
+    expect(down.status).toBe(403);
+    expect(down.body.requiresAccessToken).toBe(true);
+    expect(down.body.definitive).toBeUndefined();
+  });
+
+  it('validates the request', async () => {
+    expect((await api('post', '/licence').send({ kind: 'track', id: '777001' })).status).toBe(400);
+    expect((await api('post', '/licence').send({ deviceId: PHONE, kind: 'podcast', id: '1' })).status).toBe(400);
+    expect((await api('post', '/licence').send({ deviceId: PHONE, kind: 'album', id: 'x', recordIds: ['1', 'nope'] })).status).toBe(400);
+  });
+
+  it('issues a licence capped at the token expiry, with the device content key', async () => {
+    const res = await api('post', '/licence').send({ deviceId: PHONE, kind: 'album', id: 'pata pata|||miriam makeba', recordIds: ['777001', '777002'] });
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.licence).toMatchObject({ id: 'album:pata pata|||miriam makeba', deviceId: PHONE, tracks: ['777001', '777002'] });
+    expect(res.body.licence.exp * 1000).toBeLessThanOrEqual(Date.now() + 3 * DAY_MS);
+    expect(res.body.key).toMatch(/^[\w-]{43}$/);
+  });
+
+  it('takes a playlist\'s tracks from the stored playlist, owner only', async () => {
+    const res = await api('post', '/licence').send({ deviceId: PHONE, kind: 'playlist', id: 'pl-1', recordIds: ['1'] });
+    expect(res.status).toBe(200);
+    expect(res.body.licence.tracks).toEqual(['777001', '777002']);
+    expect((await api('post', '/licence').send({ deviceId: PHONE, kind: 'playlist', id: 'pl-2' })).status).toBe(404);
+  });
+
+  it('extends licences on revalidation once the subscription renews', async () => {
+    const { body: issued } = await api('post', '/licence').send({ deviceId: PHONE, kind: 'track', id: '777001' });
+    seedToken(TOKEN, { expirationDate: new Date(Date.now() + 31 * DAY_MS).toISOString() });
+    const res = await api('post', '/revalidate').send({ deviceId: PHONE, licences: [issued.licence] });
+    expect(res.status).toBe(200);
+    expect(res.body.key).toBe(issued.key);
+    expect(res.body.licences[0].ok).toBe(true);
+    expect(res.body.licences[0].licence.exp).toBeGreaterThan(issued.licence.exp);
+  });
+
+  it('refuses licences minted for another token, device or track list', async () => {
+    const { body: issued } = await api('post', '/licence').send({ deviceId: PHONE, kind: 'track', id: '777001' });
+    const foreign = await api('post', '/revalidate', OTHER).send({ deviceId: PHONE, licences: [issued.licence] });
+    expect(foreign.body.licences[0]).toMatchObject({ ok: false, reason: 'bad_signature' });
+    expect(foreign.body.key).not.toBe(issued.key);
+    const moved = await api('post', '/revalidate').send({ deviceId: 'laptop-device-0002', licences: [issued.licence] });
+    expect(moved.body.licences[0]).toMatchObject({ ok: false, reason: 'wrong_device' });
+    const widened = await api('post', '/revalidate').send({ deviceId: PHONE, licences: [{ ...issued.licence, tracks: ['777001', '777003'] }] });
+    expect(widened.body.licences[0]).toMatchObject({ ok: false, reason: 'bad_signature' });
+  });
+
+  it('serves the audio same-origin for encryption on the device', async () => {
+    const res = await api('get', '/audio/777001').buffer(true).parse((r, cb) => {
+      const chunks = [];
+      r.on('data', (c) => chunks.push(c));
+      r.on('end', () => cb(null, Buffer.concat(chunks)));
+    });
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(Buffer.compare(res.body, audio)).toBe(0);
+    expect((await api('get', '/audio/777001', TRIAL)).status).toBe(403);
+    expect((await api('get', '/audio/abc')).status).toBe(400);
+  });
+
+  it('is stamped on for the client', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__OFFLINE=true');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// PLAY_COUNTS_ENABLED is unset → /api/play-counts 404s BEFORE the auth
+// middleware (same fence pattern as history/resume), and the page flag is off.
+let app;
+
+beforeAll(async () => {
+  delete process.env.PLAY_COUNTS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Play counts ringfence (flag off)', () => {
+  it('404s the lookup before auth', async () => {
+    const res = await request(app).post('/api/play-counts').send({ recordIds: ['101'] });
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('keeps the flag out of the page', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__PLAY_COUNTS=false');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+
+// Per-listener play counts (PLAY_COUNTS_ENABLED): a token's first lookup seeds
+// from its Stream_Events, then each listen /api/access/stream-events opens is
+// counted into a temp SQLite index — no FileMaker read per lookup. Stream_Events
+// is an in-memory stand-in; the token cache is pre-seeded so auth never calls FM.
+const TOKEN = 'MASS-PLAYS-TEST';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mass-play-counts-'));
+const records = new Map();
+
+const utcAgo = (minutes) => {
+  const d = new Date(Date.now() - minutes * 60_000);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+};
+const listen = (trackId, minutesAgo) => ({
+  Token_Number: TOKEN, TrackRecordID: String(trackId), EventType: 'END',
+  PlayStartUTC: utcAgo(minutesAgo + 4), TimestampUTC: utcAgo(minutesAgo), LastEventUTC: utcAgo(minutesAgo)
+});
+records.set('1', listen(101, 30));
+records.set('2', listen(101, 3000));
+records.set('3', listen(102, 60));
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      const token = String(queries[0]?.Token_Number || '').replace(/^==/, '').replace(/\\(.)/g, '$1');
+      const data = layout === 'Stream_Events' && token
+        ? [...records].filter(([, f]) => f.Token_Number === token).map(([recordId, fieldData]) => ({ recordId, fieldData }))
+        : [];
+      return data.length ? { ok: true, data, total: data.length } : { ok: false, code: '401', data: [], total: 0 };
+    }),
+    fmGetRecordById: vi.fn(async () => null),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(records.size + 1);
+      records.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      records.set(recordId, { ...records.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+let app;
+let fm;
+
+const lookup = (recordIds, token = TOKEN) => {
+  const req = request(app).post('/api/play-counts');
+  return (token ? req.set('X-Access-Token', token) : req).send({ recordIds });
+};
+
+beforeAll(async () => {
+  process.env.PLAY_COUNTS_ENABLED = 'true';
+  process.env.PLAY_COUNTS_PATH = path.join(tmpDir, 'play-counts.db');
+  const mod = await import('../../server.js');
+  app = mod.app;
+  fm = await import('../../fm-client.js');
+  const { tokenValidationCache } = await import('../../cache.js');
+  tokenValidationCache.set(TOKEN, {
+    data: { code: TOKEN, type: 'subscription', expirationDate: null, email: 'plays@example.com', recordId: null },
+    expiresAt: Date.now() + 60_000
+  });
+  const { initPlayCounts } = await import('../../lib/play-counts.js');
+  expect(await initPlayCounts()).toBe(true);
+});
+
+afterAll(async () => {
+  const { stopPlayCounts } = await import('../../lib/play-counts.js');
+  await stopPlayCounts();
+  delete process.env.PLAY_COUNTS_ENABLED;
+  delete process.env.PLAY_COUNTS_PATH;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('/api/play-counts', () => {
+  it('seeds a token from its Stream_Events on the first lookup', async () => {
+    const res = await lookup(['101', '102', '999']);
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(Object.keys(res.body.counts).sort()).toEqual(['101', '102']);
+    expect(res.body.counts['101'].plays).toBe(2);
+    expect(Date.parse(res.body.counts['101'].lastPlayedAt)).toBeGreaterThan(Date.now() - 40 * 60_000);
+
+    const finds = fm.fmFindRecords.mock.calls.length;
+    await lookup(['101']);
+    expect(fm.fmFindRecords.mock.calls.length).toBe(finds);   // seeded once
+  });
+
+  it('counts each new listen from the stream events', async () => {
+    const agent = request.agent(app);
+    const send = (eventType, positionSec) => agent.post('/api/access/stream-events')
+      .set('X-Access-Token', TOKEN)
+      .send({ eventType, trackRecordId: '102', durationSec: 200, positionSec, playbackMode: 'FULL' });
+    expect((await send('PLAY', 0)).status).toBe(200);
+    expect((await send('PROGRESS', 30)).status).toBe(200);   // same listen
+    await vi.waitFor(async () => {
+      expect((await lookup(['102'])).body.counts['102'].plays).toBe(2);
+    });
+  });
+
+  it('requires a token and a bounded batch', async () => {
+    expect((await lookup(['101'], null)).status).toBe(403);
+    expect((await lookup('101')).status).toBe(400);
+    expect((await lookup(Array.from({ length: 201 }, (_, i) => String(i + 1)))).status).toBe(400);
+    expect((await lookup([])).body).toEqual({ ok: true, counts: {} });
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// PLAYLIST_ARRANGE_ENABLED is unset → move / sections / bulk remove /
+// dedupe 404 BEFORE the auth middleware, and the page flag is off.
+let app;
+
+beforeAll(async () => {
+  delete process.env.PLAYLIST_ARRANGE_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Playlist arranging ringfence (flag off)', () => {
+  it.each([
+    ['post', '/api/playlists/pl-1/move'],
+    ['post', '/api/playlists/pl-1/sections'],
+    ['patch', '/api/playlists/pl-1/sections/s-1'],
+    ['delete', '/api/playlists/pl-1/sections/s-1'],
+    ['post', '/api/playlists/pl-1/tracks/remove'],
+    ['post', '/api/playlists/pl-1/tracks/dedupe']
+  ])('404s %s %s before auth', async (method, path) => {
+    const res = await request(app)[method](path);
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('keeps the flag out of the page', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__PLAYLIST_ARRANGE=false');
+  });
+});
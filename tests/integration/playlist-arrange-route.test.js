@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Playlist arranging (PLAYLIST_ARRANGE_ENABLED): moves and new sections need
+// the current version (the FM modId) and 409 with the latest playlist when
+// stale; bulk remove and "remove duplicates" keep dividers in front of the
+// tracks they headed; tracks imported in one batch are still told apart.
+// FileMaker's API_Playlists is an in-memory table whose modId bumps on every
+// write, catalogue records come from `catalogue`; the token cache is pre-seeded.
+const TOKEN = 'MASS-ARRANGE-TEST';
+const EMAIL = 'curator@example.com';
+
+const rows = new Map(); // recordId → { fieldData, modId }
+const catalogue = { 201: 'Imbizo', 202: 'Ushaka', 203: 'Isitimela' }; // recordId → Track Name
+const unexact = (value) => String(value).replace(/^==/, '').replace(/\\(.)/g, '$1');
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      if (layout !== 'API_Playlists') return { ok: false, code: '401', total: 0, data: [] };
+      const data = [...rows].filter(([, row]) => Object.entries(queries[0])
+        .every(([field, value]) => String(row.fieldData[field] ?? '').toLowerCase() === unexact(value).toLowerCase()))
+        .map(([recordId, row]) => ({ recordId, modId: String(row.modId), fieldData: { ...row.fieldData } }));
+      return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', total: 0, data: [] };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (catalogue[recordId]
+      ? { recordId: String(recordId), modId: '1', fieldData: { 'Track Name': catalogue[recordId], 'Album Artist': 'Ladysmith' } }
+      : null)),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(rows.size + 1);
+      rows.set(recordId, { fieldData: { ...fieldData }, modId: 0 });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData, { modId } = {}) => {
+      const row = rows.get(recordId);
+      if (modId && String(row.modId) !== String(modId)) {
+        const err = new Error('FM update failed: Record modification id does not match (306)');
+        err.fmCode = '306';
+        throw err;
+      }
+      row.fieldData = { ...row.fieldData, ...fieldData };
+      row.modId += 1;
+      return { modId: String(row.modId) };
+    })
+  };
+});
+
+let app;
+let playlist;
+const api = (method, path) => request(app)[method](`/api/playlists/${playlist.id}${path}`).set('X-Access-Token', TOKEN);
+const names = (pl) => pl.tracks.map((t) => t.name);
+const track = (n) => ({ name: `Song ${n}`, recordId: String(100 + n), albumTitle: 'Isigqi', albumArtist: 'Phuzekhemisi' });
+
+beforeAll(async () => {
+  process.env.PLAYLIST_ARRANGE_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  tokenValidationCache.set(TOKEN, {
+    data: { code: TOKEN, type: 'subscription', expirationDate: null, email: EMAIL, recordId: null },
+    expiresAt: Date.now() + 60_000
+  });
+  const created = await request(app).post('/api/playlists').set('X-Access-Token', TOKEN).send({ name: 'Umgido set' });
+  playlist = created.body.playlist;
+  playlist = (await api('post', '/tracks/bulk').send({ tracks: [1, 2, 3, 4].map(track) })).body.playlist;
+});
+
+afterAll(() => {
+  delete process.env.PLAYLIST_ARRANGE_ENABLED;
+});
+
+describe('playlist arranging', () => {
+  it('moves a track when the version is current', async () => {
+    expect(playlist.version).toBeGreaterThan(0);
+    const res = await api('post', '/move').send({ items: [playlist.tracks[3].addedAt], before: playlist.tracks[0].addedAt, version: playlist.version });
+    expect(res.status).toBe(200);
+    expect(names(res.body.playlist)).toEqual(['Song 4', 'Song 1', 'Song 2', 'Song 3']);
+    expect(res.body.playlist.version).toBe(playlist.version + 1);
+    playlist = res.body.playlist;
+  });
+
+  it('answers a stale version with 409 and the current playlist', async () => {
+    const res = await api('post', '/move').send({ items: [playlist.tracks[0].addedAt], before: null, version: playlist.version - 1 });
+    expect(res.status).toBe(409);
+    expect(res.body.playlist.version).toBe(playlist.version);
+    expect(names(res.body.playlist)).toEqual(['Song 4', 'Song 1', 'Song 2', 'Song 3']);
+  });
+
+  it('validates moves', async () => {
+    expect((await api('post', '/move').send({ items: [playlist.tracks[0].addedAt] })).status).toBe(400);
+    expect((await api('post', '/move').send({ items: [], version: playlist.version })).status).toBe(400);
+    expect((await api('post', '/move').send({ items: ['nope'], version: playlist.version })).status).toBe(400);
+  });
+
+  it('adds, renames and moves sections', async () => {
+    const added = await api('post', '/sections').send({ title: 'Warm-up', before: playlist.tracks[0].addedAt, version: playlist.version });
+    expect(added.status).toBe(201);
+    expect(added.body.section).toMatchObject({ title: 'Warm-up', position: 0 });
+    const late = await api('post', '/sections').send({ title: 'Late night', version: added.body.playlist.version });
+    expect(late.body.section.position).toBe(4);
+    expect((await api('post', '/sections').send({ title: '<b>', version: late.body.playlist.version })).status).toBe(400);
+
+    const renamed = await api('patch', `/sections/${late.body.section.id}`).send({ title: 'After midnight' });
+    expect(renamed.body.playlist.sections.map((s) => s.title)).toEqual(['Warm-up', 'After midnight']);
+
+    playlist = renamed.body.playlist;
+    const moved = await api('post', '/move').send({ items: [late.body.section.id], before: playlist.tracks[2].addedAt, version: playlist.version });
+    expect(moved.body.playlist.sections.map((s) => s.position)).toEqual([0, 2]);
+    playlist = moved.body.playlist;
+  });
+
+  it('removes several tracks, keeping dividers in front of the survivors', async () => {
+    const res = await api('post', '/tracks/remove').send({ addedAts: [playlist.tracks[1].addedAt, playlist.tracks[2].addedAt] });
+    expect(res.status).toBe(200);
+    expect(res.body.removedCount).toBe(2);
+    expect(names(res.body.playlist)).toEqual(['Song 4', 'Song 3']);
+    expect(res.body.playlist.sections.map((s) => s.position)).toEqual([0, 1]);
+    expect((await api('post', '/tracks/remove').send({ addedAts: ['gone'] })).status).toBe(404);
+    playlist = res.body.playlist;
+  });
+
+  it('removes duplicates, keeping the first of each', async () => {
+    const [recordId, row] = [...rows].find(([, r]) => r.fieldData.Playlist_ID === playlist.id);
+    const tracks = JSON.parse(row.fieldData.Songs_JSON);
+    const repeat = { ...tracks[0], id: 'dup', addedAt: '2026-10-19T09:00:00.000Z' };
+    rows.set(recordId, { ...row, fieldData: { ...row.fieldData, Songs_JSON: JSON.stringify([...tracks, repeat]) } });
+
+    const res = await api('post', '/tracks/dedupe');
+    expect(res.body.removedCount).toBe(1);
+    expect(res.body.removed[0].addedAt).toBe(repeat.addedAt);
+    expect(names(res.body.playlist)).toEqual(['Song 4', 'Song 3']);
+    expect((await api('post', '/tracks/dedupe')).body.removedCount).toBe(0);
+  });
+
+  it('moves and removes single tracks of an imported batch', async () => {
+    const created = await request(app).post('/api/playlists').set('X-Access-Token', TOKEN).send({ name: 'Imported' });
+    const imported = created.body.playlist;
+    const importApi = (method, path) => request(app)[method](`/api/playlists/${imported.id}${path}`).set('X-Access-Token', TOKEN);
+    const code = Buffer.from('201,202,203').toString('base64');
+    let current = (await importApi('post', '/import').send({ code })).body.playlist;
+    expect(names(current)).toEqual(['Imbizo', 'Ushaka', 'Isitimela']);
+    expect(new Set(current.tracks.map((e) => e.addedAt)).size).toBe(3);
+
+    const moved = await importApi('post', '/move').send({ items: [current.tracks[2].addedAt], before: current.tracks[0].addedAt, version: current.version });
+    expect(moved.status).toBe(200);
+    expect(names(moved.body.playlist)).toEqual(['Isitimela', 'Imbizo', 'Ushaka']);
+    current = moved.body.playlist;
+
+    const removed = await importApi('post', '/tracks/remove').send({ addedAts: [current.tracks[1].addedAt] });
+    expect(removed.body.removedCount).toBe(1);
+    expect(names(removed.body.playlist)).toEqual(['Isitimela', 'Ushaka']);
+  });
+
+  it('tells apart tracks an older import stamped with one instant', async () => {
+    const created = await request(app).post('/api/playlists').set('X-Access-Token', TOKEN).send({ name: 'Old import' });
+    const [recordId, row] = [...rows].find(([, r]) => r.fieldData.Playlist_ID === created.body.playlist.id);
+    const at = '2026-09-01T08:00:00.000Z';
+    const legacy = ['Imbizo', 'Ushaka', 'Isitimela'].map((name, i) => ({ trackRecordId: String(201 + i), name, addedAt: at }));
+    rows.set(recordId, { ...row, fieldData: { ...row.fieldData, Songs_JSON: JSON.stringify(legacy) } });
+    const oldApi = (method, path) => request(app)[method](`/api/playlists/${created.body.playlist.id}${path}`).set('X-Access-Token', TOKEN);
+
+    const current = (await request(app).get('/api/playlists').set('X-Access-Token', TOKEN)).body.playlists
+      .find((p) => p.id === created.body.playlist.id);
+    expect(new Set(current.tracks.map((e) => e.addedAt)).size).toBe(3);
+    const removed = await oldApi('post', '/tracks/remove').send({ addedAts: [at] });
+    expect(removed.body.removedCount).toBe(1);
+    expect(names(removed.body.playlist)).toEqual(['Ushaka', 'Isitimela']);
+  });
+
+  it('deletes a section and leaves the tracks alone', async () => {
+    const current = (await request(app).get('/api/playlists').set('X-Access-Token', TOKEN)).body.playlists[0];
+    const res = await api('delete', `/sections/${current.sections[0].id}`);
+    expect(res.body.playlist.sections).toHaveLength(1);
+    expect(names(res.body.playlist)).toEqual(['Song 4', 'Song 3']);
+    expect((await api('delete', `/sections/${current.sections[0].id}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// PLAYLIST_COLLAB_ENABLED is unset → the collaboration paths under
+// /api/playlists 404 BEFORE the auth middleware, while the owner's own
+// playlist routes stay where they were.
+let app;
+
+beforeAll(async () => {
+  delete process.env.PLAYLIST_COLLAB_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Collaborative playlists ringfence (flag off)', () => {
+  it.each([
+    ['get', '/api/playlists/collaborating'],
+    ['get', '/api/playlists/invites'],
+    ['post', '/api/playlists/invites/abc/accept'],
+    ['get', '/api/playlists/pl-1/collaborators'],
+    ['post', '/api/playlists/pl-1/collaborators'],
+    ['get', '/api/playlists/pl-1/changes'],
+    ['post', '/api/playlists/pl-1/changes/c-1/undo']
+  ])('404s %s %s before auth', async (method, path) => {
+    const res = await request(app)[method](path);
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('leaves the playlist routes behind auth', async () => {
+    const res = await request(app).get('/api/playlists');
+    expect(res.status).not.toBe(404);
+  });
+});
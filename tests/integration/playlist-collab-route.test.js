@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Collaborative playlists (PLAYLIST_COLLAB_ENABLED): the owner invites an
+// editor and a viewer, they accept in the app, the editor's adds carry
+// "added by" and land in the change log, the viewer is read-only, and an
+// add / remove can be undone once. FileMaker's playlist, member and change
+// layouts are in-memory tables (exact-match finds only); the token cache is
+// pre-seeded so auth never calls FM.
+const USERS = {
+  owner:  { token: 'MASS-COLLAB-OWNER',  email: 'owner@example.com' },
+  editor: { token: 'MASS-COLLAB-EDITOR', email: 'editor@example.com' },
+  viewer: { token: 'MASS-COLLAB-VIEWER', email: 'viewer@example.com' },
+  other:  { token: 'MASS-COLLAB-OTHER',  email: 'other@example.com' }
+};
+
+const tables = new Map(); // layout → Map(recordId → { fieldData, modId })
+let nextRecordId = 1;
+const table = (layout) => tables.get(layout) || tables.set(layout, new Map()).get(layout);
+const unexact = (value) => String(value).replace(/^==/, '').replace(/\\(.)/g, '$1');
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries, { limit } = {}) => {
+      const rows = [...table(layout)].filter(([, row]) => Object.entries(queries[0])
+        .every(([field, value]) => String(row.fieldData[field] ?? '').toLowerCase() === unexact(value).toLowerCase()));
+      const data = rows.slice(0, limit || rows.length)
+        .map(([recordId, row]) => ({ recordId, modId: String(row.modId), fieldData: { ...row.fieldData } }));
+      return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', total: 0, data: [] };
+    }),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(nextRecordId++);
+      table(layout).set(recordId, { fieldData: { ...fieldData }, modId: 0 });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData, { modId } = {}) => {
+      const row = table(layout).get(recordId);
+      if (modId && String(row.modId) !== String(modId)) {
+        const err = new Error('FM update failed: Record modification id does not match (306)');
+        err.fmCode = '306';
+        throw err;
+      }
+      row.fieldData = { ...row.fieldData, ...fieldData };
+      row.modId += 1;
+      return { modId: String(row.modId) };
+    }),
+    fmDeleteRecord: vi.fn(async (layout, recordId) => { table(layout).delete(recordId); return {}; })
+  };
+});
+
+let app;
+let playlistId;
+const as = (who, method, path) => request(app)[method](`/api/playlists${path}`).set('X-Access-Token', USERS[who].token);
+const track = (n) => ({ name: `Song ${n}`, recordId: String(100 + n), albumTitle: 'Umshado', albumArtist: 'Shwi' });
+
+beforeAll(async () => {
+  process.env.PLAYLIST_COLLAB_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const { token, email } of Object.values(USERS)) {
+    tokenValidationCache.set(token, {
+      data: { code: token, type: 'subscription', expirationDate: null, email, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+  const created = await as('owner', 'post', '').send({ name: 'Wedding Maskandi' });
+  playlistId = created.body.playlist.id;
+});
+
+afterAll(() => {
+  delete process.env.PLAYLIST_COLLAB_ENABLED;
+});
+
+describe('collaborative playlists', () => {
+  it('lets only the owner invite, with a valid email and role', async () => {
+    expect((await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: 'nope' })).status).toBe(400);
+    expect((await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: USERS.editor.email, role: 'admin' })).status).toBe(400);
+    expect((await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: USERS.owner.email })).status).toBe(400);
+    expect((await as('other', 'post', `/${playlistId}/collaborators`).send({ email: USERS.editor.email })).status).toBe(404);
+  });
+
+  it('invites an editor and a viewer (the invite stands without email)', async () => {
+    const editor = await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: 'Editor@Example.com' });
+    expect(editor.status).toBe(201);
+    expect(editor.body.member).toMatchObject({ email: USERS.editor.email, role: 'editor', status: 'invited', invitedBy: USERS.owner.email });
+    expect(editor.body.emailed).toBe(false);
+    const viewer = await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: USERS.viewer.email, role: 'viewer' });
+    expect(viewer.status).toBe(201);
+    expect((await as('owner', 'post', `/${playlistId}/collaborators`).send({ email: USERS.viewer.email })).status).toBe(409);
+  });
+
+  it('keeps the playlist closed until the invite is accepted', async () => {
+    expect((await as('editor', 'get', `/${playlistId}`)).status).toBe(404);
+    expect((await as('editor', 'post', `/${playlistId}/tracks`).send({ track: track(1) })).status).toBe(404);
+  });
+
+  it('lists the invite for the invitee only, and accepts it', async () => {
+    const invites = await as('editor', 'get', '/invites');
+    expect(invites.body.invites).toHaveLength(1);
+    expect(invites.body.invites[0].playlist).toMatchObject({ id: playlistId, name: 'Wedding Maskandi' });
+    const inviteId = invites.body.invites[0].id;
+    expect((await as('other', 'post', `/invites/${inviteId}/accept`)).status).toBe(404);
+
+    const accepted = await as('editor', 'post', `/invites/${inviteId}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.member.status).toBe('active');
+    expect((await as('editor', 'get', '/collaborating')).body.playlists.map((p) => [p.id, p.role])).toEqual([[playlistId, 'editor']]);
+
+    const viewerInvite = (await as('viewer', 'get', '/invites')).body.invites[0];
+    expect((await as('viewer', 'post', `/invites/${viewerInvite.id}/accept`)).status).toBe(200);
+  });
+
+  it('lets the editor add tracks, stamped with who added them', async () => {
+    const res = await as('editor', 'post', `/${playlistId}/tracks`).send({ track: track(1) });
+    expect(res.status).toBe(201);
+    expect(res.body.track.addedBy).toBe(USERS.editor.email);
+    const bulk = await as('owner', 'post', `/${playlistId}/tracks/bulk`).send({ tracks: [track(2), track(3)] });
+    expect(bulk.status).toBe(201);
+    const view = await as('viewer', 'get', `/${playlistId}`);
+    expect(view.body.role).toBe('viewer');
+    expect(view.body.playlist.tracks.map((t) => t.name)).toEqual(['Song 1', 'Song 2', 'Song 3']);
+  });
+
+  it('keeps the viewer read-only', async () => {
+    const res = await as('viewer', 'post', `/${playlistId}/tracks`).send({ track: track(4) });
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/view this playlist but not change it/);
+    const addedAt = (await as('viewer', 'get', `/${playlistId}`)).body.playlist.tracks[0].addedAt;
+    expect((await as('viewer', 'delete', `/${playlistId}/tracks/${encodeURIComponent(addedAt)}`)).status).toBe(403);
+  });
+
+  it('logs every add and remove, newest first', async () => {
+    const { tracks } = (await as('editor', 'get', `/${playlistId}`)).body.playlist;
+    expect((await as('editor', 'delete', `/${playlistId}/tracks/${encodeURIComponent(tracks[0].addedAt)}`)).status).toBe(200);
+    const { changes } = (await as('viewer', 'get', `/${playlistId}/changes`)).body;
+    expect(changes.map((c) => [c.action, c.actor, c.entries.length])).toEqual([
+      ['remove', USERS.editor.email, 1],
+      ['add', USERS.owner.email, 2],
+      ['add', USERS.editor.email, 1]
+    ]);
+    expect(changes[0].entries[0]).toMatchObject({ name: 'Song 1', position: 0 });
+  });
+
+  it('undoes a remove and a bulk add, each once', async () => {
+    const [removal, bulkAdd] = (await as('editor', 'get', `/${playlistId}/changes`)).body.changes;
+    expect((await as('viewer', 'post', `/${playlistId}/changes/${removal.id}/undo`)).status).toBe(403);
+
+    const undone = await as('editor', 'post', `/${playlistId}/changes/${removal.id}/undo`);
+    expect(undone.status).toBe(200);
+    expect(undone.body.playlist.tracks.map((t) => t.name)).toEqual(['Song 1', 'Song 2', 'Song 3']);
+    expect((await as('editor', 'post', `/${playlistId}/changes/${removal.id}/undo`)).status).toBe(409);
+
+    const unadded = await as('owner', 'post', `/${playlistId}/changes/${bulkAdd.id}/undo`);
+    expect(unadded.body.reverted).toBe(2);
+    expect(unadded.body.playlist.tracks.map((t) => t.name)).toEqual(['Song 1']);
+
+    const { changes } = (await as('owner', 'get', `/${playlistId}/changes`)).body;
+    expect(changes.find((c) => c.id === removal.id).undoneBy).toBeTruthy();
+    expect(changes.filter((c) => c.action === 'undo')).toHaveLength(2);
+    expect((await as('owner', 'post', `/${playlistId}/changes/${changes[0].id}/undo`)).status).toBe(400);
+  });
+
+  it('does not log a remove that a concurrent edit got to first', async () => {
+    const { fmUpdateRecord } = await import('../../fm-client.js');
+    const [{ addedAt }] = (await as('editor', 'get', `/${playlistId}`)).body.playlist.tracks;
+    const before = (await as('owner', 'get', `/${playlistId}/changes`)).body.changes.length;
+    // The owner's remove lands between the editor's read and write (FM 306).
+    fmUpdateRecord.mockImplementationOnce(async (layout, recordId) => {
+      const row = table(layout).get(recordId);
+      row.fieldData = { ...row.fieldData, Songs_JSON: '[]' };
+      row.modId += 1;
+      throw Object.assign(new Error('FM update failed: Record modification id does not match (306)'), { fmCode: '306' });
+    });
+    const res = await as('editor', 'delete', `/${playlistId}/tracks/${encodeURIComponent(addedAt)}`);
+    expect(res.status).toBe(404);
+    expect((await as('owner', 'get', `/${playlistId}/changes`)).body.changes).toHaveLength(before);
+  });
+
+  it('leaves owner-only actions with the owner', async () => {
+    expect((await as('editor', 'delete', `/${playlistId}`)).status).toBe(404);
+    const { members } = (await as('editor', 'get', `/${playlistId}/collaborators`)).body;
+    const viewer = members.find((m) => m.email === USERS.viewer.email);
+    expect((await as('editor', 'patch', `/${playlistId}/collaborators/${viewer.id}`).send({ role: 'editor' })).status).toBe(403);
+    expect((await as('editor', 'delete', `/${playlistId}/collaborators/${viewer.id}`)).status).toBe(403);
+
+    const promoted = await as('owner', 'patch', `/${playlistId}/collaborators/${viewer.id}`).send({ role: 'editor' });
+    expect(promoted.body.member.role).toBe('editor');
+    expect((await as('viewer', 'post', `/${playlistId}/tracks`).send({ track: track(5) })).status).toBe(201);
+  });
+
+  it('lets a collaborator leave', async () => {
+    const { members } = (await as('viewer', 'get', `/${playlistId}/collaborators`)).body;
+    const me = members.find((m) => m.email === USERS.viewer.email);
+    expect((await as('viewer', 'delete', `/${playlistId}/collaborators/${me.id}`)).status).toBe(200);
+    expect((await as('viewer', 'get', `/${playlistId}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// PLAYLIST_FILES_ENABLED is unset → file export and import matching 404
+// BEFORE the auth middleware; the base64 export / import are untouched.
+let app;
+
+beforeAll(async () => {
+  delete process.env.PLAYLIST_FILES_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Playlist files ringfence (flag off)', () => {
+  it.each([
+    ['get', '/api/playlists/pl-1/export/m3u8'],
+    ['get', '/api/playlists/pl-1/export/csv'],
+    ['post', '/api/playlists/pl-1/import/match']
+  ])('404s %s %s before auth', async (method, path) => {
+    const res = await request(app)[method](path);
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('leaves the base64 export behind auth as before', async () => {
+    const res = await request(app).get('/api/playlists/pl-1/export');
+    expect(res.status).toBe(403);
+  });
+});
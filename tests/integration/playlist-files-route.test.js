@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Playlist files (PLAYLIST_FILES_ENABLED): export a playlist as CSV / M3U8
+// with catalogue ISRC and length, read our own export back exactly, and match
+// a plain list from elsewhere by ISRC and fuzzy title / artist into a
+// matched / ambiguous / missing review. FileMaker is in-memory: exact (==)
+// and contains (*word*) finds, ORed across requests; the token cache is
+// pre-seeded so auth never calls FM.
+const USERS = {
+  owner: { token: 'MASS-FILES-OWNER', email: 'owner@example.com' },
+  other: { token: 'MASS-FILES-OTHER', email: 'other@example.com' }
+};
+
+const tables = new Map(); // layout → Map(recordId → { fieldData, modId })
+let nextRecordId = 1;
+const table = (layout) => tables.get(layout) || tables.set(layout, new Map()).get(layout);
+const unescape = (value) => String(value).replace(/\\(.)/g, '$1');
+
+function fieldMatches(actual, wanted) {
+  const have = String(actual ?? '').toLowerCase();
+  if (wanted.startsWith('==')) return have === unescape(wanted.slice(2)).toLowerCase();
+  return wanted.split(/\s+/).every((token) => have.includes(token.replace(/^\*|\*$/g, '').toLowerCase()));
+}
+
+const AUDIO = 'https://mad-audio.s3.amazonaws.com/tracks';
+const CATALOGUE = {
+  201: { 'Track Name': 'Pata Pata', 'Track Artist': 'Miriam Makeba', 'Album Artist': 'Miriam Makeba', 'Album Title': 'Pata Pata', ISRC: 'USRE16700001', Duration: '00:03:00', S3_URL: `${AUDIO}/201.mp3` },
+  202: { 'Track Name': 'Homeless', 'Track Artist': 'Ladysmith Black Mambazo', 'Album Artist': 'Ladysmith Black Mambazo', 'Album Title': 'Shaka Zulu', Duration: '00:03:48', S3_URL: `${AUDIO}/202.mp3` },
+  203: { 'Track Name': 'Weekend Special', 'Track Artist': 'Brenda Fassie', 'Album Artist': 'Brenda Fassie', 'Album Title': 'Weekend Special', Duration: '00:04:10', S3_URL: `${AUDIO}/203.mp3` },
+  204: { 'Track Name': 'Weekend Special', 'Track Artist': 'Brenda Fassie', 'Album Artist': 'Brenda Fassie', 'Album Title': 'The Best of Brenda', Duration: '00:04:12', S3_URL: `${AUDIO}/204.mp3` },
+  205: { 'Track Name': 'Malaika', 'Track Artist': 'Miriam Makeba', 'Album Artist': 'Miriam Makeba', 'Album Title': 'Pata Pata', Duration: '00:03:10' } // no audio
+};
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries, { limit } = {}) => {
+      const rows = [...table(layout)].filter(([, row]) => queries.some((query) => Object.entries(query)
+        .every(([field, value]) => fieldMatches(row.fieldData[field], String(value)))));
+      const data = rows.slice(0, limit || rows.length)
+        .map(([recordId, row]) => ({ recordId, modId: String(row.modId), fieldData: { ...row.fieldData } }));
+      return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', total: 0, data: [] };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => {
+      const row = table(layout).get(String(recordId));
+      return row ? { recordId: String(recordId), modId: String(row.modId), fieldData: { ...row.fieldData } } : null;
+    }),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(nextRecordId++);
+      table(layout).set(recordId, { fieldData: { ...fieldData }, modId: 0 });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      const row = table(layout).get(recordId);
+      row.fieldData = { ...row.fieldData, ...fieldData };
+      row.modId += 1;
+      return { modId: String(row.modId) };
+    }),
+    fmDeleteRecord: vi.fn(async (layout, recordId) => { table(layout).delete(recordId); return {}; })
+  };
+});
+
+let app;
+let playlistId;
+const as = (who, method, path) => request(app)[method](`/api/playlists${path}`).set('X-Access-Token', USERS[who].token);
+const byInput = (rows, title) => rows.find((r) => r.input.title === title);
+
+beforeAll(async () => {
+  process.env.PLAYLIST_FILES_ENABLED = 'true';
+  for (const [recordId, fieldData] of Object.entries(CATALOGUE)) {
+    table('API_Album_Songs').set(recordId, { fieldData, modId: 1 });
+  }
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const { token, email } of Object.values(USERS)) {
+    tokenValidationCache.set(token, {
+      data: { code: token, type: 'subscription', expirationDate: null, email, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+  const created = await as('owner', 'post', '').send({ name: 'Sunday Vinyl: Side A' });
+  playlistId = created.body.playlist.id;
+  await as('owner', 'post', `/${playlistId}/tracks/bulk`).send({ tracks: [
+    { recordId: '201', name: 'Pata Pata', albumTitle: 'Pata Pata', albumArtist: 'Miriam Makeba', trackArtist: 'Miriam Makeba' },
+    { recordId: '202', name: 'Homeless', albumTitle: 'Shaka Zulu', albumArtist: 'Ladysmith Black Mambazo' }
+  ] });
+});
+
+afterAll(() => {
+  delete process.env.PLAYLIST_FILES_ENABLED;
+});
+
+describe('playlist file export', () => {
+  it('downloads a CSV with the catalogue ISRC and length', async () => {
+    const res = await as('owner', 'get', `/${playlistId}/export/csv`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toContain('attachment; filename="Sunday Vinyl Side A.csv"');
+    expect(res.text.split('\r\n')).toEqual([
+      'Title,Artist,Album,ISRC,Duration (s),Record ID',
+      'Pata Pata,Miriam Makeba,Pata Pata,USRE16700001,180,201',
+      'Homeless,Ladysmith Black Mambazo,Shaka Zulu,,228,202',
+      ''
+    ]);
+  });
+
+  it('refuses unknown formats and other listeners', async () => {
+    expect((await as('owner', 'get', `/${playlistId}/export/wpl`)).status).toBe(400);
+    expect((await as('other', 'get', `/${playlistId}/export/m3u8`)).status).toBe(404);
+  });
+});
+
+describe('playlist file import matching', () => {
+  it('matches our own export exactly and flags tracks already in the playlist', async () => {
+    const file = await as('owner', 'get', `/${playlistId}/export/m3u8`).buffer(true).parse((r, done) => {
+      let body = '';
+      r.on('data', (chunk) => { body += chunk; });
+      r.on('end', () => done(null, body));
+    });
+    expect(file.headers['content-type']).toMatch(/^audio\/x-mpegurl/);
+    const res = await as('owner', 'post', `/${playlistId}/import/match`).send({ content: file.body });
+    expect(res.status).toBe(200);
+    expect(res.body.format).toBe('m3u8');
+    expect(res.body.summary).toEqual({ total: 2, matched: 2, ambiguous: 0, missing: 0 });
+    expect(res.body.rows.map((r) => [r.via, r.match.recordId, r.match.duplicate])).toEqual([['id', '201', true], ['id', '202', true]]);
+  });
+
+  it('matches a list from elsewhere by ISRC, then fuzzy title / artist', async () => {
+    const content = [
+      'Title,Artist,ISRC',
+      'Pata Pata (1967 Mono),Makeba,US-RE1-67-00001',
+      'Homeless,Ladysmith Black Mambaza,',
+      'Weekend Special,Brenda Fassie,',
+      'Malaika,Miriam Makeba,',
+      'Ntyilo Ntyilo,Dorothy Masuka,'
+    ].join('\n');
+    const res = await as('owner', 'post', `/${playlistId}/import/match`).send({ content });
+    expect(res.status).toBe(200);
+    expect(res.body.format).toBe('csv');
+    expect(res.body.summary).toEqual({ total: 5, matched: 2, ambiguous: 1, missing: 2 });
+    const { rows } = res.body;
+
+    expect(byInput(rows, 'Pata Pata (1967 Mono)')).toMatchObject({ status: 'matched', via: 'isrc', match: { recordId: '201' } });
+    const homeless = byInput(rows, 'Homeless');
+    expect(homeless).toMatchObject({ status: 'matched', via: 'name', match: { recordId: '202', duplicate: true } });
+    expect(homeless.match.track).toMatchObject({ recordId: '202', name: 'Homeless', mp3: `${AUDIO}/202.mp3`, audioField: 'S3_URL' });
+
+    const weekend = byInput(rows, 'Weekend Special');
+    expect(weekend.status).toBe('ambiguous');
+    expect(weekend.candidates.map((c) => c.recordId).sort()).toEqual(['203', '204']);
+    expect(weekend.candidates[0].track.recordId).toBeTruthy();
+
+    // Malaika has no playable audio, Ntyilo Ntyilo isn't in the catalogue.
+    expect(byInput(rows, 'Malaika')).toMatchObject({ status: 'missing', match: null, candidates: [] });
+    expect(byInput(rows, 'Ntyilo Ntyilo').status).toBe('missing');
+  });
+
+  it('adds the picked rows through the bulk endpoint', async () => {
+    const content = 'Brenda Fassie - Weekend Special\n';
+    const { rows } = (await as('owner', 'post', `/${playlistId}/import/match`).send({ content, format: 'text' })).body;
+    const picked = rows[0].candidates.find((c) => c.album === 'Weekend Special');
+    const added = await as('owner', 'post', `/${playlistId}/tracks/bulk`).send({ tracks: [picked.track] });
+    expect(added.status).toBe(201);
+    expect(added.body.playlist.tracks.map((t) => t.trackRecordId)).toEqual(['201', '202', '203']);
+  });
+
+  it('validates the upload and the playlist', async () => {
+    expect((await as('owner', 'post', `/${playlistId}/import/match`).send({})).status).toBe(400);
+    expect((await as('owner', 'post', `/${playlistId}/import/match`).send({ content: 'x - y', format: 'wpl' })).status).toBe(400);
+    expect((await as('owner', 'post', `/${playlistId}/import/match`).send({ content: '#EXTM3U\n' })).body.error)
+      .toBe('No tracks found in the file');
+    expect((await as('other', 'post', `/${playlistId}/import/match`).send({ content: 'x - y' })).status).toBe(404);
+  });
+});
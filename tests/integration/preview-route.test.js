@@ -14,6 +14,7 @@ let app;
 let fixtureServer;
 let fixtureUrl;
 let mp3;
+let framed;
 
 function buildMp3(size) {
   const buf = Buffer.alloc(size);
@@ -22,23 +23,36 @@ function buildMp3(size) {
   return buf;
 }
 
+// Same stream, but with a real header on every 417-byte frame so the offset
+// window can snap onto a frame boundary.
+const FRAME_LEN = 417;
+function buildFramedMp3(size) {
+  const buf = Buffer.alloc(size);
+  for (let i = 0; i + 4 <= size; i += FRAME_LEN) {
+    buf[i] = 0xff; buf[i + 1] = 0xfb; buf[i + 2] = 0x90; buf[i + 3] = 0x00;
+  }
+  return buf;
+}
+
 beforeAll(async () => {
   mp3 = buildMp3(FILE_SIZE);
+  framed = buildFramedMp3(FILE_SIZE);
   fixtureServer = http.createServer((req, res) => {
+    const body = req.url.startsWith('/framed.mp3') ? framed : mp3;
     const m = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
     if (m) {
       const start = parseInt(m[1], 10);
-      const end = Math.min(m[2] ? parseInt(m[2], 10) : mp3.length - 1, mp3.length - 1);
+      const end = Math.min(m[2] ? parseInt(m[2], 10) : body.length - 1, body.length - 1);
       res.writeHead(206, {
         'Content-Type': 'audio/mpeg',
         'Content-Length': end - start + 1,
-        'Content-Range': `bytes ${start}-${end}/${mp3.length}`,
+        'Content-Range': `bytes ${start}-${end}/${body.length}`,
         'Accept-Ranges': 'bytes'
       });
-      res.end(mp3.subarray(start, end + 1));
+      res.end(body.subarray(start, end + 1));
     } else {
-      res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': mp3.length });
-      res.end(mp3);
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': body.length });
+      res.end(body);
     }
   });
   await new Promise((resolve) => fixtureServer.listen(0, '127.0.0.1', resolve));
@@ -52,6 +66,10 @@ beforeAll(async () => {
   const { containerUrlCache } = await import('../../cache.js');
   const { FM_LAYOUT } = await import('../../lib/fm-fields.js');
   containerUrlCache.set(`${FM_LAYOUT}::777001`, { url: fixtureUrl, field: 'S3_URL', artworkUrl: '' });
+  const framedUrl = fixtureUrl.replace('track.mp3', 'framed.mp3');
+  containerUrlCache.set(`${FM_LAYOUT}::777002`, { url: framedUrl, field: 'S3_URL', artworkUrl: '', previewStartSec: 5 });
+  // 600 KiB at 16 000 B/s ≈ 38 s: a 20 s start would overrun, so it clamps to 8 s.
+  containerUrlCache.set(`${FM_LAYOUT}::777003`, { url: `${framedUrl}?late`, field: 'S3_URL', artworkUrl: '', previewStartSec: 20 });
 });
 
 afterAll(async () => {
@@ -113,6 +131,83 @@ describe('GET /api/preview/:recordId (GUEST_PREVIEW_ENABLED)', () => {
     expect(res.body.length).toBe(PREVIEW_CAP - 470000);
   });
 
+  it('serves a suffix Range from the end of the PREVIEW, not the file', async () => {
+    const res = await request(app)
+      .get('/api/preview/777001')
+      .set('Range', 'bytes=-1000')
+      .buffer(true)
+      .parse((res2, cb) => {
+        const chunks = [];
+        res2.on('data', (c) => chunks.push(c));
+        res2.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes ${PREVIEW_CAP - 1000}-${PREVIEW_CAP - 1}/${PREVIEW_CAP}`);
+    expect(res.body.length).toBe(1000);
+  });
+
+  it('coalesces a multi-range request into one in-window 206', async () => {
+    const res = await request(app)
+      .get('/api/preview/777001')
+      .set('Range', `bytes=0-99, 200-299, ${PREVIEW_CAP + 5}-`);
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes 0-299/${PREVIEW_CAP}`);
+    expect(res.headers['content-type']).toContain('audio/mpeg');
+  });
+
+  it('honours If-Range with the current ETag and ignores the Range otherwise', async () => {
+    const first = await request(app).head('/api/preview/777001');
+    const etag = first.headers.etag;
+    expect(etag).toBeTruthy();
+
+    const resumed = await request(app)
+      .get('/api/preview/777001')
+      .set('Range', 'bytes=1000-1999')
+      .set('If-Range', etag);
+    expect(resumed.status).toBe(206);
+
+    const stale = await request(app)
+      .head('/api/preview/777001')
+      .set('Range', 'bytes=1000-1999')
+      .set('If-Range', '"some-older-clip"');
+    expect(stale.status).toBe(200);
+    expect(Number(stale.headers['content-length'])).toBe(PREVIEW_CAP);
+  });
+
+  it('answers HEAD with the capped size and range headers', async () => {
+    const res = await request(app)
+      .head('/api/preview/777001')
+      .set('Range', 'bytes=0-1');
+    expect(res.status).toBe(206);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-range']).toBe(`bytes 0-1/${PREVIEW_CAP}`);
+  });
+
+  it('starts an offset preview on the first frame boundary at the start second', async () => {
+    const res = await request(app)
+      .get('/api/preview/777002')
+      .buffer(true)
+      .parse((res2, cb) => {
+        const chunks = [];
+        res2.on('data', (c) => chunks.push(c));
+        res2.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['x-preview-start']).toBe('5');
+    expect(res.body.length).toBe(PREVIEW_CAP);
+    // 5 s ≈ byte 80 000 → next frame header at 80 064.
+    const offset = Math.ceil((16000 * 5) / FRAME_LEN) * FRAME_LEN;
+    expect(res.body.subarray(0, 4)).toEqual(framed.subarray(offset, offset + 4));
+    expect(res.body.equals(framed.subarray(offset, offset + PREVIEW_CAP))).toBe(true);
+  });
+
+  it('pulls a start offset back so the window never runs off the end', async () => {
+    const res = await request(app).head('/api/preview/777003');
+    expect(res.status).toBe(200);
+    expect(res.headers['x-preview-start']).toBe('8');
+    expect(Number(res.headers['content-length'])).toBe(PREVIEW_CAP);
+  });
+
   it('errors cleanly on an unknown recordId (no audio bytes leak)', async () => {
     // Not seeded → falls through to FM. With dummy test creds FM is
     // unreachable → 502; against real FM a missing record is a 404.
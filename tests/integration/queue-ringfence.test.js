@@ -0,0 +1,27 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// QUEUE_SYNC_ENABLED is unset → /api/queue 404s BEFORE the auth middleware
+// (same fence pattern as hls/preview/podcasts), so a stale client probing it
+// never trips the token wall.
+let app;
+
+beforeAll(async () => {
+  delete process.env.QUEUE_SYNC_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('queue sync ringfence (flag off)', () => {
+  it('404s every /api/queue path before auth', async () => {
+    expect((await request(app).get('/api/queue')).status).toBe(404);
+    const res = await request(app).patch('/api/queue/position').send({});
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__QUEUE_SYNC=false');
+  });
+});
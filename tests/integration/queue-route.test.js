@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Cross-device queue (/api/queue, QUEUE_SYNC_ENABLED): save on one device,
+// read + claim on another, and the old device's position writes bounce with
+// 409 once it no longer owns the queue. FileMaker's API_Queue layout is an
+// in-memory table; the token cache is pre-seeded so auth never calls FM.
+const TOKEN = 'MASS-QUEUE-TEST';
+const EMAIL = 'queue.listener@example.com';
+const LAPTOP = 'laptop-device-0001';
+const PHONE = 'phone-device-0002';
+
+const queueRows = new Map(); // recordId → fieldData
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      if (layout !== 'API_Queue') return { ok: true, total: 0, data: [] };
+      const email = String(queries[0]['User_Email']).replace(/^==/, '').replace(/\\(.)/g, '$1');
+      const data = [...queueRows].filter(([, f]) => f.User_Email === email)
+        .map(([recordId, fieldData]) => ({ recordId, fieldData }));
+      return { ok: true, total: data.length, data };
+    }),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(queueRows.size + 1);
+      queueRows.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      if (layout === 'API_Queue') queueRows.set(recordId, { ...queueRows.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+let app;
+const items = [
+  { recordId: '101', title: 'Pata Pata', artist: 'Miriam Makeba', album: 'Pata Pata', artwork: '' },
+  { recordId: '102', title: 'Mbube', artist: 'Solomon Linda', album: 'Mbube', artwork: '', url: 'https://example.com/leak.mp3' }
+];
+
+const api = (method, path) => request(app)[method](`/api/queue${path}`).set('X-Access-Token', TOKEN);
+
+beforeAll(async () => {
+  process.env.QUEUE_SYNC_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  tokenValidationCache.set(TOKEN, {
+    data: { code: TOKEN, type: 'subscription', expirationDate: null, email: EMAIL, recordId: null },
+    expiresAt: Date.now() + 60_000
+  });
+});
+
+describe('/api/queue', () => {
+  it('starts empty', async () => {
+    const res = await api('get', '');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, queue: null });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  it('rejects a save without a device id or with a bad recordId', async () => {
+    expect((await api('post', '').send({ items })).status).toBe(400);
+    const bad = await api('post', '').send({ deviceId: LAPTOP, items: [{ recordId: 'x1' }] });
+    expect(bad.status).toBe(400);
+  });
+
+  it('saves a queue owned by the sending device, without any audio URLs', async () => {
+    const res = await api('post', '').send({ deviceId: LAPTOP, deviceName: 'Mac', items, currentIndex: 1, positionSec: 12.34, context: { name: 'Pata Pata', kind: 'album' } });
+    expect(res.status).toBe(200);
+    expect(res.body.queue).toMatchObject({ currentIndex: 1, positionSec: 12.3, deviceId: LAPTOP, deviceName: 'Mac', version: 1 });
+    expect(res.body.queue.items[1]).not.toHaveProperty('url');
+    const again = await api('get', '');
+    expect(again.body.queue.items.map((i) => i.recordId)).toEqual(['101', '102']);
+  });
+
+  it('accepts position updates from the owner', async () => {
+    const res = await api('patch', '/position').send({ deviceId: LAPTOP, currentIndex: 0, positionSec: 61 });
+    expect(res.status).toBe(200);
+    const { body } = await api('get', '');
+    expect(body.queue).toMatchObject({ currentIndex: 0, positionSec: 61 });
+  });
+
+  it('hands the queue to another device on claim; the old owner gets 409', async () => {
+    const claim = await api('post', '/claim').send({ deviceId: PHONE, deviceName: 'iPhone' });
+    expect(claim.status).toBe(200);
+    expect(claim.body.queue).toMatchObject({ deviceId: PHONE, currentIndex: 0, positionSec: 61 });
+
+    const stale = await api('patch', '/position').send({ deviceId: LAPTOP, currentIndex: 1, positionSec: 5 });
+    expect(stale.status).toBe(409);
+    expect(stale.body.deviceName).toBe('iPhone');
+
+    const { body } = await api('get', '');
+    expect(body.queue).toMatchObject({ deviceId: PHONE, currentIndex: 0, positionSec: 61 });
+  });
+
+  it('clears the queue', async () => {
+    expect((await api('delete', '')).status).toBe(200);
+    expect((await api('get', '')).body.queue).toBeNull();
+    expect((await api('post', '/claim').send({ deviceId: PHONE })).status).toBe(404);
+  });
+
+  it('is stamped on for the client', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__QUEUE_SYNC=true');
+  });
+});
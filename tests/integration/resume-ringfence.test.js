@@ -0,0 +1,27 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// RESUME_POINTS_ENABLED is unset → /api/resume 404s BEFORE the auth
+// middleware (same fence pattern as queue/offline), so a stale client probing
+// it never trips the token wall.
+let app;
+
+beforeAll(async () => {
+  delete process.env.RESUME_POINTS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('resume points ringfence (flag off)', () => {
+  it('404s every /api/resume path before auth', async () => {
+    expect((await request(app).get('/api/resume')).status).toBe(404);
+    const res = await request(app).post('/api/resume').send({});
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__RESUME_POINTS=false');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Resume points (/api/resume, RESUME_POINTS_ENABLED): report a long episode's
+// position, read it back, mark it finished at END, forget it. FileMaker's
+// API_Resume layout is an in-memory table; the token cache is pre-seeded so
+// auth never calls FM.
+const TOKEN = 'MASS-RESUME-TEST';
+const EMAIL = 'resume.listener@example.com';
+const HOUR = 3600;
+
+const resumeRows = new Map(); // recordId → fieldData
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries) => {
+      if (layout !== 'API_Resume') return { ok: true, total: 0, data: [] };
+      const email = String(queries[0]['User_Email']).replace(/^==/, '').replace(/\\(.)/g, '$1');
+      const data = [...resumeRows].filter(([, f]) => f.User_Email === email)
+        .map(([recordId, fieldData]) => ({ recordId, fieldData }));
+      return { ok: true, total: data.length, data };
+    }),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(resumeRows.size + 1);
+      resumeRows.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      if (layout === 'API_Resume') resumeRows.set(recordId, { ...resumeRows.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+let app;
+
+const api = (method, path) => request(app)[method](`/api/resume${path}`).set('X-Access-Token', TOKEN);
+
+beforeAll(async () => {
+  process.env.RESUME_POINTS_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  tokenValidationCache.set(TOKEN, {
+    data: { code: TOKEN, type: 'subscription', expirationDate: null, email: EMAIL, recordId: null },
+    expiresAt: Date.now() + 60_000
+  });
+});
+
+describe('/api/resume', () => {
+  it('starts empty and is never cached', async () => {
+    const res = await api('get', '');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, items: [] });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  it('refuses short items', async () => {
+    const res = await api('post', '').send({ kind: 'track', id: '101', positionSec: 60, durationSec: 180 });
+    expect(res.status).toBe(400);
+  });
+
+  it('remembers where a long episode stopped', async () => {
+    const res = await api('post', '').send({ kind: 'episode', id: '55', positionSec: 2052, durationSec: 1.2 * HOUR, title: 'Vault Sessions 4' });
+    expect(res.status).toBe(200);
+    await api('post', '').send({ kind: 'track', id: '55', positionSec: 900, durationSec: HOUR });
+    const { body } = await api('get', '');
+    expect(body.items.map((p) => [p.kind, p.id, p.positionSec, p.finished])).toEqual([
+      ['track', '55', 900, false],
+      ['episode', '55', 2052, false]
+    ]);
+  });
+
+  it('marks the episode finished once it ends', async () => {
+    await api('post', '').send({ kind: 'episode', id: '55', positionSec: 1.2 * HOUR, durationSec: 1.2 * HOUR, finished: true });
+    const { body } = await api('get', '');
+    expect(body.items[0]).toMatchObject({ kind: 'episode', id: '55', positionSec: 0, finished: true });
+    expect(body.items).toHaveLength(2);
+  });
+
+  it('forgets an item', async () => {
+    expect((await api('delete', '/track/55')).status).toBe(200);
+    expect((await api('delete', '/album/55')).status).toBe(400);
+    const { body } = await api('get', '');
+    expect(body.items.map((p) => p.kind)).toEqual(['episode']);
+  });
+
+  it('is stamped on for the client', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__RESUME_POINTS=true');
+  });
+});
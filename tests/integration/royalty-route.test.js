@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Royalty statements (/api/royalty/report): admin key only, closed periods
+// only, JSON / CSV / DSR renderings of the same rows with a stable checksum.
+// Stream_Events and the catalogue are in-memory stand-ins for FileMaker.
+const ADMIN = process.env.ADMIN_SECRET;
+
+const streamEvents = [
+  { TrackRecordID: '11', TrackISRC: 'ZAGAL3900001', PlayStartUTC: '09/03/2026 08:00:00', TotalPlayedSec: 180, PlaybackMode: 'FULL', Email: 'a@x.com' },
+  { TrackRecordID: '11', TrackISRC: 'ZAGAL3900001', PlayStartUTC: '09/04/2026 08:00:00', TotalPlayedSec: 45, PlaybackMode: 'FULL', Email: 'b@x.com' },
+  { TrackRecordID: '11', TrackISRC: 'ZAGAL3900001', PlayStartUTC: '09/04/2026 09:00:00', TotalPlayedSec: 30, PlaybackMode: 'PREVIEW' },
+  { TrackRecordID: '12', TrackISRC: '', PlayStartUTC: '09/20/2026 21:00:00', TotalPlayedSec: 240, PlaybackMode: 'FULL', Token_Number: 'MASS-1' },
+  { TrackRecordID: '12', TrackISRC: '', PlayStartUTC: '09/21/2026 21:00:00', TotalPlayedSec: 8, PlaybackMode: 'FULL' }
+];
+const catalogue = {
+  11: { 'Track Name': 'Mbube', 'Track Artist': 'Solomon Linda', Rights_Holder: 'Gallo Record Company' },
+  12: { 'Track Name': 'Pata Pata', 'Track Artist': 'Miriam Makeba', Label: 'Afrisong', ISRC: 'ZA-AFR-67-00001' }
+};
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindAll: vi.fn(async (layout) => {
+      if (layout !== 'Stream_Events') return { ok: true, data: [], total: 0 };
+      return { ok: true, total: streamEvents.length, data: streamEvents.map((fieldData, i) => ({ recordId: String(i + 1), fieldData })) };
+    }),
+    fmGetRecordById: vi.fn(async (layout, recordId) => (
+      catalogue[recordId] ? { recordId: String(recordId), modId: '1', fieldData: catalogue[recordId] } : null
+    ))
+  };
+});
+
+let app;
+let fm;
+
+const report = (query) => request(app).get('/api/royalty/report').query(query).set('X-Admin-Key', ADMIN);
+
+beforeAll(async () => {
+  const mod = await import('../../server.js');
+  app = mod.app;
+  fm = await import('../../fm-client.js');
+});
+
+describe('/api/royalty/report', () => {
+  it('needs the admin key, not an access token', async () => {
+    expect((await request(app).get('/api/royalty/report?period=2026-09')).status).toBe(401);
+    expect((await request(app).get('/api/royalty/report?period=2026-09').set('X-Admin-Key', 'nope')).status).toBe(401);
+  });
+
+  it('refuses open periods and bad parameters', async () => {
+    const future = new Date(Date.now() + 40 * 86400e3).toISOString().slice(0, 7);
+    expect((await report({ period: future })).status).toBe(400);
+    expect((await report({ period: '2026-09', format: 'xml' })).status).toBe(400);
+    expect((await report({ period: '2026-09', qualifyingSec: '0' })).status).toBe(400);
+  });
+
+  it('counts qualifying FULL plays per ISRC by rights holder', async () => {
+    const res = await report({ period: '2026-09' });
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.period).toEqual({ from: '2026-09-01', to: '2026-09-30' });
+    expect(res.body.rows.map((r) => [r.rightsHolder, r.isrc, r.qualifyingPlays, r.qualifyingSec])).toEqual([
+      ['Afrisong', 'ZAAFR6700001', 1, 240],
+      ['Gallo Record Company', 'ZAGAL3900001', 2, 225]
+    ]);
+    expect(res.body.totals).toMatchObject({ qualifyingPlays: 3, previews: 1, belowThreshold: 1 });
+    expect(res.headers['x-report-checksum']).toBe(res.body.checksum);
+  });
+
+  it('applies a stricter threshold on request', async () => {
+    const res = await report({ period: '2026-09', qualifyingSec: '60' });
+    expect(res.body.totals.qualifyingPlays).toBe(2);
+  });
+
+  it('downloads a per-licensor CSV and DSR file that match the JSON checksum', async () => {
+    const json = await report({ period: '2026-09', rightsHolder: 'gallo record company' });
+    const csv = await report({ period: '2026-09', rightsHolder: 'gallo record company', format: 'csv' });
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['content-disposition']).toContain('mad-royalties-2026-09-01_2026-09-30-gallo-record-company.csv');
+    expect(csv.text.trim().split('\r\n')).toHaveLength(2);
+    expect(csv.headers['x-report-checksum']).toBe(json.body.checksum);
+
+    const dsr = await report({ period: '2026-09', rightsHolder: 'gallo record company', format: 'dsr' });
+    expect(dsr.headers['content-type']).toMatch(/text\/tab-separated-values/);
+    expect(dsr.text).toMatch(/^HEAD\tDSR-flat\/1\.0\t/m);
+    expect(dsr.text).toMatch(/^AS01\tGallo Record Company\tZAGAL3900001\tMbube\tSolomon Linda\t11\t2\t225\t2$/m);
+  });
+
+  it('re-runs the same closed period to the same statement', async () => {
+    fm.fmFindAll.mockClear();
+    const a = await report({ period: '2026-09', format: 'csv' });
+    const b = await report({ from: '2026-09-01', to: '2026-09-30', format: 'csv' });
+    expect(b.text).toBe(a.text);
+    expect(fm.fmFindAll).not.toHaveBeenCalled(); // memoised closed period
+  });
+});
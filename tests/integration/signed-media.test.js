@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import http from 'node:http';
+
+// Signed media URLs (MEDIA_SIGNING_ENABLED): the token-gated container route
+// hands out a short-lived signed /media/<key> URL instead of the bare bucket
+// URL, the /media edge verifies it, and the public paths refuse bare bucket
+// audio. A local fixture server plays the bucket (MEDIA_ORIGIN_URL); the
+// container and token caches are pre-seeded so FileMaker is never called.
+const TOKEN = 'MASS-SIGNED-TEST';
+const LAPSED = 'MASS-SIGNED-LAPSED';
+
+// FileMaker's verdict once a token's cached validation is gone.
+vi.mock('../../lib/auth.js', async (importActual) => ({
+  ...await importActual(),
+  validateAccessToken: vi.fn(async (code) => (String(code).toUpperCase() === LAPSED
+    ? { valid: false, definitive: true, reason: 'Token disabled' }
+    : { valid: true, type: 'subscription' }))
+}));
+const BUCKET_URL = `https://s3.eu-north-1.amazonaws.com/mass-music-audio-files/${encodeURIComponent('mp3')}/${encodeURIComponent('Gallo Vault 01.mp3')}`;
+
+let app;
+let fixtureServer;
+let lastUpstreamPath = '';
+const audio = Buffer.alloc(4096, 7);
+
+async function mintSigned(token = TOKEN) {
+  const res = await request(app).get('/api/track/999001/container').set('X-Access-Token', token);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+beforeAll(async () => {
+  fixtureServer = http.createServer((req, res) => {
+    lastUpstreamPath = req.url;
+    const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    if (m) {
+      const start = Number(m[1]);
+      const end = Math.min(Number(m[2]), audio.length - 1);
+      res.writeHead(206, {
+        'Content-Type': 'audio/mpeg',
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${audio.length}`
+      });
+      res.end(audio.subarray(start, end + 1));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': audio.length });
+    res.end(audio);
+  });
+  await new Promise((resolve) => fixtureServer.listen(0, '127.0.0.1', resolve));
+  process.env.MEDIA_ORIGIN_URL = `http://127.0.0.1:${fixtureServer.address().port}/bucket`;
+  process.env.MEDIA_SIGNING_ENABLED = 'true';
+
+  const mod = await import('../../server.js');
+  app = mod.app;
+
+  const { containerUrlCache, tokenValidationCache } = await import('../../cache.js');
+  const { FM_LAYOUT } = await import('../../lib/fm-fields.js');
+  containerUrlCache.set(`${FM_LAYOUT}::999001`, { url: BUCKET_URL, field: 'S3_URL', artworkUrl: '' });
+  for (const code of [TOKEN, LAPSED]) {
+    tokenValidationCache.set(code, {
+      data: { code, type: 'subscription', expirationDate: null, email: null, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+afterAll(async () => {
+  delete process.env.MEDIA_SIGNING_ENABLED;
+  delete process.env.MEDIA_ORIGIN_URL;
+  await new Promise((resolve) => fixtureServer.close(resolve));
+});
+
+describe('signed media URLs (MEDIA_SIGNING_ENABLED)', () => {
+  it('hands subscribers a signed /media URL instead of the bucket URL', async () => {
+    const body = await mintSigned();
+    expect(body.signed).toBe(true);
+    expect(body.url).not.toContain('amazonaws');
+    expect(body.url).toMatch(/^\/media\/mp3\/Gallo%20Vault%2001\.mp3\?exp=\d+&sub=[\w-]+&sig=[\w-]+&tok=[\w-]+$/);
+    expect(body.url).not.toContain(TOKEN);
+    expect(Date.parse(body.expiresAt)).toBeGreaterThan(Date.now());
+  });
+
+  it('streams the object from the origin for a valid signature, Range included', async () => {
+    const { url } = await mintSigned();
+    const res = await request(app).get(url).set('Range', 'bytes=0-99');
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes 0-99/${audio.length}`);
+    expect(res.headers['cache-control']).toMatch(/^private, max-age=\d+$/);
+    expect(lastUpstreamPath).toBe(`/bucket/mp3/${encodeURIComponent('Gallo Vault 01.mp3')}`);
+  });
+
+  it('403s unsigned, tampered and re-targeted links', async () => {
+    const { url } = await mintSigned();
+    expect((await request(app).get(url.split('?')[0])).status).toBe(403);
+    expect((await request(app).get(url.replace(/sub=[\w-]+/, 'sub=someone-else'))).status).toBe(403);
+    expect((await request(app).get(url.replace('Vault%2001', 'Vault%2002'))).status).toBe(403);
+    expect((await request(app).get(url.replace(/&tok=[\w-]+/, ''))).status).toBe(403);
+  });
+
+  it('stops playing a link once its token is disabled', async () => {
+    const { url } = await mintSigned(LAPSED);
+    expect((await request(app).get(url).set('Range', 'bytes=0-9')).status).toBe(206);
+    const { tokenValidationCache } = await import('../../cache.js');
+    tokenValidationCache.delete(LAPSED); // the cached validation runs out
+    const res = await request(app).get(url).set('Range', 'bytes=0-9');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('revoked');
+  });
+
+  it('404s keys that are not audio', async () => {
+    expect((await request(app).get('/media/art/cover.jpg?exp=1&sub=x&sig=y')).status).toBe(404);
+  });
+
+  it('refuses bare bucket audio on the public proxy paths', async () => {
+    const c = await request(app).get(`/api/container?u=${encodeURIComponent(BUCKET_URL)}`);
+    expect(c.status).toBe(403);
+    expect(c.body.error).toBe('signed_url_required');
+    const p = await request(app).get(`/api/audio-proxy?url=${encodeURIComponent(BUCKET_URL)}`);
+    expect(p.status).toBe(403);
+  });
+
+  it('stamps the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__SIGNED_MEDIA=true');
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// SMART_PLAYLISTS_ENABLED is unset → creating, re-ruling and refreshing smart
+// playlists 404 BEFORE the auth middleware; ordinary playlist routes are
+// untouched.
+let app;
+
+beforeAll(async () => {
+  delete process.env.SMART_PLAYLISTS_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Smart playlists ringfence (flag off)', () => {
+  it.each([
+    ['post', '/api/playlists/smart'],
+    ['put', '/api/playlists/pl-1/rules'],
+    ['delete', '/api/playlists/pl-1/rules'],
+    ['post', '/api/playlists/pl-1/refresh']
+  ])('404s %s %s before auth', async (method, path) => {
+    const res = await request(app)[method](path);
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Not found');
+  });
+
+  it('leaves the ordinary playlist routes behind auth as before', async () => {
+    const res = await request(app).post('/api/playlists').send({ name: 'x' });
+    expect(res.status).toBe(403);
+  });
+
+  it('keeps the flag out of the page', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__SMART_PLAYLISTS=false');
+  });
+});
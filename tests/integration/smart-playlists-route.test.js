@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// Smart playlists (SMART_PLAYLISTS_ENABLED): create from rules, refill from
+// the semantic index's metadata (Postgres is off here), leave out played
+// tracks, refuse hand edits, refill on open only when due, the worker-0
+// sweep, and turning one back into a normal playlist. FileMaker is
+// in-memory; the token cache is pre-seeded so auth never calls FM.
+const USERS = {
+  owner: { token: 'MASS-SMART-OWNER', email: 'owner@example.com' },
+  other: { token: 'MASS-SMART-OTHER', email: 'other@example.com' }
+};
+
+const tables = new Map(); // layout → Map(recordId → { fieldData, modId })
+let nextRecordId = 1;
+const table = (layout) => tables.get(layout) || tables.set(layout, new Map()).get(layout);
+const unescape = (value) => String(value).replace(/\\(.)/g, '$1');
+
+function fieldMatches(actual, wanted) {
+  const have = String(actual ?? '').toLowerCase();
+  if (wanted === '*') return have !== '';
+  if (wanted.startsWith('==')) return have === unescape(wanted.slice(2)).toLowerCase();
+  return have.includes(wanted.replace(/^\*|\*$/g, '').toLowerCase());
+}
+
+function find(layout, queries) {
+  const data = [...table(layout)]
+    .filter(([, row]) => queries.some((query) => Object.entries(query)
+      .every(([field, value]) => fieldMatches(row.fieldData[field], String(value)))))
+    .map(([recordId, row]) => ({ recordId, modId: String(row.modId), fieldData: { ...row.fieldData } }));
+  return data.length ? { ok: true, total: data.length, data } : { ok: false, code: '401', total: 0, data: [] };
+}
+
+const AUDIO = 'https://mad-audio.s3.amazonaws.com/tracks';
+const song = (name, artist, extra = {}) => ({ 'Track Name': name, 'Track Artist': artist, 'Album Artist': artist, 'Album Title': `${name} (LP)`, ...extra });
+const CATALOGUE = {
+  301: song('Ngikhule Kanjani', 'Ladysmith Black Mambazo', { S3_URL: `${AUDIO}/301.mp3` }),
+  302: song('Hamba Nathi', 'Ndlovu Brothers', { S3_URL: `${AUDIO}/302.mp3` }),
+  303: song('Bayete', 'Zion Singers', { S3_URL: `${AUDIO}/303.mp3` }),
+  304: song('Thula Sizwe', 'Zion Singers', { S3_URL: `${AUDIO}/304.mp3` }),
+  305: song('Umoya', 'Zion Singers') // in the index, but no audio any more
+};
+const INDEX = [
+  { recordId: '301', m: { track: 'Ngikhule Kanjani', artist: 'Ladysmith Black Mambazo', localGenre: 'Gospel', language: 'zu', year: '1973', bpm: 124 } },
+  { recordId: '302', m: { track: 'Hamba Nathi', artist: 'Ndlovu Brothers', localGenre: 'Gospel', language: 'zu', year: '1976', bpm: 130 } },
+  { recordId: '303', m: { track: 'Bayete', artist: 'Zion Singers', localGenre: 'Gospel', language: 'Zulu', year: '1978', bpm: 118 } },
+  { recordId: '304', m: { track: 'Thula Sizwe', artist: 'Zion Singers', localGenre: 'Gospel', language: 'zu', year: '1974', bpm: 84 } }, // too slow
+  { recordId: '305', m: { track: 'Umoya', artist: 'Zion Singers', localGenre: 'Gospel', language: 'zu', year: '1975', bpm: 126 } },
+  { recordId: '306', m: { track: 'Mbube', artist: 'Solomon Linda', localGenre: 'Mbube', language: 'zu', year: '1975', bpm: 120 } }
+];
+let indexAvailable = true;
+const played = new Map([['MASS-SMART-OWNER', { 302: { plays: 3, lastPlayedAt: '2026-10-18T10:00:00.000Z' } }]]);
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindRecords: vi.fn(async (layout, queries, { limit } = {}) => {
+      const result = find(layout, queries);
+      return limit ? { ...result, data: result.data.slice(0, limit) } : result;
+    }),
+    fmFindAll: vi.fn(async (layout, queries) => ({ ...find(layout, queries), truncated: false })),
+    fmGetRecordById: vi.fn(async (layout, recordId) => {
+      const row = table(layout).get(String(recordId));
+      return row ? { recordId: String(recordId), modId: String(row.modId), fieldData: { ...row.fieldData } } : null;
+    }),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(nextRecordId++);
+      table(layout).set(recordId, { fieldData: { ...fieldData }, modId: 0 });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      const row = table(layout).get(recordId);
+      row.fieldData = { ...row.fieldData, ...fieldData };
+      row.modId += 1;
+      return { modId: String(row.modId) };
+    }),
+    fmDeleteRecord: vi.fn(async (layout, recordId) => { table(layout).delete(recordId); return {}; })
+  };
+});
+
+vi.mock('../../lib/semantic-shelves.js', async (importActual) => ({
+  ...await importActual(),
+  semanticShelvesAvailable: () => indexAvailable,
+  getAllMeta: async () => (indexAvailable ? INDEX : null)
+}));
+
+vi.mock('../../lib/play-counts.js', async (importActual) => ({
+  ...await importActual(),
+  isPlayCountsReady: () => true,
+  lookupPlayCounts: async (token, ids) => Object.fromEntries(ids.filter((id) => played.get(token)?.[id]).map((id) => [id, played.get(token)[id]]))
+}));
+
+let app;
+const as = (who, method, path) => request(app)[method](`/api/playlists${path}`).set('X-Access-Token', USERS[who].token);
+const trackIds = (playlist) => playlist.tracks.map((t) => t.trackRecordId);
+const ZULU_GOSPEL_70S_UP = { genres: ['Gospel'], languages: ['zu'], yearFrom: 1970, yearTo: 1979, tempo: 'up', sort: 'oldest' };
+const playlistRow = (playlistId) => [...table('API_Playlists').values()].find((row) => row.fieldData.Playlist_ID === playlistId);
+
+beforeAll(async () => {
+  process.env.SMART_PLAYLISTS_ENABLED = 'true';
+  for (const [recordId, fieldData] of Object.entries(CATALOGUE)) {
+    table('API_Album_Songs').set(recordId, { fieldData, modId: 1 });
+  }
+  const mod = await import('../../server.js');
+  app = mod.app;
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const { token, email } of Object.values(USERS)) {
+    tokenValidationCache.set(token, {
+      data: { code: token, type: 'subscription', expirationDate: null, email, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+afterAll(() => {
+  delete process.env.SMART_PLAYLISTS_ENABLED;
+});
+
+describe('smart playlists', () => {
+  let playlistId;
+
+  it('creates a playlist from rules and fills it with playable matches', async () => {
+    const res = await as('owner', 'post', '/smart').send({ name: 'Zulu gospel, 70s, uptempo', rules: ZULU_GOSPEL_70S_UP });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ ok: true, refreshed: true, added: 3, removed: 0 });
+    playlistId = res.body.playlist.id;
+    // 304 is too slow, 305 has no audio, 306 is mbube; "Zulu" counts as zu.
+    expect(trackIds(res.body.playlist)).toEqual(['301', '302', '303']);
+    expect(res.body.playlist.tracks[0]).toMatchObject({ name: 'Ngikhule Kanjani', mp3: `${AUDIO}/301.mp3`, audioField: 'S3_URL' });
+    expect(res.body.playlist.rules).toMatchObject({ tempo: 'up', sort: 'oldest', refresh: 'daily', limit: 50 });
+    expect(res.body.playlist.refreshedAt).toBeTruthy();
+    expect(JSON.parse(playlistRow(playlistId).fieldData.Rules_JSON).genres).toEqual(['Gospel']);
+  });
+
+  it('counts a fill once when another edit makes it write again (FM 306)', async () => {
+    const { fmUpdateRecord } = await import('../../fm-client.js');
+    fmUpdateRecord.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('FM update failed: Record modification id does not match (306)'), { fmCode: '306' });
+    });
+    const res = await as('owner', 'post', '/smart').send({ name: 'Retried', rules: ZULU_GOSPEL_70S_UP });
+    expect(res.body).toMatchObject({ ok: true, refreshed: true, added: 3, removed: 0 });
+    expect(trackIds(res.body.playlist)).toEqual(['301', '302', '303']);
+    expect((await as('owner', 'delete', `/${res.body.playlist.id}`)).status).toBe(200);
+  });
+
+  it('refuses hand edits while the rules own the tracks', async () => {
+    const res = await as('owner', 'post', `/${playlistId}/tracks`).send({ track: { recordId: '304', name: 'Thula Sizwe' } });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Smart playlists fill themselves from their rules — edit the rules instead');
+    expect((await as('owner', 'delete', `/${playlistId}/tracks/${encodeURIComponent('x')}`)).status).toBe(409);
+  });
+
+  it('refills on open only when due', async () => {
+    const res = await as('owner', 'post', `/${playlistId}/refresh`).send({ ifDue: true });
+    expect(res.body).toMatchObject({ ok: true, refreshed: false });
+    expect(trackIds(res.body.playlist)).toEqual(['301', '302', '303']);
+  });
+
+  it('leaves out what the owner has played, keeping when the rest were added', async () => {
+    const before = (await as('owner', 'post', `/${playlistId}/refresh`).send({})).body.playlist;
+    const res = await as('owner', 'put', `/${playlistId}/rules`).send({ rules: { ...ZULU_GOSPEL_70S_UP, unplayed: true } });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ refreshed: true, added: 0, removed: 1 });
+    expect(res.body.playlist.rules).toMatchObject({ unplayed: true, refresh: 'open' });
+    expect(trackIds(res.body.playlist)).toEqual(['301', '303']);
+    expect(res.body.playlist.tracks.map((t) => t.addedAt)).toEqual([before.tracks[0].addedAt, before.tracks[2].addedAt]);
+  });
+
+  it('validates rules and keeps other listeners out', async () => {
+    expect((await as('owner', 'put', `/${playlistId}/rules`).send({ rules: { tempo: 'up' } })).status).toBe(400);
+    expect((await as('owner', 'post', '/smart').send({ name: 'x', rules: { genres: ['Gospel'], sort: 'random' } })).status).toBe(400);
+    expect((await as('other', 'post', `/${playlistId}/refresh`).send({})).status).toBe(404);
+    expect((await as('other', 'put', `/${playlistId}/rules`).send({ rules: ZULU_GOSPEL_70S_UP })).status).toBe(404);
+    const plain = (await as('owner', 'post', '').send({ name: 'Hand-picked' })).body.playlist;
+    expect((await as('owner', 'post', `/${plain.id}/refresh`).send({})).status).toBe(409);
+  });
+
+  it('keeps the playlist as it stands when there is nothing to evaluate against', async () => {
+    indexAvailable = false;
+    try {
+      const res = await as('owner', 'post', '/smart').send({ name: 'Mbube', rules: { genres: ['Mbube'] } });
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ ok: true, refreshed: false, refreshError: 'Smart playlists are unavailable right now' });
+      expect(res.body.playlist.tracks).toEqual([]);
+    } finally {
+      indexAvailable = true;
+    }
+  });
+
+  it('worker 0 refills daily playlists that are due', async () => {
+    const { refreshDueSmartPlaylists } = await import('../../lib/smart-playlist.js');
+    const created = (await as('owner', 'post', '/smart').send({ name: 'Solomon Linda', rules: { artists: ['Solomon Linda'] } })).body.playlist;
+    expect(trackIds(created)).toEqual([]); // 306 has no catalogue record yet
+    table('API_Album_Songs').set('306', { fieldData: song('Mbube', 'Solomon Linda', { S3_URL: `${AUDIO}/306.mp3` }), modId: 1 });
+
+    // Only "Mbube" (never filled while the index was down) is due; the
+    // "unplayed" one waits for its owner to open it.
+    expect(await refreshDueSmartPlaylists()).toBe(1);
+    const byName = async (name) => (await as('owner', 'get', '')).body.playlists.find((p) => p.name === name);
+    expect(trackIds(await byName('Mbube'))).toEqual(['306']);
+    expect(trackIds(await byName('Solomon Linda'))).toEqual([]);
+
+    playlistRow(created.id).fieldData.Refreshed_At = '10/17/2026 8:00:00';
+    expect(await refreshDueSmartPlaylists()).toBe(1);
+    expect(trackIds(await byName('Solomon Linda'))).toEqual(['306']);
+  });
+
+  it('turns back into a normal playlist that keeps its tracks', async () => {
+    const res = await as('owner', 'delete', `/${playlistId}/rules`);
+    expect(res.status).toBe(200);
+    expect(res.body.playlist.rules).toBeNull();
+    expect(trackIds(res.body.playlist)).toEqual(['301', '303']);
+    const added = await as('owner', 'post', `/${playlistId}/tracks`).send({ track: { recordId: '304', name: 'Thula Sizwe', mp3: `${AUDIO}/304.mp3` } });
+    expect(added.status).toBe(201);
+    expect((await as('owner', 'post', `/${playlistId}/refresh`).send({})).status).toBe(409);
+  });
+});
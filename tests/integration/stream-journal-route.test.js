@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// /api/access/stream-events with the journal open (STREAM_JOURNAL_ENABLED):
+// the request path never waits on FileMaker, the route's own delta / total
+// arithmetic runs against the journal row, and one flush writes the listen.
+const fmRecords = new Map();
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmGetRecordById: vi.fn(async () => null),
+    fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(fmRecords.size + 1);
+      fmRecords.set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      fmRecords.set(recordId, { ...fmRecords.get(recordId), ...fieldData });
+      return {};
+    })
+  };
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mass-journal-route-'));
+let app;
+let fm;
+let journal;
+
+beforeAll(async () => {
+  const mod = await import('../../server.js');
+  app = mod.app;
+  fm = await import('../../fm-client.js');
+  journal = await import('../../lib/stream-journal.js');
+  expect(await journal.initStreamJournal({ path: path.join(dir, 'journal.db') })).toBe(true);
+});
+
+afterAll(async () => {
+  await journal.stopStreamJournal({ drainMs: 0 });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('stream events through the journal', () => {
+  it('answers from the journal and flushes one coalesced listen', async () => {
+    const agent = request.agent(app);
+    const send = (eventType, extra = {}) => agent.post('/api/access/stream-events')
+      .send({ eventType, trackRecordId: '4242', trackISRC: 'ZAGAL3900001', durationSec: 200, playbackMode: 'FULL', ...extra });
+
+    const play = await send('PLAY', { positionSec: 0 });
+    expect(play.status).toBe(200);
+    expect(play.body).toMatchObject({ ok: true, journaled: true });
+    await send('PROGRESS', { positionSec: 30, deltaSec: 30 });
+    const progress = await send('PROGRESS', { positionSec: 60, deltaSec: 30 });
+    expect(progress.body.totalPlayedSec).toBe(60);
+    expect(fm.fmCreateRecord).not.toHaveBeenCalled();
+    expect(fm.fmUpdateRecord).not.toHaveBeenCalled();
+
+    expect(await journal.flushStreamJournal()).toBe(1);
+    expect(fm.fmCreateRecord).toHaveBeenCalledTimes(1);
+    const [, created] = [...fmRecords][0];
+    expect(created).toMatchObject({
+      TrackRecordID: '4242', TrackISRC: 'ZAGAL3900001', PlaybackMode: 'FULL', EventType: 'PROGRESS', TotalPlayedSec: 60
+    });
+    expect(created.PlayStartUTC).toMatch(/^\d{2}\/\d{2}\/\d{4} /);
+
+    const end = await send('END', { positionSec: 60 });
+    expect(end.body.journaled).toBe(true);
+    await journal.flushStreamJournal();
+    expect(fm.fmUpdateRecord).toHaveBeenCalledTimes(1);
+    expect([...fmRecords.values()][0]).toMatchObject({ EventType: 'END', TotalPlayedSec: 60 });
+  });
+
+  it('skips a stray END without touching FileMaker', async () => {
+    const res = await request(app).post('/api/access/stream-events').send({ eventType: 'END', trackRecordId: '777' });
+    expect(res.body).toEqual({ ok: true, skipped: true });
+    expect(fm.fmFindRecords).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// TASTER_FUNNEL_ENABLED is unset → /api/taster/funnel 404s BEFORE the auth
+// middleware (same fence pattern as history/wrapped), while the existing
+// counters report keeps working.
+let app;
+
+beforeAll(async () => {
+  delete process.env.TASTER_FUNNEL_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('Taster funnel ringfence (flag off)', () => {
+  it('404s the funnel report, even with the admin key or as a browser', async () => {
+    for (const accept of ['application/json', 'text/html']) {
+      const res = await request(app).get('/api/taster/funnel').set('Accept', accept).set('X-Admin-Key', process.env.ADMIN_SECRET);
+      expect(res.status, accept).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+
+  it('leaves /api/taster/report alone', async () => {
+    const res = await request(app).get('/api/taster/report').set('X-Admin-Key', process.env.ADMIN_SECRET);
+    expect(res.status).toBe(200);
+  });
+});
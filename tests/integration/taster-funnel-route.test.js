@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHmac } from 'node:crypto';
+
+// Taster funnel attribution (TASTER_FUNNEL_ENABLED): a trial started from a
+// taster landing, the Paystack checkout carrying it as metadata, the webhook
+// converting it, and the admin report / HTML view over the result. Token
+// minting, email and the Paystack API are stand-ins; the attribution file goes
+// to a temp path.
+const ADMIN = process.env.ADMIN_SECRET;
+const FILE = path.join(os.tmpdir(), `taster-funnel-${process.pid}.json`);
+const VIA = { t: '94600', campaign: 'yt-shorts', video: 'short-94600' };
+
+vi.mock('../../lib/token-store.js', async (importActual) => ({
+  ...(await importActual()),
+  findTrialTokenByEmail: vi.fn(async () => null),
+  createAccessToken: vi.fn(async (days) => ({ code: `MASS-TEST-${days}` }))
+}));
+
+vi.mock('../../lib/email.js', async (importActual) => ({
+  ...(await importActual()),
+  sendTrialEmail: vi.fn(async () => {}),
+  sendTokenEmail: vi.fn(async () => {})
+}));
+
+vi.mock('../../lib/paystack.js', async (importActual) => ({
+  ...(await importActual()),
+  paystackRequest: vi.fn(async () => ({ data: { authorization_url: 'https://checkout.paystack.test/x', reference: 'REF-1' } }))
+}));
+
+let app;
+let paystackRequest;
+
+function postWebhook(body) {
+  const raw = JSON.stringify(body);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Paystack-Signature', createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(raw).digest('hex'))
+    .send(raw);
+}
+
+beforeAll(async () => {
+  process.env.TASTER_FUNNEL_ENABLED = 'true';
+  process.env.TASTER_ATTRIBUTION_FILE = FILE;
+  const mod = await import('../../server.js');
+  app = mod.app;
+  ({ paystackRequest } = await import('../../lib/paystack.js'));
+});
+
+afterAll(() => {
+  delete process.env.TASTER_ATTRIBUTION_FILE;
+  fs.rmSync(FILE, { force: true });
+});
+
+const waitForFile = async (match) => {
+  for (let i = 0; i < 50; i++) {
+    if (fs.existsSync(FILE) && match(fs.readFileSync(FILE, 'utf8'))) return;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+};
+
+describe('taster funnel attribution', () => {
+  it('records a trial against the taster landing', async () => {
+    const res = await request(app).post('/api/payments/trial').send({ email: 'fan@example.com', via: VIA });
+    expect(res.status).toBe(200);
+    await waitForFile((s) => s.includes('trialAt'));
+    const entries = Object.values(JSON.parse(fs.readFileSync(FILE, 'utf8')));
+    expect(entries).toEqual([expect.objectContaining({ ...VIA, trialAt: expect.any(String) })]);
+  });
+
+  it('carries the landing through checkout as Paystack metadata', async () => {
+    const res = await request(app).post('/api/payments/initialize').send({ email: 'fan@example.com', plan: '7-day', via: { ...VIA, extra: 'x' } });
+    expect(res.status).toBe(200);
+    expect(paystackRequest).toHaveBeenCalledWith('POST', '/transaction/initialize', expect.objectContaining({
+      metadata: expect.objectContaining({ taster: VIA })
+    }));
+  });
+
+  it('converts on the paid webhook, once per charge', async () => {
+    const charge = {
+      reference: 'REF-1', amount: 750, paid_at: new Date().toISOString(),
+      customer: { email: 'fan@example.com' }, metadata: { plan_id: '7-day', days: 7, taster: VIA }
+    };
+    expect((await postWebhook({ id: 'evt_taster_1', event: 'charge.success', data: charge })).status).toBe(200);
+    await waitForFile((s) => s.includes('REF-1'));
+    const [entry] = Object.values(JSON.parse(fs.readFileSync(FILE, 'utf8')));
+    expect(entry).toMatchObject({ channel: 'paystack', kind: 'once', payments: [expect.objectContaining({ ref: 'REF-1', amount: 750 })] });
+  });
+});
+
+describe('/api/taster/funnel', () => {
+  it('reports the funnel as JSON with the admin key', async () => {
+    const res = await request(app).get('/api/taster/funnel').set('X-Admin-Key', ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.totals).toMatchObject({ trial: 1, paid: 1, revenue: 7.5 });
+    expect(res.body.campaigns[0]).toMatchObject({ key: 'yt-shorts', trial: 1, paid: 1 });
+    expect(res.body.videos[0]).toMatchObject({ key: 'short-94600', paid: 1 });
+  });
+
+  it('serves the key-prompt dashboard to a browser and nothing without the key', async () => {
+    const html = await request(app).get('/api/taster/funnel').set('Accept', 'text/html');
+    expect(html.status).toBe(200);
+    expect(html.text).toContain('<title>Taster funnel</title>');
+    expect(html.text).not.toContain('yt-shorts');
+    expect((await request(app).get('/api/taster/funnel?format=json')).status).toBe(401);
+    expect((await request(app).get('/api/taster/funnel').set('X-Admin-Key', 'nope')).status).toBe(401);
+  });
+
+  it('rejects a bad range', async () => {
+    expect((await request(app).get('/api/taster/funnel?from=2026-13-01').set('X-Admin-Key', ADMIN)).status).toBe(400);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import request from 'supertest';
+
+// WRAPPED_ENABLED is unset → /api/wrapped and the /wrapped/ share pages 404
+// BEFORE the auth middleware (same fence pattern as history/resume), and the
+// stats-panel buttons stay off.
+let app;
+
+beforeAll(async () => {
+  delete process.env.WRAPPED_ENABLED;
+  const mod = await import('../../server.js');
+  app = mod.app;
+});
+
+describe('MAD Wrapped ringfence (flag off)', () => {
+  it('404s every route before auth', async () => {
+    for (const [method, path] of [['get', '/api/wrapped?year=2025'], ['post', '/api/wrapped/email'], ['get', `/wrapped/${'a'.repeat(32)}`]]) {
+      const res = await request(app)[method](path);
+      expect(res.status, `${method} ${path}`).toBe(404);
+      expect(res.text).toBe('Not found');
+    }
+  });
+
+  it('does not stamp the client flag on', async () => {
+    const res = await request(app).get('/');
+    expect(res.text).toContain('window.__WRAPPED=false');
+  });
+});
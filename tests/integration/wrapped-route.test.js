@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+// MAD Wrapped (/api/wrapped, /wrapped/:shareId, WRAPPED_ENABLED): a token's
+// period summary built from Stream_Events, saved to API_Wrapped and served as
+// a public share page until the listener clears their history. The layouts
+// are in-memory tables; the token cache is pre-seeded so auth never calls FM,
+// and the email transport is a spy.
+const TOKEN = 'MASS-WRAPPED-TEST';
+const OTHER = 'MASS-WRAPPED-OTHER';
+const YEAR = new Date().getUTCFullYear() - 1;
+
+const listen = (token, trackId, isoStart, playedSec) => {
+  const d = new Date(isoStart);
+  const p = (n) => String(n).padStart(2, '0');
+  const utc = `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+  return {
+    Token_Number: token, TrackRecordID: String(trackId), EventType: 'END', PlayStartUTC: utc, TimestampUTC: utc,
+    TotalPlayedSec: playedSec, 'Track Name': `Track ${trackId}`, 'Track Artist': 'Someone', Email: `${token.toLowerCase()}@example.com`
+  };
+};
+
+const streamEvents = [
+  listen(TOKEN, 1, `${YEAR}-03-01T08:00:00Z`, 200),
+  listen(TOKEN, 1, `${YEAR}-04-01T08:00:00Z`, 200),
+  listen(TOKEN, 2, `${YEAR}-05-01T18:00:00Z`, 100),
+  listen(OTHER, 2, `${YEAR}-05-01T18:00:00Z`, 100)
+];
+const rows = { API_Wrapped: new Map(), API_History: new Map() }; // layout → recordId → fieldData
+const wrappedRows = rows.API_Wrapped;
+let nextRecordId = 1;
+
+const unquote = (v) => String(v).replace(/^==/, '').replace(/\\(.)/g, '$1');
+
+function findRows(layout, queries) {
+  const q = Object.fromEntries(Object.entries(queries[0]).map(([k, v]) => [k, unquote(v)]));
+  const data = [...(rows[layout] || [])]
+    .filter(([, f]) => Object.entries(q).every(([k, v]) => f[k] === v))
+    .map(([recordId, fieldData]) => ({ recordId, fieldData }));
+  return { ok: true, total: data.length, data };
+}
+
+vi.mock('../../fm-client.js', async (importActual) => {
+  const actual = await importActual();
+  return {
+    ...actual,
+    ensureToken: vi.fn(async () => 'test-fm-token'),
+    closeFmPool: vi.fn(async () => {}),
+    fmFindAll: vi.fn(async (layout, queries) => {
+      if (layout !== 'Stream_Events') return { ...findRows(layout, queries), truncated: false };
+      const token = unquote(queries[0].Token_Number);
+      const data = streamEvents.filter((f) => f.Token_Number === token).map((fieldData, i) => ({ recordId: String(i + 1), fieldData }));
+      return data.length ? { ok: true, data, total: data.length, truncated: false } : { ok: false, code: '401', data: [] };
+    }),
+    fmFindRecords: vi.fn(async (layout, queries) => findRows(layout, queries)),
+    fmCreateRecord: vi.fn(async (layout, fieldData) => {
+      const recordId = String(nextRecordId++);
+      rows[layout].set(recordId, { ...fieldData });
+      return { recordId };
+    }),
+    fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+      rows[layout].set(recordId, { ...rows[layout].get(recordId), ...fieldData });
+      return {};
+    }),
+    fmDeleteRecord: vi.fn(async (layout, recordId) => { rows[layout].delete(recordId); return {}; })
+  };
+});
+
+vi.mock('../../lib/semantic-shelves.js', async (importActual) => ({
+  ...(await importActual()),
+  getAllMeta: vi.fn(async () => [
+    { recordId: '1', m: { track: 'Pata Pata', artist: 'Miriam Makeba', album: 'Pata Pata', year: '1967', genre: 'Afro Pop', language: 'xh', artworkUrl: 'https://cdn.example/pata.jpg' } },
+    { recordId: '2', m: { track: 'Mbube', artist: 'Solomon Linda', album: 'Mbube Roots', year: '1939', genre: 'Mbube', language: 'zu' } }
+  ])
+}));
+
+vi.mock('../../lib/email.js', async (importActual) => ({
+  ...(await importActual()),
+  sendWrappedEmail: vi.fn(async () => {})
+}));
+
+let app;
+let sendWrappedEmail;
+
+const api = (method, path) => request(app)[method](path).set('X-Access-Token', TOKEN);
+
+beforeAll(async () => {
+  process.env.WRAPPED_ENABLED = 'true';
+  process.env.HISTORY_ENABLED = 'true';
+  const mod = await import('../../server.js');
+  app = mod.app;
+  ({ sendWrappedEmail } = await import('../../lib/email.js'));
+  const { tokenValidationCache } = await import('../../cache.js');
+  for (const code of [TOKEN, OTHER]) {
+    tokenValidationCache.set(code, {
+      data: { code, type: 'subscription', expirationDate: null, email: `${code.toLowerCase()}@example.com`, recordId: null },
+      expiresAt: Date.now() + 60_000
+    });
+  }
+});
+
+afterAll(() => {
+  delete process.env.WRAPPED_ENABLED;
+  delete process.env.HISTORY_ENABLED;
+});
+
+describe('/api/wrapped', () => {
+  let shareId;
+
+  it('builds the signed-in token\'s year, saves it and returns a share link', async () => {
+    const res = await api('get', `/api/wrapped?year=${YEAR}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.summary.totals).toEqual({ minutes: 8, plays: 3, tracks: 2, artists: 2 });
+    expect(res.body.summary.topArtists[0]).toMatchObject({ name: 'Miriam Makeba', plays: 2 });
+    expect(res.body.summary.oldestRecording).toMatchObject({ title: 'Mbube', year: 1939 });
+    shareId = res.body.shareId;
+    expect(shareId).toMatch(/^[a-f0-9]{32}$/);
+    expect(res.body.shareUrl).toMatch(new RegExp(`/wrapped/${shareId}$`));
+    expect([...wrappedRows.values()]).toEqual([expect.objectContaining({ Token_Number: TOKEN, Period: String(YEAR), Wrapped_ID: shareId })]);
+  });
+
+  it('reuses the saved summary for a closed period', async () => {
+    const res = await api('get', `/api/wrapped?year=${YEAR}`);
+    expect(res.body.shareId).toBe(shareId);
+    expect(wrappedRows.size).toBe(1);
+  });
+
+  it('rejects a bad period and needs an access token', async () => {
+    expect((await api('get', '/api/wrapped?year=20x6')).status).toBe(400);
+    expect((await api('get', `/api/wrapped?year=${YEAR}&month=13`)).status).toBe(400);
+    expect([401, 403]).toContain((await request(app).get(`/api/wrapped?year=${YEAR}`)).status);
+  });
+
+  it('serves the share page publicly, with OG tags and no token or email', async () => {
+    const res = await request(app).get(`/wrapped/${shareId}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.headers['cache-control']).toMatch(/^public/);
+    expect(res.text).toContain(`<meta property="og:image" content="https://cdn.example/pata.jpg"`);
+    expect(res.text).toContain('Miriam Makeba');
+    expect(res.text).not.toContain(TOKEN);
+    expect(res.text).not.toContain('@example.com');
+  });
+
+  it('404s an unknown or malformed share id', async () => {
+    expect((await request(app).get(`/wrapped/${'0'.repeat(32)}`)).status).toBe(404);
+    expect((await request(app).get('/wrapped/not-an-id')).status).toBe(404);
+  });
+
+  it('emails the summary to the token\'s address, once an hour', async () => {
+    const res = await api('post', '/api/wrapped/email').send({ year: YEAR });
+    expect(res.status).toBe(200);
+    expect(sendWrappedEmail).toHaveBeenCalledWith(
+      `${TOKEN.toLowerCase()}@example.com`,
+      expect.objectContaining({ period: expect.objectContaining({ key: String(YEAR) }) }),
+      expect.stringMatching(new RegExp(`/wrapped/${shareId}$`))
+    );
+    expect((await api('post', '/api/wrapped/email').send({ year: YEAR })).status).toBe(429);
+  });
+
+  it('keeps listeners apart', async () => {
+    const res = await request(app).get(`/api/wrapped?year=${YEAR}`).set('X-Access-Token', OTHER);
+    expect(res.body.shareId).not.toBe(shareId);
+    expect(res.body.summary.totals).toMatchObject({ plays: 1, tracks: 1 });
+  });
+
+  it('takes the share page down when the listener clears their history', async () => {
+    expect((await request(app).get(`/wrapped/${shareId}`)).status).toBe(200);
+    expect((await api('delete', '/api/history')).status).toBe(200);
+
+    expect((await request(app).get(`/wrapped/${shareId}`)).status).toBe(404);
+    expect([...wrappedRows.values()].map((f) => f.Token_Number)).toEqual([OTHER]);
+    const rebuilt = await api('get', `/api/wrapped?year=${YEAR}`);
+    expect(rebuilt.body.shareId).not.toBe(shareId);
+    expect(rebuilt.body.summary.totals).toMatchObject({ plays: 0 });
+  });
+});
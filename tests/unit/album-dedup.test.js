@@ -2,7 +2,7 @@
 // folding rules. The "Victims" fixtures mirror real catalogue rows that split
 // one album into two cards before this helper existed.
 import { describe, it, expect } from 'vitest';
-import { dedupRecordsByAlbum, isVariousArtists } from '../../lib/album-dedup.js';
+import { dedupRecordsByAlbum, groupRecordsByAlbum, isVariousArtists } from '../../lib/album-dedup.js';
 
 let nextId = 1;
 function row(fields) {
@@ -103,3 +103,16 @@ describe('dedupRecordsByAlbum', () => {
     expect(out.map(r => r.fieldData['Album Title'])).toEqual(['B Album', 'A Album']);
   });
 });
+
+describe('groupRecordsByAlbum', () => {
+  it('keeps every member in input order beside the clean representative', () => {
+    const stray = row({ 'Album Title': 'Victims', 'Album Artist': 'Various Artists', 'Tape Files::Album Artist': 'Lucky Dube' });
+    const clean = row({ 'Album Title': 'Victims', 'Album Artist': 'Lucky Dube', 'Tape Files::Album Artist': 'Lucky Dube' });
+    const other = row({ 'Album Title': 'Hometalk', 'Album Artist': 'Mango Groove', 'Tape Files::Album Artist': 'Mango Groove' });
+    const groups = groupRecordsByAlbum([stray, other, clean]);
+    expect(groups).toHaveLength(2);
+    expect(groups[0].record).toBe(clean);
+    expect(groups[0].records).toEqual([stray, clean]);
+    expect(groups[1].records).toEqual([other]);
+  });
+});
@@ -90,6 +90,17 @@ describe('mapRecordToRow', () => {
     expect(r.album_artist).toBe('Solo Star');
   });
 
+  it('mirrors the analyzer loudness, leaving unmeasured or bogus values null', () => {
+    const r = mapRecordToRow({ recordId: '5', fieldData: { 'AI_LoudnessLUFS': '-21.4', 'AI_PeakDBFS': -3.2, 'AI_AlbumLoudnessLUFS': '-19.9' } });
+    expect(r.loudness_lufs).toBe(-21.4);
+    expect(r.peak_dbfs).toBe(-3.2);
+    expect(r.album_loudness_lufs).toBe(-19.9);
+    expect(row.loudness_lufs).toBeNull();
+    const bogus = mapRecordToRow({ recordId: '6', fieldData: { 'AI_LoudnessLUFS': '-inf', 'AI_PeakDBFS': '-1' } });
+    expect(bogus.loudness_lufs).toBeNull();
+    expect(bogus.peak_dbfs).toBeNull();
+  });
+
   it('returns null for a record with no recordId', () => {
     expect(mapRecordToRow({ fieldData: {} })).toBeNull();
     expect(mapRecordToRow(null)).toBeNull();
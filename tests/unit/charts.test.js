@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyMovement, buildWeeklyCharts, chartKeysFor, isoWeekKey, latestClosedWeek, parseChartWeek, shiftChartWeek
+} from '../../lib/charts.js';
+
+const W42 = parseChartWeek('2026-W42');
+let nextId = 1;
+const play = ({ track = '11', listener = 'a@x.za', at = W42.startMs + 3600e3, sec = 200, mode = 'FULL', quarantined = false }) => ({
+  recordId: String(nextId++), trackRecordId: track, listener, startMs: at, playedSec: sec, mode, quarantined
+});
+const maskandi = (title, extra = {}) => ({
+  'Track Name': title, 'Track Artist': 'Phuzekhemisi', 'Album Title': 'Imvunulo', 'Local Genre': 'Maskandi',
+  'Year of Release': '1992', 'Language Code': 'zu', ...extra
+});
+
+describe('ISO weeks', () => {
+  it('numbers weeks from the Monday, UTC', () => {
+    expect(isoWeekKey(Date.UTC(2026, 9, 12))).toBe('2026-W42');          // Monday
+    expect(isoWeekKey(Date.UTC(2026, 9, 18, 23, 59))).toBe('2026-W42');  // Sunday night
+    expect(isoWeekKey(Date.UTC(2027, 0, 1))).toBe('2026-W53');           // Friday in 2026's last week
+    expect(W42).toMatchObject({ ok: true, startMs: Date.UTC(2026, 9, 12), endMs: Date.UTC(2026, 9, 19) });
+  });
+
+  it('rejects weeks that do not exist', () => {
+    expect(parseChartWeek('2026-W53').ok).toBe(true);
+    expect(parseChartWeek('2027-W53').ok).toBe(false);
+    expect(parseChartWeek('2026-W00').ok).toBe(false);
+    expect(parseChartWeek('2026-42').ok).toBe(false);
+    expect(parseChartWeek('2026-w42').key).toBe('2026-W42');
+  });
+
+  it('steps across the year boundary and finds the last closed week', () => {
+    expect(shiftChartWeek('2027-W01', -1)).toBe('2026-W53');
+    expect(latestClosedWeek(Date.UTC(2026, 9, 19, 12))).toBe('2026-W42');
+  });
+});
+
+describe('chartKeysFor', () => {
+  it('files a track under its genre slug, decade and language', () => {
+    expect(chartKeysFor(maskandi('Emehlweni'))).toEqual([
+      { type: 'genre', key: 'maskandi', label: 'Maskandi' },
+      { type: 'decade', key: '1990s', label: '1990s' },
+      { type: 'language', key: 'zu', label: 'Zulu' }
+    ]);
+    expect(chartKeysFor({ 'Local Genre': 'Cape Jazz', 'Original Release date': '1974-02-12', 'Language Code': 'ZXX' }))
+      .toEqual([
+        { type: 'genre', key: 'cape-jazz', label: 'Cape Jazz' },
+        { type: 'decade', key: '1970s', label: '1970s' },
+        { type: 'language', key: 'zxx', label: 'Instrumental' }
+      ]);
+    expect(chartKeysFor({ 'Year of Release': '0000' })).toEqual([]);
+  });
+});
+
+describe('buildWeeklyCharts', () => {
+  const tracks = new Map([['11', maskandi('Emehlweni')], ['12', maskandi('Imvunulo')], ['13', maskandi('Ngiyabonga')]]);
+
+  it('counts qualifying plays in the week, at most three per listener and track', () => {
+    const events = [
+      ...Array.from({ length: 6 }, () => play({ track: '11', listener: 'fan@x.za' })),   // capped at 3
+      play({ track: '12', listener: 'a@x.za' }), play({ track: '12', listener: 'b@x.za' }),
+      play({ track: '12', listener: 'c@x.za' }), play({ track: '12', listener: 'd@x.za' }),
+      play({ track: '13', sec: 20 }),                                        // under 30 s
+      play({ track: '13', mode: 'PREVIEW' }),
+      play({ track: '13', quarantined: true }),
+      play({ track: '13', at: W42.endMs }),                                  // next week
+      play({ track: '99' })                                                  // not in the catalogue
+    ];
+    const { listens, charts } = buildWeeklyCharts(events, tracks, W42);
+    expect(listens).toBe(7);
+    expect(charts.map((c) => `${c.type}/${c.key}`)).toEqual(['decade/1990s', 'genre/maskandi', 'language/zu']);
+    expect(charts[1].entries).toEqual([
+      { position: 1, recordId: '12', title: 'Imvunulo', artist: 'Phuzekhemisi', album: 'Imvunulo', plays: 4, listeners: 4 },
+      { position: 2, recordId: '11', title: 'Emehlweni', artist: 'Phuzekhemisi', album: 'Imvunulo', plays: 3, listeners: 1 }
+    ]);
+  });
+
+  it('breaks ties on listeners and keeps every track of an album', () => {
+    const events = [
+      play({ track: '11', listener: 'a@x.za' }), play({ track: '11', listener: 'a@x.za' }),
+      play({ track: '12', listener: 'a@x.za' }), play({ track: '12', listener: 'b@x.za' })
+    ];
+    const [, genre] = buildWeeklyCharts(events, tracks, W42).charts;
+    expect(genre.entries.map((e) => e.recordId)).toEqual(['12', '11']);
+  });
+});
+
+describe('applyMovement', () => {
+  it('marks new, re-entries and moves against the archive', () => {
+    const entries = [{ position: 1, recordId: '11' }, { position: 2, recordId: '12' }, { position: 3, recordId: '13' }, { position: 4, recordId: '14' }];
+    const previous = new Map([
+      ['11', { week: '2026-W41', position: 3, weeksOnChart: 2, peak: 2 }],
+      ['12', { week: '2026-W41', position: 1, weeksOnChart: 5, peak: 1 }],
+      ['13', { week: '2026-W38', position: 9, weeksOnChart: 1, peak: 9 }]
+    ]);
+    expect(applyMovement(entries, previous, '2026-W41')).toEqual([
+      { position: 1, recordId: '11', movement: 'up', lastPosition: 3, change: 2, weeksOnChart: 3, peak: 1 },
+      { position: 2, recordId: '12', movement: 'down', lastPosition: 1, change: -1, weeksOnChart: 6, peak: 1 },
+      { position: 3, recordId: '13', movement: 're-entry', lastPosition: null, change: null, weeksOnChart: 2, peak: 3 },
+      { position: 4, recordId: '14', movement: 'new', lastPosition: null, change: null, weeksOnChart: 1, peak: 4 }
+    ]);
+  });
+});
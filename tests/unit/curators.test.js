@@ -0,0 +1,108 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Curator profiles and follows: profile validation, what the public sees of a
+// profile or playlist, whether a followed link still reaches its playlist,
+// and picking the feed. The routes are exercised in
+// tests/integration/curators-route.test.js.
+vi.mock('../../fm-client.js', () => ({
+  fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+  fmFindAll: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+  fmCreateRecord: vi.fn(async () => ({ recordId: '1' })),
+  fmUpdateRecord: vi.fn(async () => ({})),
+  fmDeleteRecord: vi.fn(async () => ({}))
+}));
+
+const {
+  normalizeCuratorProfile, publicProfile, playlistSummary, followStillReaches, selectFeedItems
+} = await import('../../lib/curators.js');
+
+describe('normalizeCuratorProfile', () => {
+  it('trims and lower-cases', () => {
+    expect(normalizeCuratorProfile({ handle: ' @DJ-Tira ', displayName: '  DJ   Tira ', bio: ' Durban. ' })).toEqual({
+      ok: true, profile: { handle: 'dj-tira', displayName: 'DJ Tira', bio: 'Durban.' }
+    });
+  });
+
+  it.each([
+    [{ handle: 'dj', displayName: 'DJ' }, 'handle must be 3–30 letters, numbers or dashes'],
+    [{ handle: '-dj-tira', displayName: 'DJ' }, 'handle must be 3–30 letters, numbers or dashes'],
+    [{ handle: 'dj--tira', displayName: 'DJ' }, 'handle must be 3–30 letters, numbers or dashes'],
+    [{ handle: 'dj tira', displayName: 'DJ' }, 'handle must be 3–30 letters, numbers or dashes'],
+    [{ handle: 'MadMusic', displayName: 'DJ' }, 'That handle is reserved'],
+    [{ handle: 'dj-tira', displayName: ' ' }, 'Display name required'],
+    [{ handle: 'dj-tira', displayName: 'tira@example.com' }, 'Display name can’t contain @ — it’s shown publicly'],
+    [{ handle: 'dj-tira', displayName: '<b>Tira</b>' }, 'HTML tags not allowed'],
+    [{ handle: 'dj-tira', displayName: 'DJ Tira', bio: 'x'.repeat(281) }, 'Bio too long (max 280 chars)'],
+    [[], 'profile must be an object']
+  ])('refuses %j', (raw, error) => {
+    expect(normalizeCuratorProfile(raw)).toEqual({ ok: false, error });
+  });
+});
+
+describe('what the public sees', () => {
+  it('leaves the email out of a profile', () => {
+    const profile = { id: 'p1', email: 'tira@example.com', handle: 'dj-tira', displayName: 'DJ Tira', bio: '', createdAt: '2026-10-01T00:00:00.000Z', _fmRecordId: '9' };
+    expect(publicProfile(profile)).toEqual({ handle: 'dj-tira', displayName: 'DJ Tira', bio: '', createdAt: '2026-10-01T00:00:00.000Z' });
+    expect(JSON.stringify(publicProfile(profile))).not.toContain('@');
+  });
+
+  it('sums a playlist up without its tracks or owner', () => {
+    const playlist = {
+      id: 'pl-1', userId: 'tira@example.com', name: 'Gqom Fridays', shareId: 'abc', artwork: '',
+      tracks: [{ artwork: 'not-a-url' }, { artworkUrl: 'https://cdn.example.com/a.jpg' }], updatedAt: '2026-10-18T00:00:00.000Z'
+    };
+    expect(playlistSummary(playlist)).toEqual({
+      shareId: 'abc', name: 'Gqom Fridays', trackCount: 2, artwork: 'https://cdn.example.com/a.jpg', updatedAt: '2026-10-18T00:00:00.000Z'
+    });
+  });
+});
+
+describe('followStillReaches', () => {
+  const follow = { shareId: 'old' };
+
+  it('needs the same link, unless the playlist is listed', () => {
+    expect(followStillReaches({ shareId: 'old' }, follow)).toBe(true);
+    expect(followStillReaches({ shareId: 'new' }, follow)).toBe(false);
+    expect(followStillReaches({ shareId: 'new', listedAt: '2026-10-01T00:00:00.000Z' }, follow)).toBe(true);
+    expect(followStillReaches({ shareId: null, listedAt: '2026-10-01T00:00:00.000Z' }, follow)).toBe(false);
+    expect(followStillReaches(null, follow)).toBe(false);
+  });
+});
+
+describe('selectFeedItems', () => {
+  const followed = (targetType, createdAt = '2026-10-10T00:00:00.000Z') => ({ targetType, createdAt });
+  const playlist = (id, updatedAt, userId = 'tira@example.com') => ({ id, userId, name: id, shareId: `s-${id}`, tracks: [], updatedAt });
+  const curator = { handle: 'dj-tira', displayName: 'DJ Tira' };
+  const names = (items) => items.map((item) => item.playlist.name);
+
+  it('lists playlists updated after the follow, newest first', () => {
+    const items = selectFeedItems([
+      { follow: followed('playlist'), playlist: playlist('a', '2026-10-12T00:00:00.000Z') },
+      { follow: followed('playlist'), playlist: playlist('b', '2026-10-09T00:00:00.000Z') }, // before the follow
+      { follow: followed('curator'), playlist: playlist('c', '2026-10-15T00:00:00.000Z'), curator }
+    ]);
+    expect(names(items)).toEqual(['c', 'a']);
+    expect(items[0]).toMatchObject({ via: 'curator', curator: { handle: 'dj-tira', displayName: 'DJ Tira' } });
+  });
+
+  it('shows a playlist followed both ways once, as followed', () => {
+    const p = playlist('a', '2026-10-12T00:00:00.000Z');
+    const items = selectFeedItems([
+      { follow: followed('playlist'), playlist: p },
+      { follow: followed('curator'), playlist: p, curator }
+    ]);
+    expect(items).toHaveLength(1);
+    expect(items[0].via).toBe('playlist');
+  });
+
+  it('honours since and the limit, and skips the reader’s own playlists', () => {
+    const entries = [
+      { follow: followed('playlist'), playlist: playlist('a', '2026-10-12T00:00:00.000Z') },
+      { follow: followed('playlist'), playlist: playlist('b', '2026-10-14T00:00:00.000Z') },
+      { follow: followed('playlist'), playlist: playlist('c', '2026-10-16T00:00:00.000Z') },
+      { follow: followed('curator'), playlist: playlist('mine', '2026-10-17T00:00:00.000Z', 'me@example.com'), curator }
+    ];
+    expect(names(selectFeedItems(entries, { since: '2026-10-13T00:00:00.000Z', email: 'Me@Example.com' }))).toEqual(['c', 'b']);
+    expect(names(selectFeedItems(entries, { limit: 1, email: 'me@example.com' }))).toEqual(['c']);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { aggregateEngagement, albumIdentity, engagementLean, engagementWeight, readEngagementListen } from '../../lib/engagement.js';
+
+const SEPT = { startMs: Date.UTC(2026, 8, 1), endMs: Date.UTC(2026, 9, 1) };
+
+// Stream_Events fieldData as routes/access.js writes it (UTC MM/DD/YYYY).
+const listen = (trackId, listener, start, playedSec, durationSec, extra = {}) => readEngagementListen({
+  TrackRecordID: trackId, PlayStartUTC: start, TimestampUTC: start, TotalPlayedSec: playedSec,
+  DurationSec: durationSec, Email: listener, 'Track Name': `Track ${trackId}`, 'Track Artist': 'Someone', ...extra
+});
+
+describe('aggregateEngagement', () => {
+  const events = [
+    listen('1', 'a@example.com', '09/02/2026 08:00:00', 200, 200),
+    listen('1', 'a@example.com', '09/03/2026 08:00:00', 100, 200),    // a came back another day
+    listen('1', 'b@example.com', '09/02/2026 09:00:00', 20, 200),     // skip
+    listen('2', 'c@example.com', '09/04/2026 10:00:00', 20, 20),      // too short to skip
+    listen('3', 'd@example.com', '09/05/2026 11:00:00', 5, 0),        // skip, duration unknown
+    listen('1', 'e@example.com', '09/06/2026 08:00:00', 30, 200, { PlaybackMode: 'PREVIEW' }),
+    listen('1', 'a@example.com', '10/01/2026 08:00:00', 200, 200),    // next month
+    listen('2', 'c@example.com', '09/30/2026 23:58:00', 20, 20, { LastEventUTC: '10/01/2026 00:00:20' }) // still playing at endMs
+  ];
+  const albums = new Map([
+    ['1', { key: 'side a|||band', title: 'Side A', artist: 'Band', catalogue: 'CAT-1' }],
+    ['2', { key: 'side a|||band', title: 'Side A', artist: 'Band', catalogue: 'CAT-1' }]
+  ]);
+
+  it('computes skip, completion and replay rates across the window', () => {
+    const r = aggregateEngagement(events, { ...SEPT, albums });
+    expect(r.totals).toEqual({
+      listens: 5, tracks: 3, albums: 1,
+      skipRate: 0.5, avgCompletion: 0.65, replayRate: 0.25, score: 0.515
+    });
+    expect(r.tracks[0]).toMatchObject({
+      recordId: '1', title: 'Track 1', listens: 3, skips: 1, listeners: 2,
+      skipRate: 0.333, avgCompletion: 0.533, replayRate: 0.5
+    });
+  });
+
+  it('pulls thinly heard tracks toward the catalogue average', () => {
+    const r = aggregateEngagement(events, { ...SEPT, albums });
+    // Track 2 blends to 0.85 on one listen; ten prior listens at 0.515 hold it near the mean.
+    expect(r.tracks.find((t) => t.recordId === '2').score).toBe(0.545);
+  });
+
+  it('groups tracks into albums and leaves unmapped tracks out of them', () => {
+    const r = aggregateEngagement(events, { ...SEPT, albums });
+    expect(r.albums).toEqual([expect.objectContaining({
+      key: 'side a|||band', title: 'Side A', catalogue: 'CAT-1', listens: 4, tracks: 2, skips: 1
+    })]);
+  });
+
+  it('is empty, not broken, with no listens', () => {
+    const r = aggregateEngagement([], SEPT);
+    expect(r.totals).toMatchObject({ listens: 0, tracks: 0, albums: 0, skipRate: 0 });
+    expect(r.tracks).toEqual([]);
+  });
+});
+
+describe('engagementWeight', () => {
+  it('scales around 1 at 0.5 before there is a snapshot', () => {
+    expect(engagementWeight(1, 0.25)).toBe(1.25);
+    expect(engagementWeight(0, 0.25)).toBe(0.75);
+    expect(engagementWeight(0.5, 0.25)).toBe(1);
+  });
+
+  it('is neutral without a score or a weight', () => {
+    expect(engagementWeight(null, 0.25)).toBe(1);
+    expect(engagementWeight(0.9, 0)).toBe(1);
+  });
+
+  it('centres on the catalogue prior, not the middle of the scale', () => {
+    const prior = 0.7;
+    expect(engagementWeight(prior, 0.25, prior)).toBe(1);
+    expect(engagementWeight(1, 0.25, prior)).toBe(1.25);
+    expect(engagementWeight(0, 0.25, prior)).toBe(0.75);
+    expect(engagementWeight(0.5, 0.25, prior)).toBeLessThan(1);
+    expect(engagementLean(0.85, prior)).toBeCloseTo(0.5);
+  });
+});
+
+describe('albumIdentity', () => {
+  it('keys an album on title and album artist, keeping the catalogue number', () => {
+    expect(albumIdentity({
+      'Album Title': ' Pata  Pata', 'Tape Files::Album Artist': 'Miriam Makeba', 'Track Artist': 'Someone Else',
+      'Reference Catalogue Number': 'GAL-100'
+    })).toEqual({ key: 'pata pata|||miriam makeba', title: 'Pata  Pata', artist: 'Miriam Makeba', catalogue: 'GAL-100' });
+  });
+
+  it('returns null for a record with no album', () => {
+    expect(albumIdentity({ 'Track Artist': 'Someone' })).toBeNull();
+  });
+});
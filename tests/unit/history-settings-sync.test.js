@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+
+// History settings are cached per worker; a clear / pause on one worker must
+// reach the others' caches through the primary, not wait out the TTL.
+const stored = vi.hoisted(() => ({ json: '' }));
+vi.mock('../../fm-client.js', () => ({
+  fmFindRecords: vi.fn(async () => (stored.json
+    ? { ok: true, data: [{ recordId: '1', fieldData: { Settings_JSON: stored.json } }] }
+    : { ok: false, code: '401', data: [] })),
+  fmCreateRecord: vi.fn(async (layout, fields) => { stored.json = fields.Settings_JSON; return { recordId: '1' }; }),
+  fmUpdateRecord: vi.fn(async (layout, recordId, fields) => { stored.json = fields.Settings_JSON; return {}; })
+}));
+
+const history = await import('../../lib/history-store.js');
+const { fmFindRecords } = await import('../../fm-client.js');
+
+const sent = [];
+const channel = new EventEmitter();
+channel.send = (msg, cb) => { sent.push(msg); cb?.(null); return true; };
+history.initHistorySettingsSync({ channel });
+
+describe('history settings across workers', () => {
+  it('tells the other workers when this one pauses history', async () => {
+    await history.updateHistorySettings('MASS-SYNC-A', (s) => history.setHistoryPaused(s, true));
+    expect(sent).toEqual([{ type: history.HISTORY_SETTINGS_IPC_TYPE, token: 'MASS-SYNC-A' }]);
+  });
+
+  it('drops its cached copy when another worker changes them', async () => {
+    stored.json = '';
+    expect((await history.loadHistorySettings('MASS-SYNC-B')).paused).toBe(false);
+    // Another worker pauses history: FileMaker changes, this cache doesn't.
+    stored.json = JSON.stringify({ paused: true, pausedSince: '2026-10-19T10:00:00.000Z' });
+    expect((await history.loadHistorySettings('MASS-SYNC-B')).paused).toBe(false);
+
+    fmFindRecords.mockClear();
+    channel.emit('message', { type: history.HISTORY_SETTINGS_IPC_TYPE, token: 'MASS-SYNC-B' });
+    expect((await history.loadHistorySettings('MASS-SYNC-B')).paused).toBe(true);
+    expect(fmFindRecords).toHaveBeenCalledTimes(1);
+  });
+});
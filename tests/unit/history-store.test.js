@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_HISTORY_SETTINGS,
+  normalizeHistorySettings,
+  clearHistorySettings,
+  setHistoryPaused,
+  isHiddenFromHistory
+} from '../../lib/history-store.js';
+
+const T = (iso) => Date.parse(iso);
+
+describe('normalizeHistorySettings', () => {
+  it('defaults junk and drops malformed pause windows', () => {
+    expect(normalizeHistorySettings(null)).toEqual({ ...DEFAULT_HISTORY_SETTINGS });
+    const s = normalizeHistorySettings({
+      clearedAt: 'not a date',
+      paused: true,
+      pauses: [{ from: '2026-10-02T00:00:00Z', to: '2026-10-01T00:00:00Z' }, { from: '2026-10-01T00:00:00Z' }, 'x']
+    });
+    expect(s).toEqual({ clearedAt: null, paused: false, pausedSince: null, pauses: [] });
+  });
+});
+
+describe('clear / pause', () => {
+  it('pausing opens a window; resuming closes it', () => {
+    let s = setHistoryPaused(DEFAULT_HISTORY_SETTINGS, true, '2026-10-01T10:00:00.000Z');
+    expect(s).toMatchObject({ paused: true, pausedSince: '2026-10-01T10:00:00.000Z' });
+    // A second "pause" doesn't move the start of the window.
+    expect(setHistoryPaused(s, true, '2026-10-01T11:00:00.000Z').pausedSince).toBe('2026-10-01T10:00:00.000Z');
+    s = setHistoryPaused(s, false, '2026-10-01T12:00:00.000Z');
+    expect(s).toEqual({
+      clearedAt: null, paused: false, pausedSince: null,
+      pauses: [{ from: '2026-10-01T10:00:00.000Z', to: '2026-10-01T12:00:00.000Z' }]
+    });
+  });
+
+  it('clearing moves the cut-off and drops the windows it covers', () => {
+    const paused = setHistoryPaused(setHistoryPaused({}, true, '2026-10-01T10:00:00.000Z'), false, '2026-10-01T12:00:00.000Z');
+    const s = clearHistorySettings(paused, '2026-10-05T00:00:00.000Z');
+    expect(s).toMatchObject({ clearedAt: '2026-10-05T00:00:00.000Z', pauses: [] });
+  });
+});
+
+describe('isHiddenFromHistory', () => {
+  const settings = normalizeHistorySettings({
+    clearedAt: '2026-10-01T00:00:00.000Z',
+    pauses: [{ from: '2026-10-03T00:00:00.000Z', to: '2026-10-04T00:00:00.000Z' }],
+    paused: true,
+    pausedSince: '2026-10-10T00:00:00.000Z'
+  });
+
+  it('hides listens before a clear, inside a pause window and since an open pause', () => {
+    expect(isHiddenFromHistory(settings, T('2026-09-30T23:59:59Z'))).toBe(true);
+    expect(isHiddenFromHistory(settings, T('2026-10-03T12:00:00Z'))).toBe(true);
+    expect(isHiddenFromHistory(settings, T('2026-10-11T00:00:00Z'))).toBe(true);
+  });
+
+  it('shows everything else', () => {
+    expect(isHiddenFromHistory(settings, T('2026-10-02T00:00:00Z'))).toBe(false);
+    expect(isHiddenFromHistory(settings, T('2026-10-04T00:00:00Z'))).toBe(false);
+    expect(isHiddenFromHistory(DEFAULT_HISTORY_SETTINGS, T('2026-10-11T00:00:00Z'))).toBe(false);
+    expect(isHiddenFromHistory(null, T('2026-10-11T00:00:00Z'))).toBe(false);
+  });
+});
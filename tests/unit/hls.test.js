@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { computePreviewCap } from '../../lib/mp3-preview.js';
+import { planSegments, renderPlaylist, id3TimestampTag, sliceSegment } from '../../lib/hls.js';
+
+// 128 kbps / 44.1 kHz MPEG1 Layer III: 16 000 B/s, 417-byte frames.
+const FRAME_LEN = 417;
+function framedMp3(size) {
+  const buf = Buffer.alloc(size);
+  for (let i = 0; i + 4 <= size; i += FRAME_LEN) {
+    buf[i] = 0xff; buf[i + 1] = 0xfb; buf[i + 2] = 0x90; buf[i + 3] = 0x00;
+  }
+  return buf;
+}
+
+// Strip the leading ID3 timestamp tag from a segment.
+function audioOf(segment) {
+  const size = (segment[6] << 21) | (segment[7] << 14) | (segment[8] << 7) | segment[9];
+  return segment.subarray(10 + size);
+}
+
+describe('planSegments', () => {
+  it('splits a CBR file into fixed-length segments with a short tail', () => {
+    const mp3 = framedMp3(16000 * 20); // 20 s
+    const plan = planSegments(computePreviewCap(mp3, 6), mp3.length, 6);
+    expect(plan.segments.map((s) => s.durationSec)).toEqual([6, 6, 6, 2]);
+    expect(plan.targetDuration).toBe(6);
+    expect(plan.segments[1].from).toBe(96000);
+    expect(plan.segments[3].to).toBe(mp3.length);
+    // Estimated spans tile the file.
+    for (let i = 1; i < plan.segments.length; i++) {
+      expect(plan.segments[i].from).toBe(plan.segments[i - 1].to);
+    }
+  });
+
+  it('refuses files it cannot place boundaries in', () => {
+    const junk = Buffer.alloc(8192, 0x41);
+    expect(planSegments(computePreviewCap(junk, 6), 100_000)).toBeNull();
+    const mp3 = framedMp3(16000 * 20);
+    expect(planSegments(computePreviewCap(mp3, 6), null)).toBeNull();
+  });
+});
+
+describe('renderPlaylist', () => {
+  it('renders a VOD playlist with one EXTINF per segment', () => {
+    const mp3 = framedMp3(16000 * 20);
+    const plan = planSegments(computePreviewCap(mp3, 6), mp3.length, 6);
+    const text = renderPlaylist(plan, (n) => `${n}.mp3?sig=x`);
+    const lines = text.trim().split('\n');
+    expect(lines[0]).toBe('#EXTM3U');
+    expect(lines).toContain('#EXT-X-TARGETDURATION:6');
+    expect(lines).toContain('#EXT-X-PLAYLIST-TYPE:VOD');
+    expect(lines.filter((l) => l.startsWith('#EXTINF:'))).toEqual(
+      ['#EXTINF:6.000,', '#EXTINF:6.000,', '#EXTINF:6.000,', '#EXTINF:2.000,']);
+    expect(lines).toContain('3.mp3?sig=x');
+    expect(lines.at(-1)).toBe('#EXT-X-ENDLIST');
+  });
+});
+
+describe('id3TimestampTag', () => {
+  it('carries the segment start as a 90 kHz PTS in a PRIV frame', () => {
+    const tag = id3TimestampTag(12);
+    expect(tag.subarray(0, 3).toString('latin1')).toBe('ID3');
+    expect(tag.subarray(10, 14).toString('latin1')).toBe('PRIV');
+    const owner = 'com.apple.streaming.transportStreamTimestamp\0';
+    expect(tag.subarray(20, 20 + owner.length).toString('latin1')).toBe(owner);
+    expect(tag.readBigUInt64BE(20 + owner.length)).toBe(12n * 90000n);
+    expect(tag.length).toBe(10 + 10 + owner.length + 8);
+  });
+});
+
+describe('sliceSegment', () => {
+  it('cuts every segment on a frame boundary and the segments rebuild the stream', () => {
+    const mp3 = framedMp3(16000 * 20);
+    const plan = planSegments(computePreviewCap(mp3, 6), mp3.length, 6);
+    const parts = plan.segments.map((seg, i) => {
+      const isLast = i === plan.segments.length - 1;
+      const to = isLast ? seg.to : Math.min(mp3.length, seg.to + 8192);
+      const audio = audioOf(sliceSegment(mp3.subarray(seg.from, to), seg, isLast));
+      expect(audio[0]).toBe(0xff);
+      expect(audio[1]).toBe(0xfb);
+      return audio;
+    });
+    expect(Buffer.concat(parts).equals(mp3)).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { parseByteRange } from '../../lib/http.js';
+
+const SIZE = 480000; // a 30 s preview at 128 kbps
+
+describe('parseByteRange', () => {
+  it('returns null when there is no Range header', () => {
+    expect(parseByteRange(undefined, SIZE)).toBeNull();
+    expect(parseByteRange('', SIZE)).toBeNull();
+  });
+
+  it('resolves a closed range, clamping the end to the body', () => {
+    expect(parseByteRange('bytes=0-1', SIZE)).toEqual({ start: 0, end: 1 });
+    expect(parseByteRange('bytes=100-9999999', SIZE)).toEqual({ start: 100, end: SIZE - 1 });
+  });
+
+  it('resolves an open-ended range to the end of the body', () => {
+    expect(parseByteRange('bytes=470000-', SIZE)).toEqual({ start: 470000, end: SIZE - 1 });
+  });
+
+  it('resolves a suffix range to the LAST n bytes', () => {
+    expect(parseByteRange('bytes=-500', SIZE)).toEqual({ start: SIZE - 500, end: SIZE - 1 });
+    expect(parseByteRange('bytes=-9999999', SIZE)).toEqual({ start: 0, end: SIZE - 1 });
+  });
+
+  it('tolerates whitespace and case in the unit', () => {
+    expect(parseByteRange('Bytes = 10 - 20', SIZE)).toEqual({ start: 10, end: 20 });
+  });
+
+  it('coalesces multiple ranges into one covering span', () => {
+    expect(parseByteRange('bytes=0-99, 1000-1099', SIZE)).toEqual({ start: 0, end: 1099 });
+    // Unsatisfiable parts are dropped, the rest still served.
+    expect(parseByteRange(`bytes=${SIZE + 10}-, 50-60`, SIZE)).toEqual({ start: 50, end: 60 });
+  });
+
+  it('reports ranges wholly past the body as unsatisfiable', () => {
+    expect(parseByteRange(`bytes=${SIZE}-`, SIZE)).toEqual({ unsatisfiable: true });
+    expect(parseByteRange('bytes=-0', SIZE)).toEqual({ unsatisfiable: true });
+  });
+
+  it('ignores malformed headers rather than rejecting them', () => {
+    expect(parseByteRange('items=0-10', SIZE)).toBeNull();
+    expect(parseByteRange('bytes=-', SIZE)).toBeNull();
+    expect(parseByteRange('bytes=20-10', SIZE)).toBeNull();
+    expect(parseByteRange('bytes=abc', SIZE)).toBeNull();
+  });
+});
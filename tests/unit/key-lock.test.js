@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createKeyLock } from '../../lib/key-lock.js';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('createKeyLock', () => {
+  it('runs calls for one key in order, other keys alongside', async () => {
+    const withLock = createKeyLock();
+    const log = [];
+    const slow = (label) => async () => { log.push(`${label} in`); await tick(); log.push(`${label} out`); };
+    await Promise.all([withLock('a', slow('a1')), withLock('a', slow('a2')), withLock('b', slow('b1'))]);
+    expect(log.indexOf('a2 in')).toBeGreaterThan(log.indexOf('a1 out'));
+    expect(log.indexOf('b1 in')).toBeLessThan(log.indexOf('a1 out'));
+  });
+
+  it('tells a call whether it waited', async () => {
+    const withLock = createKeyLock();
+    const waited = await Promise.all([withLock('k', async (w) => w), withLock('k', async (w) => w)]);
+    expect(waited).toEqual([false, true]);
+    expect(await withLock('k', async (w) => w)).toBe(false);
+  });
+
+  it('keeps going past a failed call', async () => {
+    const withLock = createKeyLock();
+    const failed = withLock('k', async () => { throw new Error('FM write failed'); });
+    const next = withLock('k', async () => 'written');
+    await expect(failed).rejects.toThrow('FM write failed');
+    await expect(next).resolves.toBe('written');
+  });
+
+  it('keeps separate locks apart', async () => {
+    const first = createKeyLock();
+    const second = createKeyLock();
+    let release;
+    const held = first('k', () => new Promise((resolve) => { release = resolve; }));
+    expect(await second('k', async (w) => w)).toBe(false);
+    release();
+    await held;
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildTrackHistory } from '../../lib/listening-history.js';
+import { DEFAULT_HISTORY_SETTINGS, clearHistorySettings } from '../../lib/history-store.js';
+
+// Stream_Events fieldData as routes/access.js writes it (UTC MM/DD/YYYY).
+function listen(trackId, start, last, { type = 'PROGRESS', position = 0, duration = 240 } = {}) {
+  return {
+    TrackRecordID: trackId,
+    EventType: type,
+    PlayStartUTC: start,
+    LastEventUTC: last,
+    TimestampUTC: last,
+    TimeStreamed: position,
+    DurationSec: duration
+  };
+}
+
+describe('buildTrackHistory', () => {
+  it('folds listens into one entry per track, most recent first', () => {
+    const entries = buildTrackHistory([
+      listen('7', '10/05/2026 09:00:00', '10/05/2026 09:02:00', { position: 120 }),
+      listen('8', '10/04/2026 20:00:00', '10/04/2026 20:04:00', { type: 'END', position: 240 }),
+      listen('7', '10/03/2026 08:00:00', '10/03/2026 08:04:00', { type: 'END', position: 240 })
+    ], DEFAULT_HISTORY_SETTINGS);
+    expect(entries).toEqual([
+      { trackId: '7', lastPlayedAt: '2026-10-05T09:02:00.000Z', plays: 2, positionSec: 120, durationSec: 240, finished: false },
+      { trackId: '8', lastPlayedAt: '2026-10-04T20:04:00.000Z', plays: 1, positionSec: 0, durationSec: 240, finished: true }
+    ]);
+  });
+
+  it('takes the position from the latest listen even when the find is out of order', () => {
+    const [entry] = buildTrackHistory([
+      listen('7', '10/03/2026 08:00:00', '10/03/2026 08:01:00', { position: 60 }),
+      listen('7', '10/05/2026 09:00:00', '10/05/2026 09:03:00', { position: 180 })
+    ], DEFAULT_HISTORY_SETTINGS);
+    expect(entry).toMatchObject({ plays: 2, positionSec: 180 });
+  });
+
+  it('does not offer to resume the last stretch or the first few seconds', () => {
+    const entries = buildTrackHistory([
+      listen('1', '10/05/2026 09:00:00', '10/05/2026 09:04:00', { position: 225 }),
+      listen('2', '10/05/2026 08:00:00', '10/05/2026 08:00:10', { position: 10 })
+    ], DEFAULT_HISTORY_SETTINGS);
+    expect(entries.map((e) => [e.trackId, e.positionSec, e.finished])).toEqual([['1', 0, true], ['2', 0, false]]);
+  });
+
+  it('leaves out listens hidden by a clear', () => {
+    const settings = clearHistorySettings(DEFAULT_HISTORY_SETTINGS, '2026-10-04T00:00:00.000Z');
+    const entries = buildTrackHistory([
+      listen('7', '10/05/2026 09:00:00', '10/05/2026 09:02:00', { position: 120 }),
+      listen('7', '10/03/2026 08:00:00', '10/03/2026 08:04:00', { type: 'END', position: 240 }),
+      listen('8', '10/03/2026 07:00:00', '10/03/2026 07:04:00')
+    ], settings);
+    expect(entries.map((e) => [e.trackId, e.plays])).toEqual([['7', 1]]);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+
+// "Listening now" (lib/live-feed.js) as a cluster worker: events keep listens
+// live until a pause / end or silence, admins see every event, the public
+// ticker is counts only and throttled, and events cross workers over IPC.
+let feed;
+const sent = [];
+// Stands in for the worker's IPC link to the primary (process in production).
+const channel = new EventEmitter();
+channel.send = (msg, cb) => { sent.push(msg); cb?.(null); return true; };
+
+beforeAll(async () => {
+  feed = await import('../../lib/live-feed.js');
+  feed.initLiveFeed({ channel });
+});
+
+function fakeClient() {
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    status() { return this; },
+    set() { return this; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); return true; },
+    end() { this.ended = true; },
+    events(name) {
+      return this.chunks.filter((c) => c.startsWith(`event: ${name}\n`))
+        .map((c) => JSON.parse(c.split('\ndata: ')[1]));
+    }
+  };
+  return { req, res };
+}
+
+const play = (type, sessionId, trackRecordId = '100', extra = {}) => feed.publishStreamEvent({
+  eventType: type, sessionId, trackRecordId, trackName: `Song ${trackRecordId}`, trackArtist: 'Band', playbackMode: 'FULL', ...extra
+});
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  sent.length = 0;
+});
+
+afterEach(() => {
+  feed.closeLiveFeed();
+  // End every listen left over from the test.
+  for (const s of ['a', 'b', 'c', 'secret-session-id']) for (const t of ['100', '200']) play('END', s, t);
+  channel.emit('message', { type: feed.LIVE_FEED_IPC_TYPE, event: { type: 'END', listener: 'otherworker', trackRecordId: '200' } });
+  vi.useRealTimers();
+});
+
+describe('live feed', () => {
+  it('counts listens until they pause, end or go silent', () => {
+    play('PLAY', 'a');
+    play('PROGRESS', 'b');
+    play('PLAY', 'c', '200');
+    expect(feed.listeningNow()).toEqual({
+      listening: 3,
+      tracks: [
+        { trackRecordId: '100', title: 'Song 100', artist: 'Band', listeners: 2 },
+        { trackRecordId: '200', title: 'Song 200', artist: 'Band', listeners: 1 }
+      ]
+    });
+    play('STOPPED', 'a');
+    play('END', 'c', '200');
+    expect(feed.listeningNow().listening).toBe(1);
+    vi.advanceTimersByTime(91 * 1000);
+    expect(feed.listeningNow().listening).toBe(0);
+  });
+
+  it('keeps hidden or unresolved tracks off the public ticker but counts the listener', () => {
+    play('PLAY', 'a', '100', { visible: false });
+    play('PLAY', 'b', '200', { trackName: '' });
+    expect(feed.listeningNow()).toEqual({ listening: 2, tracks: [] });
+  });
+
+  it('streams every event to admins, with a listener tag instead of the session id', () => {
+    const { req, res } = fakeClient();
+    expect(feed.subscribe('admin', req, res)).toBe(true);
+    play('PLAY', 'secret-session-id', '100', { playbackMode: 'PREVIEW' });
+    const [event] = res.events('listen');
+    expect(event).toMatchObject({ type: 'PLAY', trackRecordId: '100', title: 'Song 100', mode: 'PREVIEW', subscriber: false });
+    expect(event.listener).toMatch(/^[0-9a-f]{10}$/);
+    expect(JSON.stringify(res.chunks)).not.toContain('secret-session-id');
+  });
+
+  it('sends the public ticker at most once per interval, and only when it changed', () => {
+    const { req, res } = fakeClient();
+    feed.subscribe('public', req, res);
+    expect(res.events('listening')).toEqual([{ listening: 0, tracks: [] }]);
+    play('PLAY', 'a');
+    play('PLAY', 'b');
+    expect(res.events('listening')).toHaveLength(1);
+    vi.advanceTimersByTime(5000);
+    expect(res.events('listening')[1].listening).toBe(2);
+    expect(res.events('listen')).toEqual([]);   // never the raw events
+
+    play('PROGRESS', 'a');                       // same counts → nothing new
+    vi.advanceTimersByTime(5000);
+    expect(res.events('listening')).toHaveLength(2);
+  });
+
+  it('drops a subscriber when its connection closes', () => {
+    const { req, res } = fakeClient();
+    feed.subscribe('admin', req, res);
+    req.emit('close');
+    play('PLAY', 'a');
+    expect(res.events('listen')).toEqual([]);
+    expect(feed.liveFeedStatus()).toMatchObject({ enabled: true, adminClients: 0 });
+  });
+
+  it('relays events to the primary and delivers events relayed from other workers', () => {
+    play('PLAY', 'a');
+    expect(sent).toEqual([{ type: feed.LIVE_FEED_IPC_TYPE, event: expect.objectContaining({ type: 'PLAY', trackRecordId: '100' }) }]);
+
+    const { req, res } = fakeClient();
+    feed.subscribe('admin', req, res);
+    const fromOtherWorker = { ...sent[0].event, listener: 'otherworker', trackRecordId: '200', at: Date.now() };
+    channel.emit('message', { type: feed.LIVE_FEED_IPC_TYPE, event: fromOtherWorker });
+    expect(res.events('listen')).toEqual([fromOtherWorker]);
+    expect(feed.listeningNow().listening).toBe(2);
+    expect(sent).toHaveLength(1);                // relayed events are not sent back
+  });
+});
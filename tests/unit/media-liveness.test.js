@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// The token behind a signed media URL: the auth middleware's cache first, then
+// FileMaker at most once a minute, definitive denials refused, and an FM
+// outage only riding on a token recently seen live.
+const verdicts = new Map();
+vi.mock('../../lib/auth.js', () => ({
+  validateAccessToken: vi.fn(async (code) => verdicts.get(code) || { valid: false, reason: 'FM unreachable' })
+}));
+
+const { validateAccessToken } = await import('../../lib/auth.js');
+const { tokenValidationCache } = await import('../../cache.js');
+const { mediaSubject, sealMediaToken } = await import('../../lib/media-sign.js');
+const { checkMediaTokenLive } = await import('../../lib/media-liveness.js');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const link = (code) => [{ tok: sealMediaToken(code) }, mediaSubject(code)];
+
+beforeEach(() => {
+  validateAccessToken.mockClear();
+});
+
+describe('checkMediaTokenLive', () => {
+  it('needs the sealed token the signature was bound to', async () => {
+    const [query] = link('MASS-LIVE-ONE');
+    expect(await checkMediaTokenLive(query, mediaSubject('MASS-LIVE-TWO'), NOW)).toEqual({ ok: false, reason: 'unsigned' });
+    expect(await checkMediaTokenLive({}, mediaSubject('MASS-LIVE-ONE'), NOW)).toEqual({ ok: false, reason: 'unsigned' });
+  });
+
+  it('takes the auth middleware’s fresh validation without asking FileMaker', async () => {
+    tokenValidationCache.set('MASS-LIVE-CACHED', { data: {}, expiresAt: NOW + 60_000 });
+    expect(await checkMediaTokenLive(...link('MASS-LIVE-CACHED'), NOW)).toEqual({ ok: true });
+    expect(validateAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('asks FileMaker once a minute, and refuses a disabled token', async () => {
+    verdicts.set('MASS-LIVE-SOON-OFF', { valid: true });
+    const args = link('MASS-LIVE-SOON-OFF');
+    expect(await checkMediaTokenLive(...args, NOW)).toEqual({ ok: true });
+    verdicts.set('MASS-LIVE-SOON-OFF', { valid: false, definitive: true, reason: 'Token disabled' });
+    expect(await checkMediaTokenLive(...args, NOW + 30_000)).toEqual({ ok: true });
+    expect(validateAccessToken).toHaveBeenCalledTimes(1);
+    expect(await checkMediaTokenLive(...args, NOW + 61_000)).toEqual({ ok: false, reason: 'revoked' });
+  });
+
+  it('rides out an FM outage only for a token recently seen live', async () => {
+    verdicts.set('MASS-LIVE-OUTAGE', { valid: true });
+    const args = link('MASS-LIVE-OUTAGE');
+    await checkMediaTokenLive(...args, NOW);
+    verdicts.delete('MASS-LIVE-OUTAGE');
+    expect(await checkMediaTokenLive(...args, NOW + 5 * 60_000)).toEqual({ ok: true });
+    expect(await checkMediaTokenLive(...link('MASS-NEVER-SEEN'), NOW)).toEqual({ ok: false, reason: 'revoked' });
+  });
+});
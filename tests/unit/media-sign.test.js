@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { signMedia, verifyMedia, mediaSubject, mediaQueryString, sealMediaToken, openMediaToken } from '../../lib/media-sign.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+describe('media URL signing', () => {
+  it('round-trips a signed resource through its query string', () => {
+    const signed = signMedia('hls:123:index', { sub: mediaSubject('MASS-ABC-123'), ttlSec: 60, nowMs: NOW });
+    const query = Object.fromEntries(new URLSearchParams(mediaQueryString(signed)));
+    expect(verifyMedia('hls:123:index', query, NOW)).toMatchObject({ ok: true, exp: signed.exp, sub: signed.sub });
+  });
+
+  it('rejects another resource, a tampered subject, and an expired link', () => {
+    const signed = signMedia('hls:123:0', { sub: 'abc', ttlSec: 60, nowMs: NOW });
+    const query = { exp: String(signed.exp), sub: signed.sub, sig: signed.sig };
+    expect(verifyMedia('hls:123:1', query, NOW).reason).toBe('bad_signature');
+    expect(verifyMedia('hls:123:0', { ...query, sub: 'abd' }, NOW).reason).toBe('bad_signature');
+    expect(verifyMedia('hls:123:0', { ...query, exp: String(signed.exp + 3600) }, NOW).reason).toBe('bad_signature');
+    expect(verifyMedia('hls:123:0', query, NOW + 61_000).reason).toBe('expired');
+    expect(verifyMedia('hls:123:0', {}, NOW).reason).toBe('unsigned');
+  });
+
+  it('pins a shared expiry when asked to', () => {
+    const a = signMedia('hls:1:0', { sub: 's', exp: 2_000_000_000 });
+    expect(a.exp).toBe(2_000_000_000);
+  });
+
+  it('derives an opaque, case-insensitive subject from a token code', () => {
+    expect(mediaSubject('mass-abc-123')).toBe(mediaSubject('MASS-ABC-123'));
+    expect(mediaSubject('MASS-ABC-123')).not.toContain('ABC');
+    expect(mediaSubject('')).toBe('');
+  });
+
+  it('seals the token code for the URL and opens only what it sealed', () => {
+    const tok = sealMediaToken('mass-abc-123');
+    expect(tok).not.toContain('ABC');
+    expect(openMediaToken(tok)).toBe('MASS-ABC-123');
+    expect(sealMediaToken('MASS-ABC-123')).not.toBe(tok); // fresh IV each time
+    const flipped = Buffer.from(tok, 'base64url');
+    flipped[flipped.length - 1] ^= 1;
+    expect(openMediaToken(flipped.toString('base64url'))).toBe('');
+    expect(openMediaToken('nope')).toBe('');
+    expect(new URLSearchParams(mediaQueryString({ exp: 1, sub: 's', sig: 'x', tok })).get('tok')).toBe(tok);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { computePreviewCap, _internal } from '../../lib/mp3-preview.js';
+import { computePreviewCap, estimateByteOffset, findFrameBoundary, _internal } from '../../lib/mp3-preview.js';
 
 const SECONDS = 30;
 
@@ -35,6 +35,14 @@ function xingFrame({ frames, bytes, stereo = true }) {
   return frame;
 }
 
+// A run of `count` 128 kbps/44.1 kHz frames (417 bytes each, no padding).
+const FRAME_LEN = 417;
+function frameRun(count) {
+  const buf = Buffer.alloc(FRAME_LEN * count);
+  for (let i = 0; i < count; i++) cbrHeader().copy(buf, i * FRAME_LEN);
+  return buf;
+}
+
 // ── tests ───────────────────────────────────────────────────────────────────
 
 describe('computePreviewCap', () => {
@@ -107,3 +115,52 @@ describe('computePreviewCap', () => {
     expect(r.method).toBe('xing');
   });
 });
+
+describe('parseFrameHeader', () => {
+  it('derives the frame length from bitrate, sample rate and padding', () => {
+    expect(_internal.parseFrameHeader(cbrHeader(), 0).frameLength).toBe(FRAME_LEN);
+    const padded = Buffer.from([0xff, 0xfb, 0x92, 0x00]);
+    expect(_internal.parseFrameHeader(padded, 0).frameLength).toBe(FRAME_LEN + 1);
+  });
+});
+
+describe('estimateByteOffset', () => {
+  it('CBR: start of audio + seconds at the byte rate', () => {
+    const tag = id3Tag(2000);
+    const cap = computePreviewCap(Buffer.concat([tag, cbrHeader(), Buffer.alloc(8192)]), SECONDS);
+    expect(estimateByteOffset(cap, 10)).toBe(tag.length + 160_000);
+  });
+
+  it('VBR: interpolates the Xing TOC', () => {
+    const frame = xingFrame({ frames: 10_000, bytes: 4_000_000 });
+    const off = 4 + 32;
+    frame.writeUInt32BE(0x07, off + 4);          // frames + bytes + TOC
+    // Front-loaded TOC: the first half of the track holds 3/4 of the bytes.
+    for (let i = 0; i < 100; i++) {
+      frame[off + 16 + i] = i < 50 ? Math.round(i * 192 / 50) : Math.round(192 + (i - 50) * 64 / 50);
+    }
+    const cap = computePreviewCap(Buffer.concat([frame, Buffer.alloc(8192)]), SECONDS);
+    expect(cap.toc).toHaveLength(100);
+    const half = cap.durationSec / 2;
+    expect(estimateByteOffset(cap, half)).toBe(Math.round((192 / 256) * 4_000_000));
+    expect(estimateByteOffset(cap, 0)).toBe(0);
+  });
+});
+
+describe('findFrameBoundary', () => {
+  it('finds the first header that chains to the next frame', () => {
+    const run = frameRun(4);
+    expect(findFrameBoundary(run.subarray(100))).toBe(FRAME_LEN - 100);
+  });
+
+  it('skips a false sync word inside frame data', () => {
+    const run = frameRun(4);
+    cbrHeader().copy(run, 50);                   // stray 0xFFFB in the payload
+    expect(findFrameBoundary(run, 10)).toBe(FRAME_LEN);
+  });
+
+  it('returns -1 when no frame chains in the buffer', () => {
+    expect(findFrameBoundary(Buffer.concat([cbrHeader(), Buffer.alloc(100)]))).toBe(-1);
+    expect(findFrameBoundary(Buffer.alloc(4096, 0x41))).toBe(-1);
+  });
+});
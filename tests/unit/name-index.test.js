@@ -25,12 +25,13 @@ fs.writeFileSync(FIXTURE, JSON.stringify({
 }));
 process.env.NAME_INDEX_PATH = FIXTURE;
 
-let initNameIndex, suggestNames, nameIndexStatus;
+let initNameIndex, suggestNames, nameIndexStatus, nameSimilarity;
 beforeAll(async () => {
   const mod = await import('../../lib/name-index.js');
   initNameIndex = mod.initNameIndex;
   suggestNames = mod.suggestNames;
   nameIndexStatus = mod.nameIndexStatus;
+  nameSimilarity = mod.nameSimilarity;
   initNameIndex();
 });
 
@@ -98,3 +99,12 @@ describe('name-index suggestNames', () => {
     expect(top.score).toBeGreaterThan(0.66);
   });
 });
+
+describe('name-index nameSimilarity', () => {
+  it('scores names the way suggestions are ranked, without the index', () => {
+    expect(nameSimilarity('Pata Pata', 'pata  pata')).toBe(1);
+    expect(nameSimilarity('Ladysmith Black Mambaza', 'Ladysmith Black Mambazo')).toBeGreaterThan(0.9);
+    expect(nameSimilarity('Simphiwe', 'Simphiwe Dana')).toBeGreaterThan(0.66);
+    expect(nameSimilarity('Soul Brothers', 'Oliver Mtukudzi')).toBeLessThan(0.4);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OFFLINE_LICENCE_TTL_DAYS,
+  canDownloadOffline,
+  contentKey,
+  issueLicence,
+  licenceExpiry,
+  normalizeTrackIds,
+  verifyLicence
+} from '../../lib/offline-licence.js';
+import { mediaSubject } from '../../lib/media-sign.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60;
+const SUB = mediaSubject('MASS-OFF-LINE');
+
+const issue = (over = {}) => issueLicence({
+  sub: SUB,
+  deviceId: 'phone-device-0001',
+  kind: 'album',
+  collectionId: 'african jazz pioneers|||various',
+  tracks: ['101', '102'],
+  tokenExpiration: null,
+  nowMs: NOW,
+  ...over
+});
+
+describe('offline licences', () => {
+  it('lives for the TTL, capped at the token expiry', () => {
+    expect(licenceExpiry(null, NOW)).toBe(NOW / 1000 + OFFLINE_LICENCE_TTL_DAYS * DAY);
+    const soon = new Date(NOW + 2 * DAY * 1000).toISOString();
+    expect(licenceExpiry(soon, NOW)).toBe(NOW / 1000 + 2 * DAY);
+    expect(licenceExpiry(new Date(NOW - 1000).toISOString(), NOW)).toBeNull();
+    expect(issue({ tokenExpiration: new Date(NOW - 1000).toISOString() })).toBeNull();
+  });
+
+  it('verifies for the minting token only', () => {
+    const licence = issue();
+    expect(licence).toMatchObject({ id: 'album:african jazz pioneers|||various', tracks: ['101', '102'] });
+    expect(verifyLicence(licence, SUB, NOW)).toEqual({ ok: true });
+    expect(verifyLicence(licence, mediaSubject('MASS-OTHER-TOKEN'), NOW).reason).toBe('bad_signature');
+    expect(verifyLicence(licence, SUB, (licence.exp + 1) * 1000).reason).toBe('expired');
+  });
+
+  it('rejects a widened track list, another device or a stretched expiry', () => {
+    const licence = issue();
+    expect(verifyLicence({ ...licence, tracks: ['101', '102', '103'] }, SUB, NOW).reason).toBe('bad_signature');
+    expect(verifyLicence({ ...licence, deviceId: 'laptop-device-0002' }, SUB, NOW).reason).toBe('bad_signature');
+    expect(verifyLicence({ ...licence, exp: licence.exp + DAY }, SUB, NOW).reason).toBe('bad_signature');
+    expect(verifyLicence({ ...licence, kind: 'podcast' }, SUB, NOW).reason).toBe('malformed');
+    expect(verifyLicence(null, SUB, NOW).reason).toBe('malformed');
+  });
+
+  it('accepts numeric recordIds only, deduplicated', () => {
+    expect(normalizeTrackIds(['1', 2, '2'])).toEqual({ ok: true, tracks: ['1', '2'] });
+    expect(normalizeTrackIds([]).ok).toBe(false);
+    expect(normalizeTrackIds(['1', '../x']).ok).toBe(false);
+    expect(normalizeTrackIds('1').ok).toBe(false);
+  });
+
+  it('derives one content key per token and device', () => {
+    const key = contentKey(SUB, 'phone-device-0001');
+    expect(Buffer.from(key, 'base64url')).toHaveLength(32);
+    expect(contentKey(SUB, 'phone-device-0001')).toBe(key);
+    expect(contentKey(SUB, 'laptop-device-0002')).not.toBe(key);
+    expect(contentKey(mediaSubject('MASS-OTHER-TOKEN'), 'phone-device-0001')).not.toBe(key);
+  });
+
+  it('is for subscribers, not trials', () => {
+    expect(canDownloadOffline({ code: 'MASS-A', type: 'subscription' })).toBe(true);
+    expect(canDownloadOffline({ code: 'MASS-A', type: 'valid' })).toBe(true);
+    expect(canDownloadOffline({ code: 'MASS-A', type: 'trial' })).toBe(false);
+    expect(canDownloadOffline(null)).toBe(false);
+  });
+});
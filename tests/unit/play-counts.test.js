@@ -0,0 +1,42 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSqlitePlayCountStore } from '../../lib/play-count-store-sqlite.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mass-play-count-store-'));
+const store = await createSqlitePlayCountStore(path.join(tmpDir, 'play-counts.db'));
+
+afterAll(() => {
+  store.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('play count store (SQLite)', () => {
+  it('counts listens per token and track', async () => {
+    await store.increment('A', '11', 1000);
+    await store.increment('A', '11', 3000);
+    await store.increment('A', '11', 2000);   // out of order: last played stays 3000
+    await store.increment('B', '11', 5000);
+    expect(await store.lookup('A', ['11', '12'])).toEqual([{ trackId: '11', plays: 3, lastPlayedMs: 3000 }]);
+    expect(await store.lookup('A', [])).toEqual([]);
+  });
+
+  it('merges a seed with listens already counted live', async () => {
+    expect(await store.isSeeded('A')).toBe(false);
+    await store.seed('A', [{ trackId: '11', plays: 2, lastPlayedMs: 9000 }, { trackId: '12', plays: 4, lastPlayedMs: 500 }]);
+    expect(await store.isSeeded('A')).toBe(true);
+    const rows = await store.lookup('A', ['11', '12']);
+    expect(rows.sort((x, y) => x.trackId.localeCompare(y.trackId))).toEqual([
+      { trackId: '11', plays: 3, lastPlayedMs: 9000 },
+      { trackId: '12', plays: 4, lastPlayedMs: 500 }
+    ]);
+  });
+
+  it('forgets one token only', async () => {
+    await store.forget('A');
+    expect(await store.isSeeded('A')).toBe(false);
+    expect(await store.lookup('A', ['11', '12'])).toEqual([]);
+    expect(await store.lookup('B', ['11'])).toHaveLength(1);
+  });
+});
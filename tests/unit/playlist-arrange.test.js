@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  playlistSequence, splitSequence, moveSequenceItems, reconcileSections, findDuplicateEntries, trackEditFields,
+  distinctAddedAts
+} from '../../lib/playlist.js';
+
+// Playlist order and sections: one combined sequence of tracks and dividers
+// (keyed by addedAt / section id), split back with positions recomputed.
+const t = (n, extra = {}) => ({ addedAt: `t${n}`, name: `Song ${n}`, ...extra });
+const tracks = [t(1), t(2), t(3), t(4)];
+const sections = [{ id: 's-open', title: 'Opening', position: 0 }, { id: 's-late', title: 'Late', position: 2 }];
+const keys = (result) => playlistSequence(result.tracks, result.sections)
+  .map((item) => (item.section ? item.section.id : item.entry.addedAt));
+
+describe('playlistSequence / splitSequence', () => {
+  it('interleaves dividers at their positions and round-trips', () => {
+    expect(keys({ tracks, sections })).toEqual(['s-open', 't1', 't2', 's-late', 't3', 't4']);
+    expect(splitSequence(playlistSequence(tracks, sections))).toEqual({ tracks, sections });
+  });
+
+  it('puts out-of-range dividers at the end', () => {
+    expect(keys({ tracks: [t(1)], sections: [{ id: 'x', title: 'X', position: 9 }] })).toEqual(['t1', 'x']);
+  });
+});
+
+describe('moveSequenceItems', () => {
+  it('moves one track in front of another, across a section', () => {
+    expect(keys(moveSequenceItems(tracks, sections, ['t4'], 't1'))).toEqual(['s-open', 't4', 't1', 't2', 's-late', 't3']);
+  });
+
+  it('moves several items in their current order, to the end with no target', () => {
+    const moved = moveSequenceItems(tracks, sections, ['t3', 't1'], null);
+    expect(keys(moved)).toEqual(['s-open', 't2', 's-late', 't4', 't1', 't3']);
+    expect(moved.sections.map((s) => s.position)).toEqual([0, 1]);
+  });
+
+  it('moves a section, taking no tracks with it', () => {
+    expect(keys(moveSequenceItems(tracks, sections, ['s-late'], 't4'))).toEqual(['s-open', 't1', 't2', 't3', 's-late', 't4']);
+  });
+
+  it('refuses unknown items and a target inside the moved set', () => {
+    expect(moveSequenceItems(tracks, sections, ['t9'], null)).toBeNull();
+    expect(moveSequenceItems(tracks, sections, ['t1'], 't9')).toBeNull();
+    expect(moveSequenceItems(tracks, sections, ['t1', 't2'], 't2')).toBeNull();
+  });
+});
+
+describe('reconcileSections', () => {
+  it('keeps a divider in front of the same track, or the next survivor', () => {
+    expect(reconcileSections(tracks, [t(1), t(3), t(4)], sections).map((s) => s.position)).toEqual([0, 1]);
+    expect(reconcileSections(tracks, [t(1), t(2)], sections).map((s) => s.position)).toEqual([0, 2]);
+  });
+
+  it('only writes sections once the playlist has any', () => {
+    const plain = { tracks: [t(1)], sections: [], updatedAt: 'now' };
+    expect(trackEditFields(plain, tracks)).toEqual({ tracks: plain.tracks, updatedAt: 'now' });
+    const withSections = { tracks: [t(3), t(4)], sections, updatedAt: 'now' };
+    expect(trackEditFields(withSections, tracks).sections.map((s) => s.position)).toEqual([0, 0]);
+  });
+});
+
+describe('findDuplicateEntries', () => {
+  it('returns the repeats, keeping the first of each', () => {
+    const a = t(1, { trackRecordId: '101' });
+    const b = t(2, { trackRecordId: '102' });
+    const a2 = t(3, { trackRecordId: '101' });
+    const untyped = t(4);
+    expect(findDuplicateEntries({ tracks: [a, b, a2, untyped, t(5)] })).toEqual([a2]);
+  });
+});
+
+describe('distinctAddedAts', () => {
+  it('gives each track of a one-instant import its own key, the same on every read', () => {
+    const at = '2026-10-01T10:00:00.000Z';
+    const imported = [
+      { addedAt: at, name: 'A' }, { addedAt: at, name: 'B' },
+      { addedAt: '2026-10-01T10:00:00.001Z', name: 'C' }, { addedAt: at, name: 'D' }, { name: 'no key' }
+    ];
+    const fixed = distinctAddedAts(imported);
+    expect(fixed.map((e) => e.addedAt)).toEqual([
+      at, '2026-10-01T10:00:00.002Z', '2026-10-01T10:00:00.001Z', '2026-10-01T10:00:00.003Z', undefined
+    ]);
+    expect(distinctAddedAts(imported)).toEqual(fixed);
+    expect(distinctAddedAts(tracks)).toBe(tracks); // nothing to fix → untouched
+    expect(keys(moveSequenceItems(fixed, [], ['2026-10-01T10:00:00.003Z'], at))[0]).toBe('2026-10-01T10:00:00.003Z');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Collaborative playlists: roles, undo on a track list, and the conditional
+// write behind concurrent edits. FileMaker's API_Playlists is one in-memory
+// record whose modId bumps on every write; a stale modId gets FM's 306.
+const row = { recordId: '1', modId: '1', fieldData: {} };
+
+vi.mock('../../fm-client.js', () => ({
+  fmFindRecords: vi.fn(async () => ({ ok: true, total: 1, data: [{ ...row, fieldData: { ...row.fieldData } }] })),
+  fmCreateRecord: vi.fn(async () => ({})),
+  fmDeleteRecord: vi.fn(async () => ({})),
+  fmUpdateRecord: vi.fn(async (_layout, _recordId, fieldData, { modId } = {}) => {
+    if (modId && modId !== row.modId) {
+      const err = new Error('FM update failed: Record modification id does not match (306)');
+      err.fmCode = '306';
+      throw err;
+    }
+    row.fieldData = { ...row.fieldData, ...fieldData };
+    row.modId = String(Number(row.modId) + 1);
+    return { modId: row.modId };
+  })
+}));
+
+const { fmUpdateRecord } = await import('../../fm-client.js');
+const { mutatePlaylist, loadPlaylistById } = await import('../../lib/playlist-store.js');
+const { playlistRoleFor, canEditPlaylistTracks } = await import('../../lib/playlist.js');
+const { applyUndo } = await import('../../lib/playlist-collab.js');
+
+const track = (id, position) => ({ id, name: `Track ${id}`, addedAt: `2026-10-19T08:00:0${id}.000Z`, position });
+
+describe('playlistRoleFor', () => {
+  const playlist = { userId: 'Owner@Example.com' };
+  const members = [
+    { email: 'ed@example.com', role: 'editor', status: 'active' },
+    { email: 'vi@example.com', role: 'viewer', status: 'active' },
+    { email: 'new@example.com', role: 'editor', status: 'invited' }
+  ];
+
+  it('resolves owner, active members and strangers', () => {
+    expect(playlistRoleFor(playlist, 'owner@example.com', members)).toBe('owner');
+    expect(playlistRoleFor(playlist, 'ED@example.com', members)).toBe('editor');
+    expect(playlistRoleFor(playlist, 'vi@example.com', members)).toBe('viewer');
+    expect(playlistRoleFor(playlist, 'new@example.com', members)).toBeNull();   // not accepted yet
+    expect(playlistRoleFor(playlist, 'who@example.com', members)).toBeNull();
+  });
+
+  it('lets owners and editors change tracks, not viewers', () => {
+    expect(['owner', 'editor', 'viewer', null].map(canEditPlaylistTracks)).toEqual([true, true, false, false]);
+  });
+});
+
+describe('applyUndo', () => {
+  it('takes an add back out, skipping entries already removed', () => {
+    const tracks = [track(1), track(2), track(3)];
+    const { tracks: after, entries } = applyUndo(tracks, { action: 'add', entries: [track(2, 1), track(4, 3)] });
+    expect(after.map((t) => t.id)).toEqual([1, 3]);
+    expect(entries).toEqual([{ entry: track(2), position: 1 }]);
+    expect(tracks).toHaveLength(3);   // pure
+  });
+
+  it('puts a remove back at its old position', () => {
+    const { tracks: after, entries } = applyUndo([track(1), track(3)], { action: 'remove', entries: [track(2, 1)] });
+    expect(after.map((t) => t.id)).toEqual([1, 2, 3]);
+    expect(after[1]).not.toHaveProperty('position');
+    expect(entries).toHaveLength(1);
+  });
+
+  it('has nothing to do when the removed entry is already back', () => {
+    expect(applyUndo([track(1), track(2)], { action: 'remove', entries: [track(2, 1)] }).entries).toEqual([]);
+  });
+});
+
+describe('mutatePlaylist', () => {
+  beforeEach(() => {
+    row.modId = '1';
+    row.fieldData = { Playlist_ID: 'pl-1', User_Email: 'owner@example.com', Songs_JSON: '[]' };
+    fmUpdateRecord.mockClear();
+  });
+
+  const addTrack = (id) => (current) => {
+    current.tracks = [...current.tracks, track(id)];
+    return { tracks: current.tracks };
+  };
+
+  it('writes conditionally on the modId it read', async () => {
+    const playlist = await loadPlaylistById('pl-1');
+    const written = await mutatePlaylist(playlist, addTrack(1));
+    expect(fmUpdateRecord.mock.calls[0][3]).toEqual({ modId: '1' });
+    expect(written._fmModId).toBe('2');
+    expect(JSON.parse(row.fieldData.Songs_JSON).map((t) => t.id)).toEqual([1]);
+  });
+
+  it('re-reads and re-applies after another writer got there first', async () => {
+    const stale = await loadPlaylistById('pl-1');
+    // Another worker's edit lands in FileMaker behind this process's lock.
+    row.fieldData.Songs_JSON = JSON.stringify([track(1)]);
+    row.modId = '2';
+    const written = await mutatePlaylist(stale, addTrack(2));
+    expect(fmUpdateRecord).toHaveBeenCalledTimes(2);
+    expect(fmUpdateRecord.mock.calls.map((c) => c[3])).toEqual([{ modId: '1' }, { modId: '2' }]);
+    expect(written.tracks.map((t) => t.id)).toEqual([1, 2]);
+    expect(JSON.parse(row.fieldData.Songs_JSON).map((t) => t.id)).toEqual([1, 2]);
+  });
+
+  it('serialises edits in this process without conflicts', async () => {
+    const [a, b] = await Promise.all([loadPlaylistById('pl-1'), loadPlaylistById('pl-1')]);
+    await Promise.all([mutatePlaylist(a, addTrack(1)), mutatePlaylist(b, addTrack(2))]);
+    expect(fmUpdateRecord).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(row.fieldData.Songs_JSON).map((t) => t.id)).toEqual([1, 2]);
+  });
+
+  it('writes nothing when the mutator has nothing to change', async () => {
+    const playlist = await loadPlaylistById('pl-1');
+    expect(await mutatePlaylist(playlist, () => null)).toBe(playlist);
+    expect(fmUpdateRecord).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Playlist files: each export format reads back to the same rows, files from
+// other apps (Exportify-style CSV, bare M3U, plain lists) parse, and catalogue
+// hits are scored on title / artist / album / length. The matcher's catalogue
+// reads are not exercised here (tests/integration/playlist-files-route.test.js).
+vi.mock('../../fm-client.js', () => ({
+  fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+  fmGetRecordById: vi.fn(async () => null)
+}));
+
+const {
+  serializePlaylist, parsePlaylistFile, detectPlaylistFormat, splitArtistTitle,
+  PLAYLIST_FILE_FORMATS, PLAYLIST_FILE_MAX_ROWS
+} = await import('../../lib/playlist-formats.js');
+const { scoreCandidate } = await import('../../lib/playlist-matcher.js');
+
+const ROWS = [
+  { recordId: '12', title: 'Homeless', artist: 'Ladysmith Black Mambazo', album: 'Shaka Zulu, "Live" & <More>', isrc: 'USWB18600123', durationSec: 228 },
+  { recordId: '', title: 'Pata Pata', artist: 'Miriam Makeba', album: '', isrc: '', durationSec: null }
+];
+
+describe('serializePlaylist / parsePlaylistFile', () => {
+  it.each(Object.keys(PLAYLIST_FILE_FORMATS))('round-trips %s', (format) => {
+    const file = serializePlaylist(format, { title: 'Sunday Vinyl', rows: ROWS });
+    expect(file.extension).toBe(format);
+    expect(detectPlaylistFormat(file.body)).toBe(format);
+    const parsed = parsePlaylistFile(file.body);
+    expect(parsed).toMatchObject({ ok: true, format, truncated: 0 });
+    expect(parsed.rows).toEqual(ROWS);
+    if (format !== 'csv') expect(parsed.title).toBe('Sunday Vinyl');
+  });
+
+  it('writes the record id as a mad:track identifier, never a playable URL', () => {
+    const { body } = serializePlaylist('m3u8', { title: 'x', rows: ROWS });
+    expect(body.split('\n')).toEqual([
+      '#EXTM3U', '#PLAYLIST:x',
+      '#EXTINF:228,Ladysmith Black Mambazo - Homeless',
+      '#EXTALB:Shaka Zulu, "Live" & <More>',
+      '#EXTISRC:USWB18600123',
+      'mad:track:12',
+      '#EXTINF:-1,Miriam Makeba - Pata Pata',
+      ''
+    ]);
+  });
+
+  it('reads a streaming-service CSV export (ms durations, quoted cells)', () => {
+    const csv = 'Track URI,Track Name,Artist Name(s),Album Name,Duration (ms),ISRC\r\n' +
+      'spotify:track:1,"Vulindlela","Brenda Fassie","Memeza",250400,ZAB019700001\r\n' +
+      'spotify:track:2,"Weekend Special","Brenda Fassie, The Big Dudes","",199000,\r\n';
+    const parsed = parsePlaylistFile(csv);
+    expect(parsed.format).toBe('csv');
+    expect(parsed.rows).toEqual([
+      { title: 'Vulindlela', artist: 'Brenda Fassie', album: 'Memeza', isrc: 'ZAB019700001', durationSec: 250, recordId: '' },
+      { title: 'Weekend Special', artist: 'Brenda Fassie, The Big Dudes', album: '', isrc: '', durationSec: 199, recordId: '' }
+    ]);
+  });
+
+  it('reads a bare M3U of file paths', () => {
+    const parsed = parsePlaylistFile('C:\\Music\\Mahlathini - Kazet.mp3\n/music/Stimela%20-%20Whispers%20in%20the%20Deep.flac\n', 'm3u');
+    expect(parsed.format).toBe('m3u8');
+    expect(parsed.rows.map((r) => [r.artist, r.title])).toEqual([['Mahlathini', 'Kazet'], ['Stimela', 'Whispers in the Deep']]);
+  });
+
+  it('reads a plain "Artist - Title" list, numbered or not', () => {
+    const parsed = parsePlaylistFile('1. Miriam Makeba - Pata Pata\n2) Brenda Fassie – Vulindlela\n\n# side B\nWeekend Special\n');
+    expect(parsed.format).toBe('text');
+    expect(parsed.rows.map((r) => [r.artist, r.title])).toEqual([
+      ['Miriam Makeba', 'Pata Pata'], ['Brenda Fassie', 'Vulindlela'], ['', 'Weekend Special']
+    ]);
+  });
+
+  it('caps the rows and says how many were left out', () => {
+    const lines = Array.from({ length: PLAYLIST_FILE_MAX_ROWS + 5 }, (_, i) => `Artist - Song ${i}`);
+    const parsed = parsePlaylistFile(lines.join('\n'));
+    expect(parsed.rows).toHaveLength(PLAYLIST_FILE_MAX_ROWS);
+    expect(parsed.truncated).toBe(5);
+  });
+
+  it('refuses unknown formats, unreadable files and files with no tracks', () => {
+    expect(parsePlaylistFile('x', 'wpl')).toMatchObject({ ok: false });
+    expect(parsePlaylistFile('{ not json', 'jspf')).toEqual({ ok: false, error: 'Could not read this file as JSPF' });
+    expect(parsePlaylistFile('#EXTM3U\n')).toEqual({ ok: false, error: 'No tracks found in the file' });
+  });
+
+  it('reads XSPF meta ISRCs and skips look-alike and empty tags', () => {
+    const xspf = '<playlist><title>Mix</title><trackList>' +
+      '<track><titles>no</titles><title/><title>Vulindlela</title><meta rel="https://example.com/isrc">ZAB019700001</meta></track>' +
+      '<TRACK><Title>Pata Pata</Title></TRACK></trackList></playlist>';
+    const parsed = parsePlaylistFile(xspf);
+    expect(parsed.title).toBe('Mix');
+    expect(parsed.rows.map((r) => [r.title, r.isrc])).toEqual([['Vulindlela', 'ZAB019700001'], ['Pata Pata', '']]);
+  });
+
+  it('reads an out-of-range character reference as U+FFFD instead of throwing', () => {
+    const xspf = '<playlist><trackList><track><title>Pata&#x110000;&#99999999999; Pata &#x1F3B6;&#233;</title></track></trackList></playlist>';
+    const parsed = parsePlaylistFile(xspf);
+    expect(parsed.ok).toBe(true);
+    expect(parsed.rows[0].title).toBe('Pata\uFFFD\uFFFD Pata 🎶é');
+  });
+
+  it('reads unclosed or malformed XSPF in bounded time', () => {
+    const size = 512 * 1024; // the route's IMPORT_FILE_MAX_CHARS
+    const bodies = [
+      '<track>'.repeat(size / 7),
+      `<trackList><track><title>x</title>${'<title><creator><meta rel="isrc">'.repeat(size / 34)}</track>`,
+      '<track><title>a</title></track>'.repeat(size / 31),
+      '<track'.repeat(size / 6)
+    ];
+    for (const body of bodies) {
+      const started = performance.now();
+      parsePlaylistFile(body, 'xspf');
+      expect(performance.now() - started).toBeLessThan(1000);
+    }
+    expect(parsePlaylistFile(bodies[2], 'xspf').truncated).toBe(PLAYLIST_FILE_MAX_ROWS * 9);
+  });
+
+  it('splits on the first dash only', () => {
+    expect(splitArtistTitle('Juluka - Scatterlings - Live')).toEqual({ artist: 'Juluka', title: 'Scatterlings - Live' });
+    expect(splitArtistTitle('Jabula-Jabula')).toEqual({ artist: '', title: 'Jabula-Jabula' });
+  });
+});
+
+describe('scoreCandidate', () => {
+  const candidate = { title: 'Pata Pata (Remastered)', artist: 'Miriam Makeba', album: 'Pata Pata', durationSec: 180, track: { albumArtist: 'Miriam Makeba' } };
+
+  it('ignores bracketed extras, case and accents', () => {
+    expect(scoreCandidate({ title: 'pata pata', artist: 'MIRIAM MAKEBA' }, candidate)).toBe(1);
+    expect(scoreCandidate({ title: 'Pátá Pata', artist: 'Miriam Makeba feat. The Skylarks' }, candidate)).toBe(1);
+  });
+
+  it('tolerates a typo but not a different song', () => {
+    expect(scoreCandidate({ title: 'Pata Patta', artist: 'Miriam Makeba' }, candidate)).toBeGreaterThan(0.9);
+    expect(scoreCandidate({ title: 'Malaika', artist: 'Miriam Makeba' }, candidate)).toBeLessThan(0.6);
+  });
+
+  it('marks down a length that is well off', () => {
+    const row = { title: 'Pata Pata', artist: 'Miriam Makeba' };
+    expect(scoreCandidate({ ...row, durationSec: 181 }, candidate)).toBe(1);
+    expect(scoreCandidate({ ...row, durationSec: 300 }, candidate)).toBe(0.85);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeQueue, isValidDeviceId, QUEUE_MAX_ITEMS } from '../../lib/queue-store.js';
+
+describe('normalizeQueue', () => {
+  it('keeps only display metadata + recordId, trimmed', () => {
+    const { ok, queue } = normalizeQueue({
+      items: [{ recordId: ' 42 ', title: '  Soweto Blues ', artist: 'Miriam Makeba', url: 'https://x/y.mp3', extra: 1 }],
+      currentIndex: 0,
+      positionSec: 3.21,
+      context: { name: 'Sangoma', kind: 'album' }
+    });
+    expect(ok).toBe(true);
+    expect(queue.items).toEqual([{ recordId: '42', title: 'Soweto Blues', artist: 'Miriam Makeba', album: '', artwork: '' }]);
+    expect(queue.positionSec).toBe(3.2);
+    expect(queue.context).toEqual({ name: 'Sangoma', kind: 'album' });
+  });
+
+  it('clamps the index and position', () => {
+    const { queue } = normalizeQueue({ items: [{ recordId: '1' }, { recordId: '2' }], currentIndex: 9, positionSec: -4 });
+    expect(queue.currentIndex).toBe(1);
+    expect(queue.positionSec).toBe(0);
+    expect(normalizeQueue({ items: [], currentIndex: 3 }).queue.currentIndex).toBe(0);
+  });
+
+  it('rejects non-arrays, bad record ids and oversize queues', () => {
+    expect(normalizeQueue({ items: 'nope' }).ok).toBe(false);
+    expect(normalizeQueue({ items: [{ recordId: '12a' }] }).ok).toBe(false);
+    const big = Array.from({ length: QUEUE_MAX_ITEMS + 1 }, (_, i) => ({ recordId: String(i + 1) }));
+    expect(normalizeQueue({ items: big }).ok).toBe(false);
+  });
+});
+
+describe('isValidDeviceId', () => {
+  it('accepts uuid-ish ids only', () => {
+    expect(isValidDeviceId('0b7c6a2e-1f1d-4a57-9d4c-3b1b6f6e2a10')).toBe(true);
+    expect(isValidDeviceId('short')).toBe(false);
+    expect(isValidDeviceId('has spaces in it')).toBe(false);
+    expect(isValidDeviceId(undefined)).toBe(false);
+  });
+});
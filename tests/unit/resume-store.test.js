@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeResumePoint,
+  applyResumePoint,
+  RESUME_MIN_DURATION_SEC,
+  RESUME_MAX_ITEMS
+} from '../../lib/resume-store.js';
+
+const LONG = RESUME_MIN_DURATION_SEC + 3600;
+
+describe('normalizeResumePoint', () => {
+  it('keeps the position of a long episode, trimmed', () => {
+    const { ok, point } = normalizeResumePoint({
+      kind: 'episode', id: ' 77 ', positionSec: 2052.37, durationSec: LONG, title: '  Vault Sessions 4 ', url: 'https://x/y.mp3'
+    });
+    expect(ok).toBe(true);
+    expect(point).toEqual({
+      kind: 'episode', id: '77', positionSec: 2052.4, durationSec: LONG, finished: false,
+      title: 'Vault Sessions 4', artist: '', artwork: ''
+    });
+  });
+
+  it('marks END and the last stretch as finished, from the top', () => {
+    expect(normalizeResumePoint({ kind: 'track', id: '5', positionSec: 900, durationSec: LONG, finished: true }).point)
+      .toMatchObject({ finished: true, positionSec: 0 });
+    expect(normalizeResumePoint({ kind: 'track', id: '5', positionSec: LONG - 10, durationSec: LONG }).point)
+      .toMatchObject({ finished: true, positionSec: 0 });
+    expect(normalizeResumePoint({ kind: 'track', id: '5', positionSec: LONG + 99, durationSec: LONG }).point.finished).toBe(true);
+  });
+
+  it('rejects short items, unknown kinds and bad ids', () => {
+    expect(normalizeResumePoint({ kind: 'track', id: '5', positionSec: 60, durationSec: 200 }).ok).toBe(false);
+    expect(normalizeResumePoint({ kind: 'album', id: '5', positionSec: 60, durationSec: LONG }).ok).toBe(false);
+    expect(normalizeResumePoint({ kind: 'track', id: 'x5', positionSec: 60, durationSec: LONG }).ok).toBe(false);
+    expect(normalizeResumePoint(null).ok).toBe(false);
+  });
+});
+
+describe('applyResumePoint', () => {
+  const point = (id, kind = 'track') => normalizeResumePoint({ kind, id, positionSec: 100, durationSec: LONG }).point;
+
+  it('moves the reported item to the front, replacing its older entry', () => {
+    let items = applyResumePoint([], point('1'), 'a');
+    items = applyResumePoint(items, point('2'), 'b');
+    items = applyResumePoint(items, { ...point('1'), positionSec: 500 }, 'c');
+    expect(items.map((p) => [p.id, p.positionSec, p.updatedAt])).toEqual([['1', 500, 'c'], ['2', 100, 'b']]);
+  });
+
+  it('keeps songs and episodes with the same id apart', () => {
+    const items = applyResumePoint(applyResumePoint([], point('9')), point('9', 'episode'));
+    expect(items.map((p) => p.kind)).toEqual(['episode', 'track']);
+  });
+
+  it('caps the list', () => {
+    let items = [];
+    for (let i = 1; i <= RESUME_MAX_ITEMS + 5; i++) items = applyResumePoint(items, point(String(i)));
+    expect(items).toHaveLength(RESUME_MAX_ITEMS);
+    expect(items[0].id).toBe(String(RESUME_MAX_ITEMS + 5));
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  aggregateRoyalties,
+  filterByRightsHolder,
+  isQualifyingPlay,
+  normalizeIsrc,
+  parseEventTimestampUTC,
+  parseRoyaltyPeriod,
+  readStreamEvent,
+  renderRoyaltyCsv,
+  renderRoyaltyDsr,
+  reportChecksum
+} from '../../lib/royalty-report.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12); // 2026-10-19
+
+describe('parseRoyaltyPeriod', () => {
+  it('turns a month into its UTC days', () => {
+    const p = parseRoyaltyPeriod({ period: '2026-09' }, NOW);
+    expect(p).toMatchObject({ ok: true, from: '2026-09-01', to: '2026-09-30' });
+    expect(p.endMs - p.startMs).toBe(30 * 86400e3);
+  });
+
+  it('takes an inclusive from/to range', () => {
+    expect(parseRoyaltyPeriod({ from: '2026-10-01', to: '2026-10-18' }, NOW)).toMatchObject({ ok: true, to: '2026-10-18' });
+  });
+
+  it('refuses open, malformed, inverted and over-long ranges', () => {
+    expect(parseRoyaltyPeriod({ period: '2026-10' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({ from: '2026-10-01', to: '2026-10-19' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({ period: '2026-13' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({ from: '2026-02-30', to: '2026-03-01' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({ from: '2026-09-10', to: '2026-09-01' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({ from: '2024-01-01', to: '2025-12-31' }, NOW).ok).toBe(false);
+    expect(parseRoyaltyPeriod({}, NOW).ok).toBe(false);
+  });
+});
+
+describe('reading Stream_Events', () => {
+  it('parses FileMaker timestamps as UTC whatever the server zone', () => {
+    expect(parseEventTimestampUTC('09/30/2026 23:59:30')).toBe(Date.UTC(2026, 8, 30, 23, 59, 30));
+    expect(parseEventTimestampUTC('')).toBe(0);
+  });
+
+  it('normalises ISRCs and drops junk', () => {
+    expect(normalizeIsrc('za-abc-26-00012')).toBe('ZAABC2600012');
+    expect(normalizeIsrc('not an isrc')).toBe('');
+  });
+
+  it('dates a listen by its start and treats an undeclared mode as FULL', () => {
+    const ev = readStreamEvent({
+      TrackRecordID: '42', TrackISRC: 'ZAABC2600012', PlayStartUTC: '09/30/2026 23:58:00',
+      TimestampUTC: '10/01/2026 00:03:00', TotalPlayedSec: '301', Email: 'A@x.com'
+    });
+    expect(ev).toMatchObject({ trackRecordId: '42', startMs: Date.UTC(2026, 8, 30, 23, 58), playedSec: 301, mode: 'FULL', listener: 'a@x.com' });
+    expect(readStreamEvent({ TrackRecordID: '' })).toBeNull();
+  });
+
+  it('qualifies FULL plays at or over the threshold only', () => {
+    expect(isQualifyingPlay({ mode: 'FULL', playedSec: 30 }, 30)).toBe(true);
+    expect(isQualifyingPlay({ mode: 'FULL', playedSec: 29 }, 30)).toBe(false);
+    expect(isQualifyingPlay({ mode: 'PREVIEW', playedSec: 30 }, 30)).toBe(false);
+  });
+});
+
+describe('aggregateRoyalties', () => {
+  const period = parseRoyaltyPeriod({ period: '2026-09' }, NOW);
+  const at = (d, h = 12) => `09/${String(d).padStart(2, '0')}/2026 ${h}:00:00`;
+  const ev = (f) => readStreamEvent({ TotalPlayedSec: 200, PlayStartUTC: at(10), ...f });
+  const tracks = new Map([
+    ['1', { 'Track Name': 'Mbube', 'Track Artist': 'Solomon Linda', Rights_Holder: 'Gallo' }],
+    ['2', { 'Track Name': 'Pata Pata', 'Track Artist': 'Miriam Makeba', 'Tape Files::Label': 'Afrisong', ISRC: 'ZAAFR6700001' }],
+    ['3', { 'Track Name': 'Mbube (remaster)', Rights_Holder: 'Gallo' }]
+  ]);
+  const events = [
+    ev({ TrackRecordID: '1', TrackISRC: 'ZAGAL3900001', Email: 'a@x' }),
+    ev({ TrackRecordID: '3', TrackISRC: 'ZAGAL3900001', Email: 'b@x' }),       // same recording, second record
+    ev({ TrackRecordID: '1', TrackISRC: 'ZAGAL3900001', Email: 'a@x' }),
+    ev({ TrackRecordID: '2', Email: 'a@x' }),                                 // ISRC from the catalogue
+    ev({ TrackRecordID: '2', PlaybackMode: 'PREVIEW' }),
+    ev({ TrackRecordID: '2', TotalPlayedSec: 12 }),
+    ev({ TrackRecordID: '9', SessionID: 's1' }),                              // unknown to the catalogue, no ISRC
+    ev({ TrackRecordID: '1', PlayStartUTC: '', TimestampUTC: '08/31/2026 23:59:59' }),
+    ev({ TrackRecordID: '1', PlayStartUTC: '10/01/2026 00:00:00' })
+  ];
+  const report = { period: { from: period.from, to: period.to }, thresholdSec: 30, ...aggregateRoyalties(events, { ...period, thresholdSec: 30, tracks }) };
+
+  it('counts qualifying plays per ISRC, grouped by rights holder', () => {
+    expect(report.rows.map((r) => [r.rightsHolder, r.isrc, r.recordIds, r.qualifyingPlays, r.listeners])).toEqual([
+      ['Afrisong', 'ZAAFR6700001', ['2'], 1, 1],
+      ['Gallo', 'ZAGAL3900001', ['1', '3'], 3, 2],
+      ['Unassigned', '', ['9'], 1, 1]
+    ]);
+    expect(report.rows[1]).toMatchObject({ title: 'Mbube', artist: 'Solomon Linda', qualifyingSec: 600 });
+    expect(report.totals).toEqual({ events: 7, qualifyingPlays: 5, qualifyingSec: 1000, previews: 1, belowThreshold: 1, withoutIsrc: 1, quarantined: 0 });
+    expect(report.rightsHolders.find((h) => h.rightsHolder === 'Gallo')).toEqual({ rightsHolder: 'Gallo', recordings: 1, qualifyingPlays: 3, qualifyingSec: 600 });
+  });
+
+  it('does not depend on the order events arrive in', () => {
+    const again = aggregateRoyalties([...events].reverse(), { ...period, thresholdSec: 30, tracks });
+    expect(again.rows).toEqual(report.rows);
+  });
+
+  it('leaves quarantined listens out until a reviewer releases them', () => {
+    const flagged = [
+      ...events,
+      ev({ TrackRecordID: '2', Email: 'bot@x', AbuseFlags: 'overlap', AbuseScore: 60 }),
+      ev({ TrackRecordID: '2', Email: 'c@x', AbuseFlags: 'ip-rate', AbuseReview: 'released' })
+    ];
+    const out = aggregateRoyalties(flagged, { ...period, thresholdSec: 30, tracks });
+    expect(out.totals).toMatchObject({ events: 9, qualifyingPlays: 6, quarantined: 1 });
+    expect(out.rows[0]).toMatchObject({ isrc: 'ZAAFR6700001', qualifyingPlays: 2, listeners: 2 });
+  });
+
+  it('narrows to one rights holder with its own checksum', () => {
+    const full = { ...report, checksum: reportChecksum(report) };
+    const gallo = filterByRightsHolder(full, 'gallo');
+    expect(gallo.rightsHolder).toBe('Gallo');
+    expect(gallo.rows).toHaveLength(1);
+    expect(gallo.totals).toEqual({ qualifyingPlays: 3, qualifyingSec: 600 });
+    expect(gallo.checksum).not.toBe(full.checksum);
+  });
+
+  it('renders a CSV that cannot smuggle formulas', () => {
+    const csv = renderRoyaltyCsv({ ...report, rows: [{ ...report.rows[0], title: '=HYPERLINK("x")' }] });
+    const [header, line] = csv.trim().split('\r\n');
+    expect(header).toBe('period_start,period_end,rights_holder,isrc,track_record_ids,title,artist,qualifying_plays,qualifying_seconds,unique_listeners');
+    expect(line).toBe('"2026-09-01","2026-09-30","Afrisong","ZAAFR6700001","2","\'=HYPERLINK(""x"")","Miriam Makeba","1","200","1"');
+  });
+
+  it('renders a DSR-style flat file with a matching footer', () => {
+    const dsr = renderRoyaltyDsr({ ...report, checksum: 'abc' });
+    const records = dsr.trim().split('\n').filter((l) => !l.startsWith('#')).map((l) => l.split('\t'));
+    expect(records[0].slice(0, 8)).toEqual(['HEAD', 'DSR-flat/1.0', 'MAD-2026-09-01-2026-09-30', 'Music Africa Direct', '', '2026-09-01', '2026-09-30', 'OnDemandStream']);
+    expect(records.filter((r) => r[0] === 'SY01')).toHaveLength(3);
+    expect(records.filter((r) => r[0] === 'AS01').map((r) => r[2])).toEqual(['ZAAFR6700001', 'ZAGAL3900001', '']);
+    expect(records.at(-1)).toEqual(['FOOT', String(records.length), '5']);
+    expect(renderRoyaltyDsr({ ...report, checksum: 'abc' })).toBe(dsr);
+  });
+});
@@ -56,6 +56,15 @@ describe('semantic-index: suggestAlbums', () => {
     expect(r.items).toHaveLength(2);
   });
 
+  it('engagement nudges near-ties only — it never overrides similarity', () => {
+    const seen = [];
+    const engagement = (c) => { seen.push(c.album); return { Beta: 0, Gamma: 1 }[c.album] ?? null; };
+    const r = lib.suggestAlbums({ title: 'Alpha', artist: 'Artist One' }, 10, { engagement });
+    expect(seen).toEqual(expect.arrayContaining(['Beta', 'Gamma', 'Delta']));
+    expect(r.items.map((i) => i.album)).toEqual(['Beta', 'Gamma', 'Delta']);
+    expect(r.items[0]).not.toHaveProperty('_blended');
+  });
+
   it('refreshIndex() is a safe no-op when SUGGEST_DB_URL is unset', async () => {
     delete process.env.SUGGEST_DB_URL;
     await expect(lib.refreshIndex()).resolves.toBe(false);
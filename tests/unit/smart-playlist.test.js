@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Smart playlists: rule validation, matching candidates from either source
+// (catalogue records / semantic-index meta), ordering and the Postgres pool
+// queries. Refreshing against the catalogue is exercised in
+// tests/integration/smart-playlists-route.test.js.
+vi.mock('../../fm-client.js', () => ({
+  fmFindRecords: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+  fmFindAll: vi.fn(async () => ({ ok: false, code: '401', data: [], total: 0 })),
+  fmGetRecordById: vi.fn(async () => null)
+}));
+
+const {
+  normalizeSmartRules, matchesSmartRules, selectSmartCandidates, smartPoolQueries,
+  candidateFromRecord, candidateFromMeta, isSmartRefreshDue, SMART_MAX_LIMIT
+} = await import('../../lib/smart-playlist.js');
+const { BPM_UP } = await import('../../lib/maddie-lite.js');
+
+const rules = (raw) => {
+  const result = normalizeSmartRules(raw);
+  if (!result.ok) throw new Error(result.error);
+  return result.rules;
+};
+
+const meta = (recordId, m) => candidateFromMeta({ recordId, m: { artist: 'Artist', track: `Song ${recordId}`, ...m } });
+
+describe('normalizeSmartRules', () => {
+  it('fills the defaults', () => {
+    expect(rules({ genres: ['Gospel'] })).toEqual({
+      genres: ['Gospel'], languages: [], artists: [], yearFrom: null, yearTo: null,
+      tempo: null, bpmMin: null, bpmMax: null, energyMin: null, energyMax: null,
+      unplayed: false, sort: 'shuffle', limit: 50, refresh: 'daily'
+    });
+  });
+
+  it('makes "not played by me" refresh on open', () => {
+    expect(rules({ languages: ['ZU'], unplayed: true, refresh: 'weekly' })).toMatchObject({ languages: ['zu'], refresh: 'open' });
+  });
+
+  it('needs something to build a pool from', () => {
+    expect(normalizeSmartRules({ tempo: 'up', unplayed: true })).toEqual({ ok: false, error: 'Pick at least one genre, language, artist or year' });
+  });
+
+  it.each([
+    [{ genres: 'a b c d e f'.split(' ') }, 'At most 5 genres'],
+    [{ languages: ['isiZulu'] }, 'languages are language codes, e.g. zu'],
+    [{ yearFrom: 1980, yearTo: 1970 }, 'yearFrom is after yearTo'],
+    [{ genres: ['Jazz'], tempo: 'up', bpmMin: 90 }, 'Use tempo or a BPM range, not both'],
+    [{ genres: ['Jazz'], limit: SMART_MAX_LIMIT + 1 }, `limit must be a whole number from 1 to ${SMART_MAX_LIMIT}`],
+    [{ genres: ['Jazz'], sort: 'random' }, 'sort must be one of newest, oldest, title, artist, fastest, slowest, energy, shuffle'],
+    [{ genres: ['Jazz'], refresh: 'hourly' }, 'refresh must be one of daily, weekly, open'],
+    [null, 'rules must be an object']
+  ])('refuses %j', (raw, error) => {
+    expect(normalizeSmartRules(raw)).toEqual({ ok: false, error });
+  });
+});
+
+describe('matchesSmartRules', () => {
+  const zuluGospel70sUp = rules({ genres: ['gospel'], languages: ['zu'], yearFrom: 1970, yearTo: 1979, tempo: 'up' });
+
+  it('matches index meta on genre, language (code or name), year and tempo', () => {
+    expect(matchesSmartRules(meta('1', { localGenre: 'Gospel', language: 'zu', year: '1974', bpm: BPM_UP + 4 }), zuluGospel70sUp)).toBe(true);
+    expect(matchesSmartRules(meta('2', { genre: 'Gospel', language: 'Zulu', year: '1979', bpm: 140 }), zuluGospel70sUp)).toBe(true);
+    expect(matchesSmartRules(meta('3', { localGenre: 'Gospel', language: 'xh', year: '1974', bpm: 130 }), zuluGospel70sUp)).toBe(false);
+    expect(matchesSmartRules(meta('4', { localGenre: 'Gospel', language: 'zu', year: '1981', bpm: 130 }), zuluGospel70sUp)).toBe(false);
+    expect(matchesSmartRules(meta('5', { localGenre: 'Gospel', language: 'zu', year: '1974', bpm: 90 }), zuluGospel70sUp)).toBe(false);
+    // No tempo known → can't vouch for "uptempo".
+    expect(matchesSmartRules(meta('6', { localGenre: 'Gospel', language: 'zu', year: '1974' }), zuluGospel70sUp)).toBe(false);
+  });
+
+  it('matches catalogue records on the FileMaker fields', () => {
+    const record = {
+      recordId: 42,
+      fieldData: {
+        'Track Name': 'Amazing Grace', 'Album Artist': 'Soweto Gospel Choir', 'Local Genre': 'Gospel',
+        'Language Code': 'ZU', 'Year of Release': '1975', AI_BPM: '121', AI_Energy: '64'
+      }
+    };
+    const c = candidateFromRecord(record);
+    expect(c).toMatchObject({ recordId: '42', genres: ['Gospel'], language: 'zu', year: 1975, bpm: 121, energy: 64 });
+    expect(matchesSmartRules(c, zuluGospel70sUp)).toBe(true);
+    expect(matchesSmartRules(c, rules({ artists: ['soweto gospel choir'], energyMin: 70 }))).toBe(false);
+    expect(matchesSmartRules(c, rules({ artists: ['Soweto Gospel Choir'], energyMax: 70 }))).toBe(true);
+  });
+});
+
+describe('selectSmartCandidates', () => {
+  const cands = [
+    meta('1', { track: 'Pata Pata', artist: 'Miriam Makeba', genre: 'Jazz', year: '1967', bpm: 128 }),
+    meta('2', { track: 'Pata Pata', artist: 'Miriam Makeba', genre: 'Jazz', year: '1977', bpm: 126 }), // compilation copy
+    meta('3', { track: 'Malaika', artist: 'Miriam Makeba', genre: 'Jazz', year: '1965', bpm: 80 }),
+    meta('4', { track: 'Mannenberg', artist: 'Abdullah Ibrahim', genre: 'Jazz', year: '1974' }),
+    meta('5', { track: 'Weekend Special', artist: 'Brenda Fassie', genre: 'Pop', year: '1983', bpm: 110 })
+  ];
+  const ids = (list) => list.map((c) => c.recordId);
+
+  it('filters, keeps one copy of a song and sorts', () => {
+    expect(ids(selectSmartCandidates(cands, rules({ genres: ['jazz'], sort: 'newest' })))).toEqual(['4', '1', '3']);
+    expect(ids(selectSmartCandidates(cands, rules({ genres: ['jazz'], sort: 'oldest' })))).toEqual(['3', '1', '4']);
+    expect(ids(selectSmartCandidates(cands, rules({ genres: ['jazz'], sort: 'fastest' })))).toEqual(['1', '3', '4']);
+    expect(ids(selectSmartCandidates(cands, rules({ genres: ['jazz'], sort: 'title' })))).toEqual(['3', '4', '1']);
+  });
+
+  it('leaves out what was played', () => {
+    expect(ids(selectSmartCandidates(cands, rules({ genres: ['jazz'], sort: 'oldest' }), { played: new Set(['1', '3']) }))).toEqual(['4', '2']);
+  });
+
+  it('shuffles the same way for the same seed', () => {
+    const r = rules({ yearFrom: 1960 });
+    const a = ids(selectSmartCandidates(cands, r, { seed: 7 }));
+    expect(a.slice().sort()).toEqual(['1', '3', '4', '5']);
+    expect(ids(selectSmartCandidates(cands, r, { seed: 7 }))).toEqual(a);
+    const seeds = [1, 2, 3, 4, 5].map((seed) => ids(selectSmartCandidates(cands, r, { seed })).join());
+    expect(new Set(seeds).size).toBeGreaterThan(1);
+  });
+});
+
+describe('smartPoolQueries', () => {
+  it('ORs genre × language, each ANDed with the year range', () => {
+    expect(smartPoolQueries(rules({ genres: ['Gospel', 'Mbube'], languages: ['zu'], yearFrom: 1970, yearTo: 1979 }))).toEqual([
+      { 'Year of Release': '1970..1979', 'Local Genre': '==Gospel', 'Language Code': '==zu' },
+      { 'Year of Release': '1970..1979', 'Local Genre': '==Mbube', 'Language Code': '==zu' }
+    ]);
+  });
+
+  it('tries an artist as album and track artist', () => {
+    expect(smartPoolQueries(rules({ artists: ['Juluka'] }))).toEqual([{ 'Album Artist': '==Juluka' }, { 'Track Artist': '==Juluka' }]);
+  });
+});
+
+describe('isSmartRefreshDue', () => {
+  const nowMs = Date.parse('2026-10-19T12:00:00Z');
+  const playlist = (refresh, refreshedAt) => ({ rules: rules({ genres: ['Jazz'], refresh }), refreshedAt });
+
+  it('follows the schedule', () => {
+    expect(isSmartRefreshDue(playlist('daily', '2026-10-18T13:00:00Z'), { nowMs })).toBe(false);
+    expect(isSmartRefreshDue(playlist('daily', '2026-10-18T11:00:00Z'), { nowMs })).toBe(true);
+    expect(isSmartRefreshDue(playlist('weekly', '2026-10-14T12:00:00Z'), { nowMs })).toBe(false);
+    expect(isSmartRefreshDue(playlist('daily', null), { nowMs })).toBe(true);
+    expect(isSmartRefreshDue({ rules: null }, { nowMs })).toBe(false);
+  });
+
+  it('refreshes "open" playlists when opened, not twice in ten minutes', () => {
+    expect(isSmartRefreshDue(playlist('open', '2026-10-19T11:00:00Z'), { nowMs })).toBe(false);
+    expect(isSmartRefreshDue(playlist('open', '2026-10-19T11:00:00Z'), { nowMs, opening: true })).toBe(true);
+    expect(isSmartRefreshDue(playlist('open', '2026-10-19T11:55:00Z'), { nowMs, opening: true })).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  ABUSE_LISTENER_PLAYS_PER_HOUR, ABUSE_SESSION_EVENTS_PER_MIN,
+  abuseFields, isQuarantinedListen, parseAbuseFlags, resetStreamAbuse, scoreStreamEvent
+} from '../../lib/stream-abuse.js';
+import { parseAbuseRange, readAbuseListen, scoreListens } from '../../lib/stream-abuse-sweep.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const MIN = 60e3;
+
+const utc = (ms) => {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${p(d.getUTCMonth() + 1)}/${p(d.getUTCDate())}/${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())}`;
+};
+let nextId = 1;
+const listen = ({ track = '11', session = 's1', ip = '41.13.5.7', token = '', start, last, played, ...extra }) => readAbuseListen({
+  recordId: String(nextId++),
+  fieldData: { TrackRecordID: track, SessionID: session, ClientIP: ip, Token_Number: token, PlayStartUTC: utc(start), LastEventUTC: utc(last), TotalPlayedSec: played, ...extra }
+});
+
+describe('abuse fields', () => {
+  it('keeps known reasons only and scores them', () => {
+    expect(parseAbuseFlags(' overlap,bogus,ip-rate,overlap ')).toEqual(['ip-rate', 'overlap']);
+    expect(abuseFields(['overlap', 'over-wallclock'])).toEqual({ AbuseFlags: 'over-wallclock,overlap', AbuseScore: 100 });
+  });
+
+  it('quarantines flagged listens until released', () => {
+    expect(isQuarantinedListen({})).toBe(false);
+    expect(isQuarantinedListen({ AbuseFlags: 'ip-rate' })).toBe(true);
+    expect(isQuarantinedListen({ AbuseFlags: 'ip-rate', AbuseReview: 'confirmed' })).toBe(true);
+    expect(isQuarantinedListen({ AbuseFlags: 'ip-rate', AbuseReview: 'Released' })).toBe(false);
+  });
+});
+
+describe('scoreStreamEvent (ingest)', () => {
+  beforeEach(() => resetStreamAbuse());
+
+  it('lets an ordinary listen through', () => {
+    const ev = (eventType, t) => scoreStreamEvent({ sessionId: 's1', trackRecordId: '11', eventType, ip: '41.13.5.7', token: 'MASS-1', nowMs: NOW + t });
+    expect([ev('PLAY', 0), ev('PROGRESS', 30e3), ev('PAUSE', 45e3), ev('PLAY', 90e3), ev('PROGRESS', 120e3)]).toEqual([null, null, null, null, null]);
+  });
+
+  it('flags a session replaying events and keeps the flag on the listen', () => {
+    let last = null;
+    for (let i = 0; i <= ABUSE_SESSION_EVENTS_PER_MIN; i++) {
+      last = scoreStreamEvent({ sessionId: 'bot', trackRecordId: '11', eventType: 'PROGRESS', nowMs: NOW + i * 100 });
+    }
+    expect(last).toEqual({ AbuseFlags: 'session-rate', AbuseScore: 40 });
+    // A minute later the rate is fine again, but the listen stays marked…
+    expect(scoreStreamEvent({ sessionId: 'bot', trackRecordId: '11', eventType: 'PROGRESS', nowMs: NOW + 2 * MIN })).toEqual(last);
+    // …until it ends; a replay starts clean.
+    scoreStreamEvent({ sessionId: 'bot', trackRecordId: '11', eventType: 'END', terminal: true, nowMs: NOW + 3 * MIN });
+    expect(scoreStreamEvent({ sessionId: 'bot', trackRecordId: '11', eventType: 'PLAY', nowMs: NOW + 4 * MIN })).toBeNull();
+  });
+
+  it('flags the listens a token starts past its hourly budget', () => {
+    const play = (i) => scoreStreamEvent({ sessionId: `s${i}`, trackRecordId: '11', eventType: 'PLAY', token: 'mass-1', nowMs: NOW + i * 1000 });
+    for (let i = 0; i < ABUSE_LISTENER_PLAYS_PER_HOUR; i++) expect(play(i)).toBeNull();
+    expect(play(ABUSE_LISTENER_PLAYS_PER_HOUR)).toEqual({ AbuseFlags: 'token-rate', AbuseScore: 50 });
+  });
+});
+
+describe('scoreListens (sweep)', () => {
+  it('flags more seconds than elapsed', () => {
+    const honest = listen({ start: NOW, last: NOW + 200e3, played: 200 });
+    const forged = listen({ start: NOW, last: NOW + 20e3, played: 200 });
+    expect(scoreListens([honest, forged])).toEqual(new Map([[forged.recordId, ['over-wallclock']]]));
+  });
+
+  it('flags two full plays at once from one session, but not a pause and resume', () => {
+    const a = listen({ track: '11', start: NOW, last: NOW + 200e3, played: 200 });
+    const b = listen({ track: '12', start: NOW + 5e3, last: NOW + 205e3, played: 200 });
+    expect(scoreListens([a, b])).toEqual(new Map([[a.recordId, ['overlap']], [b.recordId, ['overlap']]]));
+
+    // Track 11 paused after 60 s, track 12 played through, 11 resumed later.
+    const paused = listen({ session: 's2', track: '11', start: NOW, last: NOW + 600e3, played: 200 });
+    const between = listen({ session: 's2', track: '12', start: NOW + 90e3, last: NOW + 290e3, played: 200 });
+    expect(scoreListens([paused, between]).size).toBe(0);
+  });
+
+  it('counts velocity across every listen, not one worker’s share', () => {
+    const plays = Array.from({ length: ABUSE_LISTENER_PLAYS_PER_HOUR + 2 }, (_, i) =>
+      listen({ session: `s${i}`, token: 'MASS-9', start: NOW + i * 30e3, last: NOW + i * 30e3 + 25e3, played: 25 }));
+    const flagged = scoreListens(plays);
+    expect([...flagged.keys()]).toEqual(plays.slice(-2).map((l) => l.recordId));
+    expect(flagged.get(plays.at(-1).recordId)).toEqual(['token-rate']);
+  });
+});
+
+describe('parseAbuseRange', () => {
+  it('defaults to the last 7 days and bounds the range', () => {
+    expect(parseAbuseRange({}, NOW)).toMatchObject({ ok: true, from: '2026-10-13', to: '2026-10-19' });
+    expect(parseAbuseRange({ from: '2026-10-20', to: '2026-10-19' }, NOW).ok).toBe(false);
+    expect(parseAbuseRange({ from: '2026-01-01', to: '2026-10-19' }, NOW).ok).toBe(false);
+  });
+});
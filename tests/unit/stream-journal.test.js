@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Stream-event journal (lib/stream-journal.js) on a real SQLite file, with
+// FileMaker mocked: events for one listen coalesce into one create and then
+// one update per flush, failures retry with backoff, an unacknowledged create
+// is found by PrimaryKey instead of duplicated, and a busy FM queue is left
+// alone.
+const fm = vi.hoisted(() => ({
+  records: new Map(),   // FM recordId → fieldData
+  nextId: 100,
+  queueDepth: 0,
+  failCreate: null,     // 'throw' | 'lost-ack'
+}));
+
+vi.mock('../../fm-client.js', () => ({
+  fmQueueStats: () => ({ queueDepth: fm.queueDepth, activeRequests: 0, maxConcurrent: 8, consecutive401s: 0 }),
+  fmCreateRecord: vi.fn(async (layout, fieldData) => {
+    if (fm.failCreate === 'throw') throw new Error('FM create failed: timeout (n/a)');
+    const recordId = String(fm.nextId++);
+    fm.records.set(recordId, { ...fieldData });
+    if (fm.failCreate === 'lost-ack') throw new Error('socket hang up');
+    return { recordId };
+  }),
+  fmUpdateRecord: vi.fn(async (layout, recordId, fieldData) => {
+    if (!fm.records.has(recordId)) throw new Error('FM update failed: Record is missing (101)');
+    fm.records.set(recordId, { ...fm.records.get(recordId), ...fieldData });
+    return {};
+  }),
+  fmFindRecords: vi.fn(async (layout, queries) => {
+    const key = String(queries[0].PrimaryKey).replace(/^==/, '').replace(/\\(.)/g, '$1');
+    const hit = [...fm.records].find(([, f]) => f.PrimaryKey === key);
+    return hit ? { ok: true, total: 1, data: [{ recordId: hit[0], fieldData: hit[1] }] } : { ok: false, code: '401', data: [], total: 0 };
+  })
+}));
+
+const journal = await import('../../lib/stream-journal.js');
+const { fmCreateRecord, fmUpdateRecord } = await import('../../fm-client.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mass-journal-'));
+let dbPath;
+let n = 0;
+
+// The route's merge, reduced: accumulate DeltaSec into TotalPlayedSec.
+const event = (type, deltaSec = 0, sessionId = 'sess-1', trackRecordId = '42') => journal.journalStreamEvent({
+  sessionId,
+  trackRecordId,
+  terminal: type === 'END' || type === 'ERROR',
+  createFields: { SessionID: sessionId, TrackRecordID: trackRecordId, TotalPlayedSec: 0 },
+  apply: (existing) => ({ EventType: type, TotalPlayedSec: (existing.TotalPlayedSec || 0) + deltaSec })
+});
+
+beforeEach(async () => {
+  await journal.stopStreamJournal({ drainMs: 0 });
+  fm.records.clear();
+  fm.queueDepth = 0;
+  fm.failCreate = null;
+  vi.clearAllMocks();
+  vi.useRealTimers();
+  dbPath = path.join(dir, `journal-${++n}.db`);
+  expect(await journal.initStreamJournal({ path: dbPath })).toBe(true);
+});
+
+afterAll(async () => {
+  await journal.stopStreamJournal({ drainMs: 0 });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('stream journal', () => {
+  it('coalesces a listen into one create, then one update per flush', async () => {
+    await event('PLAY');
+    await event('PROGRESS', 30);
+    await event('PROGRESS', 30);
+    expect(fmCreateRecord).not.toHaveBeenCalled(); // nothing touches FM on the request path
+
+    expect(await journal.flushStreamJournal()).toBe(1);
+    expect(fmCreateRecord).toHaveBeenCalledTimes(1);
+    const [recordId, fields] = [...fm.records][0];
+    expect(fields).toMatchObject({ EventType: 'PROGRESS', TotalPlayedSec: 60, SessionID: 'sess-1' });
+    expect(fields.PrimaryKey).toMatch(/^[0-9a-f-]{36}$/);
+
+    await event('PAUSE', 10);
+    await event('END', 5);
+    expect(await journal.flushStreamJournal()).toBe(1);
+    expect(fmUpdateRecord).toHaveBeenCalledTimes(1);
+    expect(fm.records.get(recordId)).toMatchObject({ EventType: 'END', TotalPlayedSec: 75 });
+    expect(await journal.flushStreamJournal()).toBe(0); // nothing dirty
+  });
+
+  it('skips a terminal event with no open listen, and starts a new listen after END', async () => {
+    expect(await event('END')).toEqual({ skipped: true });
+    const first = await event('PLAY');
+    await event('END', 40);
+    const second = await event('PLAY');
+    expect(second.listenId).not.toBe(first.listenId);
+    expect(second.fields.TotalPlayedSec).toBe(0);
+    await journal.flushStreamJournal();
+    expect(fm.records.size).toBe(2);
+  });
+
+  it('keeps separate listens per session and track', async () => {
+    await event('PLAY', 0, 'sess-1', '42');
+    await event('PLAY', 0, 'sess-2', '42');
+    await event('PLAY', 0, 'sess-1', '43');
+    expect(await journal.flushStreamJournal()).toBe(3);
+  });
+
+  it('retries a failed flush after a backoff, without losing events', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    fm.failCreate = 'throw';
+    await event('PLAY');
+    await event('PROGRESS', 30);
+    expect(await journal.flushStreamJournal()).toBe(0);
+    expect((await journal.streamJournalStatus())).toMatchObject({ pending: 1, failing: 1 });
+
+    fm.failCreate = null;
+    expect(await journal.flushStreamJournal()).toBe(0); // not due yet
+    vi.setSystemTime(Date.now() + journal.retryDelayMs(0) + 1);
+    expect(await journal.flushStreamJournal()).toBe(1);
+    expect([...fm.records.values()][0].TotalPlayedSec).toBe(30);
+    expect(await journal.streamJournalStatus()).toMatchObject({ pending: 0, failing: 0 });
+  });
+
+  it('finds an unacknowledged create by PrimaryKey instead of duplicating it', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    fm.failCreate = 'lost-ack';
+    await event('PLAY');
+    await event('PROGRESS', 30);
+    await journal.flushStreamJournal();
+    expect(fm.records.size).toBe(1); // it landed, we just never heard
+
+    fm.failCreate = null;
+    vi.setSystemTime(Date.now() + journal.retryDelayMs(0) + 1);
+    await journal.flushStreamJournal();
+    expect(fmCreateRecord).toHaveBeenCalledTimes(1);
+    expect(fmUpdateRecord).toHaveBeenCalledTimes(1);
+    expect(fm.records.size).toBe(1);
+  });
+
+  it('writes the listen again when its FileMaker record was deleted', async () => {
+    await event('PLAY');
+    await journal.flushStreamJournal();
+    fm.records.clear();
+    await event('PROGRESS', 30);
+    await journal.flushStreamJournal();
+    expect(fm.records.size).toBe(1);
+    expect([...fm.records.values()][0].TotalPlayedSec).toBe(30);
+  });
+
+  it('leaves FileMaker alone while its queue is busy', async () => {
+    await event('PLAY');
+    fm.queueDepth = 5;
+    expect(await journal.flushStreamJournal()).toBe(0);
+    expect(fmCreateRecord).not.toHaveBeenCalled();
+    fm.queueDepth = 0;
+    expect(await journal.flushStreamJournal()).toBe(1);
+  });
+
+  it('merges one listen from two processes into one row', async () => {
+    // Two workers with the same journal file, each starting the listen.
+    const { createSqliteJournal } = await import('../../lib/stream-journal-sqlite.js');
+    const shared = path.join(dir, `shared-${++n}.db`);
+    const [a, b] = await Promise.all([createSqliteJournal(shared), createSqliteJournal(shared)]);
+    const add = (deltaSec) => (open) => ({
+      listenId: open ? open.listen_id : `listen-${deltaSec}`,
+      created: !open,
+      fields: { TotalPlayedSec: (open?.fields.TotalPlayedSec || 0) + deltaSec }
+    });
+    const now = Date.now();
+    await Promise.all([a.mergeListen('sess-1', '42', add(10), { closed: false, now }), b.mergeListen('sess-1', '42', add(20), { closed: false, now })]);
+    await a.mergeListen('sess-1', '42', add(5), { closed: true, now });
+
+    expect(await b.stats()).toMatchObject({ listens: 1, pending: 1 });
+    const [row] = await b.claimDirty(10, now, 1000);
+    expect(row).toMatchObject({ listen_id: 'listen-10', closed: true, version: 3, fields: { TotalPlayedSec: 35 } });
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  it('closes all but the newest of duplicate open listens left by an older journal', async () => {
+    const { default: Database } = await import('better-sqlite3');
+    const legacy = path.join(dir, `legacy-${++n}.db`);
+    const db = new Database(legacy);
+    db.exec(`CREATE TABLE stream_listens (listen_id TEXT PRIMARY KEY, session_id TEXT NOT NULL, track_record_id TEXT NOT NULL,
+      fields TEXT NOT NULL, fm_record_id TEXT, create_started INTEGER NOT NULL DEFAULT 0, closed INTEGER NOT NULL DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1, flushed_version INTEGER NOT NULL DEFAULT 0, attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL DEFAULT 0, lease_until INTEGER NOT NULL DEFAULT 0, last_error TEXT, updated_at INTEGER NOT NULL);
+      INSERT INTO stream_listens (listen_id, session_id, track_record_id, fields, updated_at) VALUES
+        ('old', 'sess-1', '42', '{"TotalPlayedSec":10}', 1), ('new', 'sess-1', '42', '{"TotalPlayedSec":20}', 2);`);
+    db.close();
+
+    await journal.stopStreamJournal({ drainMs: 0 });
+    expect(await journal.initStreamJournal({ path: legacy })).toBe(true);
+    const merged = await event('PROGRESS', 5);
+    expect(merged).toMatchObject({ listenId: 'new', created: false, fields: { TotalPlayedSec: 25 } });
+  });
+
+  it('replays what a previous process left on disk', async () => {
+    await event('PLAY');
+    await event('PROGRESS', 30);
+    // "Crash": drop the journal without flushing, then open the same file.
+    fm.queueDepth = 99;
+    await journal.stopStreamJournal({ drainMs: 0 });
+    fm.queueDepth = 0;
+    expect(fm.records.size).toBe(0);
+
+    expect(await journal.initStreamJournal({ path: dbPath })).toBe(true);
+    expect(await journal.streamJournalStatus()).toMatchObject({ pending: 1 });
+    expect(await journal.flushStreamJournal()).toBe(1);
+    expect([...fm.records.values()][0].TotalPlayedSec).toBe(30);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildTasterFunnel, parseTasterFunnelRange } from '../../lib/taster-funnel.js';
+import { readTasterAttribution, recordTasterPayment, recordTasterTrial } from '../../lib/taster-attribution.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 86400e3;
+
+describe('parseTasterFunnelRange', () => {
+  it('defaults to the last 30 days and parses an explicit range', () => {
+    expect(parseTasterFunnelRange({}, NOW)).toMatchObject({ ok: true, from: '2026-09-20', to: '2026-10-19' });
+    expect(parseTasterFunnelRange({ from: '2026-09-01', to: '2026-09-30' }, NOW)).toEqual({
+      ok: true, from: '2026-09-01', to: '2026-09-30', startMs: Date.UTC(2026, 8, 1), endMs: Date.UTC(2026, 9, 1)
+    });
+  });
+
+  it('rejects malformed, reversed and over-long ranges', () => {
+    expect(parseTasterFunnelRange({ from: '2026-02-30' }, NOW).ok).toBe(false);
+    expect(parseTasterFunnelRange({ from: '2026-09-02', to: '2026-09-01' }, NOW).ok).toBe(false);
+    expect(parseTasterFunnelRange({ from: '2024-01-01', to: '2026-09-01' }, NOW).ok).toBe(false);
+  });
+});
+
+describe('buildTasterFunnel', () => {
+  const stats = {
+    '2026-08-31': { 'yt-shorts': { land: 50, play: 40 } },                       // before the range
+    '2026-09-01': {
+      'yt-shorts': { land: 10, landMobile: 8, play: 6, tracks: { 94600: { land: 10, play: 6 } }, videos: { 'short-94600': { land: 10, play: 6 } } },
+      share: { land: 4, play: 1 }
+    },
+    '2026-09-02': { 'yt-shorts': { land: 10, landMobile: 6, play: 4, videos: { 'short-94600': { land: 6, play: 3 }, 'short-1': { land: 4, play: 1 } } } }
+  };
+  const via = { campaign: 'yt-shorts', t: '94600', video: 'short-94600' };
+  const attribution = {
+    a: { ...via, trialAt: '2026-09-01T10:00:00Z', paidAt: '2026-09-05T10:00:00Z', payments: [
+      { at: '2026-09-05T10:00:00Z', amount: 5900 }, { at: '2026-10-05T10:00:00Z', amount: 5900 }
+    ] },
+    b: { ...via, trialAt: '2026-09-02T10:00:00Z', paidAt: '2026-09-25T10:00:00Z', payments: [{ at: '2026-09-25T10:00:00Z', amount: 750 }] },
+    c: { ...via, trialAt: '2026-09-02T11:00:00Z' },
+    d: { campaign: 'share', paidAt: '2026-08-20T10:00:00Z', payments: [{ at: '2026-09-18T10:00:00Z', amount: 5900 }] }
+  };
+  const range = parseTasterFunnelRange({ from: '2026-09-01', to: '2026-09-30' }, NOW);
+
+  it('runs land → play → trial → paid → retained per campaign', () => {
+    const f = buildTasterFunnel(stats, attribution, range, { nowMs: NOW });
+    expect(f.range).toEqual({ from: '2026-09-01', to: '2026-09-30' });
+    expect(f.totals).toEqual({
+      land: 24, landMobile: 14, play: 11, trial: 3, paid: 2, matured: 1, retained: 1,
+      revenue: 125.5, playRate: 0.458, trialRate: 0.125, paidRate: 0.083, retainedRate: 1
+    });
+    expect(f.campaigns.map((c) => c.key)).toEqual(['yt-shorts', 'share']);
+    expect(f.campaigns[0]).toMatchObject({ land: 20, trial: 3, paid: 2, paidRate: 0.1, revenue: 66.5 });
+    // d converted before the range: its September renewal is revenue, not a conversion.
+    expect(f.campaigns[1]).toMatchObject({ land: 4, paid: 0, revenue: 59 });
+  });
+
+  it('breaks the same listeners down by track and video', () => {
+    const f = buildTasterFunnel(stats, attribution, range, { nowMs: NOW });
+    expect(f.tracks).toEqual([expect.objectContaining({ key: '94600', land: 10, play: 6, trial: 3, paid: 2 })]);
+    expect(f.videos.map((v) => [v.key, v.land, v.paid])).toEqual([['short-94600', 16, 2], ['short-1', 4, 0]]);
+  });
+
+  it('waits 30 days before judging retention', () => {
+    const f = buildTasterFunnel(stats, attribution, range, { nowMs: Date.UTC(2026, 9, 1) });
+    expect(f.totals).toMatchObject({ matured: 0, retained: 0, retainedRate: null });
+  });
+});
+
+describe('taster attribution store', () => {
+  const FILE = path.join(os.tmpdir(), `taster-attribution-${process.pid}.json`);
+  beforeAll(() => { process.env.TASTER_ATTRIBUTION_FILE = FILE; });
+  afterAll(() => { delete process.env.TASTER_ATTRIBUTION_FILE; fs.rmSync(FILE, { force: true }); });
+
+  it('ties a trial and its later payments to the first taster touch', async () => {
+    const via = { t: '94600', campaign: 'YT-Shorts', video: 'short-94600' };
+    expect(await recordTasterTrial({ email: 'Fan@Example.com', via, at: new Date(NOW - 10 * DAY) })).toBe(true);
+    const pay = (reference, extra) => recordTasterPayment({ email: 'fan@example.com', channel: 'paystack', kind: 'subscription', reference, amount: 5900, ...extra });
+    expect(await pay('T1', { via: { campaign: 'share' }, at: new Date(NOW - 5 * DAY) })).toBe('converted');
+    expect(await pay('T1')).toBe(false);                 // callback + webhook, one charge
+    expect(await pay('T2')).toBe('repeat');
+
+    const data = await readTasterAttribution();
+    const [entry] = Object.values(data);
+    expect(entry).toMatchObject({ campaign: 'yt-shorts', t: '94600', video: 'short-94600', channel: 'paystack', kind: 'subscription' });
+    expect(entry.payments.map((p) => p.ref)).toEqual(['T1', 'T2']);
+    expect(fs.readFileSync(FILE, 'utf8')).not.toContain('example.com');
+  });
+
+  it('ignores payments with no taster touch', async () => {
+    expect(await recordTasterPayment({ email: 'walk-in@example.com', channel: 'paystack', reference: 'T3' })).toBe(false);
+    expect(await recordTasterPayment({ msisdn: '27820000000', via: { campaign: 'telkom-promo' }, channel: 'telkom', reference: 'telkom:1' })).toBe('converted');
+    expect(Object.keys(await readTasterAttribution())).toHaveLength(2);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { buildWrapped, parseWrappedPeriod } from '../../lib/wrapped.js';
+import { readStreamEvent } from '../../lib/royalty-report.js';
+import { clearHistorySettings, DEFAULT_HISTORY_SETTINGS } from '../../lib/history-store.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+describe('parseWrappedPeriod', () => {
+  it('parses a year and a month', () => {
+    expect(parseWrappedPeriod({ year: '2025' }, NOW)).toEqual({
+      ok: true, key: '2025', label: '2025',
+      startMs: Date.UTC(2025, 0, 1), endMs: Date.UTC(2026, 0, 1), partial: false
+    });
+    expect(parseWrappedPeriod({ year: 2026, month: '9' }, NOW)).toMatchObject({
+      ok: true, key: '2026-09', label: 'September 2026', startMs: Date.UTC(2026, 8, 1), endMs: Date.UTC(2026, 9, 1), partial: false
+    });
+  });
+
+  it('marks the period in progress as partial and refuses one not yet started', () => {
+    expect(parseWrappedPeriod({ year: 2026, month: 10 }, NOW)).toMatchObject({ ok: true, partial: true });
+    expect(parseWrappedPeriod({ year: 2026 }, NOW)).toMatchObject({ ok: true, partial: true });
+    expect(parseWrappedPeriod({ year: 2026, month: 11 }, NOW)).toEqual({ ok: false, error: 'That period has not started yet' });
+  });
+
+  it('rejects malformed input', () => {
+    expect(parseWrappedPeriod({}, NOW).ok).toBe(false);
+    expect(parseWrappedPeriod({ year: '26' }, NOW).ok).toBe(false);
+    expect(parseWrappedPeriod({ year: '2026x' }, NOW).ok).toBe(false);
+    expect(parseWrappedPeriod({ year: 2025, month: 13 }, NOW)).toEqual({ ok: false, error: 'month must be 1-12' });
+    expect(parseWrappedPeriod({ year: 2025, month: '1.5' }, NOW).ok).toBe(false);
+  });
+});
+
+// Stream_Events fieldData as routes/access.js writes it (UTC MM/DD/YYYY).
+const listen = (trackId, start, playedSec, extra = {}) => readStreamEvent({
+  TrackRecordID: trackId, PlayStartUTC: start, TimestampUTC: start, TotalPlayedSec: playedSec,
+  'Track Name': `Track ${trackId}`, 'Track Artist': 'Fallback Artist', ...extra
+});
+
+const meta = new Map([
+  ['1', { track: 'Pata Pata', artist: 'Miriam Makeba', album: 'Pata Pata', albumArtist: 'Miriam Makeba', year: '1967', genre: 'Afro Pop', language: 'xh', artworkUrl: 'https://cdn.example/pata.jpg' }],
+  ['2', { track: 'Mbube', artist: 'Solomon Linda', album: 'Mbube Roots', year: '1939', genre: 'Isicathamiya', localGenre: 'Mbube', language: 'zu' }],
+  ['3', { track: 'Jabula', artist: 'Miriam Makeba', album: 'Pata Pata', albumArtist: 'Miriam Makeba', year: '1967', genre: 'Afro Pop', language: 'zxx' }]
+]);
+const september = parseWrappedPeriod({ year: 2026, month: 9 }, NOW);
+
+describe('buildWrapped', () => {
+  const events = [
+    // 08:00 UTC is 10:00 in Johannesburg.
+    listen('1', '09/02/2026 08:00:00', 180),
+    listen('1', '09/03/2026 08:10:00', 180),
+    listen('3', '09/04/2026 08:20:00', 120),
+    listen('2', '09/05/2026 18:00:00', 120),
+    listen('2', '09/06/2026 18:00:00', 10),                        // a skip: minutes, not a play
+    listen('1', '09/07/2026 08:00:00', 180, { PlaybackMode: 'PREVIEW' }),
+    listen('1', '10/01/2026 08:00:00', 180),                       // next month
+    listen('9', '09/08/2026 08:00:00', 60)                         // not in the index
+  ];
+
+  it('totals minutes and plays and ranks artists, albums and tracks', () => {
+    const w = buildWrapped(events, { period: september, meta });
+    expect(w.period).toEqual({ key: '2026-09', label: 'September 2026', partial: false });
+    expect(w.totals).toEqual({ minutes: 11, plays: 5, tracks: 4, artists: 3 });
+    expect(w.topArtists[0]).toEqual({ name: 'Miriam Makeba', plays: 3, minutes: 8 });
+    expect(w.topArtists.map((a) => a.name)).toEqual(['Miriam Makeba', 'Solomon Linda', 'Fallback Artist']);
+    expect(w.topAlbums[0]).toEqual({ title: 'Pata Pata', artist: 'Miriam Makeba', artworkUrl: 'https://cdn.example/pata.jpg', plays: 3, minutes: 8 });
+    expect(w.topTracks[0]).toEqual({ recordId: '1', title: 'Pata Pata', artist: 'Miriam Makeba', plays: 2, minutes: 6 });
+    expect(w.topTracks.find((t) => t.recordId === '9').title).toBe('Track 9');
+  });
+
+  it('reads genres, decades and languages as shares of listening time', () => {
+    const w = buildWrapped(events, { period: september, meta });
+    expect(w.topGenres).toEqual([{ name: 'Afro Pop', percent: 72 }, { name: 'Mbube', percent: 19 }]);
+    expect(w.topDecades).toEqual([{ name: '1960s', percent: 72 }, { name: '1930s', percent: 19 }]);
+    expect(w.topLanguages.map((l) => l.name)).toEqual(['Xhosa', 'Zulu', 'Instrumental']);
+    expect(w.oldestRecording).toEqual({ recordId: '2', title: 'Mbube', artist: 'Solomon Linda', year: 1939 });
+  });
+
+  it('buckets listening by hour in the listener\'s time zone', () => {
+    const w = buildWrapped(events, { period: september, meta });
+    expect(w.byHour).toHaveLength(24);
+    expect(w.peakHour).toBe(10);
+    expect(w.byHour[20]).toBe(2);
+    expect(buildWrapped(events, { period: september, meta, timeZone: 'UTC' }).peakHour).toBe(8);
+  });
+
+  it('leaves out listens hidden by the history settings', () => {
+    const settings = clearHistorySettings(DEFAULT_HISTORY_SETTINGS, '2026-09-05T00:00:00.000Z');
+    const w = buildWrapped(events, { period: september, meta, settings });
+    expect(w.topArtists.map((a) => a.name)).toEqual(['Solomon Linda', 'Fallback Artist']);
+    expect(w.totals.plays).toBe(2);
+  });
+
+  it('is empty, not broken, with no listens or no index', () => {
+    const w = buildWrapped([], { period: september });
+    expect(w.totals).toEqual({ minutes: 0, plays: 0, tracks: 0, artists: 0 });
+    expect(w).toMatchObject({ topArtists: [], topGenres: [], peakHour: null, oldestRecording: null });
+    expect(buildWrapped(events, { period: september }).topAlbums).toEqual([]);
+  });
+});